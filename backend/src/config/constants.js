@@ -80,7 +80,35 @@ module.exports = {
     PENDING: 'PENDING',
     APPROVED: 'APPROVED',
     REJECTED: 'REJECTED',
-    DELEGATED: 'DELEGATED'
+    DELEGATED: 'DELEGATED',
+    CANCELLED: 'CANCELLED'
+  },
+  
+  // Next role up when an approval step misses its SLA deadline
+  APPROVAL_ESCALATION_ROLES: {
+    PROJECT_MANAGER: 'SUPERVISOR',
+    EQUIPMENT_OFFICER: 'SUPERVISOR',
+    FINANCE_CONTROLLER: 'SUPERVISOR',
+    SUPERVISOR: 'ADMIN'
+  },
+  
+  // Notification Types
+  NOTIFICATION_TYPE: {
+    MILESTONE_DUE: 'MILESTONE_DUE',
+    BUDGET_ALERT: 'BUDGET_ALERT',
+    APPROVAL_NEEDED: 'APPROVAL_NEEDED',
+    PROJECT_DELAY: 'PROJECT_DELAY',
+    MAINTENANCE_DUE: 'MAINTENANCE_DUE',
+    DOCUMENT_EXPIRING: 'DOCUMENT_EXPIRING',
+    GENERAL_INFO: 'GENERAL_INFO'
+  },
+  
+  // Notification Priority
+  NOTIFICATION_PRIORITY: {
+    LOW: 'LOW',
+    NORMAL: 'NORMAL',
+    HIGH: 'HIGH',
+    CRITICAL: 'CRITICAL'
   },
   
   // Purchase Order Status
@@ -96,6 +124,14 @@ module.exports = {
     CANCELLED: 'CANCELLED'
   },
   
+  // Vendor Types
+  VENDOR_TYPE: {
+    SUPPLIER: 'SUPPLIER',
+    CONTRACTOR: 'CONTRACTOR',
+    SERVICE_PROVIDER: 'SERVICE_PROVIDER',
+    OTHER: 'OTHER'
+  },
+  
   // Milestone Status
   MILESTONE_STATUS: {
     NOT_STARTED: 'NOT_STARTED',
@@ -105,6 +141,134 @@ module.exports = {
     CANCELLED: 'CANCELLED'
   },
   
+  // Project Completion Roll-up Methods
+  COMPLETION_METHOD: {
+    COUNT: 'COUNT',
+    BUDGET: 'BUDGET',
+    WEIGHT: 'WEIGHT'
+  },
+  
+  // Project Baseline Status
+  BASELINE_STATUS: {
+    PENDING_APPROVAL: 'PENDING_APPROVAL',
+    ACTIVE: 'ACTIVE',
+    SUPERSEDED: 'SUPERSEDED',
+    REJECTED: 'REJECTED',
+    CANCELLED: 'CANCELLED'
+  },
+  
+  // Project Member Roles (MANAGER and ALTERNATE follow the project managers)
+  PROJECT_MEMBER_ROLE: {
+    MANAGER: 'MANAGER',
+    ALTERNATE: 'ALTERNATE',
+    ENGINEER: 'ENGINEER',
+    FINANCE: 'FINANCE',
+    OBSERVER: 'OBSERVER'
+  },
+  
+  // Where a project membership comes from
+  PROJECT_MEMBER_SOURCE: {
+    PROJECT_MANAGER: 'PROJECT_MANAGER',
+    ALTERNATE_MANAGER: 'ALTERNATE_MANAGER',
+    MEMBERSHIP: 'MEMBERSHIP',
+    RESOURCE_ALLOCATION: 'RESOURCE_ALLOCATION'
+  },
+  
+  // What a user may do on a project (granted by membership or global role)
+  PROJECT_ACCESS: {
+    VIEW: 'VIEW',
+    EDIT: 'EDIT',
+    MANAGE_MEMBERS: 'MANAGE_MEMBERS',
+    VIEW_BUDGET: 'VIEW_BUDGET',
+    MANAGE_BUDGET: 'MANAGE_BUDGET',
+    MANAGE_MILESTONES: 'MANAGE_MILESTONES',
+    UPLOAD_DOCUMENTS: 'UPLOAD_DOCUMENTS',
+    MANAGE_DOCUMENTS: 'MANAGE_DOCUMENTS',
+    REQUEST_EQUIPMENT: 'REQUEST_EQUIPMENT',
+    MANAGE_RISKS: 'MANAGE_RISKS'
+  },
+  
+  // Project Risk Categories
+  RISK_CATEGORY: {
+    TECHNICAL: 'TECHNICAL',
+    FINANCIAL: 'FINANCIAL',
+    SCHEDULE: 'SCHEDULE',
+    REGULATORY: 'REGULATORY',
+    ENVIRONMENTAL: 'ENVIRONMENTAL',
+    SAFETY: 'SAFETY',
+    CONTRACTUAL: 'CONTRACTUAL',
+    STAKEHOLDER: 'STAKEHOLDER',
+    OTHER: 'OTHER'
+  },
+  
+  // Project Risk Statuses (OPEN and MITIGATING risks are open)
+  RISK_STATUS: {
+    OPEN: 'OPEN',
+    MITIGATING: 'MITIGATING',
+    CLOSED: 'CLOSED'
+  },
+  
+  // Risk exposure levels, from the exposure bands setting
+  RISK_EXPOSURE: {
+    LOW: 'LOW',
+    MEDIUM: 'MEDIUM',
+    HIGH: 'HIGH'
+  },
+  
+  // What the overall health of project progress is derived from
+  PROJECT_HEALTH_BASIS: {
+    SCHEDULE: 'SCHEDULE',
+    EVM: 'EVM'
+  },
+  
+  // Project Completion History Sources
+  COMPLETION_SOURCE: {
+    ROLLUP: 'ROLLUP',
+    OVERRIDE: 'OVERRIDE'
+  },
+  
+  // Resource Allocation Status
+  RESOURCE_ALLOCATION_STATUS: {
+    ACTIVE: 'ACTIVE',
+    PAUSED: 'PAUSED',
+    COMPLETED: 'COMPLETED'
+  },
+  
+  // Document Types
+  DOCUMENT_TYPE: {
+    CONTRACT: 'CONTRACT',
+    SPECIFICATION: 'SPECIFICATION',
+    PLAN: 'PLAN',
+    REPORT: 'REPORT',
+    RECEIPT: 'RECEIPT',
+    PHOTO: 'PHOTO',
+    APPROVAL: 'APPROVAL',
+    OTHER: 'OTHER'
+  },
+  
+  // Document Access Levels
+  DOCUMENT_ACCESS_LEVEL: {
+    PUBLIC: 'PUBLIC',
+    INTERNAL: 'INTERNAL',
+    RESTRICTED: 'RESTRICTED'
+  },
+  
+  // Document Retention Actions
+  DOCUMENT_RETENTION_ACTION: {
+    ARCHIVE: 'ARCHIVE',
+    PURGE: 'PURGE'
+  },
+  
+  // Audit Trail Actions
+  AUDIT_ACTION: {
+    CREATE: 'CREATE',
+    UPDATE: 'UPDATE',
+    DELETE: 'DELETE',
+    APPROVE: 'APPROVE',
+    REJECT: 'REJECT',
+    ARCHIVE: 'ARCHIVE'
+  },
+  
   // Languages
   LANGUAGES: {
     FRENCH: 'fr',
@@ -121,6 +285,8 @@ module.exports = {
     UNAUTHORIZED: 401,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
+    CONFLICT: 409,
+    PAYLOAD_TOO_LARGE: 413,
     UNPROCESSABLE_ENTITY: 422,
     TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500,
@@ -137,7 +303,9 @@ module.exports = {
     RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
     INTERNAL_ERROR: 'INTERNAL_ERROR',
     DATABASE_ERROR: 'DATABASE_ERROR',
-    DUPLICATE_ENTRY: 'DUPLICATE_ENTRY'
+    DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',
+    NO_ELIGIBLE_APPROVER: 'NO_ELIGIBLE_APPROVER',
+    OVER_ALLOCATED: 'OVER_ALLOCATED'
   },
   
   // Permissions
@@ -178,6 +346,11 @@ module.exports = {
     REPORT_READ: 'report_read',
     REPORT_EXPORT: 'report_export',
     
+    // Document permissions
+    DOCUMENT_READ: 'document_read',
+    DOCUMENT_CREATE: 'document_create',
+    DOCUMENT_DELETE: 'document_delete',
+    
     // Audit permissions
     AUDIT_READ: 'audit_read',
     
@@ -185,9 +358,29 @@ module.exports = {
     SETTINGS_UPDATE: 'settings_update'
   },
   
-  // Pagination
-  DEFAULT_PAGE_SIZE: parseInt(process.env.DEFAULT_PAGE_SIZE, 10) || 20,
-  MAX_PAGE_SIZE: parseInt(process.env.MAX_PAGE_SIZE, 10) || 100,
+  // System Setting Value Types
+  SETTING_TYPE: {
+    STRING: 'STRING',
+    INT: 'INT',
+    DECIMAL: 'DECIMAL',
+    BOOLEAN: 'BOOLEAN',
+    JSON: 'JSON'
+  },
+  
+  // System Settings read by the application (system_settings.setting_key)
+  SETTING_KEY: {
+    BUDGET_ALERT_THRESHOLDS: 'budget_alert_thresholds',
+    DEFAULT_PAGE_SIZE: 'default_page_size',
+    MAX_PAGE_SIZE: 'max_page_size',
+    INVOICE_MATCH_TOLERANCE_PERCENT: 'invoice_match_tolerance_percent',
+    MAINTENANCE_REMINDER_DAYS: 'equipment_maintenance_reminder_days',
+    DOCUMENT_EXPIRY_REMINDER_DAYS: 'document_expiry_reminder_days',
+    NOTIFICATION_EMAIL_ENABLED: 'notification_email_enabled',
+    WORKING_HOURS_PER_DAY: 'working_hours_per_day',
+    PROJECT_HEALTH_BASIS: 'project_health_basis',
+    EVM_HEALTH_BANDS: 'evm_health_bands',
+    RISK_EXPOSURE_BANDS: 'risk_exposure_bands'
+  },
   
   // Cache TTL (in seconds)
   CACHE_TTL: {
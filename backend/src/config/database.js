@@ -47,15 +47,20 @@ pool.on('error', (error) => {
 
 /**
  * Execute a database query
+ *
+ * Model functions end with the same optional `connection` argument and pass
+ * it through here, so a service can run several of them inside one
+ * transaction() by handing each the callback's connection.
  * @param {string} sql - SQL query string
  * @param {Array} params - Query parameters
+ * @param {Object} [connection] - Transaction connection (defaults to the pool)
  * @returns {Promise<Array>} Query results
  */
-const query = async (sql, params = []) => {
+const query = async (sql, params = [], connection = null) => {
   const start = Date.now();
   
   try {
-    const [rows] = await pool.execute(sql, params);
+    const [rows] = await (connection || pool).execute(sql, params);
     const duration = Date.now() - start;
     
     // Log slow queries (> 1 second)
@@ -45,9 +45,35 @@ const config = {
   LOG_DIR: process.env.LOG_DIR || 'logs',
   LOG_MAX_FILES: process.env.LOG_MAX_FILES || '14d',
   
-  // Pagination
-  DEFAULT_PAGE_SIZE: parseInt(process.env.DEFAULT_PAGE_SIZE, 10) || 20,
-  MAX_PAGE_SIZE: parseInt(process.env.MAX_PAGE_SIZE, 10) || 100,
+  // Email (SMTP)
+  EMAIL_ENABLED: process.env.EMAIL_ENABLED !== 'false',
+  EMAIL_HOST: process.env.EMAIL_HOST || 'localhost',
+  EMAIL_PORT: parseInt(process.env.EMAIL_PORT, 10) || 1025,
+  EMAIL_SECURE: process.env.EMAIL_SECURE === 'true',
+  EMAIL_USER: process.env.EMAIL_USER || '',
+  EMAIL_PASSWORD: process.env.EMAIL_PASSWORD || '',
+  EMAIL_FROM: process.env.EMAIL_FROM || 'PMIS Tétouan <noreply@prefecture-tetouan.ma>',
+  EMAIL_MAX_ATTEMPTS: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5,
+  
+  // Document storage
+  DOCUMENT_STORAGE: process.env.DOCUMENT_STORAGE || 'local',
+  UPLOAD_DIR: process.env.UPLOAD_DIR || 'uploads',
+  MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE, 10) || 10485760,
+  
+  // System settings
+  SETTINGS_ENCRYPTION_KEY: process.env.SETTINGS_ENCRYPTION_KEY || 'development-settings-key-change-in-production',
+  SETTINGS_CACHE_TTL_MS: parseInt(process.env.SETTINGS_CACHE_TTL_MS, 10) || 60000,
+  
+  // Background jobs (disabled under test)
+  JOBS_ENABLED: process.env.JOBS_ENABLED
+    ? process.env.JOBS_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'test',
+  APPROVAL_SLA_JOB_INTERVAL_MS: parseInt(process.env.APPROVAL_SLA_JOB_INTERVAL_MS, 10) || 900000,
+  MILESTONE_STATUS_JOB_INTERVAL_MS: parseInt(process.env.MILESTONE_STATUS_JOB_INTERVAL_MS, 10) || 3600000,
+  NOTIFICATION_JOB_INTERVAL_MS: parseInt(process.env.NOTIFICATION_JOB_INTERVAL_MS, 10) || 3600000,
+  EMAIL_OUTBOX_JOB_INTERVAL_MS: parseInt(process.env.EMAIL_OUTBOX_JOB_INTERVAL_MS, 10) || 60000,
+  DOCUMENT_RETENTION_JOB_INTERVAL_MS: parseInt(process.env.DOCUMENT_RETENTION_JOB_INTERVAL_MS, 10) || 86400000,
+  PERSONNEL_ACCRUAL_JOB_INTERVAL_MS: parseInt(process.env.PERSONNEL_ACCRUAL_JOB_INTERVAL_MS, 10) || 86400000,
   
   // URLs
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3001',
@@ -59,7 +85,8 @@ if (config.NODE_ENV === 'production') {
   const requiredVars = [
     'DB_PASSWORD',
     'JWT_SECRET',
-    'JWT_REFRESH_SECRET'
+    'JWT_REFRESH_SECRET',
+    'SETTINGS_ENCRYPTION_KEY'
   ];
   
   const missingVars = requiredVars.filter(varName => !process.env[varName]);
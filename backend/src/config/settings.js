@@ -0,0 +1,188 @@
+/**
+ * System Settings Registry
+ * Settings the application reads, with their type, default and limits, and
+ * the in-process cache of the values stored in system_settings
+ *
+ * The settings service fills the cache and reloads it once stale or after a
+ * change. Readers that cannot wait for the database (pagination) use
+ * getCached(), which falls back to the registry default.
+ */
+
+const { SETTING_TYPE, SETTING_KEY, PROJECT_HEALTH_BASIS } = require('./constants');
+const { SETTINGS_CACHE_TTL_MS } = require('./environment');
+
+const isPercentList = (value) => {
+  if (!Array.isArray(value) || value.length === 0 ||
+      !value.every(item => typeof item === 'number' && item > 0 && item <= 200)) {
+    return 'Must be a non-empty list of percentages between 0 and 200';
+  }
+
+  if (value.some((item, index) => index > 0 && item <= value[index - 1])) {
+    return 'Percentages must be in increasing order';
+  }
+
+  return null;
+};
+
+const isIndexBands = (value) => {
+  const isIndex = (item) => typeof item === 'number' && item > 0 && item <= 2;
+
+  if (!value || typeof value !== 'object' || !isIndex(value.green) || !isIndex(value.yellow)) {
+    return 'Must be an object with green and yellow index thresholds between 0 and 2';
+  }
+
+  if (value.yellow >= value.green) {
+    return 'The yellow threshold must be below the green threshold';
+  }
+
+  return null;
+};
+
+const isScoreBands = (value) => {
+  const isScore = (item) => Number.isInteger(item) && item >= 1 && item <= 25;
+
+  if (!value || typeof value !== 'object' || !isScore(value.high) || !isScore(value.medium)) {
+    return 'Must be an object with high and medium exposure thresholds between 1 and 25';
+  }
+
+  if (value.medium >= value.high) {
+    return 'The medium threshold must be below the high threshold';
+  }
+
+  return null;
+};
+
+/**
+ * Known settings: type, defaultValue, description, optional min/max (numbers)
+ * and validate(value) returning an error message or null
+ */
+const SETTING_DEFINITIONS = {
+  [SETTING_KEY.BUDGET_ALERT_THRESHOLDS]: {
+    type: SETTING_TYPE.JSON,
+    defaultValue: [50, 75, 90, 100],
+    description: 'Budget consumption levels (% of allocation spent or committed) that notify',
+    validate: isPercentList
+  },
+  [SETTING_KEY.DEFAULT_PAGE_SIZE]: {
+    type: SETTING_TYPE.INT,
+    defaultValue: 20,
+    description: 'Items per page when a list request gives no limit',
+    min: 1,
+    max: 100
+  },
+  [SETTING_KEY.MAX_PAGE_SIZE]: {
+    type: SETTING_TYPE.INT,
+    defaultValue: 100,
+    description: 'Largest page a list request may ask for',
+    min: 1,
+    max: 100
+  },
+  [SETTING_KEY.INVOICE_MATCH_TOLERANCE_PERCENT]: {
+    type: SETTING_TYPE.DECIMAL,
+    defaultValue: 2,
+    description: 'Accepted gap (%) between invoice, purchase order and receipts in the three-way match',
+    min: 0,
+    max: 100
+  },
+  [SETTING_KEY.MAINTENANCE_REMINDER_DAYS]: {
+    type: SETTING_TYPE.INT,
+    defaultValue: 7,
+    description: 'Days before maintenance to send reminder',
+    min: 0,
+    max: 365
+  },
+  [SETTING_KEY.DOCUMENT_EXPIRY_REMINDER_DAYS]: {
+    type: SETTING_TYPE.INT,
+    defaultValue: 30,
+    description: 'Days before a document validity end to send reminder',
+    min: 1,
+    max: 365
+  },
+  [SETTING_KEY.NOTIFICATION_EMAIL_ENABLED]: {
+    type: SETTING_TYPE.BOOLEAN,
+    defaultValue: true,
+    description: 'Enable email notifications'
+  },
+  [SETTING_KEY.WORKING_HOURS_PER_DAY]: {
+    type: SETTING_TYPE.DECIMAL,
+    defaultValue: 8,
+    description: 'Hours in a working day (Monday to Friday) for personnel cost accrual',
+    min: 1,
+    max: 24
+  },
+  [SETTING_KEY.PROJECT_HEALTH_BASIS]: {
+    type: SETTING_TYPE.STRING,
+    defaultValue: PROJECT_HEALTH_BASIS.SCHEDULE,
+    description: 'Overall project health from days remaining and budget status (SCHEDULE) or SPI/CPI bands (EVM)',
+    validate: value => (Object.values(PROJECT_HEALTH_BASIS).includes(value)
+      ? null
+      : `Must be one of: ${Object.values(PROJECT_HEALTH_BASIS).join(', ')}`)
+  },
+  [SETTING_KEY.EVM_HEALTH_BANDS]: {
+    type: SETTING_TYPE.JSON,
+    defaultValue: { green: 0.95, yellow: 0.85 },
+    description: 'SPI/CPI at or above green are GREEN, at or above yellow YELLOW, below RED',
+    validate: isIndexBands
+  },
+  [SETTING_KEY.RISK_EXPOSURE_BANDS]: {
+    type: SETTING_TYPE.JSON,
+    defaultValue: { high: 15, medium: 8 },
+    description: 'Risk exposure (likelihood x impact) at or above high is HIGH, at or above medium MEDIUM, below LOW',
+    validate: isScoreBands
+  }
+};
+
+let cache = { values: new Map(), loadedAt: 0 };
+let reload = null;
+
+/**
+ * Let the settings service reload a stale cache on synchronous reads
+ */
+const registerLoader = (loader) => {
+  reload = loader;
+};
+
+/**
+ * Replace the cached values
+ * @param {Map} values - setting key => decoded value
+ */
+const fill = (values) => {
+  cache = { values, loadedAt: Date.now() };
+};
+
+/**
+ * Mark the cache stale (values are kept until the reload)
+ */
+const invalidate = () => {
+  cache.loadedAt = 0;
+};
+
+/**
+ * Whether the cache was loaded less than SETTINGS_CACHE_TTL_MS ago
+ */
+const isFresh = () => cache.loadedAt > 0 && Date.now() - cache.loadedAt < SETTINGS_CACHE_TTL_MS;
+
+/**
+ * Cached value of a setting, or its registry default
+ * A stale cache is reloaded in the background for the next read.
+ */
+const getCached = (key) => {
+  if (reload && !isFresh()) {
+    reload();
+  }
+
+  if (cache.values.has(key)) {
+    return cache.values.get(key);
+  }
+
+  return SETTING_DEFINITIONS[key] ? SETTING_DEFINITIONS[key].defaultValue : undefined;
+};
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  registerLoader,
+  fill,
+  invalidate,
+  isFresh,
+  getCached
+};
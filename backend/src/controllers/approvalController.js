@@ -1,393 +1,375 @@
 /**
  * Approval Controller
- * Handles HTTP requests for approval workflows
- * @module controllers/approvalController
+ * Handle approval request and workflow endpoints
  */
 
 const approvalService = require('../services/approvalService');
-const { validationResult } = require('express-validator');
+const approvalWorkflowService = require('../services/approvalWorkflowService');
+const approvalDelegationService = require('../services/approvalDelegationService');
 const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
- * Get all approvals with pagination and filtering
- * @route GET /api/approvals
- * @access Private
+ * @route   GET /api/v1/approvals
+ * @desc    List approval requests with filtering and pagination
+ * @access  Private (own requests unless admin/supervisor)
  */
-const getAllApprovals = async (req, res, next) => {
-  try {
-    const { 
-      page = 1, 
-      limit = 20, 
-      status, 
-      type, 
-      entityType,
-      approverId,
-      requesterId 
-    } = req.query;
-    
-    const filters = {
-      status,
-      type,
-      entityType,
-      approverId: approverId ? parseInt(approverId) : undefined,
-      requesterId: requesterId ? parseInt(requesterId) : undefined
-    };
-
-    // Non-admins can only see their own approvals or those they need to approve
-    if (req.user.role !== 'ADMIN' && req.user.role !== 'SUPERVISOR') {
-      filters.userId = req.user.id;
-    }
-
-    const result = await approvalService.getAllApprovals(
-      parseInt(page),
-      parseInt(limit),
-      filters
-    );
-
-    res.status(200).json({
-      success: true,
-      data: result.approvals,
-      pagination: {
-        currentPage: result.currentPage,
-        totalPages: result.totalPages,
-        totalItems: result.totalItems,
-        itemsPerPage: result.itemsPerPage
-      }
-    });
-  } catch (error) {
-    logger.error('Error in getAllApprovals:', error);
-    next(error);
-  }
-};
+const listApprovals = asyncHandler(async (req, res) => {
+  const filters = {
+    status: req.query.status,
+    requestType: req.query.requestType,
+    projectId: req.query.projectId ? parseInt(req.query.projectId, 10) : undefined,
+    requesterId: req.query.requesterId ? parseInt(req.query.requesterId, 10) : undefined,
+    approverId: req.query.approverId ? parseInt(req.query.approverId, 10) : undefined,
+    dateFrom: req.query.dateFrom,
+    dateTo: req.query.dateTo
+  };
+
+  const pagination = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 20
+  };
+
+  const result = await approvalService.listApprovals(filters, pagination, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
 
 /**
- * Get approval by ID
- * @route GET /api/approvals/:id
- * @access Private
+ * @route   GET /api/v1/approvals/pending
+ * @desc    Get requests waiting on the current user's decision
+ * @access  Private
  */
-const getApprovalById = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const approval = await approvalService.getApprovalById(parseInt(id));
-
-    if (!approval) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'APPROVAL_NOT_FOUND',
-          message: 'Approval not found'
-        }
-      });
-    }
-
-    // Check authorization
-    if (
-      req.user.role !== 'ADMIN' && 
-      req.user.role !== 'SUPERVISOR' &&
-      approval.requester_id !== req.user.id &&
-      approval.approver_id !== req.user.id
-    ) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'You do not have access to this approval'
-        }
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      data: approval
-    });
-  } catch (error) {
-    logger.error('Error in getApprovalById:', error);
-    next(error);
-  }
-};
+const getPendingApprovals = asyncHandler(async (req, res) => {
+  const pagination = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 20
+  };
+
+  const result = await approvalService.getPendingApprovals(req.user.id, pagination);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
 
 /**
- * Create new approval request
- * @route POST /api/approvals
- * @access Private
+ * @route   GET /api/v1/approvals/stats
+ * @desc    Get approval statistics
+ * @access  Private (ADMIN, SUPERVISOR)
  */
-const createApproval = async (req, res, next) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(422).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Validation failed',
-          details: errors.array()
-        }
-      });
-    }
-
-    const approvalData = {
-      ...req.body,
-      requester_id: req.user.id
-    };
-
-    const approval = await approvalService.createApproval(approvalData);
-
-    logger.info(`Approval request created: ${approval.id} by user ${req.user.id}`);
-
-    res.status(201).json({
-      success: true,
-      data: approval,
-      message: 'Approval request created successfully'
-    });
-  } catch (error) {
-    logger.error('Error in createApproval:', error);
-    next(error);
-  }
-};
+const getApprovalStats = asyncHandler(async (req, res) => {
+  const filters = {
+    approverId: req.query.approverId ? parseInt(req.query.approverId, 10) : undefined,
+    dateFrom: req.query.dateFrom,
+    dateTo: req.query.dateTo
+  };
+
+  const stats = await approvalService.getApprovalStats(filters);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: stats
+  });
+});
 
 /**
- * Approve a request
- * @route POST /api/approvals/:id/approve
- * @access Private
+ * @route   POST /api/v1/approvals
+ * @desc    Submit approval request routed through the active workflow
+ * @access  Private
  */
-const approveRequest = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const { comments } = req.body;
-
-    const approval = await approvalService.approveRequest(
-      parseInt(id),
-      req.user.id,
-      comments
-    );
-
-    if (!approval) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'APPROVAL_NOT_FOUND',
-          message: 'Approval not found'
-        }
-      });
-    }
-
-    logger.info(`Approval approved: ${id} by user ${req.user.id}`);
-
-    res.status(200).json({
-      success: true,
-      data: approval,
-      message: 'Request approved successfully'
-    });
-  } catch (error) {
-    if (error.message === 'UNAUTHORIZED_APPROVER') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'You are not authorized to approve this request'
-        }
-      });
-    }
-    if (error.message === 'ALREADY_PROCESSED') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'ALREADY_PROCESSED',
-          message: 'This approval has already been processed'
-        }
-      });
-    }
-    logger.error('Error in approveRequest:', error);
-    next(error);
-  }
-};
+const createApproval = asyncHandler(async (req, res) => {
+  const approval = await approvalService.createApproval(req.body, req.user, req.auditContext);
+
+  logger.info('Approval request created:', {
+    approvalId: approval.id,
+    approvalCode: approval.approvalCode,
+    requestType: approval.requestType,
+    createdBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: approval
+  });
+});
 
 /**
- * Reject a request
- * @route POST /api/approvals/:id/reject
- * @access Private
+ * @route   GET /api/v1/approvals/:id
+ * @desc    Get approval request with its steps
+ * @access  Private (requester, approvers, admin/supervisor)
  */
-const rejectRequest = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const { comments } = req.body;
-
-    if (!comments || comments.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'COMMENTS_REQUIRED',
-          message: 'Comments are required when rejecting a request'
-        }
-      });
-    }
-
-    const approval = await approvalService.rejectRequest(
-      parseInt(id),
-      req.user.id,
-      comments
-    );
-
-    if (!approval) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'APPROVAL_NOT_FOUND',
-          message: 'Approval not found'
-        }
-      });
-    }
-
-    logger.info(`Approval rejected: ${id} by user ${req.user.id}`);
-
-    res.status(200).json({
-      success: true,
-      data: approval,
-      message: 'Request rejected successfully'
-    });
-  } catch (error) {
-    if (error.message === 'UNAUTHORIZED_APPROVER') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'You are not authorized to reject this request'
-        }
-      });
-    }
-    if (error.message === 'ALREADY_PROCESSED') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'ALREADY_PROCESSED',
-          message: 'This approval has already been processed'
-        }
-      });
-    }
-    logger.error('Error in rejectRequest:', error);
-    next(error);
-  }
-};
+const getApproval = asyncHandler(async (req, res) => {
+  const approvalId = parseInt(req.params.id, 10);
+
+  const approval = await approvalService.getApprovalById(approvalId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: approval
+  });
+});
 
 /**
- * Cancel approval request
- * @route POST /api/approvals/:id/cancel
- * @access Private
+ * @route   GET /api/v1/approvals/:id/history
+ * @desc    Get decisions taken on an approval request
+ * @access  Private (requester, approvers, admin/supervisor)
  */
-const cancelRequest = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const { reason } = req.body;
-
-    const approval = await approvalService.cancelRequest(
-      parseInt(id),
-      req.user.id,
-      reason
-    );
-
-    if (!approval) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'APPROVAL_NOT_FOUND',
-          message: 'Approval not found'
-        }
-      });
-    }
-
-    logger.info(`Approval cancelled: ${id} by user ${req.user.id}`);
-
-    res.status(200).json({
-      success: true,
-      data: approval,
-      message: 'Request cancelled successfully'
-    });
-  } catch (error) {
-    if (error.message === 'UNAUTHORIZED_CANCEL') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'You are not authorized to cancel this request'
-        }
-      });
-    }
-    if (error.message === 'CANNOT_CANCEL') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'CANNOT_CANCEL',
-          message: 'Cannot cancel an already processed request'
-        }
-      });
-    }
-    logger.error('Error in cancelRequest:', error);
-    next(error);
-  }
-};
+const getApprovalHistory = asyncHandler(async (req, res) => {
+  const approvalId = parseInt(req.params.id, 10);
+
+  const history = await approvalService.getApprovalHistory(approvalId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: history
+  });
+});
 
 /**
- * Get pending approvals for current user
- * @route GET /api/approvals/pending
- * @access Private
+ * @route   POST /api/v1/approvals/:id/approve
+ * @desc    Approve the current level of a request
+ * @access  Private (assigned approver)
  */
-const getPendingApprovals = async (req, res, next) => {
-  try {
-    const { page = 1, limit = 20 } = req.query;
-
-    const result = await approvalService.getPendingApprovals(
-      req.user.id,
-      parseInt(page),
-      parseInt(limit)
-    );
-
-    res.status(200).json({
-      success: true,
-      data: result.approvals,
-      pagination: {
-        currentPage: result.currentPage,
-        totalPages: result.totalPages,
-        totalItems: result.totalItems
-      }
-    });
-  } catch (error) {
-    logger.error('Error in getPendingApprovals:', error);
-    next(error);
-  }
-};
+const approveRequest = asyncHandler(async (req, res) => {
+  const approvalId = parseInt(req.params.id, 10);
+
+  const approval = await approvalService.approveRequest(approvalId, req.user, req.body.comments, req.auditContext);
+
+  logger.info('Approval level approved:', {
+    approvalId,
+    status: approval.status,
+    approvalLevel: approval.approvalLevel,
+    approvedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: approval
+  });
+});
 
 /**
- * Get approval statistics
- * @route GET /api/approvals/stats
- * @access Private (ADMIN, SUPERVISOR)
+ * @route   POST /api/v1/approvals/:id/reject
+ * @desc    Reject a request at its current level
+ * @access  Private (assigned approver)
  */
-const getApprovalStats = async (req, res, next) => {
-  try {
-    const { userId, startDate, endDate } = req.query;
-
-    const stats = await approvalService.getApprovalStats(
-      userId ? parseInt(userId) : undefined,
-      startDate,
-      endDate
-    );
-
-    res.status(200).json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    logger.error('Error in getApprovalStats:', error);
-    next(error);
-  }
-};
+const rejectRequest = asyncHandler(async (req, res) => {
+  const approvalId = parseInt(req.params.id, 10);
+
+  const approval = await approvalService.rejectRequest(approvalId, req.user, req.body.reason, req.auditContext);
+
+  logger.info('Approval rejected:', { approvalId, rejectedBy: req.user.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: approval
+  });
+});
+
+/**
+ * @route   POST /api/v1/approvals/:id/delegate
+ * @desc    Hand the current user's pending step over to another user
+ * @access  Private (assigned approver)
+ */
+const delegateApproval = asyncHandler(async (req, res) => {
+  const approvalId = parseInt(req.params.id, 10);
+
+  const approval = await approvalService.delegateApproval(
+    approvalId,
+    req.user,
+    req.body.delegateUserId,
+    req.body.reason,
+    req.auditContext
+  );
+
+  logger.info('Approval delegated:', {
+    approvalId,
+    delegatedBy: req.user.id,
+    delegateUserId: req.body.delegateUserId
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: approval
+  });
+});
+
+/**
+ * @route   POST /api/v1/approvals/:id/cancel
+ * @desc    Withdraw a pending request
+ * @access  Private (requester or admin)
+ */
+const cancelRequest = asyncHandler(async (req, res) => {
+  const approvalId = parseInt(req.params.id, 10);
+
+  const approval = await approvalService.cancelRequest(approvalId, req.user, req.body.reason, req.auditContext);
+
+  logger.info('Approval cancelled:', { approvalId, cancelledBy: req.user.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: approval
+  });
+});
+
+/**
+ * @route   GET /api/v1/approvals/delegations
+ * @desc    List delegation rules
+ * @access  Private (own rules unless admin)
+ */
+const listDelegations = asyncHandler(async (req, res) => {
+  const filters = {
+    delegatorId: req.query.delegatorId ? parseInt(req.query.delegatorId, 10) : undefined,
+    delegateId: req.query.delegateId ? parseInt(req.query.delegateId, 10) : undefined,
+    includeInactive: req.query.includeInactive === 'true'
+  };
+
+  const delegations = await approvalDelegationService.listDelegations(filters, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: delegations
+  });
+});
+
+/**
+ * @route   POST /api/v1/approvals/delegations
+ * @desc    Delegate approvals to another user for a period
+ * @access  Private (own approvals unless admin)
+ */
+const createDelegation = asyncHandler(async (req, res) => {
+  const delegation = await approvalDelegationService.createDelegation(req.body, req.user);
+
+  logger.info('Approval delegation created:', {
+    delegationId: delegation.id,
+    delegatorUserId: delegation.delegatorUserId,
+    delegateUserId: delegation.delegateUserId,
+    createdBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: delegation
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/approvals/delegations/:id
+ * @desc    Revoke a delegation rule
+ * @access  Private (delegator or admin)
+ */
+const revokeDelegation = asyncHandler(async (req, res) => {
+  const delegationId = parseInt(req.params.id, 10);
+
+  const delegation = await approvalDelegationService.revokeDelegation(delegationId, req.user);
+
+  logger.info('Approval delegation revoked:', { delegationId, revokedBy: req.user.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: delegation
+  });
+});
+
+/**
+ * @route   GET /api/v1/approvals/workflows
+ * @desc    List workflow versions
+ * @access  Private
+ */
+const listWorkflows = asyncHandler(async (req, res) => {
+  const filters = {
+    requestType: req.query.requestType,
+    includeInactive: req.query.includeInactive === 'true'
+  };
+
+  const workflows = await approvalWorkflowService.listWorkflows(filters);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: workflows
+  });
+});
+
+/**
+ * @route   GET /api/v1/approvals/workflows/:requestType
+ * @desc    Get the active workflow of a request type
+ * @access  Private
+ */
+const getActiveWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await approvalWorkflowService.getActiveWorkflow(req.params.requestType);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: workflow
+  });
+});
+
+/**
+ * @route   POST /api/v1/approvals/workflows
+ * @desc    Create a new workflow version for a request type
+ * @access  Private (settings_update permission)
+ */
+const createWorkflowVersion = asyncHandler(async (req, res) => {
+  const workflow = await approvalWorkflowService.createWorkflowVersion(req.body, req.user.id);
+
+  logger.info('Approval workflow version created:', {
+    workflowId: workflow.id,
+    requestType: workflow.requestType,
+    version: workflow.version,
+    createdBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: workflow
+  });
+});
+
+/**
+ * @route   POST /api/v1/approvals/workflows/:id/activate
+ * @desc    Make a workflow version the active one
+ * @access  Private (settings_update permission)
+ */
+const activateWorkflowVersion = asyncHandler(async (req, res) => {
+  const workflowId = parseInt(req.params.id, 10);
+
+  const workflow = await approvalWorkflowService.activateWorkflowVersion(workflowId);
+
+  logger.info('Approval workflow version activated:', {
+    workflowId,
+    requestType: workflow.requestType,
+    version: workflow.version,
+    activatedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: workflow
+  });
+});
 
 module.exports = {
-  getAllApprovals,
-  getApprovalById,
+  listApprovals,
+  getPendingApprovals,
+  getApprovalStats,
   createApproval,
+  getApproval,
+  getApprovalHistory,
   approveRequest,
   rejectRequest,
+  delegateApproval,
   cancelRequest,
-  getPendingApprovals,
-  getApprovalStats
+  listDelegations,
+  createDelegation,
+  revokeDelegation,
+  listWorkflows,
+  getActiveWorkflow,
+  createWorkflowVersion,
+  activateWorkflowVersion
 };
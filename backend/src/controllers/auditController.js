@@ -0,0 +1,103 @@
+/**
+ * Audit Controller
+ * Handle audit trail queries, exports and chain verification
+ */
+
+const auditService = require('../services/auditService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Read the audit filters from the query string
+ */
+const getFilters = (query) => ({
+  entityType: query.entityType,
+  entityId: query.entityId ? parseInt(query.entityId, 10) : undefined,
+  userId: query.userId ? parseInt(query.userId, 10) : undefined,
+  action: query.action,
+  isSensitive: query.isSensitive !== undefined ? query.isSensitive === 'true' : undefined,
+  dateFrom: query.dateFrom,
+  dateTo: query.dateTo
+});
+
+/**
+ * @route   GET /api/v1/audit
+ * @desc    List audit entries with filtering and pagination
+ * @access  Private (audit_read permission)
+ */
+const listEntries = asyncHandler(async (req, res) => {
+  const pagination = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 20
+  };
+
+  const result = await auditService.listEntries(getFilters(req.query), pagination);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   GET /api/v1/audit/entities/:entityType/:entityId
+ * @desc    Get the change history of one entity, oldest first
+ * @access  Private (audit_read permission)
+ */
+const getEntityTimeline = asyncHandler(async (req, res) => {
+  const entityId = parseInt(req.params.entityId, 10);
+
+  const timeline = await auditService.getEntityTimeline(req.params.entityType, entityId);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: timeline
+  });
+});
+
+/**
+ * @route   GET /api/v1/audit/export
+ * @desc    Download the audit entries matching the filters as CSV or JSON
+ * @access  Private (audit_read permission)
+ */
+const exportEntries = asyncHandler(async (req, res) => {
+  const filters = getFilters(req.query);
+  const format = req.query.format || 'csv';
+
+  const file = await auditService.exportEntries(filters, format);
+
+  logger.info('Audit log exported:', { format, count: file.count, exportedBy: req.user.id, filters });
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.status(HTTP_STATUS.OK).send(file.content);
+});
+
+/**
+ * @route   GET /api/v1/audit/verify
+ * @desc    Check the audit log hash chain for edited or deleted entries
+ * @access  Private (audit_read permission)
+ */
+const verifyChain = asyncHandler(async (req, res) => {
+  const result = await auditService.verifyChain();
+
+  if (!result.valid) {
+    logger.warn('Audit log chain verification failed:', {
+      checkedBy: req.user.id,
+      issues: result.issues.slice(0, 10)
+    });
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  listEntries,
+  getEntityTimeline,
+  exportEntries,
+  verifyChain
+};
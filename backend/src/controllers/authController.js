@@ -7,6 +7,7 @@ const authService = require('../services/authService');
 const logger = require('../middleware/logger');
 const { HTTP_STATUS } = require('../config/constants');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { buildAuditContext } = require('../middleware/auth');
 
 /**
  * @route   POST /api/v1/auth/login
@@ -92,7 +93,7 @@ const passwordResetRequest = asyncHandler(async (req, res) => {
 const passwordReset = asyncHandler(async (req, res) => {
   const { token, newPassword } = req.body;
   
-  await authService.resetPassword(token, newPassword);
+  await authService.resetPassword(token, newPassword, buildAuditContext(req));
   
   logger.info('Password reset successful');
   
@@ -111,7 +112,7 @@ const changePassword = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { currentPassword, newPassword } = req.body;
   
-  await authService.changePassword(userId, currentPassword, newPassword);
+  await authService.changePassword(userId, currentPassword, newPassword, req.auditContext);
   
   logger.info('Password changed successfully:', { userId });
   
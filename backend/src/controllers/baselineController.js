@@ -0,0 +1,91 @@
+/**
+ * Baseline Controller
+ * Handle project baseline endpoints
+ */
+
+const baselineService = require('../services/baselineService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/projects/:id/baselines
+ * @desc    List project baselines, newest first
+ * @access  Private (project_read permission)
+ */
+const listBaselines = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const baselines = await baselineService.listBaselines(projectId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: baselines
+  });
+});
+
+/**
+ * @route   GET /api/v1/projects/:id/baselines/:baselineId
+ * @desc    Get a baseline with its snapshot
+ * @access  Private (project_read permission)
+ */
+const getBaseline = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const baselineId = parseInt(req.params.baselineId, 10);
+
+  const baseline = await baselineService.getBaseline(projectId, baselineId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: baseline
+  });
+});
+
+/**
+ * @route   POST /api/v1/projects/:id/baselines
+ * @desc    Capture a baseline (re-baselines are submitted for approval)
+ * @access  Private (project_update permission)
+ */
+const createBaseline = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const baseline = await baselineService.createBaseline(projectId, req.body, req.user, req.auditContext);
+
+  logger.info('Project baseline created:', {
+    projectId,
+    baselineId: baseline.id,
+    baselineNumber: baseline.baselineNumber,
+    status: baseline.status,
+    approvalId: baseline.approvalId,
+    createdBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: baseline
+  });
+});
+
+/**
+ * @route   GET /api/v1/projects/:id/baselines/:baselineId/variance
+ * @desc    Compare the current state of the project with a baseline
+ * @access  Private (project_read permission)
+ */
+const getBaselineVariance = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const baselineId = parseInt(req.params.baselineId, 10);
+
+  const variance = await baselineService.getBaselineVariance(projectId, baselineId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: variance
+  });
+});
+
+module.exports = {
+  listBaselines,
+  getBaseline,
+  createBaseline,
+  getBaselineVariance
+};
@@ -27,7 +27,8 @@ const getAllBudgets = async (req, res, next) => {
     const result = await budgetService.getAllBudgets(
       parseInt(page),
       parseInt(limit),
-      filters
+      filters,
+      req.user
     );
 
     res.status(200).json({
@@ -54,7 +55,7 @@ const getAllBudgets = async (req, res, next) => {
 const getBudgetById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const budget = await budgetService.getBudgetById(parseInt(id));
+    const budget = await budgetService.getBudgetById(parseInt(id), req.user);
 
     if (!budget) {
       return res.status(404).json({
@@ -100,7 +101,7 @@ const createBudget = async (req, res, next) => {
       created_by: req.user.id
     };
 
-    const budget = await budgetService.createBudget(budgetData);
+    const budget = await budgetService.createBudget(budgetData, req.user, req.auditContext);
 
     logger.info(`Budget created: ${budget.id} by user ${req.user.id}`);
 
@@ -140,7 +141,7 @@ const updateBudget = async (req, res, next) => {
       updated_by: req.user.id
     };
 
-    const budget = await budgetService.updateBudget(parseInt(id), updateData);
+    const budget = await budgetService.updateBudget(parseInt(id), updateData, req.user, req.auditContext);
 
     if (!budget) {
       return res.status(404).json({
@@ -174,7 +175,7 @@ const deleteBudget = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const result = await budgetService.deleteBudget(parseInt(id), req.user.id);
+    const result = await budgetService.deleteBudget(parseInt(id), req.user, req.auditContext);
 
     if (!result) {
       return res.status(404).json({
@@ -218,9 +219,20 @@ const getBudgetTransactions = async (req, res, next) => {
       parseInt(id),
       parseInt(page),
       parseInt(limit),
-      filters
+      filters,
+      req.user
     );
 
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'BUDGET_NOT_FOUND',
+          message: 'Budget not found'
+        }
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: result.transactions,
@@ -262,7 +274,7 @@ const recordTransaction = async (req, res, next) => {
       created_by: req.user.id
     };
 
-    const transaction = await budgetService.recordTransaction(transactionData);
+    const transaction = await budgetService.recordTransaction(transactionData, req.user);
 
     logger.info(`Transaction recorded for budget ${id} by user ${req.user.id}`);
 
@@ -285,7 +297,7 @@ const recordTransaction = async (req, res, next) => {
 const getBudgetSummary = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const summary = await budgetService.getBudgetSummary(parseInt(id));
+    const summary = await budgetService.getBudgetSummary(parseInt(id), req.user);
 
     if (!summary) {
       return res.status(404).json({
@@ -335,7 +347,7 @@ const getBudgetAlerts = async (req, res, next) => {
 const getBudgetForecast = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const forecast = await budgetService.getBudgetForecast(parseInt(id));
+    const forecast = await budgetService.getBudgetForecast(parseInt(id), req.user);
 
     if (!forecast) {
       return res.status(404).json({
@@ -0,0 +1,104 @@
+/**
+ * Completion Controller
+ * Handle project completion roll-up and override endpoints
+ */
+
+const completionService = require('../services/completionService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/projects/:id/completion
+ * @desc    Get project completion with its roll-up method, override and history
+ * @access  Private (project_read permission)
+ */
+const getCompletion = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const completion = await completionService.getCompletion(projectId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: completion
+  });
+});
+
+/**
+ * @route   PUT /api/v1/projects/:id/completion/method
+ * @desc    Change the roll-up method of project completion
+ * @access  Private (project_update permission)
+ */
+const setMethod = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const completion = await completionService.setMethod(
+    projectId, req.body.completionMethod, req.user, req.auditContext
+  );
+
+  logger.info('Project completion method changed:', {
+    projectId,
+    completionMethod: completion.completionMethod,
+    updatedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: completion
+  });
+});
+
+/**
+ * @route   PUT /api/v1/projects/:id/completion/override
+ * @desc    Override project completion with a justification
+ * @access  Private (project_update permission, project managers)
+ */
+const overrideCompletion = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const completion = await completionService.overrideCompletion(
+    projectId, req.body, req.user, req.auditContext
+  );
+
+  logger.info('Project completion overridden:', {
+    projectId,
+    completionPercentage: completion.completionPercentage,
+    overriddenBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: completion
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/projects/:id/completion/override
+ * @desc    Remove the override and return to the roll-up value
+ * @access  Private (project_update permission, project managers)
+ */
+const clearOverride = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const completion = await completionService.clearOverride(
+    projectId, req.body.justification || null, req.user, req.auditContext
+  );
+
+  logger.info('Project completion override removed:', {
+    projectId,
+    completionPercentage: completion.completionPercentage,
+    removedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: completion
+  });
+});
+
+module.exports = {
+  getCompletion,
+  setMethod,
+  overrideCompletion,
+  clearOverride
+};
@@ -0,0 +1,230 @@
+/**
+ * Document Controller
+ * Handle document upload, versions, listing, download, deletion and retention rules
+ */
+
+const { pipeline } = require('stream');
+const documentService = require('../services/documentService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Stream a stored file as an attachment
+ * @param {Object} file - mimeType, fileSize, originalFilename
+ */
+const sendFile = (res, file, stream, fallbackName, logContext) => {
+  const filename = encodeURIComponent(file.originalFilename || fallbackName);
+
+  res.setHeader('Content-Type', file.mimeType);
+  res.setHeader('Content-Length', file.fileSize);
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${filename}`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.status(HTTP_STATUS.OK);
+
+  pipeline(stream, res, (error) => {
+    if (error) {
+      logger.error('Document download failed:', { ...logContext, error: error.message });
+    }
+  });
+};
+
+/**
+ * @route   GET /api/v1/documents
+ * @desc    List documents visible to the user with filtering and pagination
+ * @access  Private (document_read permission)
+ */
+const listDocuments = asyncHandler(async (req, res) => {
+  const filters = {
+    projectId: req.query.projectId ? parseInt(req.query.projectId, 10) : undefined,
+    documentType: req.query.documentType,
+    accessLevel: req.query.accessLevel,
+    search: req.query.search,
+    archived: req.query.archived === 'true'
+  };
+
+  const pagination = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 20
+  };
+
+  const result = await documentService.listDocuments(filters, pagination, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   POST /api/v1/documents
+ * @desc    Upload a document (multipart/form-data, file in the "file" field)
+ * @access  Private (document_create permission)
+ */
+const uploadDocument = asyncHandler(async (req, res) => {
+  const document = await documentService.uploadDocument(req.file, req.body, req.user, req.auditContext);
+
+  logger.info('Document uploaded:', {
+    documentId: document.id,
+    documentCode: document.documentCode,
+    projectId: document.projectId,
+    uploadedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: document
+  });
+});
+
+/**
+ * @route   GET /api/v1/documents/:id
+ * @desc    Get document metadata
+ * @access  Private (document_read permission)
+ */
+const getDocumentById = asyncHandler(async (req, res) => {
+  const documentId = parseInt(req.params.id, 10);
+
+  const document = await documentService.getDocumentById(documentId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: document
+  });
+});
+
+/**
+ * @route   GET /api/v1/documents/:id/download
+ * @desc    Download the document file
+ * @access  Private (document_read permission)
+ */
+const downloadDocument = asyncHandler(async (req, res) => {
+  const documentId = parseInt(req.params.id, 10);
+
+  const { document, stream } = await documentService.openDocument(documentId, req.user);
+
+  logger.info('Document downloaded:', { documentId, downloadedBy: req.user.id });
+
+  sendFile(res, document, stream, `${document.documentCode}.${document.fileType}`, { documentId });
+});
+
+/**
+ * @route   POST /api/v1/documents/:id/versions
+ * @desc    Upload a new version of a document (multipart/form-data, file in the "file" field)
+ * @access  Private (document_create permission)
+ */
+const uploadVersion = asyncHandler(async (req, res) => {
+  const documentId = parseInt(req.params.id, 10);
+
+  const document = await documentService.uploadVersion(documentId, req.file, req.body, req.user, req.auditContext);
+
+  logger.info('Document version uploaded:', {
+    documentId,
+    version: document.version,
+    uploadedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: document
+  });
+});
+
+/**
+ * @route   GET /api/v1/documents/:id/versions
+ * @desc    Get the version history of a document with the changes between versions
+ * @access  Private (document_read permission)
+ */
+const getVersionHistory = asyncHandler(async (req, res) => {
+  const documentId = parseInt(req.params.id, 10);
+
+  const history = await documentService.getVersionHistory(documentId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: history
+  });
+});
+
+/**
+ * @route   GET /api/v1/documents/:id/versions/:version/download
+ * @desc    Download the file of a document version
+ * @access  Private (document_read permission)
+ */
+const downloadVersion = asyncHandler(async (req, res) => {
+  const documentId = parseInt(req.params.id, 10);
+  const versionNumber = parseInt(req.params.version, 10);
+
+  const { document, version, stream } = await documentService.openVersion(documentId, versionNumber, req.user);
+
+  logger.info('Document version downloaded:', { documentId, version: versionNumber, downloadedBy: req.user.id });
+
+  sendFile(res, version, stream, `${document.documentCode}-v${version.version}.${version.fileType}`, {
+    documentId,
+    version: versionNumber
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/documents/:id
+ * @desc    Delete a document
+ * @access  Private (document_delete permission)
+ */
+const deleteDocument = asyncHandler(async (req, res) => {
+  const documentId = parseInt(req.params.id, 10);
+
+  await documentService.deleteDocument(documentId, req.user, req.auditContext);
+
+  logger.info('Document deleted:', { documentId, deletedBy: req.user.id });
+
+  res.status(HTTP_STATUS.NO_CONTENT).send();
+});
+
+/**
+ * @route   GET /api/v1/documents/retention-rules
+ * @desc    List the retention rules per document type
+ * @access  Private (settings_update permission)
+ */
+const listRetentionRules = asyncHandler(async (req, res) => {
+  const rules = await documentService.listRetentionRules();
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: rules
+  });
+});
+
+/**
+ * @route   PUT /api/v1/documents/retention-rules/:documentType
+ * @desc    Create or replace the retention rule of a document type
+ * @access  Private (settings_update permission)
+ */
+const setRetentionRule = asyncHandler(async (req, res) => {
+  const result = await documentService.setRetentionRule(req.params.documentType, req.body, req.user, req.auditContext);
+
+  logger.info('Document retention rule set:', {
+    documentType: req.params.documentType,
+    retentionDays: result.rule.retentionDays,
+    retentionAction: result.rule.retentionAction,
+    isActive: result.rule.isActive,
+    updatedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  listDocuments,
+  uploadDocument,
+  getDocumentById,
+  downloadDocument,
+  uploadVersion,
+  getVersionHistory,
+  downloadVersion,
+  deleteDocument,
+  listRetentionRules,
+  setRetentionRule
+};
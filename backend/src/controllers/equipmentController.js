@@ -101,7 +101,7 @@ const createEquipment = async (req, res, next) => {
       created_by: req.user.id
     };
 
-    const equipment = await equipmentService.createEquipment(equipmentData);
+    const equipment = await equipmentService.createEquipment(equipmentData, req.auditContext);
 
     logger.info(`Equipment created: ${equipment.id} by user ${req.user.id}`);
 
@@ -141,7 +141,7 @@ const updateEquipment = async (req, res, next) => {
       updated_by: req.user.id
     };
 
-    const equipment = await equipmentService.updateEquipment(parseInt(id), updateData);
+    const equipment = await equipmentService.updateEquipment(parseInt(id), updateData, req.auditContext);
 
     if (!equipment) {
       return res.status(404).json({
@@ -175,7 +175,7 @@ const deleteEquipment = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const result = await equipmentService.deleteEquipment(parseInt(id), req.user.id);
+    const result = await equipmentService.deleteEquipment(parseInt(id), req.user.id, req.auditContext);
 
     if (!result) {
       return res.status(404).json({
@@ -226,7 +226,7 @@ const allocateEquipment = async (req, res, next) => {
       parseInt(projectId),
       startDate,
       endDate,
-      req.user.id,
+      req.user,
       notes
     );
 
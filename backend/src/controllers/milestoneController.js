@@ -0,0 +1,136 @@
+/**
+ * Milestone Controller
+ * Handle project milestone endpoints
+ */
+
+const milestoneService = require('../services/milestoneService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/projects/:id/milestones
+ * @desc    List project milestones in sequence order
+ * @access  Private (project_read permission)
+ */
+const listMilestones = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const milestones = await milestoneService.listMilestones(projectId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: milestones
+  });
+});
+
+/**
+ * @route   GET /api/v1/projects/:id/milestones/:milestoneId
+ * @desc    Get a milestone with the milestones depending on it
+ * @access  Private (project_read permission)
+ */
+const getMilestone = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const milestoneId = parseInt(req.params.milestoneId, 10);
+
+  const milestone = await milestoneService.getMilestone(projectId, milestoneId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: milestone
+  });
+});
+
+/**
+ * @route   POST /api/v1/projects/:id/milestones
+ * @desc    Create a milestone
+ * @access  Private (project_update permission)
+ */
+const createMilestone = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const milestone = await milestoneService.createMilestone(projectId, req.body, req.user, req.auditContext);
+
+  logger.info('Milestone created:', {
+    projectId,
+    milestoneId: milestone.id,
+    milestoneCode: milestone.milestoneCode,
+    createdBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: milestone
+  });
+});
+
+/**
+ * @route   PUT /api/v1/projects/:id/milestones/:milestoneId
+ * @desc    Update a milestone
+ * @access  Private (project_update permission)
+ */
+const updateMilestone = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const milestoneId = parseInt(req.params.milestoneId, 10);
+
+  const milestone = await milestoneService.updateMilestone(
+    projectId, milestoneId, req.body, req.user, req.auditContext
+  );
+
+  logger.info('Milestone updated:', {
+    projectId,
+    milestoneId,
+    status: milestone.status,
+    updatedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: milestone
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/projects/:id/milestones/:milestoneId
+ * @desc    Delete a milestone
+ * @access  Private (project_update permission)
+ */
+const deleteMilestone = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const milestoneId = parseInt(req.params.milestoneId, 10);
+
+  await milestoneService.deleteMilestone(projectId, milestoneId, req.user, req.auditContext);
+
+  logger.info('Milestone deleted:', { projectId, milestoneId, deletedBy: req.user.id });
+
+  res.status(HTTP_STATUS.NO_CONTENT).send();
+});
+
+/**
+ * @route   PUT /api/v1/projects/:id/milestones/order
+ * @desc    Reorder project milestones
+ * @access  Private (project_update permission)
+ */
+const reorderMilestones = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const milestones = await milestoneService.reorderMilestones(
+    projectId, req.body.milestoneIds, req.user, req.auditContext
+  );
+
+  logger.info('Milestones reordered:', { projectId, updatedBy: req.user.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: milestones
+  });
+});
+
+module.exports = {
+  listMilestones,
+  getMilestone,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  reorderMilestones
+};
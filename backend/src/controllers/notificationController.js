@@ -0,0 +1,135 @@
+/**
+ * Notification Controller
+ * Handle the current user's notification inbox
+ */
+
+const notificationService = require('../services/notificationService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/notifications
+ * @desc    List the current user's notifications, newest first
+ * @access  Private
+ */
+const listNotifications = asyncHandler(async (req, res) => {
+  const filters = {
+    unreadOnly: req.query.unreadOnly === 'true',
+    notificationType: req.query.type,
+    priority: req.query.priority
+  };
+
+  const pagination = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 20
+  };
+
+  const result = await notificationService.listNotifications(req.user.id, filters, pagination);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   GET /api/v1/notifications/unread-count
+ * @desc    Count the current user's unread notifications
+ * @access  Private
+ */
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const counts = await notificationService.getUnreadCount(req.user.id);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: counts
+  });
+});
+
+/**
+ * @route   PATCH /api/v1/notifications/:id/read
+ * @desc    Mark a notification read
+ * @access  Private (recipient)
+ */
+const markRead = asyncHandler(async (req, res) => {
+  const notificationId = parseInt(req.params.id, 10);
+
+  const notification = await notificationService.markRead(notificationId, req.user.id);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: notification
+  });
+});
+
+/**
+ * @route   PATCH /api/v1/notifications/read-all
+ * @desc    Mark all of the current user's notifications read
+ * @access  Private
+ */
+const markAllRead = asyncHandler(async (req, res) => {
+  const result = await notificationService.markAllRead(req.user.id, {
+    notificationType: req.body.type
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private (recipient)
+ */
+const deleteNotification = asyncHandler(async (req, res) => {
+  const notificationId = parseInt(req.params.id, 10);
+
+  await notificationService.deleteNotification(notificationId, req.user.id);
+
+  logger.info('Notification deleted:', { notificationId, userId: req.user.id });
+
+  res.status(HTTP_STATUS.NO_CONTENT).send();
+});
+
+/**
+ * @route   GET /api/v1/notifications/preferences
+ * @desc    Get the current user's email preference per notification type
+ * @access  Private
+ */
+const getPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.getPreferences(req.user.id);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: preferences
+  });
+});
+
+/**
+ * @route   PUT /api/v1/notifications/preferences
+ * @desc    Opt in or out of email per notification type
+ * @access  Private
+ */
+const updatePreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.updatePreferences(req.user.id, req.body.preferences);
+
+  logger.info('Notification preferences updated:', { userId: req.user.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: preferences
+  });
+});
+
+module.exports = {
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+};
@@ -52,7 +52,7 @@ const createProject = asyncHandler(async (req, res) => {
   const projectData = req.body;
   const createdBy = req.user.id;
   
-  const project = await projectService.createProject(projectData, createdBy);
+  const project = await projectService.createProject(projectData, createdBy, req.auditContext);
   
   logger.info('Project created:', { projectId: project.id, createdBy });
   
@@ -88,7 +88,7 @@ const updateProject = asyncHandler(async (req, res) => {
   const projectData = req.body;
   const updatedBy = req.user.id;
   
-  const project = await projectService.updateProject(projectId, projectData, updatedBy, req.user);
+  const project = await projectService.updateProject(projectId, projectData, updatedBy, req.user, req.auditContext);
   
   logger.info('Project updated:', { projectId, updatedBy });
   
@@ -108,7 +108,7 @@ const patchProject = asyncHandler(async (req, res) => {
   const updates = req.body;
   const updatedBy = req.user.id;
   
-  const project = await projectService.patchProject(projectId, updates, updatedBy, req.user);
+  const project = await projectService.patchProject(projectId, updates, updatedBy, req.user, req.auditContext);
   
   logger.info('Project patched:', { projectId, updatedBy });
   
@@ -127,7 +127,7 @@ const deleteProject = asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id, 10);
   const deletedBy = req.user.id;
   
-  await projectService.deleteProject(projectId, deletedBy, req.user);
+  await projectService.deleteProject(projectId, deletedBy, req.user, req.auditContext);
   
   logger.info('Project deleted:', { projectId, deletedBy });
   
@@ -141,16 +141,15 @@ const deleteProject = asyncHandler(async (req, res) => {
  */
 const updateStatus = asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id, 10);
-  const { status, actualEndDate, completionNotes } = req.body;
+  const { status, reason, actualEndDate, completionNotes } = req.body;
   const updatedBy = req.user.id;
   
   const project = await projectService.updateProjectStatus(
-    projectId, 
-    status, 
-    actualEndDate, 
-    completionNotes,
+    projectId,
+    { status, reason, actualEndDate, completionNotes },
     updatedBy,
-    req.user
+    req.user,
+    req.auditContext
   );
   
   logger.info('Project status updated:', { projectId, status, updatedBy });
@@ -161,6 +160,22 @@ const updateStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   GET /api/v1/projects/:id/transitions
+ * @desc    List the status transitions the user may perform next
+ * @access  Private (project_read permission)
+ */
+const getProjectTransitions = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  
+  const transitions = await projectService.getProjectTransitions(projectId, req.user);
+  
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: transitions
+  });
+});
+
 /**
  * @route   GET /api/v1/projects/:id/budget
  * @desc    Get project budget breakdown
@@ -178,18 +193,37 @@ const getProjectBudget = asyncHandler(async (req, res) => {
 });
 
 /**
- * @route   GET /api/v1/projects/:id/milestones
- * @desc    Get project milestones
+ * @route   GET /api/v1/projects/:id/schedule
+ * @desc    Get project schedule: critical path, float and forecast end date
+ * @access  Private (project_read permission)
+ */
+const getProjectSchedule = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const slip = req.query.slipMilestoneId
+    ? { milestoneId: parseInt(req.query.slipMilestoneId, 10), days: parseInt(req.query.slipDays, 10) }
+    : null;
+  
+  const schedule = await projectService.getProjectSchedule(projectId, { slip }, req.user);
+  
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: schedule
+  });
+});
+
+/**
+ * @route   GET /api/v1/projects/:id/evm
+ * @desc    Get project earned value metrics and their monthly series
  * @access  Private (project_read permission)
  */
-const getProjectMilestones = asyncHandler(async (req, res) => {
+const getProjectEvm = asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id, 10);
   
-  const milestones = await projectService.getProjectMilestones(projectId, req.user);
+  const evm = await projectService.getProjectEvm(projectId, { asOf: req.query.asOf }, req.user);
   
   res.status(HTTP_STATUS.OK).json({
     success: true,
-    data: milestones
+    data: evm
   });
 });
 
@@ -217,7 +251,9 @@ module.exports = {
   patchProject,
   deleteProject,
   updateStatus,
+  getProjectTransitions,
   getProjectBudget,
-  getProjectMilestones,
+  getProjectSchedule,
+  getProjectEvm,
   getProjectProgress
 };
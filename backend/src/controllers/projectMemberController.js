@@ -0,0 +1,114 @@
+/**
+ * Project Member Controller
+ * Handle project membership and access explanation endpoints
+ */
+
+const projectMemberService = require('../services/projectMemberService');
+const projectAccessService = require('../services/projectAccessService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/projects/:id/members
+ * @desc    List the members of a project and their role on it
+ * @access  Private (project_read permission)
+ */
+const listMembers = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const members = await projectMemberService.listMembers(projectId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: members
+  });
+});
+
+/**
+ * @route   POST /api/v1/projects/:id/members
+ * @desc    Add a member (engineer, finance, observer) to a project
+ * @access  Private (project_update permission, project managers)
+ */
+const addMember = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const member = await projectMemberService.addMember(projectId, req.body, req.user, req.auditContext);
+
+  logger.info('Project member added:', {
+    projectId,
+    userId: member.userId,
+    memberRole: member.memberRole,
+    addedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: member
+  });
+});
+
+/**
+ * @route   PUT /api/v1/projects/:id/members/:userId
+ * @desc    Change the role of a project member
+ * @access  Private (project_update permission, project managers)
+ */
+const updateMember = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const userId = parseInt(req.params.userId, 10);
+
+  const member = await projectMemberService.updateMember(projectId, userId, req.body, req.user, req.auditContext);
+
+  logger.info('Project member updated:', {
+    projectId,
+    userId,
+    memberRole: member.memberRole,
+    updatedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: member
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/projects/:id/members/:userId
+ * @desc    Remove a member from a project
+ * @access  Private (project_update permission, project managers)
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const userId = parseInt(req.params.userId, 10);
+
+  await projectMemberService.removeMember(projectId, userId, req.user, req.auditContext);
+
+  logger.info('Project member removed:', { projectId, userId, removedBy: req.user.id });
+
+  res.status(HTTP_STATUS.NO_CONTENT).send();
+});
+
+/**
+ * @route   GET /api/v1/projects/:id/access/:userId
+ * @desc    Explain why a user can or cannot access a project
+ * @access  Private (admin)
+ */
+const explainAccess = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const userId = parseInt(req.params.userId, 10);
+
+  const explanation = await projectAccessService.explainAccess(projectId, userId);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: explanation
+  });
+});
+
+module.exports = {
+  listMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  explainAccess
+};
@@ -0,0 +1,262 @@
+/**
+ * Purchase Order Controller
+ * Handle purchase order endpoints
+ */
+
+const purchaseOrderService = require('../services/purchaseOrderService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/purchase-orders
+ * @desc    List purchase orders with filtering and pagination
+ * @access  Private (purchase_read permission)
+ */
+const listPurchaseOrders = asyncHandler(async (req, res) => {
+  const filters = {
+    status: req.query.status,
+    approvalStatus: req.query.approvalStatus,
+    projectId: req.query.projectId ? parseInt(req.query.projectId, 10) : undefined,
+    vendorId: req.query.vendorId ? parseInt(req.query.vendorId, 10) : undefined,
+    dateFrom: req.query.dateFrom,
+    dateTo: req.query.dateTo,
+    search: req.query.search
+  };
+
+  const pagination = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 20
+  };
+
+  const result = await purchaseOrderService.listPurchaseOrders(filters, pagination);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   POST /api/v1/purchase-orders
+ * @desc    Create purchase order with line items
+ * @access  Private (purchase_create permission)
+ */
+const createPurchaseOrder = asyncHandler(async (req, res) => {
+  const createdBy = req.user.id;
+
+  const purchaseOrder = await purchaseOrderService.createPurchaseOrder(req.body, createdBy);
+
+  logger.info('Purchase order created:', {
+    purchaseOrderId: purchaseOrder.id,
+    poNumber: purchaseOrder.poNumber,
+    createdBy
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: purchaseOrder
+  });
+});
+
+/**
+ * @route   GET /api/v1/purchase-orders/:id
+ * @desc    Get purchase order with line items
+ * @access  Private (purchase_read permission)
+ */
+const getPurchaseOrder = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+
+  const purchaseOrder = await purchaseOrderService.getPurchaseOrderById(poId);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: purchaseOrder
+  });
+});
+
+/**
+ * @route   PUT /api/v1/purchase-orders/:id
+ * @desc    Update purchase order header
+ * @access  Private (purchase_update permission)
+ */
+const updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+  const updatedBy = req.user.id;
+
+  const purchaseOrder = await purchaseOrderService.updatePurchaseOrder(poId, req.body, updatedBy);
+
+  logger.info('Purchase order updated:', { purchaseOrderId: poId, updatedBy });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: purchaseOrder
+  });
+});
+
+/**
+ * @route   PUT /api/v1/purchase-orders/:id/status
+ * @desc    Move purchase order to a new status
+ * @access  Private (purchase_update permission, purchase_approve to approve)
+ */
+const updateStatus = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+  const { status, comments } = req.body;
+
+  const purchaseOrder = await purchaseOrderService.updateStatus(poId, status, comments, req.user);
+
+  logger.info('Purchase order status updated:', { purchaseOrderId: poId, status, updatedBy: req.user.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: purchaseOrder
+  });
+});
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/items
+ * @desc    Add line item to a draft purchase order
+ * @access  Private (purchase_update permission)
+ */
+const addItem = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+
+  const item = await purchaseOrderService.addItem(poId, req.body, req.user.id);
+
+  logger.info('Purchase order item added:', { purchaseOrderId: poId, itemId: item.id, createdBy: req.user.id });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: item
+  });
+});
+
+/**
+ * @route   PUT /api/v1/purchase-orders/:id/items/:itemId
+ * @desc    Update line item of a draft purchase order
+ * @access  Private (purchase_update permission)
+ */
+const updateItem = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+  const itemId = parseInt(req.params.itemId, 10);
+
+  const item = await purchaseOrderService.updateItem(poId, itemId, req.body, req.user.id);
+
+  logger.info('Purchase order item updated:', { purchaseOrderId: poId, itemId, updatedBy: req.user.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: item
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/purchase-orders/:id/items/:itemId
+ * @desc    Remove line item from a draft purchase order
+ * @access  Private (purchase_update permission)
+ */
+const deleteItem = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+  const itemId = parseInt(req.params.itemId, 10);
+
+  await purchaseOrderService.deleteItem(poId, itemId, req.user.id);
+
+  logger.info('Purchase order item deleted:', { purchaseOrderId: poId, itemId, deletedBy: req.user.id });
+
+  res.status(HTTP_STATUS.NO_CONTENT).send();
+});
+
+/**
+ * @route   GET /api/v1/purchase-orders/:id/receipts
+ * @desc    Get goods receipts recorded for a purchase order
+ * @access  Private (purchase_read permission)
+ */
+const getReceipts = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+
+  const receipts = await purchaseOrderService.getReceipts(poId);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: receipts
+  });
+});
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/receipts
+ * @desc    Record goods receipt (accepted/rejected quantities per line)
+ * @access  Private (purchase_update permission)
+ */
+const receiveGoods = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+
+  const result = await purchaseOrderService.receiveGoods(poId, req.body, req.user.id);
+
+  logger.info('Goods received:', {
+    purchaseOrderId: poId,
+    receiptNumber: result.receiptNumber,
+    status: result.purchaseOrder.poStatus,
+    receivedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/invoice
+ * @desc    Register vendor invoice and run three-way matching
+ * @access  Private (purchase_update permission)
+ */
+const registerInvoice = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+
+  const result = await purchaseOrderService.registerInvoice(poId, req.body, req.user);
+
+  logger.info('Invoice registered:', {
+    purchaseOrderId: poId,
+    invoiceNumber: result.match.invoiceNumber,
+    matchStatus: result.match.matchStatus,
+    registeredBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/payment
+ * @desc    Record payment and convert the budget commitment to an expense
+ * @access  Private (purchase_approve permission)
+ */
+const recordPayment = asyncHandler(async (req, res) => {
+  const poId = parseInt(req.params.id, 10);
+
+  const purchaseOrder = await purchaseOrderService.recordPayment(poId, req.body, req.user.id);
+
+  logger.info('Purchase order paid:', { purchaseOrderId: poId, paidBy: req.user.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: purchaseOrder
+  });
+});
+
+module.exports = {
+  listPurchaseOrders,
+  createPurchaseOrder,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  updateStatus,
+  addItem,
+  updateItem,
+  deleteItem,
+  getReceipts,
+  receiveGoods,
+  registerInvoice,
+  recordPayment
+};
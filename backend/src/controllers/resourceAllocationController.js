@@ -0,0 +1,142 @@
+/**
+ * Resource Allocation Controller
+ * Handle project team, staff capacity and personnel cost endpoints
+ */
+
+const resourceAllocationService = require('../services/resourceAllocationService');
+const personnelCostService = require('../services/personnelCostService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/projects/:id/team
+ * @desc    List the staff allocated to a project with their load across projects
+ * @access  Private (project_read permission)
+ */
+const getTeam = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const team = await resourceAllocationService.getTeam(projectId, { status: req.query.status }, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: team
+  });
+});
+
+/**
+ * @route   POST /api/v1/projects/:id/team
+ * @desc    Assign a staff member to a project
+ * @access  Private (project_update permission)
+ */
+const assignTeamMember = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const result = await resourceAllocationService.assignTeamMember(projectId, req.body, req.user, req.auditContext);
+
+  logger.info('Team member assigned:', {
+    projectId,
+    allocationId: result.allocation.id,
+    userId: result.allocation.userId,
+    overallocated: result.warnings.length > 0,
+    assignedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   PUT /api/v1/projects/:id/team/:allocationId
+ * @desc    Change a team allocation
+ * @access  Private (project_update permission)
+ */
+const updateTeamMember = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const allocationId = parseInt(req.params.allocationId, 10);
+
+  const result = await resourceAllocationService.updateTeamMember(
+    projectId, allocationId, req.body, req.user, req.auditContext
+  );
+
+  logger.info('Team allocation updated:', {
+    projectId,
+    allocationId,
+    overallocated: result.warnings.length > 0,
+    updatedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/projects/:id/team/:allocationId
+ * @desc    Remove a team allocation
+ * @access  Private (project_update permission)
+ */
+const removeTeamMember = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const allocationId = parseInt(req.params.allocationId, 10);
+
+  await resourceAllocationService.removeTeamMember(projectId, allocationId, req.user, req.auditContext);
+
+  logger.info('Team allocation removed:', { projectId, allocationId, removedBy: req.user.id });
+
+  res.status(HTTP_STATUS.NO_CONTENT).send();
+});
+
+/**
+ * @route   GET /api/v1/resources/capacity/:userId
+ * @desc    Load of a user across projects over a period
+ * @access  Private (project_read permission; project_update for other users)
+ */
+const getUserCapacity = asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+
+  const capacity = await resourceAllocationService.getUserCapacity(
+    userId,
+    { from: req.query.from, to: req.query.to },
+    req.user
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: capacity
+  });
+});
+
+/**
+ * @route   POST /api/v1/resources/personnel-accruals
+ * @desc    Accrue (or re-run) a month of personnel costs into PERSONNEL budgets
+ * @access  Private (budget_update permission)
+ */
+const accruePersonnelCosts = asyncHandler(async (req, res) => {
+  const summary = await personnelCostService.accrueMonth(req.body.month, req.user);
+
+  logger.info('Personnel costs accrued:', {
+    month: summary.month,
+    projects: summary.projects.length,
+    totalPosted: summary.totalPosted,
+    requestedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: summary
+  });
+});
+
+module.exports = {
+  getTeam,
+  assignTeamMember,
+  updateTeamMember,
+  removeTeamMember,
+  getUserCapacity,
+  accruePersonnelCosts
+};
@@ -0,0 +1,143 @@
+/**
+ * Risk Controller
+ * Handle project risk register endpoints
+ */
+
+const riskService = require('../services/riskService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/projects/:id/risks
+ * @desc    List the risks of a project, highest exposure first
+ * @access  Private (project_read permission)
+ */
+const listRisks = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const filters = {
+    status: req.query.status,
+    category: req.query.category,
+    exposure: req.query.exposure,
+    ownerUserId: req.query.ownerUserId
+  };
+
+  const risks = await riskService.listRisks(projectId, filters, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: risks
+  });
+});
+
+/**
+ * @route   GET /api/v1/projects/:id/risks/heat-map
+ * @desc    Probability-impact heat map of the project risks
+ * @access  Private (project_read permission)
+ */
+const getRiskHeatMap = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const heatMap = await riskService.getRiskHeatMap(
+    projectId,
+    { includeClosed: req.query.includeClosed === 'true' },
+    req.user
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: heatMap
+  });
+});
+
+/**
+ * @route   GET /api/v1/projects/:id/risks/:riskId
+ * @desc    Get a risk of the project
+ * @access  Private (project_read permission)
+ */
+const getRisk = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const riskId = parseInt(req.params.riskId, 10);
+
+  const risk = await riskService.getRisk(projectId, riskId, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: risk
+  });
+});
+
+/**
+ * @route   POST /api/v1/projects/:id/risks
+ * @desc    Add a risk to the project register
+ * @access  Private (project_update permission)
+ */
+const createRisk = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+
+  const risk = await riskService.createRisk(projectId, req.body, req.user, req.auditContext);
+
+  logger.info('Project risk created:', {
+    projectId,
+    riskId: risk.id,
+    riskCode: risk.riskCode,
+    score: risk.score,
+    createdBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: risk
+  });
+});
+
+/**
+ * @route   PUT /api/v1/projects/:id/risks/:riskId
+ * @desc    Update a risk (scores, owner, mitigation, status, review dates)
+ * @access  Private (project_update permission)
+ */
+const updateRisk = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const riskId = parseInt(req.params.riskId, 10);
+
+  const risk = await riskService.updateRisk(projectId, riskId, req.body, req.user, req.auditContext);
+
+  logger.info('Project risk updated:', {
+    projectId,
+    riskId,
+    status: risk.status,
+    score: risk.score,
+    updatedBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: risk
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/projects/:id/risks/:riskId
+ * @desc    Delete a risk recorded by mistake
+ * @access  Private (project_update permission)
+ */
+const deleteRisk = asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.id, 10);
+  const riskId = parseInt(req.params.riskId, 10);
+
+  await riskService.deleteRisk(projectId, riskId, req.user, req.auditContext);
+
+  logger.info('Project risk deleted:', { projectId, riskId, deletedBy: req.user.id });
+
+  res.status(HTTP_STATUS.NO_CONTENT).send();
+});
+
+module.exports = {
+  listRisks,
+  getRiskHeatMap,
+  getRisk,
+  createRisk,
+  updateRisk,
+  deleteRisk
+};
@@ -0,0 +1,95 @@
+/**
+ * Settings Controller
+ * Handle system settings administration
+ */
+
+const settingsService = require('../services/settingsService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/settings
+ * @desc    List system settings (secret values left out)
+ * @access  Private (settings_update permission)
+ */
+const listSettings = asyncHandler(async (req, res) => {
+  const settings = await settingsService.listSettings();
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: settings
+  });
+});
+
+/**
+ * @route   GET /api/v1/settings/:key
+ * @desc    Get one system setting
+ * @access  Private (settings_update permission)
+ */
+const getSetting = asyncHandler(async (req, res) => {
+  const setting = await settingsService.getSettingByKey(req.params.key);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: setting
+  });
+});
+
+/**
+ * @route   POST /api/v1/settings
+ * @desc    Create a system setting
+ * @access  Private (settings_update permission)
+ */
+const createSetting = asyncHandler(async (req, res) => {
+  const setting = await settingsService.createSetting(req.body, req.user, req.auditContext);
+
+  logger.info('Setting created:', {
+    settingKey: setting.settingKey,
+    isEncrypted: setting.isEncrypted,
+    createdBy: req.user.id
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: setting
+  });
+});
+
+/**
+ * @route   PUT /api/v1/settings/:key
+ * @desc    Change the value of a system setting
+ * @access  Private (settings_update permission)
+ */
+const updateSetting = asyncHandler(async (req, res) => {
+  const setting = await settingsService.updateSetting(req.params.key, req.body, req.user, req.auditContext);
+
+  logger.info('Setting updated:', { settingKey: setting.settingKey, updatedBy: req.user.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: setting
+  });
+});
+
+/**
+ * @route   GET /api/v1/settings/:key/history
+ * @desc    Get the change history of a system setting
+ * @access  Private (settings_update permission)
+ */
+const getSettingHistory = asyncHandler(async (req, res) => {
+  const history = await settingsService.getSettingHistory(req.params.key);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: history
+  });
+});
+
+module.exports = {
+  listSettings,
+  getSetting,
+  createSetting,
+  updateSetting,
+  getSettingHistory
+};
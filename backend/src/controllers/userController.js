@@ -129,7 +129,7 @@ const createUser = async (req, res, next) => {
       created_by: req.user.id
     };
 
-    const user = await userService.createUser(userData);
+    const user = await userService.createUser(userData, req.auditContext);
 
     logger.info(`User created: ${user.id} by user ${req.user.id}`);
 
@@ -195,7 +195,7 @@ const updateUser = async (req, res, next) => {
       delete updateData.role;
     }
 
-    const user = await userService.updateUser(parseInt(id), updateData);
+    const user = await userService.updateUser(parseInt(id), updateData, req.auditContext);
 
     if (!user) {
       return res.status(404).json({
@@ -240,7 +240,7 @@ const deleteUser = async (req, res, next) => {
       });
     }
 
-    const result = await userService.deleteUser(parseInt(id), req.user.id);
+    const result = await userService.deleteUser(parseInt(id), req.user.id, req.auditContext);
 
     if (!result) {
       return res.status(404).json({
@@ -284,7 +284,7 @@ const updateUserStatus = async (req, res, next) => {
       });
     }
 
-    const user = await userService.updateUserStatus(parseInt(id), status, req.user.id);
+    const user = await userService.updateUserStatus(parseInt(id), status, req.user.id, req.auditContext);
 
     if (!user) {
       return res.status(404).json({
@@ -0,0 +1,178 @@
+/**
+ * Vendor Controller
+ * Handle vendor-related endpoints
+ */
+
+const vendorService = require('../services/vendorService');
+const logger = require('../middleware/logger');
+const { HTTP_STATUS } = require('../config/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   GET /api/v1/vendors
+ * @desc    List vendors with filtering, search and pagination
+ * @access  Private (purchase_read permission)
+ */
+const listVendors = asyncHandler(async (req, res) => {
+  const filters = {
+    vendorType: req.query.vendorType,
+    isActive: req.query.isActive !== undefined ? req.query.isActive === 'true' : undefined,
+    city: req.query.city,
+    ratingMin: req.query.ratingMin,
+    search: req.query.search
+  };
+
+  const pagination = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 20
+  };
+
+  const result = await vendorService.listVendors(filters, pagination);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @route   POST /api/v1/vendors
+ * @desc    Create new vendor
+ * @access  Private (purchase_create permission)
+ */
+const createVendor = asyncHandler(async (req, res) => {
+  const createdBy = req.user.id;
+
+  const vendor = await vendorService.createVendor(req.body, createdBy);
+
+  logger.info('Vendor created:', { vendorId: vendor.id, createdBy });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: vendor
+  });
+});
+
+/**
+ * @route   GET /api/v1/vendors/:id
+ * @desc    Get vendor details
+ * @access  Private (purchase_read permission)
+ */
+const getVendor = asyncHandler(async (req, res) => {
+  const vendorId = parseInt(req.params.id, 10);
+
+  const vendor = await vendorService.getVendorById(vendorId);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: vendor
+  });
+});
+
+/**
+ * @route   PUT /api/v1/vendors/:id
+ * @desc    Update vendor
+ * @access  Private (purchase_update permission)
+ */
+const updateVendor = asyncHandler(async (req, res) => {
+  const vendorId = parseInt(req.params.id, 10);
+  const updatedBy = req.user.id;
+
+  const vendor = await vendorService.updateVendor(vendorId, req.body, updatedBy);
+
+  logger.info('Vendor updated:', { vendorId, updatedBy });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: vendor
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/vendors/:id
+ * @desc    Deactivate vendor
+ * @access  Private (purchase_update permission)
+ */
+const deleteVendor = asyncHandler(async (req, res) => {
+  const vendorId = parseInt(req.params.id, 10);
+  const deletedBy = req.user.id;
+
+  await vendorService.deleteVendor(vendorId, deletedBy);
+
+  logger.info('Vendor deactivated:', { vendorId, deletedBy });
+
+  res.status(HTTP_STATUS.NO_CONTENT).send();
+});
+
+/**
+ * @route   GET /api/v1/vendors/:id/transactions
+ * @desc    Get purchase orders placed with the vendor
+ * @access  Private (purchase_read permission)
+ */
+const getVendorTransactions = asyncHandler(async (req, res) => {
+  const vendorId = parseInt(req.params.id, 10);
+
+  const filters = {
+    status: req.query.status,
+    startDate: req.query.startDate,
+    endDate: req.query.endDate
+  };
+
+  const transactions = await vendorService.getVendorTransactions(vendorId, filters);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: transactions
+  });
+});
+
+/**
+ * @route   GET /api/v1/vendors/:id/performance
+ * @desc    Get vendor performance scorecard
+ * @access  Private (purchase_read permission)
+ */
+const getVendorPerformance = asyncHandler(async (req, res) => {
+  const vendorId = parseInt(req.params.id, 10);
+
+  const performance = await vendorService.getVendorPerformance(vendorId);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: performance
+  });
+});
+
+/**
+ * @route   POST /api/v1/vendors/:id/rating
+ * @desc    Rate vendor (1-5) with optional review
+ * @access  Private (purchase_update permission)
+ */
+const rateVendor = asyncHandler(async (req, res) => {
+  const vendorId = parseInt(req.params.id, 10);
+  const { rating, review, purchaseOrderId } = req.body;
+  const reviewedBy = req.user.id;
+
+  const result = await vendorService.rateVendor(
+    vendorId,
+    { rating: parseFloat(rating), review, purchaseOrderId },
+    reviewedBy
+  );
+
+  logger.info('Vendor rated:', { vendorId, rating: result.rating, reviewedBy });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  listVendors,
+  createVendor,
+  getVendor,
+  updateVendor,
+  deleteVendor,
+  getVendorTransactions,
+  getVendorPerformance,
+  rateVendor
+};
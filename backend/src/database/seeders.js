@@ -163,57 +163,97 @@ const seedBudgetCategories = async (connection) => {
 
 /**
  * Seed approval workflows
+ * Version 1 of each request type with its levels, as in
+ * database/schema/08-approval-workflows.sql (SLAs from 11-approval-sla.sql)
  */
 const seedApprovalWorkflows = async (connection) => {
   console.log('Seeding approval workflows...');
   
+  const [admins] = await connection.query('SELECT id FROM users WHERE email = ?', ['admin@pmis-tetouan.ma']);
+  const createdBy = admins[0].id;
+  
+  const financeLevels = [
+    { level_order: 1, level_name: 'Finance review', required_role: 'FINANCE_CONTROLLER', min_amount: null },
+    { level_order: 2, level_name: 'Supervisor approval', required_role: 'SUPERVISOR', min_amount: 50000.01 },
+    { level_order: 3, level_name: 'Direction approval', required_role: 'ADMIN', min_amount: 200000.01 }
+  ];
+  
   const workflows = [
     {
-      workflow_name: 'Project Approval',
-      entity_type: 'project',
-      description: 'Multi-level approval for new projects',
-      is_active: 1
+      request_type: 'PROJECT',
+      workflow_name: 'Project approval',
+      description: 'Supervisor sign-off',
+      sla_hours: 120,
+      reminder_hours: 24,
+      levels: [{ level_order: 1, level_name: 'Supervisor review', required_role: 'SUPERVISOR', min_amount: null }]
+    },
+    {
+      request_type: 'BUDGET',
+      workflow_name: 'Budget approval',
+      description: 'Finance review, escalated by amount',
+      sla_hours: 72,
+      reminder_hours: 24,
+      levels: financeLevels
     },
     {
-      workflow_name: 'Budget Approval',
-      entity_type: 'budget',
-      description: 'Budget allocation approval workflow',
-      is_active: 1
+      request_type: 'BUDGET_AMENDMENT',
+      workflow_name: 'Budget amendment approval',
+      description: 'Finance review, escalated by amount',
+      sla_hours: 72,
+      reminder_hours: 24,
+      levels: financeLevels
     },
     {
-      workflow_name: 'Equipment Purchase',
-      entity_type: 'equipment',
-      description: 'Equipment purchase approval',
-      is_active: 1
+      request_type: 'PURCHASE_ORDER',
+      workflow_name: 'Purchase order approval',
+      description: 'Finance review, direction above 100 000 MAD',
+      sla_hours: 48,
+      reminder_hours: 12,
+      levels: [
+        { level_order: 1, level_name: 'Finance review', required_role: 'FINANCE_CONTROLLER', min_amount: null },
+        { level_order: 2, level_name: 'Direction approval', required_role: 'ADMIN', min_amount: 100000.01 }
+      ]
+    },
+    {
+      request_type: 'EQUIPMENT_ALLOCATION',
+      workflow_name: 'Equipment allocation approval',
+      description: 'Equipment officer sign-off',
+      sla_hours: 48,
+      reminder_hours: 12,
+      levels: [{ level_order: 1, level_name: 'Equipment officer review', required_role: 'EQUIPMENT_OFFICER', min_amount: null }]
     },
     {
-      workflow_name: 'Large Transaction',
-      entity_type: 'transaction',
-      description: 'Approval for transactions over threshold',
-      is_active: 1
+      request_type: 'PROJECT_BASELINE',
+      workflow_name: 'Project re-baseline approval',
+      description: 'Supervisor sign-off of the new commitment',
+      sla_hours: 120,
+      reminder_hours: 24,
+      levels: [{ level_order: 1, level_name: 'Supervisor review', required_role: 'SUPERVISOR', min_amount: null }]
     }
   ];
   
   for (const workflow of workflows) {
+    // Version 1 already there (unique request type and version): left as is
     const [result] = await connection.query(
-      `INSERT IGNORE INTO approval_workflows (workflow_name, entity_type, description, is_active) 
-       VALUES (?, ?, ?, ?)`,
-      [workflow.workflow_name, workflow.entity_type, workflow.description, workflow.is_active]
+      `INSERT IGNORE INTO approval_workflows (
+        request_type, version, workflow_name, description, is_active, sla_hours, reminder_hours, created_by
+      ) VALUES (?, 1, ?, ?, TRUE, ?, ?, ?)`,
+      [
+        workflow.request_type,
+        workflow.workflow_name,
+        workflow.description,
+        workflow.sla_hours,
+        workflow.reminder_hours,
+        createdBy
+      ]
     );
     
     if (result.insertId > 0) {
-      // Add workflow levels
-      const levels = [
-        { level_name: 'Department Manager', level_order: 1, required_role: 'project_manager' },
-        { level_name: 'Finance Review', level_order: 2, required_role: 'finance_manager' },
-        { level_name: 'Director Approval', level_order: 3, required_role: 'director' }
-      ];
-      
-      for (const level of levels) {
+      for (const level of workflow.levels) {
         await connection.query(
-          `INSERT INTO approval_workflow_levels (workflow_id, level_name, level_order, required_role) 
-           VALUES (?, ?, ?, ?)`,
-          [result.insertId, level.level_name, level.level_order, level.required_role]
+          `INSERT INTO approval_workflow_levels (workflow_id, level_order, level_name, required_role, min_amount) 
+           VALUES (?, ?, ?, ?, ?)`,
+          [result.insertId, level.level_order, level.level_name, level.required_role, level.min_amount]
         );
       }
     }
@@ -0,0 +1,40 @@
+/**
+ * Document Storage
+ * Select the storage backend of document files (DOCUMENT_STORAGE)
+ *
+ * Other backends (object storage, network shares) register a driver with
+ * the same interface as localStorage. Each document records the backend it
+ * was stored with, so files stay readable after the default changes.
+ */
+
+const { DOCUMENT_STORAGE } = require('../config/environment');
+
+const drivers = {
+  local: require('./localStorage')
+};
+
+/**
+ * Register a storage driver
+ * @param {Object} driver - { name, put, exists, createReadStream, remove }
+ */
+const registerDriver = (driver) => {
+  drivers[driver.name] = driver;
+};
+
+/**
+ * Get a storage driver by name (defaults to the configured backend)
+ */
+const getStorage = (name = DOCUMENT_STORAGE) => {
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown document storage backend: ${name}`);
+  }
+
+  return driver;
+};
+
+module.exports = {
+  registerDriver,
+  getStorage
+};
@@ -0,0 +1,95 @@
+/**
+ * Local Filesystem Storage
+ * Keep document files in a directory of the API server (UPLOAD_DIR)
+ *
+ * A storage driver exports { name, put, exists, createReadStream, remove }
+ * and addresses files by key, a relative path chosen by the caller.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { UPLOAD_DIR } = require('../config/environment');
+
+const rootDir = path.resolve(UPLOAD_DIR);
+
+/**
+ * Absolute path of a key, refusing keys that escape the upload directory
+ */
+const resolveKey = (key) => {
+  const filePath = path.resolve(rootDir, key);
+
+  if (!filePath.startsWith(rootDir + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+/**
+ * Check whether a file is stored under the key
+ */
+const exists = async (key) => {
+  try {
+    await fs.promises.access(resolveKey(key));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Move an uploaded temporary file under the key
+ * A file already stored under the key is kept and the source discarded.
+ * @param {String} key - Storage key
+ * @param {String} sourcePath - Temporary file, removed afterwards
+ */
+const put = async (key, sourcePath) => {
+  const filePath = resolveKey(key);
+
+  if (await exists(key)) {
+    await fs.promises.unlink(sourcePath);
+    return;
+  }
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    await fs.promises.rename(sourcePath, filePath);
+  } catch (error) {
+    // Temporary files may live on another device
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+
+    await fs.promises.copyFile(sourcePath, filePath);
+    await fs.promises.unlink(sourcePath);
+  }
+};
+
+/**
+ * Open a stored file for reading
+ */
+const createReadStream = (key) => {
+  return fs.createReadStream(resolveKey(key));
+};
+
+/**
+ * Delete a stored file (no error if it is already gone)
+ */
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  exists,
+  createReadStream,
+  remove
+};
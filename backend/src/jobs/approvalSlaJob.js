@@ -0,0 +1,13 @@
+/**
+ * Approval SLA Job
+ * Send deadline reminders and escalate overdue approval steps
+ */
+
+const approvalSlaService = require('../services/approvalSlaService');
+const { APPROVAL_SLA_JOB_INTERVAL_MS } = require('../config/environment');
+
+module.exports = {
+  name: 'approval-sla',
+  intervalMs: APPROVAL_SLA_JOB_INTERVAL_MS,
+  run: approvalSlaService.runSlaCheck
+};
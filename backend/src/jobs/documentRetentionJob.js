@@ -0,0 +1,13 @@
+/**
+ * Document Retention Job
+ * Archive or purge documents past their scheduled deletion date
+ */
+
+const documentService = require('../services/documentService');
+const { DOCUMENT_RETENTION_JOB_INTERVAL_MS } = require('../config/environment');
+
+module.exports = {
+  name: 'document-retention',
+  intervalMs: DOCUMENT_RETENTION_JOB_INTERVAL_MS,
+  run: documentService.runRetention
+};
@@ -0,0 +1,13 @@
+/**
+ * Email Outbox Job
+ * Deliver queued emails, retrying failures with backoff
+ */
+
+const emailService = require('../services/emailService');
+const { EMAIL_OUTBOX_JOB_INTERVAL_MS } = require('../config/environment');
+
+module.exports = {
+  name: 'email-outbox',
+  intervalMs: EMAIL_OUTBOX_JOB_INTERVAL_MS,
+  run: emailService.processOutbox
+};
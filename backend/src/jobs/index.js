@@ -0,0 +1,67 @@
+/**
+ * Background Jobs
+ * Run each job on its own interval inside the API process
+ *
+ * A job module exports { name, intervalMs, run }. A run still in progress
+ * is never overlapped; failures are logged and retried on the next tick.
+ */
+
+const logger = require('../middleware/logger');
+
+const JOBS = [
+  require('./approvalSlaJob'),
+  require('./milestoneStatusJob'),
+  require('./notificationJob'),
+  require('./emailOutboxJob'),
+  require('./documentRetentionJob'),
+  require('./personnelAccrualJob')
+];
+
+const timers = [];
+
+/**
+ * Run one job once, skipping if its previous run has not finished
+ */
+const runJob = async (job) => {
+  if (job.running) {
+    logger.warn(`Job ${job.name} still running, tick skipped`);
+    return;
+  }
+
+  job.running = true;
+
+  try {
+    const result = await job.run();
+    logger.info(`Job ${job.name} completed`, result || {});
+  } catch (error) {
+    logger.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Schedule every job
+ */
+const startJobs = () => {
+  JOBS.forEach((job) => {
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+
+    logger.info(`Job ${job.name} scheduled every ${Math.round(job.intervalMs / 1000)}s`);
+  });
+};
+
+/**
+ * Cancel every scheduled job
+ */
+const stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+  runJob
+};
@@ -0,0 +1,13 @@
+/**
+ * Milestone Status Job
+ * Mark open milestones past their planned date as DELAYED
+ */
+
+const milestoneService = require('../services/milestoneService');
+const { MILESTONE_STATUS_JOB_INTERVAL_MS } = require('../config/environment');
+
+module.exports = {
+  name: 'milestone-status',
+  intervalMs: MILESTONE_STATUS_JOB_INTERVAL_MS,
+  run: milestoneService.markDelayedMilestones
+};
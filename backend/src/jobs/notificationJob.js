@@ -0,0 +1,13 @@
+/**
+ * Notification Job
+ * Notify overdue milestones, due maintenance and expiring documents, purge expired notifications
+ */
+
+const notificationService = require('../services/notificationService');
+const { NOTIFICATION_JOB_INTERVAL_MS } = require('../config/environment');
+
+module.exports = {
+  name: 'notifications',
+  intervalMs: NOTIFICATION_JOB_INTERVAL_MS,
+  run: notificationService.runScheduledChecks
+};
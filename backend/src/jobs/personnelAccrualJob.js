@@ -0,0 +1,14 @@
+/**
+ * Personnel Accrual Job
+ * Post the previous month's personnel costs into project PERSONNEL budgets
+ * (idempotent: runs after the first of the month only post corrections)
+ */
+
+const personnelCostService = require('../services/personnelCostService');
+const { PERSONNEL_ACCRUAL_JOB_INTERVAL_MS } = require('../config/environment');
+
+module.exports = {
+  name: 'personnel-accrual',
+  intervalMs: PERSONNEL_ACCRUAL_JOB_INTERVAL_MS,
+  run: personnelCostService.runMonthlyAccrual
+};
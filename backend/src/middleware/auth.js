@@ -8,6 +8,17 @@ const logger = require('./logger');
 const { JWT_SECRET } = require('../config/environment');
 const { HTTP_STATUS, ERROR_CODES } = require('../config/constants');
 
+/**
+ * Actor, IP and user agent recorded with the changes made by a request
+ * @param {Object} req - Express request
+ * @param {Number} [userId] - Actor (defaults to the authenticated user)
+ */
+const buildAuditContext = (req, userId = req.user ? req.user.id : null) => ({
+  userId,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null
+});
+
 /**
  * Authenticate JWT token from Authorization header
  * @param {Object} req - Express request
@@ -78,6 +89,7 @@ const authenticate = (req, res, next) => {
         roles: decoded.roles || [],
         permissions: decoded.permissions || []
       };
+      req.auditContext = buildAuditContext(req);
       
       next();
     });
@@ -126,5 +138,6 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
   authenticate,
-  optionalAuth
+  optionalAuth,
+  buildAuditContext
 };
@@ -0,0 +1,87 @@
+/**
+ * File Upload Middleware
+ * Parse multipart/form-data requests carrying a single file
+ */
+
+const fs = require('fs');
+const formidable = require('formidable');
+const logger = require('./logger');
+const { MAX_FILE_SIZE } = require('../config/environment');
+const { HTTP_STATUS, ERROR_CODES } = require('../config/constants');
+const { createError } = require('./errorHandler');
+
+/**
+ * Parse a single-file upload
+ * Text fields are placed in req.body (so express-validator can check them)
+ * and the file in req.file as { path, originalName, mimeType, size, checksum },
+ * the checksum being the SHA-256 of the content. The temporary file is
+ * removed once the response is sent unless a storage backend moved it.
+ * @param {String} fieldName - Form field holding the file
+ * @returns {Function} Express middleware
+ */
+const uploadFile = (fieldName) => {
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return next(createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        'Request must be multipart/form-data'
+      ));
+    }
+
+    const form = formidable({
+      maxFileSize: MAX_FILE_SIZE,
+      allowEmptyFiles: false,
+      hashAlgorithm: 'sha256'
+    });
+
+    form.parse(req, (error, fields, files) => {
+      const uploaded = Object.values(files || {}).flat();
+
+      res.on('close', () => {
+        uploaded.forEach(file => fs.unlink(file.filepath, () => {}));
+      });
+
+      if (error) {
+        const tooLarge = error.httpCode === HTTP_STATUS.PAYLOAD_TOO_LARGE;
+
+        logger.warn('Upload rejected:', { error: error.message, path: req.path, userId: req.user?.id });
+
+        return next(createError(
+          tooLarge ? HTTP_STATUS.PAYLOAD_TOO_LARGE : HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          ERROR_CODES.VALIDATION_ERROR,
+          tooLarge ? `File exceeds the maximum size of ${MAX_FILE_SIZE} bytes` : 'Invalid multipart upload'
+        ));
+      }
+
+      const file = [].concat(files[fieldName] || [])[0];
+
+      if (!file) {
+        return next(createError(
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          ERROR_CODES.VALIDATION_ERROR,
+          `File field "${fieldName}" is required`
+        ));
+      }
+
+      req.body = Object.keys(fields).reduce((body, key) => ({
+        ...body,
+        [key]: Array.isArray(fields[key]) ? fields[key][0] : fields[key]
+      }), {});
+
+      req.file = {
+        path: file.filepath,
+        originalName: file.originalFilename,
+        mimeType: file.mimetype,
+        size: file.size,
+        checksum: file.hash
+      };
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadFile
+};
@@ -0,0 +1,192 @@
+/**
+ * Approval Delegation Model
+ * Database queries for approval_delegations (out-of-office rules)
+ */
+
+const db = require('../config/database');
+const { parseJsonColumn } = require('../utils/helpers');
+
+const DELEGATION_COLUMNS = `
+  d.id, d.delegator_user_id as delegatorUserId,
+  dr.first_name as delegatorFirstName, dr.last_name as delegatorLastName,
+  d.delegate_user_id as delegateUserId,
+  de.first_name as delegateFirstName, de.last_name as delegateLastName,
+  d.start_date as startDate, d.end_date as endDate, d.request_types as requestTypes,
+  d.max_amount as maxAmount, d.reason, d.is_active as isActive,
+  d.created_at as createdAt, d.created_by as createdBy
+`;
+
+const DELEGATION_JOINS = `
+  JOIN users dr ON d.delegator_user_id = dr.id
+  JOIN users de ON d.delegate_user_id = de.id
+`;
+
+/**
+ * Normalize delegation row
+ */
+const formatDelegation = (row) => {
+  const { delegatorFirstName, delegatorLastName, delegateFirstName, delegateLastName, ...delegation } = row;
+
+  return {
+    ...delegation,
+    requestTypes: parseJsonColumn(row.requestTypes),
+    maxAmount: row.maxAmount !== null ? parseFloat(row.maxAmount) : null,
+    isActive: Boolean(row.isActive),
+    delegator: { id: row.delegatorUserId, firstName: delegatorFirstName, lastName: delegatorLastName },
+    delegate: { id: row.delegateUserId, firstName: delegateFirstName, lastName: delegateLastName }
+  };
+};
+
+/**
+ * Find delegation rules, most recent period first
+ */
+const findAll = async (filters = {}) => {
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (filters.delegatorId) {
+    conditions.push('d.delegator_user_id = ?');
+    params.push(filters.delegatorId);
+  }
+
+  if (filters.delegateId) {
+    conditions.push('d.delegate_user_id = ?');
+    params.push(filters.delegateId);
+  }
+
+  if (filters.involvedUserId) {
+    conditions.push('(d.delegator_user_id = ? OR d.delegate_user_id = ?)');
+    params.push(filters.involvedUserId, filters.involvedUserId);
+  }
+
+  if (!filters.includeInactive) {
+    conditions.push('d.is_active = TRUE AND d.end_date >= CURDATE()');
+  }
+
+  const rows = await db.query(
+    `SELECT ${DELEGATION_COLUMNS}
+     FROM approval_delegations d
+     ${DELEGATION_JOINS}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY d.start_date DESC, d.id DESC`,
+    params
+  );
+
+  return rows.map(formatDelegation);
+};
+
+/**
+ * Find delegation rule by ID
+ */
+const findById = async (delegationId) => {
+  const rows = await db.query(
+    `SELECT ${DELEGATION_COLUMNS}
+     FROM approval_delegations d
+     ${DELEGATION_JOINS}
+     WHERE d.id = ?`,
+    [delegationId]
+  );
+
+  return rows[0] ? formatDelegation(rows[0]) : null;
+};
+
+/**
+ * Find active rules of a delegator overlapping a period
+ */
+const findOverlapping = async (delegatorId, startDate, endDate) => {
+  const rows = await db.query(
+    `SELECT ${DELEGATION_COLUMNS}
+     FROM approval_delegations d
+     ${DELEGATION_JOINS}
+     WHERE d.delegator_user_id = ? AND d.is_active = TRUE
+       AND d.start_date <= ? AND d.end_date >= ?`,
+    [delegatorId, endDate, startDate]
+  );
+
+  return rows.map(formatDelegation);
+};
+
+/**
+ * Find the rule currently routing a delegator's request to a substitute
+ * Only rules in effect today whose request type and amount limits match,
+ * pointing at an active delegate, are considered.
+ * @param {Number} delegatorId - Assigned approver
+ * @param {Object} request - requestType, amount, delegateUserId (restrict to one delegate)
+ * @returns {Promise<Object|null>} Most recent matching rule
+ */
+const findApplicable = async (delegatorId, request = {}) => {
+  const conditions = [
+    'd.delegator_user_id = ?',
+    'd.is_active = TRUE',
+    'CURDATE() BETWEEN d.start_date AND d.end_date',
+    '(d.request_types IS NULL OR JSON_CONTAINS(d.request_types, JSON_QUOTE(?)))',
+    '(d.max_amount IS NULL OR ? IS NULL OR ? <= d.max_amount)',
+    'de.is_active = TRUE AND de.deleted_at IS NULL'
+  ];
+  const amount = request.amount ?? null;
+  const params = [delegatorId, request.requestType, amount, amount];
+
+  if (request.delegateUserId) {
+    conditions.push('d.delegate_user_id = ?');
+    params.push(request.delegateUserId);
+  }
+
+  const rows = await db.query(
+    `SELECT ${DELEGATION_COLUMNS}
+     FROM approval_delegations d
+     ${DELEGATION_JOINS}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY d.id DESC
+     LIMIT 1`,
+    params
+  );
+
+  return rows[0] ? formatDelegation(rows[0]) : null;
+};
+
+/**
+ * Insert delegation rule
+ * @returns {Promise<Number>} New delegation ID
+ */
+const create = async (delegationData) => {
+  const result = await db.query(
+    `INSERT INTO approval_delegations (
+      delegator_user_id, delegate_user_id, start_date, end_date,
+      request_types, max_amount, reason, created_by, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      delegationData.delegatorUserId,
+      delegationData.delegateUserId,
+      delegationData.startDate,
+      delegationData.endDate,
+      delegationData.requestTypes ? JSON.stringify(delegationData.requestTypes) : null,
+      delegationData.maxAmount ?? null,
+      delegationData.reason || null,
+      delegationData.createdBy,
+      delegationData.createdBy
+    ]
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Revoke a delegation rule
+ */
+const revoke = async (delegationId, updatedBy) => {
+  await db.query(
+    `UPDATE approval_delegations
+     SET is_active = FALSE, updated_by = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [updatedBy, delegationId]
+  );
+};
+
+module.exports = {
+  findAll,
+  findById,
+  findOverlapping,
+  findApplicable,
+  create,
+  revoke
+};
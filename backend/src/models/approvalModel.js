@@ -1,461 +1,670 @@
 /**
  * Approval Model
- * Database queries for approval workflow management
- * @module models/approvalModel
+ * Database queries for approvals and approval_steps
  */
 
 const db = require('../config/database');
+const { generateCode, parseJsonColumn } = require('../utils/helpers');
+
+const APPROVAL_COLUMNS = `
+  a.id, a.approval_code as approvalCode, a.request_type as requestType, a.request_id as requestId,
+  a.workflow_id as workflowId, w.version as workflowVersion, w.workflow_name as workflowName,
+  a.project_id as projectId, p.project_code as projectCode, p.project_name as projectName,
+  a.request_amount as requestAmount, a.title, a.request_data as requestData, a.status,
+  a.approval_level as approvalLevel, a.total_approval_levels as totalApprovalLevels,
+  a.required_approver_user_id as requiredApproverUserId,
+  a.approver_user_id as approverUserId, a.approval_date as approvalDate,
+  a.rejection_reason as rejectionReason, a.comments, a.supporting_documents as supportingDocuments,
+  a.submitted_date as submittedDate, a.created_at as createdAt,
+  a.created_by as requesterId, req.first_name as requesterFirstName, req.last_name as requesterLastName
+`;
+
+const APPROVAL_JOINS = `
+  LEFT JOIN approval_workflows w ON a.workflow_id = w.id
+  LEFT JOIN projects p ON a.project_id = p.id
+  LEFT JOIN users req ON a.created_by = req.id
+`;
 
 /**
- * Get all approvals with optional filters and pagination
- * @param {Object} filters - Filter criteria
- * @param {number} page - Page number
- * @param {number} limit - Items per page
- * @returns {Promise<Object>} Approval list with pagination
+ * Normalize approval row
  */
-const getAllApprovals = async (filters = {}, page = 1, limit = 20) => {
-  try {
-    const offset = (page - 1) * limit;
-    let query = `
-      SELECT 
-        a.*,
-        aw.workflow_name,
-        awl.level_name,
-        awl.required_role,
-        u_req.full_name as requested_by_name,
-        u_app.full_name as approver_name
-      FROM approvals a
-      LEFT JOIN approval_workflows aw ON a.workflow_id = aw.workflow_id
-      LEFT JOIN approval_workflow_levels awl ON a.current_level_id = awl.level_id
-      LEFT JOIN users u_req ON a.requested_by = u_req.user_id
-      LEFT JOIN users u_app ON a.approver_id = u_app.user_id
-      WHERE 1=1
-    `;
-    
-    const params = [];
-    
-    // Apply filters
-    if (filters.status) {
-      query += ' AND a.status = ?';
-      params.push(filters.status);
-    }
-    
-    if (filters.entity_type) {
-      query += ' AND a.entity_type = ?';
-      params.push(filters.entity_type);
-    }
-    
-    if (filters.requested_by) {
-      query += ' AND a.requested_by = ?';
-      params.push(filters.requested_by);
-    }
-    
-    if (filters.approver_id) {
-      query += ' AND a.approver_id = ?';
-      params.push(filters.approver_id);
-    }
-    
-    if (filters.priority) {
-      query += ' AND a.priority = ?';
-      params.push(filters.priority);
-    }
-    
-    query += ' ORDER BY a.created_at DESC';
-    query += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
-    
-    const [rows] = await db.query(query, params);
-    
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM approvals a WHERE 1=1';
-    const countParams = [];
-    
-    if (filters.status) {
-      countQuery += ' AND a.status = ?';
-      countParams.push(filters.status);
-    }
-    
-    if (filters.entity_type) {
-      countQuery += ' AND a.entity_type = ?';
-      countParams.push(filters.entity_type);
+const formatApproval = (row) => {
+  const { requesterFirstName, requesterLastName, ...approval } = row;
+
+  return {
+    ...approval,
+    requestAmount: row.requestAmount !== null ? parseFloat(row.requestAmount) : null,
+    requestData: parseJsonColumn(row.requestData, {}),
+    supportingDocuments: parseJsonColumn(row.supportingDocuments, []),
+    requester: {
+      id: row.requesterId,
+      firstName: requesterFirstName,
+      lastName: requesterLastName
     }
-    
-    const [countResult] = await db.query(countQuery, countParams);
-    
-    return {
-      data: rows,
-      pagination: {
-        page,
-        limit,
-        total: countResult[0].total,
-        pages: Math.ceil(countResult[0].total / limit)
-      }
-    };
-  } catch (error) {
-    throw error;
-  }
+  };
 };
 
 /**
- * Get approval by ID with full details
- * @param {number} approvalId - Approval ID
- * @returns {Promise<Object>} Approval details
+ * Find approvals with filters and pagination
  */
-const getApprovalById = async (approvalId) => {
-  try {
-    const query = `
-      SELECT 
-        a.*,
-        aw.workflow_name,
-        awl.level_name,
-        awl.level_order,
-        awl.required_role,
-        u_req.full_name as requested_by_name,
-        u_req.email as requested_by_email,
-        u_app.full_name as approver_name,
-        u_app.email as approver_email
-      FROM approvals a
-      LEFT JOIN approval_workflows aw ON a.workflow_id = aw.workflow_id
-      LEFT JOIN approval_workflow_levels awl ON a.current_level_id = awl.level_id
-      LEFT JOIN users u_req ON a.requested_by = u_req.user_id
-      LEFT JOIN users u_app ON a.approver_id = u_app.user_id
-      WHERE a.approval_id = ?
-    `;
-    
-    const [rows] = await db.query(query, [approvalId]);
-    
-    if (rows.length === 0) {
-      return null;
-    }
-    
-    return rows[0];
-  } catch (error) {
-    throw error;
+const findAll = async (filters = {}, pagination = {}) => {
+  const { limit = 20, offset = 0 } = pagination;
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (filters.status) {
+    conditions.push('a.status = ?');
+    params.push(filters.status);
+  }
+
+  if (filters.requestType) {
+    conditions.push('a.request_type = ?');
+    params.push(filters.requestType);
   }
+
+  if (filters.projectId) {
+    conditions.push('a.project_id = ?');
+    params.push(filters.projectId);
+  }
+
+  if (filters.requesterId) {
+    conditions.push('a.created_by = ?');
+    params.push(filters.requesterId);
+  }
+
+  if (filters.approverId) {
+    conditions.push('EXISTS (SELECT 1 FROM approval_steps s WHERE s.approval_id = a.id AND s.required_approver_user_id = ?)');
+    params.push(filters.approverId);
+  }
+
+  // Restrict to requests the user submitted or was asked to approve
+  if (filters.involvedUserId) {
+    conditions.push(`(
+      a.created_by = ?
+      OR EXISTS (
+        SELECT 1 FROM approval_steps s
+        WHERE s.approval_id = a.id
+          AND ? IN (s.required_approver_user_id, s.original_approver_user_id, s.acted_by_user_id)
+      )
+    )`);
+    params.push(filters.involvedUserId, filters.involvedUserId);
+  }
+
+  if (filters.dateFrom) {
+    conditions.push('a.submitted_date >= ?');
+    params.push(filters.dateFrom);
+  }
+
+  if (filters.dateTo) {
+    conditions.push('a.submitted_date < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(filters.dateTo);
+  }
+
+  const whereClause = conditions.join(' AND ');
+
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total FROM approvals a WHERE ${whereClause}`,
+    params
+  );
+
+  const rows = await db.query(
+    `SELECT ${APPROVAL_COLUMNS}
+     FROM approvals a
+     ${APPROVAL_JOINS}
+     WHERE ${whereClause}
+     ORDER BY a.submitted_date DESC, a.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return {
+    approvals: rows.map(formatApproval),
+    total: countResult.total
+  };
 };
 
 /**
- * Create new approval request
- * @param {Object} approvalData - Approval data
- * @returns {Promise<Object>} Created approval
+ * Find approval by ID (locks the row when called inside a transaction)
  */
-const createApproval = async (approvalData) => {
-  const connection = await db.getConnection();
-  
-  try {
-    await connection.beginTransaction();
-    
-    // Get the first workflow level
-    const [levels] = await connection.query(
-      `SELECT level_id, required_role 
-       FROM approval_workflow_levels 
-       WHERE workflow_id = ? 
-       ORDER BY level_order ASC 
-       LIMIT 1`,
-      [approvalData.workflow_id]
-    );
-    
-    if (levels.length === 0) {
-      throw new Error('No workflow levels found');
-    }
-    
-    const firstLevel = levels[0];
-    
-    // Find an approver with the required role
-    const [approvers] = await connection.query(
-      `SELECT user_id 
-       FROM users 
-       WHERE role = ? AND status = 'active' 
-       LIMIT 1`,
-      [firstLevel.required_role]
-    );
-    
-    const approverId = approvers.length > 0 ? approvers[0].user_id : null;
-    
-    const query = `
-      INSERT INTO approvals (
-        workflow_id, entity_type, entity_id, requested_by,
-        current_level_id, approver_id, status, priority,
-        request_data, notes
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    
-    const params = [
-      approvalData.workflow_id,
-      approvalData.entity_type,
-      approvalData.entity_id,
-      approvalData.requested_by,
-      firstLevel.level_id,
-      approverId,
-      'pending',
-      approvalData.priority || 'medium',
-      JSON.stringify(approvalData.request_data || {}),
-      approvalData.notes || null
-    ];
-    
-    const [result] = await connection.query(query, params);
-    
-    // Create approval history entry
-    await connection.query(
-      `INSERT INTO approval_history (
-        approval_id, level_id, approver_id, action, comments
-      ) VALUES (?, ?, ?, ?, ?)`,
-      [result.insertId, firstLevel.level_id, approvalData.requested_by, 'submitted', 'Approval request submitted']
-    );
-    
-    await connection.commit();
-    
-    return await getApprovalById(result.insertId);
-  } catch (error) {
-    await connection.rollback();
-    throw error;
-  } finally {
-    connection.release();
-  }
+const findById = async (approvalId, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${APPROVAL_COLUMNS}
+     FROM approvals a
+     ${APPROVAL_JOINS}
+     WHERE a.id = ?
+     ${connection ? 'FOR UPDATE OF a' : ''}`,
+    [approvalId],
+    connection
+  );
+
+  return rows.length > 0 ? formatApproval(rows[0]) : null;
 };
 
 /**
- * Process approval (approve/reject)
- * @param {number} approvalId - Approval ID
- * @param {Object} actionData - Action data (action, comments, userId)
- * @returns {Promise<Object>} Updated approval
+ * Insert approval request
+ * @returns {Promise<Object>} { id, approvalCode }
  */
-const processApproval = async (approvalId, actionData) => {
-  const connection = await db.getConnection();
-  
-  try {
-    await connection.beginTransaction();
-    
-    const approval = await getApprovalById(approvalId);
-    
-    if (!approval) {
-      throw new Error('Approval not found');
-    }
-    
-    if (approval.status !== 'pending') {
-      throw new Error('Approval is not in pending status');
-    }
-    
-    const action = actionData.action; // 'approved' or 'rejected'
-    const comments = actionData.comments || null;
-    const userId = actionData.userId;
-    
-    // Record approval history
-    await connection.query(
-      `INSERT INTO approval_history (
-        approval_id, level_id, approver_id, action, comments
-      ) VALUES (?, ?, ?, ?, ?)`,
-      [approvalId, approval.current_level_id, userId, action, comments]
-    );
-    
-    if (action === 'rejected') {
-      // Rejection ends the workflow
-      await connection.query(
-        `UPDATE approvals 
-         SET status = 'rejected', 
-             processed_at = NOW(), 
-             updated_at = NOW() 
-         WHERE approval_id = ?`,
-        [approvalId]
-      );
-    } else if (action === 'approved') {
-      // Check if there are more levels
-      const [nextLevel] = await connection.query(
-        `SELECT awl.level_id, awl.required_role
-         FROM approval_workflow_levels awl
-         WHERE awl.workflow_id = ? AND awl.level_order > ?
-         ORDER BY awl.level_order ASC
-         LIMIT 1`,
-        [approval.workflow_id, approval.level_order]
-      );
-      
-      if (nextLevel.length > 0) {
-        // Move to next level
-        const [nextApprovers] = await connection.query(
-          `SELECT user_id 
-           FROM users 
-           WHERE role = ? AND status = 'active' 
-           LIMIT 1`,
-          [nextLevel[0].required_role]
-        );
-        
-        const nextApproverId = nextApprovers.length > 0 ? nextApprovers[0].user_id : null;
-        
-        await connection.query(
-          `UPDATE approvals 
-           SET current_level_id = ?, 
-               approver_id = ?, 
-               updated_at = NOW() 
-           WHERE approval_id = ?`,
-          [nextLevel[0].level_id, nextApproverId, approvalId]
-        );
-      } else {
-        // Final approval - workflow complete
-        await connection.query(
-          `UPDATE approvals 
-           SET status = 'approved', 
-               processed_at = NOW(), 
-               updated_at = NOW() 
-           WHERE approval_id = ?`,
-          [approvalId]
-        );
-      }
+const create = async (approvalData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO approvals (
+      approval_code, request_type, request_id, workflow_id, project_id, request_amount, title, request_data,
+      status, approval_level, total_approval_levels, required_approver_user_id,
+      comments, supporting_documents, created_by
+    ) VALUES (CONCAT('TMP-', UUID()), ?, ?, ?, ?, ?, ?, ?,   'PENDING', 1, ?, ?,   ?, ?, ?)`,
+    [
+      approvalData.requestType,
+      approvalData.requestId,
+      approvalData.workflowId,
+      approvalData.projectId || null,
+      approvalData.requestAmount ?? null,
+      approvalData.title || null,
+      approvalData.requestData ? JSON.stringify(approvalData.requestData) : null,
+      approvalData.totalApprovalLevels,
+      approvalData.requiredApproverUserId,
+      approvalData.comments || null,
+      approvalData.supportingDocuments ? JSON.stringify(approvalData.supportingDocuments) : null,
+      approvalData.createdBy
+    ],
+    connection
+  );
+
+  const approvalId = result.insertId;
+
+  // Generate and update approval code
+  const approvalCode = generateCode('APR', approvalId);
+  await db.query('UPDATE approvals SET approval_code = ? WHERE id = ?', [approvalCode, approvalId], connection);
+
+  return { id: approvalId, approvalCode };
+};
+
+/**
+ * Update approval progress fields (only provided fields are written)
+ */
+const updateProgress = async (approvalId, progress, connection = null) => {
+  const columns = {
+    status: 'status',
+    approvalLevel: 'approval_level',
+    requiredApproverUserId: 'required_approver_user_id',
+    approverUserId: 'approver_user_id',
+    approvalDate: 'approval_date',
+    rejectionReason: 'rejection_reason'
+  };
+
+  const setClauses = [];
+  const params = [];
+
+  Object.keys(columns).forEach(key => {
+    if (progress[key] !== undefined) {
+      setClauses.push(`${columns[key]} = ?`);
+      params.push(progress[key]);
     }
-    
-    await connection.commit();
-    
-    return await getApprovalById(approvalId);
-  } catch (error) {
-    await connection.rollback();
-    throw error;
-  } finally {
-    connection.release();
+  });
+
+  if (setClauses.length === 0) {
+    return;
   }
+
+  await db.query(
+    `UPDATE approvals SET ${setClauses.join(', ')} WHERE id = ?`,
+    [...params, approvalId],
+    connection
+  );
 };
 
 /**
- * Get approval history
- * @param {number} approvalId - Approval ID
- * @returns {Promise<Array>} History entries
+ * Find pending requests raised for an entity
  */
-const getApprovalHistory = async (approvalId) => {
-  try {
-    const query = `
-      SELECT 
-        ah.*,
-        awl.level_name,
-        u.full_name as approver_name,
-        u.email as approver_email
-      FROM approval_history ah
-      LEFT JOIN approval_workflow_levels awl ON ah.level_id = awl.level_id
-      LEFT JOIN users u ON ah.approver_id = u.user_id
-      WHERE ah.approval_id = ?
-      ORDER BY ah.action_date ASC
-    `;
-    
-    const [rows] = await db.query(query, [approvalId]);
-    
-    return rows;
-  } catch (error) {
-    throw error;
-  }
+const findPendingByRequest = async (requestType, requestId) => {
+  const rows = await db.query(
+    `SELECT ${APPROVAL_COLUMNS}
+     FROM approvals a
+     ${APPROVAL_JOINS}
+     WHERE a.request_type = ? AND a.request_id = ? AND a.status = 'PENDING'`,
+    [requestType, requestId]
+  );
+
+  return rows.map(formatApproval);
+};
+
+/**
+ * Find approval requests citing a document as supporting evidence
+ */
+const findBySupportingDocument = async (documentId) => {
+  const rows = await db.query(
+    `SELECT ${APPROVAL_COLUMNS}
+     FROM approvals a
+     ${APPROVAL_JOINS}
+     WHERE JSON_CONTAINS(a.supporting_documents, CAST(? AS JSON))
+     ORDER BY a.id ASC`,
+    [String(documentId)]
+  );
+
+  return rows.map(formatApproval);
+};
+
+// ============================================================================
+// APPROVAL STEPS
+// ============================================================================
+
+/**
+ * Insert approval step (created WAITING, activated when its stage starts)
+ */
+const createStep = async (stepData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO approval_steps (
+      approval_id, workflow_level_id, stage, level_name, required_role
+    ) VALUES (?, ?, ?, ?, ?)`,
+    [
+      stepData.approvalId,
+      stepData.workflowLevelId,
+      stepData.stage,
+      stepData.levelName,
+      stepData.requiredRole
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Get steps of an approval in stage order
+ */
+const getSteps = async (approvalId, connection = null) => {
+  return await db.query(
+    `SELECT
+      s.id, s.workflow_level_id as workflowLevelId, s.stage, s.level_name as levelName,
+      s.required_role as requiredRole, s.status,
+      s.required_approver_user_id as requiredApproverUserId,
+      ra.first_name as requiredApproverFirstName, ra.last_name as requiredApproverLastName,
+      s.original_approver_user_id as originalApproverUserId,
+      oa.first_name as originalApproverFirstName, oa.last_name as originalApproverLastName,
+      s.delegation_id as delegationId, s.delegated_at as delegatedAt, s.delegation_reason as delegationReason,
+      s.acted_by_user_id as actedByUserId,
+      ab.first_name as actedByFirstName, ab.last_name as actedByLastName,
+      s.activated_at as activatedAt, s.due_at as dueAt, s.reminder_sent_at as reminderSentAt,
+      s.escalated_role as escalatedRole, s.escalation_count as escalationCount,
+      s.acted_at as actedAt, s.comments
+    FROM approval_steps s
+    LEFT JOIN users ra ON s.required_approver_user_id = ra.id
+    LEFT JOIN users oa ON s.original_approver_user_id = oa.id
+    LEFT JOIN users ab ON s.acted_by_user_id = ab.id
+    WHERE s.approval_id = ?
+    ORDER BY s.stage ASC, s.id ASC`,
+    [approvalId],
+    connection
+  );
 };
 
 /**
- * Get pending approvals for a specific user
- * @param {number} userId - User ID
- * @returns {Promise<Array>} Pending approvals
+ * Start a step: assign its approver and make it PENDING
+ * @param {Object} assignment - approverId, plus originalApproverId/delegationId/reason when delegated
+ * @param {Number|null} slaHours - Decision deadline from now (null = none)
  */
-const getPendingApprovalsForUser = async (userId) => {
-  try {
-    const query = `
-      SELECT 
-        a.*,
-        aw.workflow_name,
-        awl.level_name,
-        u_req.full_name as requested_by_name
-      FROM approvals a
-      LEFT JOIN approval_workflows aw ON a.workflow_id = aw.workflow_id
-      LEFT JOIN approval_workflow_levels awl ON a.current_level_id = awl.level_id
-      LEFT JOIN users u_req ON a.requested_by = u_req.user_id
-      WHERE a.approver_id = ? AND a.status = 'pending'
-      ORDER BY 
-        CASE a.priority
-          WHEN 'urgent' THEN 1
-          WHEN 'high' THEN 2
-          WHEN 'medium' THEN 3
-          WHEN 'low' THEN 4
-        END,
-        a.created_at ASC
-    `;
-    
-    const [rows] = await db.query(query, [userId]);
-    
-    return rows;
-  } catch (error) {
-    throw error;
+const activateStep = async (stepId, assignment, slaHours = null, connection = null) => {
+  await db.query(
+    `UPDATE approval_steps
+     SET status = 'PENDING', required_approver_user_id = ?, activated_at = NOW(),
+         due_at = IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? HOUR))
+     WHERE id = ?`,
+    [assignment.approverId, slaHours, slaHours, stepId],
+    connection
+  );
+
+  if (assignment.originalApproverId) {
+    await delegateStep(stepId, assignment, connection);
   }
 };
 
 /**
- * Cancel approval request
- * @param {number} approvalId - Approval ID
- * @param {number} userId - User ID (must be requester)
- * @returns {Promise<boolean>} Success status
+ * Hand a pending step over to another approver, keeping the first one assigned
+ * @param {Object} assignment - approverId, originalApproverId, delegationId, reason
  */
-const cancelApproval = async (approvalId, userId) => {
-  try {
-    const query = `
-      UPDATE approvals 
-      SET status = 'cancelled', 
-          updated_at = NOW() 
-      WHERE approval_id = ? 
-        AND requested_by = ? 
-        AND status = 'pending'
-    `;
-    
-    const [result] = await db.query(query, [approvalId, userId]);
-    
-    if (result.affectedRows > 0) {
-      // Record in history
-      await db.query(
-        `INSERT INTO approval_history (
-          approval_id, approver_id, action, comments
-        ) VALUES (?, ?, ?, ?)`,
-        [approvalId, userId, 'cancelled', 'Cancelled by requester']
-      );
-    }
-    
-    return result.affectedRows > 0;
-  } catch (error) {
-    throw error;
+const delegateStep = async (stepId, assignment, connection = null) => {
+  await db.query(
+    `UPDATE approval_steps
+     SET required_approver_user_id = ?,
+         original_approver_user_id = COALESCE(original_approver_user_id, ?),
+         delegation_id = ?, delegated_at = NOW(), delegation_reason = ?
+     WHERE id = ?`,
+    [
+      assignment.approverId,
+      assignment.originalApproverId,
+      assignment.delegationId || null,
+      assignment.reason || null,
+      stepId
+    ],
+    connection
+  );
+};
+
+/**
+ * Record the decision taken on a step
+ */
+const completeStep = async (stepId, status, actedBy, comments, connection = null) => {
+  await db.query(
+    `UPDATE approval_steps
+     SET status = ?, acted_by_user_id = ?, acted_at = NOW(), comments = ?
+     WHERE id = ?`,
+    [status, actedBy, comments || null, stepId],
+    connection
+  );
+};
+
+/**
+ * Close every step that is still open (WAITING or PENDING)
+ */
+const skipOpenSteps = async (approvalId, connection = null) => {
+  await db.query(
+    `UPDATE approval_steps
+     SET status = 'SKIPPED'
+     WHERE approval_id = ? AND status IN ('WAITING', 'PENDING')`,
+    [approvalId],
+    connection
+  );
+};
+
+/**
+ * Pending step assigned to the user, or to someone whose delegation rule
+ * in effect today routes this request to the user
+ */
+const ACTIONABLE_BY_USER = `
+  s.status = 'PENDING' AND a.status = 'PENDING' AND (
+    s.required_approver_user_id = ?
+    OR (a.created_by <> ? AND EXISTS (
+      SELECT 1 FROM approval_delegations d
+      JOIN users de ON d.delegate_user_id = de.id
+      WHERE d.delegator_user_id = s.required_approver_user_id
+        AND d.delegate_user_id = ?
+        AND d.is_active = TRUE
+        AND CURDATE() BETWEEN d.start_date AND d.end_date
+        AND (d.request_types IS NULL OR JSON_CONTAINS(d.request_types, JSON_QUOTE(a.request_type)))
+        AND (d.max_amount IS NULL OR a.request_amount IS NULL OR a.request_amount <= d.max_amount)
+        AND de.is_active = TRUE
+    ))
+  )
+`;
+
+/**
+ * Find pending steps the user can decide on with their approval request
+ * Includes steps of absent approvers delegated to the user
+ */
+const findPendingForApprover = async (userId, pagination = {}) => {
+  const { limit = 20, offset = 0 } = pagination;
+
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total
+     FROM approval_steps s
+     JOIN approvals a ON s.approval_id = a.id
+     WHERE ${ACTIONABLE_BY_USER}`,
+    [userId, userId, userId]
+  );
+
+  const rows = await db.query(
+    `SELECT ${APPROVAL_COLUMNS},
+      s.id as stepId, s.level_name as levelName, s.activated_at as activatedAt,
+      s.required_approver_user_id as stepApproverId
+     FROM approval_steps s
+     JOIN approvals a ON s.approval_id = a.id
+     ${APPROVAL_JOINS}
+     WHERE ${ACTIONABLE_BY_USER}
+     ORDER BY s.activated_at ASC, s.id ASC
+     LIMIT ? OFFSET ?`,
+    [userId, userId, userId, limit, offset]
+  );
+
+  return {
+    approvals: rows.map(row => {
+      const { stepId, levelName, activatedAt, stepApproverId, ...approval } = row;
+      return {
+        ...formatApproval(approval),
+        currentStep: {
+          id: stepId,
+          levelName,
+          activatedAt,
+          onBehalfOfUserId: stepApproverId !== userId ? stepApproverId : null
+        }
+      };
+    }),
+    total: countResult.total
+  };
+};
+
+// ============================================================================
+// SLA TRACKING
+// ============================================================================
+
+const SLA_STEP_COLUMNS = `
+  s.id as stepId, s.approval_id as approvalId, s.stage, s.level_name as levelName,
+  s.required_role as requiredRole, s.escalated_role as escalatedRole,
+  s.escalation_count as escalationCount, s.required_approver_user_id as approverUserId,
+  s.due_at as dueAt, a.approval_code as approvalCode, a.title, a.request_type as requestType,
+  a.project_id as projectId, a.created_by as requesterId,
+  w.sla_hours as slaHours, w.reminder_hours as reminderHours
+`;
+
+/**
+ * Find pending steps entering their reminder window
+ */
+const findStepsDueForReminder = async (limit = 100) => {
+  return await db.query(
+    `SELECT ${SLA_STEP_COLUMNS}
+     FROM approval_steps s
+     JOIN approvals a ON s.approval_id = a.id
+     JOIN approval_workflows w ON a.workflow_id = w.id
+     WHERE s.status = 'PENDING' AND a.status = 'PENDING'
+       AND s.due_at > NOW() AND s.reminder_sent_at IS NULL
+       AND w.reminder_hours IS NOT NULL
+       AND NOW() >= DATE_SUB(s.due_at, INTERVAL w.reminder_hours HOUR)
+     ORDER BY s.due_at ASC
+     LIMIT ?`,
+    [limit]
+  );
+};
+
+/**
+ * Find pending steps past their deadline, oldest first
+ */
+const findOverdueSteps = async (limit = 100) => {
+  return await db.query(
+    `SELECT ${SLA_STEP_COLUMNS}
+     FROM approval_steps s
+     JOIN approvals a ON s.approval_id = a.id
+     JOIN approval_workflows w ON a.workflow_id = w.id
+     WHERE s.status = 'PENDING' AND a.status = 'PENDING' AND s.due_at <= NOW()
+     ORDER BY s.due_at ASC
+     LIMIT ?`,
+    [limit]
+  );
+};
+
+/**
+ * Flag the deadline reminder of a step as sent
+ */
+const markReminderSent = async (stepId, connection = null) => {
+  await db.query(
+    'UPDATE approval_steps SET reminder_sent_at = NOW() WHERE id = ?',
+    [stepId],
+    connection
+  );
+};
+
+/**
+ * Give an overdue step a new approver (or keep it when approverId is null)
+ * and restart its deadline
+ */
+const escalateStep = async (stepId, escalation, connection = null) => {
+  await db.query(
+    `UPDATE approval_steps
+     SET required_approver_user_id = COALESCE(?, required_approver_user_id),
+         escalated_role = COALESCE(?, escalated_role),
+         escalation_count = escalation_count + 1,
+         due_at = DATE_ADD(NOW(), INTERVAL ? HOUR),
+         reminder_sent_at = NULL
+     WHERE id = ?`,
+    [escalation.approverId || null, escalation.role || null, escalation.slaHours, stepId],
+    connection
+  );
+};
+
+/**
+ * Record a missed deadline
+ */
+const recordEscalation = async (escalationData, connection = null) => {
+  await db.query(
+    `INSERT INTO approval_step_escalations (
+      approval_step_id, approval_id, from_user_id, from_role, to_user_id, to_role, due_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      escalationData.stepId,
+      escalationData.approvalId,
+      escalationData.fromUserId,
+      escalationData.fromRole,
+      escalationData.toUserId || null,
+      escalationData.toRole || null,
+      escalationData.dueAt
+    ],
+    connection
+  );
+};
+
+/**
+ * SLA compliance per approver
+ * A decision counts on time when taken before the step deadline; every
+ * escalation counts as a breach of the approver who held the step.
+ */
+const getSlaCompliance = async (filters = {}) => {
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (filters.dateFrom) {
+    conditions.push('a.submitted_date >= ?');
+    params.push(filters.dateFrom);
   }
+
+  if (filters.dateTo) {
+    conditions.push('a.submitted_date < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(filters.dateTo);
+  }
+
+  const where = conditions.join(' AND ');
+  const approverCondition = filters.approverId ? 'WHERE x.user_id = ?' : '';
+
+  const rows = await db.query(
+    `SELECT
+      u.id as approverId, u.first_name as firstName, u.last_name as lastName,
+      SUM(x.decided) as decided, SUM(x.on_time) as onTime, SUM(x.late) as late,
+      SUM(x.escalated) as escalated, SUM(x.overdue) as overduePending
+    FROM (
+      SELECT s.acted_by_user_id as user_id, 1 as decided,
+        (s.acted_at <= s.due_at) as on_time, (s.acted_at > s.due_at) as late,
+        0 as escalated, 0 as overdue
+      FROM approval_steps s
+      JOIN approvals a ON s.approval_id = a.id
+      WHERE s.status IN ('APPROVED', 'REJECTED') AND s.due_at IS NOT NULL AND ${where}
+      UNION ALL
+      SELECT e.from_user_id, 0, 0, 0, 1, 0
+      FROM approval_step_escalations e
+      JOIN approvals a ON e.approval_id = a.id
+      WHERE ${where}
+      UNION ALL
+      SELECT s.required_approver_user_id, 0, 0, 0, 0, 1
+      FROM approval_steps s
+      JOIN approvals a ON s.approval_id = a.id
+      WHERE s.status = 'PENDING' AND s.due_at < NOW() AND ${where}
+    ) x
+    JOIN users u ON x.user_id = u.id
+    ${approverCondition}
+    GROUP BY u.id, u.first_name, u.last_name
+    ORDER BY u.last_name ASC, u.first_name ASC`,
+    [...params, ...params, ...params, ...(filters.approverId ? [filters.approverId] : [])]
+  );
+
+  return rows.map(row => {
+    const onTime = parseInt(row.onTime, 10) || 0;
+    const late = parseInt(row.late, 10) || 0;
+    const escalated = parseInt(row.escalated, 10) || 0;
+    const measured = onTime + late + escalated;
+
+    return {
+      approverId: row.approverId,
+      firstName: row.firstName,
+      lastName: row.lastName,
+      decided: parseInt(row.decided, 10) || 0,
+      onTime,
+      late,
+      escalated,
+      overduePending: parseInt(row.overduePending, 10) || 0,
+      complianceRate: measured > 0 ? parseFloat(((onTime / measured) * 100).toFixed(2)) : null
+    };
+  });
 };
 
 /**
- * Get approval workflow by entity type
- * @param {string} entityType - Entity type (project, budget, equipment, etc.)
- * @returns {Promise<Object>} Workflow details
+ * Count requests by status and average decision time
  */
-const getWorkflowByEntityType = async (entityType) => {
-  try {
-    const query = `
-      SELECT * FROM approval_workflows 
-      WHERE entity_type = ? AND is_active = 1
-      LIMIT 1
-    `;
-    
-    const [rows] = await db.query(query, [entityType]);
-    
-    if (rows.length === 0) {
-      return null;
-    }
-    
-    const workflow = rows[0];
-    
-    // Get workflow levels
-    const [levels] = await db.query(
-      `SELECT * FROM approval_workflow_levels 
-       WHERE workflow_id = ? 
-       ORDER BY level_order ASC`,
-      [workflow.workflow_id]
-    );
-    
-    workflow.levels = levels;
-    
-    return workflow;
-  } catch (error) {
-    throw error;
+const getStatistics = async (filters = {}) => {
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (filters.approverId) {
+    conditions.push('EXISTS (SELECT 1 FROM approval_steps s WHERE s.approval_id = a.id AND s.required_approver_user_id = ?)');
+    params.push(filters.approverId);
+  }
+
+  if (filters.dateFrom) {
+    conditions.push('a.submitted_date >= ?');
+    params.push(filters.dateFrom);
   }
+
+  if (filters.dateTo) {
+    conditions.push('a.submitted_date < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(filters.dateTo);
+  }
+
+  const [row] = await db.query(
+    `SELECT
+      COUNT(*) as total,
+      SUM(a.status = 'PENDING') as pending,
+      SUM(a.status = 'APPROVED') as approved,
+      SUM(a.status = 'REJECTED') as rejected,
+      SUM(a.status = 'CANCELLED') as cancelled,
+      AVG(CASE WHEN a.approval_date IS NOT NULL
+        THEN TIMESTAMPDIFF(MINUTE, a.submitted_date, a.approval_date) / 60 END) as avgProcessingHours
+    FROM approvals a
+    WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  return {
+    total: parseInt(row.total, 10) || 0,
+    pending: parseInt(row.pending, 10) || 0,
+    approved: parseInt(row.approved, 10) || 0,
+    rejected: parseInt(row.rejected, 10) || 0,
+    cancelled: parseInt(row.cancelled, 10) || 0,
+    avgProcessingHours: row.avgProcessingHours !== null ? parseFloat(parseFloat(row.avgProcessingHours).toFixed(2)) : 0
+  };
 };
 
 module.exports = {
-  getAllApprovals,
-  getApprovalById,
-  createApproval,
-  processApproval,
-  getApprovalHistory,
-  getPendingApprovalsForUser,
-  cancelApproval,
-  getWorkflowByEntityType
+  findAll,
+  findById,
+  create,
+  updateProgress,
+  findPendingByRequest,
+  findBySupportingDocument,
+  createStep,
+  getSteps,
+  activateStep,
+  delegateStep,
+  completeStep,
+  skipOpenSteps,
+  findPendingForApprover,
+  findStepsDueForReminder,
+  findOverdueSteps,
+  markReminderSent,
+  escalateStep,
+  recordEscalation,
+  getSlaCompliance,
+  getStatistics
 };
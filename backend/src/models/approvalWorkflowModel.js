@@ -0,0 +1,207 @@
+/**
+ * Approval Workflow Model
+ * Database queries for approval_workflows and approval_workflow_levels
+ */
+
+const db = require('../config/database');
+const { parseJsonColumn } = require('../utils/helpers');
+
+/**
+ * Normalize workflow level row
+ */
+const formatLevel = (row) => ({
+  ...row,
+  minAmount: row.minAmount !== null ? parseFloat(row.minAmount) : null,
+  maxAmount: row.maxAmount !== null ? parseFloat(row.maxAmount) : null,
+  projectTypes: parseJsonColumn(row.projectTypes),
+  projectPriorities: parseJsonColumn(row.projectPriorities)
+});
+
+const WORKFLOW_COLUMNS = `
+  w.id, w.request_type as requestType, w.version, w.workflow_name as workflowName,
+  w.description, w.sla_hours as slaHours, w.reminder_hours as reminderHours,
+  w.is_active as isActive, w.created_at as createdAt,
+  w.created_by as createdById, u.first_name as createdByFirstName, u.last_name as createdByLastName
+`;
+
+/**
+ * Normalize workflow row
+ */
+const formatWorkflow = (row) => ({
+  id: row.id,
+  requestType: row.requestType,
+  version: row.version,
+  workflowName: row.workflowName,
+  description: row.description,
+  slaHours: row.slaHours,
+  reminderHours: row.reminderHours,
+  isActive: Boolean(row.isActive),
+  createdBy: {
+    id: row.createdById,
+    firstName: row.createdByFirstName,
+    lastName: row.createdByLastName
+  },
+  createdAt: row.createdAt
+});
+
+/**
+ * Find workflow versions, newest first
+ */
+const findAll = async (filters = {}) => {
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (filters.requestType) {
+    conditions.push('w.request_type = ?');
+    params.push(filters.requestType);
+  }
+
+  if (!filters.includeInactive) {
+    conditions.push('w.is_active = TRUE');
+  }
+
+  const rows = await db.query(
+    `SELECT ${WORKFLOW_COLUMNS}
+     FROM approval_workflows w
+     LEFT JOIN users u ON w.created_by = u.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY w.request_type ASC, w.version DESC`,
+    params
+  );
+
+  return rows.map(formatWorkflow);
+};
+
+/**
+ * Find workflow version by ID
+ */
+const findById = async (workflowId, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${WORKFLOW_COLUMNS}
+     FROM approval_workflows w
+     LEFT JOIN users u ON w.created_by = u.id
+     WHERE w.id = ?`,
+    [workflowId],
+    connection
+  );
+
+  return rows.length > 0 ? formatWorkflow(rows[0]) : null;
+};
+
+/**
+ * Find the active workflow version of a request type
+ */
+const findActiveByRequestType = async (requestType, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${WORKFLOW_COLUMNS}
+     FROM approval_workflows w
+     LEFT JOIN users u ON w.created_by = u.id
+     WHERE w.request_type = ? AND w.is_active = TRUE
+     ORDER BY w.version DESC
+     LIMIT 1`,
+    [requestType],
+    connection
+  );
+
+  return rows.length > 0 ? formatWorkflow(rows[0]) : null;
+};
+
+/**
+ * Get levels of a workflow version in approval order
+ */
+const getLevels = async (workflowId, connection = null) => {
+  const rows = await db.query(
+    `SELECT
+      id, level_order as levelOrder, level_name as levelName, required_role as requiredRole,
+      min_amount as minAmount, max_amount as maxAmount,
+      project_types as projectTypes, project_priorities as projectPriorities
+    FROM approval_workflow_levels
+    WHERE workflow_id = ?
+    ORDER BY level_order ASC, id ASC`,
+    [workflowId],
+    connection
+  );
+
+  return rows.map(formatLevel);
+};
+
+/**
+ * Highest version number used for a request type (0 when none)
+ */
+const getLatestVersion = async (requestType, connection = null) => {
+  const [row] = await db.query(
+    'SELECT COALESCE(MAX(version), 0) as version FROM approval_workflows WHERE request_type = ? FOR UPDATE',
+    [requestType],
+    connection
+  );
+
+  return parseInt(row.version, 10);
+};
+
+/**
+ * Insert a workflow version with its levels
+ * @returns {Promise<number>} New workflow ID
+ */
+const create = async (workflowData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO approval_workflows (
+      request_type, version, workflow_name, description, sla_hours, reminder_hours,
+      is_active, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, FALSE, ?)`,
+    [
+      workflowData.requestType,
+      workflowData.version,
+      workflowData.workflowName,
+      workflowData.description || null,
+      workflowData.slaHours ?? null,
+      workflowData.reminderHours ?? null,
+      workflowData.createdBy
+    ],
+    connection
+  );
+
+  const workflowId = result.insertId;
+
+  for (const level of workflowData.levels) {
+    await db.query(
+      `INSERT INTO approval_workflow_levels (
+        workflow_id, level_order, level_name, required_role,
+        min_amount, max_amount, project_types, project_priorities
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        workflowId,
+        level.levelOrder,
+        level.levelName,
+        level.requiredRole,
+        level.minAmount ?? null,
+        level.maxAmount ?? null,
+        level.projectTypes ? JSON.stringify(level.projectTypes) : null,
+        level.projectPriorities ? JSON.stringify(level.projectPriorities) : null
+      ],
+      connection
+    );
+  }
+
+  return workflowId;
+};
+
+/**
+ * Make a version the only active one for its request type
+ */
+const activate = async (workflowId, requestType, connection = null) => {
+  await db.query(
+    'UPDATE approval_workflows SET is_active = (id = ?) WHERE request_type = ?',
+    [workflowId, requestType],
+    connection
+  );
+};
+
+module.exports = {
+  findAll,
+  findById,
+  findActiveByRequestType,
+  getLevels,
+  getLatestVersion,
+  create,
+  activate
+};
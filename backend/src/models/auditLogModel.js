@@ -0,0 +1,244 @@
+/**
+ * Audit Log Model
+ * Database queries for audit_log (change history of business entities)
+ * and audit_log_chain (head of the tamper-evidence hash chain)
+ */
+
+const db = require('../config/database');
+const { parseJsonColumn } = require('../utils/helpers');
+
+const AUDIT_COLUMNS = `
+  al.id, al.entity_type as entityType, al.entity_id as entityId, al.action,
+  al.user_id as userId, al.old_values as oldValues, al.new_values as newValues,
+  al.ip_address as ipAddress, al.user_agent as userAgent,
+  al.reason_for_change as reasonForChange, al.is_sensitive as isSensitive,
+  al.created_at as createdAt, al.previous_hash as previousHash, al.row_hash as rowHash
+`;
+
+const ACTOR_COLUMNS = `
+  u.first_name as userFirstName, u.last_name as userLastName, u.email as userEmail
+`;
+
+/**
+ * Normalize audit row
+ */
+const formatEntry = (row) => {
+  const { userFirstName, userLastName, userEmail, ...entry } = row;
+
+  return {
+    ...entry,
+    oldValues: parseJsonColumn(row.oldValues),
+    newValues: parseJsonColumn(row.newValues),
+    isSensitive: Boolean(row.isSensitive),
+    ...(userEmail !== undefined && {
+      user: row.userId ? {
+        id: row.userId,
+        firstName: userFirstName,
+        lastName: userLastName,
+        email: userEmail
+      } : null
+    })
+  };
+};
+
+/**
+ * Build the WHERE clause of the audit filters
+ */
+const buildFilters = (filters) => {
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (filters.entityType) {
+    conditions.push('al.entity_type = ?');
+    params.push(filters.entityType);
+  }
+
+  if (filters.entityId) {
+    conditions.push('al.entity_id = ?');
+    params.push(filters.entityId);
+  }
+
+  if (filters.userId) {
+    conditions.push('al.user_id = ?');
+    params.push(filters.userId);
+  }
+
+  if (filters.action) {
+    conditions.push('al.action = ?');
+    params.push(filters.action);
+  }
+
+  if (filters.isSensitive !== undefined) {
+    conditions.push('al.is_sensitive = ?');
+    params.push(filters.isSensitive);
+  }
+
+  if (filters.dateFrom) {
+    conditions.push('al.created_at >= ?');
+    params.push(filters.dateFrom);
+  }
+
+  if (filters.dateTo) {
+    conditions.push('al.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(filters.dateTo);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+/**
+ * Insert audit entry
+ * The row hash is set afterwards by seal(), once the entry ID is known.
+ * @returns {Promise<Number>} New audit entry ID
+ */
+const create = async (entry, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO audit_log (
+      entity_type, entity_id, action, user_id, old_values, new_values,
+      ip_address, user_agent, reason_for_change, is_sensitive, previous_hash, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entry.entityType,
+      entry.entityId,
+      entry.action,
+      entry.userId,
+      entry.oldValues ? JSON.stringify(entry.oldValues) : null,
+      entry.newValues ? JSON.stringify(entry.newValues) : null,
+      entry.ipAddress || null,
+      entry.userAgent || null,
+      entry.reasonForChange || null,
+      Boolean(entry.isSensitive),
+      entry.previousHash || null,
+      entry.createdAt
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Find audit entries with filters and pagination, newest first
+ * @returns {Promise<Object>} { entries, total }
+ */
+const findAll = async (filters = {}, pagination = {}) => {
+  const { limit = 20, offset = 0 } = pagination;
+  const { where, params } = buildFilters(filters);
+
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total FROM audit_log al WHERE ${where}`,
+    params
+  );
+
+  const rows = await db.query(
+    `SELECT ${AUDIT_COLUMNS}, ${ACTOR_COLUMNS}
+     FROM audit_log al
+     LEFT JOIN users u ON al.user_id = u.id
+     WHERE ${where}
+     ORDER BY al.created_at DESC, al.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return {
+    entries: rows.map(formatEntry),
+    total: countResult.total
+  };
+};
+
+/**
+ * Find the full history of one entity, oldest first
+ */
+const findByEntity = async (entityType, entityId) => {
+  const rows = await db.query(
+    `SELECT ${AUDIT_COLUMNS}, ${ACTOR_COLUMNS}
+     FROM audit_log al
+     LEFT JOIN users u ON al.user_id = u.id
+     WHERE al.entity_type = ? AND al.entity_id = ?
+     ORDER BY al.created_at ASC, al.id ASC`,
+    [entityType, entityId]
+  );
+
+  return rows.map(formatEntry);
+};
+
+/**
+ * Find the changes made by a user, newest first
+ * @param {Number} userId - Actor
+ * @param {Object} pagination - limit, offset
+ * @returns {Promise<Object>} { entries, total }
+ */
+const findByUser = async (userId, pagination = {}) => {
+  return await findAll({ userId }, pagination);
+};
+
+/**
+ * Read the chain head, locking it until the transaction ends
+ * @returns {Promise<Object>} { lastEntryId, lastHash }
+ */
+const lockChainHead = async (connection) => {
+  const rows = await db.query(
+    `SELECT last_entry_id as lastEntryId, last_hash as lastHash
+     FROM audit_log_chain
+     WHERE id = 1
+     FOR UPDATE`,
+    [],
+    connection
+  );
+
+  return rows[0] || { lastEntryId: null, lastHash: null };
+};
+
+/**
+ * Read the chain head
+ */
+const getChainHead = async () => {
+  const rows = await db.query(
+    'SELECT last_entry_id as lastEntryId, last_hash as lastHash FROM audit_log_chain WHERE id = 1'
+  );
+
+  return rows[0] || { lastEntryId: null, lastHash: null };
+};
+
+/**
+ * Store the hash of a new entry and make it the head of the chain
+ */
+const seal = async (entryId, rowHash, connection = null) => {
+  await db.query('UPDATE audit_log SET row_hash = ? WHERE id = ?', [rowHash, entryId], connection);
+
+  await db.query(
+    'UPDATE audit_log_chain SET last_entry_id = ?, last_hash = ? WHERE id = 1',
+    [entryId, rowHash],
+    connection
+  );
+};
+
+/**
+ * Read entries in ID order for chain verification
+ * @param {Number} afterId - Last ID of the previous batch (0 to start)
+ * @param {Number} upToId - Last ID to read
+ * @param {Number} limit - Batch size
+ */
+const findChainBatch = async (afterId, upToId, limit) => {
+  const rows = await db.query(
+    `SELECT ${AUDIT_COLUMNS}
+     FROM audit_log al
+     WHERE al.id > ? AND al.id <= ?
+     ORDER BY al.id ASC
+     LIMIT ?`,
+    [afterId, upToId, limit]
+  );
+
+  return rows.map(formatEntry);
+};
+
+module.exports = {
+  create,
+  findAll,
+  findByEntity,
+  findByUser,
+  lockChainHead,
+  getChainHead,
+  seal,
+  findChainBatch
+};
@@ -0,0 +1,227 @@
+/**
+ * Budget Allocation Model
+ * Database queries for budget_allocations and budget_transactions
+ * All write helpers accept an optional transaction connection
+ */
+
+const db = require('../config/database');
+const { toDateString } = require('../utils/helpers');
+
+/**
+ * Normalize decimal columns
+ */
+const formatAllocation = (row) => ({
+  ...row,
+  allocatedAmount: parseFloat(row.allocatedAmount),
+  spentAmount: parseFloat(row.spentAmount),
+  committedAmount: parseFloat(row.committedAmount),
+  availableAmount: parseFloat(row.allocatedAmount) - parseFloat(row.spentAmount) - parseFloat(row.committedAmount)
+});
+
+/**
+ * Find allocation by ID
+ */
+const findById = async (allocationId, connection = null) => {
+  const rows = await db.query(
+    `SELECT
+      id, project_id as projectId, budget_category as budgetCategory,
+      allocated_amount as allocatedAmount, spent_amount as spentAmount,
+      committed_amount as committedAmount, alert_threshold_percent as alertThresholdPercent
+    FROM budget_allocations
+    WHERE id = ?`,
+    [allocationId],
+    connection
+  );
+
+  return rows.length > 0 ? formatAllocation(rows[0]) : null;
+};
+
+/**
+ * Find allocation for a project budget category
+ * Row is locked when called inside a transaction
+ */
+const findByProjectAndCategory = async (projectId, budgetCategory, connection = null) => {
+  const rows = await db.query(
+    `SELECT
+      id, project_id as projectId, budget_category as budgetCategory,
+      allocated_amount as allocatedAmount, spent_amount as spentAmount,
+      committed_amount as committedAmount, alert_threshold_percent as alertThresholdPercent
+    FROM budget_allocations
+    WHERE project_id = ? AND budget_category = ?
+    ${connection ? 'FOR UPDATE' : ''}`,
+    [projectId, budgetCategory],
+    connection
+  );
+
+  return rows.length > 0 ? formatAllocation(rows[0]) : null;
+};
+
+/**
+ * Insert budget allocation for a project category
+ * @returns {Promise<number>} New allocation ID
+ */
+const create = async (allocationData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO budget_allocations (
+      project_id, budget_category, allocated_amount, notes, created_by, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      allocationData.projectId,
+      allocationData.budgetCategory,
+      allocationData.allocatedAmount,
+      allocationData.notes || null,
+      allocationData.createdBy,
+      allocationData.createdBy
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Set the allocated amount of an allocation
+ */
+const setAllocatedAmount = async (allocationId, allocatedAmount, updatedBy, connection = null) => {
+  await db.query(
+    `UPDATE budget_allocations
+     SET allocated_amount = ?, updated_by = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [allocatedAmount, updatedBy, allocationId],
+    connection
+  );
+};
+
+/**
+ * Insert a budget transaction
+ */
+const createTransaction = async (transactionData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO budget_transactions (
+      budget_allocation_id, transaction_type, amount, description,
+      reference_number, transaction_date, reference_document_id,
+      approved_by, approval_date, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      transactionData.budgetAllocationId,
+      transactionData.transactionType,
+      transactionData.amount,
+      transactionData.description,
+      transactionData.referenceNumber || null,
+      transactionData.transactionDate || new Date().toISOString().split('T')[0],
+      transactionData.referenceDocumentId || null,
+      transactionData.approvedBy || null,
+      transactionData.approvedBy ? new Date() : null,
+      transactionData.createdBy
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Adjust committed and spent amounts by the given deltas
+ */
+const adjustAmounts = async (allocationId, { committed = 0, spent = 0 }, updatedBy, connection = null) => {
+  await db.query(
+    `UPDATE budget_allocations
+     SET committed_amount = GREATEST(committed_amount + ?, 0),
+         spent_amount = GREATEST(spent_amount + ?, 0),
+         updated_by = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [committed, spent, updatedBy, allocationId],
+    connection
+  );
+};
+
+/**
+ * Get outstanding commitment posted under a reference number
+ * (COMMITMENT minus REVERSAL), with the allocation it was posted against
+ */
+const getOutstandingCommitment = async (referenceNumber, connection = null) => {
+  const rows = await db.query(
+    `SELECT
+      budget_allocation_id as budgetAllocationId,
+      SUM(CASE WHEN transaction_type = 'COMMITMENT' THEN amount
+               WHEN transaction_type = 'REVERSAL' THEN -amount
+               ELSE 0 END) as outstanding
+    FROM budget_transactions
+    WHERE reference_number = ? AND transaction_type IN ('COMMITMENT', 'REVERSAL')
+    GROUP BY budget_allocation_id`,
+    [referenceNumber],
+    connection
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    budgetAllocationId: rows[0].budgetAllocationId,
+    outstanding: parseFloat(rows[0].outstanding)
+  };
+};
+
+/**
+ * Get net expense posted on an allocation under a reference number
+ * (EXPENSE minus REVERSAL)
+ */
+const getNetExpense = async (allocationId, referenceNumber, connection = null) => {
+  const rows = await db.query(
+    `SELECT
+      COALESCE(SUM(CASE WHEN transaction_type = 'EXPENSE' THEN amount
+                        WHEN transaction_type = 'REVERSAL' THEN -amount
+                        ELSE 0 END), 0) as netExpense
+    FROM budget_transactions
+    WHERE budget_allocation_id = ? AND reference_number = ?
+      AND transaction_type IN ('EXPENSE', 'REVERSAL')`,
+    [allocationId, referenceNumber],
+    connection
+  );
+
+  return parseFloat(rows[0].netExpense);
+};
+
+/**
+ * Get actual cost of a project per day (net expense posted on its allocations)
+ * A REVERSAL releases a commitment when its reference number carries one,
+ * and reverses an expense otherwise.
+ * @returns {Promise<Array>} { transactionDate (YYYY-MM-DD), amount }, oldest first
+ */
+const getActualCostByDate = async (projectId) => {
+  const rows = await db.query(
+    `SELECT
+      bt.transaction_date as transactionDate,
+      SUM(CASE
+            WHEN bt.transaction_type = 'EXPENSE' THEN bt.amount
+            WHEN bt.reference_number IS NULL OR NOT EXISTS (
+              SELECT 1 FROM budget_transactions c
+              WHERE c.budget_allocation_id = bt.budget_allocation_id
+                AND c.reference_number = bt.reference_number
+                AND c.transaction_type = 'COMMITMENT'
+            ) THEN -bt.amount
+            ELSE 0
+          END) as amount
+    FROM budget_transactions bt
+    JOIN budget_allocations ba ON bt.budget_allocation_id = ba.id
+    WHERE ba.project_id = ? AND bt.transaction_type IN ('EXPENSE', 'REVERSAL')
+    GROUP BY bt.transaction_date
+    ORDER BY bt.transaction_date`,
+    [projectId]
+  );
+
+  return rows.map(row => ({ transactionDate: toDateString(row.transactionDate), amount: parseFloat(row.amount) }));
+};
+
+module.exports = {
+  findById,
+  findByProjectAndCategory,
+  create,
+  setAllocatedAmount,
+  createTransaction,
+  adjustAmounts,
+  getOutstandingCommitment,
+  getNetExpense,
+  getActualCostByDate
+};
@@ -5,10 +5,12 @@
  */
 
 const db = require('../config/database');
+const projectMemberModel = require('./projectMemberModel');
 
 /**
  * Get all budgets with optional filters and pagination
- * @param {Object} filters - Filter criteria
+ * @param {Object} filters - Filter criteria; memberUserId (with memberRoles)
+ *   keeps the budgets of the projects that user takes part in
  * @param {number} page - Page number
  * @param {number} limit - Items per page
  * @returns {Promise<Object>} Budget list with pagination
@@ -34,6 +36,16 @@ const getAllBudgets = async (filters = {}, page = 1, limit = 20) => {
     
     const params = [];
     
+    // Row-level security: only the projects the user takes part in
+    const membership = filters.memberUserId
+      ? projectMemberModel.buildMembershipCondition('b.project_id', filters.memberUserId, filters.memberRoles)
+      : null;
+    
+    if (membership) {
+      query += ` AND ${membership.condition}`;
+      params.push(...membership.params);
+    }
+    
     // Apply filters
     if (filters.project_id) {
       query += ' AND b.project_id = ?';
@@ -66,6 +78,11 @@ const getAllBudgets = async (filters = {}, page = 1, limit = 20) => {
     let countQuery = 'SELECT COUNT(DISTINCT b.budget_id) as total FROM budgets b WHERE 1=1';
     const countParams = [];
     
+    if (membership) {
+      countQuery += ` AND ${membership.condition}`;
+      countParams.push(...membership.params);
+    }
+    
     if (filters.project_id) {
       countQuery += ' AND b.project_id = ?';
       countParams.push(filters.project_id);
@@ -0,0 +1,556 @@
+/**
+ * Document Model
+ * Database queries for documents (uploaded project and system files)
+ */
+
+const db = require('../config/database');
+const projectMemberModel = require('./projectMemberModel');
+const { generateCode } = require('../utils/helpers');
+
+const DOCUMENT_COLUMNS = `
+  d.id, d.document_code as documentCode, d.project_id as projectId,
+  p.project_code as projectCode, p.project_name as projectName,
+  d.document_name as documentName, d.document_type as documentType,
+  d.file_path as filePath, d.file_size as fileSize, d.file_type as fileType,
+  d.original_filename as originalFilename, d.mime_type as mimeType, d.checksum,
+  d.storage_backend as storageBackend, d.version, d.description,
+  d.validity_start as validityStart, d.validity_end as validityEnd,
+  d.is_confidential as isConfidential, d.access_level as accessLevel,
+  d.uploaded_at as uploadedAt, d.uploaded_by as uploadedBy,
+  u.first_name as uploaderFirstName, u.last_name as uploaderLastName,
+  d.last_accessed_at as lastAccessedAt, d.deletion_scheduled_at as deletionScheduledAt,
+  d.archived_at as archivedAt
+`;
+
+const VERSION_COLUMNS = `
+  v.id, v.document_id as documentId, v.version, v.document_name as documentName,
+  v.file_path as filePath, v.file_size as fileSize, v.file_type as fileType,
+  v.original_filename as originalFilename, v.mime_type as mimeType, v.checksum,
+  v.storage_backend as storageBackend, v.description,
+  v.validity_start as validityStart, v.validity_end as validityEnd,
+  v.change_note as changeNote, v.uploaded_at as uploadedAt, v.uploaded_by as uploadedBy,
+  u.first_name as uploaderFirstName, u.last_name as uploaderLastName
+`;
+
+const RETENTION_RULE_COLUMNS = `
+  id, document_type as documentType, retention_days as retentionDays,
+  retention_action as retentionAction, is_active as isActive,
+  created_at as createdAt, updated_at as updatedAt, updated_by as updatedBy
+`;
+
+// Retention runs from the validity end, or the upload date for documents without one
+const RETENTION_BASE_DATE = 'COALESCE(validity_end, DATE(uploaded_at))';
+
+const DOCUMENT_JOINS = `
+  LEFT JOIN projects p ON d.project_id = p.id
+  LEFT JOIN users u ON d.uploaded_by = u.id
+`;
+
+/**
+ * Normalize document row
+ */
+const formatDocument = (row) => {
+  const { uploaderFirstName, uploaderLastName, ...document } = row;
+
+  return {
+    ...document,
+    isConfidential: Boolean(row.isConfidential),
+    uploader: {
+      id: row.uploadedBy,
+      firstName: uploaderFirstName,
+      lastName: uploaderLastName
+    }
+  };
+};
+
+/**
+ * Normalize document version row
+ */
+const formatVersion = (row) => {
+  const { uploaderFirstName, uploaderLastName, ...version } = row;
+
+  return {
+    ...version,
+    uploader: {
+      id: row.uploadedBy,
+      firstName: uploaderFirstName,
+      lastName: uploaderLastName
+    }
+  };
+};
+
+/**
+ * Normalize retention rule row
+ */
+const formatRetentionRule = (row) => ({
+  ...row,
+  isActive: Boolean(row.isActive)
+});
+
+/**
+ * Condition restricting documents to those a user may see
+ * Mirrors canAccessDocument() in the document service.
+ * @param {Object} viewer - userId, oversight (may view every project)
+ */
+const buildVisibilityCondition = (viewer) => {
+  const managers = projectMemberModel.buildMembershipCondition('d.project_id', viewer.userId, ['MANAGER', 'ALTERNATE']);
+  const members = projectMemberModel.buildMembershipCondition('d.project_id', viewer.userId);
+
+  return {
+    condition: `(
+      d.uploaded_by = ?
+      OR (d.project_id IS NOT NULL AND ${managers.condition})
+      OR (
+        d.access_level <> 'RESTRICTED' AND d.is_confidential = FALSE
+        AND (
+          d.access_level = 'PUBLIC'
+          OR d.project_id IS NULL
+          OR ? = TRUE
+          OR ${members.condition}
+        )
+      )
+    )`,
+    params: [viewer.userId, ...managers.params, Boolean(viewer.oversight), ...members.params]
+  };
+};
+
+/**
+ * Find documents with filters and pagination, newest first
+ * Archived documents are left out unless filters.archived is true, which
+ * lists only them.
+ * @param {Object} filters - projectId, documentType, accessLevel, search, archived, viewer
+ * @returns {Promise<Object>} { documents, total }
+ */
+const findAll = async (filters = {}, pagination = {}) => {
+  const { limit = 20, offset = 0 } = pagination;
+  const conditions = [filters.archived ? 'd.archived_at IS NOT NULL' : 'd.archived_at IS NULL'];
+  const params = [];
+
+  if (filters.projectId) {
+    conditions.push('d.project_id = ?');
+    params.push(filters.projectId);
+  }
+
+  if (filters.documentType) {
+    conditions.push('d.document_type = ?');
+    params.push(filters.documentType);
+  }
+
+  if (filters.accessLevel) {
+    conditions.push('d.access_level = ?');
+    params.push(filters.accessLevel);
+  }
+
+  if (filters.search) {
+    conditions.push('(d.document_name LIKE ? OR d.document_code LIKE ? OR d.original_filename LIKE ?)');
+    const searchTerm = `%${filters.search}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  if (filters.viewer) {
+    const { condition, params: viewerParams } = buildVisibilityCondition(filters.viewer);
+    conditions.push(condition);
+    params.push(...viewerParams);
+  }
+
+  const whereClause = conditions.join(' AND ');
+
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total FROM documents d LEFT JOIN projects p ON d.project_id = p.id WHERE ${whereClause}`,
+    params
+  );
+
+  const rows = await db.query(
+    `SELECT ${DOCUMENT_COLUMNS}
+     FROM documents d
+     ${DOCUMENT_JOINS}
+     WHERE ${whereClause}
+     ORDER BY d.uploaded_at DESC, d.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return {
+    documents: rows.map(formatDocument),
+    total: countResult.total
+  };
+};
+
+/**
+ * Find document by ID
+ */
+const findById = async (documentId, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${DOCUMENT_COLUMNS}
+     FROM documents d
+     ${DOCUMENT_JOINS}
+     WHERE d.id = ?`,
+    [documentId],
+    connection
+  );
+
+  return rows.length > 0 ? formatDocument(rows[0]) : null;
+};
+
+/**
+ * Find documents by IDs (missing IDs are simply absent from the result)
+ */
+const findByIds = async (documentIds) => {
+  if (!documentIds || documentIds.length === 0) {
+    return [];
+  }
+
+  const rows = await db.query(
+    `SELECT ${DOCUMENT_COLUMNS}
+     FROM documents d
+     ${DOCUMENT_JOINS}
+     WHERE d.id IN (${documentIds.map(() => '?').join(', ')})
+     ORDER BY d.id ASC`,
+    documentIds
+  );
+
+  return rows.map(formatDocument);
+};
+
+/**
+ * Find a document with the same content in the same project
+ * (or among documents not linked to a project)
+ */
+const findByChecksum = async (projectId, checksum, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${DOCUMENT_COLUMNS}
+     FROM documents d
+     ${DOCUMENT_JOINS}
+     WHERE d.checksum = ? AND d.project_id <=> ?
+     ORDER BY d.id ASC
+     LIMIT 1`,
+    [checksum, projectId || null],
+    connection
+  );
+
+  return rows.length > 0 ? formatDocument(rows[0]) : null;
+};
+
+/**
+ * Count document versions pointing at a stored file
+ * Every document has its current file among its versions.
+ */
+const countByFile = async (storageBackend, filePath, connection = null) => {
+  const [result] = await db.query(
+    'SELECT COUNT(*) as total FROM document_versions WHERE storage_backend = ? AND file_path = ?',
+    [storageBackend, filePath],
+    connection
+  );
+
+  return result.total;
+};
+
+/**
+ * Insert document
+ * @returns {Promise<Object>} { id, documentCode }
+ */
+const create = async (documentData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO documents (
+      document_code, project_id, document_name, document_type,
+      file_path, file_size, file_type, original_filename, mime_type, checksum, storage_backend,
+      description, validity_start, validity_end, is_confidential, access_level, uploaded_by
+    ) VALUES (CONCAT('TMP-', UUID()), ?, ?, ?,   ?, ?, ?, ?, ?, ?, ?,   ?, ?, ?, ?, ?, ?)`,
+    [
+      documentData.projectId || null,
+      documentData.documentName,
+      documentData.documentType,
+      documentData.filePath,
+      documentData.fileSize,
+      documentData.fileType,
+      documentData.originalFilename || null,
+      documentData.mimeType,
+      documentData.checksum,
+      documentData.storageBackend,
+      documentData.description || null,
+      documentData.validityStart || null,
+      documentData.validityEnd || null,
+      Boolean(documentData.isConfidential),
+      documentData.accessLevel || 'INTERNAL',
+      documentData.uploadedBy
+    ],
+    connection
+  );
+
+  const documentId = result.insertId;
+
+  // Generate and update document code
+  const documentCode = generateCode('DOC', documentId);
+  await db.query('UPDATE documents SET document_code = ? WHERE id = ?', [documentCode, documentId], connection);
+
+  await createVersion(documentId, { ...documentData, version: 1 }, connection);
+
+  return { id: documentId, documentCode };
+};
+
+/**
+ * Insert a document version
+ * @param {Object} versionData - version, file fields, metadata, changeNote, uploadedBy
+ */
+const createVersion = async (documentId, versionData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO document_versions (
+      document_id, version, document_name, file_path, file_size, file_type,
+      original_filename, mime_type, checksum, storage_backend,
+      description, validity_start, validity_end, change_note, uploaded_by
+    ) VALUES (?, ?, ?, ?, ?, ?,   ?, ?, ?, ?,   ?, ?, ?, ?, ?)`,
+    [
+      documentId,
+      versionData.version,
+      versionData.documentName,
+      versionData.filePath,
+      versionData.fileSize,
+      versionData.fileType,
+      versionData.originalFilename || null,
+      versionData.mimeType,
+      versionData.checksum,
+      versionData.storageBackend,
+      versionData.description || null,
+      versionData.validityStart || null,
+      versionData.validityEnd || null,
+      versionData.changeNote || null,
+      versionData.uploadedBy
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Make a version the current file and metadata of its document
+ * The original uploader and upload date are kept.
+ */
+const setCurrentVersion = async (documentId, versionData, connection = null) => {
+  await db.query(
+    `UPDATE documents SET
+      version = ?, document_name = ?, file_path = ?, file_size = ?, file_type = ?,
+      original_filename = ?, mime_type = ?, checksum = ?, storage_backend = ?,
+      description = ?, validity_start = ?, validity_end = ?
+    WHERE id = ?`,
+    [
+      versionData.version,
+      versionData.documentName,
+      versionData.filePath,
+      versionData.fileSize,
+      versionData.fileType,
+      versionData.originalFilename || null,
+      versionData.mimeType,
+      versionData.checksum,
+      versionData.storageBackend,
+      versionData.description || null,
+      versionData.validityStart || null,
+      versionData.validityEnd || null,
+      documentId
+    ],
+    connection
+  );
+};
+
+/**
+ * Find the versions of a document, oldest first
+ */
+const findVersions = async (documentId, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${VERSION_COLUMNS}
+     FROM document_versions v
+     LEFT JOIN users u ON v.uploaded_by = u.id
+     WHERE v.document_id = ?
+     ORDER BY v.version ASC`,
+    [documentId],
+    connection
+  );
+
+  return rows.map(formatVersion);
+};
+
+/**
+ * Find one version of a document
+ */
+const findVersion = async (documentId, version) => {
+  const rows = await db.query(
+    `SELECT ${VERSION_COLUMNS}
+     FROM document_versions v
+     LEFT JOIN users u ON v.uploaded_by = u.id
+     WHERE v.document_id = ? AND v.version = ?`,
+    [documentId, version]
+  );
+
+  return rows.length > 0 ? formatVersion(rows[0]) : null;
+};
+
+/**
+ * Find documents of active projects (or of none) whose validity ends
+ * within the given number of days and has not passed yet
+ */
+const findExpiring = async (days) => {
+  return await db.query(
+    `SELECT
+      d.id, d.document_code as documentCode, d.document_name as documentName,
+      d.document_type as documentType, d.validity_end as validityEnd,
+      DATEDIFF(d.validity_end, CURDATE()) as daysUntilExpiry,
+      d.uploaded_by as uploadedBy, d.project_id as projectId,
+      p.project_code as projectCode, p.project_name as projectName,
+      p.project_manager_id as projectManagerId, p.alternate_manager_id as alternateManagerId
+    FROM documents d
+    LEFT JOIN projects p ON d.project_id = p.id
+    WHERE d.archived_at IS NULL
+      AND d.validity_end IS NOT NULL
+      AND d.validity_end BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)
+      AND (p.id IS NULL OR (p.deleted_at IS NULL AND p.status NOT IN ('COMPLETED', 'CANCELLED')))
+    ORDER BY d.validity_end ASC, d.id ASC`,
+    [days]
+  );
+};
+
+/**
+ * Find documents whose scheduled deletion date has come, with the rule
+ * of their type (retentionAction is null once the rule is gone or inactive)
+ */
+const findDueForRetention = async (limit) => {
+  const rows = await db.query(
+    `SELECT ${DOCUMENT_COLUMNS}, r.retention_action as retentionAction
+     FROM documents d
+     ${DOCUMENT_JOINS}
+     LEFT JOIN document_retention_rules r ON r.document_type = d.document_type AND r.is_active = TRUE
+     WHERE d.archived_at IS NULL
+       AND d.deletion_scheduled_at IS NOT NULL
+       AND d.deletion_scheduled_at <= CURDATE()
+     ORDER BY d.deletion_scheduled_at ASC, d.id ASC
+     LIMIT ?`,
+    [limit]
+  );
+
+  return rows.map(formatDocument);
+};
+
+/**
+ * Distinct stored files of a document's versions
+ */
+const findVersionFiles = async (documentId, connection = null) => {
+  return await db.query(
+    `SELECT DISTINCT storage_backend as storageBackend, file_path as filePath
+     FROM document_versions
+     WHERE document_id = ?`,
+    [documentId],
+    connection
+  );
+};
+
+/**
+ * Record that the document file was read
+ */
+const touchAccessed = async (documentId) => {
+  await db.query('UPDATE documents SET last_accessed_at = NOW() WHERE id = ?', [documentId]);
+};
+
+/**
+ * Archive document (it stays readable and leaves the retention schedule)
+ */
+const archive = async (documentId, connection = null) => {
+  await db.query(
+    'UPDATE documents SET archived_at = NOW(), deletion_scheduled_at = NULL WHERE id = ?',
+    [documentId],
+    connection
+  );
+};
+
+/**
+ * Set the scheduled deletion date of documents from a retention period
+ * @param {Object} scope - documentType (every unarchived document of the type) or documentId
+ * @param {Number|null} retentionDays - null clears the schedule
+ */
+const scheduleDeletion = async (scope, retentionDays, connection = null) => {
+  const [condition, value] = scope.documentId
+    ? ['id = ?', scope.documentId]
+    : ['document_type = ?', scope.documentType];
+
+  const [schedule, params] = retentionDays === null
+    ? ['NULL', [value]]
+    : [`DATE_ADD(${RETENTION_BASE_DATE}, INTERVAL ? DAY)`, [retentionDays, value]];
+
+  const result = await db.query(
+    `UPDATE documents SET deletion_scheduled_at = ${schedule} WHERE ${condition} AND archived_at IS NULL`,
+    params,
+    connection
+  );
+
+  return result.affectedRows;
+};
+
+/**
+ * Find all retention rules
+ */
+const findRetentionRules = async () => {
+  const rows = await db.query(
+    `SELECT ${RETENTION_RULE_COLUMNS} FROM document_retention_rules ORDER BY document_type ASC`
+  );
+
+  return rows.map(formatRetentionRule);
+};
+
+/**
+ * Find the retention rule of a document type
+ */
+const findRetentionRule = async (documentType, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${RETENTION_RULE_COLUMNS} FROM document_retention_rules WHERE document_type = ?`,
+    [documentType],
+    connection
+  );
+
+  return rows.length > 0 ? formatRetentionRule(rows[0]) : null;
+};
+
+/**
+ * Create or replace the retention rule of a document type
+ */
+const upsertRetentionRule = async (documentType, ruleData, connection = null) => {
+  await db.query(
+    `INSERT INTO document_retention_rules (
+      document_type, retention_days, retention_action, is_active, updated_by
+    ) VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      retention_days = VALUES(retention_days),
+      retention_action = VALUES(retention_action),
+      is_active = VALUES(is_active),
+      updated_by = VALUES(updated_by)`,
+    [documentType, ruleData.retentionDays, ruleData.retentionAction, ruleData.isActive, ruleData.updatedBy],
+    connection
+  );
+};
+
+/**
+ * Delete document (its versions go with it)
+ */
+const remove = async (documentId, connection = null) => {
+  await db.query('DELETE FROM documents WHERE id = ?', [documentId], connection);
+};
+
+module.exports = {
+  findAll,
+  findById,
+  findByIds,
+  findByChecksum,
+  countByFile,
+  create,
+  createVersion,
+  setCurrentVersion,
+  findVersions,
+  findVersion,
+  findVersionFiles,
+  findExpiring,
+  findDueForRetention,
+  touchAccessed,
+  archive,
+  scheduleDeletion,
+  remove,
+  findRetentionRules,
+  findRetentionRule,
+  upsertRetentionRule
+};
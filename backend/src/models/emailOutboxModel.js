@@ -0,0 +1,112 @@
+/**
+ * Email Outbox Model
+ * Database queries for email_outbox (queued outgoing email)
+ */
+
+const db = require('../config/database');
+
+// A SENDING row not finished within this delay is considered abandoned
+const CLAIM_TIMEOUT_MINUTES = 10;
+
+/**
+ * Queue an email
+ * @returns {Promise<Number>} New outbox ID
+ */
+const create = async (emailData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO email_outbox (
+      recipient_email, recipient_user_id, template_key, language,
+      subject, body_text, body_html, notification_id, max_attempts
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      emailData.recipientEmail,
+      emailData.recipientUserId || null,
+      emailData.templateKey,
+      emailData.language,
+      emailData.subject,
+      emailData.bodyText,
+      emailData.bodyHtml || null,
+      emailData.notificationId || null,
+      emailData.maxAttempts
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Claim emails due for delivery
+ * Rows are moved to SENDING first so a concurrent run cannot send them twice.
+ * @param {Number} limit - Maximum emails to claim
+ * @returns {Promise<Array>} Claimed emails
+ */
+const claimDue = async (limit = 20) => {
+  return await db.transaction(async (connection) => {
+    const rows = await db.query(
+      `SELECT
+        id, recipient_email as recipientEmail, recipient_user_id as recipientUserId,
+        template_key as templateKey, language, subject,
+        body_text as bodyText, body_html as bodyHtml,
+        notification_id as notificationId, attempts, max_attempts as maxAttempts
+      FROM email_outbox
+      WHERE (status = 'PENDING' AND next_attempt_at <= NOW())
+         OR (status = 'SENDING' AND claimed_at < DATE_SUB(NOW(), INTERVAL ${CLAIM_TIMEOUT_MINUTES} MINUTE))
+      ORDER BY next_attempt_at ASC, id ASC
+      LIMIT ?
+      FOR UPDATE SKIP LOCKED`,
+      [limit],
+      connection
+    );
+
+    if (rows.length > 0) {
+      await db.query(
+        `UPDATE email_outbox
+         SET status = 'SENDING', claimed_at = NOW()
+         WHERE id IN (${rows.map(() => '?').join(', ')})`,
+        rows.map(row => row.id),
+        connection
+      );
+    }
+
+    return rows;
+  });
+};
+
+/**
+ * Record a successful delivery
+ * The body is dropped so one-time links do not linger in the database.
+ */
+const markSent = async (emailId, messageId, connection = null) => {
+  await db.query(
+    `UPDATE email_outbox
+     SET status = 'SENT', attempts = attempts + 1, sent_at = NOW(), message_id = ?,
+         claimed_at = NULL, last_error = NULL, body_text = NULL, body_html = NULL
+     WHERE id = ?`,
+    [messageId || null, emailId],
+    connection
+  );
+};
+
+/**
+ * Record a failed attempt
+ * @param {Number} emailId - Outbox ID
+ * @param {String} error - Failure message
+ * @param {Date|null} nextAttemptAt - Next try, or null to give up (FAILED)
+ */
+const markAttemptFailed = async (emailId, error, nextAttemptAt) => {
+  await db.query(
+    `UPDATE email_outbox
+     SET status = ?, attempts = attempts + 1, last_error = ?, claimed_at = NULL,
+         next_attempt_at = COALESCE(?, next_attempt_at)
+     WHERE id = ?`,
+    [nextAttemptAt ? 'PENDING' : 'FAILED', error, nextAttemptAt, emailId]
+  );
+};
+
+module.exports = {
+  create,
+  claimDue,
+  markSent,
+  markAttemptFailed
+};
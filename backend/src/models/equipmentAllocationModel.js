@@ -0,0 +1,64 @@
+/**
+ * Equipment Allocation Model
+ * Database queries for equipment_allocation and equipment assignment
+ */
+
+const db = require('../config/database');
+
+/**
+ * Find equipment assignment state (locks the row inside a transaction)
+ */
+const findEquipment = async (equipmentId, connection = null) => {
+  const rows = await db.query(
+    `SELECT
+      id, equipment_code as equipmentCode, equipment_name as equipmentName, status,
+      currently_assigned_to_project_id as currentProjectId
+    FROM equipment
+    WHERE id = ? AND deleted_at IS NULL
+    ${connection ? 'FOR UPDATE' : ''}`,
+    [equipmentId],
+    connection
+  );
+
+  return rows[0] || null;
+};
+
+/**
+ * Insert an ACTIVE allocation and mark the equipment IN_USE on the project
+ * @returns {Promise<number>} New allocation ID
+ */
+const allocate = async (allocationData, connection = null) => {
+  const allocationDate = allocationData.allocationDate || new Date().toISOString().split('T')[0];
+
+  const result = await db.query(
+    `INSERT INTO equipment_allocation (
+      equipment_id, project_id, allocated_by_user_id, allocation_date,
+      planned_return_date, status, allocation_notes
+    ) VALUES (?, ?, ?, ?, ?, 'ACTIVE', ?)`,
+    [
+      allocationData.equipmentId,
+      allocationData.projectId,
+      allocationData.allocatedBy,
+      allocationDate,
+      allocationData.plannedReturnDate || null,
+      allocationData.notes || null
+    ],
+    connection
+  );
+
+  await db.query(
+    `UPDATE equipment
+     SET status = 'IN_USE', currently_assigned_to_project_id = ?, assignment_date = ?,
+         updated_by = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [allocationData.projectId, allocationDate, allocationData.allocatedBy, allocationData.equipmentId],
+    connection
+  );
+
+  return result.insertId;
+};
+
+module.exports = {
+  findEquipment,
+  allocate
+};
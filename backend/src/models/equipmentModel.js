@@ -430,6 +430,30 @@ const calculateDepreciation = async (equipmentId) => {
   }
 };
 
+/**
+ * Find equipment whose next maintenance falls within the given number of days
+ * Overdue maintenance is included; retired equipment is not.
+ * @param {number} days - Look-ahead window in days
+ * @returns {Promise<Array>} Equipment with its current assignment
+ */
+const findMaintenanceDue = async (days) => {
+  return await db.query(
+    `SELECT
+      id, equipment_code as equipmentCode, equipment_name as equipmentName, status,
+      next_maintenance_date as nextMaintenanceDate,
+      DATEDIFF(next_maintenance_date, CURDATE()) as daysUntilDue,
+      currently_assigned_user_id as assignedUserId,
+      currently_assigned_to_project_id as assignedProjectId
+    FROM equipment
+    WHERE deleted_at IS NULL
+      AND status != 'RETIRED'
+      AND next_maintenance_date IS NOT NULL
+      AND next_maintenance_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+    ORDER BY next_maintenance_date ASC, id ASC`,
+    [days]
+  );
+};
+
 module.exports = {
   getAllEquipment,
   getEquipmentById,
@@ -441,5 +465,6 @@ module.exports = {
   createAllocation,
   returnEquipment,
   recordMaintenance,
-  calculateDepreciation
+  calculateDepreciation,
+  findMaintenanceDue
 };
@@ -0,0 +1,199 @@
+/**
+ * Goods Receipt Model
+ * Database queries for goods_receipts and invoice_matches
+ */
+
+const db = require('../config/database');
+const { generateCode, parseJsonColumn } = require('../utils/helpers');
+
+/**
+ * Insert receipt lines delivered together under one receipt number
+ * @returns {Promise<string>} Generated receipt number
+ */
+const createReceipt = async (poId, receiptData, connection = null) => {
+  const tempNumber = `TMP-${poId}-${Date.now()}`;
+  let firstId = null;
+
+  for (const line of receiptData.lines) {
+    const result = await db.query(
+      `INSERT INTO goods_receipts (
+        receipt_number, purchase_order_id, purchase_order_item_id, received_date,
+        quantity_delivered, quantity_accepted, quantity_rejected, rejection_reason,
+        notes, received_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tempNumber,
+        poId,
+        line.itemId,
+        receiptData.receivedDate,
+        line.quantityAccepted + line.quantityRejected,
+        line.quantityAccepted,
+        line.quantityRejected,
+        line.rejectionReason || null,
+        receiptData.notes || null,
+        receiptData.receivedBy
+      ],
+      connection
+    );
+
+    if (firstId === null) {
+      firstId = result.insertId;
+    }
+  }
+
+  // Generate and update receipt number
+  const receiptNumber = generateCode('GR', firstId);
+  await db.query(
+    'UPDATE goods_receipts SET receipt_number = ? WHERE receipt_number = ?',
+    [receiptNumber, tempNumber],
+    connection
+  );
+
+  return receiptNumber;
+};
+
+/**
+ * Get receipt lines for a purchase order, newest first
+ */
+const findByPurchaseOrder = async (poId) => {
+  const rows = await db.query(
+    `SELECT
+      gr.id, gr.receipt_number as receiptNumber, gr.purchase_order_item_id as itemId,
+      poi.item_number as itemNumber, poi.description as itemDescription, poi.unit,
+      gr.received_date as receivedDate, gr.quantity_delivered as quantityDelivered,
+      gr.quantity_accepted as quantityAccepted, gr.quantity_rejected as quantityRejected,
+      gr.rejection_reason as rejectionReason, gr.notes, gr.created_at as createdAt,
+      u.id as receivedById, u.first_name as receivedByFirstName, u.last_name as receivedByLastName
+    FROM goods_receipts gr
+    JOIN purchase_order_items poi ON gr.purchase_order_item_id = poi.id
+    LEFT JOIN users u ON gr.received_by = u.id
+    WHERE gr.purchase_order_id = ?
+    ORDER BY gr.received_date DESC, gr.id DESC`,
+    [poId]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    receiptNumber: row.receiptNumber,
+    itemId: row.itemId,
+    itemNumber: row.itemNumber,
+    itemDescription: row.itemDescription,
+    unit: row.unit,
+    receivedDate: row.receivedDate,
+    quantityDelivered: parseFloat(row.quantityDelivered),
+    quantityAccepted: parseFloat(row.quantityAccepted),
+    quantityRejected: parseFloat(row.quantityRejected),
+    rejectionReason: row.rejectionReason,
+    notes: row.notes,
+    receivedBy: row.receivedById ? {
+      id: row.receivedById,
+      firstName: row.receivedByFirstName,
+      lastName: row.receivedByLastName
+    } : null,
+    createdAt: row.createdAt
+  }));
+};
+
+/**
+ * Total rejected quantity per item of a purchase order
+ * @returns {Promise<Object>} Map itemId => rejected quantity
+ */
+const getRejectedByItem = async (poId, connection = null) => {
+  const rows = await db.query(
+    `SELECT purchase_order_item_id as itemId, SUM(quantity_rejected) as rejected
+     FROM goods_receipts
+     WHERE purchase_order_id = ?
+     GROUP BY purchase_order_item_id`,
+    [poId],
+    connection
+  );
+
+  return rows.reduce((map, row) => {
+    map[row.itemId] = parseFloat(row.rejected);
+    return map;
+  }, {});
+};
+
+/**
+ * Apply accepted quantity to a PO line and set its quality status
+ */
+const updateItemReceipt = async (itemId, quantityReceived, qualityStatus, connection = null) => {
+  await db.query(
+    `UPDATE purchase_order_items
+     SET quantity_received = ?, quality_status = ?
+     WHERE id = ?`,
+    [quantityReceived, qualityStatus, itemId],
+    connection
+  );
+};
+
+/**
+ * Store a three-way match result
+ */
+const createInvoiceMatch = async (matchData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO invoice_matches (
+      purchase_order_id, invoice_number, invoice_amount, ordered_amount,
+      received_amount, variance_amount, tolerance_percent, match_status,
+      mismatches, checked_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      matchData.purchaseOrderId,
+      matchData.invoiceNumber,
+      matchData.invoiceAmount,
+      matchData.orderedAmount,
+      matchData.receivedAmount,
+      matchData.varianceAmount,
+      matchData.tolerancePercent,
+      matchData.matchStatus,
+      JSON.stringify(matchData.mismatches),
+      matchData.checkedBy
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Get latest three-way match result for a purchase order
+ */
+const findLatestMatch = async (poId) => {
+  const rows = await db.query(
+    `SELECT
+      id, invoice_number as invoiceNumber, invoice_amount as invoiceAmount,
+      ordered_amount as orderedAmount, received_amount as receivedAmount,
+      variance_amount as varianceAmount, tolerance_percent as tolerancePercent,
+      match_status as matchStatus, mismatches, checked_by as checkedBy, checked_at as checkedAt
+    FROM invoice_matches
+    WHERE purchase_order_id = ?
+    ORDER BY checked_at DESC, id DESC
+    LIMIT 1`,
+    [poId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const match = rows[0];
+
+  return {
+    ...match,
+    invoiceAmount: parseFloat(match.invoiceAmount),
+    orderedAmount: parseFloat(match.orderedAmount),
+    receivedAmount: parseFloat(match.receivedAmount),
+    varianceAmount: parseFloat(match.varianceAmount),
+    tolerancePercent: parseFloat(match.tolerancePercent),
+    mismatches: parseJsonColumn(match.mismatches, [])
+  };
+};
+
+module.exports = {
+  createReceipt,
+  findByPurchaseOrder,
+  getRejectedByItem,
+  updateItemReceipt,
+  createInvoiceMatch,
+  findLatestMatch
+};
@@ -0,0 +1,247 @@
+/**
+ * Milestone Model
+ * Database queries for project milestones
+ */
+
+const db = require('../config/database');
+const { toDateString } = require('../utils/helpers');
+
+const MILESTONE_COLUMNS = `
+  m.id, m.milestone_code as milestoneCode, m.project_id as projectId,
+  m.title, m.description,
+  m.planned_date as plannedDate, m.actual_completion_date as actualCompletionDate,
+  m.status, m.completion_percentage as completionPercentage,
+  m.responsible_user_id as responsibleUserId, m.sequence_order as sequenceOrder,
+  m.depends_on_milestone_id as dependsOnMilestoneId,
+  m.budget_allocated as budgetAllocated, m.actual_cost as actualCost, m.weight,
+  m.deliverables,
+  m.created_at as createdAt, m.updated_at as updatedAt,
+  m.created_by as createdBy, m.updated_by as updatedBy,
+  u.first_name as responsibleUserFirstName, u.last_name as responsibleUserLastName,
+  dm.milestone_code as dependsOnCode, dm.title as dependsOnTitle
+`;
+
+const MILESTONE_JOINS = `
+  LEFT JOIN users u ON m.responsible_user_id = u.id
+  LEFT JOIN milestones dm ON m.depends_on_milestone_id = dm.id
+`;
+
+/**
+ * Parse the deliverables column (JSON array; plain text from older rows)
+ */
+const parseDeliverables = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch (error) {
+    return [value];
+  }
+};
+
+/**
+ * Normalize milestone row (dates as YYYY-MM-DD)
+ */
+const formatMilestone = (row) => {
+  const {
+    responsibleUserFirstName, responsibleUserLastName, dependsOnCode, dependsOnTitle, ...milestone
+  } = row;
+
+  return {
+    ...milestone,
+    plannedDate: toDateString(row.plannedDate),
+    actualCompletionDate: row.actualCompletionDate ? toDateString(row.actualCompletionDate) : null,
+    completionPercentage: parseFloat(row.completionPercentage),
+    budgetAllocated: parseFloat(row.budgetAllocated),
+    actualCost: parseFloat(row.actualCost),
+    weight: parseFloat(row.weight),
+    deliverables: parseDeliverables(row.deliverables),
+    responsibleUser: {
+      id: row.responsibleUserId,
+      firstName: responsibleUserFirstName,
+      lastName: responsibleUserLastName
+    },
+    dependsOnMilestone: row.dependsOnMilestoneId ? {
+      id: row.dependsOnMilestoneId,
+      milestoneCode: dependsOnCode,
+      title: dependsOnTitle
+    } : null
+  };
+};
+
+/**
+ * Find the milestones of a project in sequence order
+ * Inside a transaction the rows are locked, so that concurrent changes to
+ * the dependency graph of a project are checked one at a time.
+ */
+const findByProject = async (projectId, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${MILESTONE_COLUMNS}
+     FROM milestones m
+     ${MILESTONE_JOINS}
+     WHERE m.project_id = ?
+     ORDER BY m.sequence_order ASC, m.id ASC
+     ${connection ? 'FOR UPDATE' : ''}`,
+    [projectId],
+    connection
+  );
+
+  return rows.map(formatMilestone);
+};
+
+/**
+ * Find milestone by ID within a project
+ */
+const findById = async (milestoneId, projectId, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${MILESTONE_COLUMNS}
+     FROM milestones m
+     ${MILESTONE_JOINS}
+     WHERE m.id = ? AND m.project_id = ?`,
+    [milestoneId, projectId],
+    connection
+  );
+
+  return rows.length > 0 ? formatMilestone(rows[0]) : null;
+};
+
+/**
+ * Find open milestones past their planned date on live projects
+ * @returns {Promise<Array>} Overdue milestones with their project managers
+ */
+const findOverdue = async () => {
+  return await db.query(
+    `SELECT
+      m.id, m.milestone_code as milestoneCode, m.title, m.planned_date as plannedDate,
+      m.status, m.responsible_user_id as responsibleUserId,
+      DATEDIFF(CURDATE(), m.planned_date) as daysOverdue,
+      p.id as projectId, p.project_code as projectCode, p.project_name as projectName,
+      p.project_manager_id as projectManagerId, p.alternate_manager_id as alternateManagerId
+    FROM milestones m
+    JOIN projects p ON m.project_id = p.id
+    WHERE m.planned_date < CURDATE()
+      AND m.status NOT IN ('COMPLETED', 'CANCELLED')
+      AND p.deleted_at IS NULL
+      AND p.status NOT IN ('COMPLETED', 'CANCELLED')
+    ORDER BY m.planned_date ASC, m.id ASC`
+  );
+};
+
+/**
+ * Insert milestone
+ * @returns {Promise<number>} New milestone ID
+ */
+const create = async (milestoneData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO milestones (
+      milestone_code, project_id, title, description, planned_date, status,
+      completion_percentage, actual_completion_date, responsible_user_id, sequence_order,
+      depends_on_milestone_id, budget_allocated, weight, deliverables, created_by, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      milestoneData.milestoneCode,
+      milestoneData.projectId,
+      milestoneData.title,
+      milestoneData.description || null,
+      milestoneData.plannedDate,
+      milestoneData.status,
+      milestoneData.completionPercentage || 0,
+      milestoneData.actualCompletionDate || null,
+      milestoneData.responsibleUserId,
+      milestoneData.sequenceOrder,
+      milestoneData.dependsOnMilestoneId || null,
+      milestoneData.budgetAllocated || 0,
+      milestoneData.weight !== undefined ? milestoneData.weight : 1,
+      milestoneData.deliverables ? JSON.stringify(milestoneData.deliverables) : null,
+      milestoneData.createdBy,
+      milestoneData.createdBy
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Update milestone
+ */
+const update = async (milestoneId, milestoneData, connection = null) => {
+  await db.query(
+    `UPDATE milestones
+     SET title = ?, description = ?, planned_date = ?, status = ?, completion_percentage = ?,
+         actual_completion_date = ?, responsible_user_id = ?, sequence_order = ?,
+         depends_on_milestone_id = ?, budget_allocated = ?, actual_cost = ?, weight = ?,
+         deliverables = ?, updated_by = ?
+     WHERE id = ?`,
+    [
+      milestoneData.title,
+      milestoneData.description || null,
+      milestoneData.plannedDate,
+      milestoneData.status,
+      milestoneData.completionPercentage,
+      milestoneData.actualCompletionDate || null,
+      milestoneData.responsibleUserId,
+      milestoneData.sequenceOrder,
+      milestoneData.dependsOnMilestoneId || null,
+      milestoneData.budgetAllocated,
+      milestoneData.actualCost,
+      milestoneData.weight,
+      milestoneData.deliverables.length > 0 ? JSON.stringify(milestoneData.deliverables) : null,
+      milestoneData.updatedBy,
+      milestoneId
+    ],
+    connection
+  );
+};
+
+/**
+ * Set the sequence order of milestones
+ * @param {Array<number>} milestoneIds - Milestone IDs in their new order
+ */
+const updateSequence = async (milestoneIds, updatedBy, connection = null) => {
+  for (const [index, milestoneId] of milestoneIds.entries()) {
+    await db.query(
+      'UPDATE milestones SET sequence_order = ?, updated_by = ? WHERE id = ?',
+      [index + 1, updatedBy, milestoneId],
+      connection
+    );
+  }
+};
+
+/**
+ * Mark open milestones past their planned date as DELAYED
+ * @returns {Promise<number>} Milestones marked
+ */
+const markDelayed = async () => {
+  const result = await db.query(
+    `UPDATE milestones m
+     JOIN projects p ON m.project_id = p.id
+     SET m.status = 'DELAYED'
+     WHERE m.planned_date < CURDATE()
+       AND m.status IN ('NOT_STARTED', 'IN_PROGRESS')
+       AND p.deleted_at IS NULL`
+  );
+
+  return result.affectedRows;
+};
+
+/**
+ * Delete milestone
+ */
+const remove = async (milestoneId, connection = null) => {
+  await db.query('DELETE FROM milestones WHERE id = ?', [milestoneId], connection);
+};
+
+module.exports = {
+  findByProject,
+  findById,
+  findOverdue,
+  create,
+  update,
+  updateSequence,
+  markDelayed,
+  remove
+};
@@ -0,0 +1,220 @@
+/**
+ * Notification Model
+ * Database queries for notifications
+ */
+
+const db = require('../config/database');
+
+const NOTIFICATION_COLUMNS = `
+  n.id, n.notification_type as notificationType,
+  n.related_entity_type as relatedEntityType, n.related_entity_id as relatedEntityId,
+  n.subject, n.message, n.priority, n.is_read as isRead, n.read_at as readAt,
+  n.email_sent as emailSent, n.email_sent_at as emailSentAt,
+  n.action_url as actionUrl, n.created_at as createdAt, n.expires_at as expiresAt
+`;
+
+// Expired notifications are hidden until the purge removes them
+const NOT_EXPIRED = '(n.expires_at IS NULL OR n.expires_at > NOW())';
+
+/**
+ * Normalize notification row
+ */
+const formatNotification = (row) => ({
+  ...row,
+  isRead: Boolean(row.isRead),
+  emailSent: Boolean(row.emailSent)
+});
+
+/**
+ * Insert notification
+ * A notification whose dedupeKey the user already has is silently skipped
+ * (ignored rows report no affected row, whatever the client flags).
+ * @returns {Promise<Number|null>} New notification ID, null when skipped
+ */
+const create = async (notificationData, connection = null) => {
+  const result = await db.query(
+    `INSERT IGNORE INTO notifications (
+      user_id, notification_type, related_entity_type, related_entity_id,
+      subject, message, priority, action_url, dedupe_key, expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      notificationData.userId,
+      notificationData.notificationType,
+      notificationData.relatedEntityType || null,
+      notificationData.relatedEntityId || null,
+      notificationData.subject,
+      notificationData.message,
+      notificationData.priority || 'NORMAL',
+      notificationData.actionUrl || null,
+      notificationData.dedupeKey || null,
+      notificationData.expiresAt || null
+    ],
+    connection
+  );
+
+  return result.affectedRows > 0 ? result.insertId : null;
+};
+
+/**
+ * Find a user's live notifications, newest first
+ * @param {Number} userId - Recipient
+ * @param {Object} filters - unreadOnly, notificationType, priority
+ * @param {Object} pagination - limit, offset
+ * @returns {Promise<Object>} { notifications, total }
+ */
+const findByUser = async (userId, filters = {}, pagination = {}) => {
+  const { limit = 20, offset = 0 } = pagination;
+  const conditions = ['n.user_id = ?', NOT_EXPIRED];
+  const params = [userId];
+
+  if (filters.unreadOnly) {
+    conditions.push('n.is_read = FALSE');
+  }
+
+  if (filters.notificationType) {
+    conditions.push('n.notification_type = ?');
+    params.push(filters.notificationType);
+  }
+
+  if (filters.priority) {
+    conditions.push('n.priority = ?');
+    params.push(filters.priority);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total FROM notifications n WHERE ${where}`,
+    params
+  );
+
+  const rows = await db.query(
+    `SELECT ${NOTIFICATION_COLUMNS}
+     FROM notifications n
+     WHERE ${where}
+     ORDER BY n.created_at DESC, n.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return {
+    notifications: rows.map(formatNotification),
+    total: countResult.total
+  };
+};
+
+/**
+ * Count a user's unread live notifications by priority
+ * @returns {Promise<Object>} { total, byPriority }
+ */
+const countUnread = async (userId) => {
+  const rows = await db.query(
+    `SELECT n.priority, COUNT(*) as count
+     FROM notifications n
+     WHERE n.user_id = ? AND n.is_read = FALSE AND ${NOT_EXPIRED}
+     GROUP BY n.priority`,
+    [userId]
+  );
+
+  const byPriority = rows.reduce((counts, row) => ({ ...counts, [row.priority]: row.count }), {});
+
+  return {
+    total: rows.reduce((sum, row) => sum + row.count, 0),
+    byPriority
+  };
+};
+
+/**
+ * Find one of a user's live notifications
+ */
+const findById = async (notificationId, userId) => {
+  const rows = await db.query(
+    `SELECT ${NOTIFICATION_COLUMNS}
+     FROM notifications n
+     WHERE n.id = ? AND n.user_id = ? AND ${NOT_EXPIRED}`,
+    [notificationId, userId]
+  );
+
+  return rows[0] ? formatNotification(rows[0]) : null;
+};
+
+/**
+ * Mark one notification read
+ */
+const markRead = async (notificationId, userId) => {
+  await db.query(
+    `UPDATE notifications
+     SET is_read = TRUE, read_at = COALESCE(read_at, NOW())
+     WHERE id = ? AND user_id = ?`,
+    [notificationId, userId]
+  );
+};
+
+/**
+ * Mark every unread notification of a user read
+ * @param {Object} filters - notificationType (optional)
+ * @returns {Promise<Number>} Notifications updated
+ */
+const markAllRead = async (userId, filters = {}) => {
+  const conditions = ['user_id = ?', 'is_read = FALSE'];
+  const params = [userId];
+
+  if (filters.notificationType) {
+    conditions.push('notification_type = ?');
+    params.push(filters.notificationType);
+  }
+
+  const result = await db.query(
+    `UPDATE notifications
+     SET is_read = TRUE, read_at = NOW()
+     WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  return result.affectedRows;
+};
+
+/**
+ * Delete one notification
+ */
+const remove = async (notificationId, userId) => {
+  await db.query(
+    'DELETE FROM notifications WHERE id = ? AND user_id = ?',
+    [notificationId, userId]
+  );
+};
+
+/**
+ * Record that the email copy of a notification was delivered
+ */
+const markEmailSent = async (notificationId, connection = null) => {
+  await db.query(
+    'UPDATE notifications SET email_sent = TRUE, email_sent_at = NOW() WHERE id = ?',
+    [notificationId],
+    connection
+  );
+};
+
+/**
+ * Delete notifications past their expiry date
+ * @returns {Promise<Number>} Notifications deleted
+ */
+const deleteExpired = async () => {
+  const result = await db.query(
+    'DELETE FROM notifications WHERE expires_at IS NOT NULL AND expires_at <= NOW()'
+  );
+
+  return result.affectedRows;
+};
+
+module.exports = {
+  create,
+  findByUser,
+  countUnread,
+  findById,
+  markRead,
+  markAllRead,
+  remove,
+  markEmailSent,
+  deleteExpired
+};
@@ -0,0 +1,56 @@
+/**
+ * Notification Preference Model
+ * Database queries for user_notification_preferences (email opt-out)
+ * A missing row means email is enabled for that notification type
+ */
+
+const db = require('../config/database');
+
+/**
+ * Find the stored preferences of a user
+ * @returns {Promise<Array>} { notificationType, emailEnabled }
+ */
+const findByUser = async (userId) => {
+  const rows = await db.query(
+    `SELECT notification_type as notificationType, email_enabled as emailEnabled
+     FROM user_notification_preferences
+     WHERE user_id = ?`,
+    [userId]
+  );
+
+  return rows.map(row => ({ ...row, emailEnabled: Boolean(row.emailEnabled) }));
+};
+
+/**
+ * Check whether a user accepts email for a notification type
+ */
+const isEmailEnabled = async (userId, notificationType, connection = null) => {
+  const rows = await db.query(
+    `SELECT email_enabled as emailEnabled
+     FROM user_notification_preferences
+     WHERE user_id = ? AND notification_type = ?`,
+    [userId, notificationType],
+    connection
+  );
+
+  return rows.length === 0 || Boolean(rows[0].emailEnabled);
+};
+
+/**
+ * Set the email preference of a user for a notification type
+ */
+const upsert = async (userId, notificationType, emailEnabled, connection = null) => {
+  await db.query(
+    `INSERT INTO user_notification_preferences (user_id, notification_type, email_enabled)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE email_enabled = VALUES(email_enabled)`,
+    [userId, notificationType, emailEnabled],
+    connection
+  );
+};
+
+module.exports = {
+  findByUser,
+  isEmailEnabled,
+  upsert
+};
@@ -0,0 +1,196 @@
+/**
+ * Project Baseline Model
+ * Database queries for project_baselines
+ */
+
+const db = require('../config/database');
+const { toDateString, parseJsonColumn } = require('../utils/helpers');
+
+// Summary columns: everything but the snapshot
+const BASELINE_SUMMARY_COLUMNS = `
+  b.id, b.project_id as projectId, b.baseline_number as baselineNumber,
+  b.baseline_name as baselineName, b.description, b.status,
+  b.start_date as startDate, b.planned_end_date as plannedEndDate,
+  b.estimated_budget as estimatedBudget,
+  b.approval_id as approvalId, a.approval_code as approvalCode,
+  b.activated_at as activatedAt, b.created_at as createdAt, b.created_by as createdBy,
+  u.first_name as createdByFirstName, u.last_name as createdByLastName
+`;
+
+const BASELINE_COLUMNS = `${BASELINE_SUMMARY_COLUMNS}, b.snapshot`;
+
+const BASELINE_JOINS = `
+  LEFT JOIN approvals a ON b.approval_id = a.id
+  LEFT JOIN users u ON b.created_by = u.id
+`;
+
+/**
+ * Normalize baseline summary row (dates as YYYY-MM-DD)
+ */
+const formatSummary = (row) => {
+  const { createdByFirstName, createdByLastName, ...baseline } = row;
+
+  return {
+    ...baseline,
+    startDate: toDateString(row.startDate),
+    plannedEndDate: toDateString(row.plannedEndDate),
+    estimatedBudget: parseFloat(row.estimatedBudget),
+    createdBy: {
+      id: row.createdBy,
+      firstName: createdByFirstName,
+      lastName: createdByLastName
+    }
+  };
+};
+
+/**
+ * Normalize baseline row with its snapshot parsed
+ */
+const formatBaseline = (row) => {
+  const { snapshot, ...summary } = row;
+  const parsed = parseJsonColumn(snapshot, {});
+
+  return {
+    ...formatSummary(summary),
+    budgetAllocations: parsed.budgetAllocations || [],
+    milestones: parsed.milestones || []
+  };
+};
+
+/**
+ * Baselines of a project without their snapshot, newest first
+ */
+const findByProject = async (projectId) => {
+  const rows = await db.query(
+    `SELECT ${BASELINE_SUMMARY_COLUMNS}
+    FROM project_baselines b
+    ${BASELINE_JOINS}
+    WHERE b.project_id = ?
+    ORDER BY b.baseline_number DESC`,
+    [projectId]
+  );
+
+  return rows.map(formatSummary);
+};
+
+/**
+ * Find baseline by ID (locked inside a transaction)
+ */
+const findById = async (baselineId, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${BASELINE_COLUMNS}
+    FROM project_baselines b
+    ${BASELINE_JOINS}
+    WHERE b.id = ?
+    ${connection ? 'FOR UPDATE' : ''}`,
+    [baselineId],
+    connection
+  );
+
+  return rows.length > 0 ? formatBaseline(rows[0]) : null;
+};
+
+/**
+ * Find the baseline of a project in a status (the most recent one)
+ */
+const findByStatus = async (projectId, status, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${BASELINE_COLUMNS}
+    FROM project_baselines b
+    ${BASELINE_JOINS}
+    WHERE b.project_id = ? AND b.status = ?
+    ORDER BY b.baseline_number DESC
+    LIMIT 1
+    ${connection ? 'FOR UPDATE' : ''}`,
+    [projectId, status],
+    connection
+  );
+
+  return rows.length > 0 ? formatBaseline(rows[0]) : null;
+};
+
+/**
+ * Next baseline number of a project
+ */
+const nextNumber = async (projectId, connection = null) => {
+  const rows = await db.query(
+    'SELECT COALESCE(MAX(baseline_number), 0) + 1 as nextNumber FROM project_baselines WHERE project_id = ?',
+    [projectId],
+    connection
+  );
+
+  return rows[0].nextNumber;
+};
+
+/**
+ * Create baseline
+ * @returns {Promise<number>} New baseline ID
+ */
+const create = async (baselineData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO project_baselines (
+      project_id, baseline_number, baseline_name, description, status,
+      start_date, planned_end_date, estimated_budget, snapshot, activated_at, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${baselineData.active ? 'NOW()' : 'NULL'}, ?)`,
+    [
+      baselineData.projectId,
+      baselineData.baselineNumber,
+      baselineData.baselineName,
+      baselineData.description || null,
+      baselineData.status,
+      baselineData.startDate,
+      baselineData.plannedEndDate,
+      baselineData.estimatedBudget,
+      JSON.stringify({
+        budgetAllocations: baselineData.budgetAllocations,
+        milestones: baselineData.milestones
+      }),
+      baselineData.createdBy
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Link the approval request of a re-baseline
+ */
+const setApproval = async (baselineId, approvalId, connection = null) => {
+  await db.query(
+    'UPDATE project_baselines SET approval_id = ? WHERE id = ?',
+    [approvalId, baselineId],
+    connection
+  );
+};
+
+/**
+ * Change baseline status (ACTIVE also records the activation time)
+ */
+const updateStatus = async (baselineId, status, connection = null) => {
+  await db.query(
+    `UPDATE project_baselines
+     SET status = ?${status === 'ACTIVE' ? ', activated_at = NOW()' : ''}
+     WHERE id = ?`,
+    [status, baselineId],
+    connection
+  );
+};
+
+/**
+ * Delete baseline (a re-baseline whose approval request could not be submitted)
+ */
+const remove = async (baselineId, connection = null) => {
+  await db.query('DELETE FROM project_baselines WHERE id = ?', [baselineId], connection);
+};
+
+module.exports = {
+  findByProject,
+  findById,
+  findByStatus,
+  nextNumber,
+  create,
+  setApproval,
+  updateStatus,
+  remove
+};
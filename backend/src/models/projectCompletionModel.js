@@ -0,0 +1,124 @@
+/**
+ * Project Completion Model
+ * Database queries for the derived project completion and its history
+ */
+
+const db = require('../config/database');
+
+/**
+ * Get the completion state of a project (locks the row inside a
+ * transaction so that concurrent recalculations apply one at a time)
+ */
+const findState = async (projectId, connection = null) => {
+  const rows = await db.query(
+    `SELECT
+      id as projectId, completion_percentage as completionPercentage,
+      completion_method as completionMethod,
+      completion_override_reason as overrideReason,
+      completion_overridden_by as overriddenBy, completion_overridden_at as overriddenAt
+    FROM projects
+    WHERE id = ? AND deleted_at IS NULL
+    ${connection ? 'FOR UPDATE' : ''}`,
+    [projectId],
+    connection
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    ...rows[0],
+    completionPercentage: parseFloat(rows[0].completionPercentage),
+    isOverridden: rows[0].overriddenAt !== null
+  };
+};
+
+/**
+ * Set the completion value (and clear or set the override)
+ * @param {Object} values - completionPercentage, override { reason, userId } or null
+ */
+const setCompletion = async (projectId, values, updatedBy, connection = null) => {
+  await db.query(
+    `UPDATE projects
+     SET completion_percentage = ?,
+         completion_override_reason = ?, completion_overridden_by = ?,
+         completion_overridden_at = ${values.override ? 'NOW()' : 'NULL'},
+         updated_by = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [
+      values.completionPercentage,
+      values.override ? values.override.reason : null,
+      values.override ? values.override.userId : null,
+      updatedBy,
+      projectId
+    ],
+    connection
+  );
+};
+
+/**
+ * Set the roll-up method
+ */
+const setMethod = async (projectId, completionMethod, updatedBy, connection = null) => {
+  await db.query(
+    'UPDATE projects SET completion_method = ?, updated_by = ?, updated_at = NOW() WHERE id = ?',
+    [completionMethod, updatedBy, projectId],
+    connection
+  );
+};
+
+/**
+ * Append a completion value to the history
+ */
+const addHistory = async (entry, connection = null) => {
+  await db.query(
+    `INSERT INTO project_completion_history (
+      project_id, completion_percentage, source, completion_method, reason, recorded_by
+    ) VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      entry.projectId,
+      entry.completionPercentage,
+      entry.source,
+      entry.completionMethod,
+      entry.reason || null,
+      entry.recordedBy || null
+    ],
+    connection
+  );
+};
+
+/**
+ * Completion history of a project, oldest first
+ */
+const findHistory = async (projectId) => {
+  const rows = await db.query(
+    `SELECT
+      h.id, h.completion_percentage as completionPercentage, h.source,
+      h.completion_method as completionMethod, h.reason, h.recorded_at as recordedAt,
+      h.recorded_by as recordedBy, u.first_name as recordedByFirstName, u.last_name as recordedByLastName
+    FROM project_completion_history h
+    LEFT JOIN users u ON h.recorded_by = u.id
+    WHERE h.project_id = ?
+    ORDER BY h.recorded_at ASC, h.id ASC`,
+    [projectId]
+  );
+
+  return rows.map(({ recordedByFirstName, recordedByLastName, ...entry }) => ({
+    ...entry,
+    completionPercentage: parseFloat(entry.completionPercentage),
+    recordedBy: entry.recordedBy ? {
+      id: entry.recordedBy,
+      firstName: recordedByFirstName,
+      lastName: recordedByLastName
+    } : null
+  }));
+};
+
+module.exports = {
+  findState,
+  setCompletion,
+  setMethod,
+  addHistory,
+  findHistory
+};
@@ -0,0 +1,186 @@
+/**
+ * Project Member Model
+ * Database queries for project membership
+ *
+ * A user takes part in a project as its manager or alternate (from the
+ * project record), as an explicit member (project_members) or as an
+ * engineer through an active resource allocation.
+ */
+
+const db = require('../config/database');
+
+const MEMBERSHIPS_SQL = `
+  SELECT p.project_manager_id as userId, 'MANAGER' as memberRole,
+    'PROJECT_MANAGER' as source, NULL as memberId, NULL as notes, NULL as createdAt
+  FROM projects p
+  WHERE p.id = ? AND p.deleted_at IS NULL
+  UNION ALL
+  SELECT p.alternate_manager_id, 'ALTERNATE', 'ALTERNATE_MANAGER', NULL, NULL, NULL
+  FROM projects p
+  WHERE p.id = ? AND p.deleted_at IS NULL AND p.alternate_manager_id IS NOT NULL
+  UNION ALL
+  SELECT pm.user_id, pm.member_role, 'MEMBERSHIP', pm.id, pm.notes, pm.created_at
+  FROM project_members pm
+  WHERE pm.project_id = ?
+  UNION ALL
+  SELECT DISTINCT ra.user_id, 'ENGINEER', 'RESOURCE_ALLOCATION', NULL, NULL, NULL
+  FROM resource_allocations ra
+  WHERE ra.project_id = ? AND ra.allocation_status = 'ACTIVE'
+`;
+
+/**
+ * Normalize membership row
+ */
+const formatMembership = (row) => {
+  const { firstName, lastName, email, ...membership } = row;
+
+  return {
+    ...membership,
+    user: { id: row.userId, firstName, lastName, email }
+  };
+};
+
+/**
+ * Every membership of a project, managers first
+ * A user may appear more than once (e.g. observer and allocated engineer).
+ */
+const findByProject = async (projectId) => {
+  const rows = await db.query(
+    `SELECT m.*, u.first_name as firstName, u.last_name as lastName, u.email
+     FROM (${MEMBERSHIPS_SQL}) m
+     JOIN users u ON m.userId = u.id
+     ORDER BY FIELD(m.memberRole, 'MANAGER', 'ALTERNATE', 'ENGINEER', 'FINANCE', 'OBSERVER'),
+       u.last_name ASC, u.first_name ASC`,
+    [projectId, projectId, projectId, projectId]
+  );
+
+  return rows.map(formatMembership);
+};
+
+/**
+ * Memberships of a user in a project
+ * @returns {Promise<Array>} { memberRole, source, memberId }
+ */
+const findByUser = async (projectId, userId) => {
+  return await db.query(
+    `SELECT m.memberRole, m.source, m.memberId
+     FROM (${MEMBERSHIPS_SQL}) m
+     WHERE m.userId = ?`,
+    [projectId, projectId, projectId, projectId, userId]
+  );
+};
+
+/**
+ * Find the explicit membership of a user in a project
+ */
+const findMember = async (projectId, userId, connection = null) => {
+  const rows = await db.query(
+    `SELECT id, project_id as projectId, user_id as userId, member_role as memberRole,
+       notes, created_at as createdAt, created_by as createdBy
+     FROM project_members
+     WHERE project_id = ? AND user_id = ?
+     ${connection ? 'FOR UPDATE' : ''}`,
+    [projectId, userId],
+    connection
+  );
+
+  return rows[0] || null;
+};
+
+/**
+ * Add an explicit member
+ * @returns {Promise<Number>} Membership ID
+ */
+const create = async (member, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO project_members (project_id, user_id, member_role, notes, created_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [member.projectId, member.userId, member.memberRole, member.notes || null, member.createdBy],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Change the role of an explicit member
+ */
+const update = async (projectId, userId, changes, connection = null) => {
+  await db.query(
+    `UPDATE project_members
+     SET member_role = ?, notes = ?
+     WHERE project_id = ? AND user_id = ?`,
+    [changes.memberRole, changes.notes || null, projectId, userId],
+    connection
+  );
+};
+
+/**
+ * Remove an explicit member
+ */
+const remove = async (projectId, userId, connection = null) => {
+  await db.query(
+    'DELETE FROM project_members WHERE project_id = ? AND user_id = ?',
+    [projectId, userId],
+    connection
+  );
+};
+
+/**
+ * Condition: the user takes part in the project referenced by a column
+ * @param {String} projectColumn - Column holding the project ID (e.g. 'p.id')
+ * @param {Array} roles - Member roles to consider, all when omitted
+ * @returns {Object} { condition, params }
+ */
+const buildMembershipCondition = (projectColumn, userId, roles = null) => {
+  const includes = role => !roles || roles.includes(role);
+  const parts = [];
+  const params = [];
+
+  const managerColumns = [
+    includes('MANAGER') && 'mp.project_manager_id',
+    includes('ALTERNATE') && 'mp.alternate_manager_id'
+  ].filter(Boolean);
+
+  if (managerColumns.length > 0) {
+    parts.push(`EXISTS (
+      SELECT 1 FROM projects mp
+      WHERE mp.id = ${projectColumn} AND ? IN (${managerColumns.join(', ')})
+    )`);
+    params.push(userId);
+  }
+
+  const memberRoles = ['ENGINEER', 'FINANCE', 'OBSERVER'].filter(includes);
+
+  if (memberRoles.length > 0) {
+    parts.push(`EXISTS (
+      SELECT 1 FROM project_members pm
+      WHERE pm.project_id = ${projectColumn} AND pm.user_id = ?
+        AND pm.member_role IN (${memberRoles.map(() => '?').join(', ')})
+    )`);
+    params.push(userId, ...memberRoles);
+  }
+
+  if (includes('ENGINEER')) {
+    parts.push(`EXISTS (
+      SELECT 1 FROM resource_allocations ra
+      WHERE ra.project_id = ${projectColumn} AND ra.user_id = ? AND ra.allocation_status = 'ACTIVE'
+    )`);
+    params.push(userId);
+  }
+
+  return {
+    condition: parts.length > 0 ? `(${parts.join(' OR ')})` : 'FALSE',
+    params
+  };
+};
+
+module.exports = {
+  findByProject,
+  findByUser,
+  findMember,
+  create,
+  update,
+  remove,
+  buildMembershipCondition
+};
@@ -4,6 +4,7 @@
  */
 
 const db = require('../config/database');
+const projectMemberModel = require('./projectMemberModel');
 const logger = require('../middleware/logger');
 const { generateCode, calculatePercentage } = require('../utils/helpers');
 
@@ -18,10 +19,11 @@ const findAll = async (filters = {}, pagination = {}, sort = {}, userId = null)
   const conditions = ['p.deleted_at IS NULL'];
   const params = [];
   
-  // Row-level security: filter by user if not admin
+  // Row-level security: only the projects the user is a member of
   if (userId) {
-    conditions.push('p.project_manager_id = ?');
-    params.push(userId);
+    const { condition, params: memberParams } = projectMemberModel.buildMembershipCondition('p.id', userId);
+    conditions.push(condition);
+    params.push(...memberParams);
   }
   
   // Status filter
@@ -132,7 +134,7 @@ const findAll = async (filters = {}, pagination = {}, sort = {}, userId = null)
 /**
  * Find project by ID with full details
  */
-const findById = async (projectId) => {
+const findById = async (projectId, connection = null) => {
   const sql = `
     SELECT 
       p.*,
@@ -151,7 +153,7 @@ const findById = async (projectId) => {
     LIMIT 1
   `;
   
-  const rows = await db.query(sql, [projectId]);
+  const rows = await db.query(sql, [projectId], connection);
   
   if (rows.length === 0) {
     return null;
@@ -178,6 +180,12 @@ const findById = async (projectId) => {
     currency: project.currency,
     budgetStatus: project.budget_status,
     completionPercentage: parseFloat(project.completion_percentage),
+    completionMethod: project.completion_method,
+    completionOverride: project.completion_overridden_at ? {
+      reason: project.completion_override_reason,
+      overriddenBy: project.completion_overridden_by,
+      overriddenAt: project.completion_overridden_at
+    } : null,
     objectives: project.objectives,
     keyDeliverables: project.key_deliverables,
     risks: project.risks,
@@ -217,7 +225,7 @@ const findById = async (projectId) => {
 /**
  * Create new project
  */
-const create = async (projectData) => {
+const create = async (projectData, connection = null) => {
   const sql = `
     INSERT INTO projects (
       project_name, description, project_type, priority, status,
@@ -250,12 +258,12 @@ const create = async (projectData) => {
     projectData.updatedBy
   ];
   
-  const result = await db.query(sql, params);
+  const result = await db.query(sql, params, connection);
   const projectId = result.insertId;
   
   // Generate and update project code
   const projectCode = generateCode('PROJ', projectId);
-  await db.query('UPDATE projects SET project_code = ? WHERE id = ?', [projectCode, projectId]);
+  await db.query('UPDATE projects SET project_code = ? WHERE id = ?', [projectCode, projectId], connection);
   
   return projectId;
 };
@@ -263,7 +271,7 @@ const create = async (projectData) => {
 /**
  * Update project
  */
-const update = async (projectId, projectData) => {
+const update = async (projectId, projectData, connection = null) => {
   const sql = `
     UPDATE projects SET
       project_name = ?, description = ?, project_type = ?, priority = ?, status = ?,
@@ -297,18 +305,18 @@ const update = async (projectId, projectData) => {
     projectId
   ];
   
-  await db.query(sql, params);
+  await db.query(sql, params, connection);
 };
 
 /**
  * Partially update project
  */
-const patch = async (projectId, updates) => {
+const patch = async (projectId, updates, connection = null) => {
   const allowedFields = [
-    'project_name', 'description', 'project_type', 'priority', 'status',
+    'project_name', 'description', 'project_type', 'priority',
     'start_date', 'planned_end_date', 'actual_end_date', 'location', 'description_location',
     'project_manager_id', 'alternate_manager_id', 'estimated_budget', 'actual_budget',
-    'completion_percentage', 'objectives', 'key_deliverables', 'risks', 'notes'
+    'objectives', 'key_deliverables', 'risks', 'notes'
   ];
   
   const setClauses = [];
@@ -331,39 +339,54 @@ const patch = async (projectId, updates) => {
   
   const sql = `UPDATE projects SET ${setClauses.join(', ')} WHERE id = ? AND deleted_at IS NULL`;
   
-  await db.query(sql, params);
+  await db.query(sql, params, connection);
 };
 
 /**
  * Soft delete project
  */
-const softDelete = async (projectId, deletedBy) => {
+const softDelete = async (projectId, deletedBy, connection = null) => {
   const sql = `
     UPDATE projects
     SET deleted_at = NOW(), updated_by = ?
     WHERE id = ?
   `;
   
-  await db.query(sql, [deletedBy, projectId]);
+  await db.query(sql, [deletedBy, projectId], connection);
 };
 
 /**
- * Update project status
+ * Update project status (actual end date and notes are kept when not given)
  */
-const updateStatus = async (projectId, status, actualEndDate, notes, updatedBy) => {
+const updateStatus = async (projectId, status, actualEndDate, notes, updatedBy, connection = null) => {
   const sql = `
     UPDATE projects
-    SET status = ?, actual_end_date = ?, notes = ?, updated_by = ?, updated_at = NOW()
+    SET status = ?, actual_end_date = COALESCE(?, actual_end_date), notes = COALESCE(?, notes),
+        updated_by = ?, updated_at = NOW()
     WHERE id = ? AND deleted_at IS NULL
   `;
   
-  await db.query(sql, [status, actualEndDate, notes, updatedBy, projectId]);
+  await db.query(sql, [status, actualEndDate || null, notes || null, updatedBy, projectId], connection);
+};
+
+/**
+ * Record project approval, optionally moving it to a new status
+ */
+const recordApproval = async (projectId, approvedBy, status = null, connection = null) => {
+  const sql = `
+    UPDATE projects
+    SET approved_by = ?, approval_date = NOW(), status = COALESCE(?, status),
+        updated_by = ?, updated_at = NOW()
+    WHERE id = ? AND deleted_at IS NULL
+  `;
+  
+  await db.query(sql, [approvedBy, status, approvedBy, projectId], connection);
 };
 
 /**
  * Get budget breakdown for project
  */
-const getBudgetBreakdown = async (projectId) => {
+const getBudgetBreakdown = async (projectId, connection = null) => {
   const sql = `
     SELECT 
       id, budget_category as category,
@@ -373,7 +396,7 @@ const getBudgetBreakdown = async (projectId) => {
     WHERE project_id = ?
   `;
   
-  const allocations = await db.query(sql, [projectId]);
+  const allocations = await db.query(sql, [projectId], connection);
   
   // Calculate totals
   const totalBudget = allocations.reduce((sum, a) => sum + parseFloat(a.allocated), 0);
@@ -414,52 +437,6 @@ const getBudgetBreakdown = async (projectId) => {
   };
 };
 
-/**
- * Get milestones for project
- */
-const getMilestones = async (projectId) => {
-  const sql = `
-    SELECT 
-      m.id, m.milestone_code as milestoneCode, m.title, m.description,
-      m.planned_date as plannedDate, m.actual_completion_date as actualCompletionDate,
-      m.status, m.completion_percentage as completionPercentage,
-      m.budget_allocated as budgetAllocated, m.actual_cost as actualCost,
-      m.sequence_order as sequenceOrder,
-      u.id as responsibleUserId, u.first_name as responsibleUserFirstName, u.last_name as responsibleUserLastName,
-      dm.id as dependsOnId, dm.title as dependsOnTitle
-    FROM milestones m
-    LEFT JOIN users u ON m.responsible_user_id = u.id
-    LEFT JOIN milestones dm ON m.depends_on_milestone_id = dm.id
-    WHERE m.project_id = ?
-    ORDER BY m.sequence_order ASC
-  `;
-  
-  const milestones = await db.query(sql, [projectId]);
-  
-  return milestones.map(m => ({
-    id: m.id,
-    milestoneCode: m.milestoneCode,
-    title: m.title,
-    description: m.description,
-    plannedDate: m.plannedDate,
-    actualCompletionDate: m.actualCompletionDate,
-    status: m.status,
-    completionPercentage: parseFloat(m.completionPercentage),
-    budgetAllocated: parseFloat(m.budgetAllocated),
-    actualCost: parseFloat(m.actualCost),
-    sequenceOrder: m.sequenceOrder,
-    responsibleUser: m.responsibleUserId ? {
-      id: m.responsibleUserId,
-      firstName: m.responsibleUserFirstName,
-      lastName: m.responsibleUserLastName
-    } : null,
-    dependsOnMilestone: m.dependsOnId ? {
-      id: m.dependsOnId,
-      title: m.dependsOnTitle
-    } : null
-  }));
-};
-
 module.exports = {
   findAll,
   findById,
@@ -468,6 +445,6 @@ module.exports = {
   patch,
   softDelete,
   updateStatus,
-  getBudgetBreakdown,
-  getMilestones
+  recordApproval,
+  getBudgetBreakdown
 };
@@ -0,0 +1,192 @@
+/**
+ * Project Risk Model
+ * Database queries for the project risk register
+ */
+
+const db = require('../config/database');
+const { toDateString } = require('../utils/helpers');
+
+const RISK_COLUMNS = `
+  r.id, r.risk_code as riskCode, r.project_id as projectId,
+  r.title, r.description, r.category, r.likelihood, r.impact,
+  r.owner_user_id as ownerUserId, r.mitigation_plan as mitigationPlan, r.status,
+  r.identified_date as identifiedDate, r.last_review_date as lastReviewDate,
+  r.next_review_date as nextReviewDate, r.closed_date as closedDate,
+  r.created_at as createdAt, r.updated_at as updatedAt,
+  r.created_by as createdBy, r.updated_by as updatedBy,
+  u.first_name as ownerFirstName, u.last_name as ownerLastName
+`;
+
+const optionalDate = (value) => (value ? toDateString(value) : null);
+
+/**
+ * Normalize risk row (dates as YYYY-MM-DD, exposure score)
+ */
+const formatRisk = (row) => {
+  const { ownerFirstName, ownerLastName, ...risk } = row;
+
+  return {
+    ...risk,
+    score: row.likelihood * row.impact,
+    identifiedDate: toDateString(row.identifiedDate),
+    lastReviewDate: optionalDate(row.lastReviewDate),
+    nextReviewDate: optionalDate(row.nextReviewDate),
+    closedDate: optionalDate(row.closedDate),
+    owner: {
+      id: row.ownerUserId,
+      firstName: ownerFirstName,
+      lastName: ownerLastName
+    }
+  };
+};
+
+/**
+ * Find the risks of a project, highest exposure first
+ * @param {Object} filters - status, category, ownerUserId, openOnly
+ */
+const findByProject = async (projectId, filters = {}, connection = null) => {
+  const conditions = ['r.project_id = ?'];
+  const params = [projectId];
+
+  if (filters.openOnly) {
+    conditions.push("r.status <> 'CLOSED'");
+  }
+  if (filters.status) {
+    conditions.push('r.status = ?');
+    params.push(filters.status);
+  }
+  if (filters.category) {
+    conditions.push('r.category = ?');
+    params.push(filters.category);
+  }
+  if (filters.ownerUserId) {
+    conditions.push('r.owner_user_id = ?');
+    params.push(filters.ownerUserId);
+  }
+
+  const rows = await db.query(
+    `SELECT ${RISK_COLUMNS}
+     FROM project_risks r
+     LEFT JOIN users u ON r.owner_user_id = u.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY r.likelihood * r.impact DESC, r.impact DESC, r.id ASC
+     ${connection ? 'FOR UPDATE' : ''}`,
+    params,
+    connection
+  );
+
+  return rows.map(formatRisk);
+};
+
+/**
+ * Find risk by ID within a project
+ */
+const findById = async (riskId, projectId, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${RISK_COLUMNS}
+     FROM project_risks r
+     LEFT JOIN users u ON r.owner_user_id = u.id
+     WHERE r.id = ? AND r.project_id = ?
+     ${connection ? 'FOR UPDATE' : ''}`,
+    [riskId, projectId],
+    connection
+  );
+
+  return rows.length > 0 ? formatRisk(rows[0]) : null;
+};
+
+/**
+ * Risk codes of a project (to number the next risk)
+ */
+const findCodes = async (projectId, connection = null) => {
+  const rows = await db.query(
+    `SELECT risk_code as riskCode FROM project_risks
+     WHERE project_id = ?
+     ${connection ? 'FOR UPDATE' : ''}`,
+    [projectId],
+    connection
+  );
+
+  return rows.map(row => row.riskCode);
+};
+
+/**
+ * Insert risk
+ * @returns {Promise<number>} New risk ID
+ */
+const create = async (riskData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO project_risks (
+      risk_code, project_id, title, description, category, likelihood, impact,
+      owner_user_id, mitigation_plan, status, identified_date, last_review_date,
+      next_review_date, closed_date, created_by, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      riskData.riskCode,
+      riskData.projectId,
+      riskData.title,
+      riskData.description || null,
+      riskData.category,
+      riskData.likelihood,
+      riskData.impact,
+      riskData.ownerUserId,
+      riskData.mitigationPlan || null,
+      riskData.status,
+      riskData.identifiedDate,
+      riskData.lastReviewDate || null,
+      riskData.nextReviewDate || null,
+      riskData.closedDate || null,
+      riskData.createdBy,
+      riskData.createdBy
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Update risk
+ */
+const update = async (riskId, riskData, connection = null) => {
+  await db.query(
+    `UPDATE project_risks
+     SET title = ?, description = ?, category = ?, likelihood = ?, impact = ?,
+         owner_user_id = ?, mitigation_plan = ?, status = ?, identified_date = ?,
+         last_review_date = ?, next_review_date = ?, closed_date = ?, updated_by = ?
+     WHERE id = ?`,
+    [
+      riskData.title,
+      riskData.description || null,
+      riskData.category,
+      riskData.likelihood,
+      riskData.impact,
+      riskData.ownerUserId,
+      riskData.mitigationPlan || null,
+      riskData.status,
+      riskData.identifiedDate,
+      riskData.lastReviewDate || null,
+      riskData.nextReviewDate || null,
+      riskData.closedDate || null,
+      riskData.updatedBy,
+      riskId
+    ],
+    connection
+  );
+};
+
+/**
+ * Delete risk
+ */
+const remove = async (riskId, connection = null) => {
+  await db.query('DELETE FROM project_risks WHERE id = ?', [riskId], connection);
+};
+
+module.exports = {
+  findByProject,
+  findById,
+  findCodes,
+  create,
+  update,
+  remove
+};
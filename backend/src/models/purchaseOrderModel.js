@@ -0,0 +1,411 @@
+/**
+ * Purchase Order Model
+ * Database queries for purchase_orders and purchase_order_items
+ */
+
+const db = require('../config/database');
+const { generateCode } = require('../utils/helpers');
+
+/**
+ * Updatable header columns (camelCase API field => snake_case column)
+ */
+const PO_FIELDS = {
+  vendorId: 'vendor_id',
+  poDate: 'po_date',
+  requiredDeliveryDate: 'required_delivery_date',
+  currency: 'currency',
+  description: 'description',
+  deliveryLocation: 'delivery_location',
+  deliveryContact: 'delivery_contact',
+  notes: 'notes'
+};
+
+/**
+ * Normalize purchase order row
+ */
+const formatPurchaseOrder = (row) => ({
+  ...row,
+  poAmount: parseFloat(row.poAmount),
+  invoiceAmount: row.invoiceAmount !== null && row.invoiceAmount !== undefined ? parseFloat(row.invoiceAmount) : null,
+  invoiceReceived: Boolean(row.invoiceReceived)
+});
+
+/**
+ * Normalize line item row
+ */
+const formatItem = (row) => ({
+  ...row,
+  quantity: parseFloat(row.quantity),
+  unitPrice: parseFloat(row.unitPrice),
+  totalPrice: parseFloat(row.totalPrice),
+  quantityReceived: parseFloat(row.quantityReceived)
+});
+
+/**
+ * Find all purchase orders with filters and pagination
+ */
+const findAll = async (filters = {}, pagination = {}) => {
+  const { limit = 20, offset = 0 } = pagination;
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (filters.status) {
+    conditions.push('po.po_status = ?');
+    params.push(filters.status);
+  }
+
+  if (filters.approvalStatus) {
+    conditions.push('po.approval_status = ?');
+    params.push(filters.approvalStatus);
+  }
+
+  if (filters.projectId) {
+    conditions.push('po.project_id = ?');
+    params.push(filters.projectId);
+  }
+
+  if (filters.vendorId) {
+    conditions.push('po.vendor_id = ?');
+    params.push(filters.vendorId);
+  }
+
+  if (filters.dateFrom) {
+    conditions.push('po.po_date >= ?');
+    params.push(filters.dateFrom);
+  }
+
+  if (filters.dateTo) {
+    conditions.push('po.po_date <= ?');
+    params.push(filters.dateTo);
+  }
+
+  if (filters.search) {
+    conditions.push('(po.po_number LIKE ? OR po.description LIKE ? OR v.vendor_name LIKE ?)');
+    const searchTerm = `%${filters.search}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  const whereClause = conditions.join(' AND ');
+
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total
+     FROM purchase_orders po
+     JOIN vendors v ON po.vendor_id = v.id
+     WHERE ${whereClause}`,
+    params
+  );
+
+  const sql = `
+    SELECT
+      po.id, po.po_number as poNumber, po.po_date as poDate,
+      po.required_delivery_date as requiredDeliveryDate,
+      po.po_amount as poAmount, po.currency, po.po_status as poStatus,
+      po.approval_status as approvalStatus, po.items_count as itemsCount,
+      po.description, po.created_at as createdAt,
+      v.id as vendorId, v.vendor_name as vendorName,
+      p.id as projectId, p.project_code as projectCode, p.project_name as projectName
+    FROM purchase_orders po
+    JOIN vendors v ON po.vendor_id = v.id
+    LEFT JOIN projects p ON po.project_id = p.id
+    WHERE ${whereClause}
+    ORDER BY po.po_date DESC, po.id DESC
+    LIMIT ? OFFSET ?
+  `;
+
+  const rows = await db.query(sql, [...params, limit, offset]);
+
+  return {
+    purchaseOrders: rows.map(row => ({
+      ...row,
+      poAmount: parseFloat(row.poAmount)
+    })),
+    total: countResult.total
+  };
+};
+
+/**
+ * Find purchase order by ID (header only)
+ */
+const findById = async (poId, connection = null) => {
+  const sql = `
+    SELECT
+      po.id, po.po_number as poNumber, po.project_id as projectId, po.vendor_id as vendorId,
+      po.po_date as poDate, po.required_delivery_date as requiredDeliveryDate,
+      po.actual_delivery_date as actualDeliveryDate,
+      po.po_amount as poAmount, po.currency, po.po_status as poStatus,
+      po.approval_status as approvalStatus, po.approved_by_user_id as approvedByUserId,
+      po.approval_date as approvalDate, po.description, po.items_count as itemsCount,
+      po.invoice_received as invoiceReceived, po.invoice_number as invoiceNumber,
+      po.invoice_date as invoiceDate, po.invoice_amount as invoiceAmount,
+      po.invoice_file_url as invoiceFileUrl, po.payment_date as paymentDate,
+      po.delivery_location as deliveryLocation, po.delivery_contact as deliveryContact,
+      po.notes, po.created_at as createdAt, po.updated_at as updatedAt,
+      po.created_by as createdBy,
+      v.vendor_code as vendorCode, v.vendor_name as vendorName,
+      p.project_code as projectCode, p.project_name as projectName
+    FROM purchase_orders po
+    JOIN vendors v ON po.vendor_id = v.id
+    LEFT JOIN projects p ON po.project_id = p.id
+    WHERE po.id = ?
+    ${connection ? 'FOR UPDATE OF po' : ''}
+  `;
+
+  const rows = await db.query(sql, [poId], connection);
+
+  return rows.length > 0 ? formatPurchaseOrder(rows[0]) : null;
+};
+
+/**
+ * Create purchase order header and generate its PO number
+ * po_amount starts from the given total and is recomputed from items afterwards
+ */
+const create = async (poData, connection = null) => {
+  const sql = `
+    INSERT INTO purchase_orders (
+      po_number, project_id, vendor_id, po_date, required_delivery_date,
+      po_amount, currency, po_status, approval_status, description, items_count,
+      delivery_location, delivery_contact, notes, created_by, updated_by
+    ) VALUES (CONCAT('TMP-', UUID()), ?, ?, ?, ?,   ?, ?, 'DRAFT', 'PENDING', ?, ?,   ?, ?, ?, ?, ?)
+  `;
+
+  const params = [
+    poData.projectId || null,
+    poData.vendorId,
+    poData.poDate || new Date().toISOString().split('T')[0],
+    poData.requiredDeliveryDate || null,
+    poData.poAmount,
+    poData.currency || 'MAD',
+    poData.description,
+    poData.itemsCount,
+    poData.deliveryLocation || null,
+    poData.deliveryContact || null,
+    poData.notes || null,
+    poData.createdBy,
+    poData.createdBy
+  ];
+
+  const result = await db.query(sql, params, connection);
+  const poId = result.insertId;
+
+  // Generate and update PO number
+  const poNumber = generateCode('PO', poId);
+  await db.query('UPDATE purchase_orders SET po_number = ? WHERE id = ?', [poNumber, poId], connection);
+
+  return { id: poId, poNumber };
+};
+
+/**
+ * Update purchase order header (only provided fields are written)
+ */
+const update = async (poId, poData, connection = null) => {
+  const setClauses = [];
+  const params = [];
+
+  Object.keys(PO_FIELDS).forEach(key => {
+    if (poData[key] !== undefined) {
+      setClauses.push(`${PO_FIELDS[key]} = ?`);
+      params.push(poData[key]);
+    }
+  });
+
+  if (setClauses.length === 0) {
+    return;
+  }
+
+  setClauses.push('updated_by = ?', 'updated_at = NOW()');
+  params.push(poData.updatedBy, poId);
+
+  await db.query(`UPDATE purchase_orders SET ${setClauses.join(', ')} WHERE id = ?`, params, connection);
+};
+
+/**
+ * Update purchase order status and related workflow columns
+ */
+const updateStatus = async (poId, status, extra, updatedBy, connection = null) => {
+  const setClauses = ['po_status = ?'];
+  const params = [status];
+
+  if (extra.approvalStatus) {
+    setClauses.push('approval_status = ?');
+    params.push(extra.approvalStatus);
+  }
+
+  if (extra.approvedByUserId) {
+    setClauses.push('approved_by_user_id = ?', 'approval_date = NOW()');
+    params.push(extra.approvedByUserId);
+  }
+
+  if (extra.actualDeliveryDate) {
+    setClauses.push('actual_delivery_date = ?');
+    params.push(extra.actualDeliveryDate);
+  }
+
+  if (extra.paymentDate) {
+    setClauses.push('payment_date = ?');
+    params.push(extra.paymentDate);
+  }
+
+  if (extra.notes) {
+    setClauses.push("notes = CONCAT(COALESCE(notes, ''), ?)");
+    params.push(`\n${extra.notes}`);
+  }
+
+  setClauses.push('updated_by = ?', 'updated_at = NOW()');
+  params.push(updatedBy, poId);
+
+  await db.query(`UPDATE purchase_orders SET ${setClauses.join(', ')} WHERE id = ?`, params, connection);
+};
+
+/**
+ * Store invoice details on the purchase order
+ */
+const recordInvoice = async (poId, invoiceData, updatedBy, connection = null) => {
+  await db.query(
+    `UPDATE purchase_orders
+     SET invoice_received = TRUE, invoice_number = ?, invoice_date = ?,
+         invoice_amount = ?, invoice_file_url = ?, updated_by = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [
+      invoiceData.invoiceNumber,
+      invoiceData.invoiceDate,
+      invoiceData.invoiceAmount,
+      invoiceData.invoiceFileUrl || null,
+      updatedBy,
+      poId
+    ],
+    connection
+  );
+};
+
+/**
+ * Get line items for a purchase order
+ */
+const getItems = async (poId, connection = null) => {
+  const rows = await db.query(
+    `SELECT
+      id, purchase_order_id as purchaseOrderId, item_number as itemNumber, description,
+      quantity, unit, unit_price as unitPrice, total_price as totalPrice,
+      quantity_received as quantityReceived, quality_status as qualityStatus,
+      created_at as createdAt
+    FROM purchase_order_items
+    WHERE purchase_order_id = ?
+    ORDER BY item_number ASC`,
+    [poId],
+    connection
+  );
+
+  return rows.map(formatItem);
+};
+
+/**
+ * Find a line item belonging to a purchase order
+ */
+const findItemById = async (poId, itemId, connection = null) => {
+  const rows = await db.query(
+    `SELECT
+      id, purchase_order_id as purchaseOrderId, item_number as itemNumber, description,
+      quantity, unit, unit_price as unitPrice, total_price as totalPrice,
+      quantity_received as quantityReceived, quality_status as qualityStatus,
+      created_at as createdAt
+    FROM purchase_order_items
+    WHERE purchase_order_id = ? AND id = ?`,
+    [poId, itemId],
+    connection
+  );
+
+  return rows.length > 0 ? formatItem(rows[0]) : null;
+};
+
+/**
+ * Add line item (item_number continues the PO sequence)
+ */
+const createItem = async (poId, itemData, connection = null) => {
+  const [next] = await db.query(
+    'SELECT COALESCE(MAX(item_number), 0) + 1 as itemNumber FROM purchase_order_items WHERE purchase_order_id = ?',
+    [poId],
+    connection
+  );
+
+  const totalPrice = Math.round(itemData.quantity * itemData.unitPrice * 100) / 100;
+
+  const result = await db.query(
+    `INSERT INTO purchase_order_items (
+      purchase_order_id, item_number, description, quantity, unit, unit_price, total_price
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [poId, next.itemNumber, itemData.description, itemData.quantity, itemData.unit, itemData.unitPrice, totalPrice],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Update line item; total_price follows quantity and unit price
+ */
+const updateItem = async (itemId, itemData, connection = null) => {
+  await db.query(
+    `UPDATE purchase_order_items
+     SET description = ?, quantity = ?, unit = ?, unit_price = ?,
+         total_price = ROUND(? * ?, 2)
+     WHERE id = ?`,
+    [
+      itemData.description,
+      itemData.quantity,
+      itemData.unit,
+      itemData.unitPrice,
+      itemData.quantity,
+      itemData.unitPrice,
+      itemId
+    ],
+    connection
+  );
+};
+
+/**
+ * Delete line item
+ */
+const deleteItem = async (itemId, connection = null) => {
+  await db.query('DELETE FROM purchase_order_items WHERE id = ?', [itemId], connection);
+};
+
+/**
+ * Recompute po_amount and items_count from line items
+ * @returns {Promise<Object>} New totals
+ */
+const recalculateTotals = async (poId, updatedBy, connection = null) => {
+  const [totals] = await db.query(
+    `SELECT COALESCE(SUM(total_price), 0) as poAmount, COUNT(*) as itemsCount
+     FROM purchase_order_items
+     WHERE purchase_order_id = ?`,
+    [poId],
+    connection
+  );
+
+  await db.query(
+    `UPDATE purchase_orders
+     SET po_amount = ?, items_count = ?, updated_by = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [totals.poAmount, totals.itemsCount, updatedBy, poId],
+    connection
+  );
+
+  return {
+    poAmount: parseFloat(totals.poAmount),
+    itemsCount: totals.itemsCount
+  };
+};
+
+module.exports = {
+  findAll,
+  findById,
+  create,
+  update,
+  updateStatus,
+  recordInvoice,
+  getItems,
+  findItemById,
+  createItem,
+  updateItem,
+  deleteItem,
+  recalculateTotals
+};
@@ -0,0 +1,241 @@
+/**
+ * Resource Allocation Model
+ * Database queries for resource_allocations (staff assigned to projects)
+ */
+
+const db = require('../config/database');
+const { toDateString } = require('../utils/helpers');
+
+const ALLOCATION_COLUMNS = `
+  ra.id, ra.project_id as projectId, ra.user_id as userId,
+  ra.allocation_percentage as allocationPercentage,
+  ra.start_date as startDate, ra.end_date as endDate,
+  ra.role_on_project as roleOnProject, ra.allocation_status as allocationStatus,
+  ra.hourly_rate as hourlyRate, ra.notes,
+  ra.created_at as createdAt, ra.updated_at as updatedAt, ra.created_by as createdBy,
+  u.first_name as userFirstName, u.last_name as userLastName, u.email as userEmail,
+  p.project_code as projectCode, p.project_name as projectName
+`;
+
+const ALLOCATION_JOINS = `
+  JOIN users u ON ra.user_id = u.id
+  JOIN projects p ON ra.project_id = p.id
+`;
+
+/**
+ * Normalize allocation row (dates as YYYY-MM-DD)
+ */
+const formatAllocation = (row) => {
+  const { userFirstName, userLastName, userEmail, projectCode, projectName, ...allocation } = row;
+
+  return {
+    ...allocation,
+    allocationPercentage: parseFloat(row.allocationPercentage),
+    startDate: toDateString(row.startDate),
+    endDate: row.endDate ? toDateString(row.endDate) : null,
+    hourlyRate: row.hourlyRate !== null ? parseFloat(row.hourlyRate) : null,
+    user: { id: row.userId, firstName: userFirstName, lastName: userLastName, email: userEmail },
+    project: { id: row.projectId, projectCode, projectName }
+  };
+};
+
+/**
+ * Find the allocations of a project
+ * @param {Object} filters - status
+ */
+const findByProject = async (projectId, filters = {}) => {
+  const conditions = ['ra.project_id = ?'];
+  const params = [projectId];
+
+  if (filters.status) {
+    conditions.push('ra.allocation_status = ?');
+    params.push(filters.status);
+  }
+
+  const rows = await db.query(
+    `SELECT ${ALLOCATION_COLUMNS}
+     FROM resource_allocations ra
+     ${ALLOCATION_JOINS}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ra.start_date ASC, u.last_name ASC`,
+    params
+  );
+
+  return rows.map(formatAllocation);
+};
+
+/**
+ * Find allocation by ID within a project
+ */
+const findById = async (allocationId, projectId, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${ALLOCATION_COLUMNS}
+     FROM resource_allocations ra
+     ${ALLOCATION_JOINS}
+     WHERE ra.id = ? AND ra.project_id = ?`,
+    [allocationId, projectId],
+    connection
+  );
+
+  return rows.length > 0 ? formatAllocation(rows[0]) : null;
+};
+
+/**
+ * Find an active user (locks the row inside a transaction so that
+ * concurrent assignments of the same person are checked one at a time)
+ */
+const findUser = async (userId, connection = null) => {
+  const rows = await db.query(
+    `SELECT id, first_name as firstName, last_name as lastName, email
+     FROM users
+     WHERE id = ? AND is_active = TRUE AND deleted_at IS NULL
+     ${connection ? 'FOR UPDATE' : ''}`,
+    [userId],
+    connection
+  );
+
+  return rows[0] || null;
+};
+
+/**
+ * Find ACTIVE allocations of users, on any live project, that overlap a period
+ * @param {Array<number>} userIds - User IDs
+ * @param {String} from - First day of the period
+ * @param {String|null} to - Last day of the period (null: open-ended)
+ */
+const findActiveForUsers = async (userIds, from, to, connection = null) => {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const conditions = [
+    `ra.user_id IN (${userIds.map(() => '?').join(', ')})`,
+    "ra.allocation_status = 'ACTIVE'",
+    'p.deleted_at IS NULL',
+    '(ra.end_date IS NULL OR ra.end_date >= ?)'
+  ];
+  const params = [...userIds, from];
+
+  if (to) {
+    conditions.push('ra.start_date <= ?');
+    params.push(to);
+  }
+
+  const rows = await db.query(
+    `SELECT ${ALLOCATION_COLUMNS}
+     FROM resource_allocations ra
+     ${ALLOCATION_JOINS}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ra.start_date ASC`,
+    params,
+    connection
+  );
+
+  return rows.map(formatAllocation);
+};
+
+/**
+ * Find allocations with an hourly rate, on live projects, that were worked
+ * during a period (ACTIVE or COMPLETED; PAUSED allocations are not costed)
+ * @param {String} from - First day of the period
+ * @param {String} to - Last day of the period
+ */
+const findCostedInPeriod = async (from, to) => {
+  const rows = await db.query(
+    `SELECT ${ALLOCATION_COLUMNS}
+     FROM resource_allocations ra
+     ${ALLOCATION_JOINS}
+     WHERE ra.allocation_status IN ('ACTIVE', 'COMPLETED')
+       AND ra.hourly_rate IS NOT NULL
+       AND p.deleted_at IS NULL
+       AND ra.start_date <= ?
+       AND (ra.end_date IS NULL OR ra.end_date >= ?)
+     ORDER BY ra.project_id ASC, ra.id ASC`,
+    [to, from]
+  );
+
+  return rows.map(formatAllocation);
+};
+
+/**
+ * Whether the user already has an allocation on the project starting that day
+ */
+const existsForStart = async (projectId, userId, startDate, excludeId = null, connection = null) => {
+  const rows = await db.query(
+    `SELECT id FROM resource_allocations
+     WHERE project_id = ? AND user_id = ? AND start_date = ? AND id <> ?`,
+    [projectId, userId, startDate, excludeId || 0],
+    connection
+  );
+
+  return rows.length > 0;
+};
+
+/**
+ * Insert allocation
+ * @returns {Promise<number>} New allocation ID
+ */
+const create = async (allocationData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO resource_allocations (
+      project_id, user_id, allocation_percentage, start_date, end_date,
+      role_on_project, hourly_rate, notes, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      allocationData.projectId,
+      allocationData.userId,
+      allocationData.allocationPercentage,
+      allocationData.startDate,
+      allocationData.endDate || null,
+      allocationData.roleOnProject || null,
+      allocationData.hourlyRate ?? null,
+      allocationData.notes || null,
+      allocationData.createdBy
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Update allocation
+ */
+const update = async (allocationId, allocationData, connection = null) => {
+  await db.query(
+    `UPDATE resource_allocations
+     SET allocation_percentage = ?, start_date = ?, end_date = ?, role_on_project = ?,
+         allocation_status = ?, hourly_rate = ?, notes = ?
+     WHERE id = ?`,
+    [
+      allocationData.allocationPercentage,
+      allocationData.startDate,
+      allocationData.endDate || null,
+      allocationData.roleOnProject || null,
+      allocationData.allocationStatus,
+      allocationData.hourlyRate ?? null,
+      allocationData.notes || null,
+      allocationId
+    ],
+    connection
+  );
+};
+
+/**
+ * Delete allocation
+ */
+const remove = async (allocationId, connection = null) => {
+  await db.query('DELETE FROM resource_allocations WHERE id = ?', [allocationId], connection);
+};
+
+module.exports = {
+  findByProject,
+  findById,
+  findUser,
+  findActiveForUsers,
+  findCostedInPeriod,
+  existsForStart,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,101 @@
+/**
+ * Setting Model
+ * Database queries for system_settings
+ * Values are returned as stored (text, encrypted for secret settings);
+ * the settings service decodes them
+ */
+
+const db = require('../config/database');
+
+const SETTING_COLUMNS = `
+  s.id, s.setting_key as settingKey, s.setting_value as settingValue,
+  s.setting_type as settingType, s.description, s.is_encrypted as isEncrypted,
+  s.updated_at as updatedAt, s.updated_by as updatedBy,
+  u.first_name as updaterFirstName, u.last_name as updaterLastName
+`;
+
+/**
+ * Normalize setting row
+ */
+const formatSetting = (row) => {
+  const { updaterFirstName, updaterLastName, ...setting } = row;
+
+  return {
+    ...setting,
+    isEncrypted: Boolean(row.isEncrypted),
+    updater: row.updatedBy
+      ? { id: row.updatedBy, firstName: updaterFirstName, lastName: updaterLastName }
+      : null
+  };
+};
+
+/**
+ * Find all settings ordered by key
+ */
+const findAll = async () => {
+  const rows = await db.query(
+    `SELECT ${SETTING_COLUMNS}
+     FROM system_settings s
+     LEFT JOIN users u ON s.updated_by = u.id
+     ORDER BY s.setting_key ASC`
+  );
+
+  return rows.map(formatSetting);
+};
+
+/**
+ * Find setting by key
+ */
+const findByKey = async (settingKey, connection = null) => {
+  const rows = await db.query(
+    `SELECT ${SETTING_COLUMNS}
+     FROM system_settings s
+     LEFT JOIN users u ON s.updated_by = u.id
+     WHERE s.setting_key = ?`,
+    [settingKey],
+    connection
+  );
+
+  return rows.length > 0 ? formatSetting(rows[0]) : null;
+};
+
+/**
+ * Insert setting
+ * @returns {Promise<Number>} Setting ID
+ */
+const create = async (settingData, connection = null) => {
+  const result = await db.query(
+    `INSERT INTO system_settings (
+      setting_key, setting_value, setting_type, description, is_encrypted, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      settingData.settingKey,
+      settingData.settingValue,
+      settingData.settingType,
+      settingData.description || null,
+      Boolean(settingData.isEncrypted),
+      settingData.updatedBy
+    ],
+    connection
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Replace the stored value of a setting
+ */
+const updateValue = async (settingKey, settingValue, updatedBy, connection = null) => {
+  await db.query(
+    'UPDATE system_settings SET setting_value = ?, updated_by = ? WHERE setting_key = ?',
+    [settingValue, updatedBy, settingKey],
+    connection
+  );
+};
+
+module.exports = {
+  findAll,
+  findByKey,
+  create,
+  updateValue
+};
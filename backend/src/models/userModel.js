@@ -35,7 +35,7 @@ const findByEmail = async (email) => {
  * @param {Number} userId - User ID
  * @returns {Object|null} User object or null
  */
-const findById = async (userId) => {
+const findById = async (userId, connection = null) => {
   const sql = `
     SELECT 
       id, email, username, password_hash as passwordHash,
@@ -50,7 +50,7 @@ const findById = async (userId) => {
     LIMIT 1
   `;
   
-  const rows = await db.query(sql, [userId]);
+  const rows = await db.query(sql, [userId], connection);
   return rows[0] || null;
 };
 
@@ -59,7 +59,7 @@ const findById = async (userId) => {
  * @param {Number} userId - User ID
  * @returns {Array<String>} Array of role names
  */
-const getUserRoles = async (userId) => {
+const getUserRoles = async (userId, connection = null) => {
   const sql = `
     SELECT r.role_name as roleName
     FROM user_roles ur
@@ -67,7 +67,7 @@ const getUserRoles = async (userId) => {
     WHERE ur.user_id = ?
   `;
   
-  const rows = await db.query(sql, [userId]);
+  const rows = await db.query(sql, [userId], connection);
   return rows.map(row => row.roleName);
 };
 
@@ -89,6 +89,70 @@ const getUserPermissions = async (userId) => {
   return rows.map(row => row.permissionCode);
 };
 
+/**
+ * Find users eligible to approve for a role
+ * Only active, unlocked, non-deleted users are returned. When a project is
+ * given, its managers, members and active team are listed first; ties are
+ * broken by the number of approvals currently waiting on each user.
+ * @param {String} roleName - Required role
+ * @param {Object} options - projectId, excludeUserIds, userId (check a single user)
+ * @returns {Array<Object>} Candidates, best first
+ */
+const findEligibleApprovers = async (roleName, options = {}) => {
+  const { projectId = null, excludeUserIds = [], userId = null } = options;
+  const params = [projectId, projectId, projectId, roleName];
+  
+  let sql = `
+    SELECT 
+      u.id, u.email, u.first_name as firstName, u.last_name as lastName,
+      u.preferred_language as preferredLanguage,
+      (
+        SELECT COUNT(*) FROM approvals a
+        WHERE a.required_approver_user_id = u.id AND a.status = 'PENDING'
+      ) as pendingCount,
+      (
+        EXISTS (
+          SELECT 1 FROM projects p
+          WHERE p.id = ? AND (p.project_manager_id = u.id OR p.alternate_manager_id = u.id)
+        )
+        OR EXISTS (
+          SELECT 1 FROM resource_allocations ra
+          WHERE ra.project_id = ? AND ra.user_id = u.id AND ra.allocation_status = 'ACTIVE'
+        )
+        OR EXISTS (
+          SELECT 1 FROM project_members pm
+          WHERE pm.project_id = ? AND pm.user_id = u.id
+        )
+      ) as isProjectMember
+    FROM users u
+    JOIN user_roles ur ON ur.user_id = u.id
+    JOIN roles r ON ur.role_id = r.id
+    WHERE r.role_name = ?
+      AND u.is_active = TRUE
+      AND u.deleted_at IS NULL
+      AND (u.locked_until IS NULL OR u.locked_until < NOW())
+  `;
+  
+  if (excludeUserIds.length > 0) {
+    sql += ` AND u.id NOT IN (${excludeUserIds.map(() => '?').join(', ')})`;
+    params.push(...excludeUserIds);
+  }
+  
+  if (userId) {
+    sql += ' AND u.id = ?';
+    params.push(userId);
+  }
+  
+  sql += ' ORDER BY isProjectMember DESC, pendingCount ASC, u.id ASC';
+  
+  const rows = await db.query(sql, params);
+  return rows.map(row => ({
+    ...row,
+    pendingCount: parseInt(row.pendingCount, 10),
+    isProjectMember: Boolean(row.isProjectMember)
+  }));
+};
+
 /**
  * Increment failed login attempts
  * @param {Number} userId - User ID
@@ -187,7 +251,7 @@ const findByPasswordResetToken = async (token) => {
  * @param {Number} userId - User ID
  * @param {String} passwordHash - New password hash
  */
-const updatePassword = async (userId, passwordHash) => {
+const updatePassword = async (userId, passwordHash, connection = null) => {
   const sql = `
     UPDATE users
     SET password_hash = ?,
@@ -195,14 +259,14 @@ const updatePassword = async (userId, passwordHash) => {
     WHERE id = ?
   `;
   
-  await db.query(sql, [passwordHash, userId]);
+  await db.query(sql, [passwordHash, userId], connection);
 };
 
 /**
  * Clear password reset token
  * @param {Number} userId - User ID
  */
-const clearPasswordResetToken = async (userId) => {
+const clearPasswordResetToken = async (userId, connection = null) => {
   const sql = `
     UPDATE users
     SET password_reset_token = NULL,
@@ -210,7 +274,7 @@ const clearPasswordResetToken = async (userId) => {
     WHERE id = ?
   `;
   
-  await db.query(sql, [userId]);
+  await db.query(sql, [userId], connection);
 };
 
 module.exports = {
@@ -218,6 +282,7 @@ module.exports = {
   findById,
   getUserRoles,
   getUserPermissions,
+  findEligibleApprovers,
   incrementLoginAttempts,
   lockAccount,
   resetLoginAttempts,
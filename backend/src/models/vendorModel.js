@@ -5,357 +5,411 @@
  */
 
 const db = require('../config/database');
+const { generateCode } = require('../utils/helpers');
 
 /**
- * Get all vendors with optional filters and pagination
+ * Columns that may be written through createVendor/updateVendor
+ * (camelCase API field => snake_case column)
+ */
+const VENDOR_FIELDS = {
+  vendorName: 'vendor_name',
+  vendorType: 'vendor_type',
+  contactPerson: 'contact_person',
+  email: 'email',
+  phone: 'phone',
+  mobile: 'mobile',
+  fax: 'fax',
+  address: 'address',
+  city: 'city',
+  postalCode: 'postal_code',
+  country: 'country',
+  taxId: 'tax_id',
+  bankAccount: 'bank_account',
+  paymentTerms: 'payment_terms',
+  currencyPreference: 'currency_preference',
+  isActive: 'is_active',
+  notes: 'notes'
+};
+
+const VENDOR_COLUMNS = `
+  v.id, v.vendor_code as vendorCode, v.vendor_name as vendorName, v.vendor_type as vendorType,
+  v.contact_person as contactPerson, v.email, v.phone, v.mobile, v.fax,
+  v.address, v.city, v.postal_code as postalCode, v.country,
+  v.tax_id as taxId, v.bank_account as bankAccount, v.payment_terms as paymentTerms,
+  v.currency_preference as currencyPreference, v.rating, v.is_active as isActive, v.notes,
+  v.created_at as createdAt, v.updated_at as updatedAt
+`;
+
+/**
+ * Build WHERE clause for vendor list filters
  * @param {Object} filters - Filter criteria
- * @param {number} page - Page number
- * @param {number} limit - Items per page
- * @returns {Promise<Object>} Vendor list with pagination
+ * @returns {Object} SQL conditions and params
  */
-const getAllVendors = async (filters = {}, page = 1, limit = 20) => {
-  try {
-    const offset = (page - 1) * limit;
-    let query = `
-      SELECT 
-        v.*,
-        COUNT(DISTINCT bt.transaction_id) as transaction_count,
-        COALESCE(SUM(bt.amount), 0) as total_transactions_amount
-      FROM vendors v
-      LEFT JOIN budget_transactions bt ON v.vendor_id = bt.vendor_id
-      WHERE 1=1
-    `;
-    
-    const params = [];
-    
-    // Apply filters
-    if (filters.status) {
-      query += ' AND v.status = ?';
-      params.push(filters.status);
-    }
-    
-    if (filters.category) {
-      query += ' AND v.category = ?';
-      params.push(filters.category);
-    }
-    
-    if (filters.rating_min) {
-      query += ' AND v.rating >= ?';
-      params.push(filters.rating_min);
-    }
-    
-    if (filters.search) {
-      query += ' AND (v.vendor_name LIKE ? OR v.contact_person LIKE ? OR v.email LIKE ?)';
-      const searchTerm = `%${filters.search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
-    }
-    
-    query += ' GROUP BY v.vendor_id';
-    query += ' ORDER BY v.vendor_name ASC';
-    query += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
-    
-    const [rows] = await db.query(query, params);
-    
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM vendors v WHERE 1=1';
-    const countParams = [];
-    
-    if (filters.status) {
-      countQuery += ' AND v.status = ?';
-      countParams.push(filters.status);
-    }
-    
-    if (filters.category) {
-      countQuery += ' AND v.category = ?';
-      countParams.push(filters.category);
-    }
-    
-    const [countResult] = await db.query(countQuery, countParams);
-    
-    return {
-      data: rows,
-      pagination: {
-        page,
-        limit,
-        total: countResult[0].total,
-        pages: Math.ceil(countResult[0].total / limit)
-      }
-    };
-  } catch (error) {
-    throw error;
+const buildFilters = (filters) => {
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (filters.vendorType) {
+    conditions.push('v.vendor_type = ?');
+    params.push(filters.vendorType);
+  }
+
+  if (filters.isActive !== undefined) {
+    conditions.push('v.is_active = ?');
+    params.push(filters.isActive ? 1 : 0);
+  }
+
+  if (filters.city) {
+    conditions.push('v.city = ?');
+    params.push(filters.city);
   }
+
+  if (filters.ratingMin) {
+    conditions.push('v.rating >= ?');
+    params.push(parseFloat(filters.ratingMin));
+  }
+
+  if (filters.search) {
+    conditions.push('(v.vendor_name LIKE ? OR v.contact_person LIKE ? OR v.email LIKE ? OR v.vendor_code LIKE ?)');
+    const searchTerm = `%${filters.search}%`;
+    params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+
+  return { whereClause: conditions.join(' AND '), params };
 };
 
 /**
- * Get vendor by ID with detailed information
+ * Get all vendors with optional filters and pagination
+ * @param {Object} filters - Filter criteria
+ * @param {Object} pagination - Limit and offset
+ * @returns {Promise<Object>} Vendors and total count
+ */
+const getAllVendors = async (filters = {}, pagination = {}) => {
+  const { limit = 20, offset = 0 } = pagination;
+  const { whereClause, params } = buildFilters(filters);
+
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total FROM vendors v WHERE ${whereClause}`,
+    params
+  );
+
+  const sql = `
+    SELECT
+      ${VENDOR_COLUMNS},
+      COUNT(po.id) as orderCount,
+      COALESCE(SUM(CASE WHEN po.po_status != 'CANCELLED' THEN po.po_amount ELSE 0 END), 0) as totalOrderValue
+    FROM vendors v
+    LEFT JOIN purchase_orders po ON po.vendor_id = v.id
+    WHERE ${whereClause}
+    GROUP BY v.id
+    ORDER BY v.vendor_name ASC
+    LIMIT ? OFFSET ?
+  `;
+
+  const vendors = await db.query(sql, [...params, limit, offset]);
+
+  return {
+    vendors: vendors.map(v => ({
+      ...v,
+      rating: v.rating !== null ? parseFloat(v.rating) : null,
+      isActive: Boolean(v.isActive),
+      totalOrderValue: parseFloat(v.totalOrderValue)
+    })),
+    total: countResult.total
+  };
+};
+
+/**
+ * Get vendor by ID
  * @param {number} vendorId - Vendor ID
- * @returns {Promise<Object>} Vendor details
+ * @returns {Promise<Object|null>} Vendor details
  */
 const getVendorById = async (vendorId) => {
-  try {
-    const query = `
-      SELECT 
-        v.*,
-        COUNT(DISTINCT bt.transaction_id) as transaction_count,
-        COALESCE(SUM(CASE WHEN bt.status = 'approved' THEN bt.amount ELSE 0 END), 0) as total_approved_amount,
-        COALESCE(SUM(CASE WHEN bt.status = 'pending' THEN bt.amount ELSE 0 END), 0) as total_pending_amount
-      FROM vendors v
-      LEFT JOIN budget_transactions bt ON v.vendor_id = bt.vendor_id
-      WHERE v.vendor_id = ?
-      GROUP BY v.vendor_id
-    `;
-    
-    const [rows] = await db.query(query, [vendorId]);
-    
-    if (rows.length === 0) {
-      return null;
-    }
-    
-    return rows[0];
-  } catch (error) {
-    throw error;
+  const rows = await db.query(
+    `SELECT ${VENDOR_COLUMNS} FROM vendors v WHERE v.id = ? LIMIT 1`,
+    [vendorId]
+  );
+
+  if (rows.length === 0) {
+    return null;
   }
+
+  const vendor = rows[0];
+
+  return {
+    ...vendor,
+    rating: vendor.rating !== null ? parseFloat(vendor.rating) : null,
+    isActive: Boolean(vendor.isActive)
+  };
 };
 
 /**
  * Create new vendor
- * @param {Object} vendorData - Vendor data
- * @returns {Promise<Object>} Created vendor
+ * @param {Object} vendorData - Vendor data (camelCase)
+ * @returns {Promise<number>} Created vendor ID
  */
 const createVendor = async (vendorData) => {
-  try {
-    const query = `
-      INSERT INTO vendors (
-        vendor_name, category, contact_person, email,
-        phone, address, city, country,
-        tax_id, registration_number, payment_terms,
-        bank_account, rating, status, notes
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    
-    const params = [
-      vendorData.vendor_name,
-      vendorData.category,
-      vendorData.contact_person,
-      vendorData.email,
-      vendorData.phone || null,
-      vendorData.address || null,
-      vendorData.city || null,
-      vendorData.country || 'Morocco',
-      vendorData.tax_id || null,
-      vendorData.registration_number || null,
-      vendorData.payment_terms || 'net_30',
-      vendorData.bank_account || null,
-      vendorData.rating || null,
-      vendorData.status || 'active',
-      vendorData.notes || null
-    ];
-    
-    const [result] = await db.query(query, params);
-    
-    return await getVendorById(result.insertId);
-  } catch (error) {
-    throw error;
-  }
+  const sql = `
+    INSERT INTO vendors (
+      vendor_code, vendor_name, vendor_type, contact_person, email,
+      phone, mobile, fax, address, city, postal_code, country,
+      tax_id, bank_account, payment_terms, currency_preference,
+      is_active, notes, created_by, updated_by
+    ) VALUES (CONCAT('TMP-', UUID()), ?, ?, ?, ?,   ?, ?, ?, ?, ?, ?, ?,   ?, ?, ?, ?,   ?, ?, ?, ?)
+  `;
+
+  const params = [
+    vendorData.vendorName,
+    vendorData.vendorType,
+    vendorData.contactPerson || null,
+    vendorData.email || null,
+    vendorData.phone || null,
+    vendorData.mobile || null,
+    vendorData.fax || null,
+    vendorData.address || null,
+    vendorData.city || null,
+    vendorData.postalCode || null,
+    vendorData.country || 'Morocco',
+    vendorData.taxId || null,
+    vendorData.bankAccount || null,
+    vendorData.paymentTerms || null,
+    vendorData.currencyPreference || 'MAD',
+    vendorData.isActive === false ? 0 : 1,
+    vendorData.notes || null,
+    vendorData.createdBy,
+    vendorData.createdBy
+  ];
+
+  const result = await db.query(sql, params);
+  const vendorId = result.insertId;
+
+  // Generate and update vendor code
+  const vendorCode = generateCode('VEND', vendorId);
+  await db.query('UPDATE vendors SET vendor_code = ? WHERE id = ?', [vendorCode, vendorId]);
+
+  return vendorId;
 };
 
 /**
- * Update vendor
+ * Update vendor (only provided fields are written)
  * @param {number} vendorId - Vendor ID
- * @param {Object} vendorData - Updated vendor data
- * @returns {Promise<Object>} Updated vendor
+ * @param {Object} vendorData - Updated vendor data (camelCase)
+ * @returns {Promise<void>}
  */
 const updateVendor = async (vendorId, vendorData) => {
-  try {
-    const fields = [];
-    const params = [];
-    
-    // Build dynamic update query
-    Object.keys(vendorData).forEach(key => {
-      if (vendorData[key] !== undefined) {
-        fields.push(`${key} = ?`);
-        params.push(vendorData[key]);
-      }
-    });
-    
-    if (fields.length === 0) {
-      throw new Error('No fields to update');
+  const setClauses = [];
+  const params = [];
+
+  Object.keys(VENDOR_FIELDS).forEach(key => {
+    if (vendorData[key] !== undefined) {
+      setClauses.push(`${VENDOR_FIELDS[key]} = ?`);
+      params.push(key === 'isActive' ? (vendorData[key] ? 1 : 0) : vendorData[key]);
     }
-    
-    fields.push('updated_at = NOW()');
-    params.push(vendorId);
-    
-    const query = `UPDATE vendors SET ${fields.join(', ')} WHERE vendor_id = ?`;
-    
-    await db.query(query, params);
-    
-    return await getVendorById(vendorId);
-  } catch (error) {
-    throw error;
+  });
+
+  if (setClauses.length === 0) {
+    return;
   }
+
+  setClauses.push('updated_by = ?', 'updated_at = NOW()');
+  params.push(vendorData.updatedBy, vendorId);
+
+  await db.query(`UPDATE vendors SET ${setClauses.join(', ')} WHERE id = ?`, params);
 };
 
 /**
- * Delete vendor (soft delete)
+ * Deactivate vendor (soft delete)
  * @param {number} vendorId - Vendor ID
+ * @param {number} updatedBy - User performing the change
  * @returns {Promise<boolean>} Success status
  */
-const deleteVendor = async (vendorId) => {
-  try {
-    const query = `
-      UPDATE vendors 
-      SET status = 'inactive', updated_at = NOW() 
-      WHERE vendor_id = ?
-    `;
-    
-    const [result] = await db.query(query, [vendorId]);
-    
-    return result.affectedRows > 0;
-  } catch (error) {
-    throw error;
-  }
+const deleteVendor = async (vendorId, updatedBy) => {
+  const result = await db.query(
+    `UPDATE vendors
+     SET is_active = FALSE, updated_by = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [updatedBy, vendorId]
+  );
+
+  return result.affectedRows > 0;
 };
 
 /**
- * Get vendor transactions
+ * Count purchase orders that are still open for a vendor
+ * @param {number} vendorId - Vendor ID
+ * @returns {Promise<number>} Open order count
+ */
+const countOpenOrders = async (vendorId) => {
+  const [row] = await db.query(
+    `SELECT COUNT(*) as total
+     FROM purchase_orders
+     WHERE vendor_id = ? AND po_status NOT IN ('PAID', 'CANCELLED')`,
+    [vendorId]
+  );
+
+  return row.total;
+};
+
+/**
+ * Get vendor transactions (purchase orders placed with the vendor)
  * @param {number} vendorId - Vendor ID
  * @param {Object} filters - Filter options
- * @returns {Promise<Array>} Transaction list
+ * @returns {Promise<Array>} Purchase order list
  */
 const getVendorTransactions = async (vendorId, filters = {}) => {
-  try {
-    let query = `
-      SELECT 
-        bt.*,
-        b.allocated_amount as budget_amount,
-        bc.category_name as budget_category,
-        p.project_name,
-        u.full_name as created_by_name
-      FROM budget_transactions bt
-      LEFT JOIN budgets b ON bt.budget_id = b.budget_id
-      LEFT JOIN budget_categories bc ON b.category_id = bc.category_id
-      LEFT JOIN projects p ON b.project_id = p.project_id
-      LEFT JOIN users u ON bt.created_by = u.user_id
-      WHERE bt.vendor_id = ?
-    `;
-    
-    const params = [vendorId];
-    
-    if (filters.status) {
-      query += ' AND bt.status = ?';
-      params.push(filters.status);
-    }
-    
-    if (filters.start_date) {
-      query += ' AND bt.transaction_date >= ?';
-      params.push(filters.start_date);
-    }
-    
-    if (filters.end_date) {
-      query += ' AND bt.transaction_date <= ?';
-      params.push(filters.end_date);
-    }
-    
-    query += ' ORDER BY bt.transaction_date DESC';
-    
-    const [rows] = await db.query(query, params);
-    
-    return rows;
-  } catch (error) {
-    throw error;
+  const conditions = ['po.vendor_id = ?'];
+  const params = [vendorId];
+
+  if (filters.status) {
+    conditions.push('po.po_status = ?');
+    params.push(filters.status);
+  }
+
+  if (filters.startDate) {
+    conditions.push('po.po_date >= ?');
+    params.push(filters.startDate);
+  }
+
+  if (filters.endDate) {
+    conditions.push('po.po_date <= ?');
+    params.push(filters.endDate);
   }
+
+  const sql = `
+    SELECT
+      po.id, po.po_number as poNumber, po.po_date as poDate,
+      po.required_delivery_date as requiredDeliveryDate,
+      po.actual_delivery_date as actualDeliveryDate,
+      po.po_amount as poAmount, po.currency, po.po_status as poStatus,
+      po.invoice_amount as invoiceAmount, po.payment_date as paymentDate,
+      p.id as projectId, p.project_code as projectCode, p.project_name as projectName
+    FROM purchase_orders po
+    LEFT JOIN projects p ON po.project_id = p.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY po.po_date DESC
+  `;
+
+  const rows = await db.query(sql, params);
+
+  return rows.map(row => ({
+    ...row,
+    poAmount: parseFloat(row.poAmount),
+    invoiceAmount: row.invoiceAmount !== null ? parseFloat(row.invoiceAmount) : null
+  }));
 };
 
 /**
- * Get vendor performance metrics
+ * Get vendor performance metrics from purchase order history and reviews
  * @param {number} vendorId - Vendor ID
- * @returns {Promise<Object>} Performance metrics
+ * @returns {Promise<Object>} Raw performance metrics
  */
 const getVendorPerformance = async (vendorId) => {
-  try {
-    const vendor = await getVendorById(vendorId);
-    
-    if (!vendor) {
-      throw new Error('Vendor not found');
-    }
-    
-    // Get transaction statistics
-    const [stats] = await db.query(
-      `SELECT 
-        COUNT(*) as total_transactions,
-        COALESCE(SUM(CASE WHEN status = 'approved' THEN amount ELSE 0 END), 0) as total_approved,
-        COALESCE(SUM(CASE WHEN status = 'pending' THEN amount ELSE 0 END), 0) as total_pending,
-        COALESCE(SUM(CASE WHEN status = 'rejected' THEN amount ELSE 0 END), 0) as total_rejected,
-        COALESCE(AVG(amount), 0) as avg_transaction_amount
-      FROM budget_transactions
-      WHERE vendor_id = ?`,
-      [vendorId]
-    );
-    
-    // Get recent transactions (last 3 months)
-    const threeMonthsAgo = new Date();
-    threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-    
-    const [recentStats] = await db.query(
-      `SELECT COUNT(*) as recent_transactions
-      FROM budget_transactions
-      WHERE vendor_id = ? AND transaction_date >= ?`,
-      [vendorId, threeMonthsAgo]
-    );
-    
-    return {
-      vendor_id: vendorId,
-      vendor_name: vendor.vendor_name,
-      rating: vendor.rating,
-      total_transactions: stats[0].total_transactions,
-      total_approved_amount: parseFloat(stats[0].total_approved).toFixed(2),
-      total_pending_amount: parseFloat(stats[0].total_pending).toFixed(2),
-      total_rejected_amount: parseFloat(stats[0].total_rejected).toFixed(2),
-      avg_transaction_amount: parseFloat(stats[0].avg_transaction_amount).toFixed(2),
-      recent_transactions: recentStats[0].recent_transactions,
-      status: vendor.status
-    };
-  } catch (error) {
-    throw error;
-  }
+  const [orders] = await db.query(
+    `SELECT
+      COUNT(*) as totalOrders,
+      SUM(CASE WHEN po_status = 'CANCELLED' THEN 1 ELSE 0 END) as cancelledOrders,
+      SUM(CASE WHEN po_status NOT IN ('PAID', 'CANCELLED') THEN 1 ELSE 0 END) as openOrders,
+      COALESCE(SUM(CASE WHEN po_status != 'CANCELLED' THEN po_amount ELSE 0 END), 0) as totalValue,
+      SUM(CASE WHEN actual_delivery_date IS NOT NULL AND required_delivery_date IS NOT NULL THEN 1 ELSE 0 END) as deliveredOrders,
+      SUM(CASE WHEN actual_delivery_date IS NOT NULL AND required_delivery_date IS NOT NULL
+               AND actual_delivery_date <= required_delivery_date THEN 1 ELSE 0 END) as onTimeDeliveries,
+      AVG(CASE WHEN actual_delivery_date IS NOT NULL AND required_delivery_date IS NOT NULL
+               THEN GREATEST(DATEDIFF(actual_delivery_date, required_delivery_date), 0) END) as avgDelayDays,
+      MAX(po_date) as lastOrderDate
+    FROM purchase_orders
+    WHERE vendor_id = ?`,
+    [vendorId]
+  );
+
+  const [reviews] = await db.query(
+    `SELECT COUNT(*) as reviewCount, AVG(rating) as averageRating
+     FROM vendor_reviews
+     WHERE vendor_id = ?`,
+    [vendorId]
+  );
+
+  return {
+    totalOrders: orders.totalOrders,
+    cancelledOrders: parseInt(orders.cancelledOrders, 10) || 0,
+    openOrders: parseInt(orders.openOrders, 10) || 0,
+    totalValue: parseFloat(orders.totalValue),
+    deliveredOrders: parseInt(orders.deliveredOrders, 10) || 0,
+    onTimeDeliveries: parseInt(orders.onTimeDeliveries, 10) || 0,
+    avgDelayDays: orders.avgDelayDays !== null ? parseFloat(orders.avgDelayDays) : null,
+    lastOrderDate: orders.lastOrderDate,
+    reviewCount: reviews.reviewCount,
+    averageRating: reviews.averageRating !== null ? parseFloat(reviews.averageRating) : null
+  };
 };
 
 /**
- * Update vendor rating
+ * Get latest reviews for a vendor
  * @param {number} vendorId - Vendor ID
- * @param {number} rating - New rating (1-5)
- * @param {string} review - Review comments
- * @returns {Promise<boolean>} Success status
+ * @param {number} limit - Maximum number of reviews
+ * @returns {Promise<Array>} Reviews, newest first
  */
-const updateVendorRating = async (vendorId, rating, review = null) => {
-  try {
-    if (rating < 1 || rating > 5) {
-      throw new Error('Rating must be between 1 and 5');
-    }
-    
-    const query = `
-      UPDATE vendors 
-      SET rating = ?, 
-          updated_at = NOW() 
-      WHERE vendor_id = ?
-    `;
-    
-    const [result] = await db.query(query, [rating, vendorId]);
-    
-    // Optionally store review in a separate table
-    if (review) {
-      await db.query(
-        `INSERT INTO vendor_reviews (vendor_id, rating, review, review_date) 
-         VALUES (?, ?, ?, NOW())`,
-        [vendorId, rating, review]
-      );
-    }
-    
-    return result.affectedRows > 0;
-  } catch (error) {
-    throw error;
-  }
+const getVendorReviews = async (vendorId, limit = 10) => {
+  const rows = await db.query(
+    `SELECT
+      vr.id, vr.rating, vr.review, vr.purchase_order_id as purchaseOrderId,
+      vr.created_at as createdAt,
+      u.id as reviewerId, u.first_name as reviewerFirstName, u.last_name as reviewerLastName
+    FROM vendor_reviews vr
+    LEFT JOIN users u ON vr.reviewed_by = u.id
+    WHERE vr.vendor_id = ?
+    ORDER BY vr.created_at DESC
+    LIMIT ?`,
+    [vendorId, limit]
+  );
+
+  return rows.map(r => ({
+    id: r.id,
+    rating: parseFloat(r.rating),
+    review: r.review,
+    purchaseOrderId: r.purchaseOrderId,
+    reviewedBy: r.reviewerId ? {
+      id: r.reviewerId,
+      firstName: r.reviewerFirstName,
+      lastName: r.reviewerLastName
+    } : null,
+    createdAt: r.createdAt
+  }));
+};
+
+/**
+ * Record a vendor rating and refresh vendors.rating with the average of all reviews
+ * @param {number} vendorId - Vendor ID
+ * @param {Object} reviewData - rating (1-5), review, purchaseOrderId, reviewedBy
+ * @returns {Promise<number>} New average rating
+ */
+const updateVendorRating = async (vendorId, reviewData) => {
+  return db.transaction(async (connection) => {
+    await connection.execute(
+      `INSERT INTO vendor_reviews (vendor_id, purchase_order_id, rating, review, reviewed_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        vendorId,
+        reviewData.purchaseOrderId || null,
+        reviewData.rating,
+        reviewData.review || null,
+        reviewData.reviewedBy
+      ]
+    );
+
+    const [[average]] = await connection.execute(
+      'SELECT ROUND(AVG(rating), 2) as rating FROM vendor_reviews WHERE vendor_id = ?',
+      [vendorId]
+    );
+
+    await connection.execute(
+      `UPDATE vendors
+       SET rating = ?, updated_by = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [average.rating, reviewData.reviewedBy, vendorId]
+    );
+
+    return parseFloat(average.rating);
+  });
 };
 
 module.exports = {
@@ -364,7 +418,9 @@ module.exports = {
   createVendor,
   updateVendor,
   deleteVendor,
+  countOpenOrders,
   getVendorTransactions,
   getVendorPerformance,
+  getVendorReviews,
   updateVendorRating
 };
@@ -1,116 +1,697 @@
 /**
  * Approval Routes
- * Route definitions for approval workflow endpoints
- * @module routes/approvalRoutes
+ * Define approval request and workflow endpoints with authentication and validation
  */
 
 const express = require('express');
 const router = express.Router();
 const approvalController = require('../controllers/approvalController');
-const { auth } = require('../middleware/auth');
-const { checkRole } = require('../middleware/roleCheck');
-const { validateApproval, validateApprovalAction } = require('../utils/validators');
+const { authenticate } = require('../middleware/auth');
+const { requireRole, requirePermission } = require('../middleware/roleCheck');
+const { validate } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const {
+  validateCreateApproval,
+  validateApprovalId,
+  validateApprovalDecision,
+  validateApprovalRejection,
+  validateApprovalCancellation,
+  validateApprovalFilters,
+  validateApprovalDelegation,
+  validateDelegationId,
+  validateCreateDelegation,
+  validateDelegationFilters,
+  validateWorkflowRequestType,
+  validateWorkflowId,
+  validateCreateWorkflow,
+  validatePagination
+} = require('../utils/validators');
+const { PERMISSIONS, ROLES } = require('../config/constants');
+
+// Apply rate limiting to all routes
+router.use(generalLimiter);
+
+// Apply authentication to all routes
+router.use(authenticate);
 
 /**
- * @route   GET /api/approvals
- * @desc    Get all approvals with filters and pagination
- * @access  Private
+ * @swagger
+ * /approvals:
+ *   get:
+ *     summary: List approval requests
+ *     description: Admins and supervisors see all requests, other users only those they submitted or approve
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED, DELEGATED, CANCELLED]
+ *       - in: query
+ *         name: requestType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of approval requests
+ *       401:
+ *         description: Unauthorized
  */
 router.get(
   '/',
-  auth,
-  approvalController.getAllApprovals
+  validatePagination,
+  validateApprovalFilters,
+  validate,
+  approvalController.listApprovals
 );
 
 /**
- * @route   GET /api/approvals/:id
- * @desc    Get approval by ID
- * @access  Private
+ * @swagger
+ * /approvals/pending:
+ *   get:
+ *     summary: Get requests waiting on my decision
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending approval requests with the current step
  */
 router.get(
-  '/:id',
-  auth,
-  approvalController.getApprovalById
+  '/pending',
+  validatePagination,
+  validate,
+  approvalController.getPendingApprovals
+);
+
+/**
+ * @swagger
+ * /approvals/stats:
+ *   get:
+ *     summary: Get approval statistics
+ *     description: |
+ *       Counts by status, average processing time and SLA compliance per approver:
+ *       decisions taken before the step deadline (onTime), after it (late), steps
+ *       escalated away from the approver (escalated) and steps currently overdue.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: approverId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Counts by status, average processing time and SLA compliance
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/stats',
+  requireRole([ROLES.ADMIN, ROLES.SUPERVISOR]),
+  validateApprovalFilters,
+  validate,
+  approvalController.getApprovalStats
+);
+
+/**
+ * @swagger
+ * /approvals/delegations:
+ *   get:
+ *     summary: List delegation rules
+ *     description: Admins see every rule, other users the rules they give or receive
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: delegatorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: delegateId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeInactive
+ *         description: Include revoked and expired rules
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Delegation rules
+ */
+router.get(
+  '/delegations',
+  validateDelegationFilters,
+  validate,
+  approvalController.listDelegations
 );
 
 /**
- * @route   POST /api/approvals
- * @desc    Create new approval request
- * @access  Private
+ * @swagger
+ * /approvals/delegations:
+ *   post:
+ *     summary: Delegate approvals for a period (out of office)
+ *     description: |
+ *       Between startDate and endDate (inclusive), steps that would be assigned to the
+ *       delegator go to the delegate, and steps already assigned to the delegator can be
+ *       decided by the delegate. Rules can be limited to request types and a maximum amount.
+ *       Only admins can create a rule on behalf of another user (delegatorUserId).
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delegateUserId
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               delegatorUserId:
+ *                 type: integer
+ *               delegateUserId:
+ *                 type: integer
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               requestTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [PROJECT, BUDGET, PURCHASE_ORDER, BUDGET_AMENDMENT, EQUIPMENT_ALLOCATION, PROJECT_BASELINE]
+ *               maxAmount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Delegation created
+ *       403:
+ *         description: Not allowed to delegate for this user
+ *       409:
+ *         description: Overlaps an existing rule
  */
 router.post(
-  '/',
-  auth,
-  validateApproval,
-  approvalController.createApproval
+  '/delegations',
+  validateCreateDelegation,
+  validate,
+  approvalController.createDelegation
 );
 
 /**
- * @route   POST /api/approvals/:id/approve
- * @desc    Approve an approval request
- * @access  Private
+ * @swagger
+ * /approvals/delegations/{id}:
+ *   delete:
+ *     summary: Revoke a delegation rule
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delegation revoked
+ *       403:
+ *         description: Only the delegator or an admin can revoke
+ *       404:
+ *         description: Delegation not found
+ */
+router.delete(
+  '/delegations/:id',
+  validateDelegationId,
+  validate,
+  approvalController.revokeDelegation
+);
+
+/**
+ * @swagger
+ * /approvals/workflows:
+ *   get:
+ *     summary: List approval workflow versions
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: requestType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Workflow versions with their levels
+ */
+router.get(
+  '/workflows',
+  approvalController.listWorkflows
+);
+
+/**
+ * @swagger
+ * /approvals/workflows:
+ *   post:
+ *     summary: Create a new workflow version
+ *     description: |
+ *       Versions are numbered per request type. Levels sharing a levelOrder are
+ *       approved in parallel; a level only applies when the request amount is within
+ *       [minAmount, maxAmount] and the project type/priority is listed (when set).
+ *       Pending requests keep the version they were created with.
+ *       With slaHours set, a level still pending after its deadline is escalated
+ *       to the next role up (finance, equipment and project roles to SUPERVISOR,
+ *       SUPERVISOR to ADMIN).
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requestType
+ *               - workflowName
+ *               - levels
+ *             properties:
+ *               requestType:
+ *                 type: string
+ *                 enum: [PROJECT, BUDGET, PURCHASE_ORDER, BUDGET_AMENDMENT, EQUIPMENT_ALLOCATION, PROJECT_BASELINE]
+ *               workflowName:
+ *                 type: string
+ *               slaHours:
+ *                 type: integer
+ *                 description: Hours each level may stay pending before escalation
+ *               reminderHours:
+ *                 type: integer
+ *                 description: Remind the approver this many hours before the deadline
+ *               activate:
+ *                 type: boolean
+ *                 default: true
+ *               levels:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [levelOrder, levelName, requiredRole]
+ *                   properties:
+ *                     levelOrder:
+ *                       type: integer
+ *                     levelName:
+ *                       type: string
+ *                     requiredRole:
+ *                       type: string
+ *                     minAmount:
+ *                       type: number
+ *                     maxAmount:
+ *                       type: number
+ *                     projectTypes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     projectPriorities:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: Workflow version created
+ *       403:
+ *         description: Forbidden
+ *       422:
+ *         description: Validation error
  */
 router.post(
-  '/:id/approve',
-  auth,
-  validateApprovalAction,
-  approvalController.approveRequest
+  '/workflows',
+  requirePermission(PERMISSIONS.SETTINGS_UPDATE),
+  validateCreateWorkflow,
+  validate,
+  approvalController.createWorkflowVersion
+);
+
+/**
+ * @swagger
+ * /approvals/workflows/{requestType}:
+ *   get:
+ *     summary: Get the active workflow of a request type
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestType
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active workflow version with its levels
+ *       404:
+ *         description: No active workflow
+ */
+router.get(
+  '/workflows/:requestType',
+  validateWorkflowRequestType,
+  validate,
+  approvalController.getActiveWorkflow
 );
 
 /**
- * @route   POST /api/approvals/:id/reject
- * @desc    Reject an approval request
- * @access  Private
+ * @swagger
+ * /approvals/workflows/{id}/activate:
+ *   post:
+ *     summary: Activate a workflow version
+ *     description: Deactivates the other versions of the same request type
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Workflow version activated
+ *       404:
+ *         description: Workflow not found
  */
 router.post(
-  '/:id/reject',
-  auth,
-  validateApprovalAction,
-  approvalController.rejectRequest
+  '/workflows/:id/activate',
+  requirePermission(PERMISSIONS.SETTINGS_UPDATE),
+  validateWorkflowId,
+  validate,
+  approvalController.activateWorkflowVersion
 );
 
 /**
- * @route   POST /api/approvals/:id/cancel
- * @desc    Cancel an approval request
- * @access  Private (Request creator only)
+ * @swagger
+ * /approvals:
+ *   post:
+ *     summary: Submit approval request
+ *     description: |
+ *       Levels and approvers are resolved from the active workflow of the request type.
+ *       Once fully approved, the change described by requestId/requestData is applied
+ *       in the same transaction (a failure leaves the request pending):
+ *       - PROJECT: requestId = project, requestData.status (optional) becomes the project status
+ *       - BUDGET: requestId = project, requestData { budgetCategory, allocatedAmount }
+ *       - BUDGET_AMENDMENT: requestId = budget allocation, requestData { allocatedAmount }
+ *       - PURCHASE_ORDER: requestId = SUBMITTED purchase order, approved or sent back to DRAFT
+ *       - EQUIPMENT_ALLOCATION: requestId = AVAILABLE equipment, requestData { projectId, plannedReturnDate, notes }
+ *       - PROJECT_BASELINE: requestId = baseline awaiting approval, which becomes the active baseline
+ *         (submitted by POST /projects/{id}/baselines)
+ *       Project and amount are derived from the target entity when it defines them.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requestType
+ *               - requestId
+ *               - title
+ *             properties:
+ *               requestType:
+ *                 type: string
+ *               requestId:
+ *                 type: integer
+ *               projectId:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *               title:
+ *                 type: string
+ *               requestData:
+ *                 type: object
+ *               comments:
+ *                 type: string
+ *               supportingDocuments:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Approval request created
+ *       409:
+ *         description: Entity already has a pending approval or is not in a state that can be approved
+ *       422:
+ *         description: No applicable workflow level or eligible approver
  */
 router.post(
-  '/:id/cancel',
-  auth,
-  approvalController.cancelApproval
+  '/',
+  validateCreateApproval,
+  validate,
+  approvalController.createApproval
+);
+
+/**
+ * @swagger
+ * /approvals/{id}:
+ *   get:
+ *     summary: Get approval request with its steps
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Approval details
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Approval not found
+ */
+router.get(
+  '/:id',
+  validateApprovalId,
+  validate,
+  approvalController.getApproval
 );
 
 /**
- * @route   GET /api/approvals/:id/history
- * @desc    Get approval history
- * @access  Private
+ * @swagger
+ * /approvals/{id}/history:
+ *   get:
+ *     summary: Get decisions taken on an approval request
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Started and completed approval steps, with the original and acting approver of delegated steps
  */
 router.get(
   '/:id/history',
-  auth,
+  validateApprovalId,
+  validate,
   approvalController.getApprovalHistory
 );
 
 /**
- * @route   GET /api/approvals/pending/me
- * @desc    Get pending approvals for current user
- * @access  Private
+ * @swagger
+ * /approvals/{id}/approve:
+ *   post:
+ *     summary: Approve the current level
+ *     description: The request moves to the next level once every parallel step is approved
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Level approved
+ *       403:
+ *         description: Not an approver of the current level
+ *       409:
+ *         description: Request already decided
  */
-router.get(
-  '/pending/me',
-  auth,
-  approvalController.getPendingApprovals
+router.post(
+  '/:id/approve',
+  validateApprovalDecision,
+  validate,
+  approvalController.approveRequest
 );
 
 /**
- * @route   GET /api/approvals/workflows/:entityType
- * @desc    Get approval workflow for entity type
- * @access  Private
+ * @swagger
+ * /approvals/{id}/reject:
+ *   post:
+ *     summary: Reject the request
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       403:
+ *         description: Not an approver of the current level
  */
-router.get(
-  '/workflows/:entityType',
-  auth,
-  approvalController.getWorkflowByEntityType
+router.post(
+  '/:id/reject',
+  validateApprovalRejection,
+  validate,
+  approvalController.rejectRequest
+);
+
+/**
+ * @swagger
+ * /approvals/{id}/delegate:
+ *   post:
+ *     summary: Delegate my pending step to another user
+ *     description: The request stays pending; its history keeps the originally assigned approver
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delegateUserId
+ *             properties:
+ *               delegateUserId:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Step delegated
+ *       403:
+ *         description: Not an approver of the current level
+ *       422:
+ *         description: Delegate is the requester, not an eligible holder of the level role or already approving this level
+ */
+router.post(
+  '/:id/delegate',
+  validateApprovalDelegation,
+  validate,
+  approvalController.delegateApproval
+);
+
+/**
+ * @swagger
+ * /approvals/{id}/cancel:
+ *   post:
+ *     summary: Withdraw a pending request
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ *       403:
+ *         description: Only the requester or an admin can cancel
+ */
+router.post(
+  '/:id/cancel',
+  validateApprovalCancellation,
+  validate,
+  approvalController.cancelRequest
 );
 
 module.exports = router;
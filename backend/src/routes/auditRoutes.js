@@ -0,0 +1,187 @@
+/**
+ * Audit Routes
+ * Define audit trail endpoints for auditors (audit_read permission)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { validate } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const {
+  validateAuditFilters,
+  validateAuditExport,
+  validateAuditEntity,
+  validatePagination
+} = require('../utils/validators');
+const { PERMISSIONS } = require('../config/constants');
+
+// Apply rate limiting to all routes
+router.use(generalLimiter);
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Every audit endpoint is reserved to auditors
+router.use(requirePermission(PERMISSIONS.AUDIT_READ));
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: List audit entries
+ *     description: Newest first. Values of secret fields (password hashes, tokens) are redacted.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           example: project
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: userId
+ *         description: Actor of the change
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [CREATE, UPDATE, DELETE, APPROVE, REJECT, ARCHIVE]
+ *       - in: query
+ *         name: isSensitive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Audit entries with pagination
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/',
+  validatePagination,
+  validateAuditFilters,
+  validate,
+  auditController.listEntries
+);
+
+/**
+ * @swagger
+ * /audit/export:
+ *   get:
+ *     summary: Export audit entries
+ *     description: |
+ *       Downloads the entries matching the same filters as the list, as CSV or JSON.
+ *       At most 10000 entries can be exported at once.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv: {}
+ *           application/json: {}
+ *       422:
+ *         description: Invalid filters or too many entries
+ */
+router.get(
+  '/export',
+  validateAuditExport,
+  validate,
+  auditController.exportEntries
+);
+
+/**
+ * @swagger
+ * /audit/verify:
+ *   get:
+ *     summary: Verify the audit hash chain
+ *     description: |
+ *       Recomputes the hash of every chained entry. Issues are reported per entry:
+ *       HASH_MISMATCH (entry edited), CHAIN_BROKEN (an earlier entry was deleted or
+ *       inserted), MISSING_HASH (entry added outside the application) and
+ *       TAIL_MISSING (latest entries deleted).
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification result
+ */
+router.get(
+  '/verify',
+  auditController.verifyChain
+);
+
+/**
+ * @swagger
+ * /audit/entities/{entityType}/{entityId}:
+ *   get:
+ *     summary: Get the change history of an entity
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entityType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: project
+ *       - in: path
+ *         name: entityId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entries of the entity, oldest first
+ */
+router.get(
+  '/entities/:entityType/:entityId',
+  validateAuditEntity,
+  validate,
+  auditController.getEntityTimeline
+);
+
+module.exports = router;
@@ -14,7 +14,7 @@ const { validateBudget, validateTransaction } = require('../utils/validators');
 /**
  * @route   GET /api/budgets
  * @desc    Get all budgets with filters and pagination
- * @access  Private
+ * @access  Private (budgets of the projects the user has budget access to)
  */
 router.get(
   '/',
@@ -25,7 +25,7 @@ router.get(
 /**
  * @route   GET /api/budgets/:id
  * @desc    Get budget by ID
- * @access  Private
+ * @access  Private (budget access on the project)
  */
 router.get(
   '/:id',
@@ -74,7 +74,7 @@ router.delete(
 /**
  * @route   GET /api/budgets/:id/transactions
  * @desc    Get budget transactions
- * @access  Private
+ * @access  Private (budget access on the project)
  */
 router.get(
   '/:id/transactions',
@@ -98,7 +98,7 @@ router.post(
 /**
  * @route   GET /api/budgets/:id/utilization
  * @desc    Get budget utilization metrics
- * @access  Private
+ * @access  Private (budget access on the project)
  */
 router.get(
   '/:id/utilization',
@@ -109,7 +109,7 @@ router.get(
 /**
  * @route   GET /api/budgets/:id/forecast
  * @desc    Get budget forecast
- * @access  Private
+ * @access  Private (budget access on the project)
  */
 router.get(
   '/:id/forecast',
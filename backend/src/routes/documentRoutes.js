@@ -0,0 +1,451 @@
+/**
+ * Document Routes
+ * Define document upload, version, download and retention endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const documentController = require('../controllers/documentController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { validate } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { uploadFile } = require('../middleware/upload');
+const {
+  validateDocumentUpload,
+  validateDocumentId,
+  validateDocumentFilters,
+  validateDocumentVersionUpload,
+  validateDocumentVersion,
+  validateRetentionRule,
+  validatePagination
+} = require('../utils/validators');
+const { PERMISSIONS } = require('../config/constants');
+
+// Apply rate limiting to all routes
+router.use(generalLimiter);
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /documents:
+ *   get:
+ *     summary: List documents
+ *     description: |
+ *       Only documents the user may access are listed: PUBLIC documents, INTERNAL
+ *       documents of the user's projects (or of no project), RESTRICTED and
+ *       confidential documents of the projects the user manages, and the
+ *       user's own uploads.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *           enum: [CONTRACT, SPECIFICATION, PLAN, REPORT, RECEIPT, PHOTO, APPROVAL, OTHER]
+ *       - in: query
+ *         name: accessLevel
+ *         schema:
+ *           type: string
+ *           enum: [PUBLIC, INTERNAL, RESTRICTED]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: archived
+ *         description: List archived documents instead of current ones
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Documents with pagination
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  validatePagination,
+  validateDocumentFilters,
+  validate,
+  documentController.listDocuments
+);
+
+/**
+ * @swagger
+ * /documents:
+ *   post:
+ *     summary: Upload a document
+ *     description: |
+ *       Accepted files: PDF, JPEG, PNG, Word, Excel, CSV and plain text, up to
+ *       MAX_FILE_SIZE bytes. The declared type must match the extension and
+ *       the file content. Uploading a file already present in the same
+ *       project is refused. Only the project team can upload to a project.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - documentType
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               documentType:
+ *                 type: string
+ *                 enum: [CONTRACT, SPECIFICATION, PLAN, REPORT, RECEIPT, PHOTO, APPROVAL, OTHER]
+ *               projectId:
+ *                 type: integer
+ *               documentName:
+ *                 type: string
+ *                 description: Defaults to the file name
+ *               description:
+ *                 type: string
+ *               accessLevel:
+ *                 type: string
+ *                 enum: [PUBLIC, INTERNAL, RESTRICTED]
+ *                 default: INTERNAL
+ *               isConfidential:
+ *                 type: boolean
+ *               validityStart:
+ *                 type: string
+ *                 format: date
+ *               validityEnd:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Document uploaded
+ *       409:
+ *         description: Same file already uploaded to the project
+ *       413:
+ *         description: File too large
+ *       422:
+ *         description: Validation error or file type not accepted
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.DOCUMENT_CREATE),
+  uploadFile('file'),
+  validateDocumentUpload,
+  validate,
+  documentController.uploadDocument
+);
+
+/**
+ * @swagger
+ * /documents/retention-rules:
+ *   get:
+ *     summary: List document retention rules
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retention rule per configured document type
+ */
+router.get(
+  '/retention-rules',
+  requirePermission(PERMISSIONS.SETTINGS_UPDATE),
+  documentController.listRetentionRules
+);
+
+/**
+ * @swagger
+ * /documents/retention-rules/{documentType}:
+ *   put:
+ *     summary: Set the retention rule of a document type
+ *     description: |
+ *       Documents of the type are scheduled for deletion retentionDays after
+ *       their validity end (or upload date when they have none). The
+ *       retention job then archives or purges them; documents cited by an
+ *       approval request are archived instead of purged. Existing documents
+ *       of the type are rescheduled; an inactive rule clears their schedule.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [CONTRACT, SPECIFICATION, PLAN, REPORT, RECEIPT, PHOTO, APPROVAL, OTHER]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - retentionDays
+ *               - retentionAction
+ *             properties:
+ *               retentionDays:
+ *                 type: integer
+ *                 minimum: 1
+ *               retentionAction:
+ *                 type: string
+ *                 enum: [ARCHIVE, PURGE]
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Rule saved, with the number of documents rescheduled
+ */
+router.put(
+  '/retention-rules/:documentType',
+  requirePermission(PERMISSIONS.SETTINGS_UPDATE),
+  validateRetentionRule,
+  validate,
+  documentController.setRetentionRule
+);
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   get:
+ *     summary: Get document metadata
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Document details
+ *       403:
+ *         description: No access to the document
+ *       404:
+ *         description: Document not found
+ */
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  validateDocumentId,
+  validate,
+  documentController.getDocumentById
+);
+
+/**
+ * @swagger
+ * /documents/{id}/download:
+ *   get:
+ *     summary: Download the document file
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File content
+ *       403:
+ *         description: No access to the document
+ *       404:
+ *         description: Document or file not found
+ */
+router.get(
+  '/:id/download',
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  validateDocumentId,
+  validate,
+  documentController.downloadDocument
+);
+
+/**
+ * @swagger
+ * /documents/{id}/versions:
+ *   get:
+ *     summary: Get the version history of a document
+ *     description: Versions oldest first, each with the fields changed from the previous version.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version history
+ *       403:
+ *         description: No access to the document
+ *       404:
+ *         description: Document not found
+ */
+router.get(
+  '/:id/versions',
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  validateDocumentId,
+  validate,
+  documentController.getVersionHistory
+);
+
+/**
+ * @swagger
+ * /documents/{id}/versions:
+ *   post:
+ *     summary: Upload a new version of a document
+ *     description: |
+ *       The new file becomes the current version; earlier versions stay
+ *       downloadable. Metadata not given is carried over. Allowed to the
+ *       project team and the uploader, unless the document is archived.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               changeNote:
+ *                 type: string
+ *                 maxLength: 500
+ *               documentName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               validityStart:
+ *                 type: string
+ *                 format: date
+ *               validityEnd:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Version uploaded, current document returned
+ *       409:
+ *         description: Same file as the current version or another document, or document archived
+ *       413:
+ *         description: File too large
+ *       422:
+ *         description: Validation error or file type not accepted
+ */
+router.post(
+  '/:id/versions',
+  requirePermission(PERMISSIONS.DOCUMENT_CREATE),
+  uploadFile('file'),
+  validateDocumentVersionUpload,
+  validate,
+  documentController.uploadVersion
+);
+
+/**
+ * @swagger
+ * /documents/{id}/versions/{version}/download:
+ *   get:
+ *     summary: Download the file of a document version
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File content
+ *       403:
+ *         description: No access to the document
+ *       404:
+ *         description: Document, version or file not found
+ */
+router.get(
+  '/:id/versions/:version/download',
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  validateDocumentVersion,
+  validate,
+  documentController.downloadVersion
+);
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   delete:
+ *     summary: Delete a document
+ *     description: |
+ *       Allowed to the uploader and the project managers, unless an approval
+ *       request cites the document. All versions are deleted.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Document deleted
+ *       409:
+ *         description: Document cited by an approval request
+ */
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.DOCUMENT_DELETE),
+  validateDocumentId,
+  validate,
+  documentController.deleteDocument
+);
+
+module.exports = router;
@@ -14,6 +14,13 @@ const equipmentRoutes = require('./equipmentRoutes');
 const budgetRoutes = require('./budgetRoutes');
 const userRoutes = require('./userRoutes');
 const approvalRoutes = require('./approvalRoutes');
+const vendorRoutes = require('./vendorRoutes');
+const purchaseOrderRoutes = require('./purchaseOrderRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const auditRoutes = require('./auditRoutes');
+const documentRoutes = require('./documentRoutes');
+const settingsRoutes = require('./settingsRoutes');
+const resourceRoutes = require('./resourceRoutes');
 
 /**
  * Health check endpoint
@@ -50,6 +57,13 @@ router.use('/api/equipment', equipmentRoutes);
 router.use('/api/budgets', budgetRoutes);
 router.use('/api/users', userRoutes);
 router.use('/api/approvals', approvalRoutes);
+router.use('/api/vendors', vendorRoutes);
+router.use('/api/purchase-orders', purchaseOrderRoutes);
+router.use('/api/notifications', notificationRoutes);
+router.use('/api/audit', auditRoutes);
+router.use('/api/documents', documentRoutes);
+router.use('/api/settings', settingsRoutes);
+router.use('/api/resources', resourceRoutes);
 
 /**
  * 404 handler for undefined routes
@@ -0,0 +1,240 @@
+/**
+ * Notification Routes
+ * Define the current user's notification endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const {
+  validateNotificationId,
+  validateNotificationFilters,
+  validateMarkAllRead,
+  validateNotificationPreferences,
+  validatePagination
+} = require('../utils/validators');
+
+// Apply rate limiting to all routes
+router.use(generalLimiter);
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List my notifications
+ *     description: Expired notifications are never returned
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [MILESTONE_DUE, BUDGET_ALERT, APPROVAL_NEEDED, PROJECT_DELAY, MAINTENANCE_DUE, DOCUMENT_EXPIRING, GENERAL_INFO]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [LOW, NORMAL, HIGH, CRITICAL]
+ *     responses:
+ *       200:
+ *         description: Notifications with pagination
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  validatePagination,
+  validateNotificationFilters,
+  validate,
+  notificationController.listNotifications
+);
+
+/**
+ * @swagger
+ * /notifications/unread-count:
+ *   get:
+ *     summary: Count my unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread total and count per priority
+ */
+router.get(
+  '/unread-count',
+  notificationController.getUnreadCount
+);
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   get:
+ *     summary: Get my email preferences
+ *     description: Email is enabled for every notification type unless opted out
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email preference per notification type
+ */
+router.get(
+  '/preferences',
+  notificationController.getPreferences
+);
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   put:
+ *     summary: Opt in or out of email notifications
+ *     description: |
+ *       Notifications are always shown in the application; these preferences only
+ *       control the email copy. Password reset emails cannot be turned off.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - preferences
+ *             properties:
+ *               preferences:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - notificationType
+ *                     - emailEnabled
+ *                   properties:
+ *                     notificationType:
+ *                       type: string
+ *                       enum: [MILESTONE_DUE, BUDGET_ALERT, APPROVAL_NEEDED, PROJECT_DELAY, MAINTENANCE_DUE, DOCUMENT_EXPIRING, GENERAL_INFO]
+ *                     emailEnabled:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ */
+router.put(
+  '/preferences',
+  validateNotificationPreferences,
+  validate,
+  notificationController.updatePreferences
+);
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   patch:
+ *     summary: Mark all my notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 description: Only mark notifications of this type
+ *                 enum: [MILESTONE_DUE, BUDGET_ALERT, APPROVAL_NEEDED, PROJECT_DELAY, MAINTENANCE_DUE, DOCUMENT_EXPIRING, GENERAL_INFO]
+ *     responses:
+ *       200:
+ *         description: Number of notifications updated
+ */
+router.patch(
+  '/read-all',
+  validateMarkAllRead,
+  validate,
+  notificationController.markAllRead
+);
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked read
+ *       404:
+ *         description: Notification not found
+ */
+router.patch(
+  '/:id/read',
+  validateNotificationId,
+  validate,
+  notificationController.markRead
+);
+
+/**
+ * @swagger
+ * /notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Notification deleted
+ *       404:
+ *         description: Notification not found
+ */
+router.delete(
+  '/:id',
+  validateNotificationId,
+  validate,
+  notificationController.deleteNotification
+);
+
+module.exports = router;
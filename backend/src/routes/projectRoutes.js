@@ -6,14 +6,44 @@
 const express = require('express');
 const router = express.Router();
 const projectController = require('../controllers/projectController');
+const resourceAllocationController = require('../controllers/resourceAllocationController');
+const milestoneController = require('../controllers/milestoneController');
+const completionController = require('../controllers/completionController');
+const baselineController = require('../controllers/baselineController');
+const projectMemberController = require('../controllers/projectMemberController');
+const riskController = require('../controllers/riskController');
 const { authenticate } = require('../middleware/auth');
-const { requirePermission } = require('../middleware/roleCheck');
+const { requirePermission, requireAdmin } = require('../middleware/roleCheck');
 const { validate } = require('../middleware/validation');
 const { generalLimiter } = require('../middleware/rateLimiter');
 const { 
   validateCreateProject,
   validateUpdateProject,
   validateProjectId,
+  validateProjectSchedule,
+  validateProjectStatus,
+  validateProjectEvm,
+  validateCompletionMethod,
+  validateCompletionOverride,
+  validateClearCompletionOverride,
+  validateTeamAllocationId,
+  validateTeamFilters,
+  validateAssignTeamMember,
+  validateUpdateTeamMember,
+  validateMilestoneId,
+  validateCreateMilestone,
+  validateUpdateMilestone,
+  validateReorderMilestones,
+  validateBaselineId,
+  validateCreateBaseline,
+  validateProjectMemberUserId,
+  validateAddProjectMember,
+  validateUpdateProjectMember,
+  validateRiskId,
+  validateRiskFilters,
+  validateRiskHeatMap,
+  validateCreateRisk,
+  validateUpdateRisk,
   validatePagination
 } = require('../utils/validators');
 const { PERMISSIONS } = require('../config/constants');
@@ -230,6 +260,13 @@ router.delete(
  * /projects/{id}/status:
  *   put:
  *     summary: Update project status
+ *     description: |
+ *       Moves the project along the status state machine. Starting work needs
+ *       an approved project with a budget allocated, putting it on hold needs
+ *       a reason, and completing it needs every milestone completed or
+ *       cancelled, no outstanding commitments, an actual end date and a
+ *       closure report. Each transition is limited to some roles; COMPLETED
+ *       and CANCELLED are final.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -239,18 +276,74 @@ router.delete(
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PLANNING, IN_PROGRESS, ON_HOLD, COMPLETED, CANCELLED]
+ *               reason:
+ *                 type: string
+ *               actualEndDate:
+ *                 type: string
+ *                 format: date
+ *               completionNotes:
+ *                 type: string
+ *                 description: Closure report
  *     responses:
  *       200:
  *         description: Status updated
+ *       403:
+ *         description: The user's roles may not perform this transition
+ *       409:
+ *         description: Transition not allowed or a guard is not met
+ *       422:
+ *         description: A field required by the transition is missing
  */
 router.put(
   '/:id/status',
   requirePermission(PERMISSIONS.PROJECT_UPDATE),
-  validateProjectId,
+  validateProjectStatus,
   validate,
   projectController.updateStatus
 );
 
+/**
+ * @swagger
+ * /projects/{id}/transitions:
+ *   get:
+ *     summary: List the next status transitions of a project
+ *     description: |
+ *       Each transition out of the current status with the roles allowed to
+ *       perform it, whether the caller may perform it now, the guards that
+ *       block it and the fields the status update must carry.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Available transitions
+ */
+router.get(
+  '/:id/transitions',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateProjectId,
+  validate,
+  projectController.getProjectTransitions
+);
+
 /**
  * @swagger
  * /projects/{id}/budget:
@@ -281,7 +374,8 @@ router.get(
  * @swagger
  * /projects/{id}/milestones:
  *   get:
- *     summary: Get project milestones
+ *     summary: List project milestones
+ *     description: Milestones in sequence order, with their prerequisite
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -300,14 +394,131 @@ router.get(
   requirePermission(PERMISSIONS.PROJECT_READ),
   validateProjectId,
   validate,
-  projectController.getProjectMilestones
+  milestoneController.listMilestones
 );
 
 /**
  * @swagger
- * /projects/{id}/progress:
+ * /projects/{id}/milestones:
+ *   post:
+ *     summary: Create a milestone
+ *     description: |
+ *       The milestone code is generated from the project code. A milestone
+ *       may depend on one prerequisite milestone of the project; it cannot
+ *       start or complete before the prerequisite is completed (or
+ *       cancelled), and dependencies cannot form a cycle. An open milestone
+ *       whose planned date has passed is stored as DELAYED.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, plannedDate, responsibleUserId]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               plannedDate:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [NOT_STARTED, IN_PROGRESS, COMPLETED, CANCELLED]
+ *               completionPercentage:
+ *                 type: number
+ *               actualCompletionDate:
+ *                 type: string
+ *                 format: date
+ *               responsibleUserId:
+ *                 type: integer
+ *               sequenceOrder:
+ *                 type: integer
+ *               dependsOnMilestoneId:
+ *                 type: integer
+ *                 nullable: true
+ *               budgetAllocated:
+ *                 type: number
+ *               weight:
+ *                 type: number
+ *                 description: Weight in the project completion roll-up (WEIGHT method)
+ *               deliverables:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Milestone created
+ *       409:
+ *         description: Prerequisite not completed or closed project
+ *       422:
+ *         description: Validation error or dependency cycle
+ */
+router.post(
+  '/:id/milestones',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateCreateMilestone,
+  validate,
+  milestoneController.createMilestone
+);
+
+/**
+ * @swagger
+ * /projects/{id}/milestones/order:
+ *   put:
+ *     summary: Reorder project milestones
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [milestoneIds]
+ *             properties:
+ *               milestoneIds:
+ *                 type: array
+ *                 description: Every milestone of the project, in the new order
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Milestones in their new order
+ *       422:
+ *         description: The list does not match the project milestones
+ */
+router.put(
+  '/:id/milestones/order',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateReorderMilestones,
+  validate,
+  milestoneController.reorderMilestones
+);
+
+/**
+ * @swagger
+ * /projects/{id}/milestones/{milestoneId}:
  *   get:
- *     summary: Get project progress metrics
+ *     summary: Get a milestone
+ *     description: The milestone with the milestones depending on it
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -317,16 +528,1110 @@ router.get(
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Progress metrics
+ *         description: Milestone details
+ *       404:
+ *         description: Milestone not found
  */
 router.get(
-  '/:id/progress',
+  '/:id/milestones/:milestoneId',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateMilestoneId,
+  validate,
+  milestoneController.getMilestone
+);
+
+/**
+ * @swagger
+ * /projects/{id}/milestones/{milestoneId}:
+ *   put:
+ *     summary: Update a milestone
+ *     description: |
+ *       Same rules as creation. A prerequisite cannot be reopened while a
+ *       milestone depending on it has started. Completing sets progress to
+ *       100% and the completion date (today unless given, never in the
+ *       future). Moving the planned date of a DELAYED milestone to the
+ *       future returns it to NOT_STARTED or IN_PROGRESS.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Milestone updated
+ *       404:
+ *         description: Milestone not found
+ *       409:
+ *         description: Prerequisite not completed, dependent already started or closed project
+ *       422:
+ *         description: Validation error or dependency cycle
+ */
+router.put(
+  '/:id/milestones/:milestoneId',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateUpdateMilestone,
+  validate,
+  milestoneController.updateMilestone
+);
+
+/**
+ * @swagger
+ * /projects/{id}/milestones/{milestoneId}:
+ *   delete:
+ *     summary: Delete a milestone
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Milestone deleted
+ *       404:
+ *         description: Milestone not found
+ *       409:
+ *         description: Other milestones depend on it
+ */
+router.delete(
+  '/:id/milestones/:milestoneId',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateMilestoneId,
+  validate,
+  milestoneController.deleteMilestone
+);
+
+/**
+ * @swagger
+ * /projects/{id}/members:
+ *   get:
+ *     summary: List project members
+ *     description: |
+ *       Managers and alternates from the project record, explicit members and
+ *       engineers allocated to the project team, with the source of each
+ *       membership.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Project members
+ *   post:
+ *     summary: Add a project member
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId, memberRole]
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               memberRole:
+ *                 type: string
+ *                 enum: [ENGINEER, FINANCE, OBSERVER]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Member added
+ *       403:
+ *         description: Only the project managers can manage the members
+ *       409:
+ *         description: The user is already a member
+ */
+router.get(
+  '/:id/members',
   requirePermission(PERMISSIONS.PROJECT_READ),
   validateProjectId,
   validate,
-  projectController.getProjectProgress
+  projectMemberController.listMembers
+);
+
+router.post(
+  '/:id/members',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateAddProjectMember,
+  validate,
+  projectMemberController.addMember
+);
+
+/**
+ * @swagger
+ * /projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change the role of a project member
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               memberRole:
+ *                 type: string
+ *                 enum: [ENGINEER, FINANCE, OBSERVER]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Member updated
+ *       404:
+ *         description: The user is not an explicit member
+ *   delete:
+ *     summary: Remove a project member
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Member removed
+ *       404:
+ *         description: The user is not an explicit member
+ */
+router.put(
+  '/:id/members/:userId',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateUpdateProjectMember,
+  validate,
+  projectMemberController.updateMember
+);
+
+router.delete(
+  '/:id/members/:userId',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateProjectMemberUserId,
+  validate,
+  projectMemberController.removeMember
+);
+
+/**
+ * @swagger
+ * /projects/{id}/access/{userId}:
+ *   get:
+ *     summary: Explain the access of a user to a project (admin)
+ *     description: |
+ *       The roles and project memberships of the user, whether they can open
+ *       the project and, for each kind of access, the global or member roles
+ *       granting it.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Access explanation
+ *       403:
+ *         description: Administrators only
+ *       404:
+ *         description: Project or user not found
+ */
+router.get(
+  '/:id/access/:userId',
+  requireAdmin(),
+  validateProjectMemberUserId,
+  validate,
+  projectMemberController.explainAccess
+);
+
+/**
+ * @swagger
+ * /projects/{id}/risks:
+ *   get:
+ *     summary: List the project risk register
+ *     description: |
+ *       Risks with their exposure (likelihood x impact) graded HIGH, MEDIUM or
+ *       LOW by the risk_exposure_bands setting, highest exposure first.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, MITIGATING, CLOSED]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: exposure
+ *         schema:
+ *           type: string
+ *           enum: [LOW, MEDIUM, HIGH]
+ *       - in: query
+ *         name: ownerUserId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Project risks
+ *   post:
+ *     summary: Add a risk to the project register
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, category, likelihood, impact, ownerUserId]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [TECHNICAL, FINANCIAL, SCHEDULE, REGULATORY, ENVIRONMENTAL, SAFETY, CONTRACTUAL, STAKEHOLDER, OTHER]
+ *               likelihood:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               impact:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               ownerUserId:
+ *                 type: integer
+ *               mitigationPlan:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [OPEN, MITIGATING, CLOSED]
+ *               identifiedDate:
+ *                 type: string
+ *                 format: date
+ *               lastReviewDate:
+ *                 type: string
+ *                 format: date
+ *               nextReviewDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Risk created
+ *       403:
+ *         description: Only the project managers and engineers can change the register
+ *       409:
+ *         description: The project is closed
+ */
+router.get(
+  '/:id/risks',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateRiskFilters,
+  validate,
+  riskController.listRisks
+);
+
+router.post(
+  '/:id/risks',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateCreateRisk,
+  validate,
+  riskController.createRisk
+);
+
+/**
+ * @swagger
+ * /projects/{id}/risks/heat-map:
+ *   get:
+ *     summary: Probability-impact heat map of the project risks
+ *     description: |
+ *       5x5 matrix of likelihood (rows, most likely first) by impact (columns)
+ *       with the risks in each cell and the exposure level of the cell.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeClosed
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Heat map with the number of risks per exposure level
+ */
+router.get(
+  '/:id/risks/heat-map',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateRiskHeatMap,
+  validate,
+  riskController.getRiskHeatMap
+);
+
+/**
+ * @swagger
+ * /projects/{id}/risks/{riskId}:
+ *   get:
+ *     summary: Get a project risk
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: riskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Risk details
+ *       404:
+ *         description: Risk not found
+ *   put:
+ *     summary: Update a project risk
+ *     description: Closing a risk records the date it was closed; reopening it clears that date.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: riskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [TECHNICAL, FINANCIAL, SCHEDULE, REGULATORY, ENVIRONMENTAL, SAFETY, CONTRACTUAL, STAKEHOLDER, OTHER]
+ *               likelihood:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               impact:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               ownerUserId:
+ *                 type: integer
+ *               mitigationPlan:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [OPEN, MITIGATING, CLOSED]
+ *               identifiedDate:
+ *                 type: string
+ *                 format: date
+ *               lastReviewDate:
+ *                 type: string
+ *                 format: date
+ *               nextReviewDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Risk updated
+ *       404:
+ *         description: Risk not found
+ *   delete:
+ *     summary: Delete a risk recorded by mistake
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: riskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Risk deleted
+ *       404:
+ *         description: Risk not found
+ */
+router.get(
+  '/:id/risks/:riskId',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateRiskId,
+  validate,
+  riskController.getRisk
+);
+
+router.put(
+  '/:id/risks/:riskId',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateUpdateRisk,
+  validate,
+  riskController.updateRisk
+);
+
+router.delete(
+  '/:id/risks/:riskId',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateRiskId,
+  validate,
+  riskController.deleteRisk
+);
+
+/**
+ * @swagger
+ * /projects/{id}/baselines:
+ *   get:
+ *     summary: List project baselines
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Baselines, newest first, with the active one
+ *   post:
+ *     summary: Capture a project baseline
+ *     description: |
+ *       Snapshots the project dates, estimated budget, budget allocations and
+ *       milestones. The first baseline is active at once; a re-baseline is
+ *       submitted to the PROJECT_BASELINE approval workflow and supersedes the
+ *       active baseline once approved.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [baselineName]
+ *             properties:
+ *               baselineName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Baseline created (ACTIVE or PENDING_APPROVAL)
+ *       409:
+ *         description: A re-baseline is already awaiting approval
+ */
+router.get(
+  '/:id/baselines',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateProjectId,
+  validate,
+  baselineController.listBaselines
+);
+
+router.post(
+  '/:id/baselines',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateCreateBaseline,
+  validate,
+  baselineController.createBaseline
+);
+
+/**
+ * @swagger
+ * /projects/{id}/baselines/{baselineId}:
+ *   get:
+ *     summary: Get a baseline with its snapshot
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: baselineId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Baseline details
+ *       404:
+ *         description: Baseline not found
+ */
+router.get(
+  '/:id/baselines/:baselineId',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateBaselineId,
+  validate,
+  baselineController.getBaseline
+);
+
+/**
+ * @swagger
+ * /projects/{id}/baselines/{baselineId}/variance:
+ *   get:
+ *     summary: Compare the project with a baseline
+ *     description: |
+ *       Date slips (start, planned and forecast end), budget variance in total
+ *       and per category, and milestones added, removed or re-planned since the
+ *       baseline.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: baselineId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Variance against the baseline
+ */
+router.get(
+  '/:id/baselines/:baselineId/variance',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateBaselineId,
+  validate,
+  baselineController.getBaselineVariance
+);
+
+/**
+ * @swagger
+ * /projects/{id}/schedule:
+ *   get:
+ *     summary: Get the project schedule (critical path and Gantt data)
+ *     description: |
+ *       Each milestone runs from its prerequisite's finish (project start
+ *       without one) to its planned date. Returns planned, early and late
+ *       start/finish, total float and the critical path. Forecast dates
+ *       account for completion dates and overdue milestones (which cannot
+ *       finish before today); a slip moves every dependent milestone and
+ *       is reported against the planned end date. slipMilestoneId and
+ *       slipDays simulate an extra delay on one milestone.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: slipMilestoneId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: slipDays
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Project schedule
+ */
+router.get(
+  '/:id/schedule',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateProjectSchedule,
+  validate,
+  projectController.getProjectSchedule
+);
+
+/**
+ * @swagger
+ * /projects/{id}/evm:
+ *   get:
+ *     summary: Get project earned value metrics
+ *     description: |
+ *       Planned value, earned value and actual cost from the milestone budgets,
+ *       their completion and the budget transactions, with SPI, CPI, EAC, ETC,
+ *       VAC and TCPI on the as-of date, a monthly series for S-curve charts
+ *       and the health of SPI and CPI against the evm_health_bands setting.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Earned value metrics
+ */
+router.get(
+  '/:id/evm',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateProjectEvm,
+  validate,
+  projectController.getProjectEvm
+);
+
+/**
+ * @swagger
+ * /projects/{id}/progress:
+ *   get:
+ *     summary: Get project progress metrics
+ *     description: |
+ *       Timeline, budget and milestone metrics with the critical issues of the
+ *       project, including its open risks of HIGH exposure, and the open risks
+ *       of its register.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Progress metrics
+ */
+router.get(
+  '/:id/progress',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateProjectId,
+  validate,
+  projectController.getProjectProgress
+);
+
+/**
+ * @swagger
+ * /projects/{id}/completion:
+ *   get:
+ *     summary: Get project completion
+ *     description: |
+ *       Current completion, the value rolled up from the milestones with the
+ *       project roll-up method (COUNT, BUDGET or WEIGHT), the override in
+ *       force if any, and the history of values.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Project completion
+ *       404:
+ *         description: Project not found
+ */
+router.get(
+  '/:id/completion',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateProjectId,
+  validate,
+  completionController.getCompletion
+);
+
+/**
+ * @swagger
+ * /projects/{id}/completion/method:
+ *   put:
+ *     summary: Change the completion roll-up method
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [completionMethod]
+ *             properties:
+ *               completionMethod:
+ *                 type: string
+ *                 enum: [COUNT, BUDGET, WEIGHT]
+ *     responses:
+ *       200:
+ *         description: Completion recalculated with the new method
+ */
+router.put(
+  '/:id/completion/method',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateCompletionMethod,
+  validate,
+  completionController.setMethod
+);
+
+/**
+ * @swagger
+ * /projects/{id}/completion/override:
+ *   put:
+ *     summary: Override project completion
+ *     description: |
+ *       Only the project manager, the alternate manager or an administrator
+ *       may override. The justification is kept in the audit trail; milestone
+ *       changes no longer update completion until the override is removed.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [completionPercentage, justification]
+ *             properties:
+ *               completionPercentage:
+ *                 type: number
+ *               justification:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Completion overridden
+ *       403:
+ *         description: Not a manager of the project
+ *   delete:
+ *     summary: Remove the completion override
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Completion back to the roll-up value
+ *       409:
+ *         description: Completion is not overridden
+ */
+router.put(
+  '/:id/completion/override',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateCompletionOverride,
+  validate,
+  completionController.overrideCompletion
+);
+
+router.delete(
+  '/:id/completion/override',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateClearCompletionOverride,
+  validate,
+  completionController.clearOverride
+);
+
+/**
+ * @swagger
+ * /projects/{id}/team:
+ *   get:
+ *     summary: List the project team
+ *     description: |
+ *       Staff allocated to the project. Each ACTIVE allocation reports the
+ *       peak load of its holder across all projects over the allocation
+ *       period (peakPercentage, isOverallocated above 100%).
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, PAUSED, COMPLETED]
+ *     responses:
+ *       200:
+ *         description: Project team
+ */
+router.get(
+  '/:id/team',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateTeamFilters,
+  validate,
+  resourceAllocationController.getTeam
+);
+
+/**
+ * @swagger
+ * /projects/{id}/team:
+ *   post:
+ *     summary: Assign a staff member to the project
+ *     description: |
+ *       Refused with 409 OVER_ALLOCATED when the user's allocations across
+ *       projects would exceed 100% on any day of the period. Users with
+ *       project_approve may set allowOverallocation to accept it; the
+ *       over-allocated periods are then returned as warnings.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId, allocationPercentage, startDate]
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               allocationPercentage:
+ *                 type: number
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               roleOnProject:
+ *                 type: string
+ *               hourlyRate:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *               allowOverallocation:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Allocation created, with capacity warnings
+ *       409:
+ *         description: Over-allocation, duplicate allocation or closed project
+ *       422:
+ *         description: Validation error
+ */
+router.post(
+  '/:id/team',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateAssignTeamMember,
+  validate,
+  resourceAllocationController.assignTeamMember
+);
+
+/**
+ * @swagger
+ * /projects/{id}/team/{allocationId}:
+ *   put:
+ *     summary: Change a team allocation
+ *     description: |
+ *       Same capacity check as an assignment while the allocation stays
+ *       ACTIVE. A change that only lowers the percentage or shortens the
+ *       period is accepted, with a warning if the user stays over-allocated.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: allocationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Allocation updated, with capacity warnings
+ *       404:
+ *         description: Allocation not found
+ *       409:
+ *         description: Over-allocation
+ */
+router.put(
+  '/:id/team/:allocationId',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateUpdateTeamMember,
+  validate,
+  resourceAllocationController.updateTeamMember
+);
+
+/**
+ * @swagger
+ * /projects/{id}/team/{allocationId}:
+ *   delete:
+ *     summary: Remove a team allocation
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: allocationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Allocation removed
+ *       404:
+ *         description: Allocation not found
+ */
+router.delete(
+  '/:id/team/:allocationId',
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  validateTeamAllocationId,
+  validate,
+  resourceAllocationController.removeTeamMember
 );
 
 module.exports = router;
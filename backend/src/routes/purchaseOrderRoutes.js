@@ -0,0 +1,473 @@
+/**
+ * Purchase Order Routes
+ * Define purchase order endpoints with authentication and validation
+ */
+
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { validate } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const {
+  validateCreatePurchaseOrder,
+  validateUpdatePurchaseOrder,
+  validatePurchaseOrderId,
+  validatePurchaseOrderStatus,
+  validatePurchaseOrderFilters,
+  validateCreatePurchaseOrderItem,
+  validateUpdatePurchaseOrderItem,
+  validatePurchaseOrderItemId,
+  validateGoodsReceipt,
+  validateInvoiceRegistration,
+  validatePayment,
+  validatePagination
+} = require('../utils/validators');
+const { PERMISSIONS } = require('../config/constants');
+
+// Apply rate limiting to all routes
+router.use(generalLimiter);
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /purchase-orders:
+ *   get:
+ *     summary: List purchase orders
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: vendorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of purchase orders
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.PURCHASE_READ),
+  validatePagination,
+  validatePurchaseOrderFilters,
+  validate,
+  purchaseOrderController.listPurchaseOrders
+);
+
+/**
+ * @swagger
+ * /purchase-orders:
+ *   post:
+ *     summary: Create purchase order
+ *     description: Creates a DRAFT order and posts a budget COMMITMENT when linked to a project
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vendorId
+ *               - description
+ *               - items
+ *             properties:
+ *               vendorId:
+ *                 type: integer
+ *               projectId:
+ *                 type: integer
+ *               budgetCategory:
+ *                 type: string
+ *                 default: MATERIALS
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [description, quantity, unit, unitPrice]
+ *     responses:
+ *       201:
+ *         description: Purchase order created
+ *       422:
+ *         description: Validation error or insufficient budget
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.PURCHASE_CREATE),
+  validateCreatePurchaseOrder,
+  validate,
+  purchaseOrderController.createPurchaseOrder
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}:
+ *   get:
+ *     summary: Get purchase order with line items
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order details
+ *       404:
+ *         description: Purchase order not found
+ */
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.PURCHASE_READ),
+  validatePurchaseOrderId,
+  validate,
+  purchaseOrderController.getPurchaseOrder
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}:
+ *   put:
+ *     summary: Update purchase order header
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order updated
+ *       409:
+ *         description: Purchase order is no longer editable
+ */
+router.put(
+  '/:id',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validateUpdatePurchaseOrder,
+  validate,
+  purchaseOrderController.updatePurchaseOrder
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/status:
+ *   put:
+ *     summary: Update purchase order status
+ *     description: |
+ *       While a PURCHASE_ORDER approval workflow is active, a SUBMITTED order is
+ *       only approved or sent back to DRAFT by the decision on its approval request.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       403:
+ *         description: Approval requires purchase_approve
+ *       409:
+ *         description: Invalid status transition, or decided by the approval workflow
+ */
+router.put(
+  '/:id/status',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validatePurchaseOrderStatus,
+  validate,
+  purchaseOrderController.updateStatus
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/items:
+ *   post:
+ *     summary: Add line item
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Line item added
+ *       409:
+ *         description: Purchase order is not DRAFT
+ */
+router.post(
+  '/:id/items',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validateCreatePurchaseOrderItem,
+  validate,
+  purchaseOrderController.addItem
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/items/{itemId}:
+ *   put:
+ *     summary: Update line item
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Line item updated
+ *       404:
+ *         description: Line item not found
+ */
+router.put(
+  '/:id/items/:itemId',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validateUpdatePurchaseOrderItem,
+  validate,
+  purchaseOrderController.updateItem
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/items/{itemId}:
+ *   delete:
+ *     summary: Remove line item
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Line item removed
+ *       409:
+ *         description: Last line item or purchase order is not DRAFT
+ */
+router.delete(
+  '/:id/items/:itemId',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validatePurchaseOrderItemId,
+  validate,
+  purchaseOrderController.deleteItem
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/receipts:
+ *   get:
+ *     summary: List goods receipts
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Goods receipts, newest first
+ */
+router.get(
+  '/:id/receipts',
+  requirePermission(PERMISSIONS.PURCHASE_READ),
+  validatePurchaseOrderId,
+  validate,
+  purchaseOrderController.getReceipts
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/receipts:
+ *   post:
+ *     summary: Record goods receipt
+ *     description: Moves the PO to PARTIAL_RECEIVED or RECEIVED
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lines
+ *             properties:
+ *               receivedDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [itemId]
+ *                   properties:
+ *                     itemId:
+ *                       type: integer
+ *                     quantityAccepted:
+ *                       type: number
+ *                     quantityRejected:
+ *                       type: number
+ *                     rejectionReason:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Receipt recorded
+ *       409:
+ *         description: Purchase order is not awaiting delivery
+ *       422:
+ *         description: Quantities exceed outstanding amounts
+ */
+router.post(
+  '/:id/receipts',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validateGoodsReceipt,
+  validate,
+  purchaseOrderController.receiveGoods
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/invoice:
+ *   post:
+ *     summary: Register invoice with three-way matching
+ *     description: Compares invoice, ordered amount and accepted receipts within the configured tolerance
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoice registered with match result
+ *       409:
+ *         description: Purchase order is not RECEIVED
+ */
+router.post(
+  '/:id/invoice',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validateInvoiceRegistration,
+  validate,
+  purchaseOrderController.registerInvoice
+);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/payment:
+ *   post:
+ *     summary: Record payment
+ *     description: Converts the budget commitment into an EXPENSE
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order paid
+ *       409:
+ *         description: Purchase order is not INVOICED
+ */
+router.post(
+  '/:id/payment',
+  requirePermission(PERMISSIONS.PURCHASE_APPROVE),
+  validatePayment,
+  validate,
+  purchaseOrderController.recordPayment
+);
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Resource Routes
+ * Define staff capacity (allocations across projects) and personnel cost endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const resourceAllocationController = require('../controllers/resourceAllocationController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { validate } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { validateUserCapacity, validatePersonnelAccrual } = require('../utils/validators');
+const { PERMISSIONS } = require('../config/constants');
+
+// Apply rate limiting to all routes
+router.use(generalLimiter);
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /resources/capacity/{userId}:
+ *   get:
+ *     summary: Get the capacity of a user across projects
+ *     description: |
+ *       Splits the period into sub-periods of constant load, summing the
+ *       user's ACTIVE allocations on all projects. Periods above 100% are
+ *       listed in overallocatedPeriods. Users may view their own capacity;
+ *       other users' capacity requires project_update.
+ *     tags: [Resources]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 90 days after from
+ *     responses:
+ *       200:
+ *         description: Load periods, peak and available percentage
+ *       403:
+ *         description: Not allowed to view this user's capacity
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  '/capacity/:userId',
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  validateUserCapacity,
+  validate,
+  resourceAllocationController.getUserCapacity
+);
+
+/**
+ * @swagger
+ * /resources/personnel-accruals:
+ *   post:
+ *     summary: Accrue a month of personnel costs
+ *     description: |
+ *       Posts the labor cost of allocations with an hourly rate (working
+ *       days x working_hours_per_day x percentage x rate) as EXPENSE
+ *       transactions on each project's PERSONNEL budget allocation. Runs
+ *       daily for the previous month; re-running a month only posts the
+ *       difference with what was already accrued. The current month is
+ *       accrued up to today.
+ *     tags: [Resources]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [month]
+ *             properties:
+ *               month:
+ *                 type: string
+ *                 example: '2026-03'
+ *     responses:
+ *       200:
+ *         description: Accrual summary per project, with projects skipped for lack of a PERSONNEL budget
+ *       422:
+ *         description: Invalid or future month
+ */
+router.post(
+  '/personnel-accruals',
+  requirePermission(PERMISSIONS.BUDGET_UPDATE),
+  validatePersonnelAccrual,
+  validate,
+  resourceAllocationController.accruePersonnelCosts
+);
+
+module.exports = router;
@@ -0,0 +1,197 @@
+/**
+ * Settings Routes
+ * Define system settings endpoints for administrators (settings_update permission)
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { validate } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const {
+  validateSettingKey,
+  validateCreateSetting,
+  validateUpdateSetting
+} = require('../utils/validators');
+const { PERMISSIONS } = require('../config/constants');
+
+// Apply rate limiting to all routes
+router.use(generalLimiter);
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Every settings endpoint is reserved to administrators
+router.use(requirePermission(PERMISSIONS.SETTINGS_UPDATE));
+
+/**
+ * @swagger
+ * /settings:
+ *   get:
+ *     summary: List system settings
+ *     description: |
+ *       Stored settings and the settings the application reads that still
+ *       have their default value (isDefault). Values of encrypted settings
+ *       are never returned.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings ordered by key
+ */
+router.get('/', settingsController.listSettings);
+
+/**
+ * @swagger
+ * /settings:
+ *   post:
+ *     summary: Create a system setting
+ *     description: Encrypted settings (secrets) are stored encrypted and their value is never returned.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - settingKey
+ *               - settingType
+ *               - value
+ *             properties:
+ *               settingKey:
+ *                 type: string
+ *                 pattern: '^[a-z][a-z0-9_]{1,99}$'
+ *               settingType:
+ *                 type: string
+ *                 enum: [STRING, INT, DECIMAL, BOOLEAN, JSON]
+ *               value:
+ *                 description: Value of the given type
+ *               description:
+ *                 type: string
+ *               isEncrypted:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Setting created
+ *       409:
+ *         description: Setting already exists
+ *       422:
+ *         description: Value does not match the setting type or limits
+ */
+router.post(
+  '/',
+  validateCreateSetting,
+  validate,
+  settingsController.createSetting
+);
+
+/**
+ * @swagger
+ * /settings/{key}:
+ *   get:
+ *     summary: Get a system setting
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Setting
+ *       404:
+ *         description: Setting not found
+ */
+router.get(
+  '/:key',
+  validateSettingKey,
+  validate,
+  settingsController.getSetting
+);
+
+/**
+ * @swagger
+ * /settings/{key}:
+ *   put:
+ *     summary: Change the value of a system setting
+ *     description: |
+ *       The new value applies at once in this server process, and within
+ *       SETTINGS_CACHE_TTL_MS in the others. The change is recorded in the
+ *       setting history.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - value
+ *             properties:
+ *               value:
+ *                 description: Value of the setting type
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Setting updated
+ *       404:
+ *         description: Setting not found
+ *       422:
+ *         description: Value does not match the setting type or limits
+ */
+router.put(
+  '/:key',
+  validateUpdateSetting,
+  validate,
+  settingsController.updateSetting
+);
+
+/**
+ * @swagger
+ * /settings/{key}/history:
+ *   get:
+ *     summary: Get the change history of a system setting
+ *     description: Entries of the audit trail, oldest first. Encrypted values appear as [ENCRYPTED].
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Setting history
+ *       404:
+ *         description: Setting not found
+ */
+router.get(
+  '/:key/history',
+  validateSettingKey,
+  validate,
+  settingsController.getSettingHistory
+);
+
+module.exports = router;
@@ -0,0 +1,319 @@
+/**
+ * Vendor Routes
+ * Define vendor endpoints with authentication and validation
+ */
+
+const express = require('express');
+const router = express.Router();
+const vendorController = require('../controllers/vendorController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { validate } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const {
+  validateCreateVendor,
+  validateUpdateVendor,
+  validateVendorId,
+  validateVendorFilters,
+  validateVendorRating,
+  validatePagination
+} = require('../utils/validators');
+const { PERMISSIONS } = require('../config/constants');
+
+// Apply rate limiting to all routes
+router.use(generalLimiter);
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /vendors:
+ *   get:
+ *     summary: List vendors
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: vendorType
+ *         schema:
+ *           type: string
+ *           enum: [SUPPLIER, CONTRACTOR, SERVICE_PROVIDER, OTHER]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ratingMin
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of vendors
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.PURCHASE_READ),
+  validatePagination,
+  validateVendorFilters,
+  validate,
+  vendorController.listVendors
+);
+
+/**
+ * @swagger
+ * /vendors:
+ *   post:
+ *     summary: Create new vendor
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vendorName
+ *               - vendorType
+ *     responses:
+ *       201:
+ *         description: Vendor created
+ *       403:
+ *         description: Forbidden
+ *       422:
+ *         description: Validation error
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.PURCHASE_CREATE),
+  validateCreateVendor,
+  validate,
+  vendorController.createVendor
+);
+
+/**
+ * @swagger
+ * /vendors/{id}:
+ *   get:
+ *     summary: Get vendor details
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Vendor details
+ *       404:
+ *         description: Vendor not found
+ */
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.PURCHASE_READ),
+  validateVendorId,
+  validate,
+  vendorController.getVendor
+);
+
+/**
+ * @swagger
+ * /vendors/{id}:
+ *   put:
+ *     summary: Update vendor
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Vendor updated
+ *       404:
+ *         description: Vendor not found
+ *       422:
+ *         description: Validation error
+ */
+router.put(
+  '/:id',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validateUpdateVendor,
+  validate,
+  vendorController.updateVendor
+);
+
+/**
+ * @swagger
+ * /vendors/{id}:
+ *   delete:
+ *     summary: Deactivate vendor
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Vendor deactivated
+ *       404:
+ *         description: Vendor not found
+ *       409:
+ *         description: Vendor has open purchase orders
+ */
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validateVendorId,
+  validate,
+  vendorController.deleteVendor
+);
+
+/**
+ * @swagger
+ * /vendors/{id}/transactions:
+ *   get:
+ *     summary: Get purchase orders placed with the vendor
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Vendor purchase orders
+ */
+router.get(
+  '/:id/transactions',
+  requirePermission(PERMISSIONS.PURCHASE_READ),
+  validateVendorId,
+  validate,
+  vendorController.getVendorTransactions
+);
+
+/**
+ * @swagger
+ * /vendors/{id}/performance:
+ *   get:
+ *     summary: Get vendor performance scorecard
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: On-time delivery, rating and overall score
+ */
+router.get(
+  '/:id/performance',
+  requirePermission(PERMISSIONS.PURCHASE_READ),
+  validateVendorId,
+  validate,
+  vendorController.getVendorPerformance
+);
+
+/**
+ * @swagger
+ * /vendors/{id}/rating:
+ *   post:
+ *     summary: Rate vendor
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 5
+ *               review:
+ *                 type: string
+ *               purchaseOrderId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Rating recorded
+ *       422:
+ *         description: Validation error
+ */
+router.post(
+  '/:id/rating',
+  requirePermission(PERMISSIONS.PURCHASE_UPDATE),
+  validateVendorRating,
+  validate,
+  vendorController.rateVendor
+);
+
+module.exports = router;
@@ -17,10 +17,12 @@ const swaggerJsdoc = require('swagger-jsdoc');
 require('dotenv').config();
 
 // Import configuration
-const { PORT, NODE_ENV, API_VERSION, CORS_ORIGIN } = require('./config/environment');
+const { PORT, NODE_ENV, API_VERSION, CORS_ORIGIN, JOBS_ENABLED } = require('./config/environment');
 const db = require('./config/database');
 const logger = require('./middleware/logger');
 const errorHandler = require('./middleware/errorHandler');
+const { startJobs, stopJobs } = require('./jobs');
+const settingsService = require('./services/settingsService');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -29,6 +31,13 @@ const equipmentRoutes = require('./routes/equipmentRoutes');
 const budgetRoutes = require('./routes/budgetRoutes');
 const userRoutes = require('./routes/userRoutes');
 const approvalRoutes = require('./routes/approvalRoutes');
+const vendorRoutes = require('./routes/vendorRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const documentRoutes = require('./routes/documentRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const resourceRoutes = require('./routes/resourceRoutes');
 
 // Initialize Express app
 const app = express();
@@ -182,6 +191,13 @@ app.use(`${API_PREFIX}/equipment`, equipmentRoutes);
 app.use(`${API_PREFIX}/budgets`, budgetRoutes);
 app.use(`${API_PREFIX}/users`, userRoutes);
 app.use(`${API_PREFIX}/approvals`, approvalRoutes);
+app.use(`${API_PREFIX}/vendors`, vendorRoutes);
+app.use(`${API_PREFIX}/purchase-orders`, purchaseOrderRoutes);
+app.use(`${API_PREFIX}/notifications`, notificationRoutes);
+app.use(`${API_PREFIX}/audit`, auditRoutes);
+app.use(`${API_PREFIX}/documents`, documentRoutes);
+app.use(`${API_PREFIX}/settings`, settingsRoutes);
+app.use(`${API_PREFIX}/resources`, resourceRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -225,6 +241,9 @@ const startServer = async () => {
     await db.query('SELECT 1');
     logger.info('Database connection successful');
     
+    // Load system settings into the cache
+    await settingsService.loadSettings();
+    
     // Start HTTP server
     server = app.listen(PORT, () => {
       logger.info(`============================================`);
@@ -236,6 +255,11 @@ const startServer = async () => {
       logger.info(`Health Check: http://localhost:${PORT}/health`);
       logger.info(`============================================`);
     });
+
+    // Start background jobs (SLA escalation, ...)
+    if (JOBS_ENABLED) {
+      startJobs();
+    }
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -249,6 +273,8 @@ const startServer = async () => {
 const gracefulShutdown = async (signal) => {
   logger.info(`${signal} received. Starting graceful shutdown...`);
   
+  stopJobs();
+  
   if (server) {
     server.close(async () => {
       logger.info('HTTP server closed');
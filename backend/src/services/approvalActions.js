@@ -0,0 +1,427 @@
+/**
+ * Approval Actions
+ * Registry of handlers applying approved changes to the requested entity
+ *
+ * A handler is registered per entity type and implements:
+ *   prepare(request)                          - check the request at submission, may return
+ *                                               derived { projectId, amount }
+ *   onApproved(approval, context, connection) - apply the change once fully approved
+ *   onRejected(approval, context, connection) - revert pending state on rejection/cancellation
+ * onApproved/onRejected run in the approval transaction: throwing rolls the decision back.
+ * The context carries the deciding userId and the auditContext of the request.
+ */
+
+const purchaseOrderModel = require('../models/purchaseOrderModel');
+const budgetAllocationModel = require('../models/budgetAllocationModel');
+const equipmentAllocationModel = require('../models/equipmentAllocationModel');
+const projectModel = require('../models/projectModel');
+const projectBaselineModel = require('../models/projectBaselineModel');
+const notificationService = require('./notificationService');
+const projectTransitionService = require('./projectTransitionService');
+const auditService = require('./auditService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  PO_STATUS,
+  PROJECT_STATUS,
+  BUDGET_CATEGORY,
+  EQUIPMENT_STATUS,
+  BASELINE_STATUS,
+  AUDIT_ACTION
+} = require('../config/constants');
+
+/**
+ * Entity type handling each approval request type
+ */
+const REQUEST_ENTITY_TYPES = {
+  PROJECT: 'project',
+  BUDGET: 'budget',
+  BUDGET_AMENDMENT: 'budget',
+  PURCHASE_ORDER: 'procurement',
+  EQUIPMENT_ALLOCATION: 'equipment',
+  PROJECT_BASELINE: 'baseline'
+};
+
+const handlers = {};
+
+/**
+ * Register (or replace) the handler of an entity type
+ */
+const registerActionHandler = (entityType, handler) => {
+  handlers[entityType] = {
+    prepare: async () => ({}),
+    onApproved: async () => {},
+    onRejected: async () => {},
+    ...handler
+  };
+};
+
+/**
+ * Get the handler for an approval request type (null when none is registered)
+ */
+const getActionHandler = (requestType) => {
+  return handlers[REQUEST_ENTITY_TYPES[requestType]] || null;
+};
+
+const invalidRequest = (message) => createError(
+  HTTP_STATUS.UNPROCESSABLE_ENTITY,
+  ERROR_CODES.VALIDATION_ERROR,
+  message
+);
+
+const conflict = (message) => createError(
+  HTTP_STATUS.CONFLICT,
+  ERROR_CODES.INVALID_INPUT,
+  message
+);
+
+// ============================================================================
+// PROCUREMENT: purchase order SUBMITTED => APPROVED, back to DRAFT otherwise
+// ============================================================================
+
+registerActionHandler('procurement', {
+  prepare: async ({ requestId }) => {
+    const purchaseOrder = await purchaseOrderModel.findById(requestId);
+
+    if (!purchaseOrder) {
+      throw invalidRequest(`Purchase order with ID ${requestId} not found`);
+    }
+    if (purchaseOrder.poStatus !== PO_STATUS.SUBMITTED) {
+      throw conflict(`Purchase order ${purchaseOrder.poNumber} must be SUBMITTED to request approval`);
+    }
+
+    return { projectId: purchaseOrder.projectId, amount: purchaseOrder.poAmount };
+  },
+
+  onApproved: async (approval, { userId }, connection) => {
+    const purchaseOrder = await purchaseOrderModel.findById(approval.requestId, connection);
+
+    if (!purchaseOrder || purchaseOrder.poStatus !== PO_STATUS.SUBMITTED) {
+      throw conflict(`Purchase order ${approval.requestId} is no longer awaiting approval`);
+    }
+
+    await purchaseOrderModel.updateStatus(purchaseOrder.id, PO_STATUS.APPROVED, {
+      approvalStatus: 'APPROVED',
+      approvedByUserId: userId,
+      notes: `Approved through ${approval.approvalCode}`
+    }, userId, connection);
+  },
+
+  onRejected: async (approval, { userId, cancelled }, connection) => {
+    const purchaseOrder = await purchaseOrderModel.findById(approval.requestId, connection);
+
+    if (!purchaseOrder || purchaseOrder.poStatus !== PO_STATUS.SUBMITTED) {
+      return;
+    }
+
+    await purchaseOrderModel.updateStatus(purchaseOrder.id, PO_STATUS.DRAFT, {
+      approvalStatus: cancelled ? 'PENDING' : 'REJECTED',
+      notes: `${cancelled ? 'Withdrawn' : 'Rejected'} through ${approval.approvalCode}`
+    }, userId, connection);
+  }
+});
+
+// ============================================================================
+// PROJECT: record approval, optionally moving the project to a new status
+// (with the actual end date, closure report and reason of the request)
+// ============================================================================
+
+registerActionHandler('project', {
+  prepare: async ({ requestId, requestData = {} }) => {
+    const project = await projectModel.findById(requestId);
+
+    if (!project) {
+      throw invalidRequest(`Project with ID ${requestId} not found`);
+    }
+    if (requestData.status && !Object.values(PROJECT_STATUS).includes(requestData.status)) {
+      throw invalidRequest(`Invalid project status ${requestData.status}`);
+    }
+    if (requestData.status && requestData.status !== project.status &&
+      !(projectTransitionService.PROJECT_TRANSITIONS[project.status] || {})[requestData.status]) {
+      throw invalidRequest(`Invalid status transition from ${project.status} to ${requestData.status}`);
+    }
+
+    return { projectId: project.id };
+  },
+
+  onApproved: async (approval, { userId, auditContext }, connection) => {
+    const before = await projectModel.findById(approval.requestId, connection);
+    const { status, actualEndDate, completionNotes, reason } = approval.requestData;
+    const changesStatus = Boolean(status) && status !== before.status;
+
+    // The status change passes the transition guards, counting this approval
+    if (changesStatus) {
+      await projectTransitionService.assertTransition(
+        { ...before, approvedBy: { id: userId } },
+        status,
+        approval.requestData,
+        null,
+        connection
+      );
+    }
+
+    await projectModel.recordApproval(approval.requestId, userId, null, connection);
+
+    if (changesStatus) {
+      await projectModel.updateStatus(approval.requestId, status, actualEndDate, completionNotes, userId, connection);
+    }
+
+    await auditService.record(auditContext, {
+      entityType: 'project',
+      entityId: approval.requestId,
+      action: AUDIT_ACTION.APPROVE,
+      before,
+      after: await projectModel.findById(approval.requestId, connection),
+      reason: reason ? `${reason} (approved through ${approval.approvalCode})` : `Approved through ${approval.approvalCode}`
+    }, connection);
+  }
+});
+
+// ============================================================================
+// BUDGET: allocate a project category (BUDGET) or amend an allocation (BUDGET_AMENDMENT)
+// ============================================================================
+
+/**
+ * Ensure a new allocated amount still covers what is spent and committed
+ */
+const assertCoversUsage = (allocation, allocatedAmount) => {
+  const used = allocation.spentAmount + allocation.committedAmount;
+
+  if (allocatedAmount < used) {
+    throw conflict(
+      `Allocated amount ${allocatedAmount.toFixed(2)} is below spent and committed amounts (${used.toFixed(2)})`
+    );
+  }
+};
+
+registerActionHandler('budget', {
+  prepare: async ({ requestType, requestId, requestData = {} }) => {
+    const allocatedAmount = parseFloat(requestData.allocatedAmount);
+
+    if (!(allocatedAmount > 0)) {
+      throw invalidRequest('requestData.allocatedAmount must be greater than zero');
+    }
+
+    if (requestType === 'BUDGET_AMENDMENT') {
+      const allocation = await budgetAllocationModel.findById(requestId);
+
+      if (!allocation) {
+        throw invalidRequest(`Budget allocation with ID ${requestId} not found`);
+      }
+
+      assertCoversUsage(allocation, allocatedAmount);
+
+      return {
+        projectId: allocation.projectId,
+        amount: Math.abs(allocatedAmount - allocation.allocatedAmount)
+      };
+    }
+
+    const project = await projectModel.findById(requestId);
+
+    if (!project) {
+      throw invalidRequest(`Project with ID ${requestId} not found`);
+    }
+    if (!Object.values(BUDGET_CATEGORY).includes(requestData.budgetCategory)) {
+      throw invalidRequest('requestData.budgetCategory must be a valid budget category');
+    }
+
+    return { projectId: project.id, amount: allocatedAmount };
+  },
+
+  onApproved: async (approval, { userId, auditContext }, connection) => {
+    const { requestData } = approval;
+    const allocatedAmount = parseFloat(requestData.allocatedAmount);
+
+    let allocation;
+
+    if (approval.requestType === 'BUDGET_AMENDMENT') {
+      const current = await budgetAllocationModel.findById(approval.requestId, connection);
+
+      if (!current) {
+        throw conflict(`Budget allocation ${approval.requestId} no longer exists`);
+      }
+
+      allocation = await budgetAllocationModel.findByProjectAndCategory(
+        current.projectId,
+        current.budgetCategory,
+        connection
+      );
+    } else {
+      allocation = await budgetAllocationModel.findByProjectAndCategory(
+        approval.requestId,
+        requestData.budgetCategory,
+        connection
+      );
+
+      if (!allocation) {
+        const allocationId = await budgetAllocationModel.create({
+          projectId: approval.requestId,
+          budgetCategory: requestData.budgetCategory,
+          allocatedAmount,
+          notes: `Allocated through ${approval.approvalCode}`,
+          createdBy: userId
+        }, connection);
+
+        await auditService.record(auditContext, {
+          entityType: 'budget_allocation',
+          entityId: allocationId,
+          action: AUDIT_ACTION.CREATE,
+          after: await budgetAllocationModel.findById(allocationId, connection),
+          reason: `Allocated through ${approval.approvalCode}`
+        }, connection);
+        return;
+      }
+    }
+
+    assertCoversUsage(allocation, allocatedAmount);
+
+    await budgetAllocationModel.setAllocatedAmount(allocation.id, allocatedAmount, userId, connection);
+
+    await auditService.record(auditContext, {
+      entityType: 'budget_allocation',
+      entityId: allocation.id,
+      action: AUDIT_ACTION.UPDATE,
+      before: allocation,
+      after: await budgetAllocationModel.findById(allocation.id, connection),
+      reason: `Amended through ${approval.approvalCode}`
+    }, connection);
+
+    // A reduced allocation may push consumption over a threshold
+    await notificationService.notifyBudgetThresholds(allocation.id, connection);
+  }
+});
+
+// ============================================================================
+// EQUIPMENT: allocate available equipment to the project
+// ============================================================================
+
+registerActionHandler('equipment', {
+  prepare: async ({ requestId, projectId, requestData = {} }) => {
+    const equipment = await equipmentAllocationModel.findEquipment(requestId);
+
+    if (!equipment) {
+      throw invalidRequest(`Equipment with ID ${requestId} not found`);
+    }
+    if (equipment.status !== EQUIPMENT_STATUS.AVAILABLE) {
+      throw conflict(`Equipment ${equipment.equipmentCode} is not available (status: ${equipment.status})`);
+    }
+
+    const targetProjectId = requestData.projectId || projectId;
+
+    if (!targetProjectId) {
+      throw invalidRequest('A project is required to allocate equipment');
+    }
+
+    return { projectId: targetProjectId };
+  },
+
+  onApproved: async (approval, { auditContext }, connection) => {
+    const equipment = await equipmentAllocationModel.findEquipment(approval.requestId, connection);
+
+    if (!equipment || equipment.status !== EQUIPMENT_STATUS.AVAILABLE) {
+      throw conflict(`Equipment ${approval.requestId} is no longer available`);
+    }
+
+    await equipmentAllocationModel.allocate({
+      equipmentId: equipment.id,
+      projectId: approval.projectId,
+      allocatedBy: approval.requesterId,
+      allocationDate: approval.requestData.allocationDate,
+      plannedReturnDate: approval.requestData.plannedReturnDate,
+      notes: approval.requestData.notes
+    }, connection);
+
+    await auditService.record(auditContext, {
+      entityType: 'equipment',
+      entityId: equipment.id,
+      action: AUDIT_ACTION.UPDATE,
+      before: equipment,
+      after: await equipmentAllocationModel.findEquipment(equipment.id, connection),
+      reason: `Allocated to project ${approval.projectId} through ${approval.approvalCode}`
+    }, connection);
+  }
+});
+
+// ============================================================================
+// BASELINE: a re-baseline becomes the active baseline of its project
+// ============================================================================
+
+registerActionHandler('baseline', {
+  prepare: async ({ requestId }) => {
+    const baseline = await projectBaselineModel.findById(requestId);
+
+    if (!baseline) {
+      throw invalidRequest(`Project baseline with ID ${requestId} not found`);
+    }
+    if (baseline.status !== BASELINE_STATUS.PENDING_APPROVAL) {
+      throw conflict(`Baseline ${baseline.baselineNumber} of the project is not awaiting approval`);
+    }
+
+    return { projectId: baseline.projectId };
+  },
+
+  onApproved: async (approval, { auditContext }, connection) => {
+    const baseline = await projectBaselineModel.findById(approval.requestId, connection);
+
+    if (!baseline || baseline.status !== BASELINE_STATUS.PENDING_APPROVAL) {
+      throw conflict(`Project baseline ${approval.requestId} is no longer awaiting approval`);
+    }
+
+    const active = await projectBaselineModel.findByStatus(baseline.projectId, BASELINE_STATUS.ACTIVE, connection);
+
+    if (active) {
+      await projectBaselineModel.updateStatus(active.id, BASELINE_STATUS.SUPERSEDED, connection);
+
+      await auditService.record(auditContext, {
+        entityType: 'project_baseline',
+        entityId: active.id,
+        action: AUDIT_ACTION.UPDATE,
+        before: active,
+        after: await projectBaselineModel.findById(active.id, connection),
+        reason: `Superseded through ${approval.approvalCode}`
+      }, connection);
+    }
+
+    await projectBaselineModel.updateStatus(baseline.id, BASELINE_STATUS.ACTIVE, connection);
+
+    await auditService.record(auditContext, {
+      entityType: 'project_baseline',
+      entityId: baseline.id,
+      action: AUDIT_ACTION.APPROVE,
+      before: baseline,
+      after: await projectBaselineModel.findById(baseline.id, connection),
+      reason: `Approved through ${approval.approvalCode}`
+    }, connection);
+  },
+
+  onRejected: async (approval, { cancelled, auditContext }, connection) => {
+    const baseline = await projectBaselineModel.findById(approval.requestId, connection);
+
+    if (!baseline || baseline.status !== BASELINE_STATUS.PENDING_APPROVAL) {
+      return;
+    }
+
+    await projectBaselineModel.updateStatus(
+      baseline.id,
+      cancelled ? BASELINE_STATUS.CANCELLED : BASELINE_STATUS.REJECTED,
+      connection
+    );
+
+    await auditService.record(auditContext, {
+      entityType: 'project_baseline',
+      entityId: baseline.id,
+      action: cancelled ? AUDIT_ACTION.UPDATE : AUDIT_ACTION.REJECT,
+      before: baseline,
+      after: await projectBaselineModel.findById(baseline.id, connection),
+      reason: `${cancelled ? 'Withdrawn' : 'Rejected'} through ${approval.approvalCode}`
+    }, connection);
+  }
+});
+
+module.exports = {
+  REQUEST_ENTITY_TYPES,
+  registerActionHandler,
+  getActionHandler
+};
@@ -0,0 +1,145 @@
+/**
+ * Approval Delegation Service
+ * Business logic for out-of-office delegation rules
+ */
+
+const approvalDelegationModel = require('../models/approvalDelegationModel');
+const userModel = require('../models/userModel');
+const { createError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_CODES, ROLES } = require('../config/constants');
+
+const isAdmin = (user) => user.roles.includes(ROLES.ADMIN);
+
+/**
+ * Check whether two rules can route the same request
+ * Rules without request types cover every type
+ */
+const scopesOverlap = (typesA, typesB) => {
+  if (!typesA || !typesB) {
+    return true;
+  }
+  return typesA.some(type => typesB.includes(type));
+};
+
+/**
+ * Load delegation rule or throw 404
+ */
+const findDelegationOrFail = async (delegationId) => {
+  const delegation = await approvalDelegationModel.findById(delegationId);
+
+  if (!delegation) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Delegation with ID ${delegationId} not found`
+    );
+  }
+
+  return delegation;
+};
+
+/**
+ * List delegation rules
+ * Non-admin users only see rules they give or receive
+ */
+const listDelegations = async (filters, user) => {
+  const scopedFilters = isAdmin(user)
+    ? filters
+    : { ...filters, involvedUserId: user.id };
+
+  return await approvalDelegationModel.findAll(scopedFilters);
+};
+
+/**
+ * Create a delegation rule
+ * Users delegate their own approvals; admins may set up a rule for anyone
+ */
+const createDelegation = async (data, user) => {
+  const delegatorUserId = data.delegatorUserId || user.id;
+
+  if (delegatorUserId !== user.id && !isAdmin(user)) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'You can only delegate your own approvals'
+    );
+  }
+
+  if (data.delegateUserId === delegatorUserId) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Delegator and delegate must be different users'
+    );
+  }
+
+  const delegate = await userModel.findById(data.delegateUserId);
+
+  if (!delegate || !delegate.isActive) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `User with ID ${data.delegateUserId} is not an active user`
+    );
+  }
+
+  const requestTypes = data.requestTypes && data.requestTypes.length > 0 ? data.requestTypes : null;
+
+  const overlapping = (await approvalDelegationModel.findOverlapping(delegatorUserId, data.startDate, data.endDate))
+    .filter(rule => scopesOverlap(rule.requestTypes, requestTypes));
+
+  if (overlapping.length > 0) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.DUPLICATE_ENTRY,
+      `Delegation overlaps rule ${overlapping[0].id} for the same period and request types`
+    );
+  }
+
+  const delegationId = await approvalDelegationModel.create({
+    delegatorUserId,
+    delegateUserId: data.delegateUserId,
+    startDate: data.startDate,
+    endDate: data.endDate,
+    requestTypes,
+    maxAmount: data.maxAmount,
+    reason: data.reason,
+    createdBy: user.id
+  });
+
+  return await approvalDelegationModel.findById(delegationId);
+};
+
+/**
+ * Revoke a delegation rule (delegator or admin)
+ * Steps already handed over through the rule stay with the delegate
+ */
+const revokeDelegation = async (delegationId, user) => {
+  const delegation = await findDelegationOrFail(delegationId);
+
+  if (delegation.delegatorUserId !== user.id && !isAdmin(user)) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'Only the delegator can revoke this delegation'
+    );
+  }
+
+  if (!delegation.isActive) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Delegation ${delegationId} is already revoked`
+    );
+  }
+
+  await approvalDelegationModel.revoke(delegationId, user.id);
+
+  return await approvalDelegationModel.findById(delegationId);
+};
+
+module.exports = {
+  listDelegations,
+  createDelegation,
+  revokeDelegation
+};
@@ -1,364 +1,765 @@
 /**
  * Approval Service
- * Business logic for approval workflows
- * @module services/approvalService
+ * Business logic for multi-level approval requests
+ * Levels come from the active workflow version of the request type
  */
 
+const db = require('../config/database');
 const approvalModel = require('../models/approvalModel');
+const approvalWorkflowModel = require('../models/approvalWorkflowModel');
+const approvalDelegationModel = require('../models/approvalDelegationModel');
+const projectModel = require('../models/projectModel');
+const userModel = require('../models/userModel');
+const { getActionHandler } = require('./approvalActions');
+const notificationService = require('./notificationService');
+const documentService = require('./documentService');
+const projectAccessService = require('./projectAccessService');
+const auditService = require('./auditService');
 const logger = require('../middleware/logger');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  APPROVAL_STATUS,
+  ROLES,
+  PROJECT_ACCESS,
+  AUDIT_ACTION
+} = require('../config/constants');
+const { parsePagination, buildPaginationMeta } = require('../utils/helpers');
+
+// Roles that can see every approval request
+const OVERSIGHT_ROLES = [ROLES.ADMIN, ROLES.SUPERVISOR];
+
+const hasOversight = (user) => user.roles.some(role => OVERSIGHT_ROLES.includes(role));
+
+// Access the requester needs on the project of each request type
+const REQUEST_PROJECT_ACCESS = {
+  PROJECT: PROJECT_ACCESS.EDIT,
+  PROJECT_BASELINE: PROJECT_ACCESS.EDIT,
+  BUDGET: PROJECT_ACCESS.MANAGE_BUDGET,
+  BUDGET_AMENDMENT: PROJECT_ACCESS.MANAGE_BUDGET,
+  PURCHASE_ORDER: PROJECT_ACCESS.MANAGE_BUDGET,
+  EQUIPMENT_ALLOCATION: PROJECT_ACCESS.REQUEST_EQUIPMENT
+};
 
 /**
- * Get all approvals with pagination and filtering
+ * Load approval or throw 404
  */
-const getAllApprovals = async (page, limit, filters) => {
-  try {
-    const offset = (page - 1) * limit;
-    
-    const approvals = await approvalModel.findAll(limit, offset, filters);
-    const total = await approvalModel.count(filters);
-
-    return {
-      approvals,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalItems: total,
-      itemsPerPage: limit
-    };
-  } catch (error) {
-    logger.error('Error in getAllApprovals service:', error);
-    throw error;
+const findApprovalOrFail = async (approvalId, connection = null) => {
+  const approval = await approvalModel.findById(approvalId, connection);
+
+  if (!approval) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Approval with ID ${approvalId} not found`
+    );
   }
+
+  return approval;
 };
 
 /**
- * Get approval by ID
+ * Ensure the request is still awaiting a decision
  */
-const getApprovalById = async (id) => {
-  try {
-    return await approvalModel.findById(id);
-  } catch (error) {
-    logger.error('Error in getApprovalById service:', error);
-    throw error;
+const assertPending = (approval) => {
+  if (approval.status !== APPROVAL_STATUS.PENDING) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Approval ${approval.approvalCode} is already ${approval.status}`
+    );
   }
 };
 
 /**
- * Create new approval request
+ * Check whether a workflow level applies to the request
+ * Amount bands are inclusive; list conditions match when unset
  */
-const createApproval = async (approvalData) => {
-  try {
-    // Validate approval data
-    validateApprovalData(approvalData);
-    
-    // Determine approver based on type and amount
-    const approverId = await determineApprover(approvalData);
-    
-    const approvalToCreate = {
-      ...approvalData,
-      approver_id: approverId,
-      status: 'pending',
-      submitted_at: new Date()
-    };
-    
-    const approvalId = await approvalModel.create(approvalToCreate);
-    const approval = await approvalModel.findById(approvalId);
-    
-    // Send notification to approver (would integrate with notification system)
-    logger.info(`Approval request ${approvalId} created and sent to approver ${approverId}`);
-    
-    return approval;
-  } catch (error) {
-    logger.error('Error in createApproval service:', error);
-    throw error;
+const levelApplies = (level, context) => {
+  const { amount, projectType, projectPriority } = context;
+
+  if (level.minAmount !== null && (amount === null || amount < level.minAmount)) {
+    return false;
+  }
+  if (level.maxAmount !== null && amount !== null && amount > level.maxAmount) {
+    return false;
+  }
+  if (level.projectTypes && !level.projectTypes.includes(projectType)) {
+    return false;
   }
+  if (level.projectPriorities && !level.projectPriorities.includes(projectPriority)) {
+    return false;
+  }
+
+  return true;
 };
 
 /**
- * Approve a request
+ * Group applicable levels into stages
+ * Levels sharing a level_order form one parallel stage
+ * @returns {Array<Array<Object>>} Stages in approval order
  */
-const approveRequest = async (approvalId, approverId, comments) => {
-  try {
-    const approval = await approvalModel.findById(approvalId);
-    if (!approval) {
-      return null;
-    }
-    
-    // Check if user is authorized to approve
-    if (approval.approver_id !== approverId) {
-      throw new Error('UNAUTHORIZED_APPROVER');
-    }
-    
-    // Check if already processed
-    if (approval.status !== 'pending') {
-      throw new Error('ALREADY_PROCESSED');
-    }
-    
-    const updateData = {
-      status: 'approved',
-      decision_date: new Date(),
-      approver_comments: comments,
-      processed_by: approverId
-    };
-    
-    await approvalModel.update(approvalId, updateData);
-    
-    // Execute approval action (update related entity)
-    await executeApprovalAction(approval);
-    
-    const updatedApproval = await approvalModel.findById(approvalId);
-    
-    // Send notification to requester
-    logger.info(`Approval ${approvalId} approved by user ${approverId}`);
-    
-    return updatedApproval;
-  } catch (error) {
-    logger.error('Error in approveRequest service:', error);
-    throw error;
-  }
+const buildStages = (levels, context) => {
+  const applicable = levels.filter(level => levelApplies(level, context));
+  const orders = [...new Set(applicable.map(level => level.levelOrder))].sort((a, b) => a - b);
+
+  return orders.map(order => applicable.filter(level => level.levelOrder === order));
 };
 
 /**
- * Reject a request
+ * Get approver ID by role
+ * Picks among active, unlocked holders of the role: project members first,
+ * then whoever has the fewest pending approvals. The requester never
+ * approves their own request.
+ * @param {String} role - Required role name
+ * @param {Object} scope - projectId, requesterId, excludeUserIds
+ * @returns {Promise<Number>} Approver user ID
  */
-const rejectRequest = async (approvalId, approverId, comments) => {
-  try {
-    const approval = await approvalModel.findById(approvalId);
-    if (!approval) {
-      return null;
-    }
-    
-    // Check if user is authorized to reject
-    if (approval.approver_id !== approverId) {
-      throw new Error('UNAUTHORIZED_APPROVER');
-    }
-    
-    // Check if already processed
-    if (approval.status !== 'pending') {
-      throw new Error('ALREADY_PROCESSED');
-    }
-    
-    const updateData = {
-      status: 'rejected',
-      decision_date: new Date(),
-      approver_comments: comments,
-      processed_by: approverId
-    };
-    
-    await approvalModel.update(approvalId, updateData);
-    const updatedApproval = await approvalModel.findById(approvalId);
-    
-    // Send notification to requester
-    logger.info(`Approval ${approvalId} rejected by user ${approverId}`);
-    
-    return updatedApproval;
-  } catch (error) {
-    logger.error('Error in rejectRequest service:', error);
-    throw error;
+const getApproverByRole = async (role, scope = {}) => {
+  const { projectId = null, requesterId = null, excludeUserIds = [] } = scope;
+
+  const candidates = await userModel.findEligibleApprovers(role, {
+    projectId,
+    excludeUserIds: requesterId ? [requesterId, ...excludeUserIds] : excludeUserIds
+  });
+
+  if (candidates.length === 0) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.NO_ELIGIBLE_APPROVER,
+      `No eligible approver with role ${role} is available`,
+      [{ role, projectId }]
+    );
   }
+
+  const approver = candidates[0];
+
+  logger.info(`Approver ${approver.id} selected for role ${role}`, {
+    projectId,
+    pendingCount: approver.pendingCount,
+    isProjectMember: approver.isProjectMember
+  });
+
+  return approver.id;
 };
 
 /**
- * Cancel approval request
+ * Follow the delegation rules in effect for an approver
+ * Rules are chained (A -> B -> C) until no rule applies; a rule pointing back
+ * to an earlier approver, the requester or an excluded user is ignored.
+ * @returns {Promise<Object>} Assignment: approverId, plus originalApproverId,
+ *   delegationId and reason when a rule applied
  */
-const cancelRequest = async (approvalId, userId, reason) => {
-  try {
-    const approval = await approvalModel.findById(approvalId);
-    if (!approval) {
-      return null;
-    }
-    
-    // Check if user is the requester or admin
-    if (approval.requester_id !== userId) {
-      throw new Error('UNAUTHORIZED_CANCEL');
-    }
-    
-    // Check if already processed
-    if (approval.status !== 'pending') {
-      throw new Error('CANNOT_CANCEL');
+const applyDelegationRules = async (approverId, scope = {}) => {
+  const { requestType, amount = null, requesterId = null, excludeUserIds = [] } = scope;
+  const visited = [approverId];
+  let actingId = approverId;
+  let rule = null;
+
+  for (;;) {
+    const next = await approvalDelegationModel.findApplicable(actingId, { requestType, amount });
+
+    if (!next ||
+      visited.includes(next.delegateUserId) ||
+      next.delegateUserId === requesterId ||
+      excludeUserIds.includes(next.delegateUserId)) {
+      break;
     }
-    
-    const updateData = {
-      status: 'cancelled',
-      decision_date: new Date(),
-      approver_comments: `Cancelled by requester. Reason: ${reason || 'No reason provided'}`,
-      processed_by: userId
-    };
-    
-    await approvalModel.update(approvalId, updateData);
-    const updatedApproval = await approvalModel.findById(approvalId);
-    
-    logger.info(`Approval ${approvalId} cancelled by user ${userId}`);
-    
-    return updatedApproval;
-  } catch (error) {
-    logger.error('Error in cancelRequest service:', error);
-    throw error;
+
+    visited.push(next.delegateUserId);
+    actingId = next.delegateUserId;
+    rule = next;
+  }
+
+  if (!rule) {
+    return { approverId };
   }
+
+  logger.info(`Approver ${approverId} is delegating to ${actingId}`, { delegationId: rule.id, requestType });
+
+  return {
+    approverId: actingId,
+    originalApproverId: approverId,
+    delegationId: rule.id,
+    reason: rule.reason
+  };
 };
 
 /**
- * Get pending approvals for a user
+ * Resolve one approver per level/step of a stage, honoring delegation rules
+ * Parallel levels of the same stage never share an approver
+ * @returns {Promise<Array<Object>>} One assignment per step (see applyDelegationRules)
  */
-const getPendingApprovals = async (userId, page, limit) => {
-  try {
-    const offset = (page - 1) * limit;
-    
-    const approvals = await approvalModel.findPendingByApprover(userId, limit, offset);
-    const total = await approvalModel.countPendingByApprover(userId);
-    
-    return {
-      approvals,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalItems: total
-    };
-  } catch (error) {
-    logger.error('Error in getPendingApprovals service:', error);
-    throw error;
+const resolveStageApprovers = async (stageEntries, scope) => {
+  const assignments = [];
+
+  for (const entry of stageEntries) {
+    const assignedIds = assignments.flatMap(a => [a.approverId, a.originalApproverId].filter(Boolean));
+
+    const approverId = await getApproverByRole(entry.requiredRole, {
+      ...scope,
+      excludeUserIds: assignedIds
+    });
+
+    assignments.push(await applyDelegationRules(approverId, {
+      ...scope,
+      excludeUserIds: assignedIds
+    }));
   }
+
+  return assignments;
 };
 
 /**
- * Get approval statistics
+ * Find a pending step of the current level routed to the user by a delegation rule
+ * @returns {Promise<Object|null>} { step, rule }
  */
-const getApprovalStats = async (userId, startDate, endDate) => {
-  try {
-    const stats = await approvalModel.getStatistics(userId, startDate, endDate);
-    
-    return {
-      total: parseInt(stats.total) || 0,
-      pending: parseInt(stats.pending) || 0,
-      approved: parseInt(stats.approved) || 0,
-      rejected: parseInt(stats.rejected) || 0,
-      cancelled: parseInt(stats.cancelled) || 0,
-      approval_rate: stats.total > 0 ? (stats.approved / stats.total) * 100 : 0,
-      average_processing_time: parseFloat(stats.avg_processing_hours) || 0
-    };
-  } catch (error) {
-    logger.error('Error in getApprovalStats service:', error);
-    throw error;
+const findDelegatedStep = async (steps, approval, userId) => {
+  if (approval.requesterId === userId) {
+    return null;
   }
+
+  const pendingSteps = steps.filter(s => s.stage === approval.approvalLevel && s.status === 'PENDING');
+
+  for (const step of pendingSteps) {
+    const rule = await approvalDelegationModel.findApplicable(step.requiredApproverUserId, {
+      requestType: approval.requestType,
+      amount: approval.requestAmount,
+      delegateUserId: userId
+    });
+
+    if (rule) {
+      return { step, rule };
+    }
+  }
+
+  return null;
 };
 
 /**
- * Determine approver based on approval type and amount
+ * Find the pending step the user is expected to decide on
+ * A step reached through a delegation rule is reassigned to the user,
+ * keeping the absent approver as original approver.
  */
-const determineApprover = async (approvalData) => {
-  // This is a simplified version. In a real system, this would query
-  // approval hierarchy rules from the database
-  
-  const { type, entity_type, amount } = approvalData;
-  
-  // Budget approvals
-  if (entity_type === 'budget') {
-    if (amount <= 50000) {
-      // Get finance controller
-      return await getApproverByRole('FINANCE_CONTROLLER');
-    } else if (amount <= 200000) {
-      // Get supervisor
-      return await getApproverByRole('SUPERVISOR');
-    } else {
-      // Get admin
-      return await getApproverByRole('ADMIN');
-    }
+const findActionableStep = async (steps, approval, userId, connection) => {
+  const step = steps.find(s =>
+    s.stage === approval.approvalLevel &&
+    s.status === 'PENDING' &&
+    s.requiredApproverUserId === userId
+  );
+
+  if (step) {
+    return step;
   }
-  
-  // Procurement approvals
-  if (entity_type === 'procurement') {
-    if (amount <= 100000) {
-      return await getApproverByRole('FINANCE_CONTROLLER');
-    } else {
-      return await getApproverByRole('ADMIN');
-    }
+
+  const delegated = await findDelegatedStep(steps, approval, userId);
+
+  if (!delegated) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'You are not an approver of the current level of this request'
+    );
   }
-  
-  // Project approvals
-  if (entity_type === 'project') {
-    return await getApproverByRole('SUPERVISOR');
+
+  const originalApproverId = delegated.step.originalApproverUserId || delegated.step.requiredApproverUserId;
+
+  await approvalModel.delegateStep(delegated.step.id, {
+    approverId: userId,
+    originalApproverId,
+    delegationId: delegated.rule.id,
+    reason: delegated.rule.reason
+  }, connection);
+
+  return {
+    ...delegated.step,
+    requiredApproverUserId: userId,
+    originalApproverUserId: originalApproverId,
+    delegationId: delegated.rule.id
+  };
+};
+
+/**
+ * Run an action handler hook for a decided request inside its transaction
+ */
+const applyAction = async (approval, hook, context, connection) => {
+  const handler = getActionHandler(approval.requestType);
+
+  if (!handler) {
+    return;
   }
-  
-  // Default to admin
-  return await getApproverByRole('ADMIN');
+
+  await handler[hook](approval, context, connection);
+
+  logger.info(`Approval action ${hook} applied for ${approval.approvalCode}`, {
+    requestType: approval.requestType,
+    requestId: approval.requestId
+  });
 };
 
 /**
- * Get approver ID by role
+ * Record a decision on a request in the audit trail, in its transaction
+ * @param {Object} before - Request as loaded before the decision
  */
-const getApproverByRole = async (role) => {
-  // This would query the users table for an active user with the specified role
-  // For now, returning a placeholder
-  // In production: return await userModel.findFirstByRole(role);
-  return 1; // Placeholder - would be actual user ID
+const recordDecision = async (before, action, auditContext, reason, connection) => {
+  await auditService.record(auditContext, {
+    entityType: 'approval',
+    entityId: before.id,
+    action,
+    before,
+    after: await approvalModel.findById(before.id, connection),
+    reason
+  }, connection);
 };
 
 /**
- * Execute approval action (update related entity)
+ * List approval requests with filtering and pagination
+ * Users without oversight only see requests they submitted or approve
  */
-const executeApprovalAction = async (approval) => {
-  try {
-    // This would update the related entity based on entity_type
-    // For example, if it's a budget approval, update budget status to approved
-    
-    const { entity_type, entity_id } = approval;
-    
-    logger.info(`Executing approval action for ${entity_type} ID ${entity_id}`);
-    
-    // In production, this would call appropriate model methods:
-    // if (entity_type === 'budget') {
-    //   await budgetModel.updateStatus(entity_id, 'approved');
-    // } else if (entity_type === 'procurement') {
-    //   await procurementModel.updateStatus(entity_id, 'approved');
-    // }
-    
-  } catch (error) {
-    logger.error('Error executing approval action:', error);
-    // Don't throw - approval is already recorded
-  }
+const listApprovals = async (filters, pagination, user) => {
+  const { page, limit, offset } = parsePagination(pagination);
+
+  const scopedFilters = hasOversight(user)
+    ? filters
+    : { ...filters, involvedUserId: user.id };
+
+  const { approvals, total } = await approvalModel.findAll(scopedFilters, { limit, offset });
+
+  return {
+    approvals,
+    pagination: buildPaginationMeta(page, limit, total)
+  };
 };
 
 /**
- * Validate approval data
+ * Load approval request with its steps
  */
-const validateApprovalData = (data) => {
-  const errors = [];
-  
-  if (!data.entity_type) {
-    errors.push('Entity type is required');
-  }
-  
-  if (data.entity_type && !['budget', 'procurement', 'project', 'equipment', 'other'].includes(data.entity_type)) {
-    errors.push('Invalid entity type');
+const getApprovalDetail = async (approvalId) => {
+  const approval = await findApprovalOrFail(approvalId);
+  const steps = await approvalModel.getSteps(approvalId);
+
+  return {
+    ...approval,
+    documents: await documentService.getReferences(approval.supportingDocuments),
+    steps
+  };
+};
+
+/**
+ * Get approval request with its steps
+ */
+const getApprovalById = async (approvalId, user) => {
+  const approval = await getApprovalDetail(approvalId);
+
+  const involved = approval.requesterId === user.id ||
+    approval.steps.some(step =>
+      [step.requiredApproverUserId, step.originalApproverUserId, step.actedByUserId].includes(user.id)
+    );
+
+  if (!involved && !hasOversight(user) && !(await findDelegatedStep(approval.steps, approval, user.id))) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'You do not have access to this approval'
+    );
   }
-  
-  if (!data.entity_id) {
-    errors.push('Entity ID is required');
+
+  return approval;
+};
+
+/**
+ * Get decisions taken so far on an approval request
+ * Delegated steps keep the originally assigned approver next to the acting one
+ */
+const getApprovalHistory = async (approvalId, user) => {
+  const approval = await getApprovalById(approvalId, user);
+
+  return approval.steps
+    .filter(step => step.status !== 'WAITING')
+    .map(step => ({
+      ...step,
+      delegated: step.originalApproverUserId !== null,
+      actingApproverUserId: step.actedByUserId || step.requiredApproverUserId
+    }));
+};
+
+/**
+ * Create approval request
+ * The active workflow version of the request type decides the levels
+ * @param {Object} requester - Requesting user; needs the access of the request
+ *   type on the project of the request
+ */
+const createApproval = async (approvalData, requester, auditContext = null) => {
+  const { requestType, requestId, requestData = null } = approvalData;
+  const requesterId = requester.id;
+
+  const workflow = await approvalWorkflowModel.findActiveByRequestType(requestType);
+
+  if (!workflow) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `No active approval workflow for ${requestType}`
+    );
   }
-  
-  if (!data.type) {
-    errors.push('Approval type is required');
+
+  const pending = await approvalModel.findPendingByRequest(requestType, requestId);
+
+  if (pending.length > 0) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.DUPLICATE_ENTRY,
+      `${requestType} ${requestId} already has a pending approval (${pending[0].approvalCode})`
+    );
   }
-  
-  if (data.type && !['create', 'update', 'delete', 'budget_change', 'status_change'].includes(data.type)) {
-    errors.push('Invalid approval type');
+
+  // The action handler checks the target entity and derives project/amount from it
+  const handler = getActionHandler(requestType);
+  const derived = handler ? await handler.prepare({ ...approvalData, requestData: requestData || {} }) : {};
+
+  const projectId = derived.projectId || approvalData.projectId || null;
+  const amount = derived.amount !== undefined ? derived.amount : (approvalData.amount ?? null);
+
+  let project = null;
+
+  if (projectId) {
+    project = await projectModel.findById(projectId);
+
+    if (!project) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        `Project with ID ${projectId} not found`
+      );
+    }
+
+    if (REQUEST_PROJECT_ACCESS[requestType]) {
+      await projectAccessService.assertAccess(projectId, requester, REQUEST_PROJECT_ACCESS[requestType]);
+    }
   }
-  
-  if (!data.title) {
-    errors.push('Title is required');
+
+  if (approvalData.supportingDocuments && approvalData.supportingDocuments.length > 0) {
+    await documentService.assertReferences(approvalData.supportingDocuments, projectId);
   }
-  
-  if (errors.length > 0) {
-    const error = new Error('Validation failed');
-    error.errors = errors;
-    throw error;
+
+  const levels = await approvalWorkflowModel.getLevels(workflow.id);
+  const stages = buildStages(levels, {
+    amount,
+    projectType: project ? project.projectType : null,
+    projectPriority: project ? project.priority : null
+  });
+
+  if (stages.length === 0) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `No level of workflow "${workflow.workflowName}" v${workflow.version} applies to this request`
+    );
   }
+
+  const firstApprovers = await resolveStageApprovers(stages[0], { projectId, requesterId, requestType, amount });
+
+  const approvalId = await db.transaction(async (connection) => {
+    const { id, approvalCode } = await approvalModel.create({
+      requestType,
+      requestId,
+      workflowId: workflow.id,
+      projectId,
+      requestAmount: amount,
+      title: approvalData.title,
+      requestData,
+      totalApprovalLevels: stages.length,
+      requiredApproverUserId: firstApprovers[0].approverId,
+      comments: approvalData.comments,
+      supportingDocuments: approvalData.supportingDocuments,
+      createdBy: requesterId
+    }, connection);
+
+    for (const [index, stageLevels] of stages.entries()) {
+      for (const [position, level] of stageLevels.entries()) {
+        const stepId = await approvalModel.createStep({
+          approvalId: id,
+          workflowLevelId: level.id,
+          stage: index + 1,
+          levelName: level.levelName,
+          requiredRole: level.requiredRole
+        }, connection);
+
+        if (index === 0) {
+          await approvalModel.activateStep(stepId, firstApprovers[position], workflow.slaHours, connection);
+        }
+      }
+    }
+
+    await notificationService.notifyApprovalNeeded(
+      { id, approvalCode, title: approvalData.title, requestType },
+      firstApprovers.map(a => a.approverId),
+      connection
+    );
+
+    await auditService.record(auditContext, {
+      entityType: 'approval',
+      entityId: id,
+      action: AUDIT_ACTION.CREATE,
+      after: await approvalModel.findById(id, connection)
+    }, connection);
+
+    return id;
+  });
+
+  logger.info(`Approval request ${approvalId} routed through ${stages.length} level(s)`, {
+    workflowId: workflow.id,
+    firstApprovers: firstApprovers.map(a => a.approverId)
+  });
+
+  return await getApprovalDetail(approvalId);
+};
+
+/**
+ * Approve the current level of a request
+ * The request moves on once every parallel step of the level is approved
+ */
+const approveRequest = async (approvalId, user, comments, auditContext = null) => {
+  await db.transaction(async (connection) => {
+    const approval = await findApprovalOrFail(approvalId, connection);
+    assertPending(approval);
+
+    const steps = await approvalModel.getSteps(approvalId, connection);
+    const step = await findActionableStep(steps, approval, user.id, connection);
+
+    await approvalModel.completeStep(step.id, 'APPROVED', user.id, comments, connection);
+
+    // Parallel approvers of the same level still have to decide
+    const waitingInStage = steps.filter(s =>
+      s.stage === step.stage && s.id !== step.id && s.status === 'PENDING'
+    );
+
+    const nextSteps = steps.filter(s => s.stage === step.stage + 1);
+
+    if (waitingInStage.length > 0) {
+      await approvalModel.updateProgress(approvalId, {
+        requiredApproverUserId: waitingInStage[0].requiredApproverUserId
+      }, connection);
+    } else if (nextSteps.length > 0) {
+      const assignments = await resolveStageApprovers(nextSteps, {
+        projectId: approval.projectId,
+        requesterId: approval.requesterId,
+        requestType: approval.requestType,
+        amount: approval.requestAmount
+      });
+
+      const workflow = await approvalWorkflowModel.findById(approval.workflowId, connection);
+
+      for (const [position, nextStep] of nextSteps.entries()) {
+        await approvalModel.activateStep(nextStep.id, assignments[position], workflow.slaHours, connection);
+      }
+
+      await approvalModel.updateProgress(approvalId, {
+        approvalLevel: step.stage + 1,
+        requiredApproverUserId: assignments[0].approverId
+      }, connection);
+
+      await notificationService.notifyApprovalNeeded(approval, assignments.map(a => a.approverId), connection);
+    } else {
+      await approvalModel.updateProgress(approvalId, {
+        status: APPROVAL_STATUS.APPROVED,
+        approverUserId: user.id,
+        approvalDate: new Date()
+      }, connection);
+
+      // Apply the requested change: a handler failure rolls the final approval back
+      await applyAction(approval, 'onApproved', { userId: user.id, auditContext }, connection);
+    }
+
+    await recordDecision(approval, AUDIT_ACTION.APPROVE, auditContext, comments, connection);
+  });
+
+  return await getApprovalDetail(approvalId);
+};
+
+/**
+ * Reject a request at its current level
+ * Rejection at any level ends the request
+ */
+const rejectRequest = async (approvalId, user, reason, auditContext = null) => {
+  await db.transaction(async (connection) => {
+    const approval = await findApprovalOrFail(approvalId, connection);
+    assertPending(approval);
+
+    const steps = await approvalModel.getSteps(approvalId, connection);
+    const step = await findActionableStep(steps, approval, user.id, connection);
+
+    await approvalModel.completeStep(step.id, 'REJECTED', user.id, reason, connection);
+    await approvalModel.skipOpenSteps(approvalId, connection);
+
+    await approvalModel.updateProgress(approvalId, {
+      status: APPROVAL_STATUS.REJECTED,
+      approverUserId: user.id,
+      approvalDate: new Date(),
+      rejectionReason: reason
+    }, connection);
+
+    await applyAction(approval, 'onRejected', { userId: user.id, reason, cancelled: false, auditContext }, connection);
+
+    await recordDecision(approval, AUDIT_ACTION.REJECT, auditContext, reason, connection);
+  });
+
+  return await getApprovalDetail(approvalId);
+};
+
+/**
+ * Hand the user's pending step over to another approver
+ * The request stays pending; the step keeps its original approver for the history
+ */
+const delegateApproval = async (approvalId, user, delegateUserId, reason, auditContext = null) => {
+  await db.transaction(async (connection) => {
+    const approval = await findApprovalOrFail(approvalId, connection);
+    assertPending(approval);
+
+    const steps = await approvalModel.getSteps(approvalId, connection);
+    const step = await findActionableStep(steps, approval, user.id, connection);
+
+    if (delegateUserId === user.id) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        'You cannot delegate an approval to yourself'
+      );
+    }
+
+    if (delegateUserId === approval.requesterId) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        'The requester cannot approve their own request'
+      );
+    }
+
+    const stageSteps = steps.filter(s => s.stage === step.stage && s.status === 'PENDING' && s.id !== step.id);
+
+    if (stageSteps.some(s => s.requiredApproverUserId === delegateUserId)) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        'The delegate already approves this level of the request'
+      );
+    }
+
+    // The delegate must be one the step could have been assigned to
+    const role = step.escalatedRole || step.requiredRole;
+    const [delegate] = await userModel.findEligibleApprovers(role, { userId: delegateUserId });
+
+    if (!delegate) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        `User with ID ${delegateUserId} is not an active, unlocked holder of the ${role} role`,
+        [{ field: 'delegateUserId', role }]
+      );
+    }
+
+    await approvalModel.delegateStep(step.id, {
+      approverId: delegateUserId,
+      originalApproverId: step.requiredApproverUserId,
+      reason
+    }, connection);
+
+    const currentApprovers = steps
+      .filter(s => s.stage === step.stage && s.status === 'PENDING')
+      .map(s => (s.id === step.id ? delegateUserId : s.requiredApproverUserId));
+
+    await approvalModel.updateProgress(approvalId, {
+      requiredApproverUserId: currentApprovers[0]
+    }, connection);
+
+    await notificationService.notifyApprovalNeeded(approval, [delegateUserId], connection);
+
+    await recordDecision(approval, AUDIT_ACTION.UPDATE, auditContext, reason, connection);
+  });
+
+  return await getApprovalDetail(approvalId);
+};
+
+/**
+ * Withdraw a pending request (requester or admin only)
+ */
+const cancelRequest = async (approvalId, user, reason, auditContext = null) => {
+  await db.transaction(async (connection) => {
+    const approval = await findApprovalOrFail(approvalId, connection);
+
+    if (approval.requesterId !== user.id && !user.roles.includes(ROLES.ADMIN)) {
+      throw createError(
+        HTTP_STATUS.FORBIDDEN,
+        ERROR_CODES.FORBIDDEN,
+        'Only the requester can cancel this approval request'
+      );
+    }
+
+    assertPending(approval);
+
+    await approvalModel.skipOpenSteps(approvalId, connection);
+    await approvalModel.updateProgress(approvalId, {
+      status: APPROVAL_STATUS.CANCELLED,
+      rejectionReason: reason || null
+    }, connection);
+
+    await applyAction(approval, 'onRejected', { userId: user.id, reason, cancelled: true, auditContext }, connection);
+
+    await recordDecision(approval, AUDIT_ACTION.UPDATE, auditContext, reason, connection);
+  });
+
+  return await getApprovalDetail(approvalId);
+};
+
+/**
+ * Get requests waiting on the user's decision
+ */
+const getPendingApprovals = async (userId, pagination) => {
+  const { page, limit, offset } = parsePagination(pagination);
+
+  const { approvals, total } = await approvalModel.findPendingForApprover(userId, { limit, offset });
+
+  return {
+    approvals,
+    pagination: buildPaginationMeta(page, limit, total)
+  };
+};
+
+/**
+ * Get approval statistics with SLA compliance per approver
+ */
+const getApprovalStats = async (filters) => {
+  const stats = await approvalModel.getStatistics(filters);
+  const byApprover = await approvalModel.getSlaCompliance(filters);
+
+  const totals = byApprover.reduce((sum, row) => ({
+    onTime: sum.onTime + row.onTime,
+    late: sum.late + row.late,
+    escalated: sum.escalated + row.escalated,
+    overduePending: sum.overduePending + row.overduePending
+  }), { onTime: 0, late: 0, escalated: 0, overduePending: 0 });
+
+  const measured = totals.onTime + totals.late + totals.escalated;
+
+  return {
+    ...stats,
+    sla: {
+      ...totals,
+      complianceRate: measured > 0 ? parseFloat(((totals.onTime / measured) * 100).toFixed(2)) : null,
+      byApprover
+    }
+  };
 };
 
 module.exports = {
-  getAllApprovals,
+  listApprovals,
   getApprovalById,
+  getApprovalHistory,
   createApproval,
   approveRequest,
   rejectRequest,
+  delegateApproval,
   cancelRequest,
   getPendingApprovals,
   getApprovalStats
@@ -0,0 +1,225 @@
+/**
+ * Approval SLA Service
+ * Deadline reminders and escalation of overdue approval steps
+ *
+ * Notifications carry a dedupeKey per step and deadline: a step is reminded
+ * and escalated at most once for each deadline it is given.
+ */
+
+const db = require('../config/database');
+const approvalModel = require('../models/approvalModel');
+const userModel = require('../models/userModel');
+const notificationService = require('./notificationService');
+const logger = require('../middleware/logger');
+const {
+  APPROVAL_STATUS,
+  APPROVAL_ESCALATION_ROLES,
+  NOTIFICATION_TYPE,
+  NOTIFICATION_PRIORITY
+} = require('../config/constants');
+
+const formatDeadline = (date) => new Date(date).toISOString().replace('T', ' ').substring(0, 16);
+
+const stepEventKey = (stepId, event, dueAt) => `approval_step:${stepId}:${event}:${new Date(dueAt).toISOString()}`;
+
+/**
+ * Notify approvers whose deadline is within the workflow reminder window
+ * @returns {Promise<Number>} Reminders sent
+ */
+const sendDeadlineReminders = async () => {
+  const steps = await approvalModel.findStepsDueForReminder();
+
+  for (const step of steps) {
+    await db.transaction(async (connection) => {
+      await notificationService.notifyUsers([step.approverUserId], {
+        notificationType: NOTIFICATION_TYPE.APPROVAL_NEEDED,
+        relatedEntityType: 'approval',
+        relatedEntityId: step.approvalId,
+        subject: `Reminder: ${step.approvalCode} awaits your decision`,
+        message: `"${step.title}" (${step.levelName}) must be decided before ${formatDeadline(step.dueAt)} UTC.`,
+        priority: NOTIFICATION_PRIORITY.HIGH,
+        actionUrl: `/approvals/${step.approvalId}`,
+        dedupeKey: stepEventKey(step.stepId, 'reminder', step.dueAt),
+        emailTemplate: {
+          key: 'approvalReminder',
+          variables: {
+            approvalCode: step.approvalCode,
+            title: step.title,
+            levelName: step.levelName,
+            dueAt: formatDeadline(step.dueAt)
+          }
+        }
+      }, connection);
+
+      await approvalModel.markReminderSent(step.stepId, connection);
+    });
+  }
+
+  return steps.length;
+};
+
+/**
+ * Escalate one overdue step to the next role up
+ * The step is re-checked under lock in case it was decided meanwhile.
+ * When no role or user is above, the approver keeps the step, is warned
+ * and the deadline restarts; the breach is recorded either way.
+ * @returns {Promise<Object|null>} { toUserId, toRole } or null when nothing was done
+ */
+const escalateStep = async (overdue) => {
+  return await db.transaction(async (connection) => {
+    const approval = await approvalModel.findById(overdue.approvalId, connection);
+
+    if (!approval || approval.status !== APPROVAL_STATUS.PENDING) {
+      return null;
+    }
+
+    const steps = await approvalModel.getSteps(approval.id, connection);
+    const step = steps.find(s => s.id === overdue.stepId);
+
+    if (!step || step.status !== 'PENDING' || !step.dueAt || new Date(step.dueAt) > new Date()) {
+      return null;
+    }
+
+    const fromRole = step.escalatedRole || step.requiredRole;
+    const toRole = APPROVAL_ESCALATION_ROLES[fromRole] || null;
+    let toUserId = null;
+
+    if (toRole) {
+      const stageApprovers = steps
+        .filter(s => s.stage === step.stage && s.status === 'PENDING')
+        .map(s => s.requiredApproverUserId);
+
+      const candidates = await userModel.findEligibleApprovers(toRole, {
+        projectId: approval.projectId,
+        excludeUserIds: [approval.requesterId, ...stageApprovers]
+      });
+
+      toUserId = candidates.length > 0 ? candidates[0].id : null;
+    }
+
+    await approvalModel.recordEscalation({
+      stepId: step.id,
+      approvalId: approval.id,
+      fromUserId: step.requiredApproverUserId,
+      fromRole,
+      toUserId,
+      toRole: toUserId ? toRole : null,
+      dueAt: step.dueAt
+    }, connection);
+
+    await approvalModel.escalateStep(step.id, {
+      approverId: toUserId,
+      role: toUserId ? toRole : null,
+      slaHours: overdue.slaHours
+    }, connection);
+
+    const notification = {
+      notificationType: NOTIFICATION_TYPE.APPROVAL_NEEDED,
+      relatedEntityType: 'approval',
+      relatedEntityId: approval.id,
+      actionUrl: `/approvals/${approval.id}`
+    };
+    const variables = {
+      approvalCode: approval.approvalCode,
+      title: approval.title || approval.approvalCode,
+      levelName: step.levelName,
+      dueAt: formatDeadline(step.dueAt),
+      fromRole
+    };
+
+    if (!toUserId) {
+      await notificationService.notifyUsers([step.requiredApproverUserId], {
+        ...notification,
+        subject: `Overdue: ${approval.approvalCode} is past its deadline`,
+        message: `"${approval.title}" (${step.levelName}) was due ${formatDeadline(step.dueAt)} UTC and nobody above ${fromRole} can take it over.`,
+        priority: NOTIFICATION_PRIORITY.CRITICAL,
+        dedupeKey: stepEventKey(step.id, 'overdue', step.dueAt),
+        emailTemplate: { key: 'approvalOverdue', variables }
+      }, connection);
+
+      return { toUserId: null, toRole: null };
+    }
+
+    if (approval.requiredApproverUserId === step.requiredApproverUserId) {
+      await approvalModel.updateProgress(approval.id, { requiredApproverUserId: toUserId }, connection);
+    }
+
+    await notificationService.notifyUsers([toUserId], {
+      ...notification,
+      subject: `Escalated: ${approval.approvalCode} awaits your decision`,
+      message: `"${approval.title}" (${step.levelName}) was not decided by its ${fromRole} approver before ${formatDeadline(step.dueAt)} UTC.`,
+      priority: NOTIFICATION_PRIORITY.HIGH,
+      dedupeKey: stepEventKey(step.id, 'escalated', step.dueAt),
+      emailTemplate: { key: 'approvalEscalated', variables }
+    }, connection);
+
+    await notificationService.notifyUsers([step.requiredApproverUserId], {
+      ...notification,
+      notificationType: NOTIFICATION_TYPE.GENERAL_INFO,
+      subject: `${approval.approvalCode} escalated to ${toRole}`,
+      message: `The deadline of "${approval.title}" (${step.levelName}) passed; the decision now belongs to a ${toRole}.`,
+      priority: NOTIFICATION_PRIORITY.NORMAL,
+      dedupeKey: stepEventKey(step.id, 'escalated', step.dueAt)
+    }, connection);
+
+    return { toUserId, toRole };
+  });
+};
+
+/**
+ * Escalate every overdue step
+ * @returns {Promise<Object>} Counts of escalated and unresolved (no one above) steps
+ */
+const escalateOverdueSteps = async () => {
+  const overdueSteps = await approvalModel.findOverdueSteps();
+  const result = { escalated: 0, unresolved: 0 };
+
+  for (const overdue of overdueSteps) {
+    let outcome;
+
+    // One failing step must not hold back the others
+    try {
+      outcome = await escalateStep(overdue);
+    } catch (error) {
+      logger.error(`Escalation of approval ${overdue.approvalCode} failed:`, error);
+      continue;
+    }
+
+    if (!outcome) {
+      continue;
+    }
+
+    if (outcome.toUserId) {
+      result.escalated += 1;
+      logger.warn(`Approval ${overdue.approvalCode} escalated to ${outcome.toRole}`, {
+        stepId: overdue.stepId,
+        fromUserId: overdue.approverUserId,
+        toUserId: outcome.toUserId
+      });
+    } else {
+      result.unresolved += 1;
+      logger.warn(`Approval ${overdue.approvalCode} is overdue with no escalation target`, {
+        stepId: overdue.stepId,
+        approverUserId: overdue.approverUserId
+      });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Run one SLA pass: reminders first, then escalations
+ */
+const runSlaCheck = async () => {
+  const reminders = await sendDeadlineReminders();
+  const { escalated, unresolved } = await escalateOverdueSteps();
+
+  return { reminders, escalated, unresolved };
+};
+
+module.exports = {
+  sendDeadlineReminders,
+  escalateOverdueSteps,
+  runSlaCheck
+};
@@ -0,0 +1,146 @@
+/**
+ * Approval Workflow Service
+ * Business logic for versioned approval workflow definitions
+ */
+
+const db = require('../config/database');
+const approvalWorkflowModel = require('../models/approvalWorkflowModel');
+const { createError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_CODES } = require('../config/constants');
+
+/**
+ * Attach levels to a workflow version
+ */
+const withLevels = async (workflow) => ({
+  ...workflow,
+  levels: await approvalWorkflowModel.getLevels(workflow.id)
+});
+
+/**
+ * Load workflow version or throw 404
+ */
+const findWorkflowOrFail = async (workflowId) => {
+  const workflow = await approvalWorkflowModel.findById(workflowId);
+
+  if (!workflow) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Approval workflow with ID ${workflowId} not found`
+    );
+  }
+
+  return workflow;
+};
+
+/**
+ * List workflow versions with their levels
+ */
+const listWorkflows = async (filters) => {
+  const workflows = await approvalWorkflowModel.findAll(filters);
+
+  const result = [];
+  for (const workflow of workflows) {
+    result.push(await withLevels(workflow));
+  }
+
+  return result;
+};
+
+/**
+ * Get the active workflow of a request type
+ */
+const getActiveWorkflow = async (requestType) => {
+  const workflow = await approvalWorkflowModel.findActiveByRequestType(requestType);
+
+  if (!workflow) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `No active approval workflow for ${requestType}`
+    );
+  }
+
+  return await withLevels(workflow);
+};
+
+/**
+ * Get workflow version by ID
+ */
+const getWorkflowById = async (workflowId) => {
+  const workflow = await findWorkflowOrFail(workflowId);
+  return await withLevels(workflow);
+};
+
+/**
+ * Create a new version of the workflow of a request type
+ * Pending approvals keep the version they were created with
+ */
+const createWorkflowVersion = async (workflowData, createdBy) => {
+  const { activate = true, ...definition } = workflowData;
+
+  definition.levels.forEach((level, index) => {
+    if (level.minAmount !== undefined && level.minAmount !== null &&
+        level.maxAmount !== undefined && level.maxAmount !== null &&
+        level.minAmount > level.maxAmount) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        `Level ${index + 1}: minimum amount exceeds maximum amount`
+      );
+    }
+  });
+
+  if (definition.reminderHours && !definition.slaHours) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Reminders require an SLA duration'
+    );
+  }
+
+  if (definition.reminderHours && definition.reminderHours >= definition.slaHours) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Reminder lead time must be shorter than the SLA duration'
+    );
+  }
+
+  const workflowId = await db.transaction(async (connection) => {
+    const latestVersion = await approvalWorkflowModel.getLatestVersion(definition.requestType, connection);
+
+    const id = await approvalWorkflowModel.create({
+      ...definition,
+      version: latestVersion + 1,
+      createdBy
+    }, connection);
+
+    if (activate) {
+      await approvalWorkflowModel.activate(id, definition.requestType, connection);
+    }
+
+    return id;
+  });
+
+  return await getWorkflowById(workflowId);
+};
+
+/**
+ * Make a workflow version the active one for its request type
+ */
+const activateWorkflowVersion = async (workflowId) => {
+  const workflow = await findWorkflowOrFail(workflowId);
+
+  await approvalWorkflowModel.activate(workflow.id, workflow.requestType);
+
+  return await getWorkflowById(workflowId);
+};
+
+module.exports = {
+  listWorkflows,
+  getActiveWorkflow,
+  getWorkflowById,
+  createWorkflowVersion,
+  activateWorkflowVersion
+};
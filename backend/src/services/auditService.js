@@ -0,0 +1,398 @@
+/**
+ * Audit Service
+ * Before/after change records of business entities in the audit trail
+ *
+ * Services call record() inside the transaction of the change itself, so an
+ * audit entry exists exactly when the change was committed. The request
+ * context (actor, IP, user agent) is attached by the authenticate middleware
+ * as req.auditContext and passed down by the controllers.
+ *
+ * Entries form a hash chain: each row stores the SHA-256 of its content and
+ * of the previous row's hash, so editing or deleting a row is detected by
+ * verifyChain().
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const auditLogModel = require('../models/auditLogModel');
+const { createError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_CODES, AUDIT_ACTION } = require('../config/constants');
+const { parsePagination, buildPaginationMeta } = require('../utils/helpers');
+
+// Bookkeeping columns that change on every write and say nothing about the change
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', 'createdBy', 'updatedBy'];
+
+// Values never written to the trail, only the fact that they changed
+const REDACTED_FIELDS = ['password', 'passwordHash', 'passwordResetToken', 'refreshToken', 'mfaSecret'];
+
+// Changes to these fields flag the entry as sensitive (access rights and money)
+const SENSITIVE_FIELDS = [
+  ...REDACTED_FIELDS,
+  'email',
+  'roles',
+  'permissions',
+  'isActive',
+  'accountLockedUntil',
+  'estimatedBudget',
+  'actualBudget',
+  'allocatedAmount',
+  'requestAmount'
+];
+
+const REDACTED = '[REDACTED]';
+
+// Legacy modules (budgets, equipment) pass rows with snake_case columns
+const fieldName = (key) => key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// Exports larger than this must be narrowed with filters
+const EXPORT_MAX_ENTRIES = 10000;
+
+const VERIFY_BATCH_SIZE = 500;
+const VERIFY_MAX_ISSUES = 100;
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'entityType', 'entityId', 'action', 'userId', 'userName',
+  'ipAddress', 'userAgent', 'reasonForChange', 'isSensitive', 'oldValues', 'newValues', 'rowHash'
+];
+
+/**
+ * Plain JSON copy of an entity (dates as ISO strings), without ignored fields
+ */
+const toSnapshot = (entity) => {
+  if (!entity) {
+    return null;
+  }
+
+  const snapshot = JSON.parse(JSON.stringify(entity));
+  Object.keys(snapshot)
+    .filter(key => IGNORED_FIELDS.includes(fieldName(key)))
+    .forEach(key => delete snapshot[key]);
+
+  return snapshot;
+};
+
+const redact = (values) => {
+  if (!values) {
+    return null;
+  }
+
+  return Object.keys(values).reduce((result, key) => ({
+    ...result,
+    [key]: REDACTED_FIELDS.includes(fieldName(key)) && values[key] !== null ? REDACTED : values[key]
+  }), {});
+};
+
+/**
+ * Compute the old/new values worth recording
+ * Creations keep the full new state, deletions the full old state and
+ * updates only the fields whose value changed.
+ * @param {Object|null} before - Entity before the change
+ * @param {Object|null} after - Entity after the change
+ * @returns {Object} { oldValues, newValues, changedFields }
+ */
+const diffValues = (before, after) => {
+  const oldSnapshot = toSnapshot(before);
+  const newSnapshot = toSnapshot(after);
+
+  if (!oldSnapshot || !newSnapshot) {
+    return {
+      oldValues: oldSnapshot,
+      newValues: newSnapshot,
+      changedFields: Object.keys(oldSnapshot || newSnapshot || {})
+    };
+  }
+
+  const changedFields = [...new Set([...Object.keys(oldSnapshot), ...Object.keys(newSnapshot)])]
+    .filter(key => JSON.stringify(oldSnapshot[key] ?? null) !== JSON.stringify(newSnapshot[key] ?? null));
+
+  const pick = (snapshot) => changedFields.reduce((values, key) => ({
+    ...values,
+    [key]: snapshot[key] ?? null
+  }), {});
+
+  return {
+    oldValues: pick(oldSnapshot),
+    newValues: pick(newSnapshot),
+    changedFields
+  };
+};
+
+/**
+ * JSON with object keys sorted at every level
+ * MySQL reorders the keys of JSON columns, so hashes are computed on this form.
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * SHA-256 of an entry chained to the previous entry's hash
+ * @param {Object} entry - Stored entry (id and createdAt included)
+ * @param {String|null} previousHash - row_hash of the previous entry
+ */
+const computeRowHash = (entry, previousHash) => {
+  const content = canonicalJson({
+    id: entry.id,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    action: entry.action,
+    userId: entry.userId,
+    oldValues: entry.oldValues || null,
+    newValues: entry.newValues || null,
+    ipAddress: entry.ipAddress || null,
+    userAgent: entry.userAgent || null,
+    reasonForChange: entry.reasonForChange || null,
+    isSensitive: Boolean(entry.isSensitive),
+    createdAt: new Date(entry.createdAt).toISOString(),
+    previousHash: previousHash || null
+  });
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Append an entry to the hash chain
+ * The chain head stays locked until the transaction ends, so concurrent
+ * writers are chained one after the other.
+ */
+const appendEntry = async (entry, connection) => {
+  const head = await auditLogModel.lockChainHead(connection);
+
+  // DATETIME keeps whole seconds: hash the value as it will be read back
+  const stored = {
+    ...entry,
+    createdAt: new Date(Math.floor(Date.now() / 1000) * 1000)
+  };
+
+  const id = await auditLogModel.create({ ...stored, previousHash: head.lastHash }, connection);
+  await auditLogModel.seal(id, computeRowHash({ ...stored, id }, head.lastHash), connection);
+
+  return id;
+};
+
+/**
+ * Record a change in the audit trail
+ * Changes without an actor (scheduled jobs) and updates that changed
+ * nothing are not recorded.
+ * @param {Object} context - userId, ipAddress, userAgent (req.auditContext)
+ * @param {Object} change - entityType, entityId, action, before, after, reason
+ * @param {Object} [connection] - Transaction of the change
+ * @returns {Promise<Number|null>} Audit entry ID, null when nothing was recorded
+ */
+const record = async (context, change, connection = null) => {
+  if (!context || !context.userId) {
+    return null;
+  }
+
+  const { entityType, entityId, action, before = null, after = null, reason = null } = change;
+  const { oldValues, newValues, changedFields } = diffValues(before, after);
+
+  if (action === AUDIT_ACTION.UPDATE && changedFields.length === 0 && !reason) {
+    return null;
+  }
+
+  const entry = {
+    entityType,
+    entityId,
+    action,
+    userId: context.userId,
+    oldValues: redact(oldValues),
+    newValues: redact(newValues),
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent ? context.userAgent.substring(0, 500) : null,
+    reasonForChange: reason,
+    isSensitive: changedFields.some(field => SENSITIVE_FIELDS.includes(fieldName(field)))
+  };
+
+  if (connection) {
+    return await appendEntry(entry, connection);
+  }
+
+  return await db.transaction(conn => appendEntry(entry, conn));
+};
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * List audit entries with filtering and pagination
+ */
+const listEntries = async (filters, pagination) => {
+  const { page, limit, offset } = parsePagination(pagination);
+
+  const { entries, total } = await auditLogModel.findAll(filters, { limit, offset });
+
+  return {
+    entries,
+    pagination: buildPaginationMeta(page, limit, total)
+  };
+};
+
+/**
+ * Get the full change history of one entity
+ */
+const getEntityTimeline = async (entityType, entityId) => {
+  const entries = await auditLogModel.findByEntity(entityType, entityId);
+
+  return {
+    entityType,
+    entityId,
+    entries
+  };
+};
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  // Keep spreadsheet applications from evaluating cell content as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format audit entries as CSV (one line per entry, values as JSON)
+ */
+const toCsv = (entries) => {
+  const lines = entries.map(entry => CSV_COLUMNS.map(column => toCsvValue(
+    column === 'userName'
+      ? (entry.user ? `${entry.user.firstName} ${entry.user.lastName}` : null)
+      : entry[column]
+  )).join(','));
+
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n');
+};
+
+/**
+ * Export the audit entries matching the filters
+ * @param {Object} filters - Same filters as listEntries
+ * @param {String} format - csv or json
+ * @returns {Promise<Object>} { contentType, filename, content, count }
+ */
+const exportEntries = async (filters, format) => {
+  const { entries, total } = await auditLogModel.findAll(filters, { limit: EXPORT_MAX_ENTRIES, offset: 0 });
+
+  if (total > EXPORT_MAX_ENTRIES) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `${total} entries match the filters; narrow them to export at most ${EXPORT_MAX_ENTRIES}`
+    );
+  }
+
+  const filename = `audit-log-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  if (format === 'csv') {
+    return { contentType: 'text/csv; charset=utf-8', filename, content: toCsv(entries), count: entries.length };
+  }
+
+  return {
+    contentType: 'application/json; charset=utf-8',
+    filename,
+    content: JSON.stringify({ exportedAt: new Date().toISOString(), filters, count: entries.length, entries }, null, 2),
+    count: entries.length
+  };
+};
+
+/**
+ * Walk the whole audit log and check the hash chain
+ * Reports entries whose content no longer matches their hash (edited),
+ * entries not linked to the previous one (an entry was deleted or inserted
+ * before them) and a chain head pointing past the last entry (tail deleted).
+ * Entries written before the chain existed are counted as unchained;
+ * entries appended while the check runs are left for the next one.
+ * @returns {Promise<Object>} { valid, checkedEntries, unchainedEntries, lastEntryId, issues }
+ */
+const verifyChain = async () => {
+  // Writers append in ID order behind the head lock: stop at the current head
+  const head = await auditLogModel.getChainHead();
+  const upToId = head.lastEntryId || Number.MAX_SAFE_INTEGER;
+  const issues = [];
+  let checkedEntries = 0;
+  let unchainedEntries = 0;
+  let previous = null;
+  let afterId = 0;
+
+  const report = (entryId, reason) => {
+    if (issues.length < VERIFY_MAX_ISSUES) {
+      issues.push({ entryId, reason });
+    }
+  };
+
+  for (;;) {
+    const batch = await auditLogModel.findChainBatch(afterId, upToId, VERIFY_BATCH_SIZE);
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const entry of batch) {
+      if (!entry.rowHash) {
+        if (previous) {
+          report(entry.id, 'MISSING_HASH');
+        } else {
+          unchainedEntries += 1;
+        }
+        continue;
+      }
+
+      checkedEntries += 1;
+
+      if (computeRowHash(entry, entry.previousHash) !== entry.rowHash) {
+        report(entry.id, 'HASH_MISMATCH');
+      }
+
+      if ((entry.previousHash || null) !== (previous ? previous.rowHash : null)) {
+        report(entry.id, 'CHAIN_BROKEN');
+      }
+
+      previous = entry;
+    }
+
+    afterId = batch[batch.length - 1].id;
+  }
+
+  if (head.lastHash && (!previous || previous.rowHash !== head.lastHash)) {
+    report(head.lastEntryId, 'TAIL_MISSING');
+  }
+
+  return {
+    valid: issues.length === 0,
+    checkedEntries,
+    unchainedEntries,
+    lastEntryId: previous ? previous.id : null,
+    issues
+  };
+};
+
+module.exports = {
+  diffValues,
+  record,
+  listEntries,
+  getEntityTimeline,
+  exportEntries,
+  verifyChain
+};
@@ -6,7 +6,10 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const db = require('../config/database');
 const userModel = require('../models/userModel');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
 const logger = require('../middleware/logger');
 const { createError } = require('../middleware/errorHandler');
 const { 
@@ -16,9 +19,10 @@ const {
   JWT_REFRESH_EXPIRY,
   BCRYPT_SALT_ROUNDS,
   MAX_FAILED_LOGIN_ATTEMPTS,
-  ACCOUNT_LOCK_DURATION
+  ACCOUNT_LOCK_DURATION,
+  FRONTEND_URL
 } = require('../config/environment');
-const { HTTP_STATUS, ERROR_CODES } = require('../config/constants');
+const { HTTP_STATUS, ERROR_CODES, AUDIT_ACTION } = require('../config/constants');
 
 /**
  * Generate JWT access token
@@ -276,19 +280,49 @@ const requestPasswordReset = async (email) => {
   // Store hashed token in database
   await userModel.setPasswordResetToken(user.id, hashedToken, expiresAt);
   
-  // TODO: Send email with reset link
-  // const resetUrl = `${FRONTEND_URL}/reset-password?token=${resetToken}`;
-  // await emailService.sendPasswordResetEmail(user.email, resetUrl);
+  // Queue the reset link; only the hashed token is kept on the user
+  await emailService.queueEmail(
+    'passwordReset',
+    { email: user.email, userId: user.id, language: user.preferredLanguage },
+    {
+      firstName: user.firstName,
+      resetUrl: `${FRONTEND_URL}/reset-password?token=${resetToken}`,
+      expiresInMinutes: 60
+    }
+  );
   
   logger.info('Password reset token generated:', { userId: user.id, email });
 };
 
+/**
+ * Store a new password hash and record the change in the audit trail
+ * @param {Function} [afterUpdate] - Further writes in the same transaction
+ */
+const savePassword = async (userId, passwordHash, auditContext, reason, afterUpdate = async () => {}) => {
+  await db.transaction(async (connection) => {
+    const before = await userModel.findById(userId, connection);
+    
+    await userModel.updatePassword(userId, passwordHash, connection);
+    await afterUpdate(connection);
+    
+    await auditService.record(auditContext, {
+      entityType: 'user',
+      entityId: userId,
+      action: AUDIT_ACTION.UPDATE,
+      before,
+      after: await userModel.findById(userId, connection),
+      reason
+    }, connection);
+  });
+};
+
 /**
  * Reset password with token
  * @param {String} token - Reset token
  * @param {String} newPassword - New password
+ * @param {Object} auditContext - Request IP and user agent (the actor is the token owner)
  */
-const resetPassword = async (token, newPassword) => {
+const resetPassword = async (token, newPassword, auditContext = {}) => {
   // Hash the token to match database
   const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
   
@@ -316,8 +350,9 @@ const resetPassword = async (token, newPassword) => {
   const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
   
   // Update password and clear reset token
-  await userModel.updatePassword(user.id, passwordHash);
-  await userModel.clearPasswordResetToken(user.id);
+  await savePassword(user.id, passwordHash, { ...auditContext, userId: user.id }, 'Password reset', (connection) =>
+    userModel.clearPasswordResetToken(user.id, connection)
+  );
   
   logger.info('Password reset successful:', { userId: user.id });
 };
@@ -327,8 +362,9 @@ const resetPassword = async (token, newPassword) => {
  * @param {Number} userId - User ID
  * @param {String} currentPassword - Current password
  * @param {String} newPassword - New password
+ * @param {Object} auditContext - Actor, IP and user agent of the request
  */
-const changePassword = async (userId, currentPassword, newPassword) => {
+const changePassword = async (userId, currentPassword, newPassword, auditContext = null) => {
   // Get user
   const user = await userModel.findById(userId);
   
@@ -367,7 +403,7 @@ const changePassword = async (userId, currentPassword, newPassword) => {
   const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
   
   // Update password
-  await userModel.updatePassword(userId, passwordHash);
+  await savePassword(userId, passwordHash, auditContext, 'Password changed');
   
   logger.info('Password changed successfully:', { userId });
 };
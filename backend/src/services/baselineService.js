@@ -0,0 +1,273 @@
+/**
+ * Baseline Service
+ * Named baselines of a project and the variance of its current state
+ *
+ * A baseline captures the project dates, estimated budget, budget
+ * allocations and milestones. The first baseline of a project is the
+ * commitment made at approval and is active at once; any later one is a
+ * re-baseline, submitted to the PROJECT_BASELINE approval workflow, that
+ * supersedes the active baseline only once approved (see approvalActions).
+ */
+
+const db = require('../config/database');
+const projectBaselineModel = require('../models/projectBaselineModel');
+const projectModel = require('../models/projectModel');
+const milestoneModel = require('../models/milestoneModel');
+const projectService = require('./projectService');
+const approvalService = require('./approvalService');
+const scheduleService = require('./scheduleService');
+const auditService = require('./auditService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  PROJECT_STATUS,
+  PROJECT_ACCESS,
+  BASELINE_STATUS,
+  AUDIT_ACTION
+} = require('../config/constants');
+const { toDateString, daysBetween, calculatePercentage } = require('../utils/helpers');
+
+const CLOSED_PROJECT_STATUSES = [PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Load a baseline of the project or throw 404
+ */
+const findBaselineOrFail = async (projectId, baselineId) => {
+  const baseline = await projectBaselineModel.findById(baselineId);
+
+  if (!baseline || baseline.projectId !== projectId) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Baseline with ID ${baselineId} not found on project ${projectId}`
+    );
+  }
+
+  return baseline;
+};
+
+/**
+ * Compare a current amount with its baseline
+ */
+const amountVariance = (baseline, current) => ({
+  baseline: roundAmount(baseline),
+  current: roundAmount(current),
+  variance: roundAmount(current - baseline),
+  variancePercent: baseline > 0 ? calculatePercentage(current - baseline, baseline) : null
+});
+
+/**
+ * Compare a current date with its baseline
+ */
+const dateVariance = (baseline, current) => ({
+  baseline,
+  current,
+  varianceDays: daysBetween(baseline, current)
+});
+
+/**
+ * List the baselines of a project, newest first
+ */
+const listBaselines = async (projectId, user) => {
+  const project = await projectService.getProjectById(projectId, user);
+  const baselines = await projectBaselineModel.findByProject(projectId);
+
+  return {
+    projectId,
+    projectCode: project.projectCode,
+    activeBaselineId: (baselines.find(baseline => baseline.status === BASELINE_STATUS.ACTIVE) || {}).id || null,
+    baselines
+  };
+};
+
+/**
+ * Get a baseline with its snapshot
+ */
+const getBaseline = async (projectId, baselineId, user) => {
+  await projectService.getProjectById(projectId, user);
+
+  return await findBaselineOrFail(projectId, baselineId);
+};
+
+/**
+ * Capture a baseline of the project
+ * A re-baseline is submitted for approval and stays PENDING_APPROVAL until decided.
+ * @param {Object} baselineData - baselineName, description
+ */
+const createBaseline = async (projectId, baselineData, user, auditContext = null) => {
+  const project = await projectService.getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
+
+  if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `A ${project.status} project cannot be baselined`
+    );
+  }
+
+  const milestones = await milestoneModel.findByProject(projectId);
+  const budget = await projectModel.getBudgetBreakdown(projectId);
+
+  const { baselineId, rebaseline } = await db.transaction(async (connection) => {
+    const pending = await projectBaselineModel.findByStatus(projectId, BASELINE_STATUS.PENDING_APPROVAL, connection);
+
+    if (pending) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.DUPLICATE_ENTRY,
+        `Baseline ${pending.baselineNumber} of the project is already awaiting approval`
+      );
+    }
+
+    const active = await projectBaselineModel.findByStatus(projectId, BASELINE_STATUS.ACTIVE, connection);
+
+    const id = await projectBaselineModel.create({
+      projectId,
+      baselineNumber: await projectBaselineModel.nextNumber(projectId, connection),
+      baselineName: baselineData.baselineName,
+      description: baselineData.description,
+      status: active ? BASELINE_STATUS.PENDING_APPROVAL : BASELINE_STATUS.ACTIVE,
+      active: !active,
+      startDate: toDateString(project.startDate),
+      plannedEndDate: toDateString(project.plannedEndDate),
+      estimatedBudget: project.estimatedBudget,
+      budgetAllocations: budget.allocations.map(allocation => ({
+        category: allocation.category,
+        allocated: allocation.allocated
+      })),
+      milestones: milestones.map(milestone => ({
+        id: milestone.id,
+        milestoneCode: milestone.milestoneCode,
+        title: milestone.title,
+        plannedDate: milestone.plannedDate,
+        budgetAllocated: milestone.budgetAllocated,
+        status: milestone.status
+      })),
+      createdBy: user.id
+    }, connection);
+
+    await auditService.record(auditContext, {
+      entityType: 'project_baseline',
+      entityId: id,
+      action: AUDIT_ACTION.CREATE,
+      after: await projectBaselineModel.findById(id, connection)
+    }, connection);
+
+    return { baselineId: id, rebaseline: Boolean(active) };
+  });
+
+  if (rebaseline) {
+    let approval;
+
+    try {
+      approval = await approvalService.createApproval({
+        requestType: 'PROJECT_BASELINE',
+        requestId: baselineId,
+        projectId,
+        title: `Re-baseline ${project.projectCode}: ${baselineData.baselineName}`,
+        requestData: { baselineId },
+        comments: baselineData.description
+      }, user, auditContext);
+    } catch (error) {
+      // Without an approval request the re-baseline could never become active
+      await projectBaselineModel.remove(baselineId);
+      throw error;
+    }
+
+    await projectBaselineModel.setApproval(baselineId, approval.id);
+  }
+
+  return await projectBaselineModel.findById(baselineId);
+};
+
+/**
+ * Compare the current state of the project with a baseline:
+ * date slips, budget variance per category and milestones added or removed
+ */
+const getBaselineVariance = async (projectId, baselineId, user) => {
+  const project = await projectService.getProjectById(projectId, user);
+  const baseline = await findBaselineOrFail(projectId, baselineId);
+
+  const milestones = await milestoneModel.findByProject(projectId);
+  const budget = await projectModel.getBudgetBreakdown(projectId);
+  const schedule = scheduleService.computeSchedule(project, milestones);
+
+  // Budget allocations per category, in the baseline or now
+  const baselineAllocations = new Map(baseline.budgetAllocations.map(a => [a.category, a.allocated]));
+  const currentAllocations = new Map(budget.allocations.map(a => [a.category, a]));
+  const categories = [...new Set([...baselineAllocations.keys(), ...currentAllocations.keys()])];
+
+  const categoryVariances = categories.map((category) => {
+    const current = currentAllocations.get(category);
+
+    return {
+      category,
+      ...amountVariance(baselineAllocations.get(category) || 0, current ? current.allocated : 0),
+      spent: current ? current.spent : 0,
+      committed: current ? current.committed : 0
+    };
+  });
+
+  // Milestones matched by ID
+  const baselineMilestones = new Map(baseline.milestones.map(m => [m.id, m]));
+  const currentIds = new Set(milestones.map(m => m.id));
+
+  const matched = milestones
+    .filter(milestone => baselineMilestones.has(milestone.id))
+    .map((milestone) => {
+      const planned = baselineMilestones.get(milestone.id);
+
+      return {
+        id: milestone.id,
+        milestoneCode: milestone.milestoneCode,
+        title: milestone.title,
+        status: milestone.status,
+        plannedDate: dateVariance(planned.plannedDate, milestone.plannedDate),
+        budgetAllocated: amountVariance(planned.budgetAllocated, milestone.budgetAllocated)
+      };
+    });
+
+  return {
+    projectId,
+    projectCode: project.projectCode,
+    baseline: {
+      id: baseline.id,
+      baselineNumber: baseline.baselineNumber,
+      baselineName: baseline.baselineName,
+      status: baseline.status,
+      createdAt: baseline.createdAt
+    },
+    dates: {
+      startDate: dateVariance(baseline.startDate, toDateString(project.startDate)),
+      plannedEndDate: dateVariance(baseline.plannedEndDate, toDateString(project.plannedEndDate)),
+      forecastEndDate: dateVariance(baseline.plannedEndDate, schedule.forecastEndDate)
+    },
+    budget: {
+      estimatedBudget: amountVariance(baseline.estimatedBudget, project.estimatedBudget),
+      totalAllocated: amountVariance(
+        baseline.budgetAllocations.reduce((sum, a) => sum + a.allocated, 0),
+        budget.allocations.reduce((sum, a) => sum + a.allocated, 0)
+      ),
+      categories: categoryVariances
+    },
+    milestones: {
+      added: milestones
+        .filter(milestone => !baselineMilestones.has(milestone.id))
+        .map(({ id, milestoneCode, title, plannedDate, budgetAllocated, status }) => (
+          { id, milestoneCode, title, plannedDate, budgetAllocated, status }
+        )),
+      removed: baseline.milestones.filter(milestone => !currentIds.has(milestone.id)),
+      matched
+    }
+  };
+};
+
+module.exports = {
+  listBaselines,
+  getBaseline,
+  createBaseline,
+  getBaselineVariance
+};
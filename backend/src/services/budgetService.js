@@ -1,21 +1,40 @@
 /**
  * Budget Service
  * Business logic for budget management
+ * Budgets are read with the VIEW_BUDGET access on their project and changed
+ * with MANAGE_BUDGET (see projectAccessService)
  * @module services/budgetService
  */
 
+const db = require('../config/database');
 const budgetModel = require('../models/budgetModel');
+const settingsService = require('./settingsService');
+const projectAccessService = require('./projectAccessService');
+const auditService = require('./auditService');
 const logger = require('../middleware/logger');
+const { SETTING_KEY, PROJECT_ACCESS, AUDIT_ACTION } = require('../config/constants');
 
 /**
  * Get all budgets with pagination and filtering
+ * Users without budget access on every project only see the budgets of
+ * projects where their membership grants it
  */
-const getAllBudgets = async (page, limit, filters) => {
+const getAllBudgets = async (page, limit, filters, user) => {
   try {
     const offset = (page - 1) * limit;
+
+    if (filters.projectId) {
+      await projectAccessService.assertAccess(filters.projectId, user, PROJECT_ACCESS.VIEW_BUDGET);
+    }
+
+    const scopedFilters = {
+      ...filters,
+      memberUserId: projectAccessService.visibilityFilter(user, PROJECT_ACCESS.VIEW_BUDGET),
+      memberRoles: projectAccessService.memberRolesWith(PROJECT_ACCESS.VIEW_BUDGET)
+    };
     
-    const budgets = await budgetModel.findAll(limit, offset, filters);
-    const total = await budgetModel.count(filters);
+    const budgets = await budgetModel.findAll(limit, offset, scopedFilters);
+    const total = await budgetModel.count(scopedFilters);
 
     return {
       budgets,
@@ -31,9 +50,9 @@ const getAllBudgets = async (page, limit, filters) => {
 };
 
 /**
- * Get budget by ID with full details
+ * Load budget by ID with full details (no access check)
  */
-const getBudgetById = async (id) => {
+const loadBudget = async (id) => {
   try {
     const budget = await budgetModel.findById(id);
     
@@ -48,23 +67,63 @@ const getBudgetById = async (id) => {
     
     return budget;
   } catch (error) {
-    logger.error('Error in getBudgetById service:', error);
+    logger.error('Error in loadBudget service:', error);
     throw error;
   }
 };
 
+/**
+ * Load a budget and check the user's access on its project
+ * @returns {Promise<Object|null>} Budget, null when not found
+ */
+const findAccessibleBudget = async (id, user, access) => {
+  const budget = await loadBudget(id);
+
+  if (budget) {
+    await projectAccessService.assertAccess(budget.project_id, user, access);
+  }
+
+  return budget;
+};
+
+/**
+ * Record a budget change in the audit trail
+ */
+const auditBudget = async (auditContext, action, before, after, connection) => {
+  await auditService.record(auditContext, {
+    entityType: 'budget',
+    entityId: (after || before).id,
+    action,
+    before,
+    after
+  }, connection);
+};
+
+/**
+ * Get budget by ID with full details
+ */
+const getBudgetById = async (id, user) => {
+  return await findAccessibleBudget(id, user, PROJECT_ACCESS.VIEW_BUDGET);
+};
+
 /**
  * Create new budget allocation
  */
-const createBudget = async (budgetData) => {
+const createBudget = async (budgetData, user, auditContext) => {
   try {
     // Validate budget data
     validateBudgetData(budgetData);
+
+    await projectAccessService.assertAccess(budgetData.project_id, user, PROJECT_ACCESS.MANAGE_BUDGET);
     
-    const budgetId = await budgetModel.create(budgetData);
-    const budget = await budgetModel.findById(budgetId);
-    
-    return budget;
+    return await db.transaction(async (connection) => {
+      const budgetId = await budgetModel.create(budgetData, connection);
+      const budget = await budgetModel.findById(budgetId, connection);
+
+      await auditBudget(auditContext, AUDIT_ACTION.CREATE, null, budget, connection);
+
+      return budget;
+    });
   } catch (error) {
     logger.error('Error in createBudget service:', error);
     throw error;
@@ -74,9 +133,9 @@ const createBudget = async (budgetData) => {
 /**
  * Update budget
  */
-const updateBudget = async (id, updateData) => {
+const updateBudget = async (id, updateData, user, auditContext) => {
   try {
-    const existing = await budgetModel.findById(id);
+    const existing = await findAccessibleBudget(id, user, PROJECT_ACCESS.MANAGE_BUDGET);
     if (!existing) {
       return null;
     }
@@ -94,10 +153,15 @@ const updateBudget = async (id, updateData) => {
       }
     }
     
-    await budgetModel.update(id, updateData);
-    const budget = await budgetModel.findById(id);
-    
-    return budget;
+    return await db.transaction(async (connection) => {
+      const before = await budgetModel.findById(id, connection);
+      await budgetModel.update(id, updateData, connection);
+      const budget = await budgetModel.findById(id, connection);
+
+      await auditBudget(auditContext, AUDIT_ACTION.UPDATE, before, budget, connection);
+
+      return budget;
+    });
   } catch (error) {
     logger.error('Error in updateBudget service:', error);
     throw error;
@@ -107,9 +171,9 @@ const updateBudget = async (id, updateData) => {
 /**
  * Delete budget
  */
-const deleteBudget = async (id, userId) => {
+const deleteBudget = async (id, user, auditContext) => {
   try {
-    const existing = await budgetModel.findById(id);
+    const existing = await findAccessibleBudget(id, user, PROJECT_ACCESS.MANAGE_BUDGET);
     if (!existing) {
       return null;
     }
@@ -120,7 +184,13 @@ const deleteBudget = async (id, userId) => {
       throw new Error('Cannot delete budget with existing transactions');
     }
     
-    await budgetModel.softDelete(id, userId);
+    await db.transaction(async (connection) => {
+      const before = await budgetModel.findById(id, connection);
+      await budgetModel.softDelete(id, user.id, connection);
+
+      await auditBudget(auditContext, AUDIT_ACTION.DELETE, before, null, connection);
+    });
+
     return true;
   } catch (error) {
     logger.error('Error in deleteBudget service:', error);
@@ -130,9 +200,14 @@ const deleteBudget = async (id, userId) => {
 
 /**
  * Get budget transactions
+ * @returns {Promise<Object|null>} Transactions page, null when the budget is not found
  */
-const getBudgetTransactions = async (budgetId, page, limit, filters) => {
+const getBudgetTransactions = async (budgetId, page, limit, filters, user) => {
   try {
+    if (!(await findAccessibleBudget(budgetId, user, PROJECT_ACCESS.VIEW_BUDGET))) {
+      return null;
+    }
+
     const offset = (page - 1) * limit;
     
     const transactions = await budgetModel.getTransactions(budgetId, limit, offset, filters);
@@ -153,13 +228,13 @@ const getBudgetTransactions = async (budgetId, page, limit, filters) => {
 /**
  * Record budget transaction
  */
-const recordTransaction = async (transactionData) => {
+const recordTransaction = async (transactionData, user) => {
   try {
     // Validate transaction
     validateTransactionData(transactionData);
     
     // Get budget and check availability
-    const budget = await getBudgetById(transactionData.budgetId);
+    const budget = await findAccessibleBudget(transactionData.budgetId, user, PROJECT_ACCESS.MANAGE_BUDGET);
     if (!budget) {
       throw new Error('Budget not found');
     }
@@ -186,9 +261,9 @@ const recordTransaction = async (transactionData) => {
 /**
  * Get budget summary and analytics
  */
-const getBudgetSummary = async (budgetId) => {
+const getBudgetSummary = async (budgetId, user) => {
   try {
-    const budget = await getBudgetById(budgetId);
+    const budget = await findAccessibleBudget(budgetId, user, PROJECT_ACCESS.VIEW_BUDGET);
     if (!budget) {
       return null;
     }
@@ -230,9 +305,9 @@ const getBudgetAlerts = async (threshold = 75) => {
 /**
  * Get budget forecast
  */
-const getBudgetForecast = async (budgetId) => {
+const getBudgetForecast = async (budgetId, user) => {
   try {
-    const budget = await getBudgetById(budgetId);
+    const budget = await findAccessibleBudget(budgetId, user, PROJECT_ACCESS.VIEW_BUDGET);
     if (!budget) {
       return null;
     }
@@ -285,23 +360,16 @@ const getBudgetForecast = async (budgetId) => {
  */
 const checkBudgetAlerts = async (budgetId) => {
   try {
-    const budget = await getBudgetById(budgetId);
+    const budget = await loadBudget(budgetId);
     
-    const thresholds = [50, 75, 90, 100];
+    const thresholds = await settingsService.getSetting(SETTING_KEY.BUDGET_ALERT_THRESHOLDS);
     const utilizationPercentage = budget.utilization_percentage;
     
     for (const threshold of thresholds) {
       if (utilizationPercentage >= threshold && utilizationPercentage < threshold + 5) {
-        // Create alert (this would integrate with a notification system)
+        // Notifications are raised per budget allocation by
+        // notificationService.notifyBudgetThresholds when amounts change
         logger.warn(`Budget alert: Budget ${budgetId} is at ${utilizationPercentage.toFixed(2)}% utilization`);
-        
-        // In a real system, you would create a notification record here
-        // await notificationModel.create({
-        //   type: 'budget_alert',
-        //   budget_id: budgetId,
-        //   threshold: threshold,
-        //   message: `Budget utilization has reached ${threshold}%`
-        // });
       }
     }
   } catch (error) {
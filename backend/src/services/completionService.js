@@ -0,0 +1,235 @@
+/**
+ * Completion Service
+ * Project completion derived from its milestones
+ *
+ * The roll-up method of the project decides the weight of each milestone:
+ * COUNT gives every milestone the same weight, BUDGET weighs them by their
+ * budget allocated and WEIGHT by their explicit weight (falling back to
+ * COUNT when the weights add up to zero). Cancelled milestones are left
+ * out. The project value is recalculated whenever a milestone changes,
+ * unless a manager has overridden it; every change of value is kept in the
+ * completion history.
+ */
+
+const db = require('../config/database');
+const projectCompletionModel = require('../models/projectCompletionModel');
+const milestoneModel = require('../models/milestoneModel');
+const projectModel = require('../models/projectModel');
+const projectService = require('./projectService');
+const auditService = require('./auditService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  PROJECT_ACCESS,
+  MILESTONE_STATUS,
+  COMPLETION_METHOD,
+  COMPLETION_SOURCE,
+  AUDIT_ACTION
+} = require('../config/constants');
+
+const roundPercentage = (value) => Math.round(value * 100) / 100;
+
+const WEIGHT_OF = {
+  [COMPLETION_METHOD.COUNT]: () => 1,
+  [COMPLETION_METHOD.BUDGET]: milestone => milestone.budgetAllocated,
+  [COMPLETION_METHOD.WEIGHT]: milestone => milestone.weight
+};
+
+/**
+ * Roll milestone progress up to a project completion percentage
+ * @returns {Number|null} Percentage, null without milestones to roll up
+ */
+const computeRollup = (milestones, method) => {
+  const counted = milestones.filter(milestone => milestone.status !== MILESTONE_STATUS.CANCELLED);
+
+  if (counted.length === 0) {
+    return null;
+  }
+
+  let weightOf = WEIGHT_OF[method] || WEIGHT_OF[COMPLETION_METHOD.COUNT];
+  let totalWeight = counted.reduce((sum, milestone) => sum + weightOf(milestone), 0);
+
+  if (totalWeight <= 0) {
+    weightOf = WEIGHT_OF[COMPLETION_METHOD.COUNT];
+    totalWeight = counted.length;
+  }
+
+  const weighted = counted.reduce(
+    (sum, milestone) => sum + weightOf(milestone) * milestone.completionPercentage,
+    0
+  );
+
+  return roundPercentage(weighted / totalWeight);
+};
+
+/**
+ * Load the completion state of a project or throw 404
+ */
+const findStateOrFail = async (projectId, connection = null) => {
+  const state = await projectCompletionModel.findState(projectId, connection);
+
+  if (!state) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Project with ID ${projectId} not found`
+    );
+  }
+
+  return state;
+};
+
+/**
+ * Store a new completion value and keep it in the history
+ */
+const applyCompletion = async (projectId, state, completion, userId, connection) => {
+  await projectCompletionModel.setCompletion(projectId, completion, userId, connection);
+
+  await projectCompletionModel.addHistory({
+    projectId,
+    completionPercentage: completion.completionPercentage,
+    source: completion.override ? COMPLETION_SOURCE.OVERRIDE : COMPLETION_SOURCE.ROLLUP,
+    completionMethod: state.completionMethod,
+    reason: completion.override ? completion.override.reason : null,
+    recordedBy: userId
+  }, connection);
+};
+
+/**
+ * Recalculate project completion from its milestones
+ * Called inside the transaction of a milestone change; an override in
+ * force is left untouched.
+ * @returns {Promise<Number|null>} New completion, null when unchanged
+ */
+const recalculate = async (projectId, userId, connection) => {
+  const state = await findStateOrFail(projectId, connection);
+
+  if (state.isOverridden) {
+    return null;
+  }
+
+  const milestones = await milestoneModel.findByProject(projectId, connection);
+  const completionPercentage = computeRollup(milestones, state.completionMethod);
+
+  if (completionPercentage === null || completionPercentage === state.completionPercentage) {
+    return null;
+  }
+
+  await applyCompletion(projectId, state, { completionPercentage, override: null }, userId, connection);
+
+  return completionPercentage;
+};
+
+/**
+ * Apply a completion change requested by a user and record it on the project audit trail
+ * @param {Function} write - Receives the locked state and the transaction connection
+ */
+const auditedChange = async (projectId, reason, auditContext, write) => {
+  await db.transaction(async (connection) => {
+    const before = await projectModel.findById(projectId, connection);
+    const state = await findStateOrFail(projectId, connection);
+
+    await write(state, connection);
+
+    await auditService.record(auditContext, {
+      entityType: 'project',
+      entityId: projectId,
+      action: AUDIT_ACTION.UPDATE,
+      before,
+      after: await projectModel.findById(projectId, connection),
+      reason
+    }, connection);
+  });
+};
+
+/**
+ * Get project completion: current value, roll-up value, method, override and history
+ */
+const getCompletion = async (projectId, user) => {
+  await projectService.getProjectById(projectId, user);
+
+  const state = await findStateOrFail(projectId);
+  const milestones = await milestoneModel.findByProject(projectId);
+
+  return {
+    projectId,
+    completionPercentage: state.completionPercentage,
+    completionMethod: state.completionMethod,
+    rollupPercentage: computeRollup(milestones, state.completionMethod),
+    override: state.isOverridden ? {
+      reason: state.overrideReason,
+      overriddenBy: state.overriddenBy,
+      overriddenAt: state.overriddenAt
+    } : null,
+    history: await projectCompletionModel.findHistory(projectId)
+  };
+};
+
+/**
+ * Change the roll-up method and recalculate
+ */
+const setMethod = async (projectId, completionMethod, user, auditContext = null) => {
+  await projectService.getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
+
+  await auditedChange(projectId, null, auditContext, async (state, connection) => {
+    await projectCompletionModel.setMethod(projectId, completionMethod, user.id, connection);
+    await recalculate(projectId, user.id, connection);
+  });
+
+  return await getCompletion(projectId, user);
+};
+
+/**
+ * Override project completion with a manual value
+ * Requires the EDIT access on the project (its managers or an administrator).
+ * The justification is kept in the audit trail and the completion history.
+ */
+const overrideCompletion = async (projectId, { completionPercentage, justification }, user, auditContext = null) => {
+  await projectService.getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
+
+  await auditedChange(projectId, justification, auditContext, async (state, connection) => {
+    await applyCompletion(projectId, state, {
+      completionPercentage: roundPercentage(completionPercentage),
+      override: { reason: justification, userId: user.id }
+    }, user.id, connection);
+  });
+
+  return await getCompletion(projectId, user);
+};
+
+/**
+ * Remove the override and return to the roll-up value
+ */
+const clearOverride = async (projectId, justification, user, auditContext = null) => {
+  await projectService.getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
+
+  await auditedChange(projectId, justification, auditContext, async (state, connection) => {
+    if (!state.isOverridden) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.INVALID_INPUT,
+        'Project completion is not overridden'
+      );
+    }
+
+    const milestones = await milestoneModel.findByProject(projectId, connection);
+    const rollup = computeRollup(milestones, state.completionMethod);
+
+    await applyCompletion(projectId, state, {
+      completionPercentage: rollup === null ? state.completionPercentage : rollup,
+      override: null
+    }, user.id, connection);
+  });
+
+  return await getCompletion(projectId, user);
+};
+
+module.exports = {
+  computeRollup,
+  recalculate,
+  getCompletion,
+  setMethod,
+  overrideCompletion,
+  clearOverride
+};
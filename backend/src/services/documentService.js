@@ -0,0 +1,725 @@
+/**
+ * Document Service
+ * Business logic for document upload, download and access control
+ *
+ * Files are stored by the content checksum in the configured storage
+ * backend, so identical uploads share one file. Within a project, the same
+ * content cannot be uploaded twice.
+ *
+ * Every upload is kept as a version; a new revision becomes the current
+ * file of the document while earlier ones stay downloadable. Retention
+ * rules per document type schedule when documents are archived or purged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const documentModel = require('../models/documentModel');
+const projectModel = require('../models/projectModel');
+const approvalModel = require('../models/approvalModel');
+const auditService = require('./auditService');
+const projectAccessService = require('./projectAccessService');
+const { getStorage } = require('../documentStorage');
+const logger = require('../middleware/logger');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  ROLES,
+  PROJECT_ACCESS,
+  DOCUMENT_ACCESS_LEVEL,
+  DOCUMENT_RETENTION_ACTION,
+  AUDIT_ACTION
+} = require('../config/constants');
+const { parsePagination, buildPaginationMeta } = require('../utils/helpers');
+
+// Accepted MIME types with their file extensions and leading bytes (hex)
+const ALLOWED_FILE_TYPES = {
+  'application/pdf': { extensions: ['pdf'], signatures: ['25504446'] },
+  'image/jpeg': { extensions: ['jpg', 'jpeg'], signatures: ['ffd8ff'] },
+  'image/png': { extensions: ['png'], signatures: ['89504e470d0a1a0a'] },
+  'application/msword': { extensions: ['doc'], signatures: ['d0cf11e0a1b11ae1'] },
+  'application/vnd.ms-excel': { extensions: ['xls'], signatures: ['d0cf11e0a1b11ae1'] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extensions: ['docx'],
+    signatures: ['504b0304']
+  },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+    extensions: ['xlsx'],
+    signatures: ['504b0304']
+  },
+  'text/csv': { extensions: ['csv'], signatures: [] },
+  'text/plain': { extensions: ['txt'], signatures: [] }
+};
+
+// Fields compared between consecutive versions of a document
+const VERSION_FIELDS = [
+  'documentName', 'originalFilename', 'mimeType', 'fileType', 'fileSize', 'checksum',
+  'description', 'validityStart', 'validityEnd'
+];
+
+// Documents handled per retention run
+const RETENTION_BATCH_SIZE = 100;
+
+// Roles that see the INTERNAL documents of every project
+const isAdmin = (user) => user.roles.includes(ROLES.ADMIN);
+
+/**
+ * Read the first bytes of a file as hex
+ */
+const readSignature = async (filePath, length = 8) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead).toString('hex');
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Check an uploaded file against the accepted types
+ * The declared MIME type must be accepted, match the file extension and,
+ * for binary formats, the content of the file.
+ * @returns {Promise<String>} File extension
+ */
+const validateFile = async (file) => {
+  const fileType = ALLOWED_FILE_TYPES[file.mimeType];
+  const extension = path.extname(file.originalName || '').slice(1).toLowerCase();
+
+  if (!fileType) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `File type ${file.mimeType || 'unknown'} is not accepted`,
+      [{ field: 'file', message: `Accepted types: ${Object.keys(ALLOWED_FILE_TYPES).join(', ')}` }]
+    );
+  }
+
+  if (!fileType.extensions.includes(extension)) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `File extension .${extension} does not match type ${file.mimeType}`
+    );
+  }
+
+  if (fileType.signatures.length > 0) {
+    const signature = await readSignature(file.path);
+
+    if (!fileType.signatures.some(expected => signature.startsWith(expected))) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        `File content is not a valid ${file.mimeType} file`
+      );
+    }
+  }
+
+  return extension;
+};
+
+/**
+ * Check whether a user may see a document and download its file
+ * Admins and the uploader always can, project managers see every document
+ * of their project. RESTRICTED and confidential documents go no further;
+ * PUBLIC ones are open to all, INTERNAL ones to whoever may view the
+ * project (or to everyone when not linked to a project).
+ * Mirrors the visibility condition of documentModel.findAll().
+ */
+const canAccessDocument = async (document, user) => {
+  if (isAdmin(user) || document.uploadedBy === user.id) {
+    return true;
+  }
+
+  if (document.projectId &&
+    await projectAccessService.hasAccess(document.projectId, user, PROJECT_ACCESS.MANAGE_DOCUMENTS)) {
+    return true;
+  }
+
+  if (document.accessLevel === DOCUMENT_ACCESS_LEVEL.RESTRICTED || document.isConfidential) {
+    return false;
+  }
+
+  return document.accessLevel === DOCUMENT_ACCESS_LEVEL.PUBLIC ||
+    !document.projectId ||
+    await projectAccessService.hasAccess(document.projectId, user, PROJECT_ACCESS.VIEW);
+};
+
+/**
+ * Storage key of a file: its checksum, fanned out over subdirectories
+ */
+const storageKey = (checksum) => `${checksum.slice(0, 2)}/${checksum}`;
+
+/**
+ * Delete a stored file once no document points at it anymore
+ */
+const releaseFile = async (storageBackend, filePath) => {
+  if (await documentModel.countByFile(storageBackend, filePath) === 0) {
+    await getStorage(storageBackend).remove(filePath);
+  }
+};
+
+/**
+ * Short form of a document for records referencing it
+ */
+const summarize = (document) => ({
+  id: document.id,
+  documentCode: document.documentCode,
+  documentName: document.documentName,
+  documentType: document.documentType,
+  mimeType: document.mimeType,
+  fileSize: document.fileSize
+});
+
+/**
+ * Reject a validity period ending before it starts
+ */
+const assertValidityPeriod = (validityStart, validityEnd) => {
+  if (validityStart && validityEnd && new Date(validityEnd) < new Date(validityStart)) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Validity end date must be after validity start date'
+    );
+  }
+};
+
+/**
+ * Schedule the deletion of a document from the retention rule of its type
+ */
+const applyRetentionRule = async (documentId, documentType, connection) => {
+  const rule = await documentModel.findRetentionRule(documentType, connection);
+  await documentModel.scheduleDeletion({ documentId }, rule && rule.isActive ? rule.retentionDays : null, connection);
+};
+
+/**
+ * Remove the stored files of a deleted document's versions
+ */
+const releaseFiles = async (files) => {
+  for (const file of files) {
+    await releaseFile(file.storageBackend, file.filePath);
+  }
+};
+
+/**
+ * List documents visible to the user with filtering and pagination
+ */
+const listDocuments = async (filters, pagination, user) => {
+  const { page, limit, offset } = parsePagination(pagination);
+
+  const scopedFilters = isAdmin(user)
+    ? filters
+    : { ...filters, viewer: { userId: user.id, oversight: projectAccessService.visibilityFilter(user) === null } };
+
+  const { documents, total } = await documentModel.findAll(scopedFilters, { limit, offset });
+
+  return {
+    documents,
+    pagination: buildPaginationMeta(page, limit, total)
+  };
+};
+
+/**
+ * Get document metadata
+ */
+const getDocumentById = async (documentId, user) => {
+  const document = await documentModel.findById(documentId);
+
+  if (!document) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Document with ID ${documentId} not found`
+    );
+  }
+
+  if (!(await canAccessDocument(document, user))) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'You do not have access to this document'
+    );
+  }
+
+  return document;
+};
+
+/**
+ * Upload a document
+ * @param {Object} file - Parsed upload (req.file)
+ * @param {Object} documentData - documentType, projectId, documentName, description,
+ *   accessLevel, isConfidential, validityStart, validityEnd
+ */
+const uploadDocument = async (file, documentData, user, auditContext = null) => {
+  const fileType = await validateFile(file);
+
+  assertValidityPeriod(documentData.validityStart, documentData.validityEnd);
+
+  const projectId = documentData.projectId || null;
+
+  if (projectId) {
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        `Project with ID ${projectId} not found`
+      );
+    }
+
+    await projectAccessService.assertAccess(projectId, user, PROJECT_ACCESS.UPLOAD_DOCUMENTS);
+  }
+
+  const duplicate = await documentModel.findByChecksum(projectId, file.checksum);
+
+  if (duplicate) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.DUPLICATE_ENTRY,
+      `The same file was already uploaded as ${duplicate.documentCode}`,
+      [{ documentId: duplicate.id, documentCode: duplicate.documentCode }]
+    );
+  }
+
+  const storage = getStorage();
+  const filePath = storageKey(file.checksum);
+
+  await storage.put(filePath, file.path);
+
+  let documentId;
+
+  try {
+    documentId = await db.transaction(async (connection) => {
+      const { id } = await documentModel.create({
+        projectId,
+        documentName: documentData.documentName || path.basename(file.originalName),
+        documentType: documentData.documentType,
+        filePath,
+        fileSize: file.size,
+        fileType,
+        originalFilename: file.originalName,
+        mimeType: file.mimeType,
+        checksum: file.checksum,
+        storageBackend: storage.name,
+        description: documentData.description,
+        validityStart: documentData.validityStart,
+        validityEnd: documentData.validityEnd,
+        isConfidential: documentData.isConfidential,
+        accessLevel: documentData.accessLevel,
+        uploadedBy: user.id
+      }, connection);
+
+      await applyRetentionRule(id, documentData.documentType, connection);
+
+      await auditService.record(auditContext, {
+        entityType: 'document',
+        entityId: id,
+        action: AUDIT_ACTION.CREATE,
+        after: await documentModel.findById(id, connection)
+      }, connection);
+
+      return id;
+    });
+  } catch (error) {
+    await releaseFile(storage.name, filePath);
+    throw error;
+  }
+
+  return await documentModel.findById(documentId);
+};
+
+/**
+ * Upload a new revision of a document
+ * The project team (or, outside projects, the uploader) may revise a
+ * document until it is archived. Metadata not given is carried over from
+ * the current version.
+ * @param {Object} file - Parsed upload (req.file)
+ * @param {Object} versionData - changeNote, documentName, description, validityStart, validityEnd
+ */
+const uploadVersion = async (documentId, file, versionData, user, auditContext = null) => {
+  const document = await getDocumentById(documentId, user);
+
+  const isProjectTeam = Boolean(document.projectId) &&
+    await projectAccessService.hasAccess(document.projectId, user, PROJECT_ACCESS.UPLOAD_DOCUMENTS);
+
+  if (!isAdmin(user) && document.uploadedBy !== user.id && !isProjectTeam) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'Only the project team can upload new versions of this document'
+    );
+  }
+
+  if (document.archivedAt) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Document ${document.documentCode} is archived`
+    );
+  }
+
+  const fileType = await validateFile(file);
+
+  const pick = (field) => (versionData[field] !== undefined ? versionData[field] : document[field]);
+  const validityStart = pick('validityStart');
+  const validityEnd = pick('validityEnd');
+
+  assertValidityPeriod(validityStart, validityEnd);
+
+  if (file.checksum === document.checksum) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `The file is identical to version ${document.version} of ${document.documentCode}`
+    );
+  }
+
+  const duplicate = await documentModel.findByChecksum(document.projectId, file.checksum);
+
+  if (duplicate) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.DUPLICATE_ENTRY,
+      `The same file was already uploaded as ${duplicate.documentCode}`,
+      [{ documentId: duplicate.id, documentCode: duplicate.documentCode }]
+    );
+  }
+
+  const storage = getStorage();
+  const filePath = storageKey(file.checksum);
+
+  await storage.put(filePath, file.path);
+
+  try {
+    await db.transaction(async (connection) => {
+      const version = {
+        version: document.version + 1,
+        documentName: versionData.documentName || document.documentName,
+        filePath,
+        fileSize: file.size,
+        fileType,
+        originalFilename: file.originalName,
+        mimeType: file.mimeType,
+        checksum: file.checksum,
+        storageBackend: storage.name,
+        description: pick('description'),
+        validityStart,
+        validityEnd,
+        changeNote: versionData.changeNote,
+        uploadedBy: user.id
+      };
+
+      await documentModel.createVersion(documentId, version, connection);
+      await documentModel.setCurrentVersion(documentId, version, connection);
+      await applyRetentionRule(documentId, document.documentType, connection);
+
+      await auditService.record(auditContext, {
+        entityType: 'document',
+        entityId: documentId,
+        action: AUDIT_ACTION.UPDATE,
+        before: document,
+        after: await documentModel.findById(documentId, connection),
+        reason: versionData.changeNote
+      }, connection);
+    });
+  } catch (error) {
+    await releaseFile(storage.name, filePath);
+    throw error;
+  }
+
+  return await documentModel.findById(documentId);
+};
+
+/**
+ * Version history of a document, oldest first
+ * Each version lists what changed from the previous one.
+ */
+const getVersionHistory = async (documentId, user) => {
+  const document = await getDocumentById(documentId, user);
+  const versions = await documentModel.findVersions(documentId);
+
+  const comparable = (version) => VERSION_FIELDS.reduce((fields, field) => ({
+    ...fields,
+    [field]: version[field]
+  }), {});
+
+  return {
+    document: summarize(document),
+    currentVersion: document.version,
+    versions: versions.map((version, index) => {
+      const { oldValues, newValues, changedFields } = index === 0
+        ? { oldValues: null, newValues: null, changedFields: [] }
+        : auditService.diffValues(comparable(versions[index - 1]), comparable(version));
+
+      return {
+        ...version,
+        isCurrent: version.version === document.version,
+        changes: { changedFields, oldValues, newValues }
+      };
+    })
+  };
+};
+
+/**
+ * Open a stored file for download
+ */
+const openFile = async (document, file) => {
+  const storage = getStorage(file.storageBackend);
+
+  if (!(await storage.exists(file.filePath))) {
+    logger.error('Document file missing from storage:', {
+      documentId: document.id,
+      storageBackend: file.storageBackend,
+      filePath: file.filePath
+    });
+
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `File of document ${document.documentCode} is not available`
+    );
+  }
+
+  await documentModel.touchAccessed(document.id);
+
+  return storage.createReadStream(file.filePath);
+};
+
+/**
+ * Open the file of a document for download
+ * @returns {Promise<Object>} { document, stream }
+ */
+const openDocument = async (documentId, user) => {
+  const document = await getDocumentById(documentId, user);
+
+  return {
+    document,
+    stream: await openFile(document, document)
+  };
+};
+
+/**
+ * Open the file of one version of a document for download
+ * @returns {Promise<Object>} { document, version, stream }
+ */
+const openVersion = async (documentId, versionNumber, user) => {
+  const document = await getDocumentById(documentId, user);
+  const version = await documentModel.findVersion(documentId, versionNumber);
+
+  if (!version) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Version ${versionNumber} of document ${document.documentCode} not found`
+    );
+  }
+
+  return {
+    document,
+    version,
+    stream: await openFile(document, version)
+  };
+};
+
+/**
+ * Delete a document
+ * Only the uploader, the project managers and admins may delete, and not
+ * while an approval request cites the document as supporting evidence.
+ */
+const deleteDocument = async (documentId, user, auditContext = null) => {
+  const document = await getDocumentById(documentId, user);
+
+  const isProjectManager = Boolean(document.projectId) &&
+    await projectAccessService.hasAccess(document.projectId, user, PROJECT_ACCESS.MANAGE_DOCUMENTS);
+
+  if (!isAdmin(user) && document.uploadedBy !== user.id && !isProjectManager) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'Only the uploader or the project manager can delete this document'
+    );
+  }
+
+  const approvals = await approvalModel.findBySupportingDocument(documentId);
+
+  if (approvals.length > 0) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Document is cited by approval ${approvals[0].approvalCode}`
+    );
+  }
+
+  const files = await db.transaction(async (connection) => {
+    const versionFiles = await documentModel.findVersionFiles(documentId, connection);
+
+    await documentModel.remove(documentId, connection);
+
+    await auditService.record(auditContext, {
+      entityType: 'document',
+      entityId: documentId,
+      action: AUDIT_ACTION.DELETE,
+      before: document
+    }, connection);
+
+    return versionFiles;
+  });
+
+  await releaseFiles(files);
+};
+
+/**
+ * List the retention rules of every document type
+ */
+const listRetentionRules = async () => {
+  return await documentModel.findRetentionRules();
+};
+
+/**
+ * Create or replace the retention rule of a document type
+ * Documents of the type not yet archived are rescheduled; deactivating the
+ * rule clears their schedule.
+ * @param {Object} ruleData - retentionDays, retentionAction, isActive
+ * @returns {Promise<Object>} { rule, scheduledDocuments }
+ */
+const setRetentionRule = async (documentType, ruleData, user, auditContext = null) => {
+  return await db.transaction(async (connection) => {
+    const before = await documentModel.findRetentionRule(documentType, connection);
+    const isActive = ruleData.isActive !== undefined ? ruleData.isActive : true;
+
+    await documentModel.upsertRetentionRule(documentType, {
+      retentionDays: ruleData.retentionDays,
+      retentionAction: ruleData.retentionAction,
+      isActive,
+      updatedBy: user.id
+    }, connection);
+
+    const rule = await documentModel.findRetentionRule(documentType, connection);
+    const scheduledDocuments = await documentModel.scheduleDeletion(
+      { documentType },
+      isActive ? rule.retentionDays : null,
+      connection
+    );
+
+    await auditService.record(auditContext, {
+      entityType: 'document_retention_rule',
+      entityId: rule.id,
+      action: before ? AUDIT_ACTION.UPDATE : AUDIT_ACTION.CREATE,
+      before,
+      after: rule
+    }, connection);
+
+    return { rule, scheduledDocuments };
+  });
+};
+
+/**
+ * Archive or purge documents past their scheduled deletion date
+ * Documents cited by approval requests are archived rather than purged,
+ * as the approvals keep them as evidence.
+ * @returns {Promise<Object>} { archived, purged, unscheduled }
+ */
+const runRetention = async () => {
+  const documents = await documentModel.findDueForRetention(RETENTION_BATCH_SIZE);
+  const result = { archived: 0, purged: 0, unscheduled: 0 };
+
+  for (const document of documents) {
+    if (!document.retentionAction) {
+      await documentModel.scheduleDeletion({ documentId: document.id }, null);
+      result.unscheduled++;
+      continue;
+    }
+
+    const cited = document.retentionAction === DOCUMENT_RETENTION_ACTION.PURGE &&
+      (await approvalModel.findBySupportingDocument(document.id)).length > 0;
+
+    if (document.retentionAction === DOCUMENT_RETENTION_ACTION.ARCHIVE || cited) {
+      await documentModel.archive(document.id);
+      result.archived++;
+
+      logger.info('Document archived by retention rule:', {
+        documentId: document.id,
+        documentCode: document.documentCode,
+        citedByApproval: cited
+      });
+      continue;
+    }
+
+    const files = await db.transaction(async (connection) => {
+      const versionFiles = await documentModel.findVersionFiles(document.id, connection);
+      await documentModel.remove(document.id, connection);
+      return versionFiles;
+    });
+
+    await releaseFiles(files);
+    result.purged++;
+
+    logger.info('Document purged by retention rule:', {
+      documentId: document.id,
+      documentCode: document.documentCode,
+      projectId: document.projectId,
+      deletionScheduledAt: document.deletionScheduledAt
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Check documents cited by another record (approval supporting documents)
+ * Every document must exist and belong to the given project or to none.
+ * @param {Array<Number>} documentIds - Cited documents
+ * @param {Number|null} projectId - Project of the citing record
+ */
+const assertReferences = async (documentIds, projectId) => {
+  const ids = [...new Set(documentIds || [])];
+  const documents = await documentModel.findByIds(ids);
+  const missing = ids.filter(id => !documents.some(document => document.id === id));
+
+  if (missing.length > 0) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Documents not found: ${missing.join(', ')}`
+    );
+  }
+
+  const foreign = documents.filter(document => document.projectId && document.projectId !== projectId);
+
+  if (foreign.length > 0) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Documents belong to another project: ${foreign.map(document => document.documentCode).join(', ')}`
+    );
+  }
+};
+
+/**
+ * Short form of cited documents (deleted ones are left out)
+ */
+const getReferences = async (documentIds) => {
+  const documents = await documentModel.findByIds(documentIds || []);
+  return documents.map(summarize);
+};
+
+module.exports = {
+  canAccessDocument,
+  listDocuments,
+  getDocumentById,
+  uploadDocument,
+  uploadVersion,
+  getVersionHistory,
+  openDocument,
+  openVersion,
+  deleteDocument,
+  listRetentionRules,
+  setRetentionRule,
+  runRetention,
+  assertReferences,
+  getReferences
+};
@@ -0,0 +1,208 @@
+/**
+ * Email Service
+ * Queue localized emails in the outbox and deliver them over SMTP
+ *
+ * Emails are rendered and inserted in the caller's transaction, so an email
+ * only goes out if the change that produced it was committed. The outbox job
+ * delivers them, retrying failures with exponential backoff.
+ */
+
+const nodemailer = require('nodemailer');
+const db = require('../config/database');
+const emailOutboxModel = require('../models/emailOutboxModel');
+const notificationModel = require('../models/notificationModel');
+const notificationPreferenceModel = require('../models/notificationPreferenceModel');
+const userModel = require('../models/userModel');
+const settingsService = require('./settingsService');
+const logger = require('../middleware/logger');
+const { hasTemplate, renderTemplate } = require('../templates/emailTemplates');
+const { SETTING_KEY } = require('../config/constants');
+const {
+  EMAIL_ENABLED,
+  EMAIL_HOST,
+  EMAIL_PORT,
+  EMAIL_SECURE,
+  EMAIL_USER,
+  EMAIL_PASSWORD,
+  EMAIL_FROM,
+  EMAIL_MAX_ATTEMPTS,
+  FRONTEND_URL
+} = require('../config/environment');
+
+const BATCH_SIZE = 20;
+const BACKOFF_BASE_SECONDS = 60;
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+
+let transporter = null;
+
+/**
+ * SMTP transport, created on first use
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: EMAIL_HOST,
+      port: EMAIL_PORT,
+      secure: EMAIL_SECURE,
+      auth: EMAIL_USER ? { user: EMAIL_USER, pass: EMAIL_PASSWORD } : undefined
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Delay before the next attempt: 1 min, 2 min, 4 min... capped at 6 hours
+ */
+const getNextAttemptDate = (attempts) => {
+  const delaySeconds = Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+  return new Date(Date.now() + delaySeconds * 1000);
+};
+
+const toAbsoluteUrl = (path) => (path && path.startsWith('/') ? `${FRONTEND_URL}${path}` : path);
+
+/**
+ * Render a template and queue it for delivery
+ * @param {String} templateKey - Template name (see templates/emailTemplates)
+ * @param {Object} recipient - email, userId, language
+ * @param {Object} variables - Template placeholder values
+ * @param {Object} options - notificationId mirrored by the email
+ * @returns {Promise<Number>} Outbox ID
+ */
+const queueEmail = async (templateKey, recipient, variables, options = {}, connection = null) => {
+  const rendered = renderTemplate(templateKey, recipient.language, variables);
+
+  return await emailOutboxModel.create({
+    recipientEmail: recipient.email,
+    recipientUserId: recipient.userId,
+    templateKey,
+    language: rendered.language,
+    subject: rendered.subject,
+    bodyText: rendered.text,
+    bodyHtml: rendered.html,
+    notificationId: options.notificationId,
+    maxAttempts: EMAIL_MAX_ATTEMPTS
+  }, connection);
+};
+
+/**
+ * Queue the email copy of a notification
+ * Skipped when the notification has no email template, notification emails
+ * are turned off (notification_email_enabled setting) or the user opted
+ * out of email for its type.
+ * @param {Number} notificationId - Notification just created
+ * @param {Object} notification - userId, notificationType, actionUrl, emailTemplate { key, variables }
+ * @returns {Promise<Number|null>} Outbox ID, null when no email is sent
+ */
+const queueNotificationEmail = async (notificationId, notification, connection = null) => {
+  const { emailTemplate } = notification;
+
+  if (!emailTemplate || !hasTemplate(emailTemplate.key)) {
+    return null;
+  }
+
+  if (!(await settingsService.getSetting(SETTING_KEY.NOTIFICATION_EMAIL_ENABLED))) {
+    return null;
+  }
+
+  const wanted = await notificationPreferenceModel.isEmailEnabled(
+    notification.userId,
+    notification.notificationType,
+    connection
+  );
+
+  if (!wanted) {
+    return null;
+  }
+
+  const user = await userModel.findById(notification.userId);
+
+  if (!user || !user.isActive || !user.email) {
+    return null;
+  }
+
+  return await queueEmail(
+    emailTemplate.key,
+    { email: user.email, userId: user.id, language: user.preferredLanguage },
+    {
+      firstName: user.firstName,
+      ...emailTemplate.variables,
+      actionUrl: toAbsoluteUrl(notification.actionUrl)
+    },
+    { notificationId },
+    connection
+  );
+};
+
+/**
+ * Send one outbox email over SMTP
+ * @returns {Promise<String>} SMTP message ID
+ */
+const deliver = async (email) => {
+  const info = await getTransporter().sendMail({
+    from: EMAIL_FROM,
+    to: email.recipientEmail,
+    subject: email.subject,
+    text: email.bodyText,
+    html: email.bodyHtml || undefined
+  });
+
+  return info.messageId;
+};
+
+/**
+ * Deliver emails due in the outbox
+ * @returns {Promise<Object>} Counts of sent, retried and failed emails
+ */
+const processOutbox = async () => {
+  const result = { sent: 0, retried: 0, failed: 0 };
+
+  if (!EMAIL_ENABLED) {
+    return result;
+  }
+
+  const emails = await emailOutboxModel.claimDue(BATCH_SIZE);
+
+  for (const email of emails) {
+    try {
+      const messageId = await deliver(email);
+
+      await db.transaction(async (connection) => {
+        await emailOutboxModel.markSent(email.id, messageId, connection);
+
+        if (email.notificationId) {
+          await notificationModel.markEmailSent(email.notificationId, connection);
+        }
+      });
+
+      result.sent += 1;
+    } catch (error) {
+      const attempts = email.attempts + 1;
+      const giveUp = attempts >= email.maxAttempts;
+
+      await emailOutboxModel.markAttemptFailed(
+        email.id,
+        error.message,
+        giveUp ? null : getNextAttemptDate(attempts)
+      );
+
+      if (giveUp) {
+        result.failed += 1;
+        logger.error(`Email ${email.id} (${email.templateKey}) to ${email.recipientEmail} failed after ${attempts} attempt(s):`, error);
+      } else {
+        result.retried += 1;
+        logger.warn(`Email ${email.id} delivery failed, attempt ${attempts} of ${email.maxAttempts}`, {
+          error: error.message
+        });
+      }
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  queueEmail,
+  queueNotificationEmail,
+  processOutbox
+};
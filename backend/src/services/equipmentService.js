@@ -4,8 +4,12 @@
  * @module services/equipmentService
  */
 
+const db = require('../config/database');
 const equipmentModel = require('../models/equipmentModel');
+const projectAccessService = require('./projectAccessService');
+const auditService = require('./auditService');
 const logger = require('../middleware/logger');
+const { PROJECT_ACCESS, AUDIT_ACTION } = require('../config/constants');
 
 /**
  * Get all equipment with pagination and filtering
@@ -56,18 +60,35 @@ const getEquipmentById = async (id) => {
   }
 };
 
+/**
+ * Record an equipment change in the audit trail
+ */
+const auditEquipment = async (auditContext, action, before, after, connection) => {
+  await auditService.record(auditContext, {
+    entityType: 'equipment',
+    entityId: (after || before).id,
+    action,
+    before,
+    after
+  }, connection);
+};
+
 /**
  * Create new equipment
  */
-const createEquipment = async (equipmentData) => {
+const createEquipment = async (equipmentData, auditContext) => {
   try {
     // Validate equipment data
     validateEquipmentData(equipmentData);
     
-    const equipmentId = await equipmentModel.create(equipmentData);
-    const equipment = await equipmentModel.findById(equipmentId);
-    
-    return equipment;
+    return await db.transaction(async (connection) => {
+      const equipmentId = await equipmentModel.create(equipmentData, connection);
+      const equipment = await equipmentModel.findById(equipmentId, connection);
+
+      await auditEquipment(auditContext, AUDIT_ACTION.CREATE, null, equipment, connection);
+
+      return equipment;
+    });
   } catch (error) {
     logger.error('Error in createEquipment service:', error);
     throw error;
@@ -77,7 +98,7 @@ const createEquipment = async (equipmentData) => {
 /**
  * Update equipment
  */
-const updateEquipment = async (id, updateData) => {
+const updateEquipment = async (id, updateData, auditContext) => {
   try {
     // Check if equipment exists
     const existing = await equipmentModel.findById(id);
@@ -90,10 +111,15 @@ const updateEquipment = async (id, updateData) => {
       validateEquipmentData(updateData, true);
     }
     
-    await equipmentModel.update(id, updateData);
-    const equipment = await equipmentModel.findById(id);
-    
-    return equipment;
+    return await db.transaction(async (connection) => {
+      const before = await equipmentModel.findById(id, connection);
+      await equipmentModel.update(id, updateData, connection);
+      const equipment = await equipmentModel.findById(id, connection);
+
+      await auditEquipment(auditContext, AUDIT_ACTION.UPDATE, before, equipment, connection);
+
+      return equipment;
+    });
   } catch (error) {
     logger.error('Error in updateEquipment service:', error);
     throw error;
@@ -103,7 +129,7 @@ const updateEquipment = async (id, updateData) => {
 /**
  * Delete equipment (soft delete)
  */
-const deleteEquipment = async (id, userId) => {
+const deleteEquipment = async (id, userId, auditContext) => {
   try {
     const existing = await equipmentModel.findById(id);
     if (!existing) {
@@ -116,7 +142,13 @@ const deleteEquipment = async (id, userId) => {
       throw new Error('Cannot delete equipment that is currently allocated to a project');
     }
     
-    await equipmentModel.softDelete(id, userId);
+    await db.transaction(async (connection) => {
+      const before = await equipmentModel.findById(id, connection);
+      await equipmentModel.softDelete(id, userId, connection);
+
+      await auditEquipment(auditContext, AUDIT_ACTION.DELETE, before, null, connection);
+    });
+
     return true;
   } catch (error) {
     logger.error('Error in deleteEquipment service:', error);
@@ -127,8 +159,11 @@ const deleteEquipment = async (id, userId) => {
 /**
  * Allocate equipment to a project
  */
-const allocateEquipment = async (equipmentId, projectId, startDate, endDate, userId, notes) => {
+const allocateEquipment = async (equipmentId, projectId, startDate, endDate, user, notes) => {
   try {
+    // Only the project team and equipment officers request equipment for a project
+    await projectAccessService.assertAccess(projectId, user, PROJECT_ACCESS.REQUEST_EQUIPMENT);
+    
     // Check if equipment exists and is available
     const equipment = await equipmentModel.findById(equipmentId);
     if (!equipment) {
@@ -156,7 +191,7 @@ const allocateEquipment = async (equipmentId, projectId, startDate, endDate, use
       project_id: projectId,
       allocation_date: startDate,
       expected_return_date: endDate,
-      allocated_by: userId,
+      allocated_by: user.id,
       notes
     });
     
@@ -164,7 +199,7 @@ const allocateEquipment = async (equipmentId, projectId, startDate, endDate, use
     await equipmentModel.update(equipmentId, { 
       status: 'in_use',
       current_project_id: projectId,
-      updated_by: userId
+      updated_by: user.id
     });
     
     const allocation = await equipmentModel.getAllocationById(allocationId);
@@ -0,0 +1,192 @@
+/**
+ * Earned Value Service
+ * Earned value management metrics of a project from its milestones and
+ * budget transactions
+ *
+ * The budget at completion (BAC) is the budget allocated to the milestones
+ * that are not cancelled. Each milestone's budget is planned to be spent
+ * evenly over its planned duration in the schedule (planned value). It is
+ * earned in proportion to its completion: in full once completed, and for
+ * open milestones with their current progress, which is only known today,
+ * so earlier dates count completed milestones only. Actual cost is the net
+ * expense posted on the project budget allocations.
+ */
+
+const { MILESTONE_STATUS } = require('../config/constants');
+const { toDateString, addDays, daysBetween } = require('../utils/helpers');
+
+const HEALTH = { GREEN: 'GREEN', YELLOW: 'YELLOW', RED: 'RED' };
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const roundIndex = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Last day of the month of a date
+ */
+const monthEnd = (date) => {
+  const [year, month] = date.split('-').map(Number);
+  return toDateString(new Date(Date.UTC(year, month, 0)));
+};
+
+/**
+ * Planned value of the milestones on a date
+ * @param {Array} entries - Scheduled milestones with their budget
+ */
+const plannedValueAt = (entries, date) => entries.reduce((sum, entry) => {
+  if (date >= entry.plannedFinish) {
+    return sum + entry.budget;
+  }
+  if (date <= entry.plannedStart) {
+    return sum;
+  }
+  return sum + entry.budget * daysBetween(entry.plannedStart, date) / entry.durationDays;
+}, 0);
+
+/**
+ * Earned value of the milestones on a date
+ */
+const earnedValueAt = (entries, date, today) => entries.reduce((sum, entry) => {
+  if (entry.actualCompletionDate) {
+    return entry.actualCompletionDate <= date ? sum + entry.budget : sum;
+  }
+  return date >= today ? sum + entry.budget * entry.completionPercentage / 100 : sum;
+}, 0);
+
+/**
+ * Actual cost posted up to a date
+ */
+const actualCostAt = (actualCosts, date) => actualCosts
+  .filter(cost => cost.transactionDate <= date)
+  .reduce((sum, cost) => sum + cost.amount, 0);
+
+/**
+ * Performance indices and forecasts from PV, EV and AC
+ */
+const computeMetrics = (budgetAtCompletion, plannedValue, earnedValue, actualCost) => {
+  const spi = plannedValue > 0 ? earnedValue / plannedValue : null;
+  const cpi = actualCost > 0 ? earnedValue / actualCost : null;
+
+  // Without cost yet the plan stands; with cost and nothing earned there is no estimate
+  let estimateAtCompletion = budgetAtCompletion;
+  if (cpi !== null) {
+    estimateAtCompletion = cpi > 0 ? budgetAtCompletion / cpi : null;
+  }
+
+  const remainingBudget = budgetAtCompletion - actualCost;
+
+  return {
+    plannedValue: roundAmount(plannedValue),
+    earnedValue: roundAmount(earnedValue),
+    actualCost: roundAmount(actualCost),
+    scheduleVariance: roundAmount(earnedValue - plannedValue),
+    costVariance: roundAmount(earnedValue - actualCost),
+    spi: roundIndex(spi),
+    cpi: roundIndex(cpi),
+    estimateAtCompletion: estimateAtCompletion === null ? null : roundAmount(estimateAtCompletion),
+    estimateToComplete: estimateAtCompletion === null ? null : roundAmount(estimateAtCompletion - actualCost),
+    varianceAtCompletion: estimateAtCompletion === null ? null : roundAmount(budgetAtCompletion - estimateAtCompletion),
+    tcpi: remainingBudget > 0 ? roundIndex((budgetAtCompletion - earnedValue) / remainingBudget) : null
+  };
+};
+
+/**
+ * Compute earned value metrics of a project
+ * @param {Array} milestones - Milestones of the project
+ * @param {Object} schedule - Schedule of the milestones (scheduleService.computeSchedule)
+ * @param {Array} actualCosts - { transactionDate, amount } net expense per day
+ * @param {Object} options - asOf (YYYY-MM-DD, defaults to today), today
+ * @returns {Object} Metrics on the as-of date and their monthly series
+ */
+const computeEvm = (milestones, schedule, actualCosts, options = {}) => {
+  const today = options.today || toDateString(new Date());
+  const asOf = options.asOf || today;
+  const budgets = new Map(milestones.map(milestone => [milestone.id, milestone.budgetAllocated]));
+
+  const entries = schedule.milestones
+    .filter(entry => entry.status !== MILESTONE_STATUS.CANCELLED)
+    .map(entry => ({
+      plannedStart: entry.plannedStart,
+      plannedFinish: entry.plannedFinish,
+      durationDays: entry.durationDays,
+      budget: budgets.get(entry.id) || 0,
+      completionPercentage: entry.completionPercentage,
+      actualCompletionDate: entry.status === MILESTONE_STATUS.COMPLETED ? entry.actualCompletionDate : null
+    }));
+
+  const budgetAtCompletion = entries.reduce((sum, entry) => sum + entry.budget, 0);
+
+  const metricsAt = date => computeMetrics(
+    budgetAtCompletion,
+    plannedValueAt(entries, date),
+    earnedValueAt(entries, date, today),
+    actualCostAt(actualCosts, date)
+  );
+
+  // One point per month, at month end; the month of the as-of date stops there
+  const series = [];
+  const lastDate = [schedule.plannedEndDate, asOf].sort().pop();
+
+  for (let first = `${schedule.startDate.slice(0, 7)}-01`; first <= lastDate; first = addDays(monthEnd(first), 1)) {
+    const end = monthEnd(first);
+    const date = first <= asOf && asOf < end ? asOf : end;
+
+    if (date > asOf) {
+      series.push({
+        month: first.slice(0, 7),
+        date,
+        plannedValue: roundAmount(plannedValueAt(entries, date)),
+        earnedValue: null,
+        actualCost: null,
+        spi: null,
+        cpi: null
+      });
+    } else {
+      const { plannedValue, earnedValue, actualCost, spi, cpi } = metricsAt(date);
+      series.push({ month: first.slice(0, 7), date, plannedValue, earnedValue, actualCost, spi, cpi });
+    }
+  }
+
+  return {
+    asOf,
+    budgetAtCompletion: roundAmount(budgetAtCompletion),
+    ...metricsAt(asOf),
+    series
+  };
+};
+
+/**
+ * Band of a performance index
+ * @param {Object} bands - { green, yellow } lowest index of each band
+ */
+const indexHealth = (index, bands) => {
+  if (index === null) {
+    return null;
+  }
+  if (index >= bands.green) {
+    return HEALTH.GREEN;
+  }
+  return index >= bands.yellow ? HEALTH.YELLOW : HEALTH.RED;
+};
+
+/**
+ * Health from SPI and CPI bands: the worse of the two, GREEN while neither is known
+ */
+const evaluateHealth = (metrics, bands) => {
+  const spiHealth = indexHealth(metrics.spi, bands);
+  const cpiHealth = indexHealth(metrics.cpi, bands);
+  const order = [HEALTH.GREEN, HEALTH.YELLOW, HEALTH.RED];
+
+  return {
+    bands,
+    spiHealth,
+    cpiHealth,
+    overall: [spiHealth, cpiHealth]
+      .filter(Boolean)
+      .reduce((worst, health) => (order.indexOf(health) > order.indexOf(worst) ? health : worst), HEALTH.GREEN)
+  };
+};
+
+module.exports = {
+  computeEvm,
+  evaluateHealth
+};
@@ -0,0 +1,495 @@
+/**
+ * Milestone Service
+ * Project milestones, their prerequisites and derived DELAYED status
+ *
+ * A milestone may depend on one prerequisite milestone of the same project.
+ * It cannot start (IN_PROGRESS or any progress) or complete before its
+ * prerequisite is completed or cancelled, and cannot complete earlier than
+ * it. DELAYED is never set by hand: an open milestone whose planned date
+ * has passed is DELAYED, and returns to NOT_STARTED or IN_PROGRESS when it
+ * is re-planned. Every change is rolled up into the project completion.
+ */
+
+const db = require('../config/database');
+const milestoneModel = require('../models/milestoneModel');
+const userModel = require('../models/userModel');
+const projectService = require('./projectService');
+const auditService = require('./auditService');
+const completionService = require('./completionService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  PROJECT_STATUS,
+  PROJECT_ACCESS,
+  MILESTONE_STATUS,
+  AUDIT_ACTION
+} = require('../config/constants');
+const { toDateString } = require('../utils/helpers');
+
+const CLOSED_PROJECT_STATUSES = [PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED];
+
+// A prerequisite in one of these statuses no longer holds its dependents back
+const PREREQUISITE_MET_STATUSES = [MILESTONE_STATUS.COMPLETED, MILESTONE_STATUS.CANCELLED];
+
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'plannedDate',
+  'status',
+  'completionPercentage',
+  'actualCompletionDate',
+  'responsibleUserId',
+  'sequenceOrder',
+  'dependsOnMilestoneId',
+  'budgetAllocated',
+  'actualCost',
+  'weight',
+  'deliverables'
+];
+
+/**
+ * Whether work on a milestone has begun
+ */
+const isStarted = (milestone) =>
+  [MILESTONE_STATUS.IN_PROGRESS, MILESTONE_STATUS.COMPLETED].includes(milestone.status) ||
+  milestone.completionPercentage > 0;
+
+/**
+ * Status to store: open milestones past their planned date are DELAYED
+ */
+const deriveStatus = (milestone, today) => {
+  if (PREREQUISITE_MET_STATUSES.includes(milestone.status)) {
+    return milestone.status;
+  }
+
+  if (milestone.plannedDate < today) {
+    return MILESTONE_STATUS.DELAYED;
+  }
+
+  if (milestone.status === MILESTONE_STATUS.DELAYED) {
+    return milestone.completionPercentage > 0 ? MILESTONE_STATUS.IN_PROGRESS : MILESTONE_STATUS.NOT_STARTED;
+  }
+
+  return milestone.status;
+};
+
+/**
+ * Load a milestone of the project or throw 404
+ */
+const findMilestoneOrFail = async (projectId, milestoneId, connection = null) => {
+  const milestone = await milestoneModel.findById(milestoneId, projectId, connection);
+
+  if (!milestone) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Milestone with ID ${milestoneId} not found on project ${projectId}`
+    );
+  }
+
+  return milestone;
+};
+
+/**
+ * Refuse milestone changes on a closed project
+ */
+const assertOpenProject = (project) => {
+  if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Milestones of a ${project.status} project cannot be changed`
+    );
+  }
+};
+
+const assertResponsibleUser = async (userId, connection) => {
+  const responsible = await userModel.findById(userId, connection);
+
+  if (!responsible || !responsible.isActive) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `User with ID ${userId} not found or inactive`
+    );
+  }
+};
+
+/**
+ * Check the prerequisite of a milestone: same project, and no cycle
+ * (each milestone has a single prerequisite, so the chain is followed up
+ * from the new prerequisite until it ends or comes back to a milestone
+ * already seen)
+ * @param {Object} milestone - Milestone as it would be stored (id null on create)
+ * @param {Map} byId - Milestones of the project by ID
+ * @returns {Object|null} Prerequisite milestone
+ */
+const checkDependency = (milestone, byId) => {
+  if (!milestone.dependsOnMilestoneId) {
+    return null;
+  }
+
+  const prerequisite = byId.get(milestone.dependsOnMilestoneId);
+
+  if (!prerequisite) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Prerequisite milestone ${milestone.dependsOnMilestoneId} is not a milestone of this project`
+    );
+  }
+
+  const chain = [milestone.id];
+  const visited = new Set(chain);
+  let current = prerequisite;
+
+  while (current) {
+    chain.push(current.id);
+
+    // Back to the milestone, or to a milestone already in the chain: a cycle
+    // recorded before dependencies were checked
+    if (visited.has(current.id)) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        'Milestone dependencies cannot form a cycle',
+        chain.slice(chain.indexOf(current.id)).map(id => ({ milestoneId: id, milestoneCode: byId.get(id).milestoneCode }))
+      );
+    }
+    visited.add(current.id);
+
+    current = current.dependsOnMilestoneId ? byId.get(current.dependsOnMilestoneId) : null;
+  }
+
+  return prerequisite;
+};
+
+/**
+ * A milestone cannot start or complete before its prerequisite
+ */
+const assertPrerequisiteMet = (milestone, prerequisite) => {
+  if (!prerequisite) {
+    return;
+  }
+
+  if (isStarted(milestone) && !PREREQUISITE_MET_STATUSES.includes(prerequisite.status)) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Milestone cannot start before its prerequisite ${prerequisite.milestoneCode} is completed`
+    );
+  }
+
+  if (milestone.status === MILESTONE_STATUS.COMPLETED &&
+      prerequisite.actualCompletionDate &&
+      milestone.actualCompletionDate < prerequisite.actualCompletionDate) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Milestone cannot be completed before its prerequisite ${prerequisite.milestoneCode} ` +
+        `(completed ${prerequisite.actualCompletionDate})`
+    );
+  }
+};
+
+/**
+ * A changed prerequisite must still hold for the dependents already under way
+ */
+const assertDependentsStillValid = (milestone, milestones) => {
+  milestones
+    .filter(other => other.dependsOnMilestoneId === milestone.id)
+    .forEach((dependent) => {
+      if (isStarted(dependent) && !PREREQUISITE_MET_STATUSES.includes(milestone.status)) {
+        throw createError(
+          HTTP_STATUS.CONFLICT,
+          ERROR_CODES.INVALID_INPUT,
+          `Milestone ${dependent.milestoneCode} depending on this milestone has already started`
+        );
+      }
+
+      if (dependent.status === MILESTONE_STATUS.COMPLETED &&
+          milestone.actualCompletionDate &&
+          dependent.actualCompletionDate < milestone.actualCompletionDate) {
+        throw createError(
+          HTTP_STATUS.CONFLICT,
+          ERROR_CODES.INVALID_INPUT,
+          `Milestone ${dependent.milestoneCode} depending on this milestone was completed ` +
+            `on ${dependent.actualCompletionDate}`
+        );
+      }
+    });
+};
+
+/**
+ * Normalize completion: completed milestones are at 100% with a completion
+ * date (today by default, never in the future); others have none
+ */
+const applyCompletion = (milestone, today) => {
+  if (milestone.status !== MILESTONE_STATUS.COMPLETED) {
+    return { ...milestone, actualCompletionDate: null };
+  }
+
+  const actualCompletionDate = milestone.actualCompletionDate
+    ? toDateString(milestone.actualCompletionDate)
+    : today;
+
+  if (actualCompletionDate > today) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Actual completion date cannot be in the future'
+    );
+  }
+
+  return { ...milestone, completionPercentage: 100, actualCompletionDate };
+};
+
+/**
+ * Next milestone code of a project (<project code>-M01, -M02, ...)
+ */
+const nextMilestoneCode = (project, milestones) => {
+  const last = milestones.reduce((max, milestone) => {
+    const match = milestone.milestoneCode.match(/-M(\d+)$/);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+
+  return `${project.projectCode}-M${String(last + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Record a milestone change in the audit trail
+ */
+const auditMilestone = async (auditContext, action, before, after, connection) => {
+  await auditService.record(auditContext, {
+    entityType: 'milestone',
+    entityId: (after || before).id,
+    action,
+    before,
+    after
+  }, connection);
+};
+
+/**
+ * List the milestones of a project in sequence order
+ */
+const listMilestones = async (projectId, user) => {
+  await projectService.getProjectById(projectId, user);
+
+  const milestones = await milestoneModel.findByProject(projectId);
+
+  return {
+    projectId,
+    milestones
+  };
+};
+
+/**
+ * Get one milestone with the milestones depending on it
+ */
+const getMilestone = async (projectId, milestoneId, user) => {
+  await projectService.getProjectById(projectId, user);
+
+  const milestone = await findMilestoneOrFail(projectId, milestoneId);
+  const milestones = await milestoneModel.findByProject(projectId);
+
+  return {
+    ...milestone,
+    dependents: milestones
+      .filter(other => other.dependsOnMilestoneId === milestone.id)
+      .map(other => ({ id: other.id, milestoneCode: other.milestoneCode, title: other.title, status: other.status }))
+  };
+};
+
+/**
+ * Create a milestone
+ * @param {Object} milestoneData - title, description, plannedDate, status, completionPercentage,
+ *   actualCompletionDate, responsibleUserId, sequenceOrder, dependsOnMilestoneId,
+ *   budgetAllocated, weight, deliverables
+ */
+const createMilestone = async (projectId, milestoneData, user, auditContext = null) => {
+  const project = await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_MILESTONES);
+  assertOpenProject(project);
+
+  const today = toDateString(new Date());
+
+  return await db.transaction(async (connection) => {
+    const milestones = await milestoneModel.findByProject(projectId, connection);
+    const byId = new Map(milestones.map(milestone => [milestone.id, milestone]));
+
+    await assertResponsibleUser(milestoneData.responsibleUserId, connection);
+
+    let candidate = applyCompletion({
+      id: null,
+      ...milestoneData,
+      plannedDate: toDateString(milestoneData.plannedDate),
+      status: milestoneData.status || MILESTONE_STATUS.NOT_STARTED,
+      completionPercentage: milestoneData.completionPercentage || 0,
+      dependsOnMilestoneId: milestoneData.dependsOnMilestoneId || null
+    }, today);
+
+    const prerequisite = checkDependency(candidate, byId);
+    assertPrerequisiteMet(candidate, prerequisite);
+
+    candidate = { ...candidate, status: deriveStatus(candidate, today) };
+
+    const milestoneId = await milestoneModel.create({
+      ...candidate,
+      projectId,
+      milestoneCode: nextMilestoneCode(project, milestones),
+      sequenceOrder: milestoneData.sequenceOrder ||
+        milestones.reduce((max, milestone) => Math.max(max, milestone.sequenceOrder), 0) + 1,
+      createdBy: user.id
+    }, connection);
+
+    const milestone = await milestoneModel.findById(milestoneId, projectId, connection);
+
+    await completionService.recalculate(projectId, user.id, connection);
+    await auditMilestone(auditContext, AUDIT_ACTION.CREATE, null, milestone, connection);
+
+    return milestone;
+  });
+};
+
+/**
+ * Change a milestone (fields, status, progress, prerequisite)
+ */
+const updateMilestone = async (projectId, milestoneId, updateData, user, auditContext = null) => {
+  const project = await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_MILESTONES);
+  assertOpenProject(project);
+
+  const today = toDateString(new Date());
+
+  return await db.transaction(async (connection) => {
+    const milestones = await milestoneModel.findByProject(projectId, connection);
+    const byId = new Map(milestones.map(milestone => [milestone.id, milestone]));
+    const existing = await findMilestoneOrFail(projectId, milestoneId, connection);
+
+    let next = { ...existing };
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (updateData[field] !== undefined) {
+        next[field] = updateData[field];
+      }
+    });
+
+    if (next.responsibleUserId !== existing.responsibleUserId) {
+      await assertResponsibleUser(next.responsibleUserId, connection);
+    }
+
+    // Reopening a completed milestone resets its progress unless a new one is given
+    if (existing.status === MILESTONE_STATUS.COMPLETED && next.status !== MILESTONE_STATUS.COMPLETED &&
+        updateData.completionPercentage === undefined) {
+      next.completionPercentage = 0;
+    }
+
+    next = applyCompletion({
+      ...next,
+      plannedDate: toDateString(next.plannedDate),
+      completionPercentage: parseFloat(next.completionPercentage),
+      dependsOnMilestoneId: next.dependsOnMilestoneId || null
+    }, today);
+
+    const prerequisite = checkDependency(next, byId);
+    assertPrerequisiteMet(next, prerequisite);
+    assertDependentsStillValid(next, milestones);
+
+    next.status = deriveStatus(next, today);
+
+    await milestoneModel.update(milestoneId, { ...next, updatedBy: user.id }, connection);
+
+    const milestone = await milestoneModel.findById(milestoneId, projectId, connection);
+
+    await completionService.recalculate(projectId, user.id, connection);
+    await auditMilestone(auditContext, AUDIT_ACTION.UPDATE, existing, milestone, connection);
+
+    return milestone;
+  });
+};
+
+/**
+ * Delete a milestone
+ * Milestones other milestones depend on are kept until those are re-linked.
+ */
+const deleteMilestone = async (projectId, milestoneId, user, auditContext = null) => {
+  const project = await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_MILESTONES);
+  assertOpenProject(project);
+
+  await db.transaction(async (connection) => {
+    const milestones = await milestoneModel.findByProject(projectId, connection);
+    const existing = await findMilestoneOrFail(projectId, milestoneId, connection);
+    const dependents = milestones.filter(other => other.dependsOnMilestoneId === existing.id);
+
+    if (dependents.length > 0) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.INVALID_INPUT,
+        'Milestone is the prerequisite of other milestones',
+        dependents.map(dependent => ({ milestoneId: dependent.id, milestoneCode: dependent.milestoneCode }))
+      );
+    }
+
+    await milestoneModel.remove(milestoneId, connection);
+    await completionService.recalculate(projectId, user.id, connection);
+
+    await auditMilestone(auditContext, AUDIT_ACTION.DELETE, existing, null, connection);
+  });
+};
+
+/**
+ * Reorder the milestones of a project
+ * @param {Array<number>} milestoneIds - Every milestone of the project, in the new order
+ */
+const reorderMilestones = async (projectId, milestoneIds, user, auditContext = null) => {
+  const project = await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_MILESTONES);
+  assertOpenProject(project);
+
+  return await db.transaction(async (connection) => {
+    const milestones = await milestoneModel.findByProject(projectId, connection);
+    const currentIds = milestones.map(milestone => milestone.id);
+
+    if (milestoneIds.length !== currentIds.length ||
+        new Set(milestoneIds).size !== milestoneIds.length ||
+        milestoneIds.some(id => !currentIds.includes(id))) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        'Milestone order must list every milestone of the project exactly once'
+      );
+    }
+
+    await milestoneModel.updateSequence(milestoneIds, user.id, connection);
+
+    const reordered = await milestoneModel.findByProject(projectId, connection);
+    const byId = new Map(milestones.map(milestone => [milestone.id, milestone]));
+
+    for (const milestone of reordered) {
+      await auditMilestone(auditContext, AUDIT_ACTION.UPDATE, byId.get(milestone.id), milestone, connection);
+    }
+
+    return {
+      projectId,
+      milestones: reordered
+    };
+  });
+};
+
+/**
+ * Scheduled run: mark open milestones past their planned date as DELAYED
+ * @returns {Promise<Object>} { delayed }
+ */
+const markDelayedMilestones = async () => {
+  const delayed = await milestoneModel.markDelayed();
+
+  return { delayed };
+};
+
+module.exports = {
+  listMilestones,
+  getMilestone,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  reorderMilestones,
+  markDelayedMilestones
+};
@@ -0,0 +1,419 @@
+/**
+ * Notification Service
+ * User notification inbox and the producers that fill it
+ */
+
+const db = require('../config/database');
+const notificationModel = require('../models/notificationModel');
+const notificationPreferenceModel = require('../models/notificationPreferenceModel');
+const budgetAllocationModel = require('../models/budgetAllocationModel');
+const milestoneModel = require('../models/milestoneModel');
+const equipmentModel = require('../models/equipmentModel');
+const documentModel = require('../models/documentModel');
+const projectModel = require('../models/projectModel');
+const userModel = require('../models/userModel');
+const emailService = require('./emailService');
+const settingsService = require('./settingsService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  ROLES,
+  NOTIFICATION_TYPE,
+  NOTIFICATION_PRIORITY,
+  SETTING_KEY
+} = require('../config/constants');
+const {
+  parsePagination,
+  buildPaginationMeta,
+  calculatePercentage,
+  formatCurrency,
+  toDateString
+} = require('../utils/helpers');
+
+// Scheduled notifications expire after a week; once purged, a condition
+// still true on the next scan is notified again (weekly reminder)
+const REMINDER_EXPIRY_DAYS = 7;
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+/**
+ * Load one of the user's notifications or throw 404
+ */
+const findNotificationOrFail = async (notificationId, userId) => {
+  const notification = await notificationModel.findById(notificationId, userId);
+
+  if (!notification) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Notification with ID ${notificationId} not found`
+    );
+  }
+
+  return notification;
+};
+
+/**
+ * Active holders of a role
+ */
+const getRoleHolderIds = async (roleName) => {
+  const holders = await userModel.findEligibleApprovers(roleName);
+  return holders.map(holder => holder.id);
+};
+
+/**
+ * Send the same notification to several users
+ * Missing and repeated recipients are ignored; a dedupeKey keeps a
+ * re-run from notifying a user twice about the same event. With an
+ * emailTemplate { key, variables }, an email copy is queued as well.
+ * @returns {Promise<Number>} Notifications created
+ */
+const notifyUsers = async (userIds, notification, connection = null) => {
+  const recipients = [...new Set(userIds.filter(Boolean))];
+  let created = 0;
+
+  for (const userId of recipients) {
+    const notificationId = await notificationModel.create({ ...notification, userId }, connection);
+
+    if (notificationId) {
+      created += 1;
+      await emailService.queueNotificationEmail(notificationId, { ...notification, userId }, connection);
+    }
+  }
+
+  return created;
+};
+
+// ============================================================================
+// INBOX
+// ============================================================================
+
+/**
+ * List the user's notifications
+ */
+const listNotifications = async (userId, filters, pagination) => {
+  const { page, limit, offset } = parsePagination(pagination);
+
+  const { notifications, total } = await notificationModel.findByUser(userId, filters, { limit, offset });
+
+  return {
+    notifications,
+    pagination: buildPaginationMeta(page, limit, total)
+  };
+};
+
+/**
+ * Count the user's unread notifications
+ */
+const getUnreadCount = async (userId) => {
+  return await notificationModel.countUnread(userId);
+};
+
+/**
+ * Mark one notification read
+ */
+const markRead = async (notificationId, userId) => {
+  await findNotificationOrFail(notificationId, userId);
+  await notificationModel.markRead(notificationId, userId);
+
+  return await notificationModel.findById(notificationId, userId);
+};
+
+/**
+ * Mark all of the user's notifications read, optionally of one type
+ */
+const markAllRead = async (userId, filters) => {
+  const updated = await notificationModel.markAllRead(userId, filters);
+
+  return { updated };
+};
+
+/**
+ * Delete one notification
+ */
+const deleteNotification = async (notificationId, userId) => {
+  await findNotificationOrFail(notificationId, userId);
+  await notificationModel.remove(notificationId, userId);
+};
+
+/**
+ * Get the user's email preference for every notification type
+ */
+const getPreferences = async (userId) => {
+  const stored = await notificationPreferenceModel.findByUser(userId);
+
+  return Object.values(NOTIFICATION_TYPE).map((notificationType) => {
+    const preference = stored.find(p => p.notificationType === notificationType);
+
+    return {
+      notificationType,
+      emailEnabled: preference ? preference.emailEnabled : true
+    };
+  });
+};
+
+/**
+ * Update the user's email preferences
+ * @param {Array<Object>} preferences - { notificationType, emailEnabled }
+ */
+const updatePreferences = async (userId, preferences) => {
+  await db.transaction(async (connection) => {
+    for (const preference of preferences) {
+      await notificationPreferenceModel.upsert(userId, preference.notificationType, preference.emailEnabled, connection);
+    }
+  });
+
+  return await getPreferences(userId);
+};
+
+// ============================================================================
+// PRODUCERS
+// ============================================================================
+
+/**
+ * Tell newly assigned approvers that a request awaits their decision
+ * @param {Object} approval - id, approvalCode, title, requestType
+ * @param {Array<Number>} approverIds - Users the step(s) were assigned to
+ */
+const notifyApprovalNeeded = async (approval, approverIds, connection = null) => {
+  return await notifyUsers(approverIds, {
+    notificationType: NOTIFICATION_TYPE.APPROVAL_NEEDED,
+    relatedEntityType: 'approval',
+    relatedEntityId: approval.id,
+    subject: `${approval.approvalCode} awaits your decision`,
+    message: `${approval.requestType} request "${approval.title || approval.approvalCode}" needs your approval.`,
+    priority: NOTIFICATION_PRIORITY.NORMAL,
+    actionUrl: `/approvals/${approval.id}`,
+    emailTemplate: {
+      key: 'approvalRequest',
+      variables: {
+        approvalCode: approval.approvalCode,
+        title: approval.title || approval.approvalCode,
+        requestType: approval.requestType
+      }
+    }
+  }, connection);
+};
+
+/**
+ * Notify project managers and finance controllers when a budget allocation
+ * crosses a consumption threshold (spent + committed)
+ * Only the highest threshold reached is notified, once per threshold.
+ * @returns {Promise<Number>} Notifications created
+ */
+const notifyBudgetThresholds = async (allocationId, connection = null) => {
+  const allocation = await budgetAllocationModel.findById(allocationId, connection);
+
+  if (!allocation) {
+    return 0;
+  }
+
+  const consumed = allocation.spentAmount + allocation.committedAmount;
+  const utilization = calculatePercentage(consumed, allocation.allocatedAmount);
+  const thresholds = await settingsService.getSetting(SETTING_KEY.BUDGET_ALERT_THRESHOLDS);
+  const reached = thresholds.filter(threshold => utilization >= threshold);
+
+  if (reached.length === 0) {
+    return 0;
+  }
+
+  const threshold = Math.max(...reached);
+  const project = await projectModel.findById(allocation.projectId);
+
+  if (!project) {
+    return 0;
+  }
+
+  let priority = NOTIFICATION_PRIORITY.NORMAL;
+
+  if (threshold >= 100) {
+    priority = NOTIFICATION_PRIORITY.CRITICAL;
+  } else if (threshold >= allocation.alertThresholdPercent) {
+    priority = NOTIFICATION_PRIORITY.HIGH;
+  }
+
+  const recipients = [
+    project.projectManager && project.projectManager.id,
+    project.alternateManager && project.alternateManager.id,
+    ...await getRoleHolderIds(ROLES.FINANCE_CONTROLLER)
+  ];
+
+  return await notifyUsers(recipients, {
+    notificationType: NOTIFICATION_TYPE.BUDGET_ALERT,
+    relatedEntityType: 'budget_allocation',
+    relatedEntityId: allocation.id,
+    subject: `${project.projectCode}: ${allocation.budgetCategory} budget at ${threshold}%`,
+    message: `${formatCurrency(consumed)} of ${formatCurrency(allocation.allocatedAmount)} is spent or committed ` +
+      `(${utilization}%) on the ${allocation.budgetCategory} budget of "${project.projectName}".`,
+    priority,
+    actionUrl: `/projects/${project.id}/budget`,
+    dedupeKey: `budget_allocation:${allocation.id}:${threshold}`,
+    emailTemplate: {
+      key: 'budgetAlert',
+      variables: {
+        projectCode: project.projectCode,
+        projectName: project.projectName,
+        budgetCategory: allocation.budgetCategory,
+        threshold,
+        utilization,
+        consumed: formatCurrency(consumed),
+        allocated: formatCurrency(allocation.allocatedAmount)
+      }
+    }
+  }, connection);
+};
+
+/**
+ * Notify responsible users and project managers of overdue milestones
+ * @returns {Promise<Number>} Notifications created
+ */
+const notifyOverdueMilestones = async () => {
+  const milestones = await milestoneModel.findOverdue();
+  let created = 0;
+
+  for (const milestone of milestones) {
+    const plannedDate = toDateString(milestone.plannedDate);
+
+    created += await notifyUsers(
+      [milestone.responsibleUserId, milestone.projectManagerId, milestone.alternateManagerId],
+      {
+        notificationType: NOTIFICATION_TYPE.MILESTONE_DUE,
+        relatedEntityType: 'milestone',
+        relatedEntityId: milestone.id,
+        subject: `${milestone.projectCode}: milestone "${milestone.title}" is overdue`,
+        message: `Milestone ${milestone.milestoneCode} of "${milestone.projectName}" was planned for ${plannedDate} ` +
+          `and is ${milestone.daysOverdue} day(s) late.`,
+        priority: NOTIFICATION_PRIORITY.HIGH,
+        actionUrl: `/projects/${milestone.projectId}/milestones/${milestone.id}`,
+        dedupeKey: `milestone:${milestone.id}:overdue:${plannedDate}`,
+        expiresAt: daysFromNow(REMINDER_EXPIRY_DAYS),
+        emailTemplate: {
+          key: 'milestoneReminder',
+          variables: {
+            projectCode: milestone.projectCode,
+            projectName: milestone.projectName,
+            milestoneCode: milestone.milestoneCode,
+            milestoneTitle: milestone.title,
+            plannedDate,
+            daysOverdue: milestone.daysOverdue
+          }
+        }
+      }
+    );
+  }
+
+  return created;
+};
+
+/**
+ * Notify equipment officers and the assigned user of upcoming or overdue maintenance
+ * @returns {Promise<Number>} Notifications created
+ */
+const notifyDueMaintenance = async () => {
+  const reminderDays = await settingsService.getSetting(SETTING_KEY.MAINTENANCE_REMINDER_DAYS);
+  const equipmentList = await equipmentModel.findMaintenanceDue(reminderDays);
+
+  if (equipmentList.length === 0) {
+    return 0;
+  }
+
+  const officerIds = await getRoleHolderIds(ROLES.EQUIPMENT_OFFICER);
+  let created = 0;
+
+  for (const equipment of equipmentList) {
+    const dueDate = toDateString(equipment.nextMaintenanceDate);
+    const overdue = equipment.daysUntilDue < 0;
+
+    created += await notifyUsers([...officerIds, equipment.assignedUserId], {
+      notificationType: NOTIFICATION_TYPE.MAINTENANCE_DUE,
+      relatedEntityType: 'equipment',
+      relatedEntityId: equipment.id,
+      subject: overdue
+        ? `${equipment.equipmentCode}: maintenance overdue`
+        : `${equipment.equipmentCode}: maintenance due on ${dueDate}`,
+      message: overdue
+        ? `Maintenance of "${equipment.equipmentName}" was due on ${dueDate}, ${-equipment.daysUntilDue} day(s) ago.`
+        : `Maintenance of "${equipment.equipmentName}" is due in ${equipment.daysUntilDue} day(s).`,
+      priority: overdue ? NOTIFICATION_PRIORITY.HIGH : NOTIFICATION_PRIORITY.NORMAL,
+      actionUrl: `/equipment/${equipment.id}`,
+      dedupeKey: `equipment:${equipment.id}:maintenance:${dueDate}`,
+      expiresAt: daysFromNow(REMINDER_EXPIRY_DAYS)
+    });
+  }
+
+  return created;
+};
+
+/**
+ * Notify uploaders and project managers of documents (contracts, permits...)
+ * whose validity ends soon
+ * @returns {Promise<Number>} Notifications created
+ */
+const notifyExpiringDocuments = async () => {
+  const reminderDays = await settingsService.getSetting(SETTING_KEY.DOCUMENT_EXPIRY_REMINDER_DAYS);
+  const documents = await documentModel.findExpiring(reminderDays);
+  let created = 0;
+
+  for (const document of documents) {
+    const validityEnd = toDateString(document.validityEnd);
+    const prefix = document.projectCode ? `${document.projectCode}: ` : '';
+
+    created += await notifyUsers(
+      [document.uploadedBy, document.projectManagerId, document.alternateManagerId],
+      {
+        notificationType: NOTIFICATION_TYPE.DOCUMENT_EXPIRING,
+        relatedEntityType: 'document',
+        relatedEntityId: document.id,
+        subject: `${prefix}document "${document.documentName}" expires on ${validityEnd}`,
+        message: `Document ${document.documentCode} (${document.documentType}) is valid until ${validityEnd}, ` +
+          `${document.daysUntilExpiry} day(s) from now. Renew it or upload a new version.`,
+        priority: document.daysUntilExpiry <= REMINDER_EXPIRY_DAYS ? NOTIFICATION_PRIORITY.HIGH : NOTIFICATION_PRIORITY.NORMAL,
+        actionUrl: `/documents/${document.id}`,
+        dedupeKey: `document:${document.id}:expiry:${validityEnd}`,
+        expiresAt: daysFromNow(REMINDER_EXPIRY_DAYS),
+        emailTemplate: {
+          key: 'documentExpiry',
+          variables: {
+            documentCode: document.documentCode,
+            documentName: document.documentName,
+            documentType: document.documentType,
+            validityEnd,
+            daysUntilExpiry: document.daysUntilExpiry
+          }
+        }
+      }
+    );
+  }
+
+  return created;
+};
+
+/**
+ * Run the scheduled producers, then purge expired notifications
+ */
+const runScheduledChecks = async () => {
+  const purged = await notificationModel.deleteExpired();
+  const overdueMilestones = await notifyOverdueMilestones();
+  const dueMaintenance = await notifyDueMaintenance();
+  const expiringDocuments = await notifyExpiringDocuments();
+
+  return { purged, overdueMilestones, dueMaintenance, expiringDocuments };
+};
+
+module.exports = {
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences,
+  notifyUsers,
+  notifyApprovalNeeded,
+  notifyBudgetThresholds,
+  notifyOverdueMilestones,
+  notifyDueMaintenance,
+  notifyExpiringDocuments,
+  runScheduledChecks
+};
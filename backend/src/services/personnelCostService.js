@@ -0,0 +1,216 @@
+/**
+ * Personnel Cost Service
+ * Monthly accrual of labor cost from resource allocations into the
+ * PERSONNEL budget of each project
+ *
+ * Cost of an allocation for a month = working days (Monday to Friday) of
+ * the allocation inside the month x working hours per day x allocation
+ * percentage x hourly rate. Each allocation-month is posted under its own
+ * reference number, so re-running a month only posts the difference with
+ * what was already accrued (an EXPENSE, or a REVERSAL after a correction).
+ * Allocations no longer costed (paused or removed) keep what was accrued.
+ */
+
+const db = require('../config/database');
+const resourceAllocationModel = require('../models/resourceAllocationModel');
+const budgetAllocationModel = require('../models/budgetAllocationModel');
+const settingsService = require('./settingsService');
+const notificationService = require('./notificationService');
+const logger = require('../middleware/logger');
+const { createError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_CODES, BUDGET_CATEGORY, SETTING_KEY } = require('../config/constants');
+const { toDateString, addDays } = require('../utils/helpers');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * First and last day of a month (YYYY-MM)
+ */
+const monthBounds = (month) => {
+  const from = `${month}-01`;
+  const next = new Date(from);
+  next.setUTCMonth(next.getUTCMonth() + 1);
+
+  return { from, to: addDays(next, -1) };
+};
+
+/**
+ * Count Monday to Friday days between two dates (inclusive)
+ */
+const countWorkingDays = (from, to) => {
+  let days = 0;
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const weekday = new Date(day).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      days++;
+    }
+  }
+
+  return days;
+};
+
+/**
+ * Labor cost of an allocation over a month
+ */
+const computeCost = (allocation, from, to, hoursPerDay) => {
+  const start = allocation.startDate > from ? allocation.startDate : from;
+  const end = allocation.endDate && allocation.endDate < to ? allocation.endDate : to;
+  const workingDays = countWorkingDays(start, end);
+  const hours = roundAmount(workingDays * hoursPerDay * allocation.allocationPercentage / 100);
+
+  return {
+    workingDays,
+    hours,
+    amount: roundAmount(hours * allocation.hourlyRate)
+  };
+};
+
+/**
+ * Post the personnel cost of one project for a month
+ * The PERSONNEL allocation row is locked so that concurrent runs post once.
+ * @returns {Promise<Object|null>} Project result, null without PERSONNEL budget
+ */
+const accrueProject = async (allocations, month, period, hoursPerDay, user) => {
+  const { projectId } = allocations[0];
+
+  return await db.transaction(async (connection) => {
+    const budget = await budgetAllocationModel.findByProjectAndCategory(
+      projectId, BUDGET_CATEGORY.PERSONNEL, connection
+    );
+
+    if (!budget) {
+      return null;
+    }
+
+    const result = { projectId, projectCode: allocations[0].project.projectCode, amount: 0, posted: 0, lines: [] };
+
+    for (const allocation of allocations) {
+      const cost = computeCost(allocation, period.from, period.to, hoursPerDay);
+      const referenceNumber = `PERS-${month}-RA${allocation.id}`;
+      const accrued = await budgetAllocationModel.getNetExpense(budget.id, referenceNumber, connection);
+      const delta = roundAmount(cost.amount - accrued);
+
+      if (delta !== 0) {
+        await budgetAllocationModel.createTransaction({
+          budgetAllocationId: budget.id,
+          transactionType: delta > 0 ? 'EXPENSE' : 'REVERSAL',
+          amount: Math.abs(delta),
+          description: `Personnel cost ${month}: ${allocation.user.firstName} ${allocation.user.lastName}, ` +
+            `${cost.hours} h at ${allocation.hourlyRate} MAD/h (${allocation.allocationPercentage}%)`,
+          referenceNumber,
+          transactionDate: period.postingDate,
+          createdBy: user ? user.id : allocation.createdBy
+        }, connection);
+      }
+
+      result.amount = roundAmount(result.amount + cost.amount);
+      result.posted = roundAmount(result.posted + delta);
+      result.lines.push({
+        allocationId: allocation.id,
+        userId: allocation.userId,
+        referenceNumber,
+        ...cost,
+        hourlyRate: allocation.hourlyRate,
+        allocationPercentage: allocation.allocationPercentage,
+        previouslyAccrued: accrued,
+        posted: delta
+      });
+    }
+
+    if (result.posted !== 0) {
+      await budgetAllocationModel.adjustAmounts(
+        budget.id,
+        { spent: result.posted },
+        user ? user.id : allocations[0].createdBy,
+        connection
+      );
+      await notificationService.notifyBudgetThresholds(budget.id, connection);
+    }
+
+    return result;
+  });
+};
+
+/**
+ * Accrue personnel costs of every project for a month
+ * Projects without a PERSONNEL budget allocation are skipped; they are
+ * caught up by a later run once the allocation exists.
+ * @param {String} month - YYYY-MM (current month accrues up to today)
+ * @param {Object|null} user - Requesting user, null for the scheduled job
+ */
+const accrueMonth = async (month, user = null) => {
+  const today = toDateString(new Date());
+  const { from, to } = monthBounds(month);
+
+  if (from > today) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Personnel costs cannot be accrued for a future month'
+    );
+  }
+
+  const period = { from, to: to < today ? to : today };
+  period.postingDate = period.to;
+
+  const hoursPerDay = await settingsService.getSetting(SETTING_KEY.WORKING_HOURS_PER_DAY);
+  const allocations = await resourceAllocationModel.findCostedInPeriod(period.from, period.to);
+
+  const byProject = new Map();
+  allocations.forEach((allocation) => {
+    byProject.set(allocation.projectId, [...(byProject.get(allocation.projectId) || []), allocation]);
+  });
+
+  const summary = { month, from: period.from, to: period.to, totalAmount: 0, totalPosted: 0, projects: [], skipped: [] };
+
+  for (const projectAllocations of byProject.values()) {
+    const result = await accrueProject(projectAllocations, month, period, hoursPerDay, user);
+
+    if (!result) {
+      summary.skipped.push({
+        projectId: projectAllocations[0].projectId,
+        projectCode: projectAllocations[0].project.projectCode,
+        reason: 'No PERSONNEL budget allocation'
+      });
+      continue;
+    }
+
+    summary.totalAmount = roundAmount(summary.totalAmount + result.amount);
+    summary.totalPosted = roundAmount(summary.totalPosted + result.posted);
+    summary.projects.push(result);
+  }
+
+  if (summary.skipped.length > 0) {
+    logger.warn('Personnel costs not accrued, projects without PERSONNEL budget:', {
+      month,
+      projectIds: summary.skipped.map(project => project.projectId)
+    });
+  }
+
+  return summary;
+};
+
+/**
+ * Scheduled run: accrue the previous month
+ * @returns {Promise<Object>} { month, projects, totalPosted, skipped }
+ */
+const runMonthlyAccrual = async () => {
+  const previous = new Date();
+  previous.setUTCDate(1);
+  previous.setUTCMonth(previous.getUTCMonth() - 1);
+
+  const summary = await accrueMonth(toDateString(previous).slice(0, 7));
+
+  return {
+    month: summary.month,
+    projects: summary.projects.length,
+    totalPosted: summary.totalPosted,
+    skipped: summary.skipped.length
+  };
+};
+
+module.exports = {
+  accrueMonth,
+  runMonthlyAccrual
+};
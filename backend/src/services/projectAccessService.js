@@ -0,0 +1,221 @@
+/**
+ * Project Access Service
+ * What a user may do on a project, from their project memberships and
+ * global roles
+ *
+ * Members get the access of their role on the project: managers and
+ * alternates everything, engineers the milestones, risks, documents and
+ * equipment, finance officers the budget, observers read-only access. A few global
+ * roles reach every project: administrators fully, supervisors read-only
+ * (including the budget) and equipment officers to allocate equipment.
+ * The permission checks of the routes still apply on top.
+ */
+
+const projectModel = require('../models/projectModel');
+const projectMemberModel = require('../models/projectMemberModel');
+const userModel = require('../models/userModel');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  ROLES,
+  PERMISSIONS,
+  PROJECT_MEMBER_ROLE,
+  PROJECT_ACCESS
+} = require('../config/constants');
+
+const ALL_ACCESS = Object.values(PROJECT_ACCESS);
+
+/**
+ * Access granted by each member role
+ */
+const MEMBER_ROLE_ACCESS = {
+  [PROJECT_MEMBER_ROLE.MANAGER]: ALL_ACCESS,
+  [PROJECT_MEMBER_ROLE.ALTERNATE]: ALL_ACCESS,
+  [PROJECT_MEMBER_ROLE.ENGINEER]: [
+    PROJECT_ACCESS.VIEW,
+    PROJECT_ACCESS.MANAGE_MILESTONES,
+    PROJECT_ACCESS.UPLOAD_DOCUMENTS,
+    PROJECT_ACCESS.REQUEST_EQUIPMENT,
+    PROJECT_ACCESS.MANAGE_RISKS
+  ],
+  [PROJECT_MEMBER_ROLE.FINANCE]: [
+    PROJECT_ACCESS.VIEW,
+    PROJECT_ACCESS.VIEW_BUDGET,
+    PROJECT_ACCESS.MANAGE_BUDGET,
+    PROJECT_ACCESS.UPLOAD_DOCUMENTS
+  ],
+  [PROJECT_MEMBER_ROLE.OBSERVER]: [PROJECT_ACCESS.VIEW]
+};
+
+/**
+ * Access granted on every project by a global role
+ */
+const GLOBAL_ROLE_ACCESS = {
+  [ROLES.ADMIN]: ALL_ACCESS,
+  [ROLES.SUPERVISOR]: [PROJECT_ACCESS.VIEW, PROJECT_ACCESS.VIEW_BUDGET],
+  [ROLES.EQUIPMENT_OFFICER]: [PROJECT_ACCESS.REQUEST_EQUIPMENT]
+};
+
+const DENIED_MESSAGES = {
+  [PROJECT_ACCESS.VIEW]: 'You do not have permission to access this project',
+  [PROJECT_ACCESS.EDIT]: 'Only the project managers can change this project',
+  [PROJECT_ACCESS.MANAGE_MEMBERS]: 'Only the project managers can manage the project members',
+  [PROJECT_ACCESS.VIEW_BUDGET]: 'You do not have access to the budget of this project',
+  [PROJECT_ACCESS.MANAGE_BUDGET]: 'Only the project managers and finance members can manage this budget',
+  [PROJECT_ACCESS.MANAGE_MILESTONES]: 'Only the project managers and engineers can change its milestones',
+  [PROJECT_ACCESS.UPLOAD_DOCUMENTS]: 'Only the project team can upload documents to this project',
+  [PROJECT_ACCESS.MANAGE_DOCUMENTS]: 'Only the project managers can manage the documents of this project',
+  [PROJECT_ACCESS.REQUEST_EQUIPMENT]: 'Only the project team can request equipment for this project',
+  [PROJECT_ACCESS.MANAGE_RISKS]: 'Only the project managers and engineers can change its risk register'
+};
+
+/**
+ * Global roles of a user granting an access on every project
+ */
+const globalGrants = (roles, access) => roles
+  .filter(role => (GLOBAL_ROLE_ACCESS[role] || []).includes(access))
+  .map(role => ({ type: 'GLOBAL_ROLE', role }));
+
+/**
+ * Memberships of a user granting an access on the project
+ */
+const memberGrants = (memberships, access) => memberships
+  .filter(membership => MEMBER_ROLE_ACCESS[membership.memberRole].includes(access))
+  .map(membership => ({ type: 'MEMBER_ROLE', role: membership.memberRole, source: membership.source }));
+
+/**
+ * Everything that grants a user each access on a project
+ * @returns {Promise<Object>} { memberships, grants: { [access]: [grant] } }
+ */
+const resolveAccess = async (projectId, user) => {
+  const memberships = await projectMemberModel.findByUser(projectId, user.id);
+
+  const grants = {};
+  ALL_ACCESS.forEach((access) => {
+    grants[access] = [...globalGrants(user.roles, access), ...memberGrants(memberships, access)];
+  });
+
+  return { memberships, grants };
+};
+
+/**
+ * Whether a user has an access on a project
+ */
+const hasAccess = async (projectId, user, access) => {
+  if (globalGrants(user.roles, access).length > 0) {
+    return true;
+  }
+
+  const memberships = await projectMemberModel.findByUser(projectId, user.id);
+  return memberGrants(memberships, access).length > 0;
+};
+
+/**
+ * Ensure a user has an access on a project
+ */
+const assertAccess = async (projectId, user, access) => {
+  if (!(await hasAccess(projectId, user, access))) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      DENIED_MESSAGES[access]
+    );
+  }
+};
+
+/**
+ * Project filter of a user for lists: null when they have the access on
+ * every project, otherwise the user whose memberships restrict the list
+ */
+const visibilityFilter = (user, access = PROJECT_ACCESS.VIEW) => {
+  return globalGrants(user.roles, access).length > 0 ? null : user.id;
+};
+
+/**
+ * Member roles granting an access (to restrict lists to those memberships)
+ */
+const memberRolesWith = (access) => Object.keys(MEMBER_ROLE_ACCESS)
+  .filter(role => MEMBER_ROLE_ACCESS[role].includes(access));
+
+/**
+ * Explain why a user can or cannot access a project
+ * Lists the memberships and global roles of the user and, for each access,
+ * what grants it.
+ */
+const explainAccess = async (projectId, userId) => {
+  const project = await projectModel.findById(projectId);
+
+  if (!project) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Project with ID ${projectId} not found`
+    );
+  }
+
+  const user = await userModel.findById(userId);
+
+  if (!user) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `User with ID ${userId} not found`
+    );
+  }
+
+  const roles = await userModel.getUserRoles(userId);
+  const permissions = await userModel.getUserPermissions(userId);
+  const { memberships, grants } = await resolveAccess(projectId, { id: userId, roles });
+
+  const isLocked = Boolean(user.lockedUntil && new Date(user.lockedUntil) > new Date());
+  const hasReadPermission = permissions.includes(PERMISSIONS.PROJECT_READ);
+  const canAccess = Boolean(user.isActive) && !isLocked && hasReadPermission &&
+    grants[PROJECT_ACCESS.VIEW].length > 0;
+
+  const reasons = [];
+  if (!user.isActive) {
+    reasons.push('The account is inactive');
+  }
+  if (isLocked) {
+    reasons.push('The account is locked');
+  }
+  if (!hasReadPermission) {
+    reasons.push(`No role of the user has the ${PERMISSIONS.PROJECT_READ} permission`);
+  }
+  if (grants[PROJECT_ACCESS.VIEW].length === 0) {
+    reasons.push('The user is not a member of the project and no global role grants access to every project');
+  }
+
+  return {
+    projectId,
+    projectCode: project.projectCode,
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      isActive: Boolean(user.isActive),
+      isLocked
+    },
+    roles,
+    memberships,
+    canAccess,
+    reasons,
+    access: ALL_ACCESS.map(access => ({
+      access,
+      granted: grants[access].length > 0,
+      grantedBy: grants[access]
+    }))
+  };
+};
+
+module.exports = {
+  MEMBER_ROLE_ACCESS,
+  GLOBAL_ROLE_ACCESS,
+  hasAccess,
+  assertAccess,
+  visibilityFilter,
+  memberRolesWith,
+  explainAccess
+};
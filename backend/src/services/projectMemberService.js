@@ -0,0 +1,152 @@
+/**
+ * Project Member Service
+ * Members of a project and their role on it
+ *
+ * Managers and alternates come from the project record and engineers from
+ * active team allocations; the explicit members (engineer, finance,
+ * observer) are managed here by the project managers.
+ */
+
+const db = require('../config/database');
+const projectMemberModel = require('../models/projectMemberModel');
+const userModel = require('../models/userModel');
+const projectService = require('./projectService');
+const auditService = require('./auditService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  PROJECT_ACCESS,
+  AUDIT_ACTION
+} = require('../config/constants');
+
+/**
+ * Load the explicit membership of a user or throw 404
+ */
+const findMemberOrFail = async (projectId, userId, connection = null) => {
+  const member = await projectMemberModel.findMember(projectId, userId, connection);
+
+  if (!member) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `User ${userId} is not an explicit member of project ${projectId}`
+    );
+  }
+
+  return member;
+};
+
+/**
+ * Record a membership change in the audit trail
+ */
+const auditMember = async (auditContext, action, before, after, connection) => {
+  await auditService.record(auditContext, {
+    entityType: 'project_member',
+    entityId: (after || before).id,
+    action,
+    before,
+    after
+  }, connection);
+};
+
+/**
+ * List the members of a project, with the source of each membership
+ */
+const listMembers = async (projectId, user) => {
+  await projectService.getProjectById(projectId, user);
+
+  return {
+    projectId,
+    members: await projectMemberModel.findByProject(projectId)
+  };
+};
+
+/**
+ * Add an explicit member to a project
+ * @param {Object} memberData - userId, memberRole, notes
+ */
+const addMember = async (projectId, memberData, user, auditContext = null) => {
+  await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_MEMBERS);
+
+  const member = await userModel.findById(memberData.userId);
+
+  if (!member || !member.isActive) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `User with ID ${memberData.userId} not found or inactive`
+    );
+  }
+
+  return await db.transaction(async (connection) => {
+    if (await projectMemberModel.findMember(projectId, member.id, connection)) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.DUPLICATE_ENTRY,
+        `User ${member.id} is already a member of project ${projectId}`
+      );
+    }
+
+    await projectMemberModel.create({
+      projectId,
+      userId: member.id,
+      memberRole: memberData.memberRole,
+      notes: memberData.notes,
+      createdBy: user.id
+    }, connection);
+
+    const created = await projectMemberModel.findMember(projectId, member.id, connection);
+
+    await auditMember(auditContext, AUDIT_ACTION.CREATE, null, created, connection);
+
+    return created;
+  });
+};
+
+/**
+ * Change the role of an explicit member
+ * @param {Object} changes - memberRole, notes
+ */
+const updateMember = async (projectId, userId, changes, user, auditContext = null) => {
+  await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_MEMBERS);
+
+  return await db.transaction(async (connection) => {
+    const existing = await findMemberOrFail(projectId, userId, connection);
+
+    await projectMemberModel.update(projectId, userId, {
+      memberRole: changes.memberRole || existing.memberRole,
+      notes: changes.notes !== undefined ? changes.notes : existing.notes
+    }, connection);
+
+    const updated = await projectMemberModel.findMember(projectId, userId, connection);
+
+    await auditMember(auditContext, AUDIT_ACTION.UPDATE, existing, updated, connection);
+
+    return updated;
+  });
+};
+
+/**
+ * Remove an explicit member
+ * Memberships held through the project record or a team allocation are
+ * changed there.
+ */
+const removeMember = async (projectId, userId, user, auditContext = null) => {
+  await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_MEMBERS);
+
+  await db.transaction(async (connection) => {
+    const existing = await findMemberOrFail(projectId, userId, connection);
+
+    await projectMemberModel.remove(projectId, userId, connection);
+
+    await auditMember(auditContext, AUDIT_ACTION.DELETE, existing, null, connection);
+  });
+};
+
+module.exports = {
+  listMembers,
+  addMember,
+  updateMember,
+  removeMember
+};
@@ -3,11 +3,83 @@
  * Business logic for project operations
  */
 
+const db = require('../config/database');
 const projectModel = require('../models/projectModel');
+const milestoneModel = require('../models/milestoneModel');
+const projectRiskModel = require('../models/projectRiskModel');
+const auditService = require('./auditService');
+const budgetAllocationModel = require('../models/budgetAllocationModel');
+const scheduleService = require('./scheduleService');
+const projectTransitionService = require('./projectTransitionService');
+const projectAccessService = require('./projectAccessService');
+const evmService = require('./evmService');
+const riskMatrixService = require('./riskMatrixService');
+const settingsService = require('./settingsService');
 const logger = require('../middleware/logger');
 const { createError } = require('../middleware/errorHandler');
-const { HTTP_STATUS, ERROR_CODES, PROJECT_STATUS } = require('../config/constants');
-const { parsePagination, buildPaginationMeta, generateCode, calculatePercentage } = require('../utils/helpers');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  PROJECT_STATUS,
+  PROJECT_ACCESS,
+  AUDIT_ACTION,
+  SETTING_KEY,
+  PROJECT_HEALTH_BASIS
+} = require('../config/constants');
+const {
+  parsePagination,
+  buildPaginationMeta,
+  generateCode,
+  calculatePercentage,
+  toDateString
+} = require('../utils/helpers');
+
+/**
+ * Apply a change to a project and record it in the audit trail
+ * The project is read before and after the write in the same transaction.
+ * @param {Function} write - Receives the transaction connection
+ */
+const auditedUpdate = async (projectId, action, auditContext, write) => {
+  await db.transaction(async (connection) => {
+    const before = await projectModel.findById(projectId, connection);
+    
+    await write(connection);
+    
+    await auditService.record(auditContext, {
+      entityType: 'project',
+      entityId: projectId,
+      action,
+      before,
+      after: action === AUDIT_ACTION.DELETE ? null : await projectModel.findById(projectId, connection)
+    }, connection);
+  });
+};
+
+/**
+ * Status only changes through PUT /projects/:id/status, where the transition guards apply
+ */
+const assertStatusUnchanged = (project, status) => {
+  if (status !== undefined && status !== project.status) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Project status cannot be changed here; use PUT /projects/:id/status'
+    );
+  }
+};
+
+/**
+ * Completion is derived from the milestones; it is only set through the override endpoint
+ */
+const assertCompletionUnset = (completionPercentage) => {
+  if (completionPercentage !== undefined) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Completion percentage is derived from the milestones; use PUT /projects/:id/completion/override to override it'
+    );
+  }
+};
 
 /**
  * List all projects with filtering and pagination
@@ -15,9 +87,8 @@ const { parsePagination, buildPaginationMeta, generateCode, calculatePercentage
 const listProjects = async (filters, pagination, sort, user) => {
   const { page, limit, offset } = parsePagination(pagination);
   
-  // Apply row-level security: non-admins only see their projects
-  const isAdmin = user.roles.includes('ADMIN');
-  const userId = isAdmin ? null : user.id;
+  // Apply row-level security: users only see the projects they are members of
+  const userId = projectAccessService.visibilityFilter(user);
   
   const { projects, total } = await projectModel.findAll(filters, { limit, offset }, sort, userId);
   
@@ -30,7 +101,7 @@ const listProjects = async (filters, pagination, sort, user) => {
 /**
  * Create new project
  */
-const createProject = async (projectData, createdBy) => {
+const createProject = async (projectData, createdBy, auditContext = null) => {
   // Validate dates
   if (new Date(projectData.plannedEndDate) < new Date(projectData.startDate)) {
     throw createError(
@@ -49,11 +120,22 @@ const createProject = async (projectData, createdBy) => {
     );
   }
   
-  // Create project
-  const projectId = await projectModel.create({
-    ...projectData,
-    createdBy,
-    updatedBy: createdBy
+  // Create project and record it in the audit trail
+  const projectId = await db.transaction(async (connection) => {
+    const id = await projectModel.create({
+      ...projectData,
+      createdBy,
+      updatedBy: createdBy
+    }, connection);
+    
+    await auditService.record(auditContext, {
+      entityType: 'project',
+      entityId: id,
+      action: AUDIT_ACTION.CREATE,
+      after: await projectModel.findById(id, connection)
+    }, connection);
+    
+    return id;
   });
   
   // Get created project
@@ -64,8 +146,9 @@ const createProject = async (projectData, createdBy) => {
 
 /**
  * Get project by ID
+ * @param {String} access - Access to the project the user needs (PROJECT_ACCESS), VIEW by default
  */
-const getProjectById = async (projectId, user) => {
+const getProjectById = async (projectId, user, access = PROJECT_ACCESS.VIEW) => {
   const project = await projectModel.findById(projectId);
   
   if (!project) {
@@ -76,14 +159,8 @@ const getProjectById = async (projectId, user) => {
     );
   }
   
-  // Check access permission (non-admins can only access their projects)
-  if (!user.roles.includes('ADMIN') && project.projectManagerId !== user.id) {
-    throw createError(
-      HTTP_STATUS.FORBIDDEN,
-      ERROR_CODES.FORBIDDEN,
-      'You do not have permission to access this project'
-    );
-  }
+  // Check access: project membership or a global role
+  await projectAccessService.assertAccess(projectId, user, access);
   
   return project;
 };
@@ -91,9 +168,12 @@ const getProjectById = async (projectId, user) => {
 /**
  * Update entire project
  */
-const updateProject = async (projectId, projectData, updatedBy, user) => {
+const updateProject = async (projectId, projectData, updatedBy, user, auditContext = null) => {
   // Check if project exists and user has access
-  await getProjectById(projectId, user);
+  const project = await getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
+  
+  assertStatusUnchanged(project, projectData.status);
+  assertCompletionUnset(projectData.completionPercentage);
   
   // Validate dates
   if (new Date(projectData.plannedEndDate) < new Date(projectData.startDate)) {
@@ -105,10 +185,13 @@ const updateProject = async (projectId, projectData, updatedBy, user) => {
   }
   
   // Update project
-  await projectModel.update(projectId, {
-    ...projectData,
-    updatedBy
-  });
+  await auditedUpdate(projectId, AUDIT_ACTION.UPDATE, auditContext, (connection) =>
+    projectModel.update(projectId, {
+      ...projectData,
+      status: project.status,
+      updatedBy
+    }, connection)
+  );
   
   // Return updated project
   return await projectModel.findById(projectId);
@@ -117,9 +200,12 @@ const updateProject = async (projectId, projectData, updatedBy, user) => {
 /**
  * Partially update project
  */
-const patchProject = async (projectId, updates, updatedBy, user) => {
+const patchProject = async (projectId, updates, updatedBy, user, auditContext = null) => {
   // Check if project exists and user has access
-  await getProjectById(projectId, user);
+  const project = await getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
+  
+  assertStatusUnchanged(project, updates.status);
+  assertCompletionUnset(updates.completionPercentage);
   
   // Validate dates if both provided
   if (updates.plannedEndDate && updates.startDate) {
@@ -133,10 +219,12 @@ const patchProject = async (projectId, updates, updatedBy, user) => {
   }
   
   // Update project
-  await projectModel.patch(projectId, {
-    ...updates,
-    updatedBy
-  });
+  await auditedUpdate(projectId, AUDIT_ACTION.UPDATE, auditContext, (connection) =>
+    projectModel.patch(projectId, {
+      ...updates,
+      updatedBy
+    }, connection)
+  );
   
   // Return updated project
   return await projectModel.findById(projectId);
@@ -145,9 +233,9 @@ const patchProject = async (projectId, updates, updatedBy, user) => {
 /**
  * Soft delete project
  */
-const deleteProject = async (projectId, deletedBy, user) => {
+const deleteProject = async (projectId, deletedBy, user, auditContext = null) => {
   // Check if project exists and user has access
-  const project = await getProjectById(projectId, user);
+  const project = await getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
   
   // Check if project can be deleted (only PLANNING or CANCELLED projects)
   if (project.status !== PROJECT_STATUS.PLANNING && project.status !== PROJECT_STATUS.CANCELLED) {
@@ -158,19 +246,22 @@ const deleteProject = async (projectId, deletedBy, user) => {
     );
   }
   
-  await projectModel.softDelete(projectId, deletedBy);
+  await auditedUpdate(projectId, AUDIT_ACTION.DELETE, auditContext, (connection) =>
+    projectModel.softDelete(projectId, deletedBy, connection)
+  );
 };
 
 /**
- * Update project status
+ * Update project status following the transition table of projectTransitionService
+ * @param {Object} statusData - status, reason, actualEndDate, completionNotes
  */
-const updateProjectStatus = async (projectId, status, actualEndDate, completionNotes, updatedBy, user) => {
+const updateProjectStatus = async (projectId, statusData, updatedBy, user, auditContext = null) => {
   // Check if project exists and user has access
   await getProjectById(projectId, user);
   
   // Validate status
   const validStatuses = Object.values(PROJECT_STATUS);
-  if (!validStatuses.includes(status)) {
+  if (!validStatuses.includes(statusData.status)) {
     throw createError(
       HTTP_STATUS.UNPROCESSABLE_ENTITY,
       ERROR_CODES.VALIDATION_ERROR,
@@ -178,27 +269,49 @@ const updateProjectStatus = async (projectId, status, actualEndDate, completionN
     );
   }
   
-  // If status is COMPLETED, require actual end date
-  if (status === PROJECT_STATUS.COMPLETED && !actualEndDate) {
-    throw createError(
-      HTTP_STATUS.UNPROCESSABLE_ENTITY,
-      ERROR_CODES.VALIDATION_ERROR,
-      'Actual end date is required when completing a project'
+  await db.transaction(async (connection) => {
+    const before = await projectModel.findById(projectId, connection);
+    
+    await projectTransitionService.assertTransition(before, statusData.status, statusData, user, connection);
+    
+    await projectModel.updateStatus(
+      projectId,
+      statusData.status,
+      statusData.actualEndDate,
+      statusData.completionNotes,
+      updatedBy,
+      connection
     );
-  }
-  
-  // Update status
-  await projectModel.updateStatus(projectId, status, actualEndDate, completionNotes, updatedBy);
+    
+    await auditService.record(auditContext, {
+      entityType: 'project',
+      entityId: projectId,
+      action: AUDIT_ACTION.UPDATE,
+      before,
+      after: await projectModel.findById(projectId, connection),
+      reason: statusData.reason
+    }, connection);
+  });
   
   return await projectModel.findById(projectId);
 };
 
+/**
+ * List the status transitions the user may perform on a project
+ */
+const getProjectTransitions = async (projectId, user) => {
+  // Check if project exists and user has access
+  const project = await getProjectById(projectId, user);
+  
+  return await projectTransitionService.listTransitions(project, user);
+};
+
 /**
  * Get project budget breakdown
  */
 const getProjectBudget = async (projectId, user) => {
   // Check if project exists and user has access
-  await getProjectById(projectId, user);
+  await getProjectById(projectId, user, PROJECT_ACCESS.VIEW_BUDGET);
   
   const budget = await projectModel.getBudgetBreakdown(projectId);
   
@@ -206,17 +319,58 @@ const getProjectBudget = async (projectId, user) => {
 };
 
 /**
- * Get project milestones
+ * Get project schedule (critical path and Gantt data)
+ * @param {Object} options - slip { milestoneId, days } to simulate a delay
  */
-const getProjectMilestones = async (projectId, user) => {
+const getProjectSchedule = async (projectId, options, user) => {
   // Check if project exists and user has access
-  await getProjectById(projectId, user);
+  const project = await getProjectById(projectId, user);
+  
+  const milestones = await milestoneModel.findByProject(projectId);
+  
+  if (options.slip && !milestones.some(m => m.id === options.slip.milestoneId)) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Milestone ${options.slip.milestoneId} is not a milestone of this project`
+    );
+  }
+  
+  return {
+    projectId,
+    projectCode: project.projectCode,
+    simulatedSlip: options.slip || null,
+    ...scheduleService.computeSchedule(project, milestones, options)
+  };
+};
+
+/**
+ * Compute earned value metrics of a project with their SPI/CPI health
+ */
+const computeProjectEvm = async (project, milestones, options = {}) => {
+  const schedule = scheduleService.computeSchedule(project, milestones);
+  const actualCosts = await budgetAllocationModel.getActualCostByDate(project.id);
+  const bands = await settingsService.getSetting(SETTING_KEY.EVM_HEALTH_BANDS);
+  
+  const evm = evmService.computeEvm(milestones, schedule, actualCosts, options);
+  
+  return { ...evm, health: evmService.evaluateHealth(evm, bands) };
+};
+
+/**
+ * Get project earned value metrics (point in time and monthly S-curve series)
+ * @param {Object} options - asOf (YYYY-MM-DD) date of the metrics
+ */
+const getProjectEvm = async (projectId, options, user) => {
+  // Check if project exists and user has access
+  const project = await getProjectById(projectId, user, PROJECT_ACCESS.VIEW_BUDGET);
   
-  const milestones = await projectModel.getMilestones(projectId);
+  const milestones = await milestoneModel.findByProject(projectId);
   
   return {
     projectId,
-    milestones
+    projectCode: project.projectCode,
+    ...(await computeProjectEvm(project, milestones, options))
   };
 };
 
@@ -227,17 +381,25 @@ const getProjectProgress = async (projectId, user) => {
   // Check if project exists and user has access
   const project = await getProjectById(projectId, user);
   
+  // Get milestone info and the end date forecast from their schedule
+  const milestones = await milestoneModel.findByProject(projectId);
+  const completedMilestones = milestones.filter(m => m.status === 'COMPLETED').length;
+  const totalMilestones = milestones.length;
+  const schedule = scheduleService.computeSchedule(project, milestones);
+  
   // Calculate timeline metrics
   const now = new Date();
   const startDate = new Date(project.startDate);
   const plannedEndDate = new Date(project.plannedEndDate);
+  const forecastEndDate = new Date(schedule.forecastEndDate);
   const totalDays = Math.ceil((plannedEndDate - startDate) / (1000 * 60 * 60 * 24));
   const daysElapsed = Math.ceil((now - startDate) / (1000 * 60 * 60 * 24));
   const daysRemaining = Math.ceil((plannedEndDate - now) / (1000 * 60 * 60 * 24));
+  const daysRemainingForecast = Math.ceil((Math.max(plannedEndDate, forecastEndDate) - now) / (1000 * 60 * 60 * 24));
   
   // Determine timeline status
   let timelineStatus = 'ON_TRACK';
-  if (daysRemaining < 0) {
+  if (daysRemaining < 0 || schedule.endDateSlipDays > 0) {
     timelineStatus = 'DELAYED';
   } else if (daysRemaining < totalDays * 0.2) {
     timelineStatus = 'AT_RISK';
@@ -246,14 +408,16 @@ const getProjectProgress = async (projectId, user) => {
   // Get budget info
   const budget = await projectModel.getBudgetBreakdown(projectId);
   
-  // Get milestone info
-  const milestones = await projectModel.getMilestones(projectId);
-  const completedMilestones = milestones.filter(m => m.status === 'COMPLETED').length;
-  const totalMilestones = milestones.length;
+  // Calculate overall health, from SPI/CPI bands when configured
+  const healthBasis = await settingsService.getSetting(SETTING_KEY.PROJECT_HEALTH_BASIS);
+  const evm = healthBasis === PROJECT_HEALTH_BASIS.EVM
+    ? await computeProjectEvm(project, milestones)
+    : null;
   
-  // Calculate overall health
   let overallHealth = 'GREEN';
-  if (timelineStatus === 'DELAYED' || budget.budgetStatus === 'EXCEEDED') {
+  if (evm) {
+    overallHealth = evm.health.overall;
+  } else if (timelineStatus === 'DELAYED' || budget.budgetStatus === 'EXCEEDED') {
     overallHealth = 'RED';
   } else if (timelineStatus === 'AT_RISK' || budget.budgetStatus === 'AT_RISK') {
     overallHealth = 'YELLOW';
@@ -261,12 +425,19 @@ const getProjectProgress = async (projectId, user) => {
   
   // Identify critical issues
   const criticalIssues = [];
-  if (timelineStatus === 'DELAYED') {
+  if (daysRemaining < 0) {
     criticalIssues.push({
       type: 'TIMELINE_DELAY',
       severity: 'HIGH',
       message: `Project is ${Math.abs(daysRemaining)} days behind schedule`
     });
+  } else if (schedule.endDateSlipDays > 0) {
+    criticalIssues.push({
+      type: 'SCHEDULE_SLIP',
+      severity: 'HIGH',
+      message: `Milestone delays push the forecast end to ${schedule.forecastEndDate}, ` +
+        `${schedule.endDateSlipDays} days after the planned end date`
+    });
   }
   if (budget.budgetStatus === 'EXCEEDED') {
     criticalIssues.push({
@@ -290,6 +461,24 @@ const getProjectProgress = async (projectId, user) => {
     });
   }
   
+  // Open risks of the register, with those of HIGH exposure as critical issues
+  const riskBands = await settingsService.getSetting(SETTING_KEY.RISK_EXPOSURE_BANDS);
+  const risks = riskMatrixService.gradeRisks(
+    await projectRiskModel.findByProject(projectId, { openOnly: true }),
+    riskBands,
+    toDateString(now)
+  );
+  
+  riskMatrixService.highExposureRisks(risks).forEach(risk => {
+    criticalIssues.push({
+      type: 'HIGH_RISK',
+      severity: 'HIGH',
+      message: `Risk ${risk.riskCode} "${risk.title}" has exposure ${risk.score} ` +
+        `(likelihood ${risk.likelihood} x impact ${risk.impact})`,
+      riskId: risk.id
+    });
+  });
+  
   return {
     projectId,
     projectCode: project.projectCode,
@@ -297,15 +486,34 @@ const getProjectProgress = async (projectId, user) => {
     timelineStatus,
     budgetStatus: budget.status,
     overallHealth,
+    healthBasis,
+    spi: evm ? evm.spi : null,
+    cpi: evm ? evm.cpi : null,
     daysElapsed,
     daysRemainingPlanned: Math.max(0, daysRemaining),
-    daysRemainingActual: Math.max(0, daysRemaining),
+    daysRemainingActual: Math.max(0, daysRemainingForecast),
+    forecastEndDate: schedule.forecastEndDate,
+    scheduleSlipDays: schedule.endDateSlipDays,
+    criticalPath: schedule.criticalPath,
     completedMilestones,
     totalMilestones,
     milestoneCompletionRate: totalMilestones > 0 ? calculatePercentage(completedMilestones, totalMilestones) : 0,
     budgetUtilization: budget.utilizationPercent,
     criticalIssues,
-    risks: project.risks ? [{ description: project.risks, likelihood: 'UNKNOWN', impact: 'UNKNOWN' }] : []
+    risks: risks.map(risk => ({
+      id: risk.id,
+      riskCode: risk.riskCode,
+      title: risk.title,
+      category: risk.category,
+      likelihood: risk.likelihood,
+      impact: risk.impact,
+      score: risk.score,
+      exposure: risk.exposure,
+      status: risk.status,
+      owner: risk.owner,
+      nextReviewDate: risk.nextReviewDate,
+      reviewOverdue: risk.reviewOverdue
+    }))
   };
 };
 
@@ -317,7 +525,9 @@ module.exports = {
   patchProject,
   deleteProject,
   updateProjectStatus,
+  getProjectTransitions,
   getProjectBudget,
-  getProjectMilestones,
+  getProjectSchedule,
+  getProjectEvm,
   getProjectProgress
 };
@@ -0,0 +1,209 @@
+/**
+ * Project Transition Service
+ * Project status state machine: allowed transitions, the roles that may
+ * perform them and the guards they must pass
+ *
+ * Each transition lists the roles allowed to perform it, the guards on the
+ * state of the project (approval, budget, milestones, commitments) and the
+ * fields the request must carry (reason, closure report, actual end date).
+ * The PROJECT_MANAGER role only counts on projects the user manages.
+ * COMPLETED and CANCELLED are final.
+ */
+
+const projectModel = require('../models/projectModel');
+const milestoneModel = require('../models/milestoneModel');
+const projectAccessService = require('./projectAccessService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  ROLES,
+  PROJECT_STATUS,
+  PROJECT_ACCESS,
+  MILESTONE_STATUS
+} = require('../config/constants');
+
+const CLOSED_MILESTONE_STATUSES = [MILESTONE_STATUS.COMPLETED, MILESTONE_STATUS.CANCELLED];
+
+/**
+ * Guards on the state of the project
+ * Each check receives { project, milestones, budget } and returns true when met.
+ */
+const GUARDS = {
+  approved: {
+    message: 'The project must be approved',
+    check: ({ project }) => Boolean(project.approvedBy)
+  },
+  budgeted: {
+    message: 'The project must have a budget allocated',
+    check: ({ budget }) => budget.totalBudget > 0
+  },
+  milestonesClosed: {
+    message: 'All milestones must be completed or cancelled',
+    check: ({ milestones }) => milestones.every(m => CLOSED_MILESTONE_STATUSES.includes(m.status))
+  },
+  commitmentsSettled: {
+    message: 'The project must have no outstanding budget commitments',
+    check: ({ budget }) => budget.allocations.every(a => a.committed <= 0)
+  }
+};
+
+/**
+ * Fields a transition request must carry
+ */
+const REQUIRED_FIELDS = {
+  reason: 'A reason is required',
+  actualEndDate: 'The actual end date is required',
+  completionNotes: 'A closure report is required'
+};
+
+const MANAGERS = [ROLES.ADMIN, ROLES.PROJECT_MANAGER];
+const SUPERVISORS = [ROLES.ADMIN, ROLES.PROJECT_MANAGER, ROLES.SUPERVISOR];
+
+/**
+ * Allowed status transitions (from => to => rule)
+ */
+const PROJECT_TRANSITIONS = {
+  [PROJECT_STATUS.PLANNING]: {
+    [PROJECT_STATUS.IN_PROGRESS]: { roles: MANAGERS, guards: ['approved', 'budgeted'], requires: [] },
+    [PROJECT_STATUS.ON_HOLD]: { roles: SUPERVISORS, guards: [], requires: ['reason'] },
+    [PROJECT_STATUS.CANCELLED]: { roles: [ROLES.ADMIN, ROLES.SUPERVISOR], guards: [], requires: [] }
+  },
+  [PROJECT_STATUS.IN_PROGRESS]: {
+    [PROJECT_STATUS.ON_HOLD]: { roles: SUPERVISORS, guards: [], requires: ['reason'] },
+    [PROJECT_STATUS.COMPLETED]: {
+      roles: MANAGERS,
+      guards: ['milestonesClosed', 'commitmentsSettled'],
+      requires: ['actualEndDate', 'completionNotes']
+    },
+    [PROJECT_STATUS.CANCELLED]: { roles: [ROLES.ADMIN, ROLES.SUPERVISOR], guards: [], requires: [] }
+  },
+  [PROJECT_STATUS.ON_HOLD]: {
+    [PROJECT_STATUS.PLANNING]: { roles: MANAGERS, guards: [], requires: [] },
+    [PROJECT_STATUS.IN_PROGRESS]: { roles: SUPERVISORS, guards: ['approved', 'budgeted'], requires: [] },
+    [PROJECT_STATUS.CANCELLED]: { roles: [ROLES.ADMIN, ROLES.SUPERVISOR], guards: [], requires: [] }
+  },
+  [PROJECT_STATUS.COMPLETED]: {},
+  [PROJECT_STATUS.CANCELLED]: {}
+};
+
+/**
+ * Load what the guards look at
+ */
+const loadGuardContext = async (project, connection = null) => ({
+  project,
+  milestones: await milestoneModel.findByProject(project.id, connection),
+  budget: await projectModel.getBudgetBreakdown(project.id, connection)
+});
+
+/**
+ * Guards of a transition that the project does not pass
+ * @returns {Array} { guard, message }
+ */
+const failedGuards = (rule, context) => rule.guards
+  .filter(guard => !GUARDS[guard].check(context))
+  .map(guard => ({ guard, message: GUARDS[guard].message }));
+
+/**
+ * Whether the user holds one of the roles of a transition
+ */
+const hasRole = (rule, roles) => rule.roles.some(role => roles.includes(role));
+
+/**
+ * Roles of the user that count on the project
+ */
+const projectRoles = async (project, user) => {
+  if (!user.roles.includes(ROLES.PROJECT_MANAGER) ||
+    await projectAccessService.hasAccess(project.id, user, PROJECT_ACCESS.EDIT)) {
+    return user.roles;
+  }
+
+  return user.roles.filter(role => role !== ROLES.PROJECT_MANAGER);
+};
+
+/**
+ * List the transitions out of the current status of a project
+ * Every transition says whether the user may perform it now and, if not, why.
+ */
+const listTransitions = async (project, user) => {
+  const rules = PROJECT_TRANSITIONS[project.status] || {};
+  const context = await loadGuardContext(project);
+  const roles = await projectRoles(project, user);
+
+  return {
+    projectId: project.id,
+    currentStatus: project.status,
+    transitions: Object.entries(rules).map(([status, rule]) => {
+      const blockers = failedGuards(rule, context);
+      const permitted = hasRole(rule, roles);
+
+      return {
+        status,
+        allowed: permitted && blockers.length === 0,
+        roles: rule.roles,
+        permitted,
+        blockers,
+        requiredFields: rule.requires
+      };
+    })
+  };
+};
+
+/**
+ * Ensure a project may move to a new status
+ * @param {Object} input - reason, actualEndDate, completionNotes
+ * @param {Object|null} user - Requesting user; null when the change comes from
+ *   an approved request, whose approvers are set by the workflow
+ * @param {Object} [connection] - Transaction of the change, the guards read inside it
+ */
+const assertTransition = async (project, status, input, user, connection = null) => {
+  const rules = PROJECT_TRANSITIONS[project.status] || {};
+  const rule = rules[status];
+
+  if (!rule) {
+    const allowed = Object.keys(rules);
+
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Invalid status transition from ${project.status} to ${status}`,
+      [{ field: 'status', allowed }]
+    );
+  }
+
+  if (user && !hasRole(rule, await projectRoles(project, user))) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      `Moving a project from ${project.status} to ${status} requires one of the roles: ${rule.roles.join(', ')}`
+    );
+  }
+
+  const missing = rule.requires.filter(field => !input[field] || !String(input[field]).trim());
+
+  if (missing.length > 0) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Moving a project to ${status}: ${missing.map(field => REQUIRED_FIELDS[field]).join('; ')}`,
+      missing.map(field => ({ field, message: REQUIRED_FIELDS[field] }))
+    );
+  }
+
+  const blockers = failedGuards(rule, await loadGuardContext(project, connection));
+
+  if (blockers.length > 0) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `The project cannot move from ${project.status} to ${status}: ${blockers.map(b => b.message).join('; ')}`,
+      blockers
+    );
+  }
+};
+
+module.exports = {
+  PROJECT_TRANSITIONS,
+  listTransitions,
+  assertTransition
+};
@@ -0,0 +1,837 @@
+/**
+ * Purchase Order Service
+ * Business logic for the purchase order lifecycle and budget commitments
+ */
+
+const db = require('../config/database');
+const purchaseOrderModel = require('../models/purchaseOrderModel');
+const budgetAllocationModel = require('../models/budgetAllocationModel');
+const goodsReceiptModel = require('../models/goodsReceiptModel');
+const vendorModel = require('../models/vendorModel');
+const projectModel = require('../models/projectModel');
+const approvalWorkflowModel = require('../models/approvalWorkflowModel');
+const notificationService = require('./notificationService');
+const settingsService = require('./settingsService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  PO_STATUS,
+  BUDGET_CATEGORY,
+  PERMISSIONS,
+  SETTING_KEY
+} = require('../config/constants');
+const { parsePagination, buildPaginationMeta } = require('../utils/helpers');
+
+/**
+ * Allowed status transitions (from => [to])
+ */
+const PO_TRANSITIONS = {
+  [PO_STATUS.DRAFT]: [PO_STATUS.SUBMITTED, PO_STATUS.CANCELLED],
+  [PO_STATUS.SUBMITTED]: [PO_STATUS.APPROVED, PO_STATUS.DRAFT, PO_STATUS.CANCELLED],
+  [PO_STATUS.APPROVED]: [PO_STATUS.ORDERED, PO_STATUS.CANCELLED],
+  [PO_STATUS.ORDERED]: [PO_STATUS.PARTIAL_RECEIVED, PO_STATUS.RECEIVED, PO_STATUS.CANCELLED],
+  [PO_STATUS.PARTIAL_RECEIVED]: [PO_STATUS.RECEIVED],
+  [PO_STATUS.RECEIVED]: [PO_STATUS.INVOICED],
+  [PO_STATUS.INVOICED]: [PO_STATUS.PAID],
+  [PO_STATUS.PAID]: [],
+  [PO_STATUS.CANCELLED]: []
+};
+
+// Header fields stay editable until the order is approved
+const EDITABLE_STATUSES = [PO_STATUS.DRAFT, PO_STATUS.SUBMITTED];
+
+// Statuses driven by the receipt, invoice and payment endpoints
+const ENDPOINT_MANAGED_STATUSES = [
+  PO_STATUS.PARTIAL_RECEIVED,
+  PO_STATUS.RECEIVED,
+  PO_STATUS.INVOICED,
+  PO_STATUS.PAID
+];
+
+// Approving or sending back a SUBMITTED order is decided by its approval workflow
+// (procurement action handler) whenever a PURCHASE_ORDER workflow is active
+const WORKFLOW_DECIDED_STATUSES = [PO_STATUS.APPROVED, PO_STATUS.DRAFT];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Sum line totals the same way the database rounds them
+ */
+const sumItems = (items) => {
+  return items.reduce((sum, item) => sum + roundAmount(item.quantity * item.unitPrice), 0);
+};
+
+/**
+ * Check that a value is within tolerance (percent) of the expected value
+ */
+const withinTolerance = (actual, expected, tolerancePercent) => {
+  return Math.abs(actual - expected) <= Math.abs(expected) * tolerancePercent / 100 + 0.005;
+};
+
+/**
+ * Derive line quality status from accepted and rejected quantities
+ */
+const getQualityStatus = (quantity, accepted, rejected) => {
+  if (accepted >= quantity) {
+    return 'ACCEPTED';
+  }
+  if (accepted === 0 && rejected > 0) {
+    return 'REJECTED';
+  }
+  return accepted > 0 ? 'PARTIAL' : 'PENDING';
+};
+
+/**
+ * Load purchase order or throw 404
+ */
+const findPurchaseOrderOrFail = async (poId, connection = null) => {
+  const purchaseOrder = await purchaseOrderModel.findById(poId, connection);
+
+  if (!purchaseOrder) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Purchase order with ID ${poId} not found`
+    );
+  }
+
+  return purchaseOrder;
+};
+
+/**
+ * Ensure line items can still be changed
+ */
+const assertDraft = (purchaseOrder) => {
+  if (purchaseOrder.poStatus !== PO_STATUS.DRAFT) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Line items can only be changed while the purchase order is DRAFT (current status: ${purchaseOrder.poStatus})`
+    );
+  }
+};
+
+/**
+ * Ensure vendor exists and is active
+ */
+const assertActiveVendor = async (vendorId) => {
+  const vendor = await vendorModel.getVendorById(vendorId);
+
+  if (!vendor) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Vendor with ID ${vendorId} not found`
+    );
+  }
+
+  if (!vendor.isActive) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Vendor ${vendor.vendorCode} is inactive`
+    );
+  }
+};
+
+/**
+ * Bring the outstanding budget commitment of a PO in line with its amount
+ * Increases post a COMMITMENT, decreases post a REVERSAL
+ */
+const syncCommitment = async (purchaseOrder, newAmount, userId, connection) => {
+  const commitment = await budgetAllocationModel.getOutstandingCommitment(purchaseOrder.poNumber, connection);
+
+  if (!commitment) {
+    return;
+  }
+
+  const delta = Math.round((newAmount - commitment.outstanding) * 100) / 100;
+
+  if (delta === 0) {
+    return;
+  }
+
+  if (delta > 0) {
+    const allocation = await budgetAllocationModel.findById(commitment.budgetAllocationId, connection);
+
+    if (allocation.availableAmount < delta) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        `Insufficient ${allocation.budgetCategory} budget: ${allocation.availableAmount.toFixed(2)} available, ${delta.toFixed(2)} required`
+      );
+    }
+  }
+
+  await budgetAllocationModel.createTransaction({
+    budgetAllocationId: commitment.budgetAllocationId,
+    transactionType: delta > 0 ? 'COMMITMENT' : 'REVERSAL',
+    amount: Math.abs(delta),
+    description: `Commitment adjusted for ${purchaseOrder.poNumber}`,
+    referenceNumber: purchaseOrder.poNumber,
+    referenceDocumentId: purchaseOrder.id,
+    createdBy: userId
+  }, connection);
+
+  await budgetAllocationModel.adjustAmounts(commitment.budgetAllocationId, { committed: delta }, userId, connection);
+  await notificationService.notifyBudgetThresholds(commitment.budgetAllocationId, connection);
+};
+
+/**
+ * Recompute PO totals from items and keep the commitment in sync
+ */
+const refreshTotals = async (purchaseOrder, userId, connection) => {
+  const totals = await purchaseOrderModel.recalculateTotals(purchaseOrder.id, userId, connection);
+  await syncCommitment(purchaseOrder, totals.poAmount, userId, connection);
+  return totals;
+};
+
+/**
+ * List purchase orders with filtering and pagination
+ */
+const listPurchaseOrders = async (filters, pagination) => {
+  const { page, limit, offset } = parsePagination(pagination);
+
+  const { purchaseOrders, total } = await purchaseOrderModel.findAll(filters, { limit, offset });
+
+  return {
+    purchaseOrders,
+    pagination: buildPaginationMeta(page, limit, total)
+  };
+};
+
+/**
+ * Statuses the order can be moved to through the status endpoint
+ */
+const manualTransitions = async (purchaseOrder, connection = null) => {
+  const allowed = PO_TRANSITIONS[purchaseOrder.poStatus] || [];
+
+  if (purchaseOrder.poStatus !== PO_STATUS.SUBMITTED) {
+    return allowed;
+  }
+
+  const workflow = await approvalWorkflowModel.findActiveByRequestType('PURCHASE_ORDER', connection);
+
+  return workflow ? allowed.filter(status => !WORKFLOW_DECIDED_STATUSES.includes(status)) : allowed;
+};
+
+/**
+ * Get purchase order with its line items and allowed next statuses
+ */
+const getPurchaseOrderById = async (poId) => {
+  const purchaseOrder = await findPurchaseOrderOrFail(poId);
+  const items = await purchaseOrderModel.getItems(poId);
+  const invoiceMatch = await goodsReceiptModel.findLatestMatch(poId);
+
+  return {
+    ...purchaseOrder,
+    items,
+    invoiceMatch,
+    allowedTransitions: await manualTransitions(purchaseOrder)
+  };
+};
+
+/**
+ * Create purchase order with its line items
+ * A COMMITMENT is posted against the project's budget allocation
+ */
+const createPurchaseOrder = async (poData, createdBy) => {
+  const { items, budgetCategory = BUDGET_CATEGORY.MATERIALS, ...header } = poData;
+
+  await assertActiveVendor(header.vendorId);
+
+  if (header.projectId) {
+    const project = await projectModel.findById(header.projectId);
+
+    if (!project) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        `Project with ID ${header.projectId} not found`
+      );
+    }
+  }
+
+  const poAmount = sumItems(items);
+
+  if (poAmount <= 0) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'Purchase order amount must be greater than zero'
+    );
+  }
+
+  const poId = await db.transaction(async (connection) => {
+    const { id, poNumber } = await purchaseOrderModel.create({
+      ...header,
+      poAmount,
+      itemsCount: items.length,
+      createdBy
+    }, connection);
+
+    for (const item of items) {
+      await purchaseOrderModel.createItem(id, item, connection);
+    }
+
+    const totals = await purchaseOrderModel.recalculateTotals(id, createdBy, connection);
+
+    if (header.projectId) {
+      const allocation = await budgetAllocationModel.findByProjectAndCategory(
+        header.projectId,
+        budgetCategory,
+        connection
+      );
+
+      if (!allocation) {
+        throw createError(
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          ERROR_CODES.VALIDATION_ERROR,
+          `Project has no ${budgetCategory} budget allocation to commit against`
+        );
+      }
+
+      if (allocation.availableAmount < totals.poAmount) {
+        throw createError(
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          ERROR_CODES.VALIDATION_ERROR,
+          `Insufficient ${budgetCategory} budget: ${allocation.availableAmount.toFixed(2)} available, ${totals.poAmount.toFixed(2)} required`
+        );
+      }
+
+      await budgetAllocationModel.createTransaction({
+        budgetAllocationId: allocation.id,
+        transactionType: 'COMMITMENT',
+        amount: totals.poAmount,
+        description: `Purchase order ${poNumber}`,
+        referenceNumber: poNumber,
+        referenceDocumentId: id,
+        createdBy
+      }, connection);
+
+      await budgetAllocationModel.adjustAmounts(allocation.id, { committed: totals.poAmount }, createdBy, connection);
+      await notificationService.notifyBudgetThresholds(allocation.id, connection);
+    }
+
+    return id;
+  });
+
+  return await getPurchaseOrderById(poId);
+};
+
+/**
+ * Update purchase order header
+ */
+const updatePurchaseOrder = async (poId, updates, updatedBy) => {
+  const purchaseOrder = await findPurchaseOrderOrFail(poId);
+
+  if (!EDITABLE_STATUSES.includes(purchaseOrder.poStatus)) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Purchase order cannot be edited in status ${purchaseOrder.poStatus}`
+    );
+  }
+
+  if (updates.vendorId && updates.vendorId !== purchaseOrder.vendorId) {
+    assertDraft(purchaseOrder);
+    await assertActiveVendor(updates.vendorId);
+  }
+
+  await purchaseOrderModel.update(poId, {
+    ...updates,
+    updatedBy
+  });
+
+  return await getPurchaseOrderById(poId);
+};
+
+/**
+ * Add line item to a draft purchase order
+ */
+const addItem = async (poId, itemData, userId) => {
+  const itemId = await db.transaction(async (connection) => {
+    const purchaseOrder = await findPurchaseOrderOrFail(poId, connection);
+    assertDraft(purchaseOrder);
+
+    const id = await purchaseOrderModel.createItem(poId, itemData, connection);
+    await refreshTotals(purchaseOrder, userId, connection);
+
+    return id;
+  });
+
+  return await purchaseOrderModel.findItemById(poId, itemId);
+};
+
+/**
+ * Update line item of a draft purchase order
+ */
+const updateItem = async (poId, itemId, itemData, userId) => {
+  await db.transaction(async (connection) => {
+    const purchaseOrder = await findPurchaseOrderOrFail(poId, connection);
+    assertDraft(purchaseOrder);
+
+    const item = await purchaseOrderModel.findItemById(poId, itemId, connection);
+
+    if (!item) {
+      throw createError(
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND,
+        `Line item with ID ${itemId} not found on purchase order ${purchaseOrder.poNumber}`
+      );
+    }
+
+    const updated = { ...item, ...itemData };
+
+    if (purchaseOrder.poAmount - item.totalPrice + sumItems([updated]) <= 0) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        'Purchase order amount must be greater than zero'
+      );
+    }
+
+    await purchaseOrderModel.updateItem(itemId, updated, connection);
+    await refreshTotals(purchaseOrder, userId, connection);
+  });
+
+  return await purchaseOrderModel.findItemById(poId, itemId);
+};
+
+/**
+ * Remove line item from a draft purchase order
+ * The last line item cannot be removed; cancel the order instead
+ */
+const deleteItem = async (poId, itemId, userId) => {
+  await db.transaction(async (connection) => {
+    const purchaseOrder = await findPurchaseOrderOrFail(poId, connection);
+    assertDraft(purchaseOrder);
+
+    const item = await purchaseOrderModel.findItemById(poId, itemId, connection);
+
+    if (!item) {
+      throw createError(
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND,
+        `Line item with ID ${itemId} not found on purchase order ${purchaseOrder.poNumber}`
+      );
+    }
+
+    if (purchaseOrder.itemsCount <= 1 || purchaseOrder.poAmount - item.totalPrice <= 0) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.INVALID_INPUT,
+        'A purchase order must keep at least one line item; cancel the order instead'
+      );
+    }
+
+    await purchaseOrderModel.deleteItem(itemId, connection);
+    await refreshTotals(purchaseOrder, userId, connection);
+  });
+};
+
+/**
+ * Move purchase order to a new status following PO_TRANSITIONS
+ * Approving requires purchase_approve and is only manual without an active
+ * PURCHASE_ORDER workflow; cancelling releases the commitment
+ */
+const updateStatus = async (poId, newStatus, comments, user) => {
+  await db.transaction(async (connection) => {
+    const purchaseOrder = await findPurchaseOrderOrFail(poId, connection);
+    const allowed = await manualTransitions(purchaseOrder, connection);
+
+    if ((PO_TRANSITIONS[purchaseOrder.poStatus] || []).includes(newStatus) && !allowed.includes(newStatus)) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.INVALID_INPUT,
+        `Purchase order ${purchaseOrder.poNumber} is approved or sent back to DRAFT through its PURCHASE_ORDER approval request`
+      );
+    }
+
+    if (!allowed.includes(newStatus)) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.INVALID_INPUT,
+        `Invalid status transition from ${purchaseOrder.poStatus} to ${newStatus}`,
+        [{ field: 'status', allowed }]
+      );
+    }
+
+    // Closing a partially received order short is the only manual receiving step
+    const isShortClose = purchaseOrder.poStatus === PO_STATUS.PARTIAL_RECEIVED &&
+      newStatus === PO_STATUS.RECEIVED;
+
+    if (ENDPOINT_MANAGED_STATUSES.includes(newStatus) && !isShortClose) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.INVALID_INPUT,
+        `Status ${newStatus} is set by the receipt, invoice and payment endpoints`
+      );
+    }
+
+    const extra = {};
+
+    if (isShortClose) {
+      extra.actualDeliveryDate = new Date().toISOString().split('T')[0];
+    }
+
+    if (newStatus === PO_STATUS.APPROVED) {
+      if (!user.permissions.includes(PERMISSIONS.PURCHASE_APPROVE)) {
+        throw createError(
+          HTTP_STATUS.FORBIDDEN,
+          ERROR_CODES.FORBIDDEN,
+          'You do not have permission to approve purchase orders'
+        );
+      }
+
+      extra.approvalStatus = 'APPROVED';
+      extra.approvedByUserId = user.id;
+    }
+
+    if (purchaseOrder.poStatus === PO_STATUS.SUBMITTED && newStatus === PO_STATUS.DRAFT) {
+      extra.approvalStatus = 'REJECTED';
+    }
+
+    if (newStatus === PO_STATUS.SUBMITTED) {
+      extra.approvalStatus = 'PENDING';
+    }
+
+    if (comments) {
+      extra.notes = `[${newStatus}] ${comments}`;
+    }
+
+    await purchaseOrderModel.updateStatus(poId, newStatus, extra, user.id, connection);
+
+    if (newStatus === PO_STATUS.CANCELLED) {
+      await syncCommitment(purchaseOrder, 0, user.id, connection);
+    }
+  });
+
+  return await getPurchaseOrderById(poId);
+};
+
+/**
+ * Get goods receipts recorded for a purchase order
+ */
+const getReceipts = async (poId) => {
+  await findPurchaseOrderOrFail(poId);
+
+  return await goodsReceiptModel.findByPurchaseOrder(poId);
+};
+
+/**
+ * Record a delivery against PO lines
+ * Accepted quantities count as received; the PO moves to PARTIAL_RECEIVED
+ * or RECEIVED once every line is fully accepted
+ */
+const receiveGoods = async (poId, receiptData, userId) => {
+  const receiptNumber = await db.transaction(async (connection) => {
+    const purchaseOrder = await findPurchaseOrderOrFail(poId, connection);
+
+    if (![PO_STATUS.ORDERED, PO_STATUS.PARTIAL_RECEIVED].includes(purchaseOrder.poStatus)) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.INVALID_INPUT,
+        `Goods can only be received on ORDERED or PARTIAL_RECEIVED purchase orders (current status: ${purchaseOrder.poStatus})`
+      );
+    }
+
+    const items = await purchaseOrderModel.getItems(poId, connection);
+    const rejectedByItem = await goodsReceiptModel.getRejectedByItem(poId, connection);
+    const seen = new Set();
+
+    const lines = receiptData.lines.map(line => ({
+      ...line,
+      quantityAccepted: parseFloat(line.quantityAccepted) || 0,
+      quantityRejected: parseFloat(line.quantityRejected) || 0
+    }));
+
+    for (const line of lines) {
+      const item = items.find(i => i.id === line.itemId);
+
+      if (!item) {
+        throw createError(
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          ERROR_CODES.VALIDATION_ERROR,
+          `Line item ${line.itemId} does not belong to purchase order ${purchaseOrder.poNumber}`
+        );
+      }
+
+      if (seen.has(line.itemId)) {
+        throw createError(
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          ERROR_CODES.VALIDATION_ERROR,
+          `Line item ${line.itemId} appears more than once in the receipt`
+        );
+      }
+      seen.add(line.itemId);
+
+      if (line.quantityAccepted + line.quantityRejected <= 0) {
+        throw createError(
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          ERROR_CODES.VALIDATION_ERROR,
+          `Line item ${item.itemNumber}: delivered quantity must be greater than zero`
+        );
+      }
+
+      const outstanding = roundAmount(item.quantity - item.quantityReceived);
+
+      if (line.quantityAccepted > outstanding) {
+        throw createError(
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          ERROR_CODES.VALIDATION_ERROR,
+          `Line item ${item.itemNumber}: accepted quantity ${line.quantityAccepted} exceeds outstanding quantity ${outstanding}`
+        );
+      }
+    }
+
+    const number = await goodsReceiptModel.createReceipt(poId, {
+      receivedDate: receiptData.receivedDate || new Date().toISOString().split('T')[0],
+      notes: receiptData.notes,
+      receivedBy: userId,
+      lines
+    }, connection);
+
+    for (const line of lines) {
+      const item = items.find(i => i.id === line.itemId);
+      const accepted = roundAmount(item.quantityReceived + line.quantityAccepted);
+      const rejected = (rejectedByItem[item.id] || 0) + line.quantityRejected;
+
+      await goodsReceiptModel.updateItemReceipt(
+        item.id,
+        accepted,
+        getQualityStatus(item.quantity, accepted, rejected),
+        connection
+      );
+
+      item.quantityReceived = accepted;
+    }
+
+    const fullyReceived = items.every(item => item.quantityReceived >= item.quantity);
+
+    await purchaseOrderModel.updateStatus(
+      poId,
+      fullyReceived ? PO_STATUS.RECEIVED : PO_STATUS.PARTIAL_RECEIVED,
+      fullyReceived ? { actualDeliveryDate: receiptData.receivedDate || new Date().toISOString().split('T')[0] } : {},
+      userId,
+      connection
+    );
+
+    return number;
+  });
+
+  return {
+    receiptNumber,
+    purchaseOrder: await getPurchaseOrderById(poId)
+  };
+};
+
+/**
+ * Register vendor invoice and run the three-way match
+ * (ordered amount / value of accepted receipts / invoice)
+ * Mismatches beyond tolerance keep the PO in RECEIVED unless a
+ * purchase approver accepts the variance
+ */
+const registerInvoice = async (poId, invoiceData, user) => {
+  const tolerancePercent = await settingsService.getSetting(SETTING_KEY.INVOICE_MATCH_TOLERANCE_PERCENT);
+
+  if (invoiceData.acceptVariance && !user.permissions.includes(PERMISSIONS.PURCHASE_APPROVE)) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'You do not have permission to accept invoice variances'
+    );
+  }
+
+  const match = await db.transaction(async (connection) => {
+    const purchaseOrder = await findPurchaseOrderOrFail(poId, connection);
+
+    if (purchaseOrder.poStatus !== PO_STATUS.RECEIVED) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.INVALID_INPUT,
+        `Invoices can only be registered on RECEIVED purchase orders (current status: ${purchaseOrder.poStatus})`
+      );
+    }
+
+    const items = await purchaseOrderModel.getItems(poId, connection);
+    const invoiceAmount = roundAmount(parseFloat(invoiceData.invoiceAmount));
+    const receivedAmount = roundAmount(items.reduce((sum, item) => sum + item.quantityReceived * item.unitPrice, 0));
+    const mismatches = [];
+
+    if (!withinTolerance(invoiceAmount, receivedAmount, tolerancePercent)) {
+      mismatches.push({
+        type: 'AMOUNT_MISMATCH',
+        message: 'Invoice amount does not match the value of accepted goods',
+        expected: receivedAmount,
+        actual: invoiceAmount
+      });
+    }
+
+    if (invoiceAmount > purchaseOrder.poAmount && !withinTolerance(invoiceAmount, purchaseOrder.poAmount, tolerancePercent)) {
+      mismatches.push({
+        type: 'EXCEEDS_PO_AMOUNT',
+        message: 'Invoice amount exceeds the purchase order amount',
+        expected: purchaseOrder.poAmount,
+        actual: invoiceAmount
+      });
+    }
+
+    // Optional line-level comparison
+    (invoiceData.lines || []).forEach(line => {
+      const item = items.find(i => i.id === line.itemId);
+
+      if (!item) {
+        mismatches.push({
+          type: 'UNKNOWN_ITEM',
+          itemId: line.itemId,
+          message: 'Invoiced line is not on the purchase order'
+        });
+        return;
+      }
+
+      if (line.quantity !== undefined && parseFloat(line.quantity) > item.quantityReceived) {
+        mismatches.push({
+          type: 'QUANTITY_MISMATCH',
+          itemId: item.id,
+          itemNumber: item.itemNumber,
+          message: 'Invoiced quantity exceeds accepted quantity',
+          expected: item.quantityReceived,
+          actual: parseFloat(line.quantity)
+        });
+      }
+
+      if (line.unitPrice !== undefined && !withinTolerance(parseFloat(line.unitPrice), item.unitPrice, tolerancePercent)) {
+        mismatches.push({
+          type: 'PRICE_MISMATCH',
+          itemId: item.id,
+          itemNumber: item.itemNumber,
+          message: 'Invoiced unit price differs from the purchase order price',
+          expected: item.unitPrice,
+          actual: parseFloat(line.unitPrice)
+        });
+      }
+    });
+
+    let matchStatus = 'MATCHED';
+    if (mismatches.length > 0) {
+      matchStatus = invoiceData.acceptVariance ? 'ACCEPTED_WITH_VARIANCE' : 'MISMATCH';
+    }
+
+    await purchaseOrderModel.recordInvoice(poId, { ...invoiceData, invoiceAmount }, user.id, connection);
+
+    const result = {
+      purchaseOrderId: poId,
+      invoiceNumber: invoiceData.invoiceNumber,
+      invoiceAmount,
+      orderedAmount: purchaseOrder.poAmount,
+      receivedAmount,
+      varianceAmount: roundAmount(invoiceAmount - receivedAmount),
+      tolerancePercent,
+      matchStatus,
+      mismatches,
+      checkedBy: user.id
+    };
+
+    await goodsReceiptModel.createInvoiceMatch(result, connection);
+
+    if (matchStatus !== 'MISMATCH') {
+      await purchaseOrderModel.updateStatus(poId, PO_STATUS.INVOICED, {}, user.id, connection);
+    }
+
+    return result;
+  });
+
+  return {
+    match,
+    purchaseOrder: await getPurchaseOrderById(poId)
+  };
+};
+
+/**
+ * Record payment of an invoiced purchase order
+ * The outstanding commitment is reversed and the invoice amount is
+ * posted as an EXPENSE against the same budget allocation
+ */
+const recordPayment = async (poId, paymentData, userId) => {
+  await db.transaction(async (connection) => {
+    const purchaseOrder = await findPurchaseOrderOrFail(poId, connection);
+
+    if (purchaseOrder.poStatus !== PO_STATUS.INVOICED) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.INVALID_INPUT,
+        `Only INVOICED purchase orders can be paid (current status: ${purchaseOrder.poStatus})`
+      );
+    }
+
+    const paymentDate = paymentData.paymentDate || new Date().toISOString().split('T')[0];
+
+    await purchaseOrderModel.updateStatus(
+      poId,
+      PO_STATUS.PAID,
+      { paymentDate, notes: paymentData.comments ? `[PAID] ${paymentData.comments}` : null },
+      userId,
+      connection
+    );
+
+    const commitment = await budgetAllocationModel.getOutstandingCommitment(purchaseOrder.poNumber, connection);
+
+    if (!commitment) {
+      return;
+    }
+
+    if (commitment.outstanding > 0) {
+      await budgetAllocationModel.createTransaction({
+        budgetAllocationId: commitment.budgetAllocationId,
+        transactionType: 'REVERSAL',
+        amount: commitment.outstanding,
+        description: `Commitment released on payment of ${purchaseOrder.poNumber}`,
+        referenceNumber: purchaseOrder.poNumber,
+        referenceDocumentId: purchaseOrder.id,
+        transactionDate: paymentDate,
+        createdBy: userId
+      }, connection);
+    }
+
+    await budgetAllocationModel.createTransaction({
+      budgetAllocationId: commitment.budgetAllocationId,
+      transactionType: 'EXPENSE',
+      amount: purchaseOrder.invoiceAmount,
+      description: `Invoice ${purchaseOrder.invoiceNumber} paid (${purchaseOrder.poNumber})`,
+      referenceNumber: purchaseOrder.poNumber,
+      referenceDocumentId: purchaseOrder.id,
+      transactionDate: paymentDate,
+      approvedBy: userId,
+      createdBy: userId
+    }, connection);
+
+    await budgetAllocationModel.adjustAmounts(
+      commitment.budgetAllocationId,
+      { committed: -commitment.outstanding, spent: purchaseOrder.invoiceAmount },
+      userId,
+      connection
+    );
+
+    await notificationService.notifyBudgetThresholds(commitment.budgetAllocationId, connection);
+  });
+
+  return await getPurchaseOrderById(poId);
+};
+
+module.exports = {
+  PO_TRANSITIONS,
+  listPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  addItem,
+  updateItem,
+  deleteItem,
+  updateStatus,
+  getReceipts,
+  receiveGoods,
+  registerInvoice,
+  recordPayment
+};
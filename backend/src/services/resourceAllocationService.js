@@ -0,0 +1,430 @@
+/**
+ * Resource Allocation Service
+ * Staff assignment to projects and capacity across projects
+ *
+ * A person's load on a day is the sum of their ACTIVE allocations covering
+ * that day, on every project. Assignments that would take someone above
+ * full capacity are refused, unless a project approver accepts the
+ * over-allocation, in which case it is returned as a warning.
+ */
+
+const db = require('../config/database');
+const resourceAllocationModel = require('../models/resourceAllocationModel');
+const projectService = require('./projectService');
+const auditService = require('./auditService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  PERMISSIONS,
+  PROJECT_STATUS,
+  PROJECT_ACCESS,
+  RESOURCE_ALLOCATION_STATUS,
+  AUDIT_ACTION
+} = require('../config/constants');
+const { toDateString, addDays } = require('../utils/helpers');
+
+const FULL_CAPACITY = 100;
+
+// Capacity window when the request gives no end date
+const CAPACITY_WINDOW_DAYS = 90;
+
+const CLOSED_PROJECT_STATUSES = [PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED];
+
+const roundPercentage = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Split a period into consecutive sub-periods of constant load
+ * @param {Array} allocations - Allocations overlapping the period
+ * @param {String} from - First day
+ * @param {String|null} to - Last day (null: open-ended)
+ * @returns {Array} { startDate, endDate, totalPercentage, allocations }
+ */
+const buildLoadPeriods = (allocations, from, to) => {
+  const inPeriod = (day) => day >= from && (!to || day <= to);
+  const boundaries = new Set([from]);
+
+  allocations.forEach((allocation) => {
+    if (inPeriod(allocation.startDate)) {
+      boundaries.add(allocation.startDate);
+    }
+    if (allocation.endDate && inPeriod(addDays(allocation.endDate, 1))) {
+      boundaries.add(addDays(allocation.endDate, 1));
+    }
+  });
+
+  const starts = [...boundaries].sort();
+
+  return starts.map((startDate, index) => {
+    const covering = allocations.filter(allocation =>
+      allocation.startDate <= startDate && (!allocation.endDate || allocation.endDate >= startDate)
+    );
+
+    return {
+      startDate,
+      endDate: index < starts.length - 1 ? addDays(starts[index + 1], -1) : to,
+      totalPercentage: roundPercentage(covering.reduce((sum, allocation) => sum + allocation.allocationPercentage, 0)),
+      allocations: covering.map(allocation => ({
+        id: allocation.id,
+        projectId: allocation.projectId,
+        projectCode: allocation.project.projectCode,
+        allocationPercentage: allocation.allocationPercentage
+      }))
+    };
+  });
+};
+
+const findOverallocatedPeriods = (periods) =>
+  periods.filter(period => period.totalPercentage > FULL_CAPACITY);
+
+const peakOf = (periods) =>
+  periods.reduce((peak, period) => Math.max(peak, period.totalPercentage), 0);
+
+/**
+ * Load an allocation of the project or throw 404
+ */
+const findAllocationOrFail = async (projectId, allocationId, connection = null) => {
+  const allocation = await resourceAllocationModel.findById(allocationId, projectId, connection);
+
+  if (!allocation) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Team allocation with ID ${allocationId} not found on project ${projectId}`
+    );
+  }
+
+  return allocation;
+};
+
+/**
+ * Refuse active assignments on a closed project
+ */
+const assertOpenProject = (project) => {
+  if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Staff cannot be assigned to a ${project.status} project`
+    );
+  }
+};
+
+const assertValidPeriod = (startDate, endDate) => {
+  if (endDate && endDate < startDate) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      'End date must be on or after start date'
+    );
+  }
+};
+
+/**
+ * Whether a changed allocation only lowers its holder's load
+ * (same or lower percentage over the same or a shorter active period)
+ */
+const onlyReducesLoad = (existing, candidate) =>
+  existing.allocationStatus === RESOURCE_ALLOCATION_STATUS.ACTIVE &&
+  candidate.allocationPercentage <= existing.allocationPercentage &&
+  candidate.startDate >= existing.startDate &&
+  (!existing.endDate || (candidate.endDate !== null && candidate.endDate <= existing.endDate));
+
+/**
+ * Check that an allocation keeps its holder within capacity
+ * Over-allocation is refused unless accepted by a project approver, or
+ * when a change only reduces an existing over-allocation.
+ * @param {Object} candidate - Allocation as it would be stored
+ * @param {Object|null} existing - Allocation being changed
+ * @returns {Promise<Array>} Warnings (over-allocation remaining)
+ */
+const checkCapacity = async (candidate, existing, allowOverallocation, user, connection) => {
+  if (candidate.allocationStatus !== RESOURCE_ALLOCATION_STATUS.ACTIVE) {
+    return [];
+  }
+
+  const others = await resourceAllocationModel.findActiveForUsers(
+    [candidate.userId], candidate.startDate, candidate.endDate, connection
+  );
+
+  const periods = buildLoadPeriods(
+    [...others.filter(allocation => !existing || allocation.id !== existing.id), candidate],
+    candidate.startDate,
+    candidate.endDate
+  );
+  const overallocatedPeriods = findOverallocatedPeriods(periods);
+
+  if (overallocatedPeriods.length === 0) {
+    return [];
+  }
+
+  const message = `Allocation takes the user to ${peakOf(overallocatedPeriods)}% of capacity`;
+
+  if (existing && onlyReducesLoad(existing, candidate)) {
+    return [{ type: ERROR_CODES.OVER_ALLOCATED, message, periods: overallocatedPeriods }];
+  }
+
+  if (!allowOverallocation) {
+    throw createError(HTTP_STATUS.CONFLICT, ERROR_CODES.OVER_ALLOCATED, message, overallocatedPeriods);
+  }
+
+  if (!user.permissions.includes(PERMISSIONS.PROJECT_APPROVE)) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'You do not have permission to accept an over-allocation'
+    );
+  }
+
+  return [{ type: ERROR_CODES.OVER_ALLOCATED, message, periods: overallocatedPeriods }];
+};
+
+/**
+ * Record an allocation change in the audit trail
+ */
+const auditAllocation = async (auditContext, action, before, after, connection) => {
+  await auditService.record(auditContext, {
+    entityType: 'resource_allocation',
+    entityId: (after || before).id,
+    action,
+    before,
+    after
+  }, connection);
+};
+
+/**
+ * Get the team of a project
+ * Each ACTIVE allocation reports the peak load of its holder, across
+ * projects, over the allocation period.
+ */
+const getTeam = async (projectId, filters, user) => {
+  await projectService.getProjectById(projectId, user);
+
+  const allocations = await resourceAllocationModel.findByProject(projectId, filters);
+  const active = allocations.filter(allocation => allocation.allocationStatus === RESOURCE_ALLOCATION_STATUS.ACTIVE);
+
+  let load = [];
+  if (active.length > 0) {
+    const from = active.map(allocation => allocation.startDate).sort()[0];
+    const to = active.some(allocation => !allocation.endDate)
+      ? null
+      : active.map(allocation => allocation.endDate).sort().pop();
+
+    load = await resourceAllocationModel.findActiveForUsers(
+      [...new Set(active.map(allocation => allocation.userId))], from, to
+    );
+  }
+
+  const members = allocations.map((allocation) => {
+    if (allocation.allocationStatus !== RESOURCE_ALLOCATION_STATUS.ACTIVE) {
+      return { ...allocation, peakPercentage: null, isOverallocated: false };
+    }
+
+    const peakPercentage = peakOf(buildLoadPeriods(
+      load.filter(other => other.userId === allocation.userId),
+      allocation.startDate,
+      allocation.endDate
+    ));
+
+    return { ...allocation, peakPercentage, isOverallocated: peakPercentage > FULL_CAPACITY };
+  });
+
+  return {
+    projectId,
+    members
+  };
+};
+
+/**
+ * Assign a staff member to a project
+ * @param {Object} allocationData - userId, allocationPercentage, startDate, endDate,
+ *   roleOnProject, hourlyRate, notes, allowOverallocation
+ */
+const assignTeamMember = async (projectId, allocationData, user, auditContext = null) => {
+  const project = await projectService.getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
+  assertOpenProject(project);
+
+  const startDate = toDateString(allocationData.startDate);
+  const endDate = allocationData.endDate ? toDateString(allocationData.endDate) : null;
+  assertValidPeriod(startDate, endDate);
+
+  return await db.transaction(async (connection) => {
+    const member = await resourceAllocationModel.findUser(allocationData.userId, connection);
+
+    if (!member) {
+      throw createError(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR,
+        `User with ID ${allocationData.userId} not found or inactive`
+      );
+    }
+
+    if (await resourceAllocationModel.existsForStart(projectId, member.id, startDate, null, connection)) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.DUPLICATE_ENTRY,
+        `User ${member.id} already has an allocation on this project starting ${startDate}`
+      );
+    }
+
+    const candidate = {
+      id: null,
+      projectId,
+      userId: member.id,
+      allocationPercentage: parseFloat(allocationData.allocationPercentage),
+      allocationStatus: RESOURCE_ALLOCATION_STATUS.ACTIVE,
+      startDate,
+      endDate,
+      project: { id: projectId, projectCode: project.projectCode }
+    };
+
+    const warnings = await checkCapacity(candidate, null, allocationData.allowOverallocation, user, connection);
+
+    const allocationId = await resourceAllocationModel.create({
+      ...allocationData,
+      projectId,
+      userId: member.id,
+      startDate,
+      endDate,
+      createdBy: user.id
+    }, connection);
+
+    const allocation = await resourceAllocationModel.findById(allocationId, projectId, connection);
+
+    await auditAllocation(auditContext, AUDIT_ACTION.CREATE, null, allocation, connection);
+
+    return { allocation, warnings };
+  });
+};
+
+/**
+ * Change a team allocation (percentage, period, role, rate, status)
+ */
+const updateTeamMember = async (projectId, allocationId, updateData, user, auditContext = null) => {
+  const project = await projectService.getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
+
+  return await db.transaction(async (connection) => {
+    const existing = await findAllocationOrFail(projectId, allocationId, connection);
+
+    // Lock the holder so that concurrent assignments are checked in turn
+    await resourceAllocationModel.findUser(existing.userId, connection);
+
+    const next = {
+      allocationPercentage: existing.allocationPercentage,
+      startDate: existing.startDate,
+      endDate: existing.endDate,
+      roleOnProject: existing.roleOnProject,
+      allocationStatus: existing.allocationStatus,
+      hourlyRate: existing.hourlyRate,
+      notes: existing.notes
+    };
+
+    Object.keys(next).forEach((field) => {
+      if (updateData[field] !== undefined) {
+        next[field] = updateData[field];
+      }
+    });
+
+    if (next.allocationStatus === RESOURCE_ALLOCATION_STATUS.ACTIVE) {
+      assertOpenProject(project);
+    }
+
+    next.allocationPercentage = parseFloat(next.allocationPercentage);
+    next.startDate = toDateString(next.startDate);
+    next.endDate = next.endDate ? toDateString(next.endDate) : null;
+    assertValidPeriod(next.startDate, next.endDate);
+
+    if (next.startDate !== existing.startDate &&
+        await resourceAllocationModel.existsForStart(projectId, existing.userId, next.startDate, allocationId, connection)) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.DUPLICATE_ENTRY,
+        `User ${existing.userId} already has an allocation on this project starting ${next.startDate}`
+      );
+    }
+
+    const warnings = await checkCapacity(
+      { ...existing, ...next },
+      existing,
+      updateData.allowOverallocation,
+      user,
+      connection
+    );
+
+    await resourceAllocationModel.update(allocationId, next, connection);
+
+    const allocation = await resourceAllocationModel.findById(allocationId, projectId, connection);
+
+    await auditAllocation(auditContext, AUDIT_ACTION.UPDATE, existing, allocation, connection);
+
+    return { allocation, warnings };
+  });
+};
+
+/**
+ * Remove a team allocation
+ */
+const removeTeamMember = async (projectId, allocationId, user, auditContext = null) => {
+  await projectService.getProjectById(projectId, user, PROJECT_ACCESS.EDIT);
+
+  await db.transaction(async (connection) => {
+    const existing = await findAllocationOrFail(projectId, allocationId, connection);
+
+    await resourceAllocationModel.remove(allocationId, connection);
+
+    await auditAllocation(auditContext, AUDIT_ACTION.DELETE, existing, null, connection);
+  });
+};
+
+/**
+ * Capacity of a user across projects over a period
+ * Users see their own capacity; staffing it for others needs project_update.
+ * @param {Object} period - from (default today), to (default from + 90 days)
+ */
+const getUserCapacity = async (userId, period, user) => {
+  if (userId !== user.id && !user.permissions.includes(PERMISSIONS.PROJECT_UPDATE)) {
+    throw createError(
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN,
+      'You do not have permission to view the capacity of other users'
+    );
+  }
+
+  const member = await resourceAllocationModel.findUser(userId);
+
+  if (!member) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `User with ID ${userId} not found`
+    );
+  }
+
+  const from = toDateString(period.from || new Date());
+  const to = period.to ? toDateString(period.to) : addDays(from, CAPACITY_WINDOW_DAYS);
+  assertValidPeriod(from, to);
+
+  const allocations = await resourceAllocationModel.findActiveForUsers([userId], from, to);
+  const periods = buildLoadPeriods(allocations, from, to);
+  const peakPercentage = peakOf(periods);
+
+  return {
+    user: member,
+    from,
+    to,
+    peakPercentage,
+    availablePercentage: Math.max(0, roundPercentage(FULL_CAPACITY - peakPercentage)),
+    isOverallocated: peakPercentage > FULL_CAPACITY,
+    periods,
+    overallocatedPeriods: findOverallocatedPeriods(periods),
+    allocations
+  };
+};
+
+module.exports = {
+  getTeam,
+  assignTeamMember,
+  updateTeamMember,
+  removeTeamMember,
+  getUserCapacity
+};
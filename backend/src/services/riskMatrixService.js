@@ -0,0 +1,87 @@
+/**
+ * Risk Matrix Service
+ * Exposure of project risks and their probability-impact heat map
+ *
+ * Likelihood and impact are scored 1 to 5 and the exposure of a risk is
+ * their product (1 to 25). The exposure bands setting grades it HIGH,
+ * MEDIUM or LOW; the cells of the 5x5 matrix are graded the same way.
+ */
+
+const { RISK_EXPOSURE, RISK_STATUS } = require('../config/constants');
+
+const SCALE = [1, 2, 3, 4, 5];
+
+/**
+ * Exposure level of a score
+ * @param {Object} bands - { high, medium } score thresholds
+ */
+const exposureLevel = (score, bands) => {
+  if (score >= bands.high) {
+    return RISK_EXPOSURE.HIGH;
+  }
+  if (score >= bands.medium) {
+    return RISK_EXPOSURE.MEDIUM;
+  }
+  return RISK_EXPOSURE.LOW;
+};
+
+/**
+ * Whether a risk is still open (not closed)
+ */
+const isOpen = (risk) => risk.status !== RISK_STATUS.CLOSED;
+
+/**
+ * Add the exposure level of each risk, and whether its review is overdue
+ * @param {String} today - YYYY-MM-DD
+ */
+const gradeRisks = (risks, bands, today) => risks.map(risk => ({
+  ...risk,
+  exposure: exposureLevel(risk.score, bands),
+  reviewOverdue: isOpen(risk) && risk.nextReviewDate !== null && risk.nextReviewDate < today
+}));
+
+/**
+ * Open risks at or above the high exposure threshold
+ */
+const highExposureRisks = (gradedRisks) => gradedRisks
+  .filter(risk => isOpen(risk) && risk.exposure === RISK_EXPOSURE.HIGH);
+
+/**
+ * Probability-impact heat map of graded risks
+ * Rows run from the most to the least likely, columns from the least to the
+ * most severe impact.
+ * @returns {Object} { rows: [{ likelihood, cells: [{ impact, score, exposure, count, risks }] }], totals }
+ */
+const buildHeatMap = (gradedRisks, bands) => {
+  const rows = [...SCALE].reverse().map(likelihood => ({
+    likelihood,
+    cells: SCALE.map((impact) => {
+      const risks = gradedRisks
+        .filter(risk => risk.likelihood === likelihood && risk.impact === impact)
+        .map(risk => ({ id: risk.id, riskCode: risk.riskCode, title: risk.title, status: risk.status }));
+
+      return {
+        impact,
+        score: likelihood * impact,
+        exposure: exposureLevel(likelihood * impact, bands),
+        count: risks.length,
+        risks
+      };
+    })
+  }));
+
+  const totals = Object.values(RISK_EXPOSURE).reduce((acc, level) => ({
+    ...acc,
+    [level]: gradedRisks.filter(risk => risk.exposure === level).length
+  }), {});
+
+  return { rows, totals };
+};
+
+module.exports = {
+  exposureLevel,
+  isOpen,
+  gradeRisks,
+  highExposureRisks,
+  buildHeatMap
+};
@@ -0,0 +1,310 @@
+/**
+ * Risk Service
+ * Risk register of a project and its probability-impact heat map
+ *
+ * Each risk has a category, likelihood and impact scores (1 to 5), an owner,
+ * a mitigation plan, a status and review dates. CLOSED risks keep the date
+ * they were closed; reopening one clears it. Open risks of HIGH exposure
+ * are reported among the critical issues of the project progress.
+ */
+
+const db = require('../config/database');
+const projectRiskModel = require('../models/projectRiskModel');
+const userModel = require('../models/userModel');
+const projectService = require('./projectService');
+const settingsService = require('./settingsService');
+const riskMatrixService = require('./riskMatrixService');
+const auditService = require('./auditService');
+const { createError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  PROJECT_STATUS,
+  PROJECT_ACCESS,
+  RISK_STATUS,
+  SETTING_KEY,
+  AUDIT_ACTION
+} = require('../config/constants');
+const { toDateString } = require('../utils/helpers');
+
+const CLOSED_PROJECT_STATUSES = [PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED];
+
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'likelihood',
+  'impact',
+  'ownerUserId',
+  'mitigationPlan',
+  'status',
+  'identifiedDate',
+  'lastReviewDate',
+  'nextReviewDate'
+];
+
+/**
+ * Load a risk of the project or throw 404
+ */
+const findRiskOrFail = async (projectId, riskId, connection = null) => {
+  const risk = await projectRiskModel.findById(riskId, projectId, connection);
+
+  if (!risk) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Risk with ID ${riskId} not found on project ${projectId}`
+    );
+  }
+
+  return risk;
+};
+
+const assertOwner = async (userId, connection) => {
+  const owner = await userModel.findById(userId, connection);
+
+  if (!owner || !owner.isActive) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `User with ID ${userId} not found or inactive`
+    );
+  }
+};
+
+/**
+ * Review dates cannot precede the identification, nor the next review the last
+ */
+const assertReviewDates = (risk) => {
+  const errors = [];
+
+  if (risk.lastReviewDate && risk.lastReviewDate < risk.identifiedDate) {
+    errors.push({ field: 'lastReviewDate', message: 'Last review cannot be before the risk was identified' });
+  }
+  if (risk.nextReviewDate && risk.nextReviewDate < (risk.lastReviewDate || risk.identifiedDate)) {
+    errors.push({ field: 'nextReviewDate', message: 'Next review cannot be before the last review' });
+  }
+
+  if (errors.length > 0) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      errors.map(error => error.message).join('; '),
+      errors
+    );
+  }
+};
+
+/**
+ * Next risk code of a project (<project code>-R01, -R02, ...)
+ */
+const nextRiskCode = (project, codes) => {
+  const last = codes.reduce((max, code) => {
+    const match = code.match(/-R(\d+)$/);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+
+  return `${project.projectCode}-R${String(last + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Date a risk was closed: kept while CLOSED, today when it closes, none when open
+ */
+const closedDateOf = (risk, existing, today) => {
+  if (risk.status !== RISK_STATUS.CLOSED) {
+    return null;
+  }
+
+  return existing && existing.closedDate ? existing.closedDate : today;
+};
+
+/**
+ * Record a risk change in the audit trail
+ */
+const auditRisk = async (auditContext, action, before, after, connection) => {
+  await auditService.record(auditContext, {
+    entityType: 'project_risk',
+    entityId: (after || before).id,
+    action,
+    before,
+    after
+  }, connection);
+};
+
+/**
+ * Grade risks with the configured exposure bands
+ * @returns {Promise<Object>} { bands, risks }
+ */
+const gradeProjectRisks = async (risks) => {
+  const bands = await settingsService.getSetting(SETTING_KEY.RISK_EXPOSURE_BANDS);
+
+  return {
+    bands,
+    risks: riskMatrixService.gradeRisks(risks, bands, toDateString(new Date()))
+  };
+};
+
+/**
+ * List the risks of a project, highest exposure first
+ * @param {Object} filters - status, category, ownerUserId, exposure
+ */
+const listRisks = async (projectId, filters, user) => {
+  await projectService.getProjectById(projectId, user);
+
+  const { bands, risks } = await gradeProjectRisks(await projectRiskModel.findByProject(projectId, filters));
+
+  return {
+    projectId,
+    exposureBands: bands,
+    risks: filters.exposure ? risks.filter(risk => risk.exposure === filters.exposure) : risks
+  };
+};
+
+/**
+ * Get one risk of a project
+ */
+const getRisk = async (projectId, riskId, user) => {
+  await projectService.getProjectById(projectId, user);
+
+  const { risks } = await gradeProjectRisks([await findRiskOrFail(projectId, riskId)]);
+
+  return risks[0];
+};
+
+/**
+ * Add a risk to the register
+ * @param {Object} riskData - title, description, category, likelihood, impact, ownerUserId,
+ *   mitigationPlan, status, identifiedDate, lastReviewDate, nextReviewDate
+ */
+const createRisk = async (projectId, riskData, user, auditContext = null) => {
+  const project = await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_RISKS);
+
+  if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Risks cannot be added to a ${project.status} project`
+    );
+  }
+
+  const today = toDateString(new Date());
+
+  const candidate = {
+    ...riskData,
+    status: riskData.status || RISK_STATUS.OPEN,
+    identifiedDate: riskData.identifiedDate ? toDateString(riskData.identifiedDate) : today,
+    lastReviewDate: riskData.lastReviewDate ? toDateString(riskData.lastReviewDate) : null,
+    nextReviewDate: riskData.nextReviewDate ? toDateString(riskData.nextReviewDate) : null
+  };
+  assertReviewDates(candidate);
+
+  const risk = await db.transaction(async (connection) => {
+    await assertOwner(candidate.ownerUserId, connection);
+
+    const codes = await projectRiskModel.findCodes(projectId, connection);
+
+    const riskId = await projectRiskModel.create({
+      ...candidate,
+      projectId,
+      riskCode: nextRiskCode(project, codes),
+      closedDate: closedDateOf(candidate, null, today),
+      createdBy: user.id
+    }, connection);
+
+    const created = await projectRiskModel.findById(riskId, projectId, connection);
+
+    await auditRisk(auditContext, AUDIT_ACTION.CREATE, null, created, connection);
+
+    return created;
+  });
+
+  return (await gradeProjectRisks([risk])).risks[0];
+};
+
+/**
+ * Change a risk (scores, owner, mitigation, status, review dates)
+ */
+const updateRisk = async (projectId, riskId, updateData, user, auditContext = null) => {
+  await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_RISKS);
+
+  const today = toDateString(new Date());
+
+  const risk = await db.transaction(async (connection) => {
+    const existing = await findRiskOrFail(projectId, riskId, connection);
+
+    const next = { ...existing };
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (updateData[field] !== undefined) {
+        next[field] = updateData[field];
+      }
+    });
+
+    next.identifiedDate = toDateString(next.identifiedDate);
+    next.lastReviewDate = next.lastReviewDate ? toDateString(next.lastReviewDate) : null;
+    next.nextReviewDate = next.nextReviewDate ? toDateString(next.nextReviewDate) : null;
+    assertReviewDates(next);
+
+    if (next.ownerUserId !== existing.ownerUserId) {
+      await assertOwner(next.ownerUserId, connection);
+    }
+
+    await projectRiskModel.update(riskId, {
+      ...next,
+      closedDate: closedDateOf(next, existing, today),
+      updatedBy: user.id
+    }, connection);
+
+    const updated = await projectRiskModel.findById(riskId, projectId, connection);
+
+    await auditRisk(auditContext, AUDIT_ACTION.UPDATE, existing, updated, connection);
+
+    return updated;
+  });
+
+  return (await gradeProjectRisks([risk])).risks[0];
+};
+
+/**
+ * Delete a risk recorded by mistake (risks that no longer apply are CLOSED)
+ */
+const deleteRisk = async (projectId, riskId, user, auditContext = null) => {
+  await projectService.getProjectById(projectId, user, PROJECT_ACCESS.MANAGE_RISKS);
+
+  await db.transaction(async (connection) => {
+    const existing = await findRiskOrFail(projectId, riskId, connection);
+
+    await projectRiskModel.remove(riskId, connection);
+
+    await auditRisk(auditContext, AUDIT_ACTION.DELETE, existing, null, connection);
+  });
+};
+
+/**
+ * Probability-impact heat map of the risks of a project
+ * @param {Object} options - includeClosed (open risks only by default)
+ */
+const getRiskHeatMap = async (projectId, options, user) => {
+  const project = await projectService.getProjectById(projectId, user);
+
+  const { bands, risks } = await gradeProjectRisks(
+    await projectRiskModel.findByProject(projectId, { openOnly: !options.includeClosed })
+  );
+
+  return {
+    projectId,
+    projectCode: project.projectCode,
+    includeClosed: Boolean(options.includeClosed),
+    exposureBands: bands,
+    ...riskMatrixService.buildHeatMap(risks, bands)
+  };
+};
+
+module.exports = {
+  listRisks,
+  getRisk,
+  createRisk,
+  updateRisk,
+  deleteRisk,
+  getRiskHeatMap
+};
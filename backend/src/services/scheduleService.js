@@ -0,0 +1,145 @@
+/**
+ * Schedule Service
+ * Critical path schedule of a project from its milestones
+ *
+ * Each milestone is treated as the activity leading to it: it starts when
+ * its prerequisite finishes (the project start for milestones without one)
+ * and its planned duration runs up to its planned date. The forward pass
+ * gives the forecast early start and finish: completed milestones finish
+ * on their completion date, open ones cannot finish before today, and a
+ * slip moves every dependent by the same amount. The backward pass from the
+ * forecast end gives late dates and total float; milestones without float
+ * form the critical path. Cancelled milestones take no time.
+ */
+
+const { MILESTONE_STATUS } = require('../config/constants');
+const { toDateString, addDays, daysBetween } = require('../utils/helpers');
+
+const maxDate = (...dates) => dates.filter(Boolean).sort().pop();
+const minDate = (...dates) => dates.filter(Boolean).sort()[0];
+
+/**
+ * Order milestones so that each comes after its prerequisite
+ * (dependencies form a forest: one prerequisite per milestone, no cycle)
+ */
+const topologicalOrder = (milestones) => {
+  const byId = new Map(milestones.map(milestone => [milestone.id, milestone]));
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (milestone) => {
+    if (visited.has(milestone.id)) {
+      return;
+    }
+    visited.add(milestone.id);
+
+    const prerequisite = byId.get(milestone.dependsOnMilestoneId);
+    if (prerequisite) {
+      visit(prerequisite);
+    }
+
+    ordered.push(milestone);
+  };
+
+  milestones.forEach(visit);
+
+  return ordered;
+};
+
+/**
+ * Compute the schedule of a project
+ * @param {Object} project - startDate, plannedEndDate
+ * @param {Array} milestones - Milestones of the project
+ * @param {Object} options - today (YYYY-MM-DD), slip { milestoneId, days } to simulate
+ * @returns {Object} Schedule with forecast end, critical path and per-milestone dates
+ */
+const computeSchedule = (project, milestones, options = {}) => {
+  const today = options.today || toDateString(new Date());
+  const projectStart = toDateString(project.startDate);
+  const plannedEndDate = toDateString(project.plannedEndDate);
+  const slip = options.slip || null;
+
+  const ordered = topologicalOrder(milestones);
+  const entries = new Map();
+  const successorsOf = new Map();
+
+  // Forward pass: planned and forecast dates
+  ordered.forEach((milestone) => {
+    const prerequisite = entries.get(milestone.dependsOnMilestoneId) || null;
+    const cancelled = milestone.status === MILESTONE_STATUS.CANCELLED;
+
+    const plannedStart = prerequisite ? prerequisite.plannedFinish : projectStart;
+    const plannedFinish = cancelled ? plannedStart : maxDate(plannedStart, milestone.plannedDate);
+    const durationDays = daysBetween(plannedStart, plannedFinish);
+
+    const earlyStart = prerequisite ? prerequisite.earlyFinish : projectStart;
+    let earlyFinish = addDays(earlyStart, durationDays);
+
+    if (milestone.status === MILESTONE_STATUS.COMPLETED && milestone.actualCompletionDate) {
+      earlyFinish = maxDate(earlyStart, milestone.actualCompletionDate);
+    } else if (!cancelled) {
+      earlyFinish = maxDate(earlyFinish, today);
+    }
+
+    if (slip && slip.milestoneId === milestone.id) {
+      earlyFinish = addDays(earlyFinish, slip.days);
+    }
+
+    entries.set(milestone.id, {
+      id: milestone.id,
+      milestoneCode: milestone.milestoneCode,
+      title: milestone.title,
+      status: milestone.status,
+      completionPercentage: milestone.completionPercentage,
+      dependsOnMilestoneId: milestone.dependsOnMilestoneId,
+      actualCompletionDate: milestone.actualCompletionDate,
+      durationDays,
+      plannedStart,
+      plannedFinish,
+      earlyStart,
+      earlyFinish,
+      slipDays: daysBetween(plannedFinish, earlyFinish)
+    });
+    successorsOf.set(milestone.id, []);
+
+    if (prerequisite) {
+      successorsOf.get(prerequisite.id).push(milestone.id);
+    }
+  });
+
+  const forecastEndDate = maxDate(...[...entries.values()].map(entry => entry.earlyFinish)) || plannedEndDate;
+
+  // Backward pass from the forecast end
+  [...ordered].reverse().forEach((milestone) => {
+    const entry = entries.get(milestone.id);
+    const successors = successorsOf.get(milestone.id);
+    const lateFinish = successors.length > 0
+      ? minDate(...successors.map(id => entries.get(id).lateStart))
+      : forecastEndDate;
+
+    entry.lateFinish = lateFinish;
+    entry.lateStart = addDays(lateFinish, -daysBetween(entry.earlyStart, entry.earlyFinish));
+    entry.totalFloat = daysBetween(entry.earlyFinish, lateFinish);
+    entry.isCritical = entry.totalFloat === 0 && entry.status !== MILESTONE_STATUS.CANCELLED;
+  });
+
+  const scheduled = [...entries.values()]
+    .sort((a, b) => a.earlyStart.localeCompare(b.earlyStart) || a.earlyFinish.localeCompare(b.earlyFinish));
+
+  return {
+    asOf: today,
+    startDate: projectStart,
+    plannedEndDate,
+    forecastEndDate,
+    endDateSlipDays: Math.max(0, daysBetween(plannedEndDate, forecastEndDate)),
+    criticalPath: scheduled
+      .filter(entry => entry.isCritical)
+      .sort((a, b) => a.earlyFinish.localeCompare(b.earlyFinish))
+      .map(entry => entry.id),
+    milestones: scheduled
+  };
+};
+
+module.exports = {
+  computeSchedule
+};
@@ -0,0 +1,454 @@
+/**
+ * Settings Service
+ * Typed system settings with encrypted secrets, change history and an
+ * in-process cache
+ *
+ * Values are stored as text in system_settings and decoded by their type.
+ * Secret settings (is_encrypted) are stored AES-256-GCM encrypted with
+ * SETTINGS_ENCRYPTION_KEY and never returned by the API. Changes are
+ * recorded in the audit trail, which serves as the setting history, and
+ * reload this process's cache at once; other processes pick them up when
+ * their cache expires (SETTINGS_CACHE_TTL_MS).
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const settingModel = require('../models/settingModel');
+const auditService = require('./auditService');
+const settings = require('../config/settings');
+const logger = require('../middleware/logger');
+const { createError } = require('../middleware/errorHandler');
+const { SETTINGS_ENCRYPTION_KEY } = require('../config/environment');
+const { HTTP_STATUS, ERROR_CODES, SETTING_TYPE, SETTING_KEY, AUDIT_ACTION } = require('../config/constants');
+
+const { SETTING_DEFINITIONS } = settings;
+
+const CIPHER = 'aes-256-gcm';
+const CIPHER_VERSION = 'v1';
+
+// Stands for secret values in responses and the audit trail
+const ENCRYPTED = '[ENCRYPTED]';
+
+const encryptionKey = crypto.createHash('sha256').update(SETTINGS_ENCRYPTION_KEY).digest();
+
+let loading = null;
+
+/**
+ * Encrypt a stored value: v1:iv:authTag:ciphertext (base64 parts)
+ */
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+  return [CIPHER_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ */
+const decrypt = (stored) => {
+  const [version, iv, authTag, ciphertext] = stored.split(':');
+
+  if (version !== CIPHER_VERSION || !ciphertext) {
+    throw new Error('Unknown encrypted value format');
+  }
+
+  const decipher = crypto.createDecipheriv(CIPHER, encryptionKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Decode stored text by setting type
+ */
+const parseValue = (text, settingType) => {
+  switch (settingType) {
+    case SETTING_TYPE.INT:
+      return parseInt(text, 10);
+    case SETTING_TYPE.DECIMAL:
+      return parseFloat(text);
+    case SETTING_TYPE.BOOLEAN:
+      return text === 'true' || text === '1';
+    case SETTING_TYPE.JSON:
+      return JSON.parse(text);
+    default:
+      return text;
+  }
+};
+
+/**
+ * Encode a value as stored text
+ */
+const serializeValue = (value, settingType) => {
+  return settingType === SETTING_TYPE.JSON ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Decoded value of a stored setting
+ */
+const decode = (setting) => {
+  const text = setting.isEncrypted ? decrypt(setting.settingValue) : setting.settingValue;
+  return parseValue(text, setting.settingType);
+};
+
+/**
+ * Check a value given through the API against the setting type and, for
+ * known settings, their limits
+ * @returns {*} Value converted to the setting type
+ */
+const coerceValue = (settingKey, value, settingType) => {
+  const invalid = (message) => createError(
+    HTTP_STATUS.UNPROCESSABLE_ENTITY,
+    ERROR_CODES.VALIDATION_ERROR,
+    `Invalid value for ${settingKey}: ${message}`,
+    [{ field: 'value', message }]
+  );
+
+  let coerced = value;
+
+  switch (settingType) {
+    case SETTING_TYPE.INT:
+      coerced = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(coerced)) {
+        throw invalid('Must be an integer');
+      }
+      break;
+    case SETTING_TYPE.DECIMAL:
+      coerced = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof coerced !== 'number' || !Number.isFinite(coerced)) {
+        throw invalid('Must be a number');
+      }
+      break;
+    case SETTING_TYPE.BOOLEAN:
+      coerced = value === 'true' ? true : value === 'false' ? false : value;
+      if (typeof coerced !== 'boolean') {
+        throw invalid('Must be a boolean');
+      }
+      break;
+    case SETTING_TYPE.JSON:
+      if (value === undefined) {
+        throw invalid('Must be a JSON value');
+      }
+      break;
+    default:
+      if (typeof value !== 'string') {
+        throw invalid('Must be a string');
+      }
+  }
+
+  const definition = SETTING_DEFINITIONS[settingKey];
+
+  if (definition) {
+    if (definition.min !== undefined && coerced < definition.min) {
+      throw invalid(`Must be at least ${definition.min}`);
+    }
+
+    if (definition.max !== undefined && coerced > definition.max) {
+      throw invalid(`Must be at most ${definition.max}`);
+    }
+
+    const message = definition.validate ? definition.validate(coerced) : null;
+
+    if (message) {
+      throw invalid(message);
+    }
+  }
+
+  return coerced;
+};
+
+/**
+ * Reject page sizes where the default exceeds the maximum
+ */
+const assertConsistent = (settingKey, value) => {
+  const defaultPageSize = settingKey === SETTING_KEY.DEFAULT_PAGE_SIZE
+    ? value
+    : settings.getCached(SETTING_KEY.DEFAULT_PAGE_SIZE);
+  const maxPageSize = settingKey === SETTING_KEY.MAX_PAGE_SIZE
+    ? value
+    : settings.getCached(SETTING_KEY.MAX_PAGE_SIZE);
+
+  if (defaultPageSize > maxPageSize) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `${SETTING_KEY.DEFAULT_PAGE_SIZE} (${defaultPageSize}) cannot exceed ${SETTING_KEY.MAX_PAGE_SIZE} (${maxPageSize})`
+    );
+  }
+};
+
+/**
+ * API form of a setting; secret values are left out
+ * @param {Object|null} setting - Stored setting, null for a known setting never stored
+ */
+const present = (settingKey, setting) => {
+  const definition = SETTING_DEFINITIONS[settingKey] || null;
+
+  if (!setting) {
+    return {
+      settingKey,
+      value: definition.defaultValue,
+      settingType: definition.type,
+      description: definition.description,
+      isEncrypted: false,
+      isDefault: true,
+      defaultValue: definition.defaultValue,
+      updatedAt: null,
+      updater: null
+    };
+  }
+
+  return {
+    id: setting.id,
+    settingKey,
+    value: setting.isEncrypted ? null : settings.getCached(settingKey) ?? null,
+    settingType: setting.settingType,
+    description: setting.description,
+    isEncrypted: setting.isEncrypted,
+    isDefault: false,
+    defaultValue: definition ? definition.defaultValue : null,
+    updatedAt: setting.updatedAt,
+    updater: setting.updater
+  };
+};
+
+/**
+ * Audit snapshot of a setting (secret values masked)
+ */
+const snapshot = (setting, value) => ({
+  settingKey: setting.settingKey,
+  settingType: setting.settingType,
+  value: setting.isEncrypted ? ENCRYPTED : value,
+  description: setting.description,
+  isEncrypted: setting.isEncrypted
+});
+
+/**
+ * Load every stored setting into the cache
+ * Settings that cannot be decoded are skipped (their default applies).
+ * Concurrent calls share one query.
+ */
+const loadSettings = () => {
+  if (!loading) {
+    loading = (async () => {
+      const values = new Map();
+
+      for (const setting of await settingModel.findAll()) {
+        try {
+          values.set(setting.settingKey, decode(setting));
+        } catch (error) {
+          logger.error('Setting could not be decoded:', { settingKey: setting.settingKey, error: error.message });
+        }
+      }
+
+      settings.fill(values);
+      return values.size;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+};
+
+settings.registerLoader(() => loadSettings().catch((error) => {
+  logger.error('Settings reload failed:', error);
+}));
+
+/**
+ * Current value of a setting (registry default when not stored)
+ * The cache is reloaded once stale; when the database cannot be reached,
+ * the last known values are used.
+ */
+const getSetting = async (settingKey) => {
+  if (!settings.isFresh()) {
+    try {
+      await loadSettings();
+    } catch (error) {
+      logger.error('Settings reload failed, using cached values:', error);
+    }
+  }
+
+  return settings.getCached(settingKey);
+};
+
+/**
+ * Load one stored setting or a known one, or throw 404
+ */
+const findSettingOrFail = async (settingKey, connection = null) => {
+  const setting = await settingModel.findByKey(settingKey, connection);
+
+  if (!setting && !SETTING_DEFINITIONS[settingKey]) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Setting ${settingKey} not found`
+    );
+  }
+
+  return setting;
+};
+
+/**
+ * List stored settings and known settings still at their default
+ */
+const listSettings = async () => {
+  await loadSettings();
+
+  const stored = await settingModel.findAll();
+  const storedKeys = stored.map(setting => setting.settingKey);
+  const defaults = Object.keys(SETTING_DEFINITIONS).filter(key => !storedKeys.includes(key));
+
+  return [
+    ...stored.map(setting => present(setting.settingKey, setting)),
+    ...defaults.map(key => present(key, null))
+  ].sort((a, b) => a.settingKey.localeCompare(b.settingKey));
+};
+
+/**
+ * Get one setting
+ */
+const getSettingByKey = async (settingKey) => {
+  const setting = await findSettingOrFail(settingKey);
+  await getSetting(settingKey);
+
+  return present(settingKey, setting);
+};
+
+/**
+ * Create a setting
+ * Known settings keep their registered type.
+ * @param {Object} settingData - settingKey, settingType, value, description, isEncrypted
+ */
+const createSetting = async (settingData, user, auditContext = null) => {
+  const { settingKey } = settingData;
+  const definition = SETTING_DEFINITIONS[settingKey];
+
+  if (definition && definition.type !== settingData.settingType) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Setting ${settingKey} must be of type ${definition.type}`
+    );
+  }
+
+  const value = coerceValue(settingKey, settingData.value, settingData.settingType);
+  assertConsistent(settingKey, value);
+
+  await db.transaction(async (connection) => {
+    if (await settingModel.findByKey(settingKey, connection)) {
+      throw createError(
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.DUPLICATE_ENTRY,
+        `Setting ${settingKey} already exists`
+      );
+    }
+
+    const text = serializeValue(value, settingData.settingType);
+
+    const id = await settingModel.create({
+      settingKey,
+      settingValue: settingData.isEncrypted ? encrypt(text) : text,
+      settingType: settingData.settingType,
+      description: settingData.description || (definition && definition.description),
+      isEncrypted: settingData.isEncrypted,
+      updatedBy: user.id
+    }, connection);
+
+    await auditService.record(auditContext, {
+      entityType: 'system_setting',
+      entityId: id,
+      action: AUDIT_ACTION.CREATE,
+      after: snapshot(await settingModel.findByKey(settingKey, connection), value)
+    }, connection);
+  });
+
+  settings.invalidate();
+
+  return await getSettingByKey(settingKey);
+};
+
+/**
+ * Change the value of a setting
+ * A known setting not stored yet is created with its registered type.
+ * @param {Object} updateData - value, reason
+ */
+const updateSetting = async (settingKey, updateData, user, auditContext = null) => {
+  await db.transaction(async (connection) => {
+    const before = await findSettingOrFail(settingKey, connection);
+    const definition = SETTING_DEFINITIONS[settingKey];
+    const settingType = before ? before.settingType : definition.type;
+
+    const value = coerceValue(settingKey, updateData.value, settingType);
+    assertConsistent(settingKey, value);
+
+    const text = serializeValue(value, settingType);
+    const settingValue = before && before.isEncrypted ? encrypt(text) : text;
+
+    if (before) {
+      await settingModel.updateValue(settingKey, settingValue, user.id, connection);
+    } else {
+      await settingModel.create({
+        settingKey,
+        settingValue,
+        settingType,
+        description: definition.description,
+        isEncrypted: false,
+        updatedBy: user.id
+      }, connection);
+    }
+
+    const after = await settingModel.findByKey(settingKey, connection);
+
+    // A secret is masked in the trail: the old one is not decrypted, so it can be
+    // replaced even when it no longer decrypts (key changed, corrupt value)
+    let previous = null;
+    if (!before) {
+      previous = definition.defaultValue;
+    } else if (!before.isEncrypted) {
+      previous = decode(before);
+    }
+
+    await auditService.record(auditContext, {
+      entityType: 'system_setting',
+      entityId: after.id,
+      action: before ? AUDIT_ACTION.UPDATE : AUDIT_ACTION.CREATE,
+      before: before ? snapshot(before, previous) : null,
+      after: snapshot(after, value),
+      reason: updateData.reason || (after.isEncrypted ? 'Secret value replaced' : null)
+    }, connection);
+  });
+
+  settings.invalidate();
+
+  return await getSettingByKey(settingKey);
+};
+
+/**
+ * Change history of a setting, from the audit trail
+ */
+const getSettingHistory = async (settingKey) => {
+  const setting = await findSettingOrFail(settingKey);
+
+  if (!setting) {
+    return { settingKey, entries: [] };
+  }
+
+  const { entries } = await auditService.getEntityTimeline('system_setting', setting.id);
+
+  return { settingKey, entries };
+};
+
+module.exports = {
+  loadSettings,
+  getSetting,
+  listSettings,
+  getSettingByKey,
+  createSetting,
+  updateSetting,
+  getSettingHistory
+};
@@ -4,9 +4,13 @@
  * @module services/userService
  */
 
+const db = require('../config/database');
 const userModel = require('../models/userModel');
+const auditLogModel = require('../models/auditLogModel');
+const auditService = require('./auditService');
 const bcrypt = require('bcryptjs');
 const logger = require('../middleware/logger');
+const { AUDIT_ACTION } = require('../config/constants');
 
 /**
  * Get all users with pagination and filtering
@@ -57,6 +61,32 @@ const getUserById = async (id) => {
   }
 };
 
+/**
+ * Load the audited state of a user: its account and its roles
+ */
+const loadAuditState = async (id, connection) => {
+  const user = await userModel.findById(id, connection);
+
+  if (!user) {
+    return null;
+  }
+
+  return { ...user, roles: await userModel.getUserRoles(id, connection) };
+};
+
+/**
+ * Record a user change in the audit trail
+ */
+const auditUser = async (auditContext, action, before, after, connection) => {
+  await auditService.record(auditContext, {
+    entityType: 'user',
+    entityId: (after || before).id,
+    action,
+    before,
+    after
+  }, connection);
+};
+
 /**
  * Get user by email
  */
@@ -84,7 +114,7 @@ const getUserByUsername = async (username) => {
 /**
  * Create new user
  */
-const createUser = async (userData) => {
+const createUser = async (userData, auditContext) => {
   try {
     // Validate user data
     validateUserData(userData);
@@ -113,10 +143,16 @@ const createUser = async (userData) => {
     
     delete userToCreate.password;
     
-    const userId = await userModel.create(userToCreate);
-    const user = await getUserById(userId);
-    
-    return user;
+    const userId = await db.transaction(async (connection) => {
+      const createdId = await userModel.create(userToCreate, connection);
+      const after = await loadAuditState(createdId, connection);
+
+      await auditUser(auditContext, AUDIT_ACTION.CREATE, null, after, connection);
+
+      return createdId;
+    });
+
+    return await getUserById(userId);
   } catch (error) {
     logger.error('Error in createUser service:', error);
     throw error;
@@ -126,7 +162,7 @@ const createUser = async (userData) => {
 /**
  * Update user
  */
-const updateUser = async (id, updateData) => {
+const updateUser = async (id, updateData, auditContext) => {
   try {
     const existing = await userModel.findById(id);
     if (!existing) {
@@ -161,10 +197,15 @@ const updateUser = async (id, updateData) => {
       delete updateData.password;
     }
     
-    await userModel.update(id, updateData);
-    const user = await getUserById(id);
-    
-    return user;
+    await db.transaction(async (connection) => {
+      const before = await loadAuditState(id, connection);
+      await userModel.update(id, updateData, connection);
+      const after = await loadAuditState(id, connection);
+
+      await auditUser(auditContext, AUDIT_ACTION.UPDATE, before, after, connection);
+    });
+
+    return await getUserById(id);
   } catch (error) {
     logger.error('Error in updateUser service:', error);
     throw error;
@@ -174,15 +215,19 @@ const updateUser = async (id, updateData) => {
 /**
  * Delete user (soft delete)
  */
-const deleteUser = async (id, deletedBy) => {
+const deleteUser = async (id, deletedBy, auditContext) => {
   try {
-    const existing = await userModel.findById(id);
-    if (!existing) {
-      return null;
-    }
-    
-    await userModel.softDelete(id, deletedBy);
-    return true;
+    return await db.transaction(async (connection) => {
+      const before = await loadAuditState(id, connection);
+      if (!before) {
+        return null;
+      }
+
+      await userModel.softDelete(id, deletedBy, connection);
+      await auditUser(auditContext, AUDIT_ACTION.DELETE, before, null, connection);
+
+      return true;
+    });
   } catch (error) {
     logger.error('Error in deleteUser service:', error);
     throw error;
@@ -192,17 +237,23 @@ const deleteUser = async (id, deletedBy) => {
 /**
  * Update user status
  */
-const updateUserStatus = async (id, status, updatedBy) => {
+const updateUserStatus = async (id, status, updatedBy, auditContext) => {
   try {
-    const existing = await userModel.findById(id);
-    if (!existing) {
-      return null;
-    }
-    
-    await userModel.update(id, { status, updated_by: updatedBy });
-    const user = await getUserById(id);
-    
-    return user;
+    const updated = await db.transaction(async (connection) => {
+      const before = await loadAuditState(id, connection);
+      if (!before) {
+        return false;
+      }
+
+      await userModel.update(id, { status, updated_by: updatedBy }, connection);
+      const after = await loadAuditState(id, connection);
+
+      await auditUser(auditContext, AUDIT_ACTION.UPDATE, before, after, connection);
+
+      return true;
+    });
+
+    return updated ? await getUserById(id) : null;
   } catch (error) {
     logger.error('Error in updateUserStatus service:', error);
     throw error;
@@ -210,17 +261,16 @@ const updateUserStatus = async (id, status, updatedBy) => {
 };
 
 /**
- * Get user activity logs
+ * Get user activity logs (changes recorded in the audit trail)
  */
 const getUserActivity = async (userId, page, limit) => {
   try {
     const offset = (page - 1) * limit;
     
-    const activities = await userModel.getActivityLogs(userId, limit, offset);
-    const total = await userModel.countActivityLogs(userId);
+    const { entries, total } = await auditLogModel.findByUser(userId, { limit, offset });
     
     return {
-      activities,
+      activities: entries,
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalItems: total
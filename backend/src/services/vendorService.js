@@ -0,0 +1,234 @@
+/**
+ * Vendor Service
+ * Business logic for vendor management and performance tracking
+ */
+
+const vendorModel = require('../models/vendorModel');
+const purchaseOrderModel = require('../models/purchaseOrderModel');
+const { createError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_CODES, PO_STATUS } = require('../config/constants');
+const { parsePagination, buildPaginationMeta, calculatePercentage } = require('../utils/helpers');
+
+// Scorecard weights (must sum to 1)
+const SCORE_WEIGHTS = {
+  onTimeDelivery: 0.5,
+  rating: 0.3,
+  completion: 0.2
+};
+
+// A rating may only cite an order whose goods were (at least partly) received
+const RATEABLE_PO_STATUSES = [
+  PO_STATUS.PARTIAL_RECEIVED,
+  PO_STATUS.RECEIVED,
+  PO_STATUS.INVOICED,
+  PO_STATUS.PAID
+];
+
+/**
+ * List vendors with filtering, search and pagination
+ */
+const listVendors = async (filters, pagination) => {
+  const { page, limit, offset } = parsePagination(pagination);
+
+  const { vendors, total } = await vendorModel.getAllVendors(filters, { limit, offset });
+
+  return {
+    vendors,
+    pagination: buildPaginationMeta(page, limit, total)
+  };
+};
+
+/**
+ * Get vendor by ID
+ */
+const getVendorById = async (vendorId) => {
+  const vendor = await vendorModel.getVendorById(vendorId);
+
+  if (!vendor) {
+    throw createError(
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.NOT_FOUND,
+      `Vendor with ID ${vendorId} not found`
+    );
+  }
+
+  return vendor;
+};
+
+/**
+ * Create new vendor
+ */
+const createVendor = async (vendorData, createdBy) => {
+  const vendorId = await vendorModel.createVendor({
+    ...vendorData,
+    createdBy
+  });
+
+  return await vendorModel.getVendorById(vendorId);
+};
+
+/**
+ * Update vendor
+ */
+const updateVendor = async (vendorId, vendorData, updatedBy) => {
+  await getVendorById(vendorId);
+
+  await vendorModel.updateVendor(vendorId, {
+    ...vendorData,
+    updatedBy
+  });
+
+  return await vendorModel.getVendorById(vendorId);
+};
+
+/**
+ * Deactivate vendor
+ * Vendors with open purchase orders cannot be deactivated
+ */
+const deleteVendor = async (vendorId, deletedBy) => {
+  await getVendorById(vendorId);
+
+  const openOrders = await vendorModel.countOpenOrders(vendorId);
+
+  if (openOrders > 0) {
+    throw createError(
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.INVALID_INPUT,
+      `Vendor has ${openOrders} open purchase order(s) and cannot be deactivated`
+    );
+  }
+
+  await vendorModel.deleteVendor(vendorId, deletedBy);
+};
+
+/**
+ * Get purchase orders placed with a vendor
+ */
+const getVendorTransactions = async (vendorId, filters) => {
+  await getVendorById(vendorId);
+
+  return await vendorModel.getVendorTransactions(vendorId, filters);
+};
+
+/**
+ * Get vendor performance scorecard
+ * Overall score (0-100) weighs on-time delivery, average rating and
+ * the share of orders that were not cancelled
+ */
+const getVendorPerformance = async (vendorId) => {
+  const vendor = await getVendorById(vendorId);
+
+  const metrics = await vendorModel.getVendorPerformance(vendorId);
+  const recentReviews = await vendorModel.getVendorReviews(vendorId, 5);
+
+  const onTimeRate = metrics.deliveredOrders > 0
+    ? calculatePercentage(metrics.onTimeDeliveries, metrics.deliveredOrders)
+    : null;
+
+  const completionRate = metrics.totalOrders > 0
+    ? calculatePercentage(metrics.totalOrders - metrics.cancelledOrders, metrics.totalOrders)
+    : null;
+
+  const ratingScore = metrics.averageRating !== null
+    ? calculatePercentage(metrics.averageRating, 5)
+    : null;
+
+  // Only weigh the components we have data for
+  const components = [
+    { value: onTimeRate, weight: SCORE_WEIGHTS.onTimeDelivery },
+    { value: ratingScore, weight: SCORE_WEIGHTS.rating },
+    { value: completionRate, weight: SCORE_WEIGHTS.completion }
+  ].filter(c => c.value !== null);
+
+  const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+  const overallScore = totalWeight > 0
+    ? parseFloat((components.reduce((sum, c) => sum + c.value * c.weight, 0) / totalWeight).toFixed(2))
+    : null;
+
+  return {
+    vendor: {
+      id: vendor.id,
+      vendorCode: vendor.vendorCode,
+      vendorName: vendor.vendorName,
+      isActive: vendor.isActive
+    },
+    orders: {
+      total: metrics.totalOrders,
+      open: metrics.openOrders,
+      cancelled: metrics.cancelledOrders,
+      totalValue: metrics.totalValue,
+      lastOrderDate: metrics.lastOrderDate
+    },
+    delivery: {
+      delivered: metrics.deliveredOrders,
+      onTime: metrics.onTimeDeliveries,
+      onTimeRate,
+      averageDelayDays: metrics.avgDelayDays !== null ? parseFloat(metrics.avgDelayDays.toFixed(1)) : null
+    },
+    rating: {
+      average: metrics.averageRating !== null ? parseFloat(metrics.averageRating.toFixed(2)) : null,
+      reviewCount: metrics.reviewCount,
+      recentReviews
+    },
+    completionRate,
+    overallScore
+  };
+};
+
+/**
+ * Ensure the purchase order cited by a rating was received from the vendor
+ */
+const assertRateableOrder = async (vendorId, purchaseOrderId) => {
+  const purchaseOrder = await purchaseOrderModel.findById(purchaseOrderId);
+
+  if (!purchaseOrder || purchaseOrder.vendorId !== vendorId) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Purchase order ${purchaseOrderId} was not placed with vendor ${vendorId}`,
+      [{ field: 'purchaseOrderId', message: 'Purchase order of another vendor' }]
+    );
+  }
+
+  if (!RATEABLE_PO_STATUSES.includes(purchaseOrder.poStatus)) {
+    throw createError(
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ERROR_CODES.VALIDATION_ERROR,
+      `Purchase order ${purchaseOrder.poNumber} has not been received (current status: ${purchaseOrder.poStatus})`,
+      [{ field: 'purchaseOrderId', message: 'Purchase order not received' }]
+    );
+  }
+};
+
+/**
+ * Rate a vendor
+ * A rating citing a purchase order must cite one received from this vendor
+ */
+const rateVendor = async (vendorId, reviewData, reviewedBy) => {
+  await getVendorById(vendorId);
+
+  if (reviewData.purchaseOrderId) {
+    await assertRateableOrder(vendorId, reviewData.purchaseOrderId);
+  }
+
+  const rating = await vendorModel.updateVendorRating(vendorId, {
+    ...reviewData,
+    reviewedBy
+  });
+
+  return {
+    vendorId,
+    rating
+  };
+};
+
+module.exports = {
+  listVendors,
+  getVendorById,
+  createVendor,
+  updateVendor,
+  deleteVendor,
+  getVendorTransactions,
+  getVendorPerformance,
+  rateVendor
+};
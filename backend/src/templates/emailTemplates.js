@@ -0,0 +1,312 @@
+/**
+ * Email Templates
+ * Localized (fr/en/ar) subjects and bodies for outgoing email
+ *
+ * A template has per-language { subject, paragraphs, action } where
+ * {{name}} placeholders are replaced by the variables passed at render time.
+ * French is the fallback language.
+ */
+
+const { LANGUAGES } = require('../config/constants');
+
+const TEMPLATES = {
+  passwordReset: {
+    fr: {
+      subject: 'PMIS Tétouan - Réinitialisation de votre mot de passe',
+      paragraphs: [
+        'Bonjour {{firstName}},',
+        'Une demande de réinitialisation du mot de passe de votre compte PMIS a été reçue.',
+        'Ce lien est valable {{expiresInMinutes}} minutes. Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce message.'
+      ],
+      action: { label: 'Choisir un nouveau mot de passe', url: '{{resetUrl}}' }
+    },
+    en: {
+      subject: 'PMIS Tétouan - Reset your password',
+      paragraphs: [
+        'Hello {{firstName}},',
+        'We received a request to reset the password of your PMIS account.',
+        'This link is valid for {{expiresInMinutes}} minutes. If you did not request it, you can ignore this message.'
+      ],
+      action: { label: 'Choose a new password', url: '{{resetUrl}}' }
+    },
+    ar: {
+      subject: 'PMIS تطوان - إعادة تعيين كلمة المرور',
+      paragraphs: [
+        'مرحبا {{firstName}}،',
+        'توصلنا بطلب لإعادة تعيين كلمة المرور الخاصة بحسابك في PMIS.',
+        'هذا الرابط صالح لمدة {{expiresInMinutes}} دقيقة. إذا لم تقم بهذا الطلب، يمكنك تجاهل هذه الرسالة.'
+      ],
+      action: { label: 'اختيار كلمة مرور جديدة', url: '{{resetUrl}}' }
+    }
+  },
+
+  approvalRequest: {
+    fr: {
+      subject: '{{approvalCode}} - Demande en attente de votre décision',
+      paragraphs: [
+        'Bonjour {{firstName}},',
+        'La demande {{requestType}} « {{title}} » ({{approvalCode}}) attend votre approbation.'
+      ],
+      action: { label: 'Examiner la demande', url: '{{actionUrl}}' }
+    },
+    en: {
+      subject: '{{approvalCode}} - Request awaiting your decision',
+      paragraphs: [
+        'Hello {{firstName}},',
+        '{{requestType}} request "{{title}}" ({{approvalCode}}) is waiting for your approval.'
+      ],
+      action: { label: 'Review the request', url: '{{actionUrl}}' }
+    },
+    ar: {
+      subject: '{{approvalCode}} - طلب في انتظار قرارك',
+      paragraphs: [
+        'مرحبا {{firstName}}،',
+        'الطلب {{requestType}} «{{title}}» ({{approvalCode}}) في انتظار موافقتك.'
+      ],
+      action: { label: 'مراجعة الطلب', url: '{{actionUrl}}' }
+    }
+  },
+
+  approvalReminder: {
+    fr: {
+      subject: '{{approvalCode}} - Décision attendue avant le {{dueAt}} UTC',
+      paragraphs: [
+        'Bonjour {{firstName}},',
+        'La demande « {{title}} » ({{approvalCode}}, niveau {{levelName}}) doit être décidée avant le {{dueAt}} UTC.',
+        'Passé ce délai, elle sera transmise au niveau hiérarchique supérieur.'
+      ],
+      action: { label: 'Examiner la demande', url: '{{actionUrl}}' }
+    },
+    en: {
+      subject: '{{approvalCode}} - Decision due before {{dueAt}} UTC',
+      paragraphs: [
+        'Hello {{firstName}},',
+        'Request "{{title}}" ({{approvalCode}}, {{levelName}} level) must be decided before {{dueAt}} UTC.',
+        'After this deadline it will be escalated to the next level up.'
+      ],
+      action: { label: 'Review the request', url: '{{actionUrl}}' }
+    },
+    ar: {
+      subject: '{{approvalCode}} - القرار مطلوب قبل {{dueAt}} UTC',
+      paragraphs: [
+        'مرحبا {{firstName}}،',
+        'يجب البت في الطلب «{{title}}» ({{approvalCode}}، مستوى {{levelName}}) قبل {{dueAt}} UTC.',
+        'بعد انقضاء هذا الأجل، سيحال الطلب على المستوى الأعلى.'
+      ],
+      action: { label: 'مراجعة الطلب', url: '{{actionUrl}}' }
+    }
+  },
+
+  approvalEscalated: {
+    fr: {
+      subject: '{{approvalCode}} - Demande transmise pour votre décision',
+      paragraphs: [
+        'Bonjour {{firstName}},',
+        'La demande « {{title}} » ({{approvalCode}}, niveau {{levelName}}) n\'a pas été décidée par son approbateur {{fromRole}} avant le {{dueAt}} UTC.',
+        'Elle attend désormais votre décision.'
+      ],
+      action: { label: 'Examiner la demande', url: '{{actionUrl}}' }
+    },
+    en: {
+      subject: '{{approvalCode}} - Escalated request awaiting your decision',
+      paragraphs: [
+        'Hello {{firstName}},',
+        'Request "{{title}}" ({{approvalCode}}, {{levelName}} level) was not decided by its {{fromRole}} approver before {{dueAt}} UTC.',
+        'It now awaits your decision.'
+      ],
+      action: { label: 'Review the request', url: '{{actionUrl}}' }
+    },
+    ar: {
+      subject: '{{approvalCode}} - طلب محال عليك للبت فيه',
+      paragraphs: [
+        'مرحبا {{firstName}}،',
+        'لم يبت المصادق {{fromRole}} في الطلب «{{title}}» ({{approvalCode}}، مستوى {{levelName}}) قبل {{dueAt}} UTC.',
+        'الطلب الآن في انتظار قرارك.'
+      ],
+      action: { label: 'مراجعة الطلب', url: '{{actionUrl}}' }
+    }
+  },
+
+  approvalOverdue: {
+    fr: {
+      subject: '{{approvalCode}} - Délai de décision dépassé',
+      paragraphs: [
+        'Bonjour {{firstName}},',
+        'La demande « {{title}} » ({{approvalCode}}, niveau {{levelName}}) devait être décidée avant le {{dueAt}} UTC.',
+        'Aucun approbateur au-dessus de {{fromRole}} ne peut la reprendre : elle reste en attente de votre décision.'
+      ],
+      action: { label: 'Examiner la demande', url: '{{actionUrl}}' }
+    },
+    en: {
+      subject: '{{approvalCode}} - Decision deadline passed',
+      paragraphs: [
+        'Hello {{firstName}},',
+        'Request "{{title}}" ({{approvalCode}}, {{levelName}} level) was due before {{dueAt}} UTC.',
+        'Nobody above {{fromRole}} can take it over: it still awaits your decision.'
+      ],
+      action: { label: 'Review the request', url: '{{actionUrl}}' }
+    },
+    ar: {
+      subject: '{{approvalCode}} - تجاوز أجل البت',
+      paragraphs: [
+        'مرحبا {{firstName}}،',
+        'كان يجب البت في الطلب «{{title}}» ({{approvalCode}}، مستوى {{levelName}}) قبل {{dueAt}} UTC.',
+        'لا يوجد مصادق أعلى من {{fromRole}} يمكنه تولي الطلب، لذا يبقى في انتظار قرارك.'
+      ],
+      action: { label: 'مراجعة الطلب', url: '{{actionUrl}}' }
+    }
+  },
+
+  budgetAlert: {
+    fr: {
+      subject: '{{projectCode}} - Budget {{budgetCategory}} à {{threshold}} %',
+      paragraphs: [
+        'Bonjour {{firstName}},',
+        'Le budget {{budgetCategory}} du projet « {{projectName}} » est consommé à {{utilization}} % : {{consumed}} dépensés ou engagés sur {{allocated}}.'
+      ],
+      action: { label: 'Consulter le budget', url: '{{actionUrl}}' }
+    },
+    en: {
+      subject: '{{projectCode}} - {{budgetCategory}} budget at {{threshold}}%',
+      paragraphs: [
+        'Hello {{firstName}},',
+        'The {{budgetCategory}} budget of project "{{projectName}}" is {{utilization}}% consumed: {{consumed}} spent or committed out of {{allocated}}.'
+      ],
+      action: { label: 'View the budget', url: '{{actionUrl}}' }
+    },
+    ar: {
+      subject: '{{projectCode}} - ميزانية {{budgetCategory}} بلغت {{threshold}}%',
+      paragraphs: [
+        'مرحبا {{firstName}}،',
+        'تم استهلاك {{utilization}}% من ميزانية {{budgetCategory}} لمشروع «{{projectName}}»: {{consumed}} مصروفة أو ملتزم بها من أصل {{allocated}}.'
+      ],
+      action: { label: 'الاطلاع على الميزانية', url: '{{actionUrl}}' }
+    }
+  },
+
+  milestoneReminder: {
+    fr: {
+      subject: '{{projectCode}} - Jalon « {{milestoneTitle}} » en retard',
+      paragraphs: [
+        'Bonjour {{firstName}},',
+        'Le jalon {{milestoneCode}} « {{milestoneTitle}} » du projet « {{projectName}} » était prévu le {{plannedDate}} et accuse {{daysOverdue}} jour(s) de retard.'
+      ],
+      action: { label: 'Voir le jalon', url: '{{actionUrl}}' }
+    },
+    en: {
+      subject: '{{projectCode}} - Milestone "{{milestoneTitle}}" is overdue',
+      paragraphs: [
+        'Hello {{firstName}},',
+        'Milestone {{milestoneCode}} "{{milestoneTitle}}" of project "{{projectName}}" was planned for {{plannedDate}} and is {{daysOverdue}} day(s) late.'
+      ],
+      action: { label: 'View the milestone', url: '{{actionUrl}}' }
+    },
+    ar: {
+      subject: '{{projectCode}} - تأخر المرحلة «{{milestoneTitle}}»',
+      paragraphs: [
+        'مرحبا {{firstName}}،',
+        'المرحلة {{milestoneCode}} «{{milestoneTitle}}» من مشروع «{{projectName}}» كانت مقررة بتاريخ {{plannedDate}} وهي متأخرة بـ {{daysOverdue}} يوم.'
+      ],
+      action: { label: 'عرض المرحلة', url: '{{actionUrl}}' }
+    }
+  },
+
+  documentExpiry: {
+    fr: {
+      subject: '{{documentCode}} - Validité du document « {{documentName}} » bientôt échue',
+      paragraphs: [
+        'Bonjour {{firstName}},',
+        'Le document {{documentCode}} « {{documentName}} » ({{documentType}}) arrive à échéance le {{validityEnd}}, dans {{daysUntilExpiry}} jour(s).',
+        'Pensez à le renouveler ou à en téléverser une nouvelle version.'
+      ],
+      action: { label: 'Voir le document', url: '{{actionUrl}}' }
+    },
+    en: {
+      subject: '{{documentCode}} - Document "{{documentName}}" is about to expire',
+      paragraphs: [
+        'Hello {{firstName}},',
+        'Document {{documentCode}} "{{documentName}}" ({{documentType}}) is valid until {{validityEnd}}, {{daysUntilExpiry}} day(s) from now.',
+        'Please renew it or upload a new version.'
+      ],
+      action: { label: 'View the document', url: '{{actionUrl}}' }
+    },
+    ar: {
+      subject: '{{documentCode}} - قرب انتهاء صلاحية الوثيقة «{{documentName}}»',
+      paragraphs: [
+        'مرحبا {{firstName}}،',
+        'تنتهي صلاحية الوثيقة {{documentCode}} «{{documentName}}» ({{documentType}}) بتاريخ {{validityEnd}}، أي بعد {{daysUntilExpiry}} يوم.',
+        'يرجى تجديدها أو تحميل نسخة جديدة منها.'
+      ],
+      action: { label: 'عرض الوثيقة', url: '{{actionUrl}}' }
+    }
+  }
+};
+
+const FOOTER = {
+  fr: 'Préfecture de Tétouan - Division de l\'Équipement. Vous pouvez gérer vos notifications par email dans vos préférences PMIS.',
+  en: 'Prefecture of Tétouan - Equipment Division. You can manage email notifications in your PMIS preferences.',
+  ar: 'عمالة تطوان - قسم التجهيز. يمكنك تدبير الإشعارات عبر البريد الإلكتروني من خلال تفضيلاتك في PMIS.'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const interpolate = (text, variables, escape = (value) => value) =>
+  text.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+    variables[name] !== undefined && variables[name] !== null ? escape(variables[name]) : ''
+  ));
+
+/**
+ * Check whether a template exists
+ */
+const hasTemplate = (templateKey) => Boolean(TEMPLATES[templateKey]);
+
+/**
+ * Render a template in the given language
+ * @param {String} templateKey - Template name (e.g. 'passwordReset')
+ * @param {String} language - fr, en or ar (falls back to fr)
+ * @param {Object} variables - Placeholder values
+ * @returns {Object} { language, subject, text, html }
+ */
+const renderTemplate = (templateKey, language, variables = {}) => {
+  const template = TEMPLATES[templateKey];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateKey}`);
+  }
+
+  const lang = template[language] ? language : LANGUAGES.FRENCH;
+  const { subject, paragraphs, action } = template[lang];
+  const actionUrl = action ? interpolate(action.url, variables) : null;
+
+  const text = [
+    ...paragraphs.map(paragraph => interpolate(paragraph, variables)),
+    ...(actionUrl ? [`${action.label}: ${actionUrl}`] : []),
+    '--',
+    FOOTER[lang]
+  ].join('\n\n');
+
+  const dir = lang === LANGUAGES.ARABIC ? 'rtl' : 'ltr';
+  const html = [
+    `<!DOCTYPE html><html lang="${lang}" dir="${dir}"><body style="font-family: Arial, sans-serif;">`,
+    ...paragraphs.map(paragraph => `<p>${interpolate(paragraph, variables, escapeHtml)}</p>`),
+    ...(actionUrl ? [`<p><a href="${escapeHtml(actionUrl)}">${escapeHtml(action.label)}</a></p>`] : []),
+    `<hr><p style="color: #777; font-size: 12px;">${escapeHtml(FOOTER[lang])}</p>`,
+    '</body></html>'
+  ].join('\n');
+
+  return {
+    language: lang,
+    subject: interpolate(subject, variables),
+    text,
+    html
+  };
+};
+
+module.exports = {
+  hasTemplate,
+  renderTemplate
+};
@@ -3,7 +3,8 @@
  * Common helper functions used across the application
  */
 
-const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../config/environment');
+const settings = require('../config/settings');
+const { SETTING_KEY } = require('../config/constants');
 
 /**
  * Convert snake_case to camelCase
@@ -54,7 +55,10 @@ const toSnakeCase = (obj) => {
  */
 const parsePagination = (query) => {
   const page = parseInt(query.page, 10) || 1;
-  const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const limit = Math.min(
+    parseInt(query.limit, 10) || settings.getCached(SETTING_KEY.DEFAULT_PAGE_SIZE),
+    settings.getCached(SETTING_KEY.MAX_PAGE_SIZE)
+  );
   const offset = (page - 1) * limit;
   
   return { page, limit, offset };
@@ -194,6 +198,47 @@ const formatCurrency = (amount, currency = 'MAD') => {
   }).format(amount);
 };
 
+/**
+ * Calendar date (YYYY-MM-DD, UTC) of a date or date string
+ * @param {Date|String} date - Date
+ * @returns {String} Date string
+ */
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Add days to a calendar date
+ * @param {Date|String} date - Date
+ * @param {Number} days - Days to add (negative to subtract)
+ * @returns {String} Date string (YYYY-MM-DD)
+ */
+const addDays = (date, days) => {
+  const result = new Date(toDateString(date));
+  result.setUTCDate(result.getUTCDate() + days);
+  return toDateString(result);
+};
+
+/**
+ * Calendar days from one date to another
+ * @param {Date|String} from - Start date
+ * @param {Date|String} to - End date
+ * @returns {Number} Days (negative when to is before from)
+ */
+const daysBetween = (from, to) =>
+  Math.round((new Date(toDateString(to)) - new Date(toDateString(from))) / (1000 * 60 * 60 * 24));
+
+/**
+ * Parse a JSON column, which the driver returns as a string or an object
+ * @param {String|Object|null} value - Column value
+ * @param {*} fallback - Value returned for NULL or empty columns
+ * @returns {*} Parsed value
+ */
+const parseJsonColumn = (value, fallback = null) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
 /**
  * Get date range filter SQL
  * @param {String} dateFrom - Start date
@@ -234,5 +279,9 @@ module.exports = {
   generateCode,
   calculatePercentage,
   formatCurrency,
+  toDateString,
+  addDays,
+  daysBetween,
+  parseJsonColumn,
   getDateRangeFilter
 };
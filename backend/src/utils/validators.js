@@ -162,6 +162,77 @@ const validateProjectId = [
     .withMessage('Project ID must be a positive integer')
 ];
 
+const validateProjectSchedule = [
+  ...validateProjectId,
+  query('slipMilestoneId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Slip milestone ID must be a positive integer'),
+  query('slipDays')
+    .if(query('slipMilestoneId').exists())
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Slip days must be between 1 and 3650 when a slip milestone is given')
+];
+
+const validateProjectStatus = [
+  ...validateProjectId,
+  body('status')
+    .isIn(['PLANNING', 'IN_PROGRESS', 'ON_HOLD', 'COMPLETED', 'CANCELLED'])
+    .withMessage('Status must be one of: PLANNING, IN_PROGRESS, ON_HOLD, COMPLETED, CANCELLED'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  body('actualEndDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Actual end date must be a valid date (YYYY-MM-DD)'),
+  body('completionNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Closure report must not exceed 5000 characters')
+];
+
+const validateProjectEvm = [
+  ...validateProjectId,
+  query('asOf')
+    .optional()
+    .isISO8601()
+    .withMessage('As-of date must be a valid date (YYYY-MM-DD)')
+];
+
+const validateCompletionMethod = [
+  ...validateProjectId,
+  body('completionMethod')
+    .isIn(['COUNT', 'BUDGET', 'WEIGHT'])
+    .withMessage('Completion method must be one of: COUNT, BUDGET, WEIGHT')
+];
+
+const validateCompletionOverride = [
+  ...validateProjectId,
+  body('completionPercentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Completion percentage must be between 0 and 100')
+    .toFloat(),
+  body('justification')
+    .trim()
+    .notEmpty()
+    .withMessage('Justification is required')
+    .isLength({ max: 500 })
+    .withMessage('Justification must not exceed 500 characters')
+];
+
+const validateClearCompletionOverride = [
+  ...validateProjectId,
+  body('justification')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Justification must not exceed 500 characters')
+];
+
 // ============================================================================
 // EQUIPMENT VALIDATORS
 // ============================================================================
@@ -198,6 +269,1276 @@ const validateCreateEquipment = [
     .withMessage('Useful life must be a positive integer')
 ];
 
+// ============================================================================
+// VENDOR VALIDATORS
+// ============================================================================
+
+const vendorFieldRules = () => [
+  body('contactPerson')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Contact person must not exceed 255 characters')
+    .trim(),
+  body('email')
+    .optional({ nullable: true })
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('phone')
+    .optional({ nullable: true })
+    .isLength({ max: 20 })
+    .withMessage('Phone must not exceed 20 characters'),
+  body('mobile')
+    .optional({ nullable: true })
+    .isLength({ max: 20 })
+    .withMessage('Mobile must not exceed 20 characters'),
+  body('taxId')
+    .optional({ nullable: true })
+    .isLength({ max: 50 })
+    .withMessage('Tax ID must not exceed 50 characters'),
+  body('currencyPreference')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const validateCreateVendor = [
+  body('vendorName')
+    .notEmpty()
+    .withMessage('Vendor name is required')
+    .isLength({ max: 255 })
+    .withMessage('Vendor name must not exceed 255 characters')
+    .trim(),
+  body('vendorType')
+    .notEmpty()
+    .withMessage('Vendor type is required')
+    .isIn(['SUPPLIER', 'CONTRACTOR', 'SERVICE_PROVIDER', 'OTHER'])
+    .withMessage('Invalid vendor type'),
+  ...vendorFieldRules()
+];
+
+const validateUpdateVendor = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Vendor ID must be a positive integer'),
+  body('vendorName')
+    .optional()
+    .notEmpty()
+    .withMessage('Vendor name cannot be empty')
+    .isLength({ max: 255 })
+    .withMessage('Vendor name must not exceed 255 characters')
+    .trim(),
+  body('vendorType')
+    .optional()
+    .isIn(['SUPPLIER', 'CONTRACTOR', 'SERVICE_PROVIDER', 'OTHER'])
+    .withMessage('Invalid vendor type'),
+  ...vendorFieldRules()
+];
+
+const validateVendorId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Vendor ID must be a positive integer')
+];
+
+const validateVendorFilters = [
+  query('vendorType')
+    .optional()
+    .isIn(['SUPPLIER', 'CONTRACTOR', 'SERVICE_PROVIDER', 'OTHER'])
+    .withMessage('Invalid vendor type'),
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isActive must be true or false'),
+  query('ratingMin')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum rating must be between 0 and 5')
+];
+
+const validateVendorRating = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Vendor ID must be a positive integer'),
+  body('rating')
+    .notEmpty()
+    .withMessage('Rating is required')
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('review')
+    .optional()
+    .isString()
+    .withMessage('Review must be a string')
+    .trim(),
+  body('purchaseOrderId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Purchase order ID must be a positive integer')
+];
+
+// ============================================================================
+// PURCHASE ORDER VALIDATORS
+// ============================================================================
+
+const PO_STATUSES = [
+  'DRAFT', 'SUBMITTED', 'APPROVED', 'ORDERED', 'PARTIAL_RECEIVED',
+  'RECEIVED', 'INVOICED', 'PAID', 'CANCELLED'
+];
+
+const poItemRules = (prefix = '') => [
+  body(`${prefix}description`)
+    .notEmpty()
+    .withMessage('Item description is required')
+    .isLength({ max: 255 })
+    .withMessage('Item description must not exceed 255 characters')
+    .trim(),
+  body(`${prefix}quantity`)
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than zero'),
+  body(`${prefix}unit`)
+    .notEmpty()
+    .withMessage('Unit is required')
+    .isLength({ max: 20 })
+    .withMessage('Unit must not exceed 20 characters'),
+  body(`${prefix}unitPrice`)
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number')
+];
+
+const validateCreatePurchaseOrder = [
+  body('vendorId')
+    .isInt({ min: 1 })
+    .withMessage('Vendor ID must be a positive integer'),
+  body('projectId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer'),
+  body('budgetCategory')
+    .optional()
+    .isIn(['PERSONNEL', 'EQUIPMENT', 'MATERIALS', 'CONTRACTORS', 'OTHER'])
+    .withMessage('Invalid budget category'),
+  body('description')
+    .notEmpty()
+    .withMessage('Description is required')
+    .trim(),
+  body('poDate')
+    .optional()
+    .isISO8601()
+    .withMessage('PO date must be a valid date (YYYY-MM-DD)'),
+  body('requiredDeliveryDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Required delivery date must be a valid date (YYYY-MM-DD)'),
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one line item is required'),
+  ...poItemRules('items.*.')
+];
+
+const validateUpdatePurchaseOrder = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Purchase order ID must be a positive integer'),
+  body('vendorId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Vendor ID must be a positive integer'),
+  body('description')
+    .optional()
+    .notEmpty()
+    .withMessage('Description cannot be empty')
+    .trim(),
+  body('poDate')
+    .optional()
+    .isISO8601()
+    .withMessage('PO date must be a valid date (YYYY-MM-DD)'),
+  body('requiredDeliveryDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Required delivery date must be a valid date (YYYY-MM-DD)')
+];
+
+const validatePurchaseOrderId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Purchase order ID must be a positive integer')
+];
+
+const validatePurchaseOrderStatus = [
+  ...validatePurchaseOrderId,
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(PO_STATUSES)
+    .withMessage('Invalid purchase order status'),
+  body('comments')
+    .optional()
+    .isString()
+    .withMessage('Comments must be a string')
+    .trim()
+];
+
+const validatePurchaseOrderFilters = [
+  query('status')
+    .optional()
+    .isIn(PO_STATUSES)
+    .withMessage('Invalid purchase order status'),
+  query('projectId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer'),
+  query('vendorId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Vendor ID must be a positive integer')
+];
+
+const validateCreatePurchaseOrderItem = [
+  ...validatePurchaseOrderId,
+  ...poItemRules()
+];
+
+const validateUpdatePurchaseOrderItem = [
+  ...validatePurchaseOrderId,
+  param('itemId')
+    .isInt({ min: 1 })
+    .withMessage('Item ID must be a positive integer'),
+  body('description')
+    .optional()
+    .notEmpty()
+    .withMessage('Item description cannot be empty')
+    .trim(),
+  body('quantity')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than zero'),
+  body('unit')
+    .optional()
+    .notEmpty()
+    .withMessage('Unit cannot be empty'),
+  body('unitPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number')
+];
+
+const validatePurchaseOrderItemId = [
+  ...validatePurchaseOrderId,
+  param('itemId')
+    .isInt({ min: 1 })
+    .withMessage('Item ID must be a positive integer')
+];
+
+const validateGoodsReceipt = [
+  ...validatePurchaseOrderId,
+  body('receivedDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Received date must be a valid date (YYYY-MM-DD)'),
+  body('lines')
+    .isArray({ min: 1 })
+    .withMessage('At least one receipt line is required'),
+  body('lines.*.itemId')
+    .isInt({ min: 1 })
+    .withMessage('Item ID must be a positive integer')
+    .toInt(),
+  body('lines.*.quantityAccepted')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accepted quantity must be zero or more'),
+  body('lines.*.quantityRejected')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rejected quantity must be zero or more'),
+  body('lines.*.rejectionReason')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Rejection reason must not exceed 255 characters')
+];
+
+const validateInvoiceRegistration = [
+  ...validatePurchaseOrderId,
+  body('invoiceNumber')
+    .notEmpty()
+    .withMessage('Invoice number is required')
+    .isLength({ max: 100 })
+    .withMessage('Invoice number must not exceed 100 characters')
+    .trim(),
+  body('invoiceDate')
+    .notEmpty()
+    .withMessage('Invoice date is required')
+    .isISO8601()
+    .withMessage('Invoice date must be a valid date (YYYY-MM-DD)'),
+  body('invoiceAmount')
+    .isFloat({ gt: 0 })
+    .withMessage('Invoice amount must be greater than zero'),
+  body('invoiceFileUrl')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Invoice file URL must not exceed 500 characters'),
+  body('acceptVariance')
+    .optional()
+    .isBoolean()
+    .withMessage('acceptVariance must be a boolean'),
+  body('lines')
+    .optional()
+    .isArray()
+    .withMessage('Lines must be an array'),
+  body('lines.*.itemId')
+    .isInt({ min: 1 })
+    .withMessage('Item ID must be a positive integer')
+    .toInt()
+];
+
+const validatePayment = [
+  ...validatePurchaseOrderId,
+  body('paymentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Payment date must be a valid date (YYYY-MM-DD)')
+];
+
+// ============================================================================
+// APPROVAL VALIDATORS
+// ============================================================================
+
+const APPROVAL_REQUEST_TYPES = [
+  'PROJECT', 'BUDGET', 'PURCHASE_ORDER', 'BUDGET_AMENDMENT', 'EQUIPMENT_ALLOCATION', 'PROJECT_BASELINE'
+];
+
+const APPROVAL_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'DELEGATED', 'CANCELLED'];
+
+const validateCreateApproval = [
+  body('requestType')
+    .isIn(APPROVAL_REQUEST_TYPES)
+    .withMessage('Invalid request type'),
+  body('requestId')
+    .isInt({ min: 1 })
+    .withMessage('Request ID must be a positive integer'),
+  body('projectId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer'),
+  body('amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number')
+    .toFloat(),
+  body('title')
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 255 })
+    .withMessage('Title must not exceed 255 characters')
+    .trim(),
+  body('requestData')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Request data must be an object'),
+  body('comments')
+    .optional()
+    .trim(),
+  body('supportingDocuments')
+    .optional()
+    .isArray()
+    .withMessage('Supporting documents must be an array of document IDs'),
+  body('supportingDocuments.*')
+    .isInt({ min: 1 })
+    .withMessage('Document ID must be a positive integer')
+];
+
+const validateApprovalId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Approval ID must be a positive integer')
+];
+
+const validateApprovalDecision = [
+  ...validateApprovalId,
+  body('comments')
+    .optional()
+    .trim()
+];
+
+const validateApprovalRejection = [
+  ...validateApprovalId,
+  body('reason')
+    .notEmpty()
+    .withMessage('A reason is required when rejecting a request')
+    .trim()
+];
+
+const validateApprovalCancellation = [
+  ...validateApprovalId,
+  body('reason')
+    .optional()
+    .trim()
+];
+
+const validateApprovalFilters = [
+  query('status')
+    .optional()
+    .isIn(APPROVAL_STATUSES)
+    .withMessage('Invalid approval status'),
+  query('requestType')
+    .optional()
+    .isIn(APPROVAL_REQUEST_TYPES)
+    .withMessage('Invalid request type'),
+  query('projectId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer'),
+  query('requesterId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Requester ID must be a positive integer'),
+  query('approverId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Approver ID must be a positive integer'),
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Date from must be a valid date (YYYY-MM-DD)'),
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Date to must be a valid date (YYYY-MM-DD)')
+];
+
+const validateApprovalDelegation = [
+  ...validateApprovalId,
+  body('delegateUserId')
+    .isInt({ min: 1 })
+    .withMessage('Delegate user ID must be a positive integer')
+    .toInt(),
+  body('reason')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters')
+    .trim()
+];
+
+const validateDelegationId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Delegation ID must be a positive integer')
+];
+
+const validateCreateDelegation = [
+  body('delegatorUserId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Delegator user ID must be a positive integer')
+    .toInt(),
+  body('delegateUserId')
+    .isInt({ min: 1 })
+    .withMessage('Delegate user ID must be a positive integer')
+    .toInt(),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date (YYYY-MM-DD)')
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.startDate)) {
+        throw new Error('End date must not be before start date');
+      }
+      return true;
+    }),
+  body('requestTypes')
+    .optional({ nullable: true })
+    .isArray({ min: 1 })
+    .withMessage('Request types must be a non-empty array'),
+  body('requestTypes.*')
+    .isIn(APPROVAL_REQUEST_TYPES)
+    .withMessage('Invalid request type'),
+  body('maxAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum amount must be a positive number')
+    .toFloat(),
+  body('reason')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters')
+    .trim()
+];
+
+const validateDelegationFilters = [
+  query('delegatorId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Delegator ID must be a positive integer'),
+  query('delegateId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Delegate ID must be a positive integer'),
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be a boolean')
+];
+
+const validateWorkflowRequestType = [
+  param('requestType')
+    .isIn(APPROVAL_REQUEST_TYPES)
+    .withMessage('Invalid request type')
+];
+
+const validateWorkflowId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Workflow ID must be a positive integer')
+];
+
+const validateCreateWorkflow = [
+  body('requestType')
+    .isIn(APPROVAL_REQUEST_TYPES)
+    .withMessage('Invalid request type'),
+  body('workflowName')
+    .notEmpty()
+    .withMessage('Workflow name is required')
+    .isLength({ max: 255 })
+    .withMessage('Workflow name must not exceed 255 characters')
+    .trim(),
+  body('description')
+    .optional()
+    .trim(),
+  body('slaHours')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('SLA must be a positive number of hours')
+    .toInt(),
+  body('reminderHours')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Reminder lead time must be a positive number of hours')
+    .toInt(),
+  body('activate')
+    .optional()
+    .isBoolean()
+    .withMessage('Activate must be a boolean')
+    .toBoolean(),
+  body('levels')
+    .isArray({ min: 1 })
+    .withMessage('At least one approval level is required'),
+  body('levels.*.levelOrder')
+    .isInt({ min: 1 })
+    .withMessage('Level order must be a positive integer')
+    .toInt(),
+  body('levels.*.levelName')
+    .notEmpty()
+    .withMessage('Level name is required')
+    .isLength({ max: 100 })
+    .withMessage('Level name must not exceed 100 characters')
+    .trim(),
+  body('levels.*.requiredRole')
+    .isIn(['ADMIN', 'PROJECT_MANAGER', 'EQUIPMENT_OFFICER', 'FINANCE_CONTROLLER', 'SUPERVISOR', 'VIEWER'])
+    .withMessage('Invalid required role'),
+  body('levels.*.minAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount must be a positive number')
+    .toFloat(),
+  body('levels.*.maxAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum amount must be a positive number')
+    .toFloat(),
+  body('levels.*.projectTypes')
+    .optional({ nullable: true })
+    .isArray({ min: 1 })
+    .withMessage('Project types must be a non-empty array'),
+  body('levels.*.projectTypes.*')
+    .isIn(['CONSTRUCTION', 'RENOVATION', 'INFRASTRUCTURE', 'EQUIPMENT', 'OTHER'])
+    .withMessage('Invalid project type'),
+  body('levels.*.projectPriorities')
+    .optional({ nullable: true })
+    .isArray({ min: 1 })
+    .withMessage('Project priorities must be a non-empty array'),
+  body('levels.*.projectPriorities.*')
+    .isIn(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'])
+    .withMessage('Invalid project priority')
+];
+
+// ============================================================================
+// NOTIFICATION VALIDATORS
+// ============================================================================
+
+const NOTIFICATION_TYPES = [
+  'MILESTONE_DUE', 'BUDGET_ALERT', 'APPROVAL_NEEDED', 'PROJECT_DELAY', 'MAINTENANCE_DUE', 'DOCUMENT_EXPIRING', 'GENERAL_INFO'
+];
+
+const validateNotificationId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Notification ID must be a positive integer')
+];
+
+const validateNotificationFilters = [
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('unreadOnly must be a boolean'),
+  query('type')
+    .optional()
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage('Invalid notification type'),
+  query('priority')
+    .optional()
+    .isIn(['LOW', 'NORMAL', 'HIGH', 'CRITICAL'])
+    .withMessage('Invalid notification priority')
+];
+
+const validateNotificationPreferences = [
+  body('preferences')
+    .isArray({ min: 1 })
+    .withMessage('Preferences must be a non-empty array'),
+  body('preferences.*.notificationType')
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage('Invalid notification type'),
+  body('preferences.*.emailEnabled')
+    .isBoolean()
+    .withMessage('emailEnabled must be a boolean')
+    .toBoolean()
+];
+
+const validateMarkAllRead = [
+  body('type')
+    .optional()
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage('Invalid notification type')
+];
+
+// ============================================================================
+// AUDIT VALIDATORS
+// ============================================================================
+
+const AUDIT_ACTIONS = ['CREATE', 'UPDATE', 'DELETE', 'APPROVE', 'REJECT', 'ARCHIVE'];
+
+const validateAuditFilters = [
+  query('entityType')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Entity type must not exceed 50 characters'),
+  query('entityId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Entity ID must be a positive integer'),
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage('Invalid audit action'),
+  query('isSensitive')
+    .optional()
+    .isBoolean()
+    .withMessage('isSensitive must be a boolean'),
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Date from must be a valid date (YYYY-MM-DD)'),
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Date to must be a valid date (YYYY-MM-DD)')
+];
+
+const validateAuditExport = [
+  ...validateAuditFilters,
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json')
+];
+
+const validateAuditEntity = [
+  param('entityType')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Entity type must not exceed 50 characters'),
+  param('entityId')
+    .isInt({ min: 1 })
+    .withMessage('Entity ID must be a positive integer')
+];
+
+// ============================================================================
+// DOCUMENT VALIDATORS
+// ============================================================================
+
+const DOCUMENT_TYPES = ['CONTRACT', 'SPECIFICATION', 'PLAN', 'REPORT', 'RECEIPT', 'PHOTO', 'APPROVAL', 'OTHER'];
+
+const DOCUMENT_ACCESS_LEVELS = ['PUBLIC', 'INTERNAL', 'RESTRICTED'];
+
+// Fields arrive as multipart form fields (strings)
+const validateDocumentUpload = [
+  body('documentType')
+    .isIn(DOCUMENT_TYPES)
+    .withMessage('Invalid document type'),
+  body('projectId')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer')
+    .toInt(),
+  body('documentName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Document name must be between 1 and 255 characters'),
+  body('description')
+    .optional()
+    .trim(),
+  body('accessLevel')
+    .optional()
+    .isIn(DOCUMENT_ACCESS_LEVELS)
+    .withMessage('Access level must be PUBLIC, INTERNAL or RESTRICTED'),
+  body('isConfidential')
+    .optional()
+    .isBoolean()
+    .withMessage('isConfidential must be a boolean')
+    .toBoolean(true),
+  body('validityStart')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Validity start must be a valid date (YYYY-MM-DD)'),
+  body('validityEnd')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Validity end must be a valid date (YYYY-MM-DD)')
+];
+
+const validateDocumentId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Document ID must be a positive integer')
+];
+
+const validateDocumentFilters = [
+  query('projectId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer'),
+  query('documentType')
+    .optional()
+    .isIn(DOCUMENT_TYPES)
+    .withMessage('Invalid document type'),
+  query('accessLevel')
+    .optional()
+    .isIn(DOCUMENT_ACCESS_LEVELS)
+    .withMessage('Access level must be PUBLIC, INTERNAL or RESTRICTED'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+  query('archived')
+    .optional()
+    .isBoolean()
+    .withMessage('archived must be a boolean')
+];
+
+// Fields arrive as multipart form fields (strings); empty validity dates clear them
+const validateDocumentVersionUpload = [
+  ...validateDocumentId,
+  body('changeNote')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Change note must not exceed 500 characters'),
+  body('documentName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Document name must be between 1 and 255 characters'),
+  body('description')
+    .optional()
+    .trim(),
+  body('validityStart')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Validity start must be a valid date (YYYY-MM-DD)'),
+  body('validityEnd')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Validity end must be a valid date (YYYY-MM-DD)')
+];
+
+const validateDocumentVersion = [
+  ...validateDocumentId,
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+];
+
+const validateRetentionRule = [
+  param('documentType')
+    .isIn(DOCUMENT_TYPES)
+    .withMessage('Invalid document type'),
+  body('retentionDays')
+    .isInt({ min: 1, max: 36500 })
+    .withMessage('Retention days must be between 1 and 36500')
+    .toInt(),
+  body('retentionAction')
+    .isIn(['ARCHIVE', 'PURGE'])
+    .withMessage('Retention action must be ARCHIVE or PURGE'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(true)
+];
+
+// ============================================================================
+// RESOURCE ALLOCATION VALIDATORS
+// ============================================================================
+
+const RESOURCE_ALLOCATION_STATUSES = ['ACTIVE', 'PAUSED', 'COMPLETED'];
+
+const validateTeamAllocationId = [
+  ...validateProjectId,
+  param('allocationId')
+    .isInt({ min: 1 })
+    .withMessage('Allocation ID must be a positive integer')
+];
+
+const validateTeamFilters = [
+  ...validateProjectId,
+  query('status')
+    .optional()
+    .isIn(RESOURCE_ALLOCATION_STATUSES)
+    .withMessage(`Status must be one of: ${RESOURCE_ALLOCATION_STATUSES.join(', ')}`)
+];
+
+/**
+ * Allocation fields shared by assignment and update
+ * @param {Boolean} optional - Percentage and start date may be left out (update)
+ */
+const teamAllocationRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('allocationPercentage')
+      .isFloat({ gt: 0, max: 100 })
+      .withMessage('Allocation percentage must be greater than 0 and at most 100')
+      .toFloat(),
+    field('startDate')
+      .isISO8601()
+      .withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+    body('endDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('End date must be a valid date (YYYY-MM-DD)'),
+    body('roleOnProject')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Role on project must not exceed 100 characters'),
+    body('hourlyRate')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Hourly rate must be a positive number')
+      .toFloat(),
+    body('notes')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Notes must not exceed 2000 characters'),
+    body('allowOverallocation')
+      .optional()
+      .isBoolean()
+      .withMessage('allowOverallocation must be a boolean')
+      .toBoolean(true)
+  ];
+};
+
+const validateAssignTeamMember = [
+  ...validateProjectId,
+  body('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+  ...teamAllocationRules(false)
+];
+
+const validateUpdateTeamMember = [
+  ...validateTeamAllocationId,
+  ...teamAllocationRules(true),
+  body('allocationStatus')
+    .optional()
+    .isIn(RESOURCE_ALLOCATION_STATUSES)
+    .withMessage(`Allocation status must be one of: ${RESOURCE_ALLOCATION_STATUSES.join(', ')}`)
+];
+
+const validateUserCapacity = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date (YYYY-MM-DD)'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date (YYYY-MM-DD)')
+];
+
+const validatePersonnelAccrual = [
+  body('month')
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format')
+];
+
+// ============================================================================
+// MILESTONE VALIDATORS
+// ============================================================================
+
+// DELAYED is derived from the planned date, never set by hand
+const MILESTONE_SETTABLE_STATUSES = ['NOT_STARTED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+const validateMilestoneId = [
+  ...validateProjectId,
+  param('milestoneId')
+    .isInt({ min: 1 })
+    .withMessage('Milestone ID must be a positive integer')
+];
+
+/**
+ * Milestone fields shared by creation and update
+ * @param {Boolean} optional - Title, planned date and responsible user may be left out (update)
+ */
+const milestoneRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Title is required')
+      .isLength({ max: 255 })
+      .withMessage('Title must not exceed 255 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Description must be a string'),
+    field('plannedDate')
+      .isISO8601()
+      .withMessage('Planned date must be a valid date (YYYY-MM-DD)'),
+    body('status')
+      .optional()
+      .isIn(MILESTONE_SETTABLE_STATUSES)
+      .withMessage(`Status must be one of: ${MILESTONE_SETTABLE_STATUSES.join(', ')}`),
+    body('completionPercentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Completion percentage must be between 0 and 100')
+      .toFloat(),
+    body('actualCompletionDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Actual completion date must be a valid date (YYYY-MM-DD)'),
+    field('responsibleUserId')
+      .isInt({ min: 1 })
+      .withMessage('Responsible user ID must be a positive integer')
+      .toInt(),
+    body('sequenceOrder')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Sequence order must be a positive integer')
+      .toInt(),
+    body('dependsOnMilestoneId')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Prerequisite milestone ID must be a positive integer')
+      .toInt(),
+    body('budgetAllocated')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Budget allocated must be a positive number')
+      .toFloat(),
+    body('weight')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Weight must be a positive number')
+      .toFloat(),
+    body('deliverables')
+      .optional({ nullable: true })
+      .isArray()
+      .withMessage('Deliverables must be an array'),
+    body('deliverables.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Each deliverable must be a non-empty string')
+  ];
+};
+
+const validateCreateMilestone = [
+  ...validateProjectId,
+  ...milestoneRules(false)
+];
+
+const validateUpdateMilestone = [
+  ...validateMilestoneId,
+  ...milestoneRules(true),
+  body('actualCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Actual cost must be a positive number')
+    .toFloat()
+];
+
+const validateReorderMilestones = [
+  ...validateProjectId,
+  body('milestoneIds')
+    .isArray({ min: 1 })
+    .withMessage('Milestone IDs must be a non-empty array'),
+  body('milestoneIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each milestone ID must be a positive integer')
+    .toInt()
+];
+
+// ============================================================================
+// BASELINE VALIDATORS
+// ============================================================================
+
+const validateBaselineId = [
+  ...validateProjectId,
+  param('baselineId')
+    .isInt({ min: 1 })
+    .withMessage('Baseline ID must be a positive integer')
+];
+
+const validateCreateBaseline = [
+  ...validateProjectId,
+  body('baselineName')
+    .trim()
+    .notEmpty()
+    .withMessage('Baseline name is required')
+    .isLength({ max: 255 })
+    .withMessage('Baseline name must not exceed 255 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Description must be a string')
+];
+
+// ============================================================================
+// PROJECT MEMBER VALIDATORS
+// ============================================================================
+
+const PROJECT_MEMBER_ROLES = ['ENGINEER', 'FINANCE', 'OBSERVER'];
+
+const validateProjectMemberUserId = [
+  ...validateProjectId,
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+];
+
+const projectMemberNotes = () => body('notes')
+  .optional({ nullable: true })
+  .isString()
+  .withMessage('Notes must be a string')
+  .isLength({ max: 500 })
+  .withMessage('Notes must not exceed 500 characters');
+
+const validateAddProjectMember = [
+  ...validateProjectId,
+  body('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+  body('memberRole')
+    .isIn(PROJECT_MEMBER_ROLES)
+    .withMessage(`Member role must be one of: ${PROJECT_MEMBER_ROLES.join(', ')}`),
+  projectMemberNotes()
+];
+
+const validateUpdateProjectMember = [
+  ...validateProjectMemberUserId,
+  body('memberRole')
+    .optional()
+    .isIn(PROJECT_MEMBER_ROLES)
+    .withMessage(`Member role must be one of: ${PROJECT_MEMBER_ROLES.join(', ')}`),
+  projectMemberNotes()
+];
+
+// ============================================================================
+// RISK VALIDATORS
+// ============================================================================
+
+const RISK_CATEGORIES = [
+  'TECHNICAL', 'FINANCIAL', 'SCHEDULE', 'REGULATORY', 'ENVIRONMENTAL',
+  'SAFETY', 'CONTRACTUAL', 'STAKEHOLDER', 'OTHER'
+];
+
+const RISK_STATUSES = ['OPEN', 'MITIGATING', 'CLOSED'];
+
+const RISK_EXPOSURES = ['LOW', 'MEDIUM', 'HIGH'];
+
+const validateRiskId = [
+  ...validateProjectId,
+  param('riskId')
+    .isInt({ min: 1 })
+    .withMessage('Risk ID must be a positive integer')
+];
+
+const validateRiskFilters = [
+  ...validateProjectId,
+  query('status')
+    .optional()
+    .isIn(RISK_STATUSES)
+    .withMessage(`Status must be one of: ${RISK_STATUSES.join(', ')}`),
+  query('category')
+    .optional()
+    .isIn(RISK_CATEGORIES)
+    .withMessage(`Category must be one of: ${RISK_CATEGORIES.join(', ')}`),
+  query('exposure')
+    .optional()
+    .isIn(RISK_EXPOSURES)
+    .withMessage(`Exposure must be one of: ${RISK_EXPOSURES.join(', ')}`),
+  query('ownerUserId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Owner user ID must be a positive integer')
+    .toInt()
+];
+
+const validateRiskHeatMap = [
+  ...validateProjectId,
+  query('includeClosed')
+    .optional()
+    .isBoolean()
+    .withMessage('includeClosed must be a boolean')
+];
+
+/**
+ * Risk fields shared by creation and update
+ * @param {Boolean} optional - Title, category, scores and owner may be left out (update)
+ */
+const riskRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  const optionalDate = (name, label) => body(name)
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage(`${label} must be a valid date (YYYY-MM-DD)`);
+
+  return [
+    field('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Title is required')
+      .isLength({ max: 255 })
+      .withMessage('Title must not exceed 255 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Description must be a string'),
+    field('category')
+      .isIn(RISK_CATEGORIES)
+      .withMessage(`Category must be one of: ${RISK_CATEGORIES.join(', ')}`),
+    field('likelihood')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Likelihood must be an integer from 1 to 5')
+      .toInt(),
+    field('impact')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Impact must be an integer from 1 to 5')
+      .toInt(),
+    field('ownerUserId')
+      .isInt({ min: 1 })
+      .withMessage('Owner user ID must be a positive integer')
+      .toInt(),
+    body('mitigationPlan')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Mitigation plan must be a string'),
+    body('status')
+      .optional()
+      .isIn(RISK_STATUSES)
+      .withMessage(`Status must be one of: ${RISK_STATUSES.join(', ')}`),
+    body('identifiedDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Identified date must be a valid date (YYYY-MM-DD)'),
+    optionalDate('lastReviewDate', 'Last review date'),
+    optionalDate('nextReviewDate', 'Next review date')
+  ];
+};
+
+const validateCreateRisk = [
+  ...validateProjectId,
+  ...riskRules(false)
+];
+
+const validateUpdateRisk = [
+  ...validateRiskId,
+  ...riskRules(true)
+];
+
+// ============================================================================
+// SETTINGS VALIDATORS
+// ============================================================================
+
+const SETTING_TYPES = ['STRING', 'INT', 'DECIMAL', 'BOOLEAN', 'JSON'];
+
+const SETTING_KEY_PATTERN = /^[a-z][a-z0-9_]{1,99}$/;
+
+const validateSettingKey = [
+  param('key')
+    .matches(SETTING_KEY_PATTERN)
+    .withMessage('Setting key must be lowercase letters, digits and underscores')
+];
+
+// The value is checked against the setting type by the settings service
+const validateCreateSetting = [
+  body('settingKey')
+    .matches(SETTING_KEY_PATTERN)
+    .withMessage('Setting key must be lowercase letters, digits and underscores'),
+  body('settingType')
+    .isIn(SETTING_TYPES)
+    .withMessage(`Setting type must be one of: ${SETTING_TYPES.join(', ')}`),
+  body('value')
+    .exists()
+    .withMessage('Value is required'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('isEncrypted')
+    .optional()
+    .isBoolean()
+    .withMessage('isEncrypted must be a boolean')
+    .toBoolean(true)
+];
+
+const validateUpdateSetting = [
+  ...validateSettingKey,
+  body('value')
+    .exists()
+    .withMessage('Value is required'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
 // ============================================================================
 // COMMON VALIDATORS
 // ============================================================================
@@ -231,10 +1572,103 @@ module.exports = {
   validateCreateProject,
   validateUpdateProject,
   validateProjectId,
+  validateProjectSchedule,
+  validateProjectStatus,
+  validateProjectEvm,
+  validateCompletionMethod,
+  validateCompletionOverride,
+  validateClearCompletionOverride,
   
   // Equipment validators
   validateCreateEquipment,
   
+  // Vendor validators
+  validateCreateVendor,
+  validateUpdateVendor,
+  validateVendorId,
+  validateVendorFilters,
+  validateVendorRating,
+  
+  // Purchase order validators
+  validateCreatePurchaseOrder,
+  validateUpdatePurchaseOrder,
+  validatePurchaseOrderId,
+  validatePurchaseOrderStatus,
+  validatePurchaseOrderFilters,
+  validateCreatePurchaseOrderItem,
+  validateUpdatePurchaseOrderItem,
+  validatePurchaseOrderItemId,
+  validateGoodsReceipt,
+  validateInvoiceRegistration,
+  validatePayment,
+  
+  // Approval validators
+  validateCreateApproval,
+  validateApprovalId,
+  validateApprovalDecision,
+  validateApprovalRejection,
+  validateApprovalCancellation,
+  validateApprovalFilters,
+  validateApprovalDelegation,
+  validateDelegationId,
+  validateCreateDelegation,
+  validateDelegationFilters,
+  validateWorkflowRequestType,
+  validateWorkflowId,
+  validateCreateWorkflow,
+  
+  // Notification validators
+  validateNotificationId,
+  validateNotificationFilters,
+  validateMarkAllRead,
+  validateNotificationPreferences,
+  
+  // Audit validators
+  validateAuditFilters,
+  validateAuditExport,
+  validateAuditEntity,
+  
+  // Document validators
+  validateDocumentUpload,
+  validateDocumentId,
+  validateDocumentFilters,
+  validateDocumentVersionUpload,
+  validateDocumentVersion,
+  validateRetentionRule,
+  
+  // Resource allocation validators
+  validateTeamAllocationId,
+  validateTeamFilters,
+  validateAssignTeamMember,
+  validateUpdateTeamMember,
+  validateUserCapacity,
+  validatePersonnelAccrual,
+  
+  // Milestone validators
+  validateMilestoneId,
+  validateCreateMilestone,
+  validateUpdateMilestone,
+  validateReorderMilestones,
+  validateBaselineId,
+  validateCreateBaseline,
+  
+  // Project member validators
+  validateProjectMemberUserId,
+  validateAddProjectMember,
+  validateUpdateProjectMember,
+  
+  // Risk validators
+  validateRiskId,
+  validateRiskFilters,
+  validateRiskHeatMap,
+  validateCreateRisk,
+  validateUpdateRisk,
+  
+  // Settings validators
+  validateSettingKey,
+  validateCreateSetting,
+  validateUpdateSetting,
+  
   // Common validators
   validatePagination,
   validateId
@@ -0,0 +1,603 @@
+/**
+ * Approvals Tests
+ * Test suite for multi-level approval workflows
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const { createRoleUser } = require('./helpers');
+const approvalSlaService = require('../src/services/approvalSlaService');
+
+describe('Approvals API Tests', () => {
+  let adminToken;
+  let financeToken;
+  let supervisorToken;
+  let financeUserId;
+  let supervisorUserId;
+  let deputyUserId;
+  let previousWorkflowId;
+  let testWorkflowId;
+  let testProjectId;
+  const equipmentIds = [];
+  const approvalIds = [];
+
+  /**
+   * Create equipment in the given status
+   */
+  const createEquipment = async (code, status = 'AVAILABLE') => {
+    const result = await db.query(
+      `INSERT INTO equipment (
+        equipment_code, equipment_name, equipment_type, purchase_date, purchase_price,
+        location, status, created_by, updated_by
+      ) VALUES (?, 'Approval test equipment', 'TOOLS', CURDATE(), 1000, 'Magasin central', ?, 1, 1)`,
+      [code, status]
+    );
+
+    equipmentIds.push(result.insertId);
+    return result.insertId;
+  };
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Login as admin
+    const adminResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = adminResponse.body.data.tokens.accessToken;
+
+    const finance = await createRoleUser('approval.finance', 'FINANCE_CONTROLLER');
+    financeUserId = finance.id;
+    financeToken = finance.token;
+
+    const supervisor = await createRoleUser('approval.supervisor', 'SUPERVISOR');
+    supervisorUserId = supervisor.id;
+    supervisorToken = supervisor.token;
+
+    const [active] = await db.query(
+      "SELECT id FROM approval_workflows WHERE request_type = 'EQUIPMENT_ALLOCATION' AND is_active = TRUE"
+    );
+    previousWorkflowId = active ? active.id : null;
+
+    const project = await db.query(
+      `INSERT INTO projects (
+        project_code, project_name, project_type, start_date, planned_end_date,
+        project_manager_id, estimated_budget, created_by, updated_by
+      ) VALUES ('APR-TEST-PROJ', 'Approval test project', 'OTHER', CURDATE(), CURDATE(), 1, 100000, 1, 1)`
+    );
+    testProjectId = project.insertId;
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      for (const approvalId of approvalIds) {
+        await db.query("DELETE FROM notifications WHERE related_entity_type = 'approval' AND related_entity_id = ?", [approvalId]);
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'approval' AND entity_id = ?", [approvalId]);
+        await db.query('DELETE FROM approvals WHERE id = ?', [approvalId]);
+      }
+      for (const equipmentId of equipmentIds) {
+        await db.query('DELETE FROM equipment_allocation WHERE equipment_id = ?', [equipmentId]);
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'equipment' AND entity_id = ?", [equipmentId]);
+        await db.query('DELETE FROM equipment WHERE id = ?', [equipmentId]);
+      }
+      if (testProjectId) {
+        await db.query('DELETE FROM projects WHERE id = ?', [testProjectId]);
+      }
+      if (testWorkflowId) {
+        await db.query('DELETE FROM approval_workflows WHERE id = ?', [testWorkflowId]);
+      }
+      if (previousWorkflowId) {
+        await db.query('UPDATE approval_workflows SET is_active = TRUE WHERE id = ?', [previousWorkflowId]);
+      }
+      for (const userId of [financeUserId, supervisorUserId, deputyUserId]) {
+        if (userId) {
+          await db.query('DELETE FROM approval_delegations WHERE delegator_user_id = ? OR created_by = ?', [userId, userId]);
+          await db.query('DELETE FROM user_roles WHERE user_id = ?', [userId]);
+          await db.query('DELETE FROM users WHERE id = ?', [userId]);
+        }
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/approvals/workflows', () => {
+    it('should create and activate a new workflow version', async () => {
+      const response = await request(app)
+        .post('/api/v1/approvals/workflows')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          workflowName: 'Test allocation workflow',
+          levels: [
+            { levelOrder: 1, levelName: 'Finance review', requiredRole: 'FINANCE_CONTROLLER' },
+            { levelOrder: 2, levelName: 'Supervisor approval', requiredRole: 'SUPERVISOR', minAmount: 10000 }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.isActive).toBe(true);
+      expect(response.body.data.levels).toHaveLength(2);
+
+      testWorkflowId = response.body.data.id;
+
+      const active = await request(app)
+        .get('/api/v1/approvals/workflows/EQUIPMENT_ALLOCATION')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(active.body.data.id).toBe(testWorkflowId);
+    });
+
+    it('should forbid workflow changes without settings permission', async () => {
+      const response = await request(app)
+        .post('/api/v1/approvals/workflows')
+        .set('Authorization', `Bearer ${financeToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          workflowName: 'Not allowed',
+          levels: [{ levelOrder: 1, levelName: 'Any', requiredRole: 'ADMIN' }]
+        });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Approval lifecycle', () => {
+    it('should skip levels outside their amount band', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-1');
+
+      const response = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          amount: 500,
+          title: 'Small allocation'
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.approvalCode).toMatch(/^APR-\d{4}-\d{4,}$/);
+      expect(response.body.data.totalApprovalLevels).toBe(1);
+      expect(response.body.data.requiredApproverUserId).toBe(financeUserId);
+
+      approvalIds.push(response.body.data.id);
+    });
+
+    it('should advance through every level before approving', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-2');
+
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          amount: 25000,
+          title: 'Large allocation'
+        });
+
+      const approvalId = created.body.data.id;
+      approvalIds.push(approvalId);
+
+      expect(created.body.data.totalApprovalLevels).toBe(2);
+
+      const wrongApprover = await request(app)
+        .post(`/api/v1/approvals/${approvalId}/approve`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({});
+
+      expect(wrongApprover.status).toBe(403);
+
+      const firstLevel = await request(app)
+        .post(`/api/v1/approvals/${approvalId}/approve`)
+        .set('Authorization', `Bearer ${financeToken}`)
+        .send({ comments: 'Budget available' });
+
+      expect(firstLevel.status).toBe(200);
+      expect(firstLevel.body.data.status).toBe('PENDING');
+      expect(firstLevel.body.data.approvalLevel).toBe(2);
+      expect(firstLevel.body.data.requiredApproverUserId).toBe(supervisorUserId);
+
+      const pending = await request(app)
+        .get('/api/v1/approvals/pending')
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      expect(pending.body.data.approvals.map(a => a.id)).toContain(approvalId);
+
+      const secondLevel = await request(app)
+        .post(`/api/v1/approvals/${approvalId}/approve`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({});
+
+      expect(secondLevel.body.data.status).toBe('APPROVED');
+      expect(secondLevel.body.data.approverUserId).toBe(supervisorUserId);
+
+      const [equipment] = await db.query(
+        'SELECT status, currently_assigned_to_project_id as projectId FROM equipment WHERE id = ?',
+        [equipmentId]
+      );
+
+      expect(equipment.status).toBe('IN_USE');
+      expect(equipment.projectId).toBe(testProjectId);
+
+      const decisions = await db.query(
+        "SELECT action, user_id as userId FROM audit_log WHERE entity_type = 'approval' AND entity_id = ? ORDER BY id",
+        [approvalId]
+      );
+
+      expect(decisions).toEqual([
+        { action: 'CREATE', userId: expect.any(Number) },
+        { action: 'APPROVE', userId: financeUserId },
+        { action: 'APPROVE', userId: supervisorUserId }
+      ]);
+
+      const [allocationEntry] = await db.query(
+        "SELECT action, JSON_UNQUOTE(JSON_EXTRACT(new_values, '$.status')) as status FROM audit_log WHERE entity_type = 'equipment' AND entity_id = ?",
+        [equipmentId]
+      );
+
+      expect(allocationEntry.action).toBe('UPDATE');
+      expect(allocationEntry.status).toBe('IN_USE');
+    });
+
+    it('should keep the request pending when the approved change cannot be applied', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-5');
+
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          amount: 500,
+          title: 'Allocation overtaken by maintenance'
+        });
+
+      const approvalId = created.body.data.id;
+      approvalIds.push(approvalId);
+
+      await db.query("UPDATE equipment SET status = 'MAINTENANCE' WHERE id = ?", [equipmentId]);
+
+      const response = await request(app)
+        .post(`/api/v1/approvals/${approvalId}/approve`)
+        .set('Authorization', `Bearer ${financeToken}`)
+        .send({});
+
+      expect(response.status).toBe(409);
+
+      const [approval] = await db.query('SELECT status FROM approvals WHERE id = ?', [approvalId]);
+      const steps = await db.query('SELECT status FROM approval_steps WHERE approval_id = ?', [approvalId]);
+
+      expect(approval.status).toBe('PENDING');
+      expect(steps.map(s => s.status)).toEqual(['PENDING']);
+    });
+
+    it('should refuse requests for equipment that is not available', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-6', 'IN_USE');
+
+      const response = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          title: 'Busy equipment'
+        });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should require a reason to reject and end the workflow', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-3');
+
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          amount: 25000,
+          title: 'Rejected allocation'
+        });
+
+      const approvalId = created.body.data.id;
+      approvalIds.push(approvalId);
+
+      const noReason = await request(app)
+        .post(`/api/v1/approvals/${approvalId}/reject`)
+        .set('Authorization', `Bearer ${financeToken}`)
+        .send({});
+
+      expect(noReason.status).toBe(422);
+
+      const response = await request(app)
+        .post(`/api/v1/approvals/${approvalId}/reject`)
+        .set('Authorization', `Bearer ${financeToken}`)
+        .send({ reason: 'Equipment not needed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('REJECTED');
+      expect(response.body.data.steps.map(s => s.status)).toEqual(['REJECTED', 'SKIPPED']);
+    });
+
+    it('should refuse a second pending request for the same entity', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-4');
+
+      const first = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ requestType: 'EQUIPMENT_ALLOCATION', requestId: equipmentId, projectId: testProjectId, title: 'First request' });
+
+      approvalIds.push(first.body.data.id);
+
+      const response = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ requestType: 'EQUIPMENT_ALLOCATION', requestId: equipmentId, projectId: testProjectId, title: 'Duplicate request' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Delegation', () => {
+    const today = new Date().toISOString().split('T')[0];
+
+    it('should hand a pending step to another user and keep both in the history', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-7');
+      const deputy = await createRoleUser('approval.deputy', 'FINANCE_CONTROLLER');
+      deputyUserId = deputy.id;
+
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          amount: 500,
+          title: 'Delegated allocation'
+        });
+
+      const approvalId = created.body.data.id;
+      approvalIds.push(approvalId);
+
+      try {
+        const delegated = await request(app)
+          .post(`/api/v1/approvals/${approvalId}/delegate`)
+          .set('Authorization', `Bearer ${financeToken}`)
+          .send({ delegateUserId: deputyUserId, reason: 'Mission à Rabat' });
+
+        expect(delegated.status).toBe(200);
+        expect(delegated.body.data.status).toBe('PENDING');
+        expect(delegated.body.data.requiredApproverUserId).toBe(deputyUserId);
+        expect(delegated.body.data.steps[0].originalApproverUserId).toBe(financeUserId);
+
+        const formerApprover = await request(app)
+          .post(`/api/v1/approvals/${approvalId}/approve`)
+          .set('Authorization', `Bearer ${financeToken}`)
+          .send({});
+
+        expect(formerApprover.status).toBe(403);
+
+        await request(app)
+          .post(`/api/v1/approvals/${approvalId}/approve`)
+          .set('Authorization', `Bearer ${deputy.token}`)
+          .send({});
+
+        const history = await request(app)
+          .get(`/api/v1/approvals/${approvalId}/history`)
+          .set('Authorization', `Bearer ${financeToken}`);
+
+        expect(history.status).toBe(200);
+        expect(history.body.data[0]).toMatchObject({
+          status: 'APPROVED',
+          delegated: true,
+          originalApproverUserId: financeUserId,
+          actingApproverUserId: deputyUserId
+        });
+      } finally {
+        // Keep the deputy out of the approver selection of the next tests
+        await db.query('DELETE FROM user_roles WHERE user_id = ?', [deputyUserId]);
+      }
+    });
+
+    it('should not hand a step to a user without the role of the level', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-7B');
+
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          amount: 500,
+          title: 'Delegation outside the role'
+        });
+
+      approvalIds.push(created.body.data.id);
+
+      const response = await request(app)
+        .post(`/api/v1/approvals/${created.body.data.id}/delegate`)
+        .set('Authorization', `Bearer ${financeToken}`)
+        .send({ delegateUserId: supervisorUserId, reason: 'Congé' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error.details).toContainEqual({ field: 'delegateUserId', role: 'FINANCE_CONTROLLER' });
+
+      await request(app)
+        .post(`/api/v1/approvals/${created.body.data.id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Test cleanup' });
+    });
+
+    it('should route approvals to the delegate while a rule is in effect', async () => {
+      const rule = await request(app)
+        .post('/api/v1/approvals/delegations')
+        .set('Authorization', `Bearer ${financeToken}`)
+        .send({
+          delegateUserId: supervisorUserId,
+          startDate: today,
+          endDate: today,
+          requestTypes: ['EQUIPMENT_ALLOCATION'],
+          reason: 'Congé'
+        });
+
+      expect(rule.status).toBe(201);
+      expect(rule.body.data.delegatorUserId).toBe(financeUserId);
+
+      const overlapping = await request(app)
+        .post('/api/v1/approvals/delegations')
+        .set('Authorization', `Bearer ${financeToken}`)
+        .send({ delegateUserId: supervisorUserId, startDate: today, endDate: today });
+
+      expect(overlapping.status).toBe(409);
+
+      const equipmentId = await createEquipment('APR-TEST-EQ-8B');
+
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          amount: 500,
+          title: 'Allocation during leave'
+        });
+
+      approvalIds.push(created.body.data.id);
+
+      expect(created.body.data.requiredApproverUserId).toBe(supervisorUserId);
+      expect(created.body.data.steps[0].originalApproverUserId).toBe(financeUserId);
+      expect(created.body.data.steps[0].delegationId).toBe(rule.body.data.id);
+
+      const revoked = await request(app)
+        .delete(`/api/v1/approvals/delegations/${rule.body.data.id}`)
+        .set('Authorization', `Bearer ${financeToken}`);
+
+      expect(revoked.status).toBe(200);
+      expect(revoked.body.data.isActive).toBe(false);
+    });
+
+    it('should not let users delegate on behalf of someone else', async () => {
+      const response = await request(app)
+        .post('/api/v1/approvals/delegations')
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ delegatorUserId: financeUserId, delegateUserId: supervisorUserId, startDate: today, endDate: today });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('SLA escalation', () => {
+    it('should remind the approver only once per deadline', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-8');
+
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          amount: 500,
+          title: 'Allocation due soon'
+        });
+
+      const approvalId = created.body.data.id;
+      approvalIds.push(approvalId);
+
+      await db.query('UPDATE approval_workflows SET reminder_hours = 24 WHERE id = ?', [testWorkflowId]);
+      await db.query(
+        'UPDATE approval_steps SET due_at = DATE_ADD(NOW(), INTERVAL 2 HOUR) WHERE approval_id = ?',
+        [approvalId]
+      );
+
+      await approvalSlaService.sendDeadlineReminders();
+
+      // A second pass over the same deadline (reminder flag lost) sends nothing new
+      await db.query('UPDATE approval_steps SET reminder_sent_at = NULL WHERE approval_id = ?', [approvalId]);
+      await approvalSlaService.sendDeadlineReminders();
+
+      const reminders = await db.query(
+        `SELECT user_id FROM notifications
+         WHERE related_entity_type = 'approval' AND related_entity_id = ? AND dedupe_key LIKE '%:reminder:%'`,
+        [approvalId]
+      );
+
+      expect(reminders).toEqual([{ user_id: financeUserId }]);
+
+      await request(app)
+        .post(`/api/v1/approvals/${approvalId}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Test cleanup' });
+    });
+
+    it('should escalate an overdue step to the next role up and report the breach', async () => {
+      const equipmentId = await createEquipment('APR-TEST-EQ-9');
+
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'EQUIPMENT_ALLOCATION',
+          requestId: equipmentId,
+          projectId: testProjectId,
+          amount: 500,
+          title: 'Forgotten allocation'
+        });
+
+      const approvalId = created.body.data.id;
+      approvalIds.push(approvalId);
+
+      await db.query(
+        'UPDATE approval_steps SET due_at = DATE_SUB(NOW(), INTERVAL 1 HOUR) WHERE approval_id = ?',
+        [approvalId]
+      );
+
+      const result = await approvalSlaService.escalateOverdueSteps();
+
+      expect(result.escalated).toBeGreaterThanOrEqual(1);
+
+      const [step] = await db.query(
+        'SELECT escalated_role, escalation_count, required_approver_user_id, due_at FROM approval_steps WHERE approval_id = ?',
+        [approvalId]
+      );
+
+      expect(step.escalated_role).toBe('SUPERVISOR');
+      expect(step.escalation_count).toBe(1);
+      expect(step.required_approver_user_id).not.toBe(financeUserId);
+
+      const [notification] = await db.query(
+        "SELECT priority FROM notifications WHERE related_entity_type = 'approval' AND related_entity_id = ? AND user_id = ?",
+        [approvalId, step.required_approver_user_id]
+      );
+
+      expect(notification.priority).toBe('HIGH');
+
+      const stats = await request(app)
+        .get('/api/v1/approvals/stats')
+        .query({ approverId: financeUserId })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(stats.status).toBe(200);
+      expect(stats.body.data.sla.byApprover[0]).toMatchObject({ approverId: financeUserId, escalated: 1 });
+    });
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * Audit Trail Tests
+ * Test suite for the before/after change records written by mutating endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const { createRoleUser } = require('./helpers');
+
+describe('Audit Trail Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let viewerUserId;
+  let viewerToken;
+  let testProjectId;
+  let budgetProjectId;
+  let testBudgetId;
+
+  const findEntries = async (entityType, entityId) => {
+    return await db.query(
+      `SELECT action, user_id, old_values, new_values, ip_address, user_agent,
+              reason_for_change, is_sensitive
+       FROM audit_log
+       WHERE entity_type = ? AND entity_id = ?
+       ORDER BY id ASC`,
+      [entityType, entityId]
+    );
+  };
+
+  const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    // Viewers have no audit_read permission
+    ({ id: viewerUserId, token: viewerToken } = await createRoleUser('audit.viewer', 'VIEWER'));
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      if (testProjectId) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [testProjectId]);
+        await db.query('DELETE FROM projects WHERE id = ?', [testProjectId]);
+      }
+      if (testBudgetId) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'budget' AND entity_id = ?", [testBudgetId]);
+        await db.query('DELETE FROM budgets WHERE id = ?', [testBudgetId]);
+      }
+      if (budgetProjectId) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [budgetProjectId]);
+        await db.query('DELETE FROM projects WHERE id = ?', [budgetProjectId]);
+      }
+      await db.query(
+        "DELETE FROM audit_log WHERE entity_type = 'user' AND entity_id = ? AND reason_for_change = 'Password changed'",
+        [adminUserId]
+      );
+      if (viewerUserId) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'user' AND entity_id = ?", [viewerUserId]);
+        await db.query('DELETE FROM user_roles WHERE user_id = ?', [viewerUserId]);
+        await db.query('DELETE FROM users WHERE id = ?', [viewerUserId]);
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('Project changes', () => {
+    it('should record the created project with actor, IP and user agent', async () => {
+      const response = await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('User-Agent', 'audit-test-agent')
+        .send({
+          projectName: 'Audit trail test project',
+          projectType: 'OTHER',
+          startDate: '2026-01-01',
+          plannedEndDate: '2026-12-31',
+          projectManagerId: adminUserId,
+          estimatedBudget: 50000
+        });
+
+      expect(response.status).toBe(201);
+      testProjectId = response.body.data.id;
+
+      const entries = await findEntries('project', testProjectId);
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].action).toBe('CREATE');
+      expect(entries[0].user_id).toBe(adminUserId);
+      expect(entries[0].user_agent).toBe('audit-test-agent');
+      expect(entries[0].ip_address).toBeTruthy();
+      expect(entries[0].old_values).toBeNull();
+      expect(parseJson(entries[0].new_values)).toMatchObject({
+        projectName: 'Audit trail test project',
+        estimatedBudget: 50000
+      });
+      expect(Boolean(entries[0].is_sensitive)).toBe(true);
+    });
+
+    it('should record only the changed fields of an update', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/projects/${testProjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ location: 'Martil' });
+
+      expect(response.status).toBe(200);
+
+      const entries = await findEntries('project', testProjectId);
+      const update = entries[entries.length - 1];
+
+      expect(update.action).toBe('UPDATE');
+      expect(parseJson(update.old_values)).toEqual({ location: null });
+      expect(parseJson(update.new_values)).toEqual({ location: 'Martil' });
+      expect(Boolean(update.is_sensitive)).toBe(false);
+    });
+
+    it('should not record an update that changed nothing', async () => {
+      await request(app)
+        .patch(`/api/v1/projects/${testProjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ location: 'Martil' });
+
+      const entries = await findEntries('project', testProjectId);
+
+      expect(entries).toHaveLength(2);
+    });
+
+    it('should record the deletion with the last known state', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/projects/${testProjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(204);
+
+      const entries = await findEntries('project', testProjectId);
+      const deletion = entries[entries.length - 1];
+
+      expect(deletion.action).toBe('DELETE');
+      expect(parseJson(deletion.old_values)).toMatchObject({ location: 'Martil' });
+      expect(deletion.new_values).toBeNull();
+    });
+  });
+
+  describe('User changes', () => {
+    it('should flag password changes as sensitive without storing the hash', async () => {
+      const changed = await request(app)
+        .post('/api/v1/auth/change-password')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ currentPassword: 'Admin@2025', newPassword: 'Audit@2025Tmp' });
+
+      expect(changed.status).toBe(200);
+
+      // Restore the seeded password
+      await request(app)
+        .post('/api/v1/auth/change-password')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ currentPassword: 'Audit@2025Tmp', newPassword: 'Admin@2025' });
+
+      const entries = await findEntries('user', adminUserId);
+      const change = entries.filter(entry => entry.reason_for_change === 'Password changed').pop();
+
+      expect(Boolean(change.is_sensitive)).toBe(true);
+      expect(parseJson(change.new_values).passwordHash).toBe('[REDACTED]');
+      expect(parseJson(change.old_values).passwordHash).toBe('[REDACTED]');
+    });
+
+    it('should record a status change with the admin as actor', async () => {
+      const response = await request(app)
+        .put(`/api/v1/users/${viewerUserId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'suspended' });
+
+      expect(response.status).toBe(200);
+
+      // Reactivate the viewer for the permission tests below
+      await request(app)
+        .put(`/api/v1/users/${viewerUserId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'active' });
+
+      const entries = await findEntries('user', viewerUserId);
+
+      expect(entries).toHaveLength(2);
+      expect(entries.map(entry => entry.action)).toEqual(['UPDATE', 'UPDATE']);
+      expect(entries[0].user_id).toBe(adminUserId);
+      expect(parseJson(entries[0].old_values)).toEqual(parseJson(entries[1].new_values));
+    });
+  });
+
+  describe('Budget changes', () => {
+    beforeAll(async () => {
+      const project = await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          projectName: 'Audit trail budget project',
+          projectType: 'OTHER',
+          startDate: '2026-01-01',
+          plannedEndDate: '2026-12-31',
+          projectManagerId: adminUserId,
+          estimatedBudget: 80000
+        });
+
+      budgetProjectId = project.body.data.id;
+
+      const budget = await db.query(
+        `INSERT INTO budgets (project_id, fiscal_year, category, allocated_amount, created_by)
+         VALUES (?, 2026, 'Materials', 40000, ?)`,
+        [budgetProjectId, adminUserId]
+      );
+      testBudgetId = budget.insertId;
+    });
+
+    it('should record the allocated amount change as sensitive', async () => {
+      const response = await request(app)
+        .put(`/api/v1/budgets/${testBudgetId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ allocated_amount: 45000 });
+
+      expect(response.status).toBe(200);
+
+      const entries = await findEntries('budget', testBudgetId);
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].action).toBe('UPDATE');
+      expect(entries[0].user_id).toBe(adminUserId);
+      expect(Number(parseJson(entries[0].old_values).allocated_amount)).toBe(40000);
+      expect(Number(parseJson(entries[0].new_values).allocated_amount)).toBe(45000);
+      expect(parseJson(entries[0].new_values).updated_at).toBeUndefined();
+      expect(Boolean(entries[0].is_sensitive)).toBe(true);
+    });
+  });
+
+  describe('GET /api/v1/audit', () => {
+    it('should forbid users without audit permission', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit')
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should filter entries by entity and action', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit')
+        .query({ entityType: 'project', entityId: testProjectId, action: 'UPDATE' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(response.body.data.entries[0].newValues).toEqual({ location: 'Martil' });
+      expect(response.body.data.entries[0].user.id).toBe(adminUserId);
+      expect(response.body.data.pagination.total).toBe(1);
+    });
+
+    it('should reject an unknown action', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit')
+        .query({ action: 'READ' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should return the timeline of an entity oldest first', async () => {
+      const response = await request(app)
+        .get(`/api/v1/audit/entities/project/${testProjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.entries.map(entry => entry.action)).toEqual(['CREATE', 'UPDATE', 'DELETE']);
+    });
+  });
+
+  describe('GET /api/v1/audit/export', () => {
+    it('should export matching entries as CSV', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit/export')
+        .query({ entityType: 'project', entityId: testProjectId, format: 'csv' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="audit-log-.*\.csv"/);
+
+      const lines = response.text.split('\r\n');
+
+      expect(lines[0]).toMatch(/^id,createdAt,entityType,entityId,action/);
+      expect(lines).toHaveLength(4);
+    });
+
+    it('should export matching entries as JSON', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit/export')
+        .query({ entityType: 'project', entityId: testProjectId, format: 'json' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(3);
+      expect(response.body.entries[0].rowHash).toMatch(/^[a-f0-9]{64}$/);
+    });
+  });
+
+  describe('GET /api/v1/audit/verify', () => {
+    it('should detect an entry edited outside the application', async () => {
+      const [entry] = await db.query(
+        "SELECT id, reason_for_change FROM audit_log WHERE entity_type = 'project' AND entity_id = ? AND action = 'UPDATE'",
+        [testProjectId]
+      );
+
+      const before = await request(app)
+        .get('/api/v1/audit/verify')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(before.status).toBe(200);
+      expect(before.body.data.issues).not.toContainEqual({ entryId: entry.id, reason: 'HASH_MISMATCH' });
+
+      await db.query("UPDATE audit_log SET reason_for_change = 'Edited by hand' WHERE id = ?", [entry.id]);
+
+      try {
+        const after = await request(app)
+          .get('/api/v1/audit/verify')
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(after.body.data.valid).toBe(false);
+        expect(after.body.data.issues).toContainEqual({ entryId: entry.id, reason: 'HASH_MISMATCH' });
+      } finally {
+        await db.query('UPDATE audit_log SET reason_for_change = ? WHERE id = ?', [entry.reason_for_change, entry.id]);
+      }
+    });
+  });
+});
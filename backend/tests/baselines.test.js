@@ -0,0 +1,234 @@
+/**
+ * Baseline Tests
+ * Test suite for project baselines, their variance and re-baseline approval
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const { createRoleUser } = require('./helpers');
+
+describe('Baseline Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let supervisorUserId;
+  let supervisorToken;
+  let projectId;
+  let firstBaselineId;
+  let rebaselineId;
+  let approvalId;
+  const milestoneIds = {};
+
+  const createMilestone = async (key, milestone) => {
+    const response = await request(app)
+      .post(`/api/v1/projects/${projectId}/milestones`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ responsibleUserId: adminUserId, ...milestone });
+
+    milestoneIds[key] = response.body.data.id;
+  };
+
+  const createBaseline = (baselineName) => request(app)
+    .post(`/api/v1/projects/${projectId}/baselines`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ baselineName });
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    const supervisor = await createRoleUser('baseline.supervisor', 'SUPERVISOR');
+    supervisorUserId = supervisor.id;
+    supervisorToken = supervisor.token;
+
+    const project = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName: 'Water treatment plant - Fnideq',
+        projectType: 'INFRASTRUCTURE',
+        startDate: '2030-01-01',
+        plannedEndDate: '2030-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 1000000
+      });
+
+    projectId = project.body.data.id;
+
+    // The supervisor is a project member, so the re-baseline request goes to them
+    await db.query('UPDATE projects SET alternate_manager_id = ? WHERE id = ?', [supervisorUserId, projectId]);
+
+    await createMilestone('design', { title: 'Design', plannedDate: '2030-03-01', budgetAllocated: 100000 });
+    await createMilestone('works', {
+      title: 'Works',
+      plannedDate: '2030-10-01',
+      budgetAllocated: 600000,
+      dependsOnMilestoneId: milestoneIds.design
+    });
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      if (approvalId) {
+        await db.query("DELETE FROM notifications WHERE related_entity_type = 'approval' AND related_entity_id = ?", [approvalId]);
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'approval' AND entity_id = ?", [approvalId]);
+        await db.query('DELETE FROM approvals WHERE id = ?', [approvalId]);
+      }
+      for (const baselineId of [firstBaselineId, rebaselineId].filter(Boolean)) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'project_baseline' AND entity_id = ?", [baselineId]);
+      }
+      await db.query('DELETE FROM project_baselines WHERE project_id = ?', [projectId]);
+      for (const milestoneId of Object.values(milestoneIds)) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'milestone' AND entity_id = ?", [milestoneId]);
+      }
+      await db.query('UPDATE milestones SET depends_on_milestone_id = NULL WHERE project_id = ?', [projectId]);
+      await db.query('DELETE FROM milestones WHERE project_id = ?', [projectId]);
+      await db.query('DELETE FROM project_completion_history WHERE project_id = ?', [projectId]);
+      await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [projectId]);
+      await db.query('DELETE FROM projects WHERE id = ?', [projectId]);
+      if (supervisorUserId) {
+        await db.query('DELETE FROM notifications WHERE user_id = ?', [supervisorUserId]);
+        await db.query('DELETE FROM user_roles WHERE user_id = ?', [supervisorUserId]);
+        await db.query('DELETE FROM users WHERE id = ?', [supervisorUserId]);
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/projects/:id/baselines', () => {
+    it('should make the first baseline active at once', async () => {
+      const response = await createBaseline('Initial commitment');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        baselineNumber: 1,
+        status: 'ACTIVE',
+        startDate: '2030-01-01',
+        plannedEndDate: '2030-12-31',
+        estimatedBudget: 1000000,
+        approvalId: null
+      });
+      expect(response.body.data.milestones).toHaveLength(2);
+
+      firstBaselineId = response.body.data.id;
+    });
+
+    it('should require a baseline name', async () => {
+      const response = await createBaseline('');
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/v1/projects/:id/baselines/:baselineId/variance', () => {
+    it('should report slips, budget variance and milestone changes', async () => {
+      await request(app)
+        .patch(`/api/v1/projects/${projectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ plannedEndDate: '2031-02-28', estimatedBudget: 1200000 });
+
+      await request(app)
+        .put(`/api/v1/projects/${projectId}/milestones/${milestoneIds.works}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ plannedDate: '2030-11-15' });
+
+      await createMilestone('landscaping', {
+        title: 'Landscaping',
+        plannedDate: '2031-01-31',
+        budgetAllocated: 50000,
+        dependsOnMilestoneId: milestoneIds.works
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/baselines/${firstBaselineId}/variance`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.dates.plannedEndDate).toEqual({
+        baseline: '2030-12-31',
+        current: '2031-02-28',
+        varianceDays: 59
+      });
+      expect(response.body.data.dates.forecastEndDate.current).toBe('2031-01-31');
+      expect(response.body.data.budget.estimatedBudget).toMatchObject({ variance: 200000, variancePercent: 20 });
+
+      const { added, removed, matched } = response.body.data.milestones;
+      expect(added.map(milestone => milestone.id)).toEqual([milestoneIds.landscaping]);
+      expect(removed).toEqual([]);
+
+      const works = matched.find(milestone => milestone.id === milestoneIds.works);
+      expect(works.plannedDate.varianceDays).toBe(45);
+    });
+
+    it('should not find a baseline of another project', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/baselines/999999/variance`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Re-baselining', () => {
+    it('should submit a re-baseline for approval', async () => {
+      const response = await createBaseline('Extended scope');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toBe('PENDING_APPROVAL');
+      expect(response.body.data.approvalId).toEqual(expect.any(Number));
+
+      rebaselineId = response.body.data.id;
+      approvalId = response.body.data.approvalId;
+
+      const list = await request(app)
+        .get(`/api/v1/projects/${projectId}/baselines`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(list.body.data.activeBaselineId).toBe(firstBaselineId);
+    });
+
+    it('should allow one pending re-baseline at a time', async () => {
+      const response = await createBaseline('Another scope');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should supersede the active baseline once approved', async () => {
+      const approval = await request(app)
+        .post(`/api/v1/approvals/${approvalId}/approve`)
+        .set('Authorization', `Bearer ${supervisorToken}`)
+        .send({ comments: 'New dates agreed with the prefecture' });
+
+      expect(approval.status).toBe(200);
+      expect(approval.body.data.status).toBe('APPROVED');
+
+      const list = await request(app)
+        .get(`/api/v1/projects/${projectId}/baselines`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(list.body.data.activeBaselineId).toBe(rebaselineId);
+      expect(list.body.data.baselines.map(baseline => baseline.status)).toEqual(['ACTIVE', 'SUPERSEDED']);
+
+      const variance = await request(app)
+        .get(`/api/v1/projects/${projectId}/baselines/${rebaselineId}/variance`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(variance.body.data.dates.plannedEndDate.varianceDays).toBe(0);
+      expect(variance.body.data.milestones.added).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Completion Tests
+ * Test suite for the project completion roll-up and its overrides
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Completion Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let projectId;
+  const milestoneIds = {};
+
+  const createMilestone = async (key, milestone) => {
+    const response = await request(app)
+      .post(`/api/v1/projects/${projectId}/milestones`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ responsibleUserId: adminUserId, ...milestone });
+
+    milestoneIds[key] = response.body.data.id;
+  };
+
+  const updateMilestone = (key, changes) => request(app)
+    .put(`/api/v1/projects/${projectId}/milestones/${milestoneIds[key]}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(changes);
+
+  const getCompletion = () => request(app)
+    .get(`/api/v1/projects/${projectId}/completion`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    const project = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName: 'Health centre - Oued Laou',
+        projectType: 'CONSTRUCTION',
+        startDate: '2030-01-01',
+        plannedEndDate: '2030-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 2000000
+      });
+
+    projectId = project.body.data.id;
+
+    await createMilestone('design', { title: 'Design', plannedDate: '2030-03-31', budgetAllocated: 300000, weight: 1 });
+    await createMilestone('works', { title: 'Works', plannedDate: '2030-10-31', budgetAllocated: 100000, weight: 3 });
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      for (const milestoneId of Object.values(milestoneIds)) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'milestone' AND entity_id = ?", [milestoneId]);
+      }
+      await db.query('DELETE FROM milestones WHERE project_id = ?', [projectId]);
+      await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [projectId]);
+      await db.query('DELETE FROM project_completion_history WHERE project_id = ?', [projectId]);
+      await db.query('DELETE FROM projects WHERE id = ?', [projectId]);
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('Roll-up from milestones', () => {
+    it('should recalculate completion when a milestone changes', async () => {
+      await updateMilestone('design', { status: 'IN_PROGRESS', completionPercentage: 50 });
+
+      const response = await getCompletion();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        completionPercentage: 25,
+        completionMethod: 'COUNT',
+        rollupPercentage: 25,
+        override: null
+      });
+      expect(response.body.data.history.map(entry => entry.source)).toEqual(['ROLLUP']);
+    });
+
+    it('should weigh milestones by budget', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectId}/completion/method`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ completionMethod: 'BUDGET' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.completionPercentage).toBe(37.5);
+    });
+
+    it('should weigh milestones by explicit weight', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectId}/completion/method`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ completionMethod: 'WEIGHT' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.completionPercentage).toBe(12.5);
+    });
+
+    it('should not accept completion through PATCH', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/projects/${projectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ completionPercentage: 80 });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should not accept completion through PUT', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          projectName: 'Health centre - Oued Laou',
+          projectType: 'CONSTRUCTION',
+          startDate: '2030-01-01',
+          plannedEndDate: '2030-12-31',
+          projectManagerId: adminUserId,
+          estimatedBudget: 2000000,
+          completionPercentage: 80
+        });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error.message).toMatch(/completion\/override/);
+    });
+  });
+
+  describe('PUT and DELETE /api/v1/projects/:id/completion/override', () => {
+    it('should require a justification', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectId}/completion/override`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ completionPercentage: 60 });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should override completion and keep the justification in the audit trail', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectId}/completion/override`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ completionPercentage: 60, justification: 'Site inspection of 15 March' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.completionPercentage).toBe(60);
+      expect(response.body.data.override.reason).toBe('Site inspection of 15 March');
+
+      const [entry] = await db.query(
+        "SELECT reason FROM audit_log WHERE entity_type = 'project' AND entity_id = ? ORDER BY id DESC LIMIT 1",
+        [projectId]
+      );
+
+      expect(entry.reason).toBe('Site inspection of 15 March');
+    });
+
+    it('should keep the override while milestones change', async () => {
+      await updateMilestone('works', { status: 'IN_PROGRESS', completionPercentage: 10 });
+
+      const response = await getCompletion();
+
+      expect(response.body.data.completionPercentage).toBe(60);
+      expect(response.body.data.rollupPercentage).toBe(20);
+    });
+
+    it('should return to the roll-up value when the override is removed', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/projects/${projectId}/completion/override`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ justification: 'Works resumed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        completionPercentage: 20,
+        override: null
+      });
+      expect(response.body.data.history.map(entry => entry.source))
+        .toEqual(['ROLLUP', 'ROLLUP', 'ROLLUP', 'OVERRIDE', 'ROLLUP']);
+    });
+  });
+});
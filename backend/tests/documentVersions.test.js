@@ -0,0 +1,333 @@
+/**
+ * Document Version Tests
+ * Test suite for document revisions, validity expiry reminders and retention rules
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const documentService = require('../src/services/documentService');
+const notificationService = require('../src/services/notificationService');
+
+describe('Document Versions and Retention Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let testProjectId;
+  let contractDocumentId;
+  let photoDocumentId;
+  let reportDocumentId;
+  let previousRules;
+
+  const firstDraft = Buffer.from('Maintenance contract - draft\n');
+  const signedCopy = Buffer.from('Maintenance contract - signed copy\n');
+
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const upload = (url, content, filename, fields = {}) => {
+    const call = request(app)
+      .post(url)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    Object.entries(fields).forEach(([key, value]) => call.field(key, String(value)));
+
+    return call.attach('file', content, { filename, contentType: 'text/plain' });
+  };
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    const project = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName: 'Document version test project',
+        projectType: 'OTHER',
+        startDate: '2026-01-01',
+        plannedEndDate: '2027-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 50000
+      });
+
+    testProjectId = project.body.data.id;
+
+    previousRules = await db.query(
+      `SELECT document_type, retention_days, retention_action, is_active, updated_by
+       FROM document_retention_rules WHERE document_type IN ('PHOTO', 'REPORT')`
+    );
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      await db.query("DELETE FROM document_retention_rules WHERE document_type IN ('PHOTO', 'REPORT')");
+      for (const rule of previousRules || []) {
+        await db.query(
+          `INSERT INTO document_retention_rules (document_type, retention_days, retention_action, is_active, updated_by)
+           VALUES (?, ?, ?, ?, ?)`,
+          [rule.document_type, rule.retention_days, rule.retention_action, rule.is_active, rule.updated_by]
+        );
+      }
+      await db.query("DELETE FROM audit_log WHERE entity_type = 'document_retention_rule' AND user_id = ?", [adminUserId]);
+      for (const documentId of [contractDocumentId, photoDocumentId, reportDocumentId]) {
+        if (documentId) {
+          await db.query("DELETE FROM notifications WHERE related_entity_type = 'document' AND related_entity_id = ?", [documentId]);
+          // Through the API so that stored files are released
+          await request(app)
+            .delete(`/api/v1/documents/${documentId}`)
+            .set('Authorization', `Bearer ${adminToken}`);
+          await db.query("DELETE FROM audit_log WHERE entity_type = 'document' AND entity_id = ?", [documentId]);
+        }
+      }
+      await db.query('DELETE FROM email_outbox WHERE recipient_user_id = ?', [adminUserId]);
+      if (testProjectId) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [testProjectId]);
+        await db.query('DELETE FROM projects WHERE id = ?', [testProjectId]);
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/documents/:id/versions', () => {
+    it('should keep the first upload as version 1', async () => {
+      const response = await upload('/api/v1/documents', firstDraft, 'contract.txt', {
+        documentType: 'CONTRACT',
+        projectId: testProjectId,
+        validityEnd: inDays(60)
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.version).toBe(1);
+
+      contractDocumentId = response.body.data.id;
+    });
+
+    it('should make a new revision the current version', async () => {
+      const response = await upload(`/api/v1/documents/${contractDocumentId}/versions`, signedCopy, 'contract-signed.txt', {
+        changeNote: 'Signed by the contractor',
+        validityEnd: inDays(10)
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.id).toBe(contractDocumentId);
+      expect(response.body.data.version).toBe(2);
+      expect(response.body.data.originalFilename).toBe('contract-signed.txt');
+      expect(response.body.data.fileSize).toBe(signedCopy.length);
+
+      const [entry] = await db.query(
+        "SELECT action, reason_for_change FROM audit_log WHERE entity_type = 'document' AND entity_id = ? ORDER BY id DESC LIMIT 1",
+        [contractDocumentId]
+      );
+
+      expect(entry).toMatchObject({ action: 'UPDATE', reason_for_change: 'Signed by the contractor' });
+    });
+
+    it('should refuse a revision identical to the current version', async () => {
+      const response = await upload(`/api/v1/documents/${contractDocumentId}/versions`, signedCopy, 'contract-signed.txt');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('GET /api/v1/documents/:id/versions', () => {
+    it('should list versions with the changes between them', async () => {
+      const response = await request(app)
+        .get(`/api/v1/documents/${contractDocumentId}/versions`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.currentVersion).toBe(2);
+      expect(response.body.data.versions.map(version => version.version)).toEqual([1, 2]);
+
+      const [first, second] = response.body.data.versions;
+
+      expect(first.isCurrent).toBe(false);
+      expect(first.changes.changedFields).toEqual([]);
+      expect(second.isCurrent).toBe(true);
+      expect(second.changeNote).toBe('Signed by the contractor');
+      expect(second.changes.changedFields).toEqual(
+        expect.arrayContaining(['originalFilename', 'fileSize', 'checksum', 'validityEnd'])
+      );
+      expect(second.changes.oldValues.originalFilename).toBe('contract.txt');
+    });
+
+    it('should keep earlier versions downloadable', async () => {
+      const previous = await request(app)
+        .get(`/api/v1/documents/${contractDocumentId}/versions/1/download`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(previous.status).toBe(200);
+      expect(previous.text).toBe(firstDraft.toString());
+
+      const current = await request(app)
+        .get(`/api/v1/documents/${contractDocumentId}/download`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(current.text).toBe(signedCopy.toString());
+    });
+
+    it('should return 404 for an unknown version', async () => {
+      const response = await request(app)
+        .get(`/api/v1/documents/${contractDocumentId}/versions/9/download`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Validity expiry reminders', () => {
+    it('should notify the project manager of documents about to expire', async () => {
+      await notificationService.notifyExpiringDocuments();
+
+      const notifications = await db.query(
+        "SELECT notification_type FROM notifications WHERE related_entity_type = 'document' AND related_entity_id = ? AND user_id = ?",
+        [contractDocumentId, adminUserId]
+      );
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].notification_type).toBe('DOCUMENT_EXPIRING');
+
+      // Same validity end: no second reminder
+      await notificationService.notifyExpiringDocuments();
+
+      const [count] = await db.query(
+        "SELECT COUNT(*) as total FROM notifications WHERE related_entity_type = 'document' AND related_entity_id = ?",
+        [contractDocumentId]
+      );
+
+      expect(count.total).toBe(1);
+    });
+  });
+
+  describe('Retention rules', () => {
+    it('should restrict retention rules to administrators', async () => {
+      const response = await request(app)
+        .put('/api/v1/documents/retention-rules/PHOTO')
+        .send({ retentionDays: 30, retentionAction: 'PURGE' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should validate the rule', async () => {
+      const response = await request(app)
+        .put('/api/v1/documents/retention-rules/PHOTO')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ retentionDays: 0, retentionAction: 'SHRED' });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should schedule the deletion of documents of the type', async () => {
+      const uploaded = await upload('/api/v1/documents', Buffer.from('site photo caption'), 'photo.txt', {
+        documentType: 'PHOTO',
+        projectId: testProjectId
+      });
+
+      photoDocumentId = uploaded.body.data.id;
+
+      const response = await request(app)
+        .put('/api/v1/documents/retention-rules/PHOTO')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ retentionDays: 30, retentionAction: 'ARCHIVE' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rule).toMatchObject({ documentType: 'PHOTO', retentionDays: 30, isActive: true });
+      expect(response.body.data.scheduledDocuments).toBeGreaterThanOrEqual(1);
+
+      const document = await request(app)
+        .get(`/api/v1/documents/${photoDocumentId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(document.body.data.deletionScheduledAt).not.toBeNull();
+
+      const rules = await request(app)
+        .get('/api/v1/documents/retention-rules')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(rules.body.data.map(rule => rule.documentType)).toContain('PHOTO');
+    });
+
+    it('should archive documents past their scheduled deletion date', async () => {
+      await db.query(
+        'UPDATE documents SET deletion_scheduled_at = DATE_SUB(CURDATE(), INTERVAL 1 DAY) WHERE id = ?',
+        [photoDocumentId]
+      );
+
+      const result = await documentService.runRetention();
+
+      expect(result.archived).toBeGreaterThanOrEqual(1);
+
+      const document = await request(app)
+        .get(`/api/v1/documents/${photoDocumentId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(document.body.data.archivedAt).not.toBeNull();
+      expect(document.body.data.deletionScheduledAt).toBeNull();
+
+      const current = await request(app)
+        .get(`/api/v1/documents?projectId=${testProjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(current.body.data.documents.map(item => item.id)).not.toContain(photoDocumentId);
+
+      const archived = await request(app)
+        .get(`/api/v1/documents?projectId=${testProjectId}&archived=true`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(archived.body.data.documents.map(item => item.id)).toContain(photoDocumentId);
+
+      const revision = await upload(`/api/v1/documents/${photoDocumentId}/versions`, Buffer.from('new caption'), 'photo.txt');
+
+      expect(revision.status).toBe(409);
+    });
+
+    it('should purge documents under a PURGE rule', async () => {
+      const uploaded = await upload('/api/v1/documents', Buffer.from('weekly site report'), 'report.txt', {
+        documentType: 'REPORT',
+        projectId: testProjectId
+      });
+
+      reportDocumentId = uploaded.body.data.id;
+
+      await request(app)
+        .put('/api/v1/documents/retention-rules/REPORT')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ retentionDays: 1, retentionAction: 'PURGE' });
+
+      await db.query(
+        'UPDATE documents SET deletion_scheduled_at = DATE_SUB(CURDATE(), INTERVAL 1 DAY) WHERE id = ?',
+        [reportDocumentId]
+      );
+
+      const result = await documentService.runRetention();
+
+      expect(result.purged).toBeGreaterThanOrEqual(1);
+
+      const lookup = await request(app)
+        .get(`/api/v1/documents/${reportDocumentId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(lookup.status).toBe(404);
+
+      const [versions] = await db.query(
+        'SELECT COUNT(*) as total FROM document_versions WHERE document_id = ?',
+        [reportDocumentId]
+      );
+
+      expect(versions.total).toBe(0);
+    });
+  });
+});
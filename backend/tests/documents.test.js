@@ -0,0 +1,352 @@
+/**
+ * Document Tests
+ * Test suite for document upload, access control, download and approval references
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const { createRoleUser } = require('./helpers');
+
+describe('Document Management Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let viewerToken;
+  let viewerUserId;
+  let supervisorToken;
+  let supervisorUserId;
+  let testProjectId;
+  let internalDocumentId;
+  let publicDocumentId;
+  let restrictedDocumentId;
+  const approvalIds = [];
+
+  const contractContent = Buffer.from('%PDF-1.4\n% Test contract for document tests\n%%EOF\n');
+  const photoContent = Buffer.concat([
+    Buffer.from('89504e470d0a1a0a', 'hex'),
+    Buffer.from('site photo of document tests')
+  ]);
+
+  const upload = (token, content, filename, contentType, fields = {}) => {
+    const call = request(app)
+      .post('/api/v1/documents')
+      .set('Authorization', `Bearer ${token}`);
+
+    Object.entries(fields).forEach(([key, value]) => call.field(key, String(value)));
+
+    return call.attach('file', content, { filename, contentType });
+  };
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    ({ id: viewerUserId, token: viewerToken } = await createRoleUser('documents.viewer', 'VIEWER'));
+    ({ id: supervisorUserId, token: supervisorToken } = await createRoleUser('documents.supervisor', 'SUPERVISOR'));
+
+    const project = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName: 'Document test project',
+        projectType: 'OTHER',
+        startDate: '2026-01-01',
+        plannedEndDate: '2026-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 50000
+      });
+
+    testProjectId = project.body.data.id;
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      for (const approvalId of approvalIds) {
+        await db.query("DELETE FROM notifications WHERE related_entity_type = 'approval' AND related_entity_id = ?", [approvalId]);
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'approval' AND entity_id = ?", [approvalId]);
+        await db.query('DELETE FROM approvals WHERE id = ?', [approvalId]);
+      }
+      for (const documentId of [internalDocumentId, publicDocumentId, restrictedDocumentId]) {
+        if (documentId) {
+          // Through the API so that stored files are released
+          await request(app)
+            .delete(`/api/v1/documents/${documentId}`)
+            .set('Authorization', `Bearer ${adminToken}`);
+          await db.query("DELETE FROM audit_log WHERE entity_type = 'document' AND entity_id = ?", [documentId]);
+        }
+      }
+      if (testProjectId) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [testProjectId]);
+        await db.query('DELETE FROM projects WHERE id = ?', [testProjectId]);
+      }
+      for (const userId of [viewerUserId, supervisorUserId]) {
+        if (userId) {
+          await db.query('DELETE FROM user_roles WHERE user_id = ?', [userId]);
+          await db.query('DELETE FROM users WHERE id = ?', [userId]);
+        }
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/documents', () => {
+    it('should upload a document with a generated code and checksum', async () => {
+      const response = await upload(adminToken, contractContent, 'contract.pdf', 'application/pdf', {
+        documentType: 'CONTRACT',
+        projectId: testProjectId,
+        validityStart: '2026-01-01',
+        validityEnd: '2026-12-31'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.documentCode).toMatch(/^DOC-\d{4}-\d{4,}$/);
+      expect(response.body.data.documentName).toBe('contract.pdf');
+      expect(response.body.data.accessLevel).toBe('INTERNAL');
+      expect(response.body.data.fileType).toBe('pdf');
+      expect(response.body.data.fileSize).toBe(contractContent.length);
+      expect(response.body.data.checksum).toBe(crypto.createHash('sha256').update(contractContent).digest('hex'));
+
+      internalDocumentId = response.body.data.id;
+
+      const [entry] = await db.query(
+        "SELECT action FROM audit_log WHERE entity_type = 'document' AND entity_id = ?",
+        [internalDocumentId]
+      );
+
+      expect(entry.action).toBe('CREATE');
+    });
+
+    it('should refuse the same file twice in a project', async () => {
+      const response = await upload(adminToken, contractContent, 'contract-copy.pdf', 'application/pdf', {
+        documentType: 'CONTRACT',
+        projectId: testProjectId
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.details[0].documentId).toBe(internalDocumentId);
+    });
+
+    it('should reject a file whose content does not match its type', async () => {
+      const response = await upload(adminToken, Buffer.from('not a pdf'), 'fake.pdf', 'application/pdf', {
+        documentType: 'REPORT',
+        projectId: testProjectId
+      });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should reject a file type that is not accepted', async () => {
+      const response = await upload(adminToken, Buffer.from('MZ'), 'setup.exe', 'application/x-msdownload', {
+        documentType: 'OTHER'
+      });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should require a file', async () => {
+      const response = await request(app)
+        .post('/api/v1/documents')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('documentType', 'OTHER');
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should forbid viewers from uploading', async () => {
+      const response = await upload(viewerToken, photoContent, 'site.png', 'image/png', {
+        documentType: 'PHOTO'
+      });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should upload public and restricted documents', async () => {
+      const publicResponse = await upload(adminToken, photoContent, 'site.png', 'image/png', {
+        documentType: 'PHOTO',
+        projectId: testProjectId,
+        accessLevel: 'PUBLIC'
+      });
+
+      expect(publicResponse.status).toBe(201);
+      publicDocumentId = publicResponse.body.data.id;
+
+      const restrictedResponse = await upload(adminToken, Buffer.from('Tender evaluation notes'), 'notes.txt', 'text/plain', {
+        documentType: 'REPORT',
+        projectId: testProjectId,
+        accessLevel: 'RESTRICTED'
+      });
+
+      expect(restrictedResponse.status).toBe(201);
+      restrictedDocumentId = restrictedResponse.body.data.id;
+    });
+  });
+
+  describe('Access control', () => {
+    it('should download the file content', async () => {
+      const response = await request(app)
+        .get(`/api/v1/documents/${internalDocumentId}/download`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/pdf/);
+      expect(response.headers['content-disposition']).toMatch(/attachment/);
+      expect(Buffer.compare(response.body, contractContent)).toBe(0);
+    });
+
+    it('should deny INTERNAL project documents outside the project team', async () => {
+      const metadata = await request(app)
+        .get(`/api/v1/documents/${internalDocumentId}`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(metadata.status).toBe(403);
+
+      const download = await request(app)
+        .get(`/api/v1/documents/${internalDocumentId}/download`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(download.status).toBe(403);
+    });
+
+    it('should let anyone download PUBLIC documents', async () => {
+      const response = await request(app)
+        .get(`/api/v1/documents/${publicDocumentId}/download`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should list only the documents visible to the user', async () => {
+      const viewerList = await request(app)
+        .get('/api/v1/documents')
+        .query({ projectId: testProjectId })
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(viewerList.status).toBe(200);
+      expect(viewerList.body.data.documents.map(document => document.id)).toEqual([publicDocumentId]);
+
+      // Supervisors see INTERNAL documents of every project, not RESTRICTED ones
+      const supervisorList = await request(app)
+        .get('/api/v1/documents')
+        .query({ projectId: testProjectId })
+        .set('Authorization', `Bearer ${supervisorToken}`);
+
+      const visible = supervisorList.body.data.documents.map(document => document.id);
+
+      expect(visible).toEqual(expect.arrayContaining([internalDocumentId, publicDocumentId]));
+      expect(visible).not.toContain(restrictedDocumentId);
+    });
+
+    it('should open INTERNAL documents to active team members', async () => {
+      await db.query(
+        `INSERT INTO resource_allocations (project_id, user_id, allocation_percentage, start_date, created_by)
+         VALUES (?, ?, 20, '2026-01-01', ?)`,
+        [testProjectId, viewerUserId, adminUserId]
+      );
+
+      try {
+        const internal = await request(app)
+          .get(`/api/v1/documents/${internalDocumentId}`)
+          .set('Authorization', `Bearer ${viewerToken}`);
+
+        expect(internal.status).toBe(200);
+
+        const restricted = await request(app)
+          .get(`/api/v1/documents/${restrictedDocumentId}`)
+          .set('Authorization', `Bearer ${viewerToken}`);
+
+        expect(restricted.status).toBe(403);
+      } finally {
+        await db.query('DELETE FROM resource_allocations WHERE project_id = ? AND user_id = ?', [testProjectId, viewerUserId]);
+      }
+    });
+  });
+
+  describe('Approval supporting documents', () => {
+    it('should reject references to unknown documents', async () => {
+      const response = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'PROJECT',
+          requestId: testProjectId,
+          title: 'Project with missing evidence',
+          supportingDocuments: [999999999]
+        });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error.message).toMatch(/Documents not found: 999999999/);
+    });
+
+    it('should show cited documents and keep them from being deleted', async () => {
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          requestType: 'PROJECT',
+          requestId: testProjectId,
+          title: 'Project with signed contract',
+          supportingDocuments: [internalDocumentId]
+        });
+
+      expect(created.status).toBe(201);
+      approvalIds.push(created.body.data.id);
+
+      expect(created.body.data.documents).toHaveLength(1);
+      expect(created.body.data.documents[0]).toMatchObject({
+        id: internalDocumentId,
+        documentType: 'CONTRACT',
+        mimeType: 'application/pdf'
+      });
+
+      const deletion = await request(app)
+        .delete(`/api/v1/documents/${internalDocumentId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(deletion.status).toBe(409);
+    });
+  });
+
+  describe('DELETE /api/v1/documents/:id', () => {
+    it('should delete the document and record it', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/documents/${publicDocumentId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(204);
+
+      const [entry] = await db.query(
+        "SELECT action FROM audit_log WHERE entity_type = 'document' AND entity_id = ? ORDER BY id DESC LIMIT 1",
+        [publicDocumentId]
+      );
+
+      expect(entry.action).toBe('DELETE');
+
+      const lookup = await request(app)
+        .get(`/api/v1/documents/${publicDocumentId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(lookup.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Earned Value Tests
+ * Test suite for the earned value metrics of a project
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Earned Value Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let projectId;
+  let budgetAllocationId;
+  let previousHealthBasis;
+  const milestoneIds = {};
+
+  const createMilestone = async (key, milestone) => {
+    const response = await request(app)
+      .post(`/api/v1/projects/${projectId}/milestones`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ responsibleUserId: adminUserId, ...milestone });
+
+    milestoneIds[key] = response.body.data.id;
+  };
+
+  const spend = (amount, transactionDate) => db.query(
+    `INSERT INTO budget_transactions (budget_allocation_id, transaction_type, amount, description, transaction_date, created_by)
+     VALUES (?, 'EXPENSE', ?, 'Contractor invoice', ?, ?)`,
+    [budgetAllocationId, amount, transactionDate, adminUserId]
+  );
+
+  const getEvm = (query = '') => request(app)
+    .get(`/api/v1/projects/${projectId}/evm${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    [previousHealthBasis] = await db.query(
+      "SELECT setting_value FROM system_settings WHERE setting_key = 'project_health_basis'"
+    );
+
+    const project = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName: 'Covered market - Mdiq',
+        projectType: 'CONSTRUCTION',
+        startDate: '2025-01-01',
+        plannedEndDate: '2025-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 400000
+      });
+
+    projectId = project.body.data.id;
+
+    // Design: 2025-01-01 to 2025-03-01, works: 2025-03-01 to 2025-12-31 (305 days)
+    await createMilestone('design', {
+      title: 'Design',
+      plannedDate: '2025-03-01',
+      budgetAllocated: 100000,
+      status: 'COMPLETED',
+      actualCompletionDate: '2025-03-15'
+    });
+    await createMilestone('works', {
+      title: 'Works',
+      plannedDate: '2025-12-31',
+      budgetAllocated: 300000,
+      dependsOnMilestoneId: milestoneIds.design,
+      status: 'IN_PROGRESS',
+      completionPercentage: 50
+    });
+
+    const budget = await db.query(
+      `INSERT INTO budget_allocations (project_id, budget_category, allocated_amount, created_by, updated_by)
+       VALUES (?, 'CONTRACTORS', 400000, ?, ?)`,
+      [projectId, adminUserId, adminUserId]
+    );
+    budgetAllocationId = budget.insertId;
+
+    await spend(120000, '2025-03-10');
+    await spend(130000, '2025-09-10');
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      const [setting] = await db.query("SELECT id FROM system_settings WHERE setting_key = 'project_health_basis'");
+      if (setting) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'system_setting' AND entity_id = ?", [setting.id]);
+      }
+      if (previousHealthBasis) {
+        await db.query(
+          "UPDATE system_settings SET setting_value = ? WHERE setting_key = 'project_health_basis'",
+          [previousHealthBasis.setting_value]
+        );
+      } else {
+        await db.query("DELETE FROM system_settings WHERE setting_key = 'project_health_basis'");
+      }
+      await db.query('DELETE FROM budget_transactions WHERE budget_allocation_id = ?', [budgetAllocationId]);
+      await db.query('DELETE FROM budget_allocations WHERE id = ?', [budgetAllocationId]);
+      for (const milestoneId of Object.values(milestoneIds)) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'milestone' AND entity_id = ?", [milestoneId]);
+      }
+      await db.query('UPDATE milestones SET depends_on_milestone_id = NULL WHERE project_id = ?', [projectId]);
+      await db.query('DELETE FROM milestones WHERE project_id = ?', [projectId]);
+      await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [projectId]);
+      await db.query('DELETE FROM projects WHERE id = ?', [projectId]);
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('GET /api/v1/projects/:id/evm', () => {
+    it('should compute the metrics on an as-of date', async () => {
+      const response = await getEvm('?asOf=2025-03-31');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        asOf: '2025-03-31',
+        budgetAtCompletion: 400000,
+        plannedValue: 129508.2,
+        earnedValue: 100000,
+        actualCost: 120000,
+        spi: 0.77,
+        cpi: 0.83,
+        estimateAtCompletion: 480000,
+        estimateToComplete: 360000,
+        varianceAtCompletion: -80000,
+        tcpi: 1.07
+      });
+    });
+
+    it('should return a monthly series up to the as-of date', async () => {
+      const response = await getEvm('?asOf=2025-03-31');
+      const { series } = response.body.data;
+
+      expect(series).toHaveLength(12);
+      expect(series[2]).toMatchObject({ month: '2025-03', date: '2025-03-31', earnedValue: 100000, actualCost: 120000 });
+      expect(series[3]).toMatchObject({ month: '2025-04', earnedValue: null, actualCost: null });
+      expect(series[11].plannedValue).toBe(400000);
+    });
+
+    it('should count the progress of open milestones today', async () => {
+      const response = await getEvm();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        plannedValue: 400000,
+        earnedValue: 250000,
+        actualCost: 250000,
+        spi: 0.63,
+        cpi: 1,
+        estimateAtCompletion: 400000,
+        health: { spiHealth: 'RED', cpiHealth: 'GREEN', overall: 'RED' }
+      });
+    });
+
+    it('should reject an invalid as-of date', async () => {
+      const response = await getEvm('?asOf=last-month');
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/v1/projects/:id/progress', () => {
+    it('should derive overall health from SPI/CPI bands when configured', async () => {
+      await request(app)
+        .put('/api/v1/settings/project_health_basis')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 'EVM' });
+
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/progress`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        healthBasis: 'EVM',
+        spi: 0.63,
+        cpi: 1,
+        overallHealth: 'RED'
+      });
+    });
+  });
+});
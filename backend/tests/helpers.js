@@ -0,0 +1,37 @@
+/**
+ * Test Helpers
+ * Fixtures shared by the API test suites
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+/**
+ * Create a user holding one role, reusing the admin password, and log it in
+ * @param {String} username - Also used for the email (<username>@prefecture-tetouan.ma)
+ * @param {String} roleName - roles.role_name
+ * @returns {Promise<Object>} { id, token }
+ */
+const createRoleUser = async (username, roleName) => {
+  const result = await db.query(
+    `INSERT INTO users (email, username, password_hash, first_name, last_name)
+     SELECT ?, ?, password_hash, 'Test', ? FROM users WHERE username = 'admin'`,
+    [`${username}@prefecture-tetouan.ma`, username, roleName]
+  );
+
+  await db.query(
+    'INSERT INTO user_roles (user_id, role_id) SELECT ?, id FROM roles WHERE role_name = ?',
+    [result.insertId, roleName]
+  );
+
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: `${username}@prefecture-tetouan.ma`, password: 'Admin@2025' });
+
+  return { id: result.insertId, token: response.body.data.tokens.accessToken };
+};
+
+module.exports = {
+  createRoleUser
+};
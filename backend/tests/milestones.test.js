@@ -0,0 +1,246 @@
+/**
+ * Milestone Tests
+ * Test suite for project milestones and their prerequisites
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Milestone Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let projectId;
+  let projectCode;
+  const milestoneIds = {};
+
+  const createMilestone = (milestone) => request(app)
+    .post(`/api/v1/projects/${projectId}/milestones`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ responsibleUserId: adminUserId, ...milestone });
+
+  const updateMilestone = (milestoneId, changes) => request(app)
+    .put(`/api/v1/projects/${projectId}/milestones/${milestoneId}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(changes);
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    const project = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName: 'Youth centre - Fnideq',
+        projectType: 'CONSTRUCTION',
+        startDate: '2026-01-01',
+        plannedEndDate: '2027-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 3000000
+      });
+
+    projectId = project.body.data.id;
+    projectCode = project.body.data.projectCode;
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      for (const milestoneId of Object.values(milestoneIds)) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'milestone' AND entity_id = ?", [milestoneId]);
+      }
+      await db.query('UPDATE milestones SET depends_on_milestone_id = NULL WHERE project_id = ?', [projectId]);
+      await db.query('DELETE FROM milestones WHERE project_id = ?', [projectId]);
+      await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [projectId]);
+      await db.query('DELETE FROM projects WHERE id = ?', [projectId]);
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/projects/:id/milestones', () => {
+    it('should create milestones with generated codes', async () => {
+      const design = await createMilestone({
+        title: 'Detailed design approved',
+        plannedDate: '2027-03-31',
+        budgetAllocated: 150000,
+        deliverables: ['Architectural plans', 'Bill of quantities']
+      });
+
+      expect(design.status).toBe(201);
+      expect(design.body.data).toMatchObject({
+        milestoneCode: `${projectCode}-M01`,
+        status: 'NOT_STARTED',
+        sequenceOrder: 1,
+        deliverables: ['Architectural plans', 'Bill of quantities']
+      });
+      milestoneIds.design = design.body.data.id;
+
+      const works = await createMilestone({
+        title: 'Structural works',
+        plannedDate: '2027-09-30',
+        dependsOnMilestoneId: milestoneIds.design
+      });
+
+      expect(works.status).toBe(201);
+      expect(works.body.data.sequenceOrder).toBe(2);
+      expect(works.body.data.dependsOnMilestone.id).toBe(milestoneIds.design);
+      milestoneIds.works = works.body.data.id;
+    });
+
+    it('should mark a milestone planned in the past as DELAYED', async () => {
+      const response = await createMilestone({
+        title: 'Site survey',
+        plannedDate: '2026-02-28'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toBe('DELAYED');
+      milestoneIds.survey = response.body.data.id;
+    });
+
+    it('should refuse to start a milestone before its prerequisite', async () => {
+      const response = await createMilestone({
+        title: 'Finishing works',
+        plannedDate: '2027-11-30',
+        dependsOnMilestoneId: milestoneIds.works,
+        status: 'IN_PROGRESS'
+      });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should not accept DELAYED as a status', async () => {
+      const response = await createMilestone({
+        title: 'Handover',
+        plannedDate: '2027-12-15',
+        status: 'DELAYED'
+      });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('PUT /api/v1/projects/:id/milestones/:milestoneId', () => {
+    it('should refuse a dependency cycle', async () => {
+      const response = await updateMilestone(milestoneIds.design, { dependsOnMilestoneId: milestoneIds.works });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error.details.map(step => step.milestoneId))
+        .toEqual([milestoneIds.design, milestoneIds.works, milestoneIds.design]);
+    });
+
+    it('should refuse completing before the prerequisite is completed', async () => {
+      const response = await updateMilestone(milestoneIds.works, { status: 'COMPLETED' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should let a dependent start once its prerequisite is completed', async () => {
+      const completed = await updateMilestone(milestoneIds.design, {
+        status: 'COMPLETED',
+        actualCompletionDate: '2026-09-15'
+      });
+
+      expect(completed.status).toBe(200);
+      expect(completed.body.data).toMatchObject({
+        status: 'COMPLETED',
+        completionPercentage: 100,
+        actualCompletionDate: '2026-09-15'
+      });
+
+      const started = await updateMilestone(milestoneIds.works, { status: 'IN_PROGRESS', completionPercentage: 20 });
+
+      expect(started.status).toBe(200);
+      expect(started.body.data.status).toBe('IN_PROGRESS');
+    });
+
+    it('should refuse reopening a prerequisite once a dependent has started', async () => {
+      const response = await updateMilestone(milestoneIds.design, { status: 'IN_PROGRESS' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should clear DELAYED when a milestone is re-planned', async () => {
+      const response = await updateMilestone(milestoneIds.survey, { plannedDate: '2027-01-31' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('NOT_STARTED');
+
+      const [entry] = await db.query(
+        "SELECT action FROM audit_log WHERE entity_type = 'milestone' AND entity_id = ? ORDER BY id DESC LIMIT 1",
+        [milestoneIds.survey]
+      );
+
+      expect(entry.action).toBe('UPDATE');
+    });
+  });
+
+  describe('PUT /api/v1/projects/:id/milestones/order', () => {
+    it('should reorder the milestones of the project', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectId}/milestones/order`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ milestoneIds: [milestoneIds.survey, milestoneIds.design, milestoneIds.works] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.milestones.map(milestone => milestone.id))
+        .toEqual([milestoneIds.survey, milestoneIds.design, milestoneIds.works]);
+    });
+
+    it('should require every milestone of the project', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectId}/milestones/order`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ milestoneIds: [milestoneIds.design] });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET and DELETE /api/v1/projects/:id/milestones/:milestoneId', () => {
+    it('should list the milestones depending on a milestone', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/milestones/${milestoneIds.design}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.dependents.map(dependent => dependent.id)).toEqual([milestoneIds.works]);
+    });
+
+    it('should keep a milestone other milestones depend on', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/projects/${projectId}/milestones/${milestoneIds.design}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should delete a milestone', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/projects/${projectId}/milestones/${milestoneIds.survey}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(204);
+
+      const list = await request(app)
+        .get(`/api/v1/projects/${projectId}/milestones`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(list.body.data.milestones).toHaveLength(2);
+    });
+  });
+});
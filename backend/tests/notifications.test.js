@@ -0,0 +1,281 @@
+/**
+ * Notifications Tests
+ * Test suite for the notification inbox endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const notificationModel = require('../src/models/notificationModel');
+
+describe('Notifications API Tests', () => {
+  let authToken;
+  let adminUserId;
+  let otherUserId;
+  const notificationIds = {};
+
+  const insertNotification = async (userId, overrides = {}) => {
+    const result = await db.query(
+      `INSERT INTO notifications (user_id, notification_type, subject, message, priority, expires_at)
+       VALUES (?, ?, ?, 'Notification test message', ?, ?)`,
+      [
+        userId,
+        overrides.notificationType || 'GENERAL_INFO',
+        overrides.subject || 'Notification test',
+        overrides.priority || 'NORMAL',
+        overrides.expiresAt || null
+      ]
+    );
+    return result.insertId;
+  };
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Login as admin
+    const adminResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    authToken = adminResponse.body.data.tokens.accessToken;
+    adminUserId = adminResponse.body.data.user.id;
+
+    const other = await db.query(
+      `INSERT INTO users (email, username, password_hash, first_name, last_name)
+       SELECT 'notification.other@prefecture-tetouan.ma', 'notification.other', password_hash, 'Test', 'Other'
+       FROM users WHERE username = 'admin'`
+    );
+    otherUserId = other.insertId;
+
+    // Start from an empty inbox so counts are exact
+    await db.query('DELETE FROM notifications WHERE user_id = ?', [adminUserId]);
+
+    notificationIds.budget = await insertNotification(adminUserId, {
+      notificationType: 'BUDGET_ALERT',
+      subject: 'Budget at 90%',
+      priority: 'HIGH'
+    });
+    notificationIds.info = await insertNotification(adminUserId);
+    notificationIds.expired = await insertNotification(adminUserId, {
+      subject: 'Expired notice',
+      expiresAt: new Date(Date.now() - 60 * 60 * 1000)
+    });
+    notificationIds.foreign = await insertNotification(otherUserId);
+  });
+
+  afterAll(async () => {
+    try {
+      await db.query('DELETE FROM notifications WHERE user_id = ?', [adminUserId]);
+      await db.query('DELETE FROM email_outbox WHERE recipient_user_id = ?', [adminUserId]);
+      await db.query('DELETE FROM user_notification_preferences WHERE user_id = ?', [adminUserId]);
+      // Notifications of the other user cascade with it
+      await db.query('DELETE FROM users WHERE id = ?', [otherUserId]);
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('GET /api/v1/notifications', () => {
+    it('should list only my live notifications', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+
+      const ids = response.body.data.notifications.map(n => n.id);
+      expect(ids).toEqual(expect.arrayContaining([notificationIds.budget, notificationIds.info]));
+      expect(ids).not.toContain(notificationIds.expired);
+      expect(ids).not.toContain(notificationIds.foreign);
+      expect(response.body.data.pagination.total).toBe(2);
+    });
+
+    it('should filter by type', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications')
+        .query({ type: 'BUDGET_ALERT' })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notifications).toHaveLength(1);
+      expect(response.body.data.notifications[0].priority).toBe('HIGH');
+    });
+
+    it('should reject an unknown type', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications')
+        .query({ type: 'NOT_A_TYPE' })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/v1/notifications/unread-count', () => {
+    it('should count unread live notifications by priority', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications/unread-count')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.total).toBe(2);
+      expect(response.body.data.byPriority).toEqual({ HIGH: 1, NORMAL: 1 });
+    });
+  });
+
+  describe('PATCH /api/v1/notifications/:id/read', () => {
+    it('should mark a notification read', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/notifications/${notificationIds.budget}/read`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isRead).toBe(true);
+      expect(response.body.data.readAt).toBeTruthy();
+
+      const unread = await request(app)
+        .get('/api/v1/notifications')
+        .query({ unreadOnly: true })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(unread.body.data.notifications.map(n => n.id)).toEqual([notificationIds.info]);
+    });
+
+    it("should not expose another user's notification", async () => {
+      const response = await request(app)
+        .patch(`/api/v1/notifications/${notificationIds.foreign}/read`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should treat an expired notification as missing', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/notifications/${notificationIds.expired}/read`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/v1/notifications/read-all', () => {
+    it('should mark all my notifications read', async () => {
+      const response = await request(app)
+        .patch('/api/v1/notifications/read-all')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.updated).toBeGreaterThanOrEqual(1);
+
+      const count = await request(app)
+        .get('/api/v1/notifications/unread-count')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(count.body.data.total).toBe(0);
+
+      const [foreign] = await db.query('SELECT is_read FROM notifications WHERE id = ?', [notificationIds.foreign]);
+      expect(Boolean(foreign.is_read)).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/v1/notifications/:id', () => {
+    it('should delete a notification', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/notifications/${notificationIds.info}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(204);
+
+      const again = await request(app)
+        .delete(`/api/v1/notifications/${notificationIds.info}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(again.status).toBe(404);
+    });
+  });
+
+  describe('Deduplication', () => {
+    it('should skip a notification the user already has for the same event', async () => {
+      const notification = {
+        userId: otherUserId,
+        notificationType: 'MILESTONE_DUE',
+        subject: 'Milestone overdue',
+        message: 'Notification test message',
+        dedupeKey: 'milestone:0:overdue:2030-01-01'
+      };
+
+      const first = await notificationModel.create(notification);
+      const second = await notificationModel.create(notification);
+
+      expect(first).toEqual(expect.any(Number));
+      expect(second).toBeNull();
+
+      const rows = await db.query(
+        'SELECT id FROM notifications WHERE user_id = ? AND dedupe_key = ?',
+        [otherUserId, notification.dedupeKey]
+      );
+      expect(rows.map(row => row.id)).toEqual([first]);
+    });
+  });
+
+  describe('Email preferences', () => {
+    it('should enable email for every type by default', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(6);
+      expect(response.body.data.every(p => p.emailEnabled)).toBe(true);
+    });
+
+    it('should opt out of budget alert emails', async () => {
+      const response = await request(app)
+        .put('/api/v1/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ preferences: [{ notificationType: 'BUDGET_ALERT', emailEnabled: false }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.find(p => p.notificationType === 'BUDGET_ALERT').emailEnabled).toBe(false);
+      expect(response.body.data.find(p => p.notificationType === 'APPROVAL_NEEDED').emailEnabled).toBe(true);
+    });
+
+    it('should reject an unknown type', async () => {
+      const response = await request(app)
+        .put('/api/v1/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ preferences: [{ notificationType: 'NOT_A_TYPE', emailEnabled: false }] });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('Password reset email', () => {
+    it('should queue the reset link in the outbox', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/password-reset-request')
+        .send({ email: 'admin@prefecture-tetouan.ma' });
+
+      expect(response.status).toBe(200);
+
+      const [email] = await db.query(
+        `SELECT template_key, status, body_text, attempts
+         FROM email_outbox
+         WHERE recipient_user_id = ? AND template_key = 'passwordReset'
+         ORDER BY id DESC LIMIT 1`,
+        [adminUserId]
+      );
+
+      expect(email.status).toBe('PENDING');
+      expect(email.attempts).toBe(0);
+      expect(email.body_text).toMatch(/\/reset-password\?token=[a-f0-9]{64}/);
+    });
+  });
+});
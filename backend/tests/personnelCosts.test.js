@@ -0,0 +1,176 @@
+/**
+ * Personnel Cost Tests
+ * Test suite for the monthly accrual of allocation costs into PERSONNEL budgets
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Personnel Cost Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let engineerUserId;
+  let budgetAllocationId;
+  const projectIds = [];
+  const allocationIds = [];
+
+  const createProject = async (projectName) => {
+    const response = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName,
+        projectType: 'OTHER',
+        startDate: '2026-01-01',
+        plannedEndDate: '2026-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 200000
+      });
+
+    projectIds.push(response.body.data.id);
+    return response.body.data.id;
+  };
+
+  const assign = async (projectId, allocation) => {
+    const response = await request(app)
+      .post(`/api/v1/projects/${projectId}/team`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ userId: engineerUserId, startDate: '2026-01-01', endDate: '2026-06-30', ...allocation });
+
+    allocationIds.push(response.body.data.allocation.id);
+    return response.body.data.allocation.id;
+  };
+
+  const accrue = (month) => request(app)
+    .post('/api/v1/resources/personnel-accruals')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ month });
+
+  const projectResult = (response) => response.body.data.projects.find(project => project.projectId === projectIds[0]);
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    const engineer = await db.query(
+      `INSERT INTO users (email, username, password_hash, first_name, last_name)
+       SELECT 'cost.engineer@prefecture-tetouan.ma', 'cost.engineer', password_hash, 'Cost', 'Engineer'
+       FROM users WHERE username = 'admin'`
+    );
+    engineerUserId = engineer.insertId;
+
+    await createProject('Market hall renovation - Tetouan');
+    await createProject('Street lighting - Oued Laou');
+
+    const budget = await db.query(
+      `INSERT INTO budget_allocations (project_id, budget_category, allocated_amount, created_by, updated_by)
+       VALUES (?, 'PERSONNEL', 100000, ?, ?)`,
+      [projectIds[0], adminUserId, adminUserId]
+    );
+    budgetAllocationId = budget.insertId;
+
+    // February 2026 has 20 working days
+    await assign(projectIds[0], { allocationPercentage: 50, hourlyRate: 100 });
+    await assign(projectIds[1], { allocationPercentage: 20, hourlyRate: 150 });
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      await db.query('DELETE FROM budget_transactions WHERE budget_allocation_id = ?', [budgetAllocationId]);
+      await db.query('DELETE FROM budget_allocations WHERE id = ?', [budgetAllocationId]);
+      for (const allocationId of allocationIds) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'resource_allocation' AND entity_id = ?", [allocationId]);
+      }
+      await db.query('DELETE FROM resource_allocations WHERE user_id = ?', [engineerUserId]);
+      for (const projectId of projectIds) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [projectId]);
+        await db.query('DELETE FROM projects WHERE id = ?', [projectId]);
+      }
+      if (engineerUserId) {
+        await db.query('DELETE FROM users WHERE id = ?', [engineerUserId]);
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/resources/personnel-accruals', () => {
+    it('should post the cost of a month to the PERSONNEL budget', async () => {
+      const response = await accrue('2026-02');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ month: '2026-02', from: '2026-02-01', to: '2026-02-28' });
+      expect(projectResult(response)).toMatchObject({ amount: 8000, posted: 8000 });
+      expect(projectResult(response).lines[0]).toMatchObject({ workingDays: 20, hours: 80, amount: 8000 });
+
+      const [budget] = await db.query('SELECT spent_amount FROM budget_allocations WHERE id = ?', [budgetAllocationId]);
+      expect(parseFloat(budget.spent_amount)).toBe(8000);
+    });
+
+    it('should skip projects without a PERSONNEL budget', async () => {
+      const response = await accrue('2026-02');
+
+      expect(response.body.data.skipped.map(project => project.projectId)).toContain(projectIds[1]);
+    });
+
+    it('should not post twice when a month is re-run', async () => {
+      const response = await accrue('2026-02');
+
+      expect(projectResult(response)).toMatchObject({ amount: 8000, posted: 0 });
+
+      const transactions = await db.query(
+        'SELECT id FROM budget_transactions WHERE budget_allocation_id = ?',
+        [budgetAllocationId]
+      );
+      expect(transactions).toHaveLength(1);
+    });
+
+    it('should post the difference after a correction', async () => {
+      await request(app)
+        .put(`/api/v1/projects/${projectIds[0]}/team/${allocationIds[0]}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ allocationPercentage: 25 });
+
+      const response = await accrue('2026-02');
+
+      expect(projectResult(response)).toMatchObject({ amount: 4000, posted: -4000 });
+
+      const [reversal] = await db.query(
+        `SELECT amount FROM budget_transactions
+         WHERE budget_allocation_id = ? AND transaction_type = 'REVERSAL'`,
+        [budgetAllocationId]
+      );
+      expect(parseFloat(reversal.amount)).toBe(4000);
+
+      const [budget] = await db.query('SELECT spent_amount FROM budget_allocations WHERE id = ?', [budgetAllocationId]);
+      expect(parseFloat(budget.spent_amount)).toBe(4000);
+    });
+
+    it('should refuse a future month', async () => {
+      const nextYear = new Date().getUTCFullYear() + 1;
+      const response = await accrue(`${nextYear}-01`);
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should validate the month', async () => {
+      const response = await accrue('2026-13');
+
+      expect(response.status).toBe(422);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Project Member Tests
+ * Test suite for project membership, per-project access and its explanation
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const { createRoleUser } = require('./helpers');
+
+describe('Project Member Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let observer;
+  let projectId;
+  let memberId;
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    // A project manager elsewhere: the route permissions pass, only the membership decides
+    observer = await createRoleUser('member.observer', 'PROJECT_MANAGER');
+
+    const project = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName: 'Sports hall - Bni Karrich',
+        projectType: 'CONSTRUCTION',
+        startDate: '2030-01-01',
+        plannedEndDate: '2030-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 600000
+      });
+
+    projectId = project.body.data.id;
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      if (memberId) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'project_member' AND entity_id = ?", [memberId]);
+      }
+      await db.query('DELETE FROM project_members WHERE project_id = ?', [projectId]);
+      await db.query('DELETE FROM project_completion_history WHERE project_id = ?', [projectId]);
+      await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [projectId]);
+      await db.query('DELETE FROM projects WHERE id = ?', [projectId]);
+      if (observer) {
+        await db.query('DELETE FROM user_roles WHERE user_id = ?', [observer.id]);
+        await db.query('DELETE FROM users WHERE id = ?', [observer.id]);
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('Access without membership', () => {
+    it('should keep the project hidden from a non-member', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}`)
+        .set('Authorization', `Bearer ${observer.token}`);
+
+      expect(response.status).toBe(403);
+
+      const explanation = await request(app)
+        .get(`/api/v1/projects/${projectId}/access/${observer.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(explanation.status).toBe(200);
+      expect(explanation.body.data.canAccess).toBe(false);
+      expect(explanation.body.data.memberships).toEqual([]);
+    });
+  });
+
+  describe('POST /api/v1/projects/:id/members', () => {
+    it('should add an observer', async () => {
+      const response = await request(app)
+        .post(`/api/v1/projects/${projectId}/members`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: observer.id, memberRole: 'OBSERVER', notes: 'Commune liaison' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ userId: observer.id, memberRole: 'OBSERVER' });
+
+      memberId = response.body.data.id;
+    });
+
+    it('should not add the same member twice', async () => {
+      const response = await request(app)
+        .post(`/api/v1/projects/${projectId}/members`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: observer.id, memberRole: 'ENGINEER' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should only accept explicit member roles', async () => {
+      const response = await request(app)
+        .post(`/api/v1/projects/${projectId}/members`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: observer.id, memberRole: 'MANAGER' });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('Observer access', () => {
+    it('should let an observer read the project', async () => {
+      const project = await request(app)
+        .get(`/api/v1/projects/${projectId}`)
+        .set('Authorization', `Bearer ${observer.token}`);
+
+      expect(project.status).toBe(200);
+
+      const list = await request(app)
+        .get('/api/v1/projects?limit=100')
+        .set('Authorization', `Bearer ${observer.token}`);
+
+      expect(list.body.data.projects.map(p => p.id)).toContain(projectId);
+
+      const members = await request(app)
+        .get(`/api/v1/projects/${projectId}/members`)
+        .set('Authorization', `Bearer ${observer.token}`);
+
+      expect(members.body.data.members.map(m => [m.memberRole, m.source])).toEqual([
+        ['MANAGER', 'PROJECT_MANAGER'],
+        ['OBSERVER', 'MEMBERSHIP']
+      ]);
+    });
+
+    it('should not let an observer change the project or its members', async () => {
+      const patch = await request(app)
+        .patch(`/api/v1/projects/${projectId}`)
+        .set('Authorization', `Bearer ${observer.token}`)
+        .send({ estimatedBudget: 900000 });
+
+      expect(patch.status).toBe(403);
+
+      const milestone = await request(app)
+        .post(`/api/v1/projects/${projectId}/milestones`)
+        .set('Authorization', `Bearer ${observer.token}`)
+        .send({ title: 'Foundations', plannedDate: '2030-04-01', responsibleUserId: observer.id });
+
+      expect(milestone.status).toBe(403);
+
+      const member = await request(app)
+        .delete(`/api/v1/projects/${projectId}/members/${observer.id}`)
+        .set('Authorization', `Bearer ${observer.token}`);
+
+      expect(member.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/v1/projects/:id/access/:userId', () => {
+    it('should explain what grants each access', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/access/${observer.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.canAccess).toBe(true);
+
+      const access = Object.fromEntries(response.body.data.access.map(a => [a.access, a]));
+      expect(access.VIEW.grantedBy).toEqual([{ type: 'MEMBER_ROLE', role: 'OBSERVER', source: 'MEMBERSHIP' }]);
+      expect(access.EDIT.granted).toBe(false);
+    });
+
+    it('should be reserved to administrators', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/access/${observer.id}`)
+        .set('Authorization', `Bearer ${observer.token}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT and DELETE /api/v1/projects/:id/members/:userId', () => {
+    it('should change the role of a member', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectId}/members/${observer.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ memberRole: 'ENGINEER' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.memberRole).toBe('ENGINEER');
+    });
+
+    it('should remove a member and their access', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/projects/${projectId}/members/${observer.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(204);
+
+      const project = await request(app)
+        .get(`/api/v1/projects/${projectId}`)
+        .set('Authorization', `Bearer ${observer.token}`);
+
+      expect(project.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Purchase Orders Tests
+ * Test suite for purchase order lifecycle endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const { createRoleUser } = require('./helpers');
+
+describe('Purchase Orders API Tests', () => {
+  let authToken;
+  let finance;
+  let testVendorId;
+  let testPurchaseOrderId;
+  let testItemId;
+  let testApprovalId;
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Login as admin
+    const adminResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    authToken = adminResponse.body.data.tokens.accessToken;
+
+    const vendorResponse = await request(app)
+      .post('/api/v1/vendors')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ vendorName: 'PO Test Supplier', vendorType: 'SUPPLIER' });
+
+    testVendorId = vendorResponse.body.data.id;
+
+    // Approver of the PURCHASE_ORDER workflow finance review level
+    finance = await createRoleUser('po.finance', 'FINANCE_CONTROLLER');
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      if (testApprovalId) {
+        await db.query("DELETE FROM notifications WHERE related_entity_type = 'approval' AND related_entity_id = ?", [testApprovalId]);
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'approval' AND entity_id = ?", [testApprovalId]);
+        await db.query('DELETE FROM approvals WHERE id = ?', [testApprovalId]);
+      }
+      if (testPurchaseOrderId) {
+        await db.query('DELETE FROM purchase_orders WHERE id = ?', [testPurchaseOrderId]);
+      }
+      if (testVendorId) {
+        await db.query('DELETE FROM vendors WHERE id = ?', [testVendorId]);
+      }
+      if (finance) {
+        await db.query('DELETE FROM user_roles WHERE user_id = ?', [finance.id]);
+        await db.query('DELETE FROM users WHERE id = ?', [finance.id]);
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/purchase-orders', () => {
+    it('should create a draft PO and compute its amount from items', async () => {
+      const response = await request(app)
+        .post('/api/v1/purchase-orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          vendorId: testVendorId,
+          description: 'Ciment et gravier',
+          items: [
+            { description: 'Ciment CPJ 45', quantity: 10, unit: 'sac', unitPrice: 75 },
+            { description: 'Gravier 15/25', quantity: 2, unit: 'm3', unitPrice: 180.5 }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.poNumber).toMatch(/^PO-\d{4}-\d{4,}$/);
+      expect(response.body.data.poStatus).toBe('DRAFT');
+      expect(response.body.data.poAmount).toBe(1111);
+      expect(response.body.data.itemsCount).toBe(2);
+
+      testPurchaseOrderId = response.body.data.id;
+      testItemId = response.body.data.items[0].id;
+    });
+
+    it('should require at least one line item', async () => {
+      const response = await request(app)
+        .post('/api/v1/purchase-orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ vendorId: testVendorId, description: 'Empty order', items: [] });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('Line items', () => {
+    it('should recompute totals when an item changes', async () => {
+      await request(app)
+        .put(`/api/v1/purchase-orders/${testPurchaseOrderId}/items/${testItemId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quantity: 20 });
+
+      const response = await request(app)
+        .get(`/api/v1/purchase-orders/${testPurchaseOrderId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.poAmount).toBe(1861);
+    });
+
+    it('should add an item and increase items count', async () => {
+      const response = await request(app)
+        .post(`/api/v1/purchase-orders/${testPurchaseOrderId}/items`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ description: 'Sable', quantity: 1, unit: 'm3', unitPrice: 150 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.itemNumber).toBe(3);
+    });
+  });
+
+  describe('PUT /api/v1/purchase-orders/:id/status', () => {
+    it('should reject a transition that skips the workflow', async () => {
+      const response = await request(app)
+        .put(`/api/v1/purchase-orders/${testPurchaseOrderId}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'PAID' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should leave the approval of a submitted PO to its workflow', async () => {
+      await request(app)
+        .put(`/api/v1/purchase-orders/${testPurchaseOrderId}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'SUBMITTED' });
+
+      const response = await request(app)
+        .put(`/api/v1/purchase-orders/${testPurchaseOrderId}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'APPROVED' });
+
+      expect(response.status).toBe(409);
+
+      const purchaseOrder = await request(app)
+        .get(`/api/v1/purchase-orders/${testPurchaseOrderId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(purchaseOrder.body.data.allowedTransitions).toEqual(['CANCELLED']);
+    });
+
+    it('should approve the PO through its approval request', async () => {
+      const created = await request(app)
+        .post('/api/v1/approvals')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          requestType: 'PURCHASE_ORDER',
+          requestId: testPurchaseOrderId,
+          title: 'Ciment et gravier'
+        });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.requiredApproverUserId).toBe(finance.id);
+
+      testApprovalId = created.body.data.id;
+
+      await request(app)
+        .post(`/api/v1/approvals/${testApprovalId}/approve`)
+        .set('Authorization', `Bearer ${finance.token}`)
+        .send({});
+
+      const response = await request(app)
+        .get(`/api/v1/purchase-orders/${testPurchaseOrderId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.body.data.poStatus).toBe('APPROVED');
+      expect(response.body.data.approvalStatus).toBe('APPROVED');
+      expect(response.body.data.approvedByUserId).toBe(finance.id);
+    });
+
+    it('should lock line items once the PO left DRAFT', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/purchase-orders/${testPurchaseOrderId}/items/${testItemId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Receiving, invoicing and payment', () => {
+    let items;
+
+    beforeAll(async () => {
+      await request(app)
+        .put(`/api/v1/purchase-orders/${testPurchaseOrderId}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'ORDERED' });
+
+      const response = await request(app)
+        .get(`/api/v1/purchase-orders/${testPurchaseOrderId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      items = response.body.data.items;
+    });
+
+    it('should not allow setting RECEIVED manually', async () => {
+      const response = await request(app)
+        .put(`/api/v1/purchase-orders/${testPurchaseOrderId}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'RECEIVED' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should move to PARTIAL_RECEIVED on a partial delivery', async () => {
+      const response = await request(app)
+        .post(`/api/v1/purchase-orders/${testPurchaseOrderId}/receipts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          lines: [{ itemId: items[0].id, quantityAccepted: 18, quantityRejected: 2, rejectionReason: 'Sacs déchirés' }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.receiptNumber).toMatch(/^GR-/);
+      expect(response.body.data.purchaseOrder.poStatus).toBe('PARTIAL_RECEIVED');
+      expect(response.body.data.purchaseOrder.items[0].qualityStatus).toBe('PARTIAL');
+    });
+
+    it('should reject accepted quantities above the outstanding quantity', async () => {
+      const response = await request(app)
+        .post(`/api/v1/purchase-orders/${testPurchaseOrderId}/receipts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ lines: [{ itemId: items[0].id, quantityAccepted: 5 }] });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should move to RECEIVED once every line is accepted', async () => {
+      const response = await request(app)
+        .post(`/api/v1/purchase-orders/${testPurchaseOrderId}/receipts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          lines: items.map((item, index) => ({
+            itemId: item.id,
+            quantityAccepted: index === 0 ? 2 : item.quantity
+          }))
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.purchaseOrder.poStatus).toBe('RECEIVED');
+    });
+
+    it('should flag an invoice outside tolerance', async () => {
+      const response = await request(app)
+        .post(`/api/v1/purchase-orders/${testPurchaseOrderId}/invoice`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ invoiceNumber: 'FAC-001', invoiceDate: '2025-01-15', invoiceAmount: 2500 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.match.matchStatus).toBe('MISMATCH');
+      expect(response.body.data.purchaseOrder.poStatus).toBe('RECEIVED');
+    });
+
+    it('should accept a matching invoice and pay it', async () => {
+      const invoice = await request(app)
+        .post(`/api/v1/purchase-orders/${testPurchaseOrderId}/invoice`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ invoiceNumber: 'FAC-002', invoiceDate: '2025-01-15', invoiceAmount: 2011 });
+
+      expect(invoice.body.data.match.matchStatus).toBe('MATCHED');
+      expect(invoice.body.data.purchaseOrder.poStatus).toBe('INVOICED');
+
+      const payment = await request(app)
+        .post(`/api/v1/purchase-orders/${testPurchaseOrderId}/payment`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({});
+
+      expect(payment.status).toBe(200);
+      expect(payment.body.data.poStatus).toBe('PAID');
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Resource Allocation Tests
+ * Test suite for project teams and staff capacity across projects
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const { createRoleUser } = require('./helpers');
+
+describe('Resource Allocation Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let engineerUserId;
+  let engineerToken;
+  const projectIds = [];
+  const allocationIds = [];
+
+  const createProject = async (projectName) => {
+    const response = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName,
+        projectType: 'OTHER',
+        startDate: '2026-01-01',
+        plannedEndDate: '2026-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 100000
+      });
+
+    projectIds.push(response.body.data.id);
+    return response.body.data.id;
+  };
+
+  const assign = async (projectId, allocation) => {
+    const response = await request(app)
+      .post(`/api/v1/projects/${projectId}/team`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ userId: engineerUserId, ...allocation });
+
+    if (response.status === 201) {
+      allocationIds.push(response.body.data.allocation.id);
+    }
+
+    return response;
+  };
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    // Viewers only have project_read: they may see their own capacity only
+    ({ id: engineerUserId, token: engineerToken } = await createRoleUser('site.engineer', 'VIEWER'));
+
+    await createProject('Road rehabilitation - Martil');
+    await createProject('School extension - Mdiq');
+    await createProject('Water network - Azla');
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      for (const allocationId of allocationIds) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'resource_allocation' AND entity_id = ?", [allocationId]);
+      }
+      await db.query('DELETE FROM resource_allocations WHERE user_id = ?', [engineerUserId]);
+      for (const projectId of projectIds) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [projectId]);
+        await db.query('DELETE FROM projects WHERE id = ?', [projectId]);
+      }
+      if (engineerUserId) {
+        await db.query('DELETE FROM user_roles WHERE user_id = ?', [engineerUserId]);
+        await db.query('DELETE FROM users WHERE id = ?', [engineerUserId]);
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/projects/:id/team', () => {
+    it('should assign a staff member to a project', async () => {
+      const response = await assign(projectIds[0], {
+        allocationPercentage: 60,
+        startDate: '2026-01-01',
+        endDate: '2026-06-30',
+        roleOnProject: 'Site engineer',
+        hourlyRate: 180
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.allocation).toMatchObject({
+        userId: engineerUserId,
+        allocationPercentage: 60,
+        startDate: '2026-01-01',
+        endDate: '2026-06-30',
+        allocationStatus: 'ACTIVE'
+      });
+      expect(response.body.data.warnings).toEqual([]);
+    });
+
+    it('should accept allocations up to full capacity', async () => {
+      const response = await assign(projectIds[1], {
+        allocationPercentage: 40,
+        startDate: '2026-03-01',
+        endDate: '2026-09-30'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.warnings).toEqual([]);
+    });
+
+    it('should refuse an allocation above full capacity', async () => {
+      const response = await assign(projectIds[2], {
+        allocationPercentage: 30,
+        startDate: '2026-05-01',
+        endDate: '2026-07-31'
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('OVER_ALLOCATED');
+      expect(response.body.error.details[0]).toMatchObject({
+        startDate: '2026-05-01',
+        endDate: '2026-06-30',
+        totalPercentage: 130
+      });
+    });
+
+    it('should accept an over-allocation confirmed by a project approver, with a warning', async () => {
+      const response = await assign(projectIds[2], {
+        allocationPercentage: 30,
+        startDate: '2026-05-01',
+        endDate: '2026-07-31',
+        allowOverallocation: true
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.warnings).toHaveLength(1);
+      expect(response.body.data.warnings[0].type).toBe('OVER_ALLOCATED');
+    });
+
+    it('should validate the allocation', async () => {
+      const response = await assign(projectIds[0], {
+        allocationPercentage: 150,
+        startDate: 'next week'
+      });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/v1/projects/:id/team', () => {
+    it('should flag over-allocated team members', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectIds[2]}/team`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.members).toHaveLength(1);
+      expect(response.body.data.members[0]).toMatchObject({
+        userId: engineerUserId,
+        peakPercentage: 130,
+        isOverallocated: true
+      });
+    });
+  });
+
+  describe('GET /api/v1/resources/capacity/:userId', () => {
+    it('should sum overlapping allocations across projects', async () => {
+      const response = await request(app)
+        .get(`/api/v1/resources/capacity/${engineerUserId}?from=2026-01-01&to=2026-12-31`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.peakPercentage).toBe(130);
+      expect(response.body.data.isOverallocated).toBe(true);
+      expect(response.body.data.periods.map(period => period.totalPercentage)).toEqual([60, 100, 130, 70, 40, 0]);
+      expect(response.body.data.overallocatedPeriods).toHaveLength(1);
+    });
+
+    it('should let users see their own capacity only', async () => {
+      const own = await request(app)
+        .get(`/api/v1/resources/capacity/${engineerUserId}?from=2026-01-01&to=2026-12-31`)
+        .set('Authorization', `Bearer ${engineerToken}`);
+
+      expect(own.status).toBe(200);
+
+      const other = await request(app)
+        .get(`/api/v1/resources/capacity/${adminUserId}`)
+        .set('Authorization', `Bearer ${engineerToken}`);
+
+      expect(other.status).toBe(403);
+    });
+  });
+
+  describe('PUT and DELETE /api/v1/projects/:id/team/:allocationId', () => {
+    it('should refuse a change that raises an over-allocation', async () => {
+      const team = await request(app)
+        .get(`/api/v1/projects/${projectIds[1]}/team`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectIds[1]}/team/${team.body.data.members[0].id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ allocationPercentage: 50 });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should release capacity when an allocation is paused or removed', async () => {
+      const team = await request(app)
+        .get(`/api/v1/projects/${projectIds[2]}/team`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      const allocationId = team.body.data.members[0].id;
+
+      const paused = await request(app)
+        .put(`/api/v1/projects/${projectIds[2]}/team/${allocationId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ allocationStatus: 'PAUSED' });
+
+      expect(paused.status).toBe(200);
+      expect(paused.body.data.allocation.allocationStatus).toBe('PAUSED');
+
+      const capacity = await request(app)
+        .get(`/api/v1/resources/capacity/${engineerUserId}?from=2026-01-01&to=2026-12-31`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(capacity.body.data.peakPercentage).toBe(100);
+      expect(capacity.body.data.availablePercentage).toBe(0);
+
+      const removed = await request(app)
+        .delete(`/api/v1/projects/${projectIds[2]}/team/${allocationId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(removed.status).toBe(204);
+
+      const [entry] = await db.query(
+        "SELECT action FROM audit_log WHERE entity_type = 'resource_allocation' AND entity_id = ? ORDER BY id DESC LIMIT 1",
+        [allocationId]
+      );
+
+      expect(entry.action).toBe('DELETE');
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Risk Register Tests
+ * Test suite for project risks, their heat map and the progress critical issues
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Risk Register Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let projectId;
+  const riskIds = [];
+
+  const createRisk = (risk) => request(app)
+    .post(`/api/v1/projects/${projectId}/risks`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ ownerUserId: adminUserId, ...risk });
+
+  const getProgress = () => request(app)
+    .get(`/api/v1/projects/${projectId}/progress`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    const project = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName: 'Coastal road protection - Amsa',
+        projectType: 'INFRASTRUCTURE',
+        startDate: '2030-01-01',
+        plannedEndDate: '2030-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 2500000
+      });
+
+    projectId = project.body.data.id;
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      for (const riskId of riskIds) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'project_risk' AND entity_id = ?", [riskId]);
+      }
+      await db.query('DELETE FROM project_risks WHERE project_id = ?', [projectId]);
+      await db.query('DELETE FROM project_completion_history WHERE project_id = ?', [projectId]);
+      await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [projectId]);
+      await db.query('DELETE FROM projects WHERE id = ?', [projectId]);
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/projects/:id/risks', () => {
+    it('should score and code a new risk', async () => {
+      const response = await createRisk({
+        title: 'Storm surge during sea wall works',
+        category: 'ENVIRONMENTAL',
+        likelihood: 4,
+        impact: 5,
+        mitigationPlan: 'Schedule marine works between May and September',
+        identifiedDate: '2025-06-01',
+        nextReviewDate: '2025-09-01'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        status: 'OPEN',
+        score: 20,
+        exposure: 'HIGH',
+        closedDate: null
+      });
+      expect(response.body.data.riskCode).toMatch(/-R01$/);
+
+      riskIds.push(response.body.data.id);
+    });
+
+    it('should add a medium exposure risk', async () => {
+      const response = await createRisk({
+        title: 'Late maritime domain permit',
+        category: 'REGULATORY',
+        likelihood: 3,
+        impact: 3
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.exposure).toBe('MEDIUM');
+
+      riskIds.push(response.body.data.id);
+    });
+
+    it('should reject scores outside 1 to 5', async () => {
+      const response = await createRisk({ title: 'Vague risk', category: 'OTHER', likelihood: 6, impact: 0 });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should reject a next review before the last one', async () => {
+      const response = await createRisk({
+        title: 'Contractor insolvency',
+        category: 'CONTRACTUAL',
+        likelihood: 2,
+        impact: 4,
+        identifiedDate: '2030-01-10',
+        lastReviewDate: '2030-03-01',
+        nextReviewDate: '2030-02-01'
+      });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/v1/projects/:id/risks', () => {
+    it('should list the highest exposure first', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/risks`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.risks.map(risk => risk.id)).toEqual(riskIds);
+      expect(response.body.data.risks[0].reviewOverdue).toBe(true);
+    });
+
+    it('should filter by exposure', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/risks?exposure=MEDIUM`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.body.data.risks.map(risk => risk.id)).toEqual([riskIds[1]]);
+    });
+  });
+
+  describe('GET /api/v1/projects/:id/risks/heat-map', () => {
+    it('should place each risk in its likelihood and impact cell', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/risks/heat-map`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totals).toEqual({ LOW: 0, MEDIUM: 1, HIGH: 1 });
+
+      const row = response.body.data.rows.find(r => r.likelihood === 4);
+      const cell = row.cells.find(c => c.impact === 5);
+      expect(cell).toMatchObject({ score: 20, exposure: 'HIGH', count: 1 });
+      expect(cell.risks[0].id).toBe(riskIds[0]);
+    });
+  });
+
+  describe('Progress critical issues', () => {
+    it('should report open risks of high exposure', async () => {
+      const response = await getProgress();
+
+      expect(response.status).toBe(200);
+
+      const issues = response.body.data.criticalIssues.filter(issue => issue.type === 'HIGH_RISK');
+      expect(issues.map(issue => issue.riskId)).toEqual([riskIds[0]]);
+      expect(response.body.data.risks).toHaveLength(2);
+    });
+
+    it('should drop a risk once closed', async () => {
+      const update = await request(app)
+        .put(`/api/v1/projects/${projectId}/risks/${riskIds[0]}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'CLOSED' });
+
+      expect(update.status).toBe(200);
+      expect(update.body.data.closedDate).toEqual(expect.any(String));
+
+      const response = await getProgress();
+
+      expect(response.body.data.criticalIssues.filter(issue => issue.type === 'HIGH_RISK')).toEqual([]);
+      expect(response.body.data.risks.map(risk => risk.id)).toEqual([riskIds[1]]);
+    });
+
+    it('should clear the closed date when a risk is reopened', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${projectId}/risks/${riskIds[0]}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'MITIGATING', likelihood: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ closedDate: null, score: 10, exposure: 'MEDIUM' });
+    });
+  });
+
+  describe('DELETE /api/v1/projects/:id/risks/:riskId', () => {
+    it('should delete a risk', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/projects/${projectId}/risks/${riskIds[1]}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(204);
+
+      const missing = await request(app)
+        .get(`/api/v1/projects/${projectId}/risks/${riskIds[1]}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(missing.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Schedule Tests
+ * Test suite for the critical path schedule of a project
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Schedule Tests', () => {
+  let adminToken;
+  let adminUserId;
+  let projectId;
+  const milestoneIds = {};
+
+  const createMilestone = async (key, milestone) => {
+    const response = await request(app)
+      .post(`/api/v1/projects/${projectId}/milestones`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ responsibleUserId: adminUserId, ...milestone });
+
+    milestoneIds[key] = response.body.data.id;
+  };
+
+  const getSchedule = (query = '') => request(app)
+    .get(`/api/v1/projects/${projectId}/schedule${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+    adminUserId = response.body.data.user.id;
+
+    const project = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        projectName: 'Sports complex - Martil',
+        projectType: 'CONSTRUCTION',
+        startDate: '2030-01-01',
+        plannedEndDate: '2030-12-31',
+        projectManagerId: adminUserId,
+        estimatedBudget: 5000000
+      });
+
+    projectId = project.body.data.id;
+
+    // design -> works -> handover, and design -> landscaping (off the critical path)
+    await createMilestone('design', { title: 'Design', plannedDate: '2030-03-01' });
+    await createMilestone('works', { title: 'Works', plannedDate: '2030-06-01', dependsOnMilestoneId: milestoneIds.design });
+    await createMilestone('landscaping', { title: 'Landscaping', plannedDate: '2030-04-01', dependsOnMilestoneId: milestoneIds.design });
+    await createMilestone('handover', { title: 'Handover', plannedDate: '2030-12-31', dependsOnMilestoneId: milestoneIds.works });
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      for (const milestoneId of Object.values(milestoneIds)) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'milestone' AND entity_id = ?", [milestoneId]);
+      }
+      await db.query('UPDATE milestones SET depends_on_milestone_id = NULL WHERE project_id = ?', [projectId]);
+      await db.query('DELETE FROM milestones WHERE project_id = ?', [projectId]);
+      await db.query("DELETE FROM audit_log WHERE entity_type = 'project' AND entity_id = ?", [projectId]);
+      await db.query('DELETE FROM projects WHERE id = ?', [projectId]);
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('GET /api/v1/projects/:id/schedule', () => {
+    it('should compute the critical path and float', async () => {
+      const response = await getSchedule();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        plannedEndDate: '2030-12-31',
+        forecastEndDate: '2030-12-31',
+        endDateSlipDays: 0,
+        criticalPath: [milestoneIds.design, milestoneIds.works, milestoneIds.handover]
+      });
+
+      const landscaping = response.body.data.milestones.find(milestone => milestone.id === milestoneIds.landscaping);
+      expect(landscaping).toMatchObject({
+        plannedStart: '2030-03-01',
+        earlyFinish: '2030-04-01',
+        lateFinish: '2030-12-31',
+        totalFloat: 274,
+        isCritical: false
+      });
+    });
+
+    it('should propagate a slip on the critical path to the end date', async () => {
+      const response = await getSchedule(`?slipMilestoneId=${milestoneIds.works}&slipDays=20`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.forecastEndDate).toBe('2031-01-20');
+      expect(response.body.data.endDateSlipDays).toBe(20);
+
+      const handover = response.body.data.milestones.find(milestone => milestone.id === milestoneIds.handover);
+      expect(handover.slipDays).toBe(20);
+    });
+
+    it('should absorb a slip within the float', async () => {
+      const response = await getSchedule(`?slipMilestoneId=${milestoneIds.landscaping}&slipDays=30`);
+
+      expect(response.body.data.forecastEndDate).toBe('2030-12-31');
+      expect(response.body.data.endDateSlipDays).toBe(0);
+    });
+
+    it('should reject a slip on a milestone of another project', async () => {
+      const response = await getSchedule('?slipMilestoneId=999999&slipDays=5');
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/v1/projects/:id/progress', () => {
+    it('should report the forecast end from the schedule', async () => {
+      await request(app)
+        .put(`/api/v1/projects/${projectId}/milestones/${milestoneIds.handover}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ plannedDate: '2031-01-31' });
+
+      const response = await request(app)
+        .get(`/api/v1/projects/${projectId}/progress`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        forecastEndDate: '2031-01-31',
+        scheduleSlipDays: 31,
+        timelineStatus: 'DELAYED'
+      });
+      expect(response.body.data.criticalIssues.map(issue => issue.type)).toContain('SCHEDULE_SLIP');
+    });
+  });
+});
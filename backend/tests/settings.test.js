@@ -0,0 +1,231 @@
+/**
+ * System Settings Tests
+ * Test suite for typed settings, encrypted values, change history and reload
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+const { createRoleUser } = require('./helpers');
+const settingsService = require('../src/services/settingsService');
+
+describe('System Settings Tests', () => {
+  let adminToken;
+  let viewerUserId;
+  let viewerToken;
+  let previousSettings;
+
+  const MODIFIED_KEYS = ['default_page_size', 'budget_alert_thresholds'];
+  const SECRET_KEY = 'test_sms_gateway_api_key';
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    adminToken = response.body.data.tokens.accessToken;
+
+    previousSettings = await db.query(
+      `SELECT id, setting_key, setting_value, updated_by FROM system_settings
+       WHERE setting_key IN (${MODIFIED_KEYS.map(() => '?').join(', ')})`,
+      MODIFIED_KEYS
+    );
+
+    // Viewers have no settings_update permission
+    ({ id: viewerUserId, token: viewerToken } = await createRoleUser('settings.viewer', 'VIEWER'));
+  });
+
+  afterAll(async () => {
+    // Cleanup test data
+    try {
+      const created = await db.query(
+        `SELECT id FROM system_settings WHERE setting_key IN (${[...MODIFIED_KEYS, SECRET_KEY].map(() => '?').join(', ')})`,
+        [...MODIFIED_KEYS, SECRET_KEY]
+      );
+      for (const setting of created) {
+        await db.query("DELETE FROM audit_log WHERE entity_type = 'system_setting' AND entity_id = ?", [setting.id]);
+      }
+      await db.query('DELETE FROM system_settings WHERE setting_key = ?', [SECRET_KEY]);
+      for (const setting of previousSettings || []) {
+        await db.query(
+          'UPDATE system_settings SET setting_value = ?, updated_by = ? WHERE setting_key = ?',
+          [setting.setting_value, setting.updated_by, setting.setting_key]
+        );
+      }
+      const storedKeys = (previousSettings || []).map(setting => setting.setting_key);
+      for (const key of MODIFIED_KEYS.filter(key => !storedKeys.includes(key))) {
+        await db.query('DELETE FROM system_settings WHERE setting_key = ?', [key]);
+      }
+      if (viewerUserId) {
+        await db.query('DELETE FROM user_roles WHERE user_id = ?', [viewerUserId]);
+        await db.query('DELETE FROM users WHERE id = ?', [viewerUserId]);
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error);
+    }
+
+    await db.end();
+  });
+
+  describe('GET /api/v1/settings', () => {
+    it('should list settings with their typed values', async () => {
+      const response = await request(app)
+        .get('/api/v1/settings')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+
+      const pageSize = response.body.data.find(setting => setting.settingKey === 'default_page_size');
+
+      expect(pageSize.settingType).toBe('INT');
+      expect(typeof pageSize.value).toBe('number');
+
+      const emailEnabled = response.body.data.find(setting => setting.settingKey === 'notification_email_enabled');
+
+      expect(typeof emailEnabled.value).toBe('boolean');
+    });
+
+    it('should restrict settings to administrators', async () => {
+      const response = await request(app)
+        .get('/api/v1/settings')
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/v1/settings/:key', () => {
+    it('should apply a new value without a restart', async () => {
+      const response = await request(app)
+        .put('/api/v1/settings/default_page_size')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 7, reason: 'Shorter lists on tablets' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.value).toBe(7);
+
+      const projects = await request(app)
+        .get('/api/v1/projects')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(projects.body.data.pagination).toHaveProperty('limit', 7);
+    });
+
+    it('should reject a value of the wrong type', async () => {
+      const response = await request(app)
+        .put('/api/v1/settings/default_page_size')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 'twenty' });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should reject a value outside the limits of the setting', async () => {
+      const response = await request(app)
+        .put('/api/v1/settings/default_page_size')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 500 });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should reject thresholds out of order', async () => {
+      const response = await request(app)
+        .put('/api/v1/settings/budget_alert_thresholds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: [90, 50] });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should make the new thresholds available to services', async () => {
+      const response = await request(app)
+        .put('/api/v1/settings/budget_alert_thresholds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: [60, 80, 100] });
+
+      expect(response.status).toBe(200);
+      expect(await settingsService.getSetting('budget_alert_thresholds')).toEqual([60, 80, 100]);
+    });
+
+    it('should return 404 for an unknown setting', async () => {
+      const response = await request(app)
+        .put('/api/v1/settings/no_such_setting')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 1 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/settings', () => {
+    it('should store encrypted values without returning them', async () => {
+      const response = await request(app)
+        .post('/api/v1/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          settingKey: SECRET_KEY,
+          settingType: 'STRING',
+          value: 'sk-live-123456',
+          isEncrypted: true
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.isEncrypted).toBe(true);
+      expect(response.body.data.value).toBeNull();
+
+      const [stored] = await db.query('SELECT setting_value FROM system_settings WHERE setting_key = ?', [SECRET_KEY]);
+
+      expect(stored.setting_value).not.toContain('sk-live-123456');
+      expect(await settingsService.getSetting(SECRET_KEY)).toBe('sk-live-123456');
+    });
+
+    it('should refuse a duplicate key', async () => {
+      const response = await request(app)
+        .post('/api/v1/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settingKey: SECRET_KEY, settingType: 'STRING', value: 'other' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should keep the registered type of a known setting', async () => {
+      const response = await request(app)
+        .post('/api/v1/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settingKey: 'max_page_size', settingType: 'STRING', value: '50' });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/v1/settings/:key/history', () => {
+    it('should list changes with their reason', async () => {
+      const response = await request(app)
+        .get('/api/v1/settings/default_page_size/history')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+
+      const last = response.body.data.entries[response.body.data.entries.length - 1];
+
+      expect(last.newValues.value).toBe(7);
+      expect(last.reasonForChange).toBe('Shorter lists on tablets');
+    });
+
+    it('should mask encrypted values in the history', async () => {
+      const response = await request(app)
+        .get(`/api/v1/settings/${SECRET_KEY}/history`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(JSON.stringify(response.body.data)).not.toContain('sk-live-123456');
+    });
+  });
+});
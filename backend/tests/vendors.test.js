@@ -0,0 +1,189 @@
+/**
+ * Vendors Tests
+ * Test suite for vendor management endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Vendors API Tests', () => {
+  let authToken;
+  let testVendorId;
+
+  beforeAll(async () => {
+    // Wait for database connection
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Login as admin
+    const adminResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: 'admin@prefecture-tetouan.ma',
+        password: 'Admin@2025'
+      });
+
+    authToken = adminResponse.body.data.tokens.accessToken;
+  });
+
+  afterAll(async () => {
+    // Cleanup test vendor
+    if (testVendorId) {
+      try {
+        await db.query('DELETE FROM vendors WHERE id = ?', [testVendorId]);
+      } catch (error) {
+        console.error('Cleanup error:', error);
+      }
+    }
+
+    await db.end();
+  });
+
+  describe('POST /api/v1/vendors', () => {
+    it('should create a vendor with a generated code', async () => {
+      const response = await request(app)
+        .post('/api/v1/vendors')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          vendorName: 'Test Matériaux SARL',
+          vendorType: 'SUPPLIER',
+          email: 'contact@test-materiaux.ma',
+          city: 'Tétouan'
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toHaveProperty('id');
+      expect(response.body.data.vendorCode).toMatch(/^VEND-\d{4}-\d{4,}$/);
+      expect(response.body.data.isActive).toBe(true);
+
+      testVendorId = response.body.data.id;
+    });
+
+    it('should reject an invalid vendor type', async () => {
+      const response = await request(app)
+        .post('/api/v1/vendors')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          vendorName: 'Invalid Vendor',
+          vendorType: 'WHOLESALER'
+        });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/v1/vendors', () => {
+    it('should list vendors with pagination', async () => {
+      const response = await request(app)
+        .get('/api/v1/vendors?page=1&limit=5')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data.vendors)).toBe(true);
+      expect(response.body.data.pagination).toHaveProperty('page', 1);
+      expect(response.body.data.pagination).toHaveProperty('limit', 5);
+    });
+
+    it('should search vendors by name', async () => {
+      const response = await request(app)
+        .get('/api/v1/vendors?search=Matériaux')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.vendors.some(v => v.id === testVendorId)).toBe(true);
+    });
+
+    it('should reject unauthenticated request', async () => {
+      const response = await request(app)
+        .get('/api/v1/vendors');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PUT /api/v1/vendors/:id', () => {
+    it('should update vendor fields', async () => {
+      const response = await request(app)
+        .put(`/api/v1/vendors/${testVendorId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ paymentTerms: 'Net 60' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.paymentTerms).toBe('Net 60');
+    });
+
+    it('should return 404 for unknown vendor', async () => {
+      const response = await request(app)
+        .put('/api/v1/vendors/999999')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ paymentTerms: 'Net 30' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/vendors/:id/rating', () => {
+    it('should record ratings and keep the average on the vendor', async () => {
+      await request(app)
+        .post(`/api/v1/vendors/${testVendorId}/rating`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 5, review: 'Livraison rapide' });
+
+      const response = await request(app)
+        .post(`/api/v1/vendors/${testVendorId}/rating`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 3 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.rating).toBe(4);
+    });
+
+    it('should reject a rating outside 1-5', async () => {
+      const response = await request(app)
+        .post(`/api/v1/vendors/${testVendorId}/rating`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 6 });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should reject a rating citing a purchase order of another vendor', async () => {
+      const response = await request(app)
+        .post(`/api/v1/vendors/${testVendorId}/rating`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 4, purchaseOrderId: 999999 });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/v1/vendors/:id/performance', () => {
+    it('should return the vendor scorecard', async () => {
+      const response = await request(app)
+        .get(`/api/v1/vendors/${testVendorId}/performance`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveProperty('orders');
+      expect(response.body.data).toHaveProperty('delivery');
+      expect(response.body.data.rating.reviewCount).toBe(2);
+      expect(response.body.data).toHaveProperty('overallScore');
+    });
+  });
+
+  describe('DELETE /api/v1/vendors/:id', () => {
+    it('should deactivate vendor', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/vendors/${testVendorId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(204);
+
+      const check = await request(app)
+        .get(`/api/v1/vendors/${testVendorId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(check.body.data.isActive).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: VENDOR REVIEWS
+-- Rating history backing the vendor scorecard (vendors.rating is the average)
+-- Requires: 03-complete-schema-21-tables.sql, 04-complete-schema-part2.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- TABLE: VENDOR_REVIEWS (Vendor Rating History)
+-- Purpose: Keep every rating given to a vendor, optionally tied to a PO
+-- ============================================================================
+CREATE TABLE vendor_reviews (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  vendor_id INT UNSIGNED NOT NULL,
+  purchase_order_id INT UNSIGNED NULL COMMENT 'PO the review refers to',
+  rating DECIMAL(3,2) NOT NULL COMMENT '1-5 star rating',
+  review TEXT NULL,
+  reviewed_by INT UNSIGNED NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  -- Foreign keys
+  CONSTRAINT fk_vendor_reviews_vendor FOREIGN KEY (vendor_id)
+    REFERENCES vendors(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_vendor_reviews_po FOREIGN KEY (purchase_order_id)
+    REFERENCES purchase_orders(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT fk_vendor_reviews_reviewed_by FOREIGN KEY (reviewed_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Check constraints
+  CONSTRAINT chk_vendor_reviews_rating CHECK (rating >= 1 AND rating <= 5),
+
+  -- Indexes
+  INDEX idx_vendor_id (vendor_id, created_at),
+  INDEX idx_reviewed_by (reviewed_by)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Vendor rating history';
@@ -0,0 +1,75 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: GOODS RECEIPTS & INVOICE MATCHING
+-- Per-line delivery records and three-way match results for purchase orders
+-- Requires: 04-complete-schema-part2.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- TABLE: GOODS_RECEIPTS (Delivery Records per PO Line)
+-- Purpose: Record each delivery against a PO line with accepted/rejected qty
+-- ============================================================================
+CREATE TABLE goods_receipts (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  receipt_number VARCHAR(50) NOT NULL COMMENT 'Groups lines delivered together (GR-2025-0001)',
+  purchase_order_id INT UNSIGNED NOT NULL,
+  purchase_order_item_id INT UNSIGNED NOT NULL,
+  received_date DATE NOT NULL,
+  quantity_delivered DECIMAL(10,2) NOT NULL,
+  quantity_accepted DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  quantity_rejected DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  rejection_reason VARCHAR(255) NULL,
+  notes TEXT NULL,
+  received_by INT UNSIGNED NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  -- Foreign keys
+  CONSTRAINT fk_goods_receipts_po FOREIGN KEY (purchase_order_id)
+    REFERENCES purchase_orders(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_goods_receipts_item FOREIGN KEY (purchase_order_item_id)
+    REFERENCES purchase_order_items(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_goods_receipts_received_by FOREIGN KEY (received_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Check constraints
+  CONSTRAINT chk_goods_receipts_quantities CHECK (
+    quantity_accepted >= 0 AND quantity_rejected >= 0
+    AND quantity_delivered = quantity_accepted + quantity_rejected
+    AND quantity_delivered > 0
+  ),
+
+  -- Indexes
+  INDEX idx_receipt_number (receipt_number),
+  INDEX idx_purchase_order_id (purchase_order_id, received_date),
+  INDEX idx_purchase_order_item_id (purchase_order_item_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Goods receipts per purchase order line';
+
+-- TABLE: INVOICE_MATCHES (Three-Way Match Results)
+-- Purpose: Keep the outcome of each PO / receipt / invoice comparison
+-- ============================================================================
+CREATE TABLE invoice_matches (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  purchase_order_id INT UNSIGNED NOT NULL,
+  invoice_number VARCHAR(100) NOT NULL,
+  invoice_amount DECIMAL(15,2) NOT NULL,
+  ordered_amount DECIMAL(15,2) NOT NULL COMMENT 'PO amount at match time',
+  received_amount DECIMAL(15,2) NOT NULL COMMENT 'Value of accepted quantities',
+  variance_amount DECIMAL(15,2) NOT NULL COMMENT 'Invoice minus received value',
+  tolerance_percent DECIMAL(5,2) NOT NULL,
+  match_status ENUM('MATCHED', 'MISMATCH', 'ACCEPTED_WITH_VARIANCE') NOT NULL,
+  mismatches JSON NULL COMMENT 'List of detected discrepancies',
+  checked_by INT UNSIGNED NOT NULL,
+  checked_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  -- Foreign keys
+  CONSTRAINT fk_invoice_matches_po FOREIGN KEY (purchase_order_id)
+    REFERENCES purchase_orders(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_invoice_matches_checked_by FOREIGN KEY (checked_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Indexes
+  INDEX idx_purchase_order_id (purchase_order_id, checked_at),
+  INDEX idx_match_status (match_status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Three-way match results for PO invoices';
@@ -0,0 +1,139 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: APPROVAL WORKFLOWS
+-- Versioned multi-level approval workflows and per-request approval steps
+-- Requires: 04-complete-schema-part2.sql, 05-views-and-seed-data.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- TABLE: APPROVAL_WORKFLOWS (Workflow Definitions)
+-- Purpose: One definition per request type, versioned; one active version
+-- ============================================================================
+CREATE TABLE approval_workflows (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  request_type ENUM('PROJECT', 'BUDGET', 'PURCHASE_ORDER', 'BUDGET_AMENDMENT', 'EQUIPMENT_ALLOCATION') NOT NULL,
+  version INT UNSIGNED NOT NULL DEFAULT 1,
+  workflow_name VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Only one version per request type is active',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by INT UNSIGNED NOT NULL,
+
+  -- Foreign keys
+  CONSTRAINT fk_approval_workflows_created_by FOREIGN KEY (created_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Indexes
+  UNIQUE KEY uk_request_type_version (request_type, version),
+  INDEX idx_request_type_active (request_type, is_active)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Versioned approval workflow definitions';
+
+-- TABLE: APPROVAL_WORKFLOW_LEVELS (Ordered Approval Levels)
+-- Purpose: Levels of a workflow version with their applicability conditions
+-- Levels sharing the same level_order are approved in parallel
+-- ============================================================================
+CREATE TABLE approval_workflow_levels (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  workflow_id INT UNSIGNED NOT NULL,
+  level_order INT UNSIGNED NOT NULL COMMENT 'Same order = parallel, higher order = next stage',
+  level_name VARCHAR(100) NOT NULL,
+  required_role VARCHAR(50) NOT NULL COMMENT 'roles.role_name of the approver',
+  min_amount DECIMAL(15,2) NULL COMMENT 'Level applies from this amount (inclusive)',
+  max_amount DECIMAL(15,2) NULL COMMENT 'Level applies up to this amount (inclusive)',
+  project_types JSON NULL COMMENT 'Project types the level applies to (NULL = all)',
+  project_priorities JSON NULL COMMENT 'Project priorities the level applies to (NULL = all)',
+
+  -- Foreign keys
+  CONSTRAINT fk_workflow_levels_workflow FOREIGN KEY (workflow_id)
+    REFERENCES approval_workflows(id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+  -- Check constraints
+  CONSTRAINT chk_workflow_levels_order CHECK (level_order >= 1),
+  CONSTRAINT chk_workflow_levels_band CHECK (
+    min_amount IS NULL OR max_amount IS NULL OR min_amount <= max_amount
+  ),
+
+  -- Indexes
+  INDEX idx_workflow_order (workflow_id, level_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Approval levels per workflow version';
+
+-- ALTER: APPROVALS
+-- Purpose: Pin the workflow version and keep the data levels were chosen on
+-- ============================================================================
+ALTER TABLE approvals
+  MODIFY status ENUM('PENDING', 'APPROVED', 'REJECTED', 'DELEGATED', 'CANCELLED') NOT NULL DEFAULT 'PENDING',
+  ADD COLUMN workflow_id INT UNSIGNED NULL AFTER request_id,
+  ADD COLUMN project_id INT UNSIGNED NULL AFTER workflow_id,
+  ADD COLUMN request_amount DECIMAL(15,2) NULL AFTER project_id,
+  ADD COLUMN title VARCHAR(255) NULL AFTER request_amount,
+  ADD CONSTRAINT fk_approvals_workflow FOREIGN KEY (workflow_id)
+    REFERENCES approval_workflows(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  ADD CONSTRAINT fk_approvals_project FOREIGN KEY (project_id)
+    REFERENCES projects(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD INDEX idx_request (request_type, request_id);
+
+-- TABLE: APPROVAL_STEPS (Per-Request Approval Plan and History)
+-- Purpose: One row per applicable workflow level of an approval request
+-- ============================================================================
+CREATE TABLE approval_steps (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  approval_id INT UNSIGNED NOT NULL,
+  workflow_level_id INT UNSIGNED NULL,
+  stage INT UNSIGNED NOT NULL COMMENT 'Matches approvals.approval_level',
+  level_name VARCHAR(100) NOT NULL,
+  required_role VARCHAR(50) NOT NULL,
+  status ENUM('WAITING', 'PENDING', 'APPROVED', 'REJECTED', 'SKIPPED') NOT NULL DEFAULT 'WAITING',
+  required_approver_user_id INT UNSIGNED NULL COMMENT 'Assigned when the stage starts',
+  acted_by_user_id INT UNSIGNED NULL,
+  activated_at DATETIME NULL,
+  acted_at DATETIME NULL,
+  comments TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  -- Foreign keys
+  CONSTRAINT fk_approval_steps_approval FOREIGN KEY (approval_id)
+    REFERENCES approvals(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_approval_steps_level FOREIGN KEY (workflow_level_id)
+    REFERENCES approval_workflow_levels(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT fk_approval_steps_approver FOREIGN KEY (required_approver_user_id)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT fk_approval_steps_acted_by FOREIGN KEY (acted_by_user_id)
+    REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  -- Indexes
+  INDEX idx_approval_stage (approval_id, stage),
+  INDEX idx_approver_status (required_approver_user_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Approval steps per request and workflow level';
+
+-- ============================================================================
+-- SEED DATA: DEFAULT WORKFLOWS (version 1)
+-- Reproduce the former hardcoded amount thresholds (MAD)
+-- ============================================================================
+SET @admin_id = (SELECT id FROM users WHERE username = 'admin');
+
+INSERT INTO approval_workflows (request_type, version, workflow_name, description, is_active, created_by) VALUES
+('PROJECT', 1, 'Project approval', 'Supervisor sign-off', TRUE, @admin_id),
+('BUDGET', 1, 'Budget approval', 'Finance review, escalated by amount', TRUE, @admin_id),
+('BUDGET_AMENDMENT', 1, 'Budget amendment approval', 'Finance review, escalated by amount', TRUE, @admin_id),
+('PURCHASE_ORDER', 1, 'Purchase order approval', 'Finance review, direction above 100 000 MAD', TRUE, @admin_id),
+('EQUIPMENT_ALLOCATION', 1, 'Equipment allocation approval', 'Equipment officer sign-off', TRUE, @admin_id);
+
+INSERT INTO approval_workflow_levels (workflow_id, level_order, level_name, required_role, min_amount, max_amount)
+SELECT w.id, l.level_order, l.level_name, l.required_role, l.min_amount, l.max_amount
+FROM approval_workflows w
+JOIN (
+  SELECT 'PROJECT' as request_type, 1 as level_order, 'Supervisor review' as level_name, 'SUPERVISOR' as required_role, NULL as min_amount, NULL as max_amount
+  UNION ALL SELECT 'BUDGET', 1, 'Finance review', 'FINANCE_CONTROLLER', NULL, NULL
+  UNION ALL SELECT 'BUDGET', 2, 'Supervisor approval', 'SUPERVISOR', 50000.01, NULL
+  UNION ALL SELECT 'BUDGET', 3, 'Direction approval', 'ADMIN', 200000.01, NULL
+  UNION ALL SELECT 'BUDGET_AMENDMENT', 1, 'Finance review', 'FINANCE_CONTROLLER', NULL, NULL
+  UNION ALL SELECT 'BUDGET_AMENDMENT', 2, 'Supervisor approval', 'SUPERVISOR', 50000.01, NULL
+  UNION ALL SELECT 'BUDGET_AMENDMENT', 3, 'Direction approval', 'ADMIN', 200000.01, NULL
+  UNION ALL SELECT 'PURCHASE_ORDER', 1, 'Finance review', 'FINANCE_CONTROLLER', NULL, NULL
+  UNION ALL SELECT 'PURCHASE_ORDER', 2, 'Direction approval', 'ADMIN', 100000.01, NULL
+  UNION ALL SELECT 'EQUIPMENT_ALLOCATION', 1, 'Equipment officer review', 'EQUIPMENT_OFFICER', NULL, NULL
+) l ON l.request_type = w.request_type
+WHERE w.version = 1;
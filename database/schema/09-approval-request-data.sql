@@ -0,0 +1,13 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: APPROVAL REQUEST DATA
+-- Change payload applied to the entity once an approval is granted
+-- Requires: 08-approval-workflows.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: APPROVALS
+-- Purpose: Keep the requested change (status, amount, allocation) with the request
+-- ============================================================================
+ALTER TABLE approvals
+  ADD COLUMN request_data JSON NULL COMMENT 'Change applied by the action handler on approval' AFTER title;
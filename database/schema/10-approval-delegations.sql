@@ -0,0 +1,60 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: APPROVAL DELEGATIONS
+-- Out-of-office delegation rules and delegated approval steps
+-- Requires: 08-approval-workflows.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- TABLE: APPROVAL_DELEGATIONS (Out-of-Office Rules)
+-- Purpose: Route a user's approvals to a substitute between two dates
+-- ============================================================================
+CREATE TABLE approval_delegations (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  delegator_user_id INT UNSIGNED NOT NULL COMMENT 'Absent approver',
+  delegate_user_id INT UNSIGNED NOT NULL COMMENT 'Substitute approver',
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL COMMENT 'Inclusive',
+  request_types JSON NULL COMMENT 'Limit to these request types (NULL = all)',
+  max_amount DECIMAL(15,2) NULL COMMENT 'Limit to requests up to this amount (NULL = any)',
+  reason VARCHAR(255) NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE COMMENT 'FALSE once revoked',
+
+  -- Audit columns
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by INT UNSIGNED NOT NULL,
+  updated_by INT UNSIGNED NOT NULL,
+
+  -- Foreign keys
+  CONSTRAINT fk_approval_delegations_delegator FOREIGN KEY (delegator_user_id)
+    REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_approval_delegations_delegate FOREIGN KEY (delegate_user_id)
+    REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_approval_delegations_created_by FOREIGN KEY (created_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT fk_approval_delegations_updated_by FOREIGN KEY (updated_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Constraints
+  CONSTRAINT chk_approval_delegations_dates CHECK (end_date >= start_date),
+  CONSTRAINT chk_approval_delegations_users CHECK (delegate_user_id <> delegator_user_id),
+
+  -- Indexes
+  INDEX idx_delegator_period (delegator_user_id, is_active, start_date, end_date),
+  INDEX idx_delegate_period (delegate_user_id, is_active, start_date, end_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Approval delegation rules';
+
+-- ALTER: APPROVAL_STEPS
+-- Purpose: Keep the originally assigned approver when a step is delegated
+-- ============================================================================
+ALTER TABLE approval_steps
+  ADD COLUMN original_approver_user_id INT UNSIGNED NULL COMMENT 'Approver before delegation' AFTER required_approver_user_id,
+  ADD COLUMN delegation_id INT UNSIGNED NULL COMMENT 'Rule applied (NULL for a manual delegation)' AFTER original_approver_user_id,
+  ADD COLUMN delegated_at DATETIME NULL AFTER delegation_id,
+  ADD COLUMN delegation_reason VARCHAR(255) NULL AFTER delegated_at,
+  ADD CONSTRAINT fk_approval_steps_original_approver FOREIGN KEY (original_approver_user_id)
+    REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  ADD CONSTRAINT fk_approval_steps_delegation FOREIGN KEY (delegation_id)
+    REFERENCES approval_delegations(id) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,74 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: APPROVAL SLA
+-- Decision deadlines per workflow, reminders and escalation of overdue steps
+-- Requires: 10-approval-delegations.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: APPROVAL_WORKFLOWS
+-- Purpose: Deadline of each level and reminder lead time
+-- ============================================================================
+ALTER TABLE approval_workflows
+  ADD COLUMN sla_hours INT UNSIGNED NULL COMMENT 'Hours a level may stay pending (NULL = no SLA)' AFTER description,
+  ADD COLUMN reminder_hours INT UNSIGNED NULL COMMENT 'Remind the approver this many hours before the deadline' AFTER sla_hours;
+
+-- ALTER: APPROVAL_STEPS
+-- Purpose: Deadline tracking and escalation state of each step
+-- ============================================================================
+ALTER TABLE approval_steps
+  ADD COLUMN due_at DATETIME NULL COMMENT 'Decision deadline of the current approver' AFTER activated_at,
+  ADD COLUMN reminder_sent_at DATETIME NULL AFTER due_at,
+  ADD COLUMN escalated_role VARCHAR(50) NULL COMMENT 'Role now holding the step after escalation' AFTER reminder_sent_at,
+  ADD COLUMN escalation_count INT UNSIGNED NOT NULL DEFAULT 0 AFTER escalated_role,
+  ADD INDEX idx_status_due (status, due_at);
+
+-- TABLE: APPROVAL_STEP_ESCALATIONS (SLA Breaches)
+-- Purpose: One row per missed deadline, used for SLA compliance reporting
+-- ============================================================================
+CREATE TABLE approval_step_escalations (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  approval_step_id INT UNSIGNED NOT NULL,
+  approval_id INT UNSIGNED NOT NULL,
+  from_user_id INT UNSIGNED NOT NULL COMMENT 'Approver who missed the deadline',
+  from_role VARCHAR(50) NOT NULL,
+  to_user_id INT UNSIGNED NULL COMMENT 'NULL when nobody above could take over',
+  to_role VARCHAR(50) NULL,
+  due_at DATETIME NOT NULL COMMENT 'Deadline that was missed',
+  escalated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  -- Foreign keys
+  CONSTRAINT fk_step_escalations_step FOREIGN KEY (approval_step_id)
+    REFERENCES approval_steps(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_step_escalations_approval FOREIGN KEY (approval_id)
+    REFERENCES approvals(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_step_escalations_from FOREIGN KEY (from_user_id)
+    REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_step_escalations_to FOREIGN KEY (to_user_id)
+    REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  -- Indexes
+  INDEX idx_from_user (from_user_id, escalated_at),
+  INDEX idx_approval (approval_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Escalations of overdue approval steps';
+
+-- ============================================================================
+-- DEFAULT SLAs (version 1 workflows)
+-- Procurement decisions carry legal deadlines: shortest SLA
+-- ============================================================================
+UPDATE approval_workflows SET sla_hours = 48, reminder_hours = 12
+WHERE version = 1 AND request_type IN ('PURCHASE_ORDER', 'EQUIPMENT_ALLOCATION');
+
+UPDATE approval_workflows SET sla_hours = 72, reminder_hours = 24
+WHERE version = 1 AND request_type IN ('BUDGET', 'BUDGET_AMENDMENT');
+
+UPDATE approval_workflows SET sla_hours = 120, reminder_hours = 24
+WHERE version = 1 AND request_type = 'PROJECT';
+
+-- Start the clock of steps already pending
+UPDATE approval_steps s
+JOIN approvals a ON s.approval_id = a.id
+JOIN approval_workflows w ON a.workflow_id = w.id
+SET s.due_at = DATE_ADD(s.activated_at, INTERVAL w.sla_hours HOUR)
+WHERE s.status = 'PENDING' AND w.sla_hours IS NOT NULL AND s.activated_at IS NOT NULL;
@@ -0,0 +1,16 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: NOTIFICATIONS
+-- De-duplication of generated notifications and unread/expiry lookups
+-- Requires: 04-complete-schema-part2.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: NOTIFICATIONS
+-- Purpose: Producers tag each event (e.g. budget_allocation:12:90) so that
+--          re-running a check never notifies the same user twice
+-- ============================================================================
+ALTER TABLE notifications
+  ADD COLUMN dedupe_key VARCHAR(150) NULL COMMENT 'Event key, unique per user' AFTER action_url,
+  ADD UNIQUE KEY uk_notifications_user_dedupe (user_id, dedupe_key),
+  ADD INDEX idx_user_unread_expiry (user_id, is_read, expires_at);
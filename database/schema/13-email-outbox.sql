@@ -0,0 +1,74 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: EMAIL DELIVERY
+-- Persistent outbox for outgoing email and per-user email preferences
+-- Requires: 12-notifications.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: USERS
+-- Purpose: Arabic email templates
+-- ============================================================================
+ALTER TABLE users
+  MODIFY COLUMN preferred_language ENUM('fr', 'en', 'ar') NOT NULL DEFAULT 'fr' COMMENT 'UI and email language';
+
+-- TABLE: EMAIL_OUTBOX (Outgoing Email Queue)
+-- Purpose: Emails are rendered and queued in the producing transaction,
+--          then delivered by the outbox job with retry and backoff
+-- ============================================================================
+CREATE TABLE email_outbox (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  recipient_email VARCHAR(255) NOT NULL,
+  recipient_user_id INT UNSIGNED NULL,
+  template_key VARCHAR(50) NOT NULL COMMENT 'Template used to render the message',
+  language CHAR(2) NOT NULL DEFAULT 'fr',
+  subject VARCHAR(255) NOT NULL,
+  body_text TEXT NULL COMMENT 'Cleared once delivered',
+  body_html MEDIUMTEXT NULL COMMENT 'Cleared once delivered',
+  notification_id INT UNSIGNED NULL COMMENT 'Notification mirrored by this email',
+  
+  -- Delivery state
+  status ENUM('PENDING', 'SENDING', 'SENT', 'FAILED') NOT NULL DEFAULT 'PENDING',
+  attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  max_attempts INT UNSIGNED NOT NULL DEFAULT 5,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  claimed_at DATETIME NULL COMMENT 'Set while a worker is sending',
+  last_error TEXT NULL,
+  message_id VARCHAR(255) NULL COMMENT 'SMTP message ID',
+  sent_at DATETIME NULL,
+  
+  -- Audit columns
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  -- Foreign keys
+  CONSTRAINT fk_email_outbox_user FOREIGN KEY (recipient_user_id)
+    REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT fk_email_outbox_notification FOREIGN KEY (notification_id)
+    REFERENCES notifications(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  
+  -- Indexes
+  INDEX idx_status_next_attempt (status, next_attempt_at),
+  INDEX idx_recipient_user_id (recipient_user_id),
+  INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Outgoing email queue';
+
+-- TABLE: USER_NOTIFICATION_PREFERENCES (Email Opt-out)
+-- Purpose: Per-user, per-notification-type email choice (no row = enabled)
+-- ============================================================================
+CREATE TABLE user_notification_preferences (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  user_id INT UNSIGNED NOT NULL,
+  notification_type ENUM('MILESTONE_DUE', 'BUDGET_ALERT', 'APPROVAL_NEEDED', 'PROJECT_DELAY', 'MAINTENANCE_DUE', 'GENERAL_INFO') NOT NULL,
+  email_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  -- Foreign keys
+  CONSTRAINT fk_user_notification_preferences_user FOREIGN KEY (user_id)
+    REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  
+  -- Unique constraint
+  UNIQUE KEY uk_user_notification_type (user_id, notification_type)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Per-user email notification preferences';
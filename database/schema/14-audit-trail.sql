@@ -0,0 +1,15 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: AUDIT TRAIL
+-- Audit entries outlive the users who made the changes
+-- Requires: 04-complete-schema-part2.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: AUDIT_LOG
+-- Purpose: fk_audit_log_user is ON DELETE SET NULL, which needs a nullable
+--          column; the entity/action index serves per-entity timelines
+-- ============================================================================
+ALTER TABLE audit_log
+  MODIFY COLUMN user_id INT UNSIGNED NULL COMMENT 'Actor, NULL once the user is deleted',
+  ADD INDEX idx_entity_action (entity_type, action, created_at);
@@ -0,0 +1,37 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: AUDIT HASH CHAIN
+-- Tamper evidence for audit_log: each entry carries the SHA-256 of its
+-- content chained to the previous entry, so edits and deletions are detectable
+-- Requires: 14-audit-trail.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: AUDIT_LOG
+-- Purpose: Store the chain links; entries written before this migration keep
+--          NULL hashes and are reported as unchained by the verification.
+--          Actors can no longer be removed from chained entries, so users
+--          with an audit history must be deactivated (soft-deleted) instead
+-- ============================================================================
+ALTER TABLE audit_log
+  ADD COLUMN previous_hash CHAR(64) NULL COMMENT 'row_hash of the previous chained entry' AFTER is_sensitive,
+  ADD COLUMN row_hash CHAR(64) NULL COMMENT 'SHA-256 of this entry and previous_hash' AFTER previous_hash,
+  DROP FOREIGN KEY fk_audit_log_user;
+
+ALTER TABLE audit_log
+  ADD CONSTRAINT fk_audit_log_user FOREIGN KEY (user_id)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- TABLE: AUDIT_LOG_CHAIN (Chain head)
+-- Purpose: Single row holding the last chained entry; writers lock it so
+--          entries are chained one at a time, and it reveals deleted tail entries
+-- ============================================================================
+CREATE TABLE audit_log_chain (
+  id TINYINT UNSIGNED PRIMARY KEY,
+  last_entry_id BIGINT UNSIGNED NULL,
+  last_hash CHAR(64) NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Head of the audit_log hash chain';
+
+INSERT INTO audit_log_chain (id) VALUES (1);
@@ -0,0 +1,46 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: DOCUMENT STORAGE
+-- Uploaded files behind the documents table: storage location, content
+-- checksum for deduplication, and document permissions
+-- Requires: 04-complete-schema-part2.sql, 05-views-and-seed-data.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: DOCUMENTS
+-- Purpose: file_path holds the key of the file in its storage backend; files
+--          are stored by SHA-256 checksum, so identical uploads share one file
+-- ============================================================================
+ALTER TABLE documents
+  ADD COLUMN original_filename VARCHAR(255) NULL COMMENT 'File name on the uploader machine' AFTER file_type,
+  ADD COLUMN mime_type VARCHAR(100) NULL AFTER original_filename,
+  ADD COLUMN checksum CHAR(64) NULL COMMENT 'SHA-256 of the file content' AFTER mime_type,
+  ADD COLUMN storage_backend VARCHAR(20) NOT NULL DEFAULT 'local' AFTER checksum,
+  ADD INDEX idx_project_checksum (project_id, checksum),
+  ADD INDEX idx_checksum (checksum);
+
+-- SEED: DOCUMENT PERMISSIONS
+-- Purpose: Reading is open to every role (access levels restrict further),
+--          uploading to roles that produce documents, deleting to managers
+-- ============================================================================
+INSERT INTO permissions (permission_code, display_name, description, resource_type, action) VALUES
+('document_read', 'View Documents', 'View and download documents', 'DOCUMENT', 'READ'),
+('document_create', 'Upload Documents', 'Upload documents', 'DOCUMENT', 'CREATE'),
+('document_delete', 'Delete Documents', 'Delete documents', 'DOCUMENT', 'DELETE');
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+JOIN permissions p ON p.permission_code = 'document_read';
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+JOIN permissions p ON p.permission_code = 'document_create'
+WHERE r.role_name IN ('ADMIN', 'PROJECT_MANAGER', 'EQUIPMENT_OFFICER', 'FINANCE_CONTROLLER');
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+JOIN permissions p ON p.permission_code = 'document_delete'
+WHERE r.role_name IN ('ADMIN', 'PROJECT_MANAGER');
@@ -0,0 +1,100 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: DOCUMENT VERSIONS AND RETENTION
+-- Revision history of documents, per-type retention rules applied by the
+-- retention job, and validity expiry reminders
+-- Requires: 12-notifications.sql, 13-email-outbox.sql, 16-document-storage.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- TABLE: DOCUMENT_VERSIONS (Revision history)
+-- Purpose: One row per uploaded revision, the current one included; the
+--          documents row mirrors the latest revision
+-- ============================================================================
+CREATE TABLE document_versions (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  document_id INT UNSIGNED NOT NULL,
+  version INT NOT NULL,
+  document_name VARCHAR(255) NOT NULL,
+  file_path VARCHAR(500) NOT NULL,
+  file_size INT UNSIGNED NOT NULL COMMENT 'In bytes',
+  file_type VARCHAR(20) NOT NULL,
+  original_filename VARCHAR(255) NULL,
+  mime_type VARCHAR(100) NULL,
+  checksum CHAR(64) NULL,
+  storage_backend VARCHAR(20) NOT NULL DEFAULT 'local',
+  description TEXT NULL,
+  validity_start DATE NULL,
+  validity_end DATE NULL,
+  change_note VARCHAR(500) NULL,
+  uploaded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  uploaded_by INT UNSIGNED NOT NULL,
+
+  -- Foreign keys
+  CONSTRAINT fk_document_versions_document FOREIGN KEY (document_id)
+    REFERENCES documents(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_document_versions_uploaded_by FOREIGN KEY (uploaded_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Unique constraint
+  UNIQUE KEY uk_document_version (document_id, version),
+
+  -- Indexes
+  INDEX idx_storage_file (storage_backend, file_path)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Document revision history';
+
+-- Existing documents start their history with their current file
+INSERT INTO document_versions (
+  document_id, version, document_name, file_path, file_size, file_type, original_filename,
+  mime_type, checksum, storage_backend, description, validity_start, validity_end,
+  uploaded_at, uploaded_by
+)
+SELECT
+  id, version, document_name, file_path, file_size, file_type, original_filename,
+  mime_type, checksum, storage_backend, description, validity_start, validity_end,
+  uploaded_at, uploaded_by
+FROM documents;
+
+-- ALTER: DOCUMENTS
+-- Purpose: Archived documents stay readable but no longer accept revisions
+-- ============================================================================
+ALTER TABLE documents
+  ADD COLUMN archived_at DATETIME NULL AFTER deletion_scheduled_at,
+  ADD INDEX idx_deletion_scheduled_at (deletion_scheduled_at),
+  ADD INDEX idx_validity_end (validity_end);
+
+-- TABLE: DOCUMENT_RETENTION_RULES (Retention per document type)
+-- Purpose: How long documents of a type are kept after their validity end
+--          (or upload date when they have none), and whether they are then
+--          archived or purged
+-- ============================================================================
+CREATE TABLE document_retention_rules (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  document_type ENUM('CONTRACT', 'SPECIFICATION', 'PLAN', 'REPORT', 'RECEIPT', 'PHOTO', 'APPROVAL', 'OTHER') NOT NULL,
+  retention_days INT UNSIGNED NOT NULL,
+  retention_action ENUM('ARCHIVE', 'PURGE') NOT NULL DEFAULT 'ARCHIVE',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- Audit columns
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  updated_by INT UNSIGNED NOT NULL,
+
+  -- Foreign keys
+  CONSTRAINT fk_document_retention_rules_updated_by FOREIGN KEY (updated_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Unique constraint
+  UNIQUE KEY uk_document_retention_type (document_type)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Retention rules per document type';
+
+-- ALTER: NOTIFICATIONS, USER_NOTIFICATION_PREFERENCES
+-- Purpose: Reminder type for documents approaching their validity end
+-- ============================================================================
+ALTER TABLE notifications
+  MODIFY COLUMN notification_type ENUM('MILESTONE_DUE', 'BUDGET_ALERT', 'APPROVAL_NEEDED', 'PROJECT_DELAY', 'MAINTENANCE_DUE', 'DOCUMENT_EXPIRING', 'GENERAL_INFO') NOT NULL;
+
+ALTER TABLE user_notification_preferences
+  MODIFY COLUMN notification_type ENUM('MILESTONE_DUE', 'BUDGET_ALERT', 'APPROVAL_NEEDED', 'PROJECT_DELAY', 'MAINTENANCE_DUE', 'DOCUMENT_EXPIRING', 'GENERAL_INFO') NOT NULL;
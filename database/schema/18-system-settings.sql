@@ -0,0 +1,29 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: SYSTEM SETTINGS
+-- Values previously fixed in code or environment variables, now managed
+-- through the settings API
+-- Requires: 05-views-and-seed-data.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- SEED: BUDGET ALERT THRESHOLDS
+-- Purpose: The single threshold setting becomes the list of consumption
+--          levels that notify
+-- ============================================================================
+UPDATE system_settings
+SET setting_key = 'budget_alert_thresholds',
+    setting_value = '[50, 75, 90, 100]',
+    setting_type = 'JSON',
+    description = 'Budget consumption levels (% of allocation spent or committed) that notify'
+WHERE setting_key = 'budget_alert_threshold';
+
+-- SEED: APPLICATION SETTINGS
+-- Purpose: Settings read by the application, with the values they had in
+--          code or environment variables
+-- ============================================================================
+INSERT INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('default_page_size', '20', 'INT', 'Items per page when a list request gives no limit'),
+('max_page_size', '100', 'INT', 'Largest page a list request may ask for'),
+('invoice_match_tolerance_percent', '2', 'DECIMAL', 'Accepted gap (%) between invoice, purchase order and receipts in the three-way match'),
+('document_expiry_reminder_days', '30', 'INT', 'Days before a document validity end to send reminder');
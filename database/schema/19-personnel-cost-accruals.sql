@@ -0,0 +1,21 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: PERSONNEL COST ACCRUALS
+-- Monthly posting of labor cost from resource allocations into PERSONNEL
+-- budget allocations
+-- Requires: 18-system-settings.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: BUDGET_TRANSACTIONS
+-- Purpose: Accruals are found again by reference (PERS-<month>-RA<id>)
+--          when a month is re-run
+-- ============================================================================
+ALTER TABLE budget_transactions
+  ADD INDEX idx_reference_number (budget_allocation_id, reference_number);
+
+-- SEED: WORKING HOURS
+-- Purpose: Hours of a working day used to turn allocations into cost
+-- ============================================================================
+INSERT INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('working_hours_per_day', '8', 'DECIMAL', 'Hours in a working day (Monday to Friday) for personnel cost accrual');
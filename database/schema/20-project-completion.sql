@@ -0,0 +1,52 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: DERIVED PROJECT COMPLETION
+-- Project completion rolled up from milestones, manager overrides and the
+-- history of completion values
+-- Requires: 19-personnel-cost-accruals.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: PROJECTS
+-- Purpose: Roll-up method and the override in force, if any (the
+--          overriding value is kept in completion_percentage)
+-- ============================================================================
+ALTER TABLE projects
+  ADD COLUMN completion_method ENUM('COUNT', 'BUDGET', 'WEIGHT') NOT NULL DEFAULT 'COUNT'
+    COMMENT 'How milestone progress rolls up: equal weights, budget allocated or explicit weights' AFTER completion_percentage,
+  ADD COLUMN completion_override_reason VARCHAR(500) NULL COMMENT 'Justification of the manual value' AFTER completion_method,
+  ADD COLUMN completion_overridden_by INT UNSIGNED NULL AFTER completion_override_reason,
+  ADD COLUMN completion_overridden_at DATETIME NULL COMMENT 'Set while a manual value overrides the roll-up' AFTER completion_overridden_by,
+  ADD CONSTRAINT fk_projects_completion_overridden_by FOREIGN KEY (completion_overridden_by)
+    REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- ALTER: MILESTONES
+-- Purpose: Explicit weight used by the WEIGHT roll-up method
+-- ============================================================================
+ALTER TABLE milestones
+  ADD COLUMN weight DECIMAL(7,2) NOT NULL DEFAULT 1.00 COMMENT 'Relative weight in project completion' AFTER budget_allocated,
+  ADD CONSTRAINT chk_milestones_weight CHECK (weight >= 0);
+
+-- TABLE: PROJECT_COMPLETION_HISTORY (Completion over time)
+-- Purpose: One row each time the project completion value changes
+-- ============================================================================
+CREATE TABLE project_completion_history (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  project_id INT UNSIGNED NOT NULL,
+  completion_percentage DECIMAL(5,2) NOT NULL,
+  source ENUM('ROLLUP', 'OVERRIDE') NOT NULL,
+  completion_method ENUM('COUNT', 'BUDGET', 'WEIGHT') NOT NULL,
+  reason VARCHAR(500) NULL,
+  recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  recorded_by INT UNSIGNED NULL,
+
+  -- Foreign keys
+  CONSTRAINT fk_project_completion_history_project FOREIGN KEY (project_id)
+    REFERENCES projects(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_project_completion_history_recorded_by FOREIGN KEY (recorded_by)
+    REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  -- Indexes
+  INDEX idx_project_recorded (project_id, recorded_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='History of project completion values';
@@ -0,0 +1,15 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: EARNED VALUE MANAGEMENT
+-- Settings for project health derived from SPI/CPI bands
+-- Requires: 20-project-completion.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- SEED: PROJECT HEALTH
+-- Purpose: Overall health of project progress keeps the day-based heuristic
+--          until switched to EVM, which grades SPI and CPI by these bands
+-- ============================================================================
+INSERT INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('project_health_basis', 'SCHEDULE', 'STRING', 'Overall project health from days remaining and budget status (SCHEDULE) or SPI/CPI bands (EVM)'),
+('evm_health_bands', '{"green": 0.95, "yellow": 0.85}', 'JSON', 'SPI/CPI at or above green are GREEN, at or above yellow YELLOW, below RED');
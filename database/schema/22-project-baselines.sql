@@ -0,0 +1,71 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: PROJECT BASELINES
+-- Named snapshots of a project's commitment (dates, budget allocations and
+-- milestones) and the approval of re-baselining
+-- Requires: 21-earned-value.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- ALTER: APPROVALS AND APPROVAL_WORKFLOWS
+-- Purpose: Re-baselining a project goes through its own workflow
+-- ============================================================================
+ALTER TABLE approvals
+  MODIFY COLUMN request_type ENUM('PROJECT', 'BUDGET', 'PURCHASE_ORDER', 'BUDGET_AMENDMENT', 'EQUIPMENT_ALLOCATION', 'PROJECT_BASELINE') NOT NULL;
+
+ALTER TABLE approval_workflows
+  MODIFY COLUMN request_type ENUM('PROJECT', 'BUDGET', 'PURCHASE_ORDER', 'BUDGET_AMENDMENT', 'EQUIPMENT_ALLOCATION', 'PROJECT_BASELINE') NOT NULL;
+
+-- TABLE: PROJECT_BASELINES (Approved commitments of a project)
+-- Purpose: The first baseline of a project is active at once; later ones
+--          wait for approval, then supersede the active baseline
+-- ============================================================================
+CREATE TABLE project_baselines (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  project_id INT UNSIGNED NOT NULL,
+  baseline_number INT UNSIGNED NOT NULL COMMENT 'Sequence within the project',
+  baseline_name VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  status ENUM('PENDING_APPROVAL', 'ACTIVE', 'SUPERSEDED', 'REJECTED', 'CANCELLED') NOT NULL,
+  
+  -- Snapshot
+  start_date DATE NOT NULL,
+  planned_end_date DATE NOT NULL,
+  estimated_budget DECIMAL(15,2) NOT NULL,
+  snapshot JSON NOT NULL COMMENT 'Budget allocations and milestones at capture',
+  
+  -- Approval
+  approval_id INT UNSIGNED NULL COMMENT 'Approval request of a re-baseline',
+  activated_at DATETIME NULL,
+  
+  -- Audit columns
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by INT UNSIGNED NOT NULL,
+  
+  -- Foreign keys
+  CONSTRAINT fk_project_baselines_project FOREIGN KEY (project_id)
+    REFERENCES projects(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_project_baselines_approval FOREIGN KEY (approval_id)
+    REFERENCES approvals(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT fk_project_baselines_created_by FOREIGN KEY (created_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  
+  -- Indexes
+  UNIQUE KEY uk_project_baseline_number (project_id, baseline_number),
+  INDEX idx_project_status (project_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Project baselines';
+
+-- SEED: RE-BASELINE WORKFLOW
+-- Purpose: A new commitment replaces the one made to the prefect only with
+--          supervisor sign-off
+-- ============================================================================
+SET @admin_id = (SELECT id FROM users WHERE username = 'admin');
+
+INSERT INTO approval_workflows (request_type, version, workflow_name, description, is_active, sla_hours, reminder_hours, created_by) VALUES
+('PROJECT_BASELINE', 1, 'Project re-baseline approval', 'Supervisor sign-off of the new commitment', TRUE, 120, 24, @admin_id);
+
+INSERT INTO approval_workflow_levels (workflow_id, level_order, level_name, required_role, min_amount, max_amount)
+SELECT id, 1, 'Supervisor review', 'SUPERVISOR', NULL, NULL
+FROM approval_workflows
+WHERE request_type = 'PROJECT_BASELINE' AND version = 1;
@@ -0,0 +1,38 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: PROJECT MEMBERS
+-- Per-project roles granting access to a project beyond its managers
+-- Requires: 22-project-baselines.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- TABLE: PROJECT_MEMBERS (Explicit members of a project)
+-- Purpose: Engineers, finance officers and observers of a project. The
+--          manager and alternate stay on the project record, and users with
+--          an active resource allocation count as engineers without a row.
+-- ============================================================================
+CREATE TABLE project_members (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  project_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  member_role ENUM('ENGINEER', 'FINANCE', 'OBSERVER') NOT NULL,
+  notes VARCHAR(500) NULL,
+  
+  -- Audit columns
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by INT UNSIGNED NOT NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  -- Foreign keys
+  CONSTRAINT fk_project_members_project FOREIGN KEY (project_id)
+    REFERENCES projects(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_project_members_user FOREIGN KEY (user_id)
+    REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_project_members_created_by FOREIGN KEY (created_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  
+  -- Indexes
+  UNIQUE KEY uk_project_member (project_id, user_id),
+  INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Project members';
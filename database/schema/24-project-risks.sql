@@ -0,0 +1,68 @@
+-- ============================================================================
+-- PMIS TÉTOUAN - SCHEMA EXTENSION: PROJECT RISK REGISTER
+-- Scored risks of a project, their owner, mitigation and reviews, and the
+-- exposure bands of the probability-impact matrix
+-- Requires: 23-project-members.sql
+-- ============================================================================
+
+USE pmis_tetouan;
+
+-- TABLE: PROJECT_RISKS (Risk register)
+-- Purpose: One row per identified risk. Likelihood and impact are scored
+--          1 (very low) to 5 (very high); their product is the exposure.
+--          projects.risks keeps the free-text summary entered at creation.
+-- ============================================================================
+CREATE TABLE project_risks (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  risk_code VARCHAR(30) NOT NULL UNIQUE COMMENT 'Format: <project code>-R01',
+  project_id INT UNSIGNED NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  category ENUM(
+    'TECHNICAL', 'FINANCIAL', 'SCHEDULE', 'REGULATORY', 'ENVIRONMENTAL',
+    'SAFETY', 'CONTRACTUAL', 'STAKEHOLDER', 'OTHER'
+  ) NOT NULL,
+  likelihood TINYINT UNSIGNED NOT NULL COMMENT '1 (rare) to 5 (almost certain)',
+  impact TINYINT UNSIGNED NOT NULL COMMENT '1 (negligible) to 5 (severe)',
+  owner_user_id INT UNSIGNED NOT NULL,
+  mitigation_plan TEXT NULL,
+  status ENUM('OPEN', 'MITIGATING', 'CLOSED') NOT NULL DEFAULT 'OPEN',
+  identified_date DATE NOT NULL,
+  last_review_date DATE NULL,
+  next_review_date DATE NULL,
+  closed_date DATE NULL COMMENT 'Set while the risk is CLOSED',
+
+  -- Audit columns
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by INT UNSIGNED NOT NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  updated_by INT UNSIGNED NOT NULL,
+
+  -- Foreign keys
+  CONSTRAINT fk_project_risks_project FOREIGN KEY (project_id)
+    REFERENCES projects(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_project_risks_owner FOREIGN KEY (owner_user_id)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT fk_project_risks_created_by FOREIGN KEY (created_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT fk_project_risks_updated_by FOREIGN KEY (updated_by)
+    REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Constraints
+  CONSTRAINT chk_project_risks_likelihood CHECK (likelihood BETWEEN 1 AND 5),
+  CONSTRAINT chk_project_risks_impact CHECK (impact BETWEEN 1 AND 5),
+
+  -- Indexes
+  INDEX idx_project_status (project_id, status),
+  INDEX idx_owner (owner_user_id),
+  INDEX idx_next_review (next_review_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Project risk register';
+
+-- SEED: RISK EXPOSURE
+-- Purpose: Exposure (likelihood x impact, 1 to 25) at or above high is HIGH
+--          and reported among the critical issues of the project while the
+--          risk is open; at or above medium it is MEDIUM, below LOW
+-- ============================================================================
+INSERT INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('risk_exposure_bands', '{"high": 15, "medium": 8}', 'JSON', 'Risk exposure (likelihood x impact) at or above high is HIGH, at or above medium MEDIUM, below LOW');